@@ -180,7 +180,7 @@ function updateRequest(request) {
       }
       
       // Merge data
-      const updated = { ...existing, ...request }
+      const updated = { ...existing, ...request, updatedAt: new Date().toISOString() }
       const row = objectToRow(updated, headers)
       
       // Update row
@@ -196,6 +196,27 @@ function updateRequest(request) {
   return { success: false, error: 'Not found' }
 }
 
+// Simple trigger: มีคนแก้ในชีตด้วยมือ → บันทึกเวลาในคอลัมน์ updatedAt ของแถวนั้น
+// ระบบเว็บใช้คอลัมน์นี้ดูว่าแถวไหนถูกแก้ใน Sheet ตอนเทียบข้อมูล (หน้า /reconcile — admin เป็นคนเลือกว่าจะดึงเข้าระบบไหม)
+// ถ้าชีตยังไม่มีคอลัมน์ updatedAt จะไม่ทำอะไร
+function onEdit(e) {
+  const sheet = e.range.getSheet()
+  if (e.range.getRow() === 1) return
+
+  const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0]
+  const col = headers.indexOf('updatedAt') + 1
+  if (headers[0] !== 'id' || col === 0) return
+  // แก้คอลัมน์ updatedAt เองโดยตรง → ไม่ต้องเขียนทับ
+  if (e.range.getNumColumns() === 1 && e.range.getColumn() === col) return
+
+  const now = new Date().toISOString()
+  const values = []
+  for (let i = 0; i < e.range.getNumRows(); i++) values.push([now])
+  sheet.getRange(e.range.getRow(), col, e.range.getNumRows(), 1)
+    .setNumberFormat('@') // เก็บเป็นข้อความ ไม่ให้ชีตแปลงเป็นวันที่
+    .setValues(values)
+}
+
 // Wrapper: js.html เรียก createRequest แต่ฟังก์ชันจริงชื่อ addRequest
 function createRequest(data) {
   return addRequest(data);
@@ -223,6 +244,7 @@ function updateStatus(id, newStatus, byName) {
 
       existing.status = newStatus;
       existing.history = JSON.stringify(history);
+      existing.updatedAt = new Date().toISOString();
 
       const row = objectToRow(existing, headers);
       sheet.getRange(i + 1, 1, 1, row.length).setValues([row]);
@@ -7,6 +7,12 @@ const nextConfig: NextConfig = {
     ignoreBuildErrors: true,
   },
   reactStrictMode: false,
+  // pdfkit โหลดไฟล์ .afm ของตัวเองตอนรัน — bundle แล้วหาไฟล์ไม่เจอ
+  serverExternalPackages: ["pdfkit"],
+  // ฟอนต์ Sarabun ที่ PDF ใบเสนอราคาอ่านจาก node_modules (standalone ไม่ copy ให้เอง)
+  outputFileTracingIncludes: {
+    "/api/quotes/pdf": ["./node_modules/@fontsource/sarabun/files/sarabun-{thai,latin}-{400,700}-normal.woff"],
+  },
 };
 
 export default nextConfig;
@@ -0,0 +1,73 @@
+-- CreateTable
+CREATE TABLE "ServiceRequest" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "requestNo" TEXT NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    "channel" TEXT NOT NULL DEFAULT 'LINE',
+    "customerName" TEXT NOT NULL,
+    "contactName" TEXT,
+    "phone" TEXT NOT NULL,
+    "address" TEXT NOT NULL,
+    "serviceType" TEXT NOT NULL,
+    "description" TEXT NOT NULL DEFAULT '',
+    "priority" TEXT NOT NULL DEFAULT 'normal',
+    "status" TEXT NOT NULL DEFAULT 'new',
+    "appointmentDate" TEXT,
+    "appointmentEndDate" TEXT,
+    "isAllDay" BOOLEAN NOT NULL DEFAULT false,
+    "quoteAmount" REAL,
+    "cancelReason" TEXT,
+    "notes" TEXT NOT NULL DEFAULT '',
+    "calendarEventId" TEXT,
+    "calendarEventUrl" TEXT
+);
+
+-- CreateTable
+CREATE TABLE "StatusHistory" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "requestId" TEXT NOT NULL,
+    "status" TEXT NOT NULL,
+    "by" TEXT NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "StatusHistory_requestId_fkey" FOREIGN KEY ("requestId") REFERENCES "ServiceRequest" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateTable
+CREATE TABLE "Attachment" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "requestId" TEXT NOT NULL,
+    "kind" TEXT NOT NULL,
+    "url" TEXT NOT NULL,
+    "name" TEXT NOT NULL DEFAULT '',
+    "position" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "Attachment_requestId_fkey" FOREIGN KEY ("requestId") REFERENCES "ServiceRequest" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateTable
+CREATE TABLE "Employee" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "name" TEXT NOT NULL,
+    "active" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE INDEX "ServiceRequest_requestNo_idx" ON "ServiceRequest"("requestNo");
+
+-- CreateIndex
+CREATE INDEX "ServiceRequest_status_idx" ON "ServiceRequest"("status");
+
+-- CreateIndex
+CREATE INDEX "ServiceRequest_createdAt_idx" ON "ServiceRequest"("createdAt");
+
+-- CreateIndex
+CREATE INDEX "StatusHistory_requestId_idx" ON "StatusHistory"("requestId");
+
+-- CreateIndex
+CREATE INDEX "Attachment_requestId_idx" ON "Attachment"("requestId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Employee_name_key" ON "Employee"("name");
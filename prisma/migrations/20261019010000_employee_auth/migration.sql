@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "Employee" ADD COLUMN "pinHash" TEXT;
+ALTER TABLE "Employee" ADD COLUMN "isAdmin" BOOLEAN NOT NULL DEFAULT false;
@@ -0,0 +1,19 @@
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_Employee" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "name" TEXT NOT NULL,
+    "pinHash" TEXT,
+    "role" TEXT NOT NULL DEFAULT 'reception',
+    "active" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+INSERT INTO "new_Employee" ("id", "name", "pinHash", "role", "active", "createdAt", "updatedAt")
+SELECT "id", "name", "pinHash", CASE WHEN "isAdmin" THEN 'admin' ELSE 'reception' END, "active", "createdAt", "updatedAt" FROM "Employee";
+DROP TABLE "Employee";
+ALTER TABLE "new_Employee" RENAME TO "Employee";
+CREATE UNIQUE INDEX "Employee_name_key" ON "Employee"("name");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
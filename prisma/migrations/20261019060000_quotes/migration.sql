@@ -0,0 +1,51 @@
+-- CreateTable
+CREATE TABLE "Quote" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "requestId" TEXT NOT NULL,
+    "quoteNo" TEXT NOT NULL,
+    "revision" INTEGER NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'draft',
+    "discountType" TEXT NOT NULL DEFAULT 'amount',
+    "discountValue" REAL NOT NULL DEFAULT 0,
+    "vatRate" REAL NOT NULL DEFAULT 0.07,
+    "subtotal" REAL NOT NULL DEFAULT 0,
+    "discountAmount" REAL NOT NULL DEFAULT 0,
+    "vatAmount" REAL NOT NULL DEFAULT 0,
+    "total" REAL NOT NULL DEFAULT 0,
+    "validDays" INTEGER NOT NULL DEFAULT 30,
+    "notes" TEXT NOT NULL DEFAULT '',
+    "createdBy" TEXT NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    "sentAt" DATETIME,
+    "sentBy" TEXT,
+    "respondedAt" DATETIME,
+    "respondedBy" TEXT,
+    CONSTRAINT "Quote_requestId_fkey" FOREIGN KEY ("requestId") REFERENCES "ServiceRequest" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateTable
+CREATE TABLE "QuoteItem" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "quoteId" TEXT NOT NULL,
+    "kind" TEXT NOT NULL DEFAULT 'part',
+    "description" TEXT NOT NULL,
+    "quantity" REAL NOT NULL DEFAULT 1,
+    "unit" TEXT NOT NULL DEFAULT '',
+    "unitPrice" REAL NOT NULL DEFAULT 0,
+    "discount" REAL NOT NULL DEFAULT 0,
+    "position" INTEGER NOT NULL DEFAULT 0,
+    CONSTRAINT "QuoteItem_quoteId_fkey" FOREIGN KEY ("quoteId") REFERENCES "Quote" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Quote_quoteNo_key" ON "Quote"("quoteNo");
+
+-- CreateIndex
+CREATE INDEX "Quote_status_idx" ON "Quote"("status");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Quote_requestId_revision_key" ON "Quote"("requestId", "revision");
+
+-- CreateIndex
+CREATE INDEX "QuoteItem_quoteId_idx" ON "QuoteItem"("quoteId");
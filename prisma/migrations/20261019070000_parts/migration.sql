@@ -0,0 +1,53 @@
+-- CreateTable
+CREATE TABLE "Part" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "sku" TEXT NOT NULL DEFAULT '',
+    "name" TEXT NOT NULL,
+    "unit" TEXT NOT NULL DEFAULT '',
+    "supplier" TEXT NOT NULL DEFAULT '',
+    "unitCost" REAL NOT NULL DEFAULT 0,
+    "unitPrice" REAL NOT NULL DEFAULT 0,
+    "notes" TEXT NOT NULL DEFAULT '',
+    "active" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateTable
+CREATE TABLE "PartRequest" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "requestId" TEXT NOT NULL,
+    "partId" TEXT,
+    "name" TEXT NOT NULL,
+    "quantity" REAL NOT NULL DEFAULT 1,
+    "unit" TEXT NOT NULL DEFAULT '',
+    "supplier" TEXT NOT NULL DEFAULT '',
+    "unitCost" REAL NOT NULL DEFAULT 0,
+    "status" TEXT NOT NULL DEFAULT 'requested',
+    "poNumber" TEXT NOT NULL DEFAULT '',
+    "expectedDate" TEXT NOT NULL DEFAULT '',
+    "notes" TEXT NOT NULL DEFAULT '',
+    "createdBy" TEXT NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    "orderedAt" DATETIME,
+    "orderedBy" TEXT,
+    "receivedAt" DATETIME,
+    "receivedBy" TEXT,
+    "installedAt" DATETIME,
+    "installedBy" TEXT,
+    CONSTRAINT "PartRequest_requestId_fkey" FOREIGN KEY ("requestId") REFERENCES "ServiceRequest" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "PartRequest_partId_fkey" FOREIGN KEY ("partId") REFERENCES "Part" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "Part_name_idx" ON "Part"("name");
+
+-- CreateIndex
+CREATE INDEX "PartRequest_requestId_idx" ON "PartRequest"("requestId");
+
+-- CreateIndex
+CREATE INDEX "PartRequest_status_idx" ON "PartRequest"("status");
+
+-- CreateIndex
+CREATE INDEX "PartRequest_partId_idx" ON "PartRequest"("partId");
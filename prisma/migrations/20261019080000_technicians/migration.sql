@@ -0,0 +1,59 @@
+-- CreateTable
+CREATE TABLE "Technician" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "name" TEXT NOT NULL,
+    "phone" TEXT NOT NULL DEFAULT '',
+    "email" TEXT NOT NULL DEFAULT '',
+    "color" TEXT NOT NULL DEFAULT '9',
+    "active" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_ServiceRequest" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "requestNo" TEXT NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    "channel" TEXT NOT NULL DEFAULT 'LINE',
+    "customerName" TEXT NOT NULL,
+    "contactName" TEXT,
+    "phone" TEXT NOT NULL,
+    "address" TEXT NOT NULL,
+    "serviceType" TEXT NOT NULL,
+    "description" TEXT NOT NULL DEFAULT '',
+    "priority" TEXT NOT NULL DEFAULT 'normal',
+    "status" TEXT NOT NULL DEFAULT 'new',
+    "appointmentDate" TEXT,
+    "appointmentEndDate" TEXT,
+    "isAllDay" BOOLEAN NOT NULL DEFAULT false,
+    "quoteAmount" REAL,
+    "cancelReason" TEXT,
+    "notes" TEXT NOT NULL DEFAULT '',
+    "calendarEventId" TEXT,
+    "calendarEventUrl" TEXT,
+    "customerId" TEXT,
+    "siteId" TEXT,
+    "technicianId" TEXT,
+    CONSTRAINT "ServiceRequest_customerId_fkey" FOREIGN KEY ("customerId") REFERENCES "Customer" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    CONSTRAINT "ServiceRequest_siteId_fkey" FOREIGN KEY ("siteId") REFERENCES "Site" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    CONSTRAINT "ServiceRequest_technicianId_fkey" FOREIGN KEY ("technicianId") REFERENCES "Technician" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+INSERT INTO "new_ServiceRequest" ("id", "requestNo", "createdAt", "updatedAt", "channel", "customerName", "contactName", "phone", "address", "serviceType", "description", "priority", "status", "appointmentDate", "appointmentEndDate", "isAllDay", "quoteAmount", "cancelReason", "notes", "calendarEventId", "calendarEventUrl", "customerId", "siteId")
+SELECT "id", "requestNo", "createdAt", "updatedAt", "channel", "customerName", "contactName", "phone", "address", "serviceType", "description", "priority", "status", "appointmentDate", "appointmentEndDate", "isAllDay", "quoteAmount", "cancelReason", "notes", "calendarEventId", "calendarEventUrl", "customerId", "siteId" FROM "ServiceRequest";
+DROP TABLE "ServiceRequest";
+ALTER TABLE "new_ServiceRequest" RENAME TO "ServiceRequest";
+CREATE INDEX "ServiceRequest_requestNo_idx" ON "ServiceRequest"("requestNo");
+CREATE INDEX "ServiceRequest_status_idx" ON "ServiceRequest"("status");
+CREATE INDEX "ServiceRequest_createdAt_idx" ON "ServiceRequest"("createdAt");
+CREATE INDEX "ServiceRequest_customerId_idx" ON "ServiceRequest"("customerId");
+CREATE INDEX "ServiceRequest_siteId_idx" ON "ServiceRequest"("siteId");
+CREATE INDEX "ServiceRequest_technicianId_idx" ON "ServiceRequest"("technicianId");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Technician_name_key" ON "Technician"("name");
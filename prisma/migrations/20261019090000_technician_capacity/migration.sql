@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "Technician" ADD COLUMN "dailyCapacityMinutes" INTEGER NOT NULL DEFAULT 480;
@@ -0,0 +1,14 @@
+-- AlterTable
+ALTER TABLE "StatusHistory" ADD COLUMN "note" TEXT NOT NULL DEFAULT '';
+
+-- CreateTable
+CREATE TABLE "CalendarSyncState" (
+    "calendarId" TEXT NOT NULL PRIMARY KEY,
+    "syncToken" TEXT,
+    "channelId" TEXT,
+    "channelResource" TEXT,
+    "channelToken" TEXT,
+    "channelExpiresAt" DATETIME,
+    "lastSyncedAt" DATETIME,
+    "updatedAt" DATETIME NOT NULL
+);
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "Employee" ADD COLUMN "telegramChatId" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Employee_telegramChatId_key" ON "Employee"("telegramChatId");
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "ServiceRequest" ADD COLUMN "lineUserId" TEXT;
+
+-- CreateIndex
+CREATE INDEX "ServiceRequest_lineUserId_idx" ON "ServiceRequest"("lineUserId");
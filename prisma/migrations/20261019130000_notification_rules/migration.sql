@@ -0,0 +1,45 @@
+-- CreateTable
+CREATE TABLE "NotificationRule" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "name" TEXT NOT NULL,
+    "enabled" BOOLEAN NOT NULL DEFAULT true,
+    "trigger" TEXT NOT NULL,
+    "statuses" TEXT NOT NULL DEFAULT '[]',
+    "priorities" TEXT NOT NULL DEFAULT '[]',
+    "serviceTypes" TEXT NOT NULL DEFAULT '[]',
+    "minAgeHours" INTEGER,
+    "repeatHours" INTEGER,
+    "targets" TEXT NOT NULL DEFAULT '[]',
+    "template" TEXT NOT NULL DEFAULT '',
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateTable
+CREATE TABLE "NotificationLog" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "ruleId" TEXT,
+    "ruleName" TEXT NOT NULL,
+    "trigger" TEXT NOT NULL,
+    "requestId" TEXT,
+    "requestNo" TEXT NOT NULL DEFAULT '',
+    "target" TEXT NOT NULL,
+    "reason" TEXT NOT NULL,
+    "message" TEXT NOT NULL,
+    "outboxJobId" INTEGER,
+    "skipReason" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "NotificationLog_ruleId_fkey" FOREIGN KEY ("ruleId") REFERENCES "NotificationRule" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "NotificationLog_ruleId_requestId_idx" ON "NotificationLog"("ruleId", "requestId");
+
+-- CreateIndex
+CREATE INDEX "NotificationLog_createdAt_idx" ON "NotificationLog"("createdAt");
+
+-- กฎเริ่มต้น = พฤติกรรมเดิม (งานใหม่/เปลี่ยนสถานะ → กลุ่ม TELEGRAM_CHAT_ID ด้วยข้อความมาตรฐาน)
+INSERT INTO "NotificationRule" ("id", "name", "trigger", "targets", "updatedAt")
+VALUES
+    ('default-created', 'งานใหม่ → กลุ่มแจ้งเตือนหลัก', 'created', '[{"type":"telegram"}]', CURRENT_TIMESTAMP),
+    ('default-status-changed', 'เปลี่ยนสถานะ → กลุ่มแจ้งเตือนหลัก', 'status_changed', '[{"type":"telegram"}]', CURRENT_TIMESTAMP);
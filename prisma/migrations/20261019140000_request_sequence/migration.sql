@@ -0,0 +1,13 @@
+-- CreateTable
+CREATE TABLE "RequestSequence" (
+    "scope" TEXT NOT NULL PRIMARY KEY,
+    "lastValue" INTEGER NOT NULL
+);
+
+-- ตั้งตัวนับรายวันต่อจากเลขที่งานเดิม (รูปแบบเดิม REQ-YYYYMMDD-NNN ที่หน้าเว็บเคยออก)
+INSERT INTO "RequestSequence" ("scope", "lastValue")
+SELECT 'REQ-' || substr("requestNo", 5, 8) || '-{SEQ}', MAX(CAST(substr("requestNo", 14) AS INTEGER))
+FROM "ServiceRequest"
+WHERE "requestNo" GLOB 'REQ-[0-9][0-9][0-9][0-9][0-9][0-9][0-9][0-9]-[0-9]*'
+  AND substr("requestNo", 14) NOT GLOB '*[^0-9]*'
+GROUP BY substr("requestNo", 5, 8);
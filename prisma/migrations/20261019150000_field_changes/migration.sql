@@ -0,0 +1,16 @@
+-- CreateTable
+CREATE TABLE "FieldChange" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "requestId" TEXT NOT NULL,
+    "requestNo" TEXT NOT NULL,
+    "field" TEXT NOT NULL,
+    "before" TEXT,
+    "after" TEXT,
+    "by" TEXT NOT NULL,
+    "source" TEXT NOT NULL,
+    "revertOfId" INTEGER,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE INDEX "FieldChange_requestId_id_idx" ON "FieldChange"("requestId", "id");
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "ServiceRequest" ADD COLUMN "deletedAt" DATETIME;
+ALTER TABLE "ServiceRequest" ADD COLUMN "deletedBy" TEXT;
+
+-- CreateIndex
+CREATE INDEX "ServiceRequest_deletedAt_idx" ON "ServiceRequest"("deletedAt");
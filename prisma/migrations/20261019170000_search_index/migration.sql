@@ -0,0 +1,8 @@
+-- CreateTable
+CREATE TABLE "SearchIndex" (
+    "requestId" TEXT NOT NULL PRIMARY KEY,
+    "text" TEXT NOT NULL,
+    "phones" TEXT NOT NULL,
+    "version" INTEGER NOT NULL DEFAULT 0,
+    CONSTRAINT "SearchIndex_requestId_fkey" FOREIGN KEY ("requestId") REFERENCES "ServiceRequest" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
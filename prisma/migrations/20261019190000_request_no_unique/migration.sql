@@ -0,0 +1,21 @@
+-- เลขที่งานที่ซ้ำกัน (จากสมัยหน้าเว็บนับเลขเอง) ต้องแยกกันก่อนตั้ง unique:
+-- งานที่เปิดก่อนเก็บเลขเดิม งานถัดไปต่อท้าย -DUP1, -DUP2, ... — admin ออกเลขใหม่ให้ได้ที่หน้าเทียบข้อมูล (ตรวจเลขซ้ำ)
+CREATE TEMP TABLE "_DuplicateRequestNo" AS
+SELECT "id", "requestNo" || '-DUP' || ("rank" - 1) AS "requestNo"
+FROM (
+    SELECT "id", "requestNo", ROW_NUMBER() OVER (PARTITION BY "requestNo" ORDER BY "createdAt", "id") AS "rank"
+    FROM "ServiceRequest"
+)
+WHERE "rank" > 1;
+
+UPDATE "ServiceRequest"
+SET "requestNo" = (SELECT "requestNo" FROM "_DuplicateRequestNo" WHERE "_DuplicateRequestNo"."id" = "ServiceRequest"."id")
+WHERE "id" IN (SELECT "id" FROM "_DuplicateRequestNo");
+
+DROP TABLE "_DuplicateRequestNo";
+
+-- DropIndex
+DROP INDEX "ServiceRequest_requestNo_idx";
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ServiceRequest_requestNo_key" ON "ServiceRequest"("requestNo");
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "SavedView" ADD COLUMN "createdById" TEXT;
+
+-- มุมมองที่มีอยู่แล้ว: หาเจ้าของจากชื่อพนักงาน (ชื่อไม่ซ้ำกัน) — ไม่เจอ = แก้/ลบได้เฉพาะ admin
+UPDATE "SavedView"
+SET "createdById" = (SELECT "id" FROM "Employee" WHERE "Employee"."name" = "SavedView"."createdBy");
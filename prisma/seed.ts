@@ -0,0 +1,39 @@
+import { PrismaClient } from '@prisma/client'
+import { hashPin } from '../src/lib/auth'
+
+// รายชื่อพนักงานชุดแรก (เดิม hardcode ไว้ใน page.tsx)
+const EMPLOYEES = ['คุณเนย', 'คุณฟิล์ม', 'คุณตุ้ม', 'คุณดอย', 'คุณดอจ', 'คุณออมสิน', 'คุณเผือก']
+
+// PIN เริ่มต้น = STORE_PIN เดิมของร้าน (แต่ละคนให้ admin รีเซ็ตเป็น PIN ของตัวเองทีหลัง)
+// admin เริ่มต้น = SEED_ADMIN_NAMES (คั่นด้วย ,) หรือคนแรกในรายชื่อ — ที่เหลือเป็น reception
+// (ปรับ role ของแต่ละคนที่หน้า /admin)
+const SEED_PIN = process.env['STORE_PIN']
+const ADMIN_NAMES = (process.env['SEED_ADMIN_NAMES'] || EMPLOYEES[0] || '').split(',').map(n => n.trim())
+
+const prisma = new PrismaClient()
+
+async function main() {
+  if (!SEED_PIN) {
+    console.warn('STORE_PIN not set — employees are created without a PIN and cannot log in yet')
+  }
+
+  for (const name of EMPLOYEES) {
+    const existing = await prisma.employee.findUnique({ where: { name } })
+    const pinHash = !existing?.pinHash && SEED_PIN ? hashPin(SEED_PIN) : undefined
+    const isAdmin = ADMIN_NAMES.includes(name)
+
+    await prisma.employee.upsert({
+      where: { name },
+      update: { ...(pinHash ? { pinHash } : {}), ...(isAdmin ? { role: 'admin' } : {}) },
+      create: { name, pinHash: pinHash ?? null, role: isAdmin ? 'admin' : 'reception' },
+    })
+  }
+  console.log(`Seeded ${EMPLOYEES.length} employees (admin: ${ADMIN_NAMES.join(', ')})`)
+}
+
+main()
+  .catch(error => {
+    console.error(error)
+    process.exit(1)
+  })
+  .finally(() => prisma.$disconnect())
@@ -0,0 +1,238 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import { ROLE_CONFIG, ROLE_VALUES, type Role } from '../../lib/roles'
+
+interface Employee {
+  id: string
+  name: string
+  role: Role
+  active: boolean
+  hasPin: boolean
+  telegramChatId: string | null
+}
+
+export default function AdminPage() {
+  const [employees, setEmployees] = useState<Employee[]>([])
+  const [isLoading, setIsLoading] = useState(true)
+  const [accessError, setAccessError] = useState('')
+  const [newName, setNewName] = useState('')
+  const [newPin, setNewPin] = useState('')
+  const [newRole, setNewRole] = useState<Role>('reception')
+  const [isSaving, setIsSaving] = useState(false)
+
+  const loadEmployees = async () => {
+    try {
+      const res = await fetch('/api/employees?all=1')
+      if (res.status === 401 || res.status === 403) {
+        setAccessError(res.status === 401 ? 'กรุณาเข้าสู่ระบบก่อน' : 'หน้านี้สำหรับ admin เท่านั้น')
+        return
+      }
+      const result = await res.json()
+      setEmployees(result.data || [])
+    } catch (error) {
+      console.error('Error loading employees:', error)
+      setAccessError('โหลดรายชื่อพนักงานไม่สำเร็จ')
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  useEffect(() => {
+    loadEmployees()
+  }, [])
+
+  const updateEmployee = async (id: string, changes: Partial<Omit<Employee, 'telegramChatId'>> & { pin?: string; telegramChatId?: string }) => {
+    const res = await fetch('/api/employees', {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ id, ...changes })
+    })
+    const result = await res.json().catch(() => ({}))
+    if (!res.ok) {
+      alert(`บันทึกไม่สำเร็จ: ${result.error || 'เกิดข้อผิดพลาด'}`)
+      return false
+    }
+    await loadEmployees()
+    return true
+  }
+
+  const handleAdd = async () => {
+    if (!newName.trim() || !/^\d{4,20}$/.test(newPin)) {
+      alert('กรุณากรอกชื่อ และ PIN เป็นตัวเลข 4-20 หลัก')
+      return
+    }
+    setIsSaving(true)
+    try {
+      const res = await fetch('/api/employees', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name: newName.trim(), pin: newPin, role: newRole })
+      })
+      const result = await res.json().catch(() => ({}))
+      if (!res.ok) {
+        alert(`เพิ่มพนักงานไม่สำเร็จ: ${result.error || 'เกิดข้อผิดพลาด'}`)
+        return
+      }
+      setNewName('')
+      setNewPin('')
+      setNewRole('reception')
+      await loadEmployees()
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  const handleResetPin = async (employee: Employee) => {
+    const pin = window.prompt(`PIN ใหม่ของ ${employee.name} (ตัวเลข 4-20 หลัก)`)
+    if (pin === null) return
+    if (!/^\d{4,20}$/.test(pin)) {
+      alert('PIN ต้องเป็นตัวเลข 4-20 หลัก')
+      return
+    }
+    if (await updateEmployee(employee.id, { pin })) {
+      alert(`รีเซ็ต PIN ของ ${employee.name} แล้ว`)
+    }
+  }
+
+  // user id หาได้จากการพิมพ์ /id หาบอท
+  const handleLinkTelegram = async (employee: Employee) => {
+    const chatId = window.prompt(
+      `Telegram ID ของ ${employee.name} (ให้พิมพ์ /id หาบอทเพื่อดูเลข — เว้นว่าง = ยกเลิกการผูก)`,
+      employee.telegramChatId || ''
+    )
+    if (chatId === null) return
+    if (chatId.trim() && !/^\d{1,20}$/.test(chatId.trim())) {
+      alert('Telegram ID ต้องเป็นตัวเลข')
+      return
+    }
+    await updateEmployee(employee.id, { telegramChatId: chatId.trim() })
+  }
+
+  const handleToggleActive = async (employee: Employee) => {
+    if (employee.active && !confirm(`ปิดบัญชี ${employee.name}? (จะ login ไม่ได้ทันที)`)) return
+    await updateEmployee(employee.id, { active: !employee.active })
+  }
+
+  if (isLoading) {
+    return (
+      <div className="min-h-screen bg-slate-50 flex items-center justify-center">
+        <div className="animate-spin w-10 h-10 border-4 border-blue-500 border-t-transparent rounded-full"></div>
+      </div>
+    )
+  }
+
+  if (accessError) {
+    return (
+      <div className="min-h-screen bg-slate-50 flex items-center justify-center p-4">
+        <div className="bg-white rounded-2xl shadow p-8 text-center space-y-4">
+          <p className="text-slate-700">{accessError}</p>
+          <a href="/" className="inline-block bg-blue-500 hover:bg-blue-600 text-white px-4 py-2 rounded-xl text-sm font-medium">
+            กลับหน้าหลัก
+          </a>
+        </div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="min-h-screen bg-slate-50">
+      <header className="bg-white shadow-sm sticky top-0 z-40">
+        <div className="max-w-3xl mx-auto px-4 py-3 flex items-center justify-between">
+          <h1 className="text-lg font-bold text-slate-800">⚙️ จัดการพนักงาน</h1>
+          <a href="/" className="bg-slate-100 hover:bg-slate-200 text-slate-600 px-3 py-2 rounded-xl text-sm">
+            ← กลับหน้าหลัก
+          </a>
+        </div>
+      </header>
+
+      <main className="max-w-3xl mx-auto px-4 py-4 space-y-4">
+        {/* เพิ่มพนักงาน */}
+        <div className="bg-white rounded-2xl shadow-sm p-4 space-y-3">
+          <h2 className="font-semibold text-slate-700">เพิ่มพนักงาน</h2>
+          <div className="flex flex-wrap gap-2">
+            <input
+              type="text"
+              placeholder="ชื่อ เช่น คุณสมชาย"
+              value={newName}
+              onChange={(e) => setNewName(e.target.value)}
+              className="flex-1 min-w-[10rem] px-4 py-2 border-2 border-slate-200 rounded-xl text-sm bg-slate-50 focus:ring-2 focus:ring-blue-500 outline-none"
+            />
+            <input
+              type="password"
+              placeholder="PIN"
+              value={newPin}
+              onChange={(e) => setNewPin(e.target.value)}
+              inputMode="numeric"
+              maxLength={20}
+              className="w-32 px-4 py-2 border-2 border-slate-200 rounded-xl text-sm bg-slate-50 focus:ring-2 focus:ring-blue-500 outline-none"
+            />
+            <select
+              value={newRole}
+              onChange={(e) => setNewRole(e.target.value as Role)}
+              className="px-3 py-2 border-2 border-slate-200 rounded-xl text-sm bg-slate-50 focus:ring-2 focus:ring-blue-500 outline-none"
+            >
+              {ROLE_VALUES.map(role => (
+                <option key={role} value={role}>{ROLE_CONFIG[role].icon} {ROLE_CONFIG[role].label}</option>
+              ))}
+            </select>
+            <button
+              onClick={handleAdd}
+              disabled={isSaving}
+              className="bg-blue-500 hover:bg-blue-600 disabled:opacity-50 text-white px-4 py-2 rounded-xl text-sm font-medium"
+            >
+              + เพิ่ม
+            </button>
+          </div>
+        </div>
+
+        {/* รายชื่อพนักงาน */}
+        <div className="bg-white rounded-2xl shadow-sm divide-y divide-slate-100">
+          {employees.map(employee => (
+            <div key={employee.id} className={`flex items-center justify-between gap-2 p-4 ${employee.active ? '' : 'opacity-50'}`}>
+              <div>
+                <p className="font-medium text-slate-800">
+                  {employee.name}
+                  {!employee.active && <span className="ml-2 text-xs bg-slate-200 text-slate-600 px-2 py-0.5 rounded-full">ปิดบัญชี</span>}
+                </p>
+                <p className="text-xs text-slate-500">{ROLE_CONFIG[employee.role].icon} {ROLE_CONFIG[employee.role].label}</p>
+                {!employee.hasPin && <p className="text-xs text-red-500">ยังไม่ได้ตั้ง PIN — login ไม่ได้</p>}
+                {employee.telegramChatId && <p className="text-xs text-sky-600">💬 ผูก Telegram แล้ว ({employee.telegramChatId})</p>}
+              </div>
+              <div className="flex gap-2">
+                <button
+                  onClick={() => handleResetPin(employee)}
+                  className="bg-slate-100 hover:bg-slate-200 text-slate-600 px-3 py-1.5 rounded-lg text-xs"
+                >
+                  🔑 ตั้ง PIN
+                </button>
+                <button
+                  onClick={() => handleLinkTelegram(employee)}
+                  className="bg-slate-100 hover:bg-slate-200 text-slate-600 px-3 py-1.5 rounded-lg text-xs"
+                >
+                  💬 Telegram
+                </button>
+                <select
+                  value={employee.role}
+                  onChange={(e) => updateEmployee(employee.id, { role: e.target.value as Role })}
+                  className="bg-slate-100 hover:bg-slate-200 text-slate-600 px-2 py-1.5 rounded-lg text-xs outline-none"
+                  title="เปลี่ยนบทบาท"
+                >
+                  {ROLE_VALUES.map(role => (
+                    <option key={role} value={role}>{ROLE_CONFIG[role].label}</option>
+                  ))}
+                </select>
+                <button
+                  onClick={() => handleToggleActive(employee)}
+                  className={`px-3 py-1.5 rounded-lg text-xs ${employee.active ? 'bg-red-50 hover:bg-red-100 text-red-600' : 'bg-green-50 hover:bg-green-100 text-green-600'}`}
+                >
+                  {employee.active ? 'ปิดบัญชี' : 'เปิดบัญชี'}
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      </main>
+    </div>
+  )
+}
@@ -0,0 +1,27 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+import { apiRequest, expectStatus } from '@/test/api'
+import { extractJobFromImage } from '@/lib/integrations/gemini'
+import { suggestCustomers } from '@/lib/repositories/customers'
+import { POST } from './route'
+
+vi.mock('@/lib/integrations/gemini')
+vi.mock('@/lib/repositories/customers')
+
+const image = { imageBase64: 'data:image/jpeg;base64,/9j/' }
+
+beforeEach(() => {
+  vi.mocked(extractJobFromImage).mockResolvedValue({ shopName: 'ร้านทดสอบ', phone: '081-234-5678', address: 'สีลม' })
+  vi.mocked(suggestCustomers).mockResolvedValue([])
+})
+
+describe('POST /api/ai/analyze-image', () => {
+  it('200 ไม่ login — ไม่แนะนำลูกค้าในสมุดรายชื่อ', async () => {
+    await expectStatus(await POST(apiRequest('/api/ai/analyze-image', { method: 'POST', body: image })), 200)
+    expect(suggestCustomers).not.toHaveBeenCalled()
+  })
+
+  it('200 login แล้ว — แนะนำลูกค้าที่น่าจะตรงกัน', async () => {
+    await expectStatus(await POST(apiRequest('/api/ai/analyze-image', { method: 'POST', role: 'technician', body: image })), 200)
+    expect(suggestCustomers).toHaveBeenCalledWith({ name: 'ร้านทดสอบ', phone: '081-234-5678', address: 'สีลม' })
+  })
+})
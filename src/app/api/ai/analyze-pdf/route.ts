@@ -1,10 +1,10 @@
 import { NextRequest, NextResponse } from 'next/server'
-import { checkRateLimit, rateLimitResponse } from '@/lib/api-middleware'
+import { withRateLimit, isAuthenticated } from '@/lib/api-middleware'
+import { suggestCustomers } from '@/lib/repositories/customers'
 
 export const maxDuration = 60
 
-export async function POST(req: NextRequest) {
-  if (!checkRateLimit(req)) return rateLimitResponse()
+async function analyzePdf(req: NextRequest) {
   try {
     const { pdfBase64 } = await req.json()
 
@@ -62,9 +62,16 @@ export async function POST(req: NextRequest) {
     const resultText = jsonData.candidates[0].content.parts[0].text
     const data = JSON.parse(resultText)
 
-    return NextResponse.json({ success: true, data })
+    // ลูกค้าในสมุดรายชื่อที่น่าจะตรงกัน (เฉพาะคนที่ login — มีเบอร์/ที่อยู่ลูกค้า)
+    const customerMatches = (await isAuthenticated(req))
+      ? await suggestCustomers({ name: data.shopName, phone: data.phone, address: data.address })
+      : []
+
+    return NextResponse.json({ success: true, data, customerMatches })
   } catch (error: any) {
     console.error('AI PDF Analysis Error:', error)
     return NextResponse.json({ success: false, error: error.message }, { status: 500 })
   }
 }
+
+export const POST = withRateLimit(analyzePdf)
@@ -0,0 +1,29 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+import { apiRequest, expectStatus } from '@/test/api'
+import { extractJobFromText } from '@/lib/integrations/gemini'
+import { suggestCustomers } from '@/lib/repositories/customers'
+import { POST } from './route'
+
+vi.mock('@/lib/integrations/gemini')
+vi.mock('@/lib/repositories/customers')
+
+const text = 'ร้านทดสอบ สีลม แอร์ไม่เย็น 081-234-5678'
+
+beforeEach(() => {
+  vi.mocked(extractJobFromText).mockResolvedValue({ customerName: 'ร้านทดสอบ', phone: '081-234-5678', address: 'สีลม' })
+  vi.mocked(suggestCustomers).mockResolvedValue([])
+})
+
+// หน้าเปิดงานจากลิงก์สาธารณะใช้ได้ — ต้อง login เฉพาะส่วนที่อ่านสมุดรายชื่อลูกค้า
+describe('POST /api/ai/analyze', () => {
+  it('200 ไม่ login — ไม่แนะนำลูกค้าในสมุดรายชื่อ', async () => {
+    const body = await expectStatus(await POST(apiRequest('/api/ai/analyze', { method: 'POST', body: { text } })), 200)
+    expect(body.customerMatches).toEqual([])
+    expect(suggestCustomers).not.toHaveBeenCalled()
+  })
+
+  it('200 login แล้ว — แนะนำลูกค้าที่น่าจะตรงกัน', async () => {
+    await expectStatus(await POST(apiRequest('/api/ai/analyze', { method: 'POST', role: 'reception', body: { text } })), 200)
+    expect(suggestCustomers).toHaveBeenCalledWith({ name: 'ร้านทดสอบ', phone: '081-234-5678', address: 'สีลม' })
+  })
+})
@@ -0,0 +1,14 @@
+import { describe, expect, it } from 'vitest'
+import { apiRequest, expectStatus } from '@/test/api'
+import { GET } from './route'
+
+describe('GET /api/auth/session', () => {
+  it('401 เมื่อไม่มี session', async () => {
+    await expectStatus(await GET(apiRequest('/api/auth/session')), 401)
+  })
+
+  it('200 คืนข้อมูลพนักงานที่ login', async () => {
+    const body = await expectStatus(await GET(apiRequest('/api/auth/session', { role: 'quotation' })), 200)
+    expect(body.data).toMatchObject({ employeeId: 'emp-quotation', role: 'quotation' })
+  })
+})
@@ -0,0 +1,23 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { withRateLimit, unauthorizedResponse } from '@/lib/api-middleware'
+import { getSession, clearSessionCookie } from '@/lib/auth'
+
+// GET - พนักงานที่ login อยู่ (ใช้ restore session ตอนเปิดหน้าเว็บ)
+async function readSession(request: NextRequest) {
+  try {
+    const session = await getSession(request)
+    if (!session) return unauthorizedResponse()
+    return NextResponse.json({ data: session })
+  } catch (error: unknown) {
+    console.error('Error reading session:', error)
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error'
+    return NextResponse.json({ error: 'Failed to read session', details: errorMessage }, { status: 500 })
+  }
+}
+
+export const GET = withRateLimit(readSession)
+
+// DELETE - ออกจากระบบ
+export async function DELETE() {
+  return clearSessionCookie(NextResponse.json({ success: true }))
+}
@@ -0,0 +1,32 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+import { apiRequest, expectStatus } from '@/test/api'
+import { hashPin } from '@/lib/auth'
+import { getEmployeePinHash } from '@/lib/repositories/employees'
+import { POST } from './route'
+
+const pinHash = hashPin('2468')
+
+beforeEach(() => {
+  vi.mocked(getEmployeePinHash).mockImplementation(async id => (id === 'emp-technician' ? pinHash : null))
+})
+
+describe('POST /api/auth/verify-pin', () => {
+  it('200 + ตั้ง session cookie เมื่อ PIN ถูก', async () => {
+    const response = await POST(apiRequest('/api/auth/verify-pin', { method: 'POST', body: { employeeId: 'emp-technician', pin: '2468' } }))
+    const body = await expectStatus(response, 200)
+    expect(body.data).toEqual({ employeeId: 'emp-technician', name: 'ทดสอบ technician', role: 'technician' })
+    expect(response.headers.get('set-cookie')).toMatch(/^session=.+HttpOnly/i)
+  })
+
+  it('401 เมื่อ PIN ผิด หรือพนักงานไม่มี PIN — ข้อความเดียวกัน (ไม่บอกว่ามีบัญชีไหม)', async () => {
+    const wrong = await expectStatus(await POST(apiRequest('/api/auth/verify-pin', { method: 'POST', body: { employeeId: 'emp-technician', pin: '1357' } })), 401)
+    const unknown = await expectStatus(await POST(apiRequest('/api/auth/verify-pin', { method: 'POST', body: { employeeId: 'emp-ghost', pin: '2468' } })), 401)
+    expect(unknown).toEqual(wrong)
+  })
+
+  it('429 เมื่อเดา PIN บัญชีเดียวเกิน 10 ครั้ง แม้เปลี่ยน IP ไปเรื่อยๆ', async () => {
+    const guess = () => POST(apiRequest('/api/auth/verify-pin', { method: 'POST', body: { employeeId: 'emp-admin', pin: '0000' } }))
+    for (let i = 0; i < 10; i++) await expectStatus(await guess(), 401)
+    await expectStatus(await guess(), 429)
+  })
+})
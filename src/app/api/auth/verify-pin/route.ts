@@ -1,39 +1,20 @@
 import { NextRequest, NextResponse } from 'next/server'
 import { z } from 'zod'
-import { checkRateLimit, rateLimitResponse } from '@/lib/api-middleware'
+import { withRateLimit, rateLimitResponse, getClientIp } from '@/lib/api-middleware'
+import { consumeRateLimit, type RateLimitRule } from '@/lib/rate-limit'
+import { verifyPin, setSessionCookie } from '@/lib/auth'
+import { getEmployee, getEmployeePinHash } from '@/lib/repositories/employees'
 
 const PinSchema = z.object({
+  employeeId: z.string().min(1),
   pin: z.string().min(4).max(20),
 })
 
-// Rate limit แบบเข้มข้นกว่าปกติสำหรับ auth endpoint
-const authAttempts = new Map<string, { count: number; resetAt: number }>()
-
-function checkAuthRateLimit(request: NextRequest): boolean {
-  const forwarded = request.headers.get('x-forwarded-for')
-  const ip = forwarded ? (forwarded.split(',')[0]?.trim() ?? 'unknown') : 'unknown'
-  const now = Date.now()
-  const entry = authAttempts.get(ip)
-
-  if (!entry || now > entry.resetAt) {
-    authAttempts.set(ip, { count: 1, resetAt: now + 15 * 60 * 1000 }) // 15 นาที
-    return true
-  }
-
-  if (entry.count >= 10) return false // max 10 ครั้งต่อ 15 นาที
-  entry.count++
-  return true
-}
-
-export async function POST(request: NextRequest) {
-  if (!checkRateLimit(request)) return rateLimitResponse()
-  if (!checkAuthRateLimit(request)) {
-    return NextResponse.json(
-      { error: 'Too many PIN attempts. Try again in 15 minutes.' },
-      { status: 429 }
-    )
-  }
+// Rate limit แบบเข้มข้นกว่าปกติสำหรับการเดา PIN — นับแยกต่อ IP และต่อบัญชี
+// (กันทั้งเดาจาก IP เดียว และเปลี่ยน IP ไปเรื่อยๆ เดาบัญชีเดียว) เก็บใน store เดียวกับ rate limit อื่น
+const PIN_ATTEMPT_LIMIT: RateLimitRule = { limit: 10, windowMs: 15 * 60 * 1000 } // 10 ครั้งต่อ 15 นาที
 
+async function login(request: NextRequest) {
   try {
     const body = await request.json()
     const validated = PinSchema.safeParse(body)
@@ -41,15 +22,26 @@ export async function POST(request: NextRequest) {
       return NextResponse.json({ error: 'Invalid request' }, { status: 400 })
     }
 
-    const correctPin = process.env['STORE_PIN'] || '123456'
-    const isValid = validated.data.pin === correctPin
+    const { employeeId, pin } = validated.data
+
+    const byIp = await consumeRateLimit(`pin:ip:${getClientIp(request)}`, PIN_ATTEMPT_LIMIT)
+    const byEmployee = await consumeRateLimit(`pin:employee:${employeeId}`, PIN_ATTEMPT_LIMIT)
+    const blocked = [byIp, byEmployee].find(result => !result.allowed)
+    if (blocked) return rateLimitResponse(blocked)
 
-    if (!isValid) {
+    const pinHash = await getEmployeePinHash(employeeId)
+    const employee = pinHash && verifyPin(pin, pinHash) ? await getEmployee(employeeId) : null
+
+    if (!employee) {
       return NextResponse.json({ error: 'PIN ไม่ถูกต้อง' }, { status: 401 })
     }
 
-    return NextResponse.json({ success: true })
-  } catch {
+    const session = { employeeId: employee.id, name: employee.name, role: employee.role }
+    return setSessionCookie(NextResponse.json({ success: true, data: session }), session)
+  } catch (error) {
+    console.error('Login error:', error)
     return NextResponse.json({ error: 'Server error' }, { status: 500 })
   }
 }
+
+export const POST = withRateLimit(login)
@@ -0,0 +1,30 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { withRateLimit } from '@/lib/api-middleware'
+import { syncCalendarChanges, verifyCalendarNotification } from '@/lib/calendar-sync'
+
+// POST - Google แจ้งว่ามี event เปลี่ยน (watch channel ที่เปิดจาก /api/calendar/sync)
+// ไม่มี session — เช็คด้วย channel id + token ที่ตั้งไว้ตอนเปิด channel แทน
+async function receiveNotification(request: NextRequest) {
+  try {
+    const channelId = request.headers.get('x-goog-channel-id') || ''
+    const token = request.headers.get('x-goog-channel-token') || ''
+    if (!(await verifyCalendarNotification(channelId, token))) {
+      return NextResponse.json({ error: 'Unknown channel' }, { status: 403 })
+    }
+
+    // "sync" = ข้อความแรกตอนเปิด channel ยังไม่มีอะไรเปลี่ยน
+    if (request.headers.get('x-goog-resource-state') === 'sync') {
+      return NextResponse.json({ success: true })
+    }
+
+    const data = await syncCalendarChanges()
+    return NextResponse.json({ success: true, data: { updated: data.updated.length, skipped: data.skipped.length } })
+  } catch (error: unknown) {
+    // ตอบ 500 → Google ส่งซ้ำให้เองแบบ backoff
+    console.error('Error handling calendar notification:', error)
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error'
+    return NextResponse.json({ error: 'Failed to sync calendar', details: errorMessage }, { status: 500 })
+  }
+}
+
+export const POST = withRateLimit(receiveNotification)
@@ -0,0 +1,51 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+import { apiRequest, expectStatus } from '@/test/api'
+import { makeServiceRequest } from '@/test/fixtures'
+import { deleteCalendarEvent } from '@/lib/integrations/calendar'
+import { kickOutboxWorker } from '@/lib/outbox'
+import { findServiceRequestByCalendarEventId, updateServiceRequest } from '@/lib/repositories/service-requests'
+import { DELETE } from './route'
+
+vi.mock('@/lib/integrations/calendar')
+vi.mock('@/lib/outbox')
+vi.mock('@/lib/repositories/service-requests')
+
+const linked = makeServiceRequest({ calendarEventId: 'evt-1' })
+
+beforeEach(() => {
+  vi.mocked(deleteCalendarEvent).mockResolvedValue(undefined)
+  vi.mocked(findServiceRequestByCalendarEventId).mockResolvedValue(linked)
+  vi.mocked(updateServiceRequest).mockResolvedValue({ ...linked, calendarEventId: '' })
+})
+
+describe('DELETE /api/calendar', () => {
+  it('401 เมื่อไม่มี session', async () => {
+    await expectStatus(await DELETE(apiRequest('/api/calendar?eventId=evt-1', { method: 'DELETE' })), 401)
+  })
+
+  it('403 สำหรับ role ที่ลบงานไม่ได้', async () => {
+    await expectStatus(await DELETE(apiRequest('/api/calendar?eventId=evt-1', { method: 'DELETE', role: 'reception' })), 403)
+    expect(deleteCalendarEvent).not.toHaveBeenCalled()
+  })
+
+  it('400 เมื่อไม่ระบุ eventId', async () => {
+    await expectStatus(await DELETE(apiRequest('/api/calendar', { method: 'DELETE', role: 'admin' })), 400)
+  })
+
+  it('ลบ event แล้วปลดการผูกจากงาน — อัปเดตแค่แถวใน Sheet ไม่สร้าง event ใหม่', async () => {
+    const body = await expectStatus(await DELETE(apiRequest('/api/calendar?eventId=evt-1', { method: 'DELETE', role: 'admin' })), 200)
+    expect(body.data).toEqual({ eventId: 'evt-1', requestId: 'req-1' })
+    expect(deleteCalendarEvent).toHaveBeenCalledWith('evt-1')
+    expect(updateServiceRequest).toHaveBeenCalledWith(
+      'req-1', { calendarEventId: '', calendarEventUrl: '' }, { by: 'ทดสอบ admin', source: 'web' }, 'sheet_refresh'
+    )
+    expect(kickOutboxWorker).toHaveBeenCalled()
+  })
+
+  it('event ที่ไม่มีงานผูก → ลบอย่างเดียว', async () => {
+    vi.mocked(findServiceRequestByCalendarEventId).mockResolvedValue(null)
+    const body = await expectStatus(await DELETE(apiRequest('/api/calendar?eventId=evt-9', { method: 'DELETE', role: 'admin' })), 200)
+    expect(body.data).toEqual({ eventId: 'evt-9', requestId: null })
+    expect(updateServiceRequest).not.toHaveBeenCalled()
+  })
+})
@@ -1,180 +1,38 @@
-import { google } from 'googleapis'
 import { NextRequest, NextResponse } from 'next/server'
-import { z } from 'zod'
-import { checkRateLimit, rateLimitResponse } from '@/lib/api-middleware'
-
-const CalendarSchema = z.object({
-  requestNo: z.string().min(1),
-  customerName: z.string().min(1).max(200),
-  phone: z.string().max(100),           // เพิ่มจาก 20 → รองรับหลายเบอร์ต่อกัน
-  address: z.string().max(1000).optional(), // เพิ่มจาก 500 → ที่อยู่ยาว
-  serviceType: z.string().max(100),
-  description: z.string().max(10000).optional(), // เพิ่มจาก 2000 → รายละเอียดใบเสนอราคา
-  appointmentDate: z.string().min(1),
-  eventId: z.string().optional(),
-})
-
-// Initialize Google Calendar client
-async function getGoogleCalendarClient() {
-    const auth = new google.auth.GoogleAuth({
-        credentials: {
-            client_email: process.env['GOOGLE_SERVICE_ACCOUNT_EMAIL'],
-            private_key: process.env['GOOGLE_PRIVATE_KEY']?.replace(/\\n/g, '\n'),
-        },
-        scopes: ['https://www.googleapis.com/auth/calendar.events', 'https://www.googleapis.com/auth/calendar'],
-    })
-
-    return google.calendar({ version: 'v3', auth })
-}
-
-export async function POST(request: NextRequest) {
-    if (!checkRateLimit(request)) return rateLimitResponse()
-    try {
-        const body = await request.json()
-        const validated = CalendarSchema.safeParse(body)
-        if (!validated.success) {
-          return NextResponse.json({ error: 'Invalid request data' }, { status: 400 })
-        }
-        const { requestNo, customerName, phone, address, serviceType, description, appointmentDate } = validated.data
-
-        const calendar = await getGoogleCalendarClient()
-        const calendarId = process.env['GOOGLE_CALENDAR_ID']
-
-        if (!calendarId) {
-            return NextResponse.json(
-                { error: 'GOOGLE_CALENDAR_ID not configured' },
-                { status: 500 }
-            )
-        }
-
-        if (!appointmentDate) {
-            return NextResponse.json({ error: 'appointmentDate is required' }, { status: 400 })
-        }
-
-        // Prepare start and end time (Bangkok timezone UTC+7)
-        let startDate: Date
-        const hasTimezone = appointmentDate.includes('+') || appointmentDate.endsWith('Z')
-
-        if (hasTimezone) {
-            // Already has timezone info → parse directly
-            startDate = new Date(appointmentDate)
-        } else if (appointmentDate.length <= 10) {
-            // Date only (YYYY-MM-DD) → default 09:00 Bangkok time
-            startDate = new Date(`${appointmentDate}T09:00:00+07:00`)
-        } else {
-            // datetime-local format "2026-03-18T18:00" → treat as Bangkok time
-            startDate = new Date(`${appointmentDate}+07:00`)
-        }
-
-        const endDate = new Date(startDate.getTime() + 2 * 60 * 60 * 1000) // +2 hours
-
-        // Prepare Event details
-        const eventSummary = `[รอจัดช่าง] ${customerName} - ${serviceType}`
-        let eventDescription = `เลขที่งาน: ${requestNo}\nลูกค้า: ${customerName}\nเบอร์โทร: ${phone}`
-
-        if (address) {
-            eventDescription += `\nสถานที่: ${address}`
-        }
-        if (description) {
-            eventDescription += `\nอาการ/รายละเอียด: ${description}`
-        }
-        eventDescription += `\n\n**กรุณาเปลี่ยนชื่อหัวข้อเพื่อระบุตัวช่างที่รับผิดชอบ**`
-
-        const event = {
-            summary: eventSummary,
-            location: address || '',
-            description: eventDescription,
-            start: {
-                dateTime: startDate.toISOString(),
-                timeZone: 'Asia/Bangkok',
-            },
-            end: {
-                dateTime: endDate.toISOString(),
-                timeZone: 'Asia/Bangkok',
-            },
-            colorId: '5' // Yellow color for pending
-        }
-
-        const response = await calendar.events.insert({
-            calendarId: calendarId,
-            requestBody: event,
-        })
-
-        return NextResponse.json({ success: true, data: { eventId: response.data.id, eventUrl: response.data.htmlLink } })
-    } catch (error: any) {
-        console.error('Error creating Google Calendar event:', error)
-        return NextResponse.json(
-            { error: 'Failed to create calendar event', details: error.message },
-            { status: 500 }
-        )
+import type { Session } from '@/lib/auth'
+import { withRateLimit, withAuth, getAuditContext, type Actor } from '@/lib/api-middleware'
+import { deleteCalendarEvent } from '@/lib/integrations/calendar'
+import { kickOutboxWorker } from '@/lib/outbox'
+import { findServiceRequestByCalendarEventId, updateServiceRequest } from '@/lib/repositories/service-requests'
+import { canDeleteRequests } from '@/lib/roles'
+
+// สร้าง/แก้ event ไม่มี endpoint ของตัวเอง — บันทึกงานผ่าน /api/requests แล้ว outbox (calendar.upsert)
+// สร้าง/อัปเดต event และเก็บ eventId ลงงานให้เอง (event ที่ไม่มีงานผูก sweep จะลบทิ้ง)
+
+// DELETE - ลบ event (?eventId=) ถ้ามีงานผูกอยู่จะปลดการผูกด้วย
+async function removeEvent(request: NextRequest, actor: Actor) {
+  try {
+    const eventId = new URL(request.url).searchParams.get('eventId')
+    if (!eventId) {
+      return NextResponse.json({ error: 'eventId is required' }, { status: 400 })
     }
-}
-
-// PUT - Update existing event, if deleted → create new one
-export async function PUT(request: NextRequest) {
-    try {
-        const body = await request.json()
-        const { eventId, requestNo, customerName, phone, address, serviceType, description, appointmentDate } = body
-
-        const calendar = await getGoogleCalendarClient()
-        const calendarId = process.env['GOOGLE_CALENDAR_ID']
-
-        if (!calendarId) {
-            return NextResponse.json({ error: 'GOOGLE_CALENDAR_ID not configured' }, { status: 500 })
-        }
 
-        if (!appointmentDate) {
-            return NextResponse.json({ error: 'appointmentDate is required' }, { status: 400 })
-        }
+    await deleteCalendarEvent(eventId)
 
-        // Parse date with Bangkok timezone
-        const hasTimezone = appointmentDate.includes('+') || appointmentDate.endsWith('Z')
-        let startDate: Date
-        if (hasTimezone) {
-            startDate = new Date(appointmentDate)
-        } else if (appointmentDate.length <= 10) {
-            startDate = new Date(`${appointmentDate}T09:00:00+07:00`)
-        } else {
-            startDate = new Date(`${appointmentDate}+07:00`)
-        }
-        const endDate = new Date(startDate.getTime() + 2 * 60 * 60 * 1000)
-
-        const eventSummary = `[รอจัดช่าง] ${customerName} - ${serviceType}`
-        let eventDescription = `เลขที่งาน: ${requestNo}\nลูกค้า: ${customerName}\nเบอร์โทร: ${phone}`
-        if (address) eventDescription += `\nสถานที่: ${address}`
-        if (description) eventDescription += `\nอาการ/รายละเอียด: ${description}`
-        eventDescription += `\n\n**กรุณาเปลี่ยนชื่อหัวข้อเพื่อระบุตัวช่างที่รับผิดชอบ**`
-
-        const event = {
-            summary: eventSummary,
-            location: address || '',
-            description: eventDescription,
-            start: { dateTime: startDate.toISOString(), timeZone: 'Asia/Bangkok' },
-            end: { dateTime: endDate.toISOString(), timeZone: 'Asia/Bangkok' },
-            colorId: '5',
-        }
-
-        // Try update first, if event was deleted → create new one
-        if (eventId) {
-            try {
-                const response = await calendar.events.update({
-                    calendarId,
-                    eventId,
-                    requestBody: event,
-                })
-                return NextResponse.json({ success: true, data: { eventId: response.data.id, eventUrl: response.data.htmlLink } })
-            } catch (updateError: any) {
-                // Event not found (deleted) → fall through to create new
-                if (updateError.code !== 404 && updateError.status !== 404) throw updateError
-            }
-        }
-
-        // Create new event (either no eventId or old one was deleted)
-        const response = await calendar.events.insert({ calendarId, requestBody: event })
-        return NextResponse.json({ success: true, data: { eventId: response.data.id, eventUrl: response.data.htmlLink } })
-
-    } catch (error: any) {
-        console.error('Error updating Google Calendar event:', error)
-        return NextResponse.json({ error: 'Failed to update calendar event', details: error.message }, { status: 500 })
+    const linked = await findServiceRequestByCalendarEventId(eventId)
+    if (linked) {
+      await updateServiceRequest(linked.id, { calendarEventId: '', calendarEventUrl: '' }, getAuditContext(actor), 'sheet_refresh')
+      kickOutboxWorker()
     }
+    return NextResponse.json({ success: true, data: { eventId, requestId: linked?.id ?? null } })
+  } catch (error: unknown) {
+    console.error('Error deleting Google Calendar event:', error)
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error'
+    return NextResponse.json({ error: 'Failed to delete calendar event', details: errorMessage }, { status: 500 })
+  }
 }
+
+export const DELETE = withRateLimit(withAuth(removeEvent, {
+  authorize: (session: Session) => canDeleteRequests(session.role),
+  forbiddenMessage: 'ไม่มีสิทธิ์ลบนัดหมาย',
+}))
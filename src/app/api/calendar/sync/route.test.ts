@@ -0,0 +1,48 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+import { apiRequest, expectStatus } from '@/test/api'
+import { getCalendarSyncStatus, syncCalendarChanges } from '@/lib/calendar-sync'
+import { GET, POST } from './route'
+
+vi.mock('@/lib/calendar-sync')
+
+beforeEach(() => {
+  vi.mocked(getCalendarSyncStatus).mockResolvedValue({
+    calendarId: 'primary',
+    hasSyncToken: true,
+    lastSyncedAt: '2026-10-19T00:00:00.000Z',
+    channelId: null,
+    channelExpiresAt: null,
+  })
+  vi.mocked(syncCalendarChanges).mockResolvedValue({ fullSync: false, scanned: 0, updated: [], skipped: [] })
+})
+
+describe('GET /api/calendar/sync', () => {
+  it('401 เมื่อไม่มี session', async () => {
+    await expectStatus(await GET(apiRequest('/api/calendar/sync')), 401)
+  })
+
+  it('403 สำหรับ role ที่ไม่ใช่ admin', async () => {
+    await expectStatus(await GET(apiRequest('/api/calendar/sync', { role: 'reception' })), 403)
+  })
+
+  it('200 สำหรับ admin', async () => {
+    const body = await expectStatus(await GET(apiRequest('/api/calendar/sync', { role: 'admin' })), 200)
+    expect(body.data.hasSyncToken).toBe(true)
+  })
+})
+
+describe('POST /api/calendar/sync', () => {
+  it('401 เมื่อไม่มี session', async () => {
+    await expectStatus(await POST(apiRequest('/api/calendar/sync', { method: 'POST', body: { action: 'sync' } })), 401)
+  })
+
+  it('403 สำหรับ role ที่ไม่ใช่ admin', async () => {
+    await expectStatus(await POST(apiRequest('/api/calendar/sync', { method: 'POST', role: 'reception', body: { action: 'sync' } })), 403)
+    expect(syncCalendarChanges).not.toHaveBeenCalled()
+  })
+
+  it('200 สำหรับ admin', async () => {
+    await expectStatus(await POST(apiRequest('/api/calendar/sync', { method: 'POST', role: 'admin', body: { action: 'sync' } })), 200)
+    expect(syncCalendarChanges).toHaveBeenCalled()
+  })
+})
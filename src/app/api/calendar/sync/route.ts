@@ -0,0 +1,71 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { z } from 'zod'
+import type { Session } from '@/lib/auth'
+import { withRateLimit, withAuth } from '@/lib/api-middleware'
+import {
+  getCalendarSyncStatus,
+  startCalendarWatch,
+  stopCalendarWatch,
+  sweepOrphanCalendarEvents,
+  syncCalendarChanges,
+} from '@/lib/calendar-sync'
+import { canManageEmployees } from '@/lib/roles'
+
+const ActionSchema = z.discriminatedUnion('action', [
+  // ดึงการเปลี่ยนแปลงจาก Google Calendar ตอนนี้ (ให้ cron เรียกด้วย x-api-secret ถ้าไม่ใช้ watch)
+  z.object({ action: z.literal('sync') }),
+  // เปิด/ต่ออายุ watch channel — address ไม่ระบุ = /api/calendar/notify ของ host นี้ (ต้องเป็น https)
+  z.object({ action: z.literal('watch'), address: z.string().url().optional() }),
+  z.object({ action: z.literal('stop') }),
+  // หา event ที่ระบบสร้างแต่ไม่มีงานแล้ว — apply: true = ลบด้วย (ไม่ส่ง = แค่รายงาน)
+  z.object({ action: z.literal('sweep'), apply: z.boolean().optional() }),
+])
+
+// GET - สถานะการ sync (ครั้งล่าสุด / watch channel หมดอายุเมื่อไร)
+async function fetchStatus() {
+  try {
+    return NextResponse.json({ data: await getCalendarSyncStatus() })
+  } catch (error: unknown) {
+    console.error('Error loading calendar sync status:', error)
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error'
+    return NextResponse.json({ error: 'Failed to load calendar sync status', details: errorMessage }, { status: 500 })
+  }
+}
+
+// POST - sync / watch / stop / sweep
+async function runAction(request: NextRequest) {
+  try {
+    const body = await request.json()
+    const validated = ActionSchema.safeParse(body)
+    if (!validated.success) {
+      return NextResponse.json({ error: 'Invalid request data', details: validated.error.flatten() }, { status: 400 })
+    }
+
+    switch (validated.data.action) {
+      case 'sync':
+        return NextResponse.json({ success: true, data: await syncCalendarChanges() })
+      case 'watch': {
+        const address = validated.data.address || `${new URL(request.url).origin}/api/calendar/notify`
+        return NextResponse.json({ success: true, data: await startCalendarWatch(address) })
+      }
+      case 'stop':
+        await stopCalendarWatch()
+        return NextResponse.json({ success: true, data: await getCalendarSyncStatus() })
+      case 'sweep':
+        return NextResponse.json({ success: true, data: await sweepOrphanCalendarEvents({ apply: validated.data.apply }) })
+    }
+  } catch (error: unknown) {
+    console.error('Error syncing Google Calendar:', error)
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error'
+    return NextResponse.json({ error: 'Failed to sync calendar', details: errorMessage }, { status: 500 })
+  }
+}
+
+const adminOnly = {
+  authorize: (session: Session) => canManageEmployees(session.role),
+  forbiddenMessage: 'เฉพาะ admin เท่านั้น',
+}
+
+export const GET = withRateLimit(withAuth(fetchStatus, adminOnly))
+
+export const POST = withRateLimit(withAuth(runAction, adminOnly))
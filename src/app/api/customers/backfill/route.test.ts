@@ -0,0 +1,26 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+import { apiRequest, expectStatus } from '@/test/api'
+import { backfillCustomerLinks } from '@/lib/repositories/customers'
+import { POST } from './route'
+
+vi.mock('@/lib/repositories/customers')
+
+beforeEach(() => {
+  vi.mocked(backfillCustomerLinks).mockResolvedValue({ linked: 3, failed: [] })
+})
+
+describe('POST /api/customers/backfill', () => {
+  it('401 เมื่อไม่มี session', async () => {
+    await expectStatus(await POST(apiRequest('/api/customers/backfill', { method: 'POST' })), 401)
+  })
+
+  it('403 สำหรับ role ที่ไม่ใช่ admin', async () => {
+    await expectStatus(await POST(apiRequest('/api/customers/backfill', { method: 'POST', role: 'reception' })), 403)
+    expect(backfillCustomerLinks).not.toHaveBeenCalled()
+  })
+
+  it('200 สำหรับ admin', async () => {
+    const body = await expectStatus(await POST(apiRequest('/api/customers/backfill', { method: 'POST', role: 'admin' })), 200)
+    expect(body.data.linked).toBe(3)
+  })
+})
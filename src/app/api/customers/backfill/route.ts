@@ -0,0 +1,24 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { withRateLimit, withAuth, getAuditContext, type Actor } from '@/lib/api-middleware'
+import type { Session } from '@/lib/auth'
+import { canManageEmployees } from '@/lib/roles'
+import { backfillCustomerLinks } from '@/lib/repositories/customers'
+
+// POST - ผูกงานเก่าที่ยังไม่มีลูกค้าเข้ากับสมุดรายชื่อ (จับคู่รายเดิม หรือสร้างใหม่)
+async function backfill(_request: NextRequest, actor: Actor) {
+  try {
+    const result = await backfillCustomerLinks(getAuditContext(actor))
+    return NextResponse.json({ success: true, data: result })
+  } catch (error: unknown) {
+    console.error('Error backfilling customers:', error)
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error'
+    return NextResponse.json({ error: 'Failed to link customers', details: errorMessage }, { status: 500 })
+  }
+}
+
+const adminOnly = {
+  authorize: (session: Session) => canManageEmployees(session.role),
+  forbiddenMessage: 'เฉพาะ admin เท่านั้น',
+}
+
+export const POST = withRateLimit(withAuth(backfill, adminOnly))
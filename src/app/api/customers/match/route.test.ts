@@ -0,0 +1,21 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+import { apiRequest, expectStatus } from '@/test/api'
+import { findCustomerMatches } from '@/lib/repositories/customers'
+import { GET } from './route'
+
+vi.mock('@/lib/repositories/customers')
+
+beforeEach(() => {
+  vi.mocked(findCustomerMatches).mockResolvedValue([])
+})
+
+describe('GET /api/customers/match', () => {
+  it('401 เมื่อไม่มี session', async () => {
+    await expectStatus(await GET(apiRequest('/api/customers/match?name=ร้าน')), 401)
+  })
+
+  it('200 สำหรับพนักงานที่ login', async () => {
+    await expectStatus(await GET(apiRequest('/api/customers/match?name=ร้าน', { role: 'reception' })), 200)
+    expect(findCustomerMatches).toHaveBeenCalledWith({ name: 'ร้าน', phone: '', address: '' })
+  })
+})
@@ -0,0 +1,22 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { withRateLimit, withAuth } from '@/lib/api-middleware'
+import { findCustomerMatches } from '@/lib/repositories/customers'
+
+// GET - ลูกค้าที่น่าจะตรงกับที่กำลังกรอกในฟอร์ม (?name=&phone=&address=)
+async function matchCustomers(request: NextRequest) {
+  try {
+    const { searchParams } = new URL(request.url)
+    const data = await findCustomerMatches({
+      name: searchParams.get('name') ?? '',
+      phone: searchParams.get('phone') ?? '',
+      address: searchParams.get('address') ?? '',
+    })
+    return NextResponse.json({ data })
+  } catch (error: unknown) {
+    console.error('Error matching customers:', error)
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error'
+    return NextResponse.json({ error: 'Failed to match customers', details: errorMessage }, { status: 500 })
+  }
+}
+
+export const GET = withRateLimit(withAuth(matchCustomers))
@@ -0,0 +1,38 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+import { apiRequest, expectStatus } from '@/test/api'
+import { mergeCustomers } from '@/lib/repositories/customers'
+import { POST } from './route'
+
+vi.mock('@/lib/repositories/customers')
+
+const merge = { targetId: 'cus-1', sourceId: 'cus-2' }
+
+beforeEach(() => {
+  vi.mocked(mergeCustomers).mockResolvedValue({
+    id: 'cus-1',
+    name: 'ร้านทดสอบ',
+    contactName: '',
+    phone: '',
+    notes: '',
+    createdAt: '2026-10-01T00:00:00.000Z',
+    updatedAt: '2026-10-19T00:00:00.000Z',
+    sites: [],
+    requestCount: 2,
+  })
+})
+
+describe('POST /api/customers/merge', () => {
+  it('401 เมื่อไม่มี session', async () => {
+    await expectStatus(await POST(apiRequest('/api/customers/merge', { method: 'POST', body: merge })), 401)
+  })
+
+  it('403 สำหรับ role ที่ไม่ใช่ admin', async () => {
+    await expectStatus(await POST(apiRequest('/api/customers/merge', { method: 'POST', role: 'reception', body: merge })), 403)
+    expect(mergeCustomers).not.toHaveBeenCalled()
+  })
+
+  it('200 สำหรับ admin', async () => {
+    await expectStatus(await POST(apiRequest('/api/customers/merge', { method: 'POST', role: 'admin', body: merge })), 200)
+    expect(mergeCustomers).toHaveBeenCalledWith('cus-1', 'cus-2')
+  })
+})
@@ -0,0 +1,40 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { z } from 'zod'
+import { withRateLimit, withAuth } from '@/lib/api-middleware'
+import type { Session } from '@/lib/auth'
+import { canManageEmployees } from '@/lib/roles'
+import { mergeCustomers } from '@/lib/repositories/customers'
+
+const MergeSchema = z.object({
+  targetId: z.string().min(1),
+  sourceId: z.string().min(1),
+})
+
+// POST - รวมลูกค้าที่ซ้ำ: ย้ายสาขา + งานของ sourceId ไปที่ targetId แล้วลบ sourceId
+async function merge(request: NextRequest) {
+  try {
+    const body = await request.json()
+    const validated = MergeSchema.safeParse(body)
+    if (!validated.success) {
+      return NextResponse.json({ error: 'Invalid request data', details: validated.error.flatten() }, { status: 400 })
+    }
+    const { targetId, sourceId } = validated.data
+
+    const customer = await mergeCustomers(targetId, sourceId)
+    if (!customer) {
+      return NextResponse.json({ error: 'Customer not found' }, { status: 404 })
+    }
+    return NextResponse.json({ success: true, data: customer })
+  } catch (error: unknown) {
+    console.error('Error merging customers:', error)
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error'
+    return NextResponse.json({ error: 'Failed to merge customers', details: errorMessage }, { status: 500 })
+  }
+}
+
+const adminOnly = {
+  authorize: (session: Session) => canManageEmployees(session.role),
+  forbiddenMessage: 'เฉพาะ admin เท่านั้น',
+}
+
+export const POST = withRateLimit(withAuth(merge, adminOnly))
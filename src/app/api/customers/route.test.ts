@@ -0,0 +1,60 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+import { apiRequest, expectStatus } from '@/test/api'
+import { createCustomer, listCustomers, updateCustomer } from '@/lib/repositories/customers'
+import type { Customer } from '@/lib/types'
+import { GET, POST, PUT } from './route'
+
+vi.mock('@/lib/repositories/customers')
+
+const customer: Customer = {
+  id: 'cus-1',
+  name: 'ร้านทดสอบ',
+  contactName: '',
+  phone: '081-234-5678',
+  notes: '',
+  createdAt: '2026-10-01T00:00:00.000Z',
+  updatedAt: '2026-10-01T00:00:00.000Z',
+  sites: [],
+  requestCount: 0,
+}
+
+beforeEach(() => {
+  vi.mocked(listCustomers).mockResolvedValue([customer])
+  vi.mocked(createCustomer).mockResolvedValue(customer)
+  vi.mocked(updateCustomer).mockResolvedValue(customer)
+})
+
+// ข้อมูลลูกค้าไม่มีสิทธิ์แยกตาม role — ทุกคนที่ login อ่าน/เพิ่ม/แก้ได้
+describe('GET /api/customers', () => {
+  it('401 เมื่อไม่มี session', async () => {
+    await expectStatus(await GET(apiRequest('/api/customers')), 401)
+  })
+
+  it('200 สำหรับพนักงานที่ login', async () => {
+    const body = await expectStatus(await GET(apiRequest('/api/customers?q=ทดสอบ', { role: 'technician' })), 200)
+    expect(body.data).toHaveLength(1)
+    expect(listCustomers).toHaveBeenCalledWith({ q: 'ทดสอบ' })
+  })
+})
+
+describe('POST /api/customers', () => {
+  it('401 เมื่อไม่มี session', async () => {
+    await expectStatus(await POST(apiRequest('/api/customers', { method: 'POST', body: { name: 'ร้านใหม่' } })), 401)
+  })
+
+  it('200 สำหรับพนักงานที่ login', async () => {
+    await expectStatus(await POST(apiRequest('/api/customers', { method: 'POST', role: 'reception', body: { name: 'ร้านใหม่' } })), 200)
+    expect(createCustomer).toHaveBeenCalledWith({ name: 'ร้านใหม่' }, [])
+  })
+})
+
+describe('PUT /api/customers', () => {
+  it('401 เมื่อไม่มี session', async () => {
+    await expectStatus(await PUT(apiRequest('/api/customers', { method: 'PUT', body: { id: 'cus-1', phone: '02-111-2222' } })), 401)
+  })
+
+  it('200 สำหรับพนักงานที่ login', async () => {
+    await expectStatus(await PUT(apiRequest('/api/customers', { method: 'PUT', role: 'reception', body: { id: 'cus-1', phone: '02-111-2222' } })), 200)
+    expect(updateCustomer).toHaveBeenCalledWith('cus-1', { phone: '02-111-2222' }, [])
+  })
+})
@@ -0,0 +1,106 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { z } from 'zod'
+import { withRateLimit, withAuth } from '@/lib/api-middleware'
+import {
+  listCustomers,
+  getCustomer,
+  getCustomerRequests,
+  createCustomer,
+  updateCustomer,
+} from '@/lib/repositories/customers'
+
+const SiteSchema = z.object({
+  id: z.string().min(1).optional(),
+  name: z.string().max(200).optional(),
+  address: z.string().trim().min(1).max(1000),
+  contactName: z.string().max(200).optional(),
+  phone: z.string().max(100).optional(),
+})
+
+const CustomerSchema = z.object({
+  name: z.string().trim().min(1).max(200),
+  contactName: z.string().max(200).optional(),
+  phone: z.string().max(100).optional(),
+  notes: z.string().max(2000).optional(),
+})
+
+const CreateSchema = CustomerSchema.extend({
+  sites: z.array(SiteSchema).max(200).optional(),
+})
+
+const UpdateSchema = CustomerSchema.partial().extend({
+  id: z.string().min(1),
+  sites: z.array(SiteSchema).max(200).optional(),
+})
+
+// GET - รายชื่อลูกค้า (?q= ค้นหา)
+// ?id= - ลูกค้ารายเดียว + ประวัติงานทั้งหมด
+async function fetchCustomers(request: NextRequest) {
+  try {
+    const { searchParams } = new URL(request.url)
+    const id = searchParams.get('id')
+
+    if (id) {
+      const customer = await getCustomer(id)
+      if (!customer) {
+        return NextResponse.json({ error: 'Customer not found' }, { status: 404 })
+      }
+      return NextResponse.json({ data: customer, requests: await getCustomerRequests(id) })
+    }
+
+    const q = searchParams.get('q') ?? undefined
+    return NextResponse.json({ data: await listCustomers({ ...(q ? { q } : {}) }) })
+  } catch (error: unknown) {
+    console.error('Error listing customers:', error)
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error'
+    return NextResponse.json({ error: 'Failed to fetch customers', details: errorMessage }, { status: 500 })
+  }
+}
+
+// POST - เพิ่มลูกค้า (พร้อมสาขา)
+async function addCustomer(request: NextRequest) {
+  try {
+    const body = await request.json()
+    const validated = CreateSchema.safeParse(body)
+    if (!validated.success) {
+      return NextResponse.json({ error: 'Invalid request data', details: validated.error.flatten() }, { status: 400 })
+    }
+    const { sites = [], ...data } = validated.data
+
+    const customer = await createCustomer(data, sites)
+    return NextResponse.json({ success: true, data: customer })
+  } catch (error: unknown) {
+    console.error('Error creating customer:', error)
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error'
+    return NextResponse.json({ error: 'Failed to create customer', details: errorMessage }, { status: 500 })
+  }
+}
+
+// PUT - แก้ข้อมูลลูกค้า / เพิ่ม-แก้สาขา
+async function editCustomer(request: NextRequest) {
+  try {
+    const body = await request.json()
+    const validated = UpdateSchema.safeParse(body)
+    if (!validated.success) {
+      return NextResponse.json({ error: 'Invalid request data', details: validated.error.flatten() }, { status: 400 })
+    }
+    const { id, sites = [], ...data } = validated.data
+
+    const customer = await updateCustomer(id, data, sites)
+    if (!customer) {
+      return NextResponse.json({ error: 'Customer not found' }, { status: 404 })
+    }
+    return NextResponse.json({ success: true, data: customer })
+  } catch (error: unknown) {
+    console.error('Error updating customer:', error)
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error'
+    return NextResponse.json({ error: 'Failed to update customer', details: errorMessage }, { status: 500 })
+  }
+}
+
+// ข้อมูลลูกค้ามีเบอร์/ที่อยู่ — ต้อง login ถึงจะอ่านได้
+export const GET = withRateLimit(withAuth(fetchCustomers))
+
+export const POST = withRateLimit(withAuth(addCustomer))
+
+export const PUT = withRateLimit(withAuth(editCustomer))
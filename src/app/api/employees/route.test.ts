@@ -0,0 +1,90 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+import { apiRequest, expectStatus, TEST_EMPLOYEES } from '@/test/api'
+import { countActiveAdmins, createEmployee, updateEmployee } from '@/lib/repositories/employees'
+import { GET, POST, PUT } from './route'
+
+const newEmployee = { name: 'พนักงานใหม่', pin: '1234', role: 'technician' }
+
+beforeEach(() => {
+  vi.mocked(createEmployee).mockResolvedValue({ ...TEST_EMPLOYEES.technician, id: 'emp-new', name: newEmployee.name })
+  vi.mocked(updateEmployee).mockResolvedValue(TEST_EMPLOYEES.technician)
+  vi.mocked(countActiveAdmins).mockResolvedValue(1)
+})
+
+describe('GET /api/employees', () => {
+  it('200 ไม่ต้อง login — รายชื่อสำหรับหน้า login (id + name)', async () => {
+    const body = await expectStatus(await GET(apiRequest('/api/employees')), 200)
+    expect(body.data[0]).toEqual({ id: 'emp-admin', name: 'ทดสอบ admin' })
+  })
+
+  it('?all=1 401 เมื่อไม่มี session', async () => {
+    await expectStatus(await GET(apiRequest('/api/employees?all=1')), 401)
+  })
+
+  it('?all=1 403 สำหรับ role ที่ไม่ใช่ admin', async () => {
+    await expectStatus(await GET(apiRequest('/api/employees?all=1', { role: 'reception' })), 403)
+  })
+
+  it('?all=1 200 สำหรับ admin', async () => {
+    const body = await expectStatus(await GET(apiRequest('/api/employees?all=1', { role: 'admin' })), 200)
+    expect(body.data[0]).toHaveProperty('role')
+  })
+})
+
+describe('POST /api/employees', () => {
+  it('401 เมื่อไม่มี session', async () => {
+    await expectStatus(await POST(apiRequest('/api/employees', { method: 'POST', body: newEmployee })), 401)
+  })
+
+  it('401 เมื่อใช้ x-api-secret (ต้อง login เท่านั้น)', async () => {
+    await expectStatus(await POST(apiRequest('/api/employees', { method: 'POST', apiSecret: true, body: newEmployee })), 401)
+  })
+
+  it('403 สำหรับ role ที่ไม่ใช่ admin', async () => {
+    await expectStatus(await POST(apiRequest('/api/employees', { method: 'POST', role: 'reception', body: newEmployee })), 403)
+    expect(createEmployee).not.toHaveBeenCalled()
+  })
+
+  it('200 สำหรับ admin', async () => {
+    await expectStatus(await POST(apiRequest('/api/employees', { method: 'POST', role: 'admin', body: newEmployee })), 200)
+    expect(createEmployee).toHaveBeenCalledWith(expect.objectContaining({ name: newEmployee.name, role: 'technician' }))
+  })
+})
+
+describe('PUT /api/employees', () => {
+  const change = { id: 'emp-technician', name: 'ช่างชื่อใหม่' }
+
+  it('401 เมื่อไม่มี session', async () => {
+    await expectStatus(await PUT(apiRequest('/api/employees', { method: 'PUT', body: change })), 401)
+  })
+
+  it('403 สำหรับ role ที่ไม่ใช่ admin', async () => {
+    await expectStatus(await PUT(apiRequest('/api/employees', { method: 'PUT', role: 'technician', body: change })), 403)
+  })
+
+  it('200 สำหรับ admin', async () => {
+    await expectStatus(await PUT(apiRequest('/api/employees', { method: 'PUT', role: 'admin', body: change })), 200)
+    expect(updateEmployee).toHaveBeenCalledWith('emp-technician', { name: 'ช่างชื่อใหม่' })
+  })
+})
+
+describe('PUT /api/employees — admin คนสุดท้าย', () => {
+  it('409 เมื่อปิดบัญชี admin คนสุดท้าย', async () => {
+    const body = { id: 'emp-admin', active: false }
+    await expectStatus(await PUT(apiRequest('/api/employees', { method: 'PUT', role: 'admin', body })), 409)
+    expect(updateEmployee).not.toHaveBeenCalled()
+  })
+
+  it('409 เมื่อเปลี่ยน role ของ admin คนสุดท้าย / ยังมี admin อื่นอยู่ → เปลี่ยนได้', async () => {
+    const body = { id: 'emp-admin', role: 'reception' }
+    await expectStatus(await PUT(apiRequest('/api/employees', { method: 'PUT', role: 'admin', body })), 409)
+    vi.mocked(countActiveAdmins).mockResolvedValue(2)
+    await expectStatus(await PUT(apiRequest('/api/employees', { method: 'PUT', role: 'admin', body })), 200)
+  })
+
+  it('เปลี่ยน PIN เก็บเป็น hash ไม่ใช่ตัวเลขตรงๆ', async () => {
+    const body = { id: 'emp-technician', pin: '97531' }
+    await expectStatus(await PUT(apiRequest('/api/employees', { method: 'PUT', role: 'admin', body })), 200)
+    expect(updateEmployee).toHaveBeenCalledWith('emp-technician', { pinHash: expect.stringMatching(/^scrypt\$/) })
+  })
+})
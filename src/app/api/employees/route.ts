@@ -0,0 +1,139 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { z } from 'zod'
+import {
+  unauthorizedResponse,
+  forbiddenResponse,
+  withRateLimit,
+  withAuth,
+} from '@/lib/api-middleware'
+import { getSession, hashPin, type Session } from '@/lib/auth'
+import { ROLE_VALUES, canManageEmployees } from '@/lib/roles'
+import {
+  listEmployees,
+  getEmployee,
+  createEmployee,
+  updateEmployee,
+  countActiveAdmins,
+} from '@/lib/repositories/employees'
+
+const PinSchema = z.string().regex(/^\d{4,20}$/, 'PIN ต้องเป็นตัวเลข 4-20 หลัก')
+
+const CreateSchema = z.object({
+  name: z.string().trim().min(1).max(100),
+  pin: PinSchema,
+  role: z.enum(ROLE_VALUES),
+})
+
+const UpdateSchema = z.object({
+  id: z.string().min(1),
+  name: z.string().trim().min(1).max(100).optional(),
+  pin: PinSchema.optional(),
+  role: z.enum(ROLE_VALUES).optional(),
+  active: z.boolean().optional(),
+  // Telegram user id (ตัวเลข) — '' = ยกเลิกการผูก
+  telegramChatId: z.string().trim().regex(/^\d{1,20}$/, 'Telegram ID ต้องเป็นตัวเลข').or(z.literal('')).optional(),
+})
+
+// GET - รายชื่อพนักงานสำหรับหน้า login (id + name เท่านั้น)
+// ?all=1 - รายละเอียดทั้งหมดรวมคนที่ปิดบัญชี (role ที่จัดการพนักงานได้)
+async function fetchEmployees(request: NextRequest) {
+  try {
+    const { searchParams } = new URL(request.url)
+
+    if (searchParams.get('all') === '1') {
+      const session = await getSession(request)
+      if (!session) return unauthorizedResponse()
+      if (!canManageEmployees(session.role)) return forbiddenResponse('หน้านี้สำหรับ admin เท่านั้น')
+      return NextResponse.json({ data: await listEmployees({ includeInactive: true }) })
+    }
+
+    const employees = await listEmployees()
+    return NextResponse.json({
+      data: employees.filter(e => e.hasPin).map(e => ({ id: e.id, name: e.name })),
+    })
+  } catch (error: unknown) {
+    console.error('Error listing employees:', error)
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error'
+    return NextResponse.json({ error: 'Failed to fetch employees', details: errorMessage }, { status: 500 })
+  }
+}
+
+// POST - เพิ่มพนักงาน (admin)
+async function addEmployee(request: NextRequest) {
+  try {
+    const body = await request.json()
+    const validated = CreateSchema.safeParse(body)
+    if (!validated.success) {
+      return NextResponse.json({ error: 'Invalid request data', details: validated.error.flatten() }, { status: 400 })
+    }
+    const { name, pin, role } = validated.data
+
+    const employee = await createEmployee({ name, pinHash: hashPin(pin), role })
+    return NextResponse.json({ success: true, data: employee })
+  } catch (error: unknown) {
+    console.error('Error creating employee:', error)
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error'
+    const isDuplicate = errorMessage.includes('Unique constraint')
+    return NextResponse.json(
+      { error: isDuplicate ? 'ชื่อพนักงานนี้มีอยู่แล้ว' : 'Failed to create employee', details: errorMessage },
+      { status: isDuplicate ? 409 : 500 }
+    )
+  }
+}
+
+// PUT - แก้ชื่อ / รีเซ็ต PIN / เปิด-ปิดบัญชี / เปลี่ยน role / ผูก Telegram (admin)
+async function editEmployee(request: NextRequest) {
+  try {
+    const body = await request.json()
+    const validated = UpdateSchema.safeParse(body)
+    if (!validated.success) {
+      return NextResponse.json({ error: 'Invalid request data', details: validated.error.flatten() }, { status: 400 })
+    }
+    const { id, pin, telegramChatId, ...changes } = validated.data
+
+    const current = await getEmployee(id)
+    if (!current) {
+      return NextResponse.json({ error: 'Employee not found' }, { status: 404 })
+    }
+
+    // กันไม่ให้ระบบเหลือ admin 0 คน (ไม่งั้นจะไม่มีใครเพิ่ม/แก้พนักงานได้อีก)
+    const losesAdmin = current.role === 'admin' && current.active
+      && ((changes.role !== undefined && changes.role !== 'admin') || changes.active === false)
+    if (losesAdmin && (await countActiveAdmins()) <= 1) {
+      return NextResponse.json({ error: 'ต้องมี admin อย่างน้อย 1 คน' }, { status: 409 })
+    }
+
+    const employee = await updateEmployee(id, {
+      ...changes,
+      ...(pin ? { pinHash: hashPin(pin) } : {}),
+      ...(telegramChatId !== undefined ? { telegramChatId: telegramChatId || null } : {}),
+    })
+    return NextResponse.json({ success: true, data: employee })
+  } catch (error: unknown) {
+    console.error('Error updating employee:', error)
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error'
+    const isDuplicate = errorMessage.includes('Unique constraint')
+    return NextResponse.json(
+      {
+        error: isDuplicate
+          ? errorMessage.includes('telegramChatId') ? 'Telegram ID นี้ผูกกับพนักงานคนอื่นแล้ว' : 'ชื่อพนักงานนี้มีอยู่แล้ว'
+          : 'Failed to update employee',
+        details: errorMessage,
+      },
+      { status: isDuplicate ? 409 : 500 }
+    )
+  }
+}
+
+export const GET = withRateLimit(fetchEmployees)
+
+// จัดการพนักงานต้องเป็นคน login เท่านั้น (x-api-secret ใช้ไม่ได้)
+const adminOnly = {
+  sessionOnly: true,
+  authorize: (session: Session) => canManageEmployees(session.role),
+  forbiddenMessage: 'หน้านี้สำหรับ admin เท่านั้น',
+}
+
+export const POST = withRateLimit(withAuth(addEmployee, adminOnly))
+
+export const PUT = withRateLimit(withAuth(editEmployee, adminOnly))
@@ -0,0 +1,26 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+import { apiRequest, expectStatus } from '@/test/api'
+import { makeServiceRequest } from '@/test/fixtures'
+import { enqueueLineAppointmentConfirmation } from '@/lib/outbox'
+import { getServiceRequest } from '@/lib/repositories/service-requests'
+import { POST } from './route'
+
+vi.mock('@/lib/outbox')
+vi.mock('@/lib/repositories/service-requests')
+
+const job = makeServiceRequest({ status: 'queue', appointmentDate: '2026-10-20T09:00', lineUserId: 'U123' })
+
+beforeEach(() => {
+  vi.mocked(getServiceRequest).mockResolvedValue(job)
+})
+
+describe('POST /api/line', () => {
+  it('401 เมื่อไม่มี session', async () => {
+    await expectStatus(await POST(apiRequest('/api/line', { method: 'POST', body: { id: job.id } })), 401)
+  })
+
+  it('200 สำหรับพนักงานที่ login — เข้าคิว outbox', async () => {
+    await expectStatus(await POST(apiRequest('/api/line', { method: 'POST', role: 'reception', body: { id: job.id } })), 200)
+    expect(enqueueLineAppointmentConfirmation).toHaveBeenCalledWith(job)
+  })
+})
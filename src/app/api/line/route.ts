@@ -0,0 +1,41 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { z } from 'zod'
+import { withRateLimit, withAuth } from '@/lib/api-middleware'
+import { enqueueLineAppointmentConfirmation, kickOutboxWorker } from '@/lib/outbox'
+import { getServiceRequest } from '@/lib/repositories/service-requests'
+
+const ConfirmSchema = z.object({
+  id: z.string().min(1),
+})
+
+// POST - ส่งยืนยันนัดให้ลูกค้าทาง LINE อีกครั้ง (ปกติส่งเองตอนงานเข้าคิว)
+async function sendAppointmentConfirmation(request: NextRequest) {
+  try {
+    const body = await request.json()
+    const validated = ConfirmSchema.safeParse(body)
+    if (!validated.success) {
+      return NextResponse.json({ error: 'Invalid request', details: validated.error.flatten() }, { status: 400 })
+    }
+
+    const job = await getServiceRequest(validated.data.id)
+    if (!job) {
+      return NextResponse.json({ error: 'Service request not found' }, { status: 404 })
+    }
+    if (!job.lineUserId) {
+      return NextResponse.json({ error: 'งานนี้ไม่ได้มาจาก LINE' }, { status: 400 })
+    }
+    if (!job.appointmentDate) {
+      return NextResponse.json({ error: 'งานนี้ยังไม่มีวันนัด' }, { status: 400 })
+    }
+
+    await enqueueLineAppointmentConfirmation(job)
+    kickOutboxWorker()
+    return NextResponse.json({ success: true })
+  } catch (error: unknown) {
+    console.error('Error sending LINE confirmation:', error)
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error'
+    return NextResponse.json({ error: 'Failed to send LINE confirmation', details: errorMessage }, { status: 500 })
+  }
+}
+
+export const POST = withRateLimit(withAuth(sendAppointmentConfirmation))
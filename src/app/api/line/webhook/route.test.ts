@@ -0,0 +1,61 @@
+import { createHmac } from 'crypto'
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+import { apiRequest, expectStatus } from '@/test/api'
+import { enqueueOutboxJob, kickOutboxWorker } from '@/lib/outbox'
+import { handleLineEvent } from '@/lib/line-intake'
+import { POST } from './route'
+
+vi.mock('@/lib/outbox')
+vi.mock('@/lib/line-intake', async importOriginal => ({
+  ...await importOriginal<typeof import('@/lib/line-intake')>(),
+  handleLineEvent: vi.fn(),
+}))
+
+const CHANNEL_SECRET = 'test-line-channel-secret'
+
+const event = {
+  type: 'message',
+  replyToken: 'reply-1',
+  source: { type: 'user', userId: 'U123' },
+  message: { id: '1', type: 'text', text: 'แอร์ไม่เย็น ร้านกาแฟสุขใจ โทร 0812345678' },
+}
+const body = JSON.stringify({ destination: 'U-oa', events: [event] })
+
+function sign(rawBody: string, secret = CHANNEL_SECRET): string {
+  return createHmac('sha256', secret).update(rawBody).digest('base64')
+}
+
+beforeEach(() => {
+  vi.stubEnv('LINE_CHANNEL_SECRET', CHANNEL_SECRET)
+})
+
+describe('POST /api/line/webhook', () => {
+  it('403 เมื่อไม่มี x-line-signature', async () => {
+    await expectStatus(await POST(apiRequest('/api/line/webhook', { method: 'POST', body })), 403)
+    expect(enqueueOutboxJob).not.toHaveBeenCalled()
+  })
+
+  it('403 เมื่อ x-line-signature ไม่ตรงกับ body', async () => {
+    const headers = { 'x-line-signature': sign(body, 'another-secret') }
+    await expectStatus(await POST(apiRequest('/api/line/webhook', { method: 'POST', body, headers })), 403)
+    expect(enqueueOutboxJob).not.toHaveBeenCalled()
+  })
+
+  it('200 ทันทีเมื่อ signature ถูก — เข้าคิว outbox ทีละ event ไม่เปิดงานใน request', async () => {
+    const headers = { 'x-line-signature': sign(body) }
+    const response = await expectStatus(await POST(apiRequest('/api/line/webhook', { method: 'POST', body, headers })), 200)
+
+    expect(response).toMatchObject({ success: true, queued: 1 })
+    expect(enqueueOutboxJob).toHaveBeenCalledWith('line.event', null, { event })
+    expect(kickOutboxWorker).toHaveBeenCalled()
+    expect(handleLineEvent).not.toHaveBeenCalled()
+  })
+
+  it('500 เมื่อเข้าคิวไม่ได้ (ให้ LINE ส่งซ้ำ)', async () => {
+    const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {})
+    vi.mocked(enqueueOutboxJob).mockRejectedValueOnce(new Error('database is locked'))
+    const headers = { 'x-line-signature': sign(body) }
+    await expectStatus(await POST(apiRequest('/api/line/webhook', { method: 'POST', body, headers })), 500)
+    consoleError.mockRestore()
+  })
+})
@@ -0,0 +1,44 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { withRateLimit } from '@/lib/api-middleware'
+import { verifyLineSignature } from '@/lib/integrations/line'
+import { LineWebhookSchema } from '@/lib/line-intake'
+import { enqueueOutboxJob, kickOutboxWorker } from '@/lib/outbox'
+
+// POST - event จาก LINE OA (ตั้ง Webhook URL ใน LINE Developers ดู download/SETUP_GUIDE.md)
+// ไม่มี session — เช็ค x-line-signature กับ body ดิบก่อนเสมอ
+// ตอบ 200 ทันทีหลังเข้าคิว — เปิดงาน (Gemini + อัปโหลดรูปเข้า Drive) ทำใน outbox (line.event)
+// LINE ไม่รอ webhook ที่ตอบช้าและจะส่งซ้ำ ทำให้ข้อความเดียวถูกเติมเข้างานซ้ำ
+async function receiveEvents(request: NextRequest) {
+  try {
+    const rawBody = await request.text()
+    if (!verifyLineSignature(rawBody, request.headers.get('x-line-signature'))) {
+      return NextResponse.json({ error: 'Invalid signature' }, { status: 403 })
+    }
+
+    let body: unknown
+    try {
+      body = JSON.parse(rawBody)
+    } catch {
+      return NextResponse.json({ error: 'Invalid JSON body' }, { status: 400 })
+    }
+    const validated = LineWebhookSchema.safeParse(body)
+    if (!validated.success) {
+      return NextResponse.json({ error: 'Invalid webhook body', details: validated.error.flatten() }, { status: 400 })
+    }
+
+    // หนึ่ง job ต่อ event ตามลำดับ — worker ทำตามลำดับที่เข้าคิว ข้อความต่อเนื่องจึงเติมงานร่างเดียวกัน
+    for (const event of validated.data.events) {
+      await enqueueOutboxJob('line.event', null, { event })
+    }
+    if (validated.data.events.length > 0) kickOutboxWorker()
+
+    return NextResponse.json({ success: true, queued: validated.data.events.length })
+  } catch (error: unknown) {
+    // เข้าคิวไม่ได้ = ยังไม่ได้ทำอะไร → ตอบ 500 ให้ LINE ส่งซ้ำ
+    console.error('Error handling LINE webhook:', error)
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error'
+    return NextResponse.json({ error: 'Failed to handle webhook', details: errorMessage }, { status: 500 })
+  }
+}
+
+export const POST = withRateLimit(receiveEvents)
@@ -0,0 +1,30 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+import { apiRequest, expectStatus } from '@/test/api'
+import { checkOverdueNotifications } from '@/lib/notifications'
+import { POST } from './route'
+
+vi.mock('@/lib/notifications')
+
+beforeEach(() => {
+  vi.mocked(checkOverdueNotifications).mockResolvedValue({ checked: 4, notified: [] })
+})
+
+describe('POST /api/notifications/check', () => {
+  it('401 เมื่อไม่มี session', async () => {
+    await expectStatus(await POST(apiRequest('/api/notifications/check', { method: 'POST' })), 401)
+  })
+
+  it('403 สำหรับ role ที่ไม่ใช่ admin', async () => {
+    await expectStatus(await POST(apiRequest('/api/notifications/check', { method: 'POST', role: 'reception' })), 403)
+    expect(checkOverdueNotifications).not.toHaveBeenCalled()
+  })
+
+  it('200 สำหรับ admin', async () => {
+    const body = await expectStatus(await POST(apiRequest('/api/notifications/check', { method: 'POST', role: 'admin' })), 200)
+    expect(body.data.checked).toBe(4)
+  })
+
+  it('200 สำหรับ cron ที่ส่ง x-api-secret', async () => {
+    await expectStatus(await POST(apiRequest('/api/notifications/check', { method: 'POST', apiSecret: true })), 200)
+  })
+})
@@ -0,0 +1,21 @@
+import { NextResponse } from 'next/server'
+import { withRateLimit, withAuth } from '@/lib/api-middleware'
+import type { Session } from '@/lib/auth'
+import { checkOverdueNotifications } from '@/lib/notifications'
+import { canManageEmployees } from '@/lib/roles'
+
+// POST - ตรวจงานค้างตามกฎตอนนี้ (ปกติ worker ตรวจเองทุก 15 นาที — OUTBOX_WORKER=off ให้ cron เรียกด้วย x-api-secret)
+async function runCheck() {
+  try {
+    return NextResponse.json({ success: true, data: await checkOverdueNotifications() })
+  } catch (error: unknown) {
+    console.error('Error checking overdue notifications:', error)
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error'
+    return NextResponse.json({ error: 'Failed to check overdue jobs', details: errorMessage }, { status: 500 })
+  }
+}
+
+export const POST = withRateLimit(withAuth(runCheck, {
+  authorize: (session: Session) => canManageEmployees(session.role),
+  forbiddenMessage: 'เฉพาะ admin เท่านั้น',
+}))
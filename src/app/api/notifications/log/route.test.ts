@@ -0,0 +1,25 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+import { apiRequest, expectStatus } from '@/test/api'
+import { listNotificationLogs } from '@/lib/repositories/notifications'
+import { GET } from './route'
+
+vi.mock('@/lib/repositories/notifications')
+
+beforeEach(() => {
+  vi.mocked(listNotificationLogs).mockResolvedValue([])
+})
+
+describe('GET /api/notifications/log', () => {
+  it('401 เมื่อไม่มี session', async () => {
+    await expectStatus(await GET(apiRequest('/api/notifications/log')), 401)
+  })
+
+  it('403 สำหรับ role ที่ไม่ใช่ admin', async () => {
+    await expectStatus(await GET(apiRequest('/api/notifications/log', { role: 'reception' })), 403)
+  })
+
+  it('200 สำหรับ admin', async () => {
+    await expectStatus(await GET(apiRequest('/api/notifications/log?ruleId=rule-1&limit=50', { role: 'admin' })), 200)
+    expect(listNotificationLogs).toHaveBeenCalledWith({ ruleId: 'rule-1', limit: 50 })
+  })
+})
@@ -0,0 +1,31 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { withRateLimit, withAuth } from '@/lib/api-middleware'
+import type { Session } from '@/lib/auth'
+import { canManageEmployees } from '@/lib/roles'
+import { listNotificationLogs } from '@/lib/repositories/notifications'
+
+// GET - ประวัติการแจ้งเตือนล่าสุด (?ruleId= / ?requestId= / ?limit=)
+async function fetchLogs(request: NextRequest) {
+  try {
+    const { searchParams } = new URL(request.url)
+    const ruleId = searchParams.get('ruleId')
+    const requestId = searchParams.get('requestId')
+    const limit = Math.min(Math.max(Number(searchParams.get('limit')) || 200, 1), 500)
+
+    const data = await listNotificationLogs({
+      ...(ruleId ? { ruleId } : {}),
+      ...(requestId ? { requestId } : {}),
+      limit,
+    })
+    return NextResponse.json({ data })
+  } catch (error: unknown) {
+    console.error('Error listing notification logs:', error)
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error'
+    return NextResponse.json({ error: 'Failed to fetch notification logs', details: errorMessage }, { status: 500 })
+  }
+}
+
+export const GET = withRateLimit(withAuth(fetchLogs, {
+  authorize: (session: Session) => canManageEmployees(session.role),
+  forbiddenMessage: 'เฉพาะ admin เท่านั้น',
+}))
@@ -0,0 +1,64 @@
+import { describe, expect, it, vi } from 'vitest'
+import { findServiceRequestByRequestNo } from '@/lib/repositories/service-requests'
+import { apiRequest, expectStatus } from '@/test/api'
+import { makeServiceRequest } from '@/test/fixtures'
+import { POST } from './route'
+
+vi.mock('@/lib/repositories/service-requests')
+
+const preview = { trigger: 'created', template: 'งานใหม่ {requestNo}' }
+
+describe('POST /api/notifications/preview', () => {
+  it('401 เมื่อไม่มี session', async () => {
+    await expectStatus(await POST(apiRequest('/api/notifications/preview', { method: 'POST', body: preview })), 401)
+  })
+
+  it('403 สำหรับ role ที่ไม่ใช่ admin', async () => {
+    await expectStatus(await POST(apiRequest('/api/notifications/preview', { method: 'POST', role: 'technician', body: preview })), 403)
+  })
+
+  it('200 สำหรับ admin', async () => {
+    await expectStatus(await POST(apiRequest('/api/notifications/preview', { method: 'POST', role: 'admin', body: preview })), 200)
+  })
+
+  it('ไม่ระบุเลขที่งาน → งานตัวอย่าง (telegram escape / line ตัด tag)', async () => {
+    const body = await expectStatus(await POST(apiRequest('/api/notifications/preview', {
+      method: 'POST',
+      role: 'admin',
+      body: { trigger: 'overdue', template: '<b>{customerName}</b> ค้าง {age} โดย {by}' },
+    })), 200)
+    expect(body.data).toEqual({
+      requestNo: 'REQ-20260101-001',
+      telegram: '<b>ร้านกาแฟสุขใจ สาขาบางนา</b> ค้าง 3 วัน โดย ทดสอบ admin',
+      line: 'ร้านกาแฟสุขใจ สาขาบางนา ค้าง 3 วัน โดย ทดสอบ admin',
+    })
+    expect(findServiceRequestByRequestNo).not.toHaveBeenCalled()
+  })
+
+  it('ระบุเลขที่งาน → ใช้งานจริง, ไม่พบ = 404', async () => {
+    vi.mocked(findServiceRequestByRequestNo).mockResolvedValueOnce(makeServiceRequest())
+    const body = await expectStatus(await POST(apiRequest('/api/notifications/preview', {
+      method: 'POST',
+      role: 'admin',
+      body: { ...preview, requestNo: ' REQ-20261019-001 ' },
+    })), 200)
+    expect(findServiceRequestByRequestNo).toHaveBeenCalledWith('REQ-20261019-001')
+    expect(body.data.telegram).toBe('งานใหม่ REQ-20261019-001')
+
+    vi.mocked(findServiceRequestByRequestNo).mockResolvedValueOnce(null)
+    const missing = await expectStatus(await POST(apiRequest('/api/notifications/preview', {
+      method: 'POST',
+      role: 'admin',
+      body: { ...preview, requestNo: 'REQ-20200101-999' },
+    })), 404)
+    expect(missing.error).toBe('ไม่พบงาน REQ-20200101-999')
+  })
+
+  it('trigger ไม่รู้จัก → 400', async () => {
+    await expectStatus(await POST(apiRequest('/api/notifications/preview', {
+      method: 'POST',
+      role: 'admin',
+      body: { ...preview, trigger: 'deleted' },
+    })), 400)
+  })
+})
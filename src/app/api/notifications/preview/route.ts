@@ -0,0 +1,72 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { z } from 'zod'
+import { withRateLimit, withAuth, getActorName, type Actor } from '@/lib/api-middleware'
+import type { Session } from '@/lib/auth'
+import { NOTIFICATION_TRIGGERS, buildNotificationMessage } from '@/lib/notification-rules'
+import { findServiceRequestByRequestNo } from '@/lib/repositories/service-requests'
+import { canManageEmployees } from '@/lib/roles'
+import type { ServiceRequest } from '@/lib/types'
+
+const PreviewSchema = z.object({
+  trigger: z.enum(NOTIFICATION_TRIGGERS),
+  template: z.string().max(3000),
+  // ไม่ระบุ = งานตัวอย่าง
+  requestNo: z.string().trim().max(50).optional(),
+})
+
+function sampleRequest(): ServiceRequest {
+  const threeDaysAgo = new Date(Date.now() - 3 * 24 * 60 * 60 * 1000).toISOString()
+  return {
+    id: 'preview',
+    requestNo: 'REQ-20260101-001',
+    createdAt: threeDaysAgo,
+    channel: 'LINE',
+    customerName: 'ร้านกาแฟสุขใจ สาขาบางนา',
+    contactName: 'พี่แอม',
+    phone: '081-234-5678',
+    address: '99/1 ถ.บางนา-ตราด',
+    serviceType: 'ซ่อม',
+    description: 'แอร์ไม่เย็น มีน้ำหยด',
+    priority: 'urgent',
+    status: 'waiting_response',
+    appointmentDate: '',
+    notes: '',
+    imageUrl: '',
+    history: [{ status: 'waiting_response', date: threeDaysAgo, by: 'ตัวอย่าง' }],
+  }
+}
+
+// POST - ดูตัวอย่างข้อความของ template กับงานจริง (เลขที่งาน) หรืองานตัวอย่าง
+async function previewMessage(request: NextRequest, actor: Actor) {
+  try {
+    const body = await request.json()
+    const validated = PreviewSchema.safeParse(body)
+    if (!validated.success) {
+      return NextResponse.json({ error: 'Invalid request data', details: validated.error.flatten() }, { status: 400 })
+    }
+    const { trigger, template, requestNo } = validated.data
+
+    const job = requestNo ? await findServiceRequestByRequestNo(requestNo) : sampleRequest()
+    if (!job) {
+      return NextResponse.json({ error: `ไม่พบงาน ${requestNo}` }, { status: 404 })
+    }
+
+    const by = getActorName(actor)
+    return NextResponse.json({
+      data: {
+        requestNo: job.requestNo,
+        telegram: buildNotificationMessage({ trigger, template }, job, 'telegram', by),
+        line: buildNotificationMessage({ trigger, template }, job, 'line', by),
+      },
+    })
+  } catch (error: unknown) {
+    console.error('Error previewing notification:', error)
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error'
+    return NextResponse.json({ error: 'Failed to preview notification', details: errorMessage }, { status: 500 })
+  }
+}
+
+export const POST = withRateLimit(withAuth(previewMessage, {
+  authorize: (session: Session) => canManageEmployees(session.role),
+  forbiddenMessage: 'เฉพาะ admin เท่านั้น',
+}))
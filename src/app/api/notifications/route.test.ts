@@ -0,0 +1,100 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+import { apiRequest, expectStatus } from '@/test/api'
+import {
+  createNotificationRule,
+  deleteNotificationRule,
+  getNotificationRule,
+  listNotificationRules,
+  updateNotificationRule,
+} from '@/lib/repositories/notifications'
+import type { NotificationRule } from '@/lib/types'
+import { DELETE, GET, POST, PUT } from './route'
+
+vi.mock('@/lib/repositories/notifications')
+
+const rule: NotificationRule = {
+  id: 'rule-1',
+  name: 'งานใหม่เข้ากลุ่ม',
+  enabled: true,
+  trigger: 'created',
+  statuses: [],
+  priorities: [],
+  serviceTypes: [],
+  minAgeHours: null,
+  repeatHours: null,
+  targets: [{ type: 'telegram' }],
+  template: '',
+  createdAt: '2026-10-01T00:00:00.000Z',
+  updatedAt: '2026-10-01T00:00:00.000Z',
+}
+
+const newRule = { name: 'งานใหม่เข้ากลุ่ม', trigger: 'created', targets: [{ type: 'telegram' }] }
+
+beforeEach(() => {
+  vi.mocked(listNotificationRules).mockResolvedValue([rule])
+  vi.mocked(getNotificationRule).mockResolvedValue(rule)
+  vi.mocked(createNotificationRule).mockResolvedValue(rule)
+  vi.mocked(updateNotificationRule).mockResolvedValue(rule)
+  vi.mocked(deleteNotificationRule).mockResolvedValue(true)
+})
+
+describe('GET /api/notifications', () => {
+  it('401 เมื่อไม่มี session', async () => {
+    await expectStatus(await GET(apiRequest('/api/notifications')), 401)
+  })
+
+  it('403 สำหรับ role ที่ไม่ใช่ admin', async () => {
+    await expectStatus(await GET(apiRequest('/api/notifications', { role: 'reception' })), 403)
+  })
+
+  it('200 สำหรับ admin', async () => {
+    const body = await expectStatus(await GET(apiRequest('/api/notifications', { role: 'admin' })), 200)
+    expect(body.data).toHaveLength(1)
+  })
+})
+
+describe('POST /api/notifications', () => {
+  it('401 เมื่อไม่มี session', async () => {
+    await expectStatus(await POST(apiRequest('/api/notifications', { method: 'POST', body: newRule })), 401)
+  })
+
+  it('403 สำหรับ role ที่ไม่ใช่ admin', async () => {
+    await expectStatus(await POST(apiRequest('/api/notifications', { method: 'POST', role: 'purchasing', body: newRule })), 403)
+    expect(createNotificationRule).not.toHaveBeenCalled()
+  })
+
+  it('200 สำหรับ admin', async () => {
+    await expectStatus(await POST(apiRequest('/api/notifications', { method: 'POST', role: 'admin', body: newRule })), 200)
+    expect(createNotificationRule).toHaveBeenCalledWith(newRule)
+  })
+})
+
+describe('PUT /api/notifications', () => {
+  it('401 เมื่อไม่มี session', async () => {
+    await expectStatus(await PUT(apiRequest('/api/notifications', { method: 'PUT', body: { id: rule.id, enabled: false } })), 401)
+  })
+
+  it('403 สำหรับ role ที่ไม่ใช่ admin', async () => {
+    await expectStatus(await PUT(apiRequest('/api/notifications', { method: 'PUT', role: 'technician', body: { id: rule.id, enabled: false } })), 403)
+  })
+
+  it('200 สำหรับ admin', async () => {
+    await expectStatus(await PUT(apiRequest('/api/notifications', { method: 'PUT', role: 'admin', body: { id: rule.id, enabled: false } })), 200)
+    expect(updateNotificationRule).toHaveBeenCalledWith(rule.id, { enabled: false })
+  })
+})
+
+describe('DELETE /api/notifications', () => {
+  it('401 เมื่อไม่มี session', async () => {
+    await expectStatus(await DELETE(apiRequest(`/api/notifications?id=${rule.id}`, { method: 'DELETE' })), 401)
+  })
+
+  it('403 สำหรับ role ที่ไม่ใช่ admin', async () => {
+    await expectStatus(await DELETE(apiRequest(`/api/notifications?id=${rule.id}`, { method: 'DELETE', role: 'quotation' })), 403)
+    expect(deleteNotificationRule).not.toHaveBeenCalled()
+  })
+
+  it('200 สำหรับ admin', async () => {
+    await expectStatus(await DELETE(apiRequest(`/api/notifications?id=${rule.id}`, { method: 'DELETE', role: 'admin' })), 200)
+  })
+})
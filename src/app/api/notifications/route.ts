@@ -0,0 +1,137 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { z } from 'zod'
+import { withRateLimit, withAuth } from '@/lib/api-middleware'
+import type { Session } from '@/lib/auth'
+import { NOTIFICATION_TRIGGERS } from '@/lib/notification-rules'
+import { ROLE_VALUES, canManageEmployees } from '@/lib/roles'
+import { STATUS_VALUES } from '@/lib/STATUS_WORKFLOW'
+import {
+  type NotificationRuleInput,
+  createNotificationRule,
+  deleteNotificationRule,
+  getNotificationRule,
+  listNotificationRules,
+  updateNotificationRule,
+} from '@/lib/repositories/notifications'
+
+const TargetSchema = z.discriminatedUnion('type', [
+  // chat id ตัวเลข (กลุ่มติดลบ) หรือ @ชื่อช่อง — ไม่ใส่ = กลุ่มหลัก
+  z.object({ type: z.literal('telegram'), chatId: z.string().trim().regex(/^(-?\d{1,20}|@\w{5,32})$/).optional() }),
+  z.object({ type: z.literal('telegram_role'), role: z.enum(ROLE_VALUES) }),
+  z.object({ type: z.literal('line_customer') }),
+])
+
+const HoursSchema = z.number().int().min(1).max(24 * 90).nullable()
+
+const RuleSchema = z.object({
+  name: z.string().trim().min(1).max(100),
+  enabled: z.boolean().optional(),
+  trigger: z.enum(NOTIFICATION_TRIGGERS),
+  statuses: z.array(z.enum(STATUS_VALUES)).optional(),
+  priorities: z.array(z.enum(['normal', 'urgent', 'emergency'])).optional(),
+  serviceTypes: z.array(z.string().trim().min(1).max(50)).max(20).optional(),
+  minAgeHours: HoursSchema.optional(),
+  repeatHours: HoursSchema.optional(),
+  targets: z.array(TargetSchema).min(1).max(10),
+  template: z.string().max(3000).optional(),
+})
+
+const UpdateSchema = RuleSchema.partial().extend({ id: z.string().min(1) })
+
+// กฎงานค้างต้องรู้ว่าค้างนานแค่ไหนถึงเตือน (เช็คกับค่าหลังรวมการแก้ เพราะ PUT ส่งมาแค่บางช่อง)
+function checkRuleShape(rule: Pick<NotificationRuleInput, 'trigger' | 'minAgeHours'>): string | null {
+  if (rule.trigger === 'overdue' && !rule.minAgeHours) return 'กฎงานค้างต้องกำหนดจำนวนชั่วโมงที่ค้าง'
+  return null
+}
+
+// GET - กฎแจ้งเตือนทั้งหมด
+async function fetchRules() {
+  try {
+    return NextResponse.json({ data: await listNotificationRules() })
+  } catch (error: unknown) {
+    console.error('Error listing notification rules:', error)
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error'
+    return NextResponse.json({ error: 'Failed to fetch notification rules', details: errorMessage }, { status: 500 })
+  }
+}
+
+// POST - เพิ่มกฎ
+async function addRule(request: NextRequest) {
+  try {
+    const body = await request.json()
+    const validated = RuleSchema.safeParse(body)
+    if (!validated.success) {
+      return NextResponse.json({ error: 'Invalid request data', details: validated.error.flatten() }, { status: 400 })
+    }
+    const shapeError = checkRuleShape(validated.data)
+    if (shapeError) {
+      return NextResponse.json({ error: shapeError }, { status: 400 })
+    }
+
+    const rule = await createNotificationRule(validated.data)
+    return NextResponse.json({ success: true, data: rule })
+  } catch (error: unknown) {
+    console.error('Error creating notification rule:', error)
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error'
+    return NextResponse.json({ error: 'Failed to create notification rule', details: errorMessage }, { status: 500 })
+  }
+}
+
+// PUT - แก้กฎ / เปิด-ปิด (ส่งเฉพาะช่องที่แก้)
+async function editRule(request: NextRequest) {
+  try {
+    const body = await request.json()
+    const validated = UpdateSchema.safeParse(body)
+    if (!validated.success) {
+      return NextResponse.json({ error: 'Invalid request data', details: validated.error.flatten() }, { status: 400 })
+    }
+    const { id, ...changes } = validated.data
+
+    const existing = await getNotificationRule(id)
+    if (!existing) {
+      return NextResponse.json({ error: 'Notification rule not found' }, { status: 404 })
+    }
+    const shapeError = checkRuleShape({ ...existing, ...changes })
+    if (shapeError) {
+      return NextResponse.json({ error: shapeError }, { status: 400 })
+    }
+
+    const rule = await updateNotificationRule(id, changes)
+    return NextResponse.json({ success: true, data: rule })
+  } catch (error: unknown) {
+    console.error('Error updating notification rule:', error)
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error'
+    return NextResponse.json({ error: 'Failed to update notification rule', details: errorMessage }, { status: 500 })
+  }
+}
+
+// DELETE - ลบกฎ (?id=) — ประวัติที่เคยส่งยังอยู่
+async function removeRule(request: NextRequest) {
+  try {
+    const id = new URL(request.url).searchParams.get('id')
+    if (!id) {
+      return NextResponse.json({ error: 'Missing id' }, { status: 400 })
+    }
+    if (!(await deleteNotificationRule(id))) {
+      return NextResponse.json({ error: 'Notification rule not found' }, { status: 404 })
+    }
+    return NextResponse.json({ success: true })
+  } catch (error: unknown) {
+    console.error('Error deleting notification rule:', error)
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error'
+    return NextResponse.json({ error: 'Failed to delete notification rule', details: errorMessage }, { status: 500 })
+  }
+}
+
+const adminOnly = {
+  authorize: (session: Session) => canManageEmployees(session.role),
+  forbiddenMessage: 'เฉพาะ admin เท่านั้น',
+}
+
+export const GET = withRateLimit(withAuth(fetchRules, adminOnly))
+
+export const POST = withRateLimit(withAuth(addRule, adminOnly))
+
+export const PUT = withRateLimit(withAuth(editRule, adminOnly))
+
+export const DELETE = withRateLimit(withAuth(removeRule, adminOnly))
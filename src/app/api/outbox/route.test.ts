@@ -0,0 +1,41 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+import { apiRequest, expectStatus } from '@/test/api'
+import { countOutboxJobs, listOutboxJobs, processOutbox } from '@/lib/outbox'
+import { GET, POST } from './route'
+
+vi.mock('@/lib/outbox', async importOriginal => ({
+  ...(await importOriginal<typeof import('@/lib/outbox')>()),
+  listOutboxJobs: vi.fn(),
+  countOutboxJobs: vi.fn(),
+  processOutbox: vi.fn(),
+  retryOutboxJob: vi.fn(),
+}))
+
+beforeEach(() => {
+  vi.mocked(listOutboxJobs).mockResolvedValue([])
+  vi.mocked(countOutboxJobs).mockResolvedValue({ pending: 0, processing: 0, dead: 2 })
+  vi.mocked(processOutbox).mockResolvedValue({ processed: 3, failed: 0 })
+})
+
+describe('GET /api/outbox', () => {
+  it('401 เมื่อไม่มี session', async () => {
+    await expectStatus(await GET(apiRequest('/api/outbox')), 401)
+  })
+
+  it('200 สำหรับพนักงานที่ login', async () => {
+    const body = await expectStatus(await GET(apiRequest('/api/outbox?status=dead', { role: 'reception' })), 200)
+    expect(body.counts.dead).toBe(2)
+    expect(listOutboxJobs).toHaveBeenCalledWith({ status: ['dead'] })
+  })
+})
+
+describe('POST /api/outbox', () => {
+  it('401 เมื่อไม่มี session', async () => {
+    await expectStatus(await POST(apiRequest('/api/outbox', { method: 'POST', body: { action: 'process' } })), 401)
+  })
+
+  it('200 สำหรับ cron ที่ส่ง x-api-secret', async () => {
+    const body = await expectStatus(await POST(apiRequest('/api/outbox', { method: 'POST', apiSecret: true, body: { action: 'process' } })), 200)
+    expect(body.data.processed).toBe(3)
+  })
+})
@@ -0,0 +1,67 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { z } from 'zod'
+import { withRateLimit, withAuth } from '@/lib/api-middleware'
+import {
+  OUTBOX_STATUSES,
+  listOutboxJobs,
+  countOutboxJobs,
+  processOutbox,
+  retryOutboxJob,
+  type OutboxStatus,
+} from '@/lib/outbox'
+
+const ActionSchema = z.discriminatedUnion('action', [
+  z.object({ action: z.literal('retry'), id: z.number().int().positive() }),
+  // ให้ cron เรียกด้วย x-api-secret บน host ที่ไม่มี worker ค้างอยู่ (เช่น serverless)
+  z.object({ action: z.literal('process') }),
+])
+
+// GET - รายการ job ในคิว + จำนวนที่ค้าง/ตาย (?status=dead,pending)
+async function listJobs(request: NextRequest) {
+  try {
+    const { searchParams } = new URL(request.url)
+    const status = searchParams.get('status')
+      ?.split(',')
+      .filter((s): s is OutboxStatus => (OUTBOX_STATUSES as readonly string[]).includes(s))
+
+    const [data, counts] = await Promise.all([
+      listOutboxJobs(status?.length ? { status } : {}),
+      countOutboxJobs(),
+    ])
+    return NextResponse.json({ data, counts })
+  } catch (error: unknown) {
+    console.error('Error listing outbox:', error)
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error'
+    return NextResponse.json({ error: 'Failed to fetch outbox', details: errorMessage }, { status: 500 })
+  }
+}
+
+// POST - ลองใหม่ทันที (retry) หรือประมวลผลคิว (process)
+async function runAction(request: NextRequest) {
+  try {
+    const body = await request.json()
+    const validated = ActionSchema.safeParse(body)
+    if (!validated.success) {
+      return NextResponse.json({ error: 'Invalid request data', details: validated.error.flatten() }, { status: 400 })
+    }
+
+    if (validated.data.action === 'process') {
+      const result = await processOutbox({ limit: 50 })
+      return NextResponse.json({ success: true, data: result })
+    }
+
+    const job = await retryOutboxJob(validated.data.id)
+    if (!job) {
+      return NextResponse.json({ error: 'Job not found or already running' }, { status: 404 })
+    }
+    return NextResponse.json({ success: true, data: job })
+  } catch (error: unknown) {
+    console.error('Error processing outbox:', error)
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error'
+    return NextResponse.json({ error: 'Failed to process outbox', details: errorMessage }, { status: 500 })
+  }
+}
+
+export const GET = withRateLimit(withAuth(listJobs))
+
+export const POST = withRateLimit(withAuth(runAction))
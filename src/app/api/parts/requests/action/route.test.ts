@@ -0,0 +1,49 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+import { apiRequest, expectStatus } from '@/test/api'
+import { makePartRequest } from '@/test/fixtures'
+import { PartStateError, changePartRequestStatus } from '@/lib/repositories/parts'
+import { POST } from './route'
+
+vi.mock('@/lib/repositories/parts', async importOriginal => ({
+  ...(await importOriginal<typeof import('@/lib/repositories/parts')>()),
+  changePartRequestStatus: vi.fn(),
+}))
+
+const partRequest = makePartRequest()
+const order = { id: partRequest.id, action: 'order', poNumber: 'PO-001' }
+
+beforeEach(() => {
+  vi.mocked(changePartRequestStatus).mockResolvedValue({ ...partRequest, status: 'ordered' })
+})
+
+describe('POST /api/parts/requests/action', () => {
+  it('401 เมื่อไม่มี session', async () => {
+    await expectStatus(await POST(apiRequest('/api/parts/requests/action', { method: 'POST', body: order })), 401)
+  })
+
+  it('403 เมื่อช่างกดสั่งซื้อ', async () => {
+    await expectStatus(await POST(apiRequest('/api/parts/requests/action', { method: 'POST', role: 'technician', body: order })), 403)
+    expect(changePartRequestStatus).not.toHaveBeenCalled()
+  })
+
+  it('200 สำหรับฝ่ายจัดซื้อ', async () => {
+    await expectStatus(await POST(apiRequest('/api/parts/requests/action', { method: 'POST', role: 'purchasing', body: order })), 200)
+    expect(changePartRequestStatus).toHaveBeenCalledWith(partRequest.id, 'ordered', 'ทดสอบ purchasing', { poNumber: 'PO-001' })
+  })
+
+  it('200 ช่างกดติดตั้งแล้วได้', async () => {
+    await expectStatus(await POST(apiRequest('/api/parts/requests/action', { method: 'POST', role: 'technician', body: { id: partRequest.id, action: 'install' } })), 200)
+    expect(changePartRequestStatus).toHaveBeenCalledWith(partRequest.id, 'installed', 'ทดสอบ technician', {})
+  })
+
+  it('409 เมื่อเปลี่ยนสถานะข้ามขั้น (ติดตั้งก่อนของเข้า)', async () => {
+    vi.mocked(changePartRequestStatus).mockRejectedValue(new PartStateError('"คาปาซิเตอร์ 35uF" เปลี่ยนจาก "สั่งแล้ว รอของเข้า" เป็น "ติดตั้งแล้ว" ไม่ได้'))
+    const response = await POST(apiRequest('/api/parts/requests/action', { method: 'POST', role: 'technician', body: { id: partRequest.id, action: 'install' } }))
+    await expectStatus(response, 409)
+  })
+
+  it('404 เมื่อไม่พบรายการ', async () => {
+    vi.mocked(changePartRequestStatus).mockResolvedValue(null)
+    await expectStatus(await POST(apiRequest('/api/parts/requests/action', { method: 'POST', role: 'purchasing', body: order })), 404)
+  })
+})
@@ -0,0 +1,60 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { z } from 'zod'
+import { withRateLimit, withAuth, getActorName, type Actor } from '@/lib/api-middleware'
+import { canManageParts } from '@/lib/roles'
+import { PartStateError, changePartRequestStatus } from '@/lib/repositories/parts'
+import type { PartRequestStatus } from '@/lib/types'
+
+const ActionSchema = z.object({
+  id: z.string().min(1),
+  action: z.enum(['order', 'receive', 'install', 'cancel']),
+  // ใช้ตอน order
+  poNumber: z.string().max(100).optional(),
+  expectedDate: z.string().regex(/^(\d{4}-\d{2}-\d{2})?$/).optional(),
+  supplier: z.string().max(200).optional(),
+  unitCost: z.number().nonnegative().optional(),
+})
+
+const ACTION_STATUS: Record<z.infer<typeof ActionSchema>['action'], PartRequestStatus> = {
+  order: 'ordered',
+  receive: 'received',
+  install: 'installed',
+  cancel: 'cancelled',
+}
+
+// POST - order = สั่งร้านแล้ว / receive = ของเข้า / install = ติดตั้งแล้ว / cancel = ไม่ใช้แล้ว
+async function partRequestAction(request: NextRequest, actor: Actor) {
+  try {
+    const body = await request.json()
+    const validated = ActionSchema.safeParse(body)
+    if (!validated.success) {
+      return NextResponse.json({ error: 'Invalid request data', details: validated.error.flatten() }, { status: 400 })
+    }
+    const { id, action, ...details } = validated.data
+
+    // สั่ง/รับ/ยกเลิก = งานจัดซื้อ; ติดตั้งแล้ว ช่างกดเองได้
+    if (action !== 'install' && actor.type === 'employee' && !canManageParts(actor.session.role)) {
+      return NextResponse.json({ error: 'เฉพาะฝ่ายจัดซื้อ / admin เท่านั้น' }, { status: 403 })
+    }
+
+    const partRequest = await changePartRequestStatus(
+      id,
+      ACTION_STATUS[action],
+      getActorName(actor),
+      action === 'order' ? details : {}
+    )
+    if (!partRequest) {
+      return NextResponse.json({ error: 'Part request not found' }, { status: 404 })
+    }
+    return NextResponse.json({ success: true, data: partRequest })
+  } catch (error: unknown) {
+    if (error instanceof PartStateError) {
+      return NextResponse.json({ error: error.message }, { status: 409 })
+    }
+    console.error('Error changing part request status:', error)
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error'
+    return NextResponse.json({ error: 'Failed to update part request', details: errorMessage }, { status: 500 })
+  }
+}
+
+export const POST = withRateLimit(withAuth(partRequestAction))
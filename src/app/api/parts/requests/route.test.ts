@@ -0,0 +1,58 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+import { apiRequest, expectStatus } from '@/test/api'
+import { makePartRequest } from '@/test/fixtures'
+import { createPartRequest, listOutstandingPartRequests, updatePartRequest } from '@/lib/repositories/parts'
+import { GET, POST, PUT } from './route'
+
+vi.mock('@/lib/repositories/parts')
+vi.mock('@/lib/repositories/service-requests')
+
+const partRequest = makePartRequest()
+
+beforeEach(() => {
+  vi.mocked(listOutstandingPartRequests).mockResolvedValue([{ ...partRequest, requestNo: 'REQ-20261019-001', customerName: 'ร้านทดสอบ', requestStatus: 'order_parts' }])
+  vi.mocked(createPartRequest).mockResolvedValue(partRequest)
+  vi.mocked(updatePartRequest).mockResolvedValue(partRequest)
+})
+
+describe('GET /api/parts/requests', () => {
+  it('401 เมื่อไม่มี session', async () => {
+    await expectStatus(await GET(apiRequest('/api/parts/requests')), 401)
+  })
+
+  it('200 สำหรับพนักงานทุก role', async () => {
+    const body = await expectStatus(await GET(apiRequest('/api/parts/requests', { role: 'technician' })), 200)
+    expect(body.data).toHaveLength(1)
+  })
+})
+
+describe('POST /api/parts/requests', () => {
+  const body = { requestId: 'req-1', name: partRequest.name, quantity: 1 }
+
+  it('401 เมื่อไม่มี session', async () => {
+    await expectStatus(await POST(apiRequest('/api/parts/requests', { method: 'POST', body })), 401)
+  })
+
+  it('200 ช่างขออะไหล่ได้', async () => {
+    await expectStatus(await POST(apiRequest('/api/parts/requests', { method: 'POST', role: 'technician', body })), 200)
+    expect(createPartRequest).toHaveBeenCalledWith('req-1', { name: partRequest.name, quantity: 1 }, 'ทดสอบ technician')
+  })
+})
+
+describe('PUT /api/parts/requests', () => {
+  const body = { id: partRequest.id, poNumber: 'PO-001' }
+
+  it('401 เมื่อไม่มี session', async () => {
+    await expectStatus(await PUT(apiRequest('/api/parts/requests', { method: 'PUT', body })), 401)
+  })
+
+  it('403 สำหรับ role ที่ไม่ใช่ฝ่ายจัดซื้อ', async () => {
+    await expectStatus(await PUT(apiRequest('/api/parts/requests', { method: 'PUT', role: 'technician', body })), 403)
+    expect(updatePartRequest).not.toHaveBeenCalled()
+  })
+
+  it('200 สำหรับฝ่ายจัดซื้อ', async () => {
+    await expectStatus(await PUT(apiRequest('/api/parts/requests', { method: 'PUT', role: 'purchasing', body })), 200)
+    expect(updatePartRequest).toHaveBeenCalledWith(partRequest.id, { poNumber: 'PO-001' })
+  })
+})
@@ -0,0 +1,119 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { z } from 'zod'
+import { withRateLimit, withAuth, getActorName, type Actor } from '@/lib/api-middleware'
+import type { Session } from '@/lib/auth'
+import { canManageParts } from '@/lib/roles'
+import {
+  PartStateError,
+  listPartRequests,
+  listOutstandingPartRequests,
+  createPartRequest,
+  updatePartRequest,
+} from '@/lib/repositories/parts'
+import { getServiceRequest } from '@/lib/repositories/service-requests'
+
+const DATE_PATTERN = /^(\d{4}-\d{2}-\d{2})?$/
+
+const CreateSchema = z.object({
+  requestId: z.string().min(1),
+  partId: z.string().min(1).optional(),
+  name: z.string().max(200).optional(),
+  quantity: z.number().positive().max(100_000).optional(),
+  unit: z.string().max(50).optional(),
+  supplier: z.string().max(200).optional(),
+  unitCost: z.number().nonnegative().optional(),
+  notes: z.string().max(2000).optional(),
+})
+
+const UpdateSchema = z.object({
+  id: z.string().min(1),
+  name: z.string().trim().min(1).max(200).optional(),
+  quantity: z.number().positive().max(100_000).optional(),
+  unit: z.string().max(50).optional(),
+  supplier: z.string().max(200).optional(),
+  unitCost: z.number().nonnegative().optional(),
+  poNumber: z.string().max(100).optional(),
+  expectedDate: z.string().regex(DATE_PATTERN).optional(),
+  notes: z.string().max(2000).optional(),
+})
+
+// GET - ?requestId= อะไหล่ของงาน + ข้อมูลงาน / ไม่ส่ง = รายการค้างสั่ง/ค้างรับของทุกงาน (หน้าจัดซื้อ)
+async function fetchPartRequests(request: NextRequest) {
+  try {
+    const requestId = new URL(request.url).searchParams.get('requestId')
+    if (!requestId) {
+      return NextResponse.json({ data: await listOutstandingPartRequests() })
+    }
+
+    const serviceRequest = await getServiceRequest(requestId)
+    if (!serviceRequest) {
+      return NextResponse.json({ error: 'Record not found' }, { status: 404 })
+    }
+    return NextResponse.json({ data: await listPartRequests(requestId), request: serviceRequest })
+  } catch (error: unknown) {
+    console.error('Error listing part requests:', error)
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error'
+    return NextResponse.json({ error: 'Failed to fetch part requests', details: errorMessage }, { status: 500 })
+  }
+}
+
+// POST - ขออะไหล่ให้งาน (ช่าง/แอดมินแจ้งได้ ฝ่ายจัดซื้อเป็นคนสั่ง)
+async function addPartRequest(request: NextRequest, actor: Actor) {
+  try {
+    const body = await request.json()
+    const validated = CreateSchema.safeParse(body)
+    if (!validated.success) {
+      return NextResponse.json({ error: 'Invalid request data', details: validated.error.flatten() }, { status: 400 })
+    }
+    const { requestId, ...input } = validated.data
+
+    const partRequest = await createPartRequest(requestId, input, getActorName(actor))
+    if (!partRequest) {
+      return NextResponse.json({ error: 'Record not found' }, { status: 404 })
+    }
+    return NextResponse.json({ success: true, data: partRequest })
+  } catch (error: unknown) {
+    if (error instanceof PartStateError) {
+      return NextResponse.json({ error: error.message }, { status: 400 })
+    }
+    console.error('Error creating part request:', error)
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error'
+    return NextResponse.json({ error: 'Failed to create part request', details: errorMessage }, { status: 500 })
+  }
+}
+
+// PUT - แก้จำนวน/ร้าน/ราคาทุน/เลขที่ใบสั่งซื้อ/วันนัดส่ง
+async function editPartRequest(request: NextRequest) {
+  try {
+    const body = await request.json()
+    const validated = UpdateSchema.safeParse(body)
+    if (!validated.success) {
+      return NextResponse.json({ error: 'Invalid request data', details: validated.error.flatten() }, { status: 400 })
+    }
+    const { id, ...input } = validated.data
+
+    const partRequest = await updatePartRequest(id, input)
+    if (!partRequest) {
+      return NextResponse.json({ error: 'Part request not found' }, { status: 404 })
+    }
+    return NextResponse.json({ success: true, data: partRequest })
+  } catch (error: unknown) {
+    if (error instanceof PartStateError) {
+      return NextResponse.json({ error: error.message }, { status: 409 })
+    }
+    console.error('Error updating part request:', error)
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error'
+    return NextResponse.json({ error: 'Failed to update part request', details: errorMessage }, { status: 500 })
+  }
+}
+
+const partManagers = {
+  authorize: (session: Session) => canManageParts(session.role),
+  forbiddenMessage: 'เฉพาะฝ่ายจัดซื้อ / admin เท่านั้น',
+}
+
+export const GET = withRateLimit(withAuth(fetchPartRequests))
+
+export const POST = withRateLimit(withAuth(addPartRequest))
+
+export const PUT = withRateLimit(withAuth(editPartRequest, partManagers))
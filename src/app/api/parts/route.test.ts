@@ -0,0 +1,68 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+import { apiRequest, expectStatus } from '@/test/api'
+import { createPart, listParts, updatePart } from '@/lib/repositories/parts'
+import type { Part } from '@/lib/types'
+import { GET, POST, PUT } from './route'
+
+vi.mock('@/lib/repositories/parts')
+
+const part: Part = {
+  id: 'part-1',
+  sku: '',
+  name: 'คาปาซิเตอร์ 35uF',
+  unit: 'ชิ้น',
+  supplier: '',
+  unitCost: 120,
+  unitPrice: 250,
+  notes: '',
+  active: true,
+  createdAt: '2026-10-01T00:00:00.000Z',
+  updatedAt: '2026-10-01T00:00:00.000Z',
+}
+
+beforeEach(() => {
+  vi.mocked(listParts).mockResolvedValue([part])
+  vi.mocked(createPart).mockResolvedValue(part)
+  vi.mocked(updatePart).mockResolvedValue(part)
+})
+
+describe('GET /api/parts', () => {
+  it('401 เมื่อไม่มี session', async () => {
+    await expectStatus(await GET(apiRequest('/api/parts')), 401)
+  })
+
+  it('200 สำหรับพนักงานทุก role', async () => {
+    const body = await expectStatus(await GET(apiRequest('/api/parts', { role: 'technician' })), 200)
+    expect(body.data).toHaveLength(1)
+  })
+})
+
+describe('POST /api/parts', () => {
+  it('401 เมื่อไม่มี session', async () => {
+    await expectStatus(await POST(apiRequest('/api/parts', { method: 'POST', body: { name: part.name } })), 401)
+  })
+
+  it('403 สำหรับ role ที่แก้แคตตาล็อกไม่ได้', async () => {
+    await expectStatus(await POST(apiRequest('/api/parts', { method: 'POST', role: 'quotation', body: { name: part.name } })), 403)
+    expect(createPart).not.toHaveBeenCalled()
+  })
+
+  it('200 สำหรับฝ่ายจัดซื้อ', async () => {
+    await expectStatus(await POST(apiRequest('/api/parts', { method: 'POST', role: 'purchasing', body: { name: part.name } })), 200)
+  })
+})
+
+describe('PUT /api/parts', () => {
+  it('401 เมื่อไม่มี session', async () => {
+    await expectStatus(await PUT(apiRequest('/api/parts', { method: 'PUT', body: { id: part.id, unitCost: 130 } })), 401)
+  })
+
+  it('403 สำหรับ role ที่แก้แคตตาล็อกไม่ได้', async () => {
+    await expectStatus(await PUT(apiRequest('/api/parts', { method: 'PUT', role: 'technician', body: { id: part.id, unitCost: 130 } })), 403)
+  })
+
+  it('200 สำหรับฝ่ายจัดซื้อ', async () => {
+    await expectStatus(await PUT(apiRequest('/api/parts', { method: 'PUT', role: 'purchasing', body: { id: part.id, unitCost: 130 } })), 200)
+    expect(updatePart).toHaveBeenCalledWith(part.id, { unitCost: 130 })
+  })
+})
@@ -0,0 +1,84 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { z } from 'zod'
+import { withRateLimit, withAuth } from '@/lib/api-middleware'
+import type { Session } from '@/lib/auth'
+import { canManageParts } from '@/lib/roles'
+import { listParts, createPart, updatePart } from '@/lib/repositories/parts'
+
+const PartSchema = z.object({
+  sku: z.string().max(100).optional(),
+  name: z.string().trim().min(1).max(200),
+  unit: z.string().max(50).optional(),
+  supplier: z.string().max(200).optional(),
+  unitCost: z.number().nonnegative().optional(),
+  unitPrice: z.number().nonnegative().optional(),
+  notes: z.string().max(2000).optional(),
+  active: z.boolean().optional(),
+})
+
+const UpdateSchema = PartSchema.partial().extend({ id: z.string().min(1) })
+
+// GET - แคตตาล็อกอะไหล่ (?q= ค้นหา, ?all=1 รวมที่เลิกใช้แล้ว)
+async function fetchParts(request: NextRequest) {
+  try {
+    const { searchParams } = new URL(request.url)
+    const q = searchParams.get('q') ?? undefined
+    const parts = await listParts({ ...(q ? { q } : {}), includeInactive: searchParams.get('all') === '1' })
+    return NextResponse.json({ data: parts })
+  } catch (error: unknown) {
+    console.error('Error listing parts:', error)
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error'
+    return NextResponse.json({ error: 'Failed to fetch parts', details: errorMessage }, { status: 500 })
+  }
+}
+
+// POST - เพิ่มอะไหล่ในแคตตาล็อก
+async function addPart(request: NextRequest) {
+  try {
+    const body = await request.json()
+    const validated = PartSchema.safeParse(body)
+    if (!validated.success) {
+      return NextResponse.json({ error: 'Invalid request data', details: validated.error.flatten() }, { status: 400 })
+    }
+
+    const part = await createPart(validated.data)
+    return NextResponse.json({ success: true, data: part })
+  } catch (error: unknown) {
+    console.error('Error creating part:', error)
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error'
+    return NextResponse.json({ error: 'Failed to create part', details: errorMessage }, { status: 500 })
+  }
+}
+
+// PUT - แก้ข้อมูล/ราคา หรือเลิกใช้ (active: false — ไม่ลบ เพราะงานเก่ายังอ้างถึง)
+async function editPart(request: NextRequest) {
+  try {
+    const body = await request.json()
+    const validated = UpdateSchema.safeParse(body)
+    if (!validated.success) {
+      return NextResponse.json({ error: 'Invalid request data', details: validated.error.flatten() }, { status: 400 })
+    }
+    const { id, ...data } = validated.data
+
+    const part = await updatePart(id, data)
+    if (!part) {
+      return NextResponse.json({ error: 'Part not found' }, { status: 404 })
+    }
+    return NextResponse.json({ success: true, data: part })
+  } catch (error: unknown) {
+    console.error('Error updating part:', error)
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error'
+    return NextResponse.json({ error: 'Failed to update part', details: errorMessage }, { status: 500 })
+  }
+}
+
+const partManagers = {
+  authorize: (session: Session) => canManageParts(session.role),
+  forbiddenMessage: 'เฉพาะฝ่ายจัดซื้อ / admin เท่านั้น',
+}
+
+export const GET = withRateLimit(withAuth(fetchParts))
+
+export const POST = withRateLimit(withAuth(addPart, partManagers))
+
+export const PUT = withRateLimit(withAuth(editPart, partManagers))
@@ -0,0 +1,81 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+import { apiRequest, expectStatus } from '@/test/api'
+import { makeQuote, makeServiceRequest } from '@/test/fixtures'
+import { getQuote, markQuoteSent, respondToQuote } from '@/lib/repositories/quotes'
+import { changeServiceRequestStatus, getServiceRequest, updateServiceRequest } from '@/lib/repositories/service-requests'
+import { POST } from './route'
+
+vi.mock('@/lib/repositories/quotes', async importOriginal => ({
+  ...(await importOriginal<typeof import('@/lib/repositories/quotes')>()),
+  getQuote: vi.fn(),
+  markQuoteSent: vi.fn(),
+  respondToQuote: vi.fn(),
+  reviseQuote: vi.fn(),
+}))
+vi.mock('@/lib/repositories/service-requests')
+vi.mock('@/lib/repositories/parts')
+vi.mock('@/lib/outbox')
+
+const quote = makeQuote()
+const job = makeServiceRequest({ status: 'waiting_quote' })
+
+beforeEach(() => {
+  vi.mocked(getQuote).mockResolvedValue(quote)
+  vi.mocked(markQuoteSent).mockResolvedValue({ ...quote, status: 'sent' })
+  vi.mocked(respondToQuote).mockResolvedValue({ ...quote, status: 'approved' })
+  vi.mocked(getServiceRequest).mockResolvedValue(job)
+  vi.mocked(changeServiceRequestStatus).mockResolvedValue({ ...job, status: 'send_quote' })
+  vi.mocked(updateServiceRequest).mockResolvedValue({ ...job, status: 'send_quote' })
+})
+
+describe('POST /api/quotes/action', () => {
+  it('401 เมื่อไม่มี session', async () => {
+    await expectStatus(await POST(apiRequest('/api/quotes/action', { method: 'POST', body: { id: quote.id, action: 'send' } })), 401)
+  })
+
+  it('403 เมื่อส่งใบเสนอราคาโดย role ที่ทำใบเสนอราคาไม่ได้', async () => {
+    await expectStatus(await POST(apiRequest('/api/quotes/action', { method: 'POST', role: 'technician', body: { id: quote.id, action: 'send' } })), 403)
+    expect(markQuoteSent).not.toHaveBeenCalled()
+  })
+
+  it('200 สำหรับฝ่ายทำใบเสนอราคา', async () => {
+    await expectStatus(await POST(apiRequest('/api/quotes/action', { method: 'POST', role: 'quotation', body: { id: quote.id, action: 'send' } })), 200)
+    expect(markQuoteSent).toHaveBeenCalledWith(quote.id, 'ทดสอบ quotation')
+  })
+
+  it('200 ฝ่ายจัดซื้อส่งใบเสนอราคาของงานที่ขอใบเสนอราคาได้', async () => {
+    await expectStatus(await POST(apiRequest('/api/quotes/action', { method: 'POST', role: 'purchasing', body: { id: quote.id, action: 'send' } })), 200)
+    expect(markQuoteSent).toHaveBeenCalledWith(quote.id, 'ทดสอบ purchasing')
+  })
+
+  it.each(['new', 'queue'] as const)('400 พร้อมเหตุผลเมื่อส่งใบเสนอราคาของงานสถานะ %s', async status => {
+    vi.mocked(getServiceRequest).mockResolvedValue(makeServiceRequest({ status }))
+
+    const body = await expectStatus(await POST(apiRequest('/api/quotes/action', { method: 'POST', role: 'quotation', body: { id: quote.id, action: 'send' } })), 400)
+    expect(body.error).toContain('เปลี่ยนสถานะงานก่อน')
+    expect(body.currentStatus).toBe(status)
+    expect(markQuoteSent).not.toHaveBeenCalled()
+  })
+
+  it('ส่งใบเสนอราคาของงานที่รอใบเสนอราคา → งานเปลี่ยนเป็น send_quote พร้อมยอดสุทธิเป็น quoteAmount', async () => {
+    const body = await expectStatus(await POST(apiRequest('/api/quotes/action', { method: 'POST', role: 'quotation', body: { id: quote.id, action: 'send' } })), 200)
+    expect(changeServiceRequestStatus).toHaveBeenCalledWith(
+      job, 'send_quote', { by: 'ทดสอบ quotation', source: 'web' }, { quoteAmount: 1070 }
+    )
+    expect(updateServiceRequest).not.toHaveBeenCalled()
+    expect(body.request.status).toBe('send_quote')
+  })
+
+  it.each(['send_quote', 'waiting_response'] as const)('ส่งฉบับใหม่ซ้ำตอนงานอยู่ %s → แค่อัปเดตยอด ไม่เปลี่ยนสถานะ', async status => {
+    vi.mocked(getServiceRequest).mockResolvedValue(makeServiceRequest({ status, quoteAmount: 900 }))
+
+    await expectStatus(await POST(apiRequest('/api/quotes/action', { method: 'POST', role: 'quotation', body: { id: quote.id, action: 'send' } })), 200)
+    expect(changeServiceRequestStatus).not.toHaveBeenCalled()
+    expect(updateServiceRequest).toHaveBeenCalledWith('req-1', { quoteAmount: 1070 }, { by: 'ทดสอบ quotation', source: 'web' })
+  })
+
+  it('200 บันทึกผลตอบกลับได้ทุก role', async () => {
+    await expectStatus(await POST(apiRequest('/api/quotes/action', { method: 'POST', role: 'reception', body: { id: quote.id, action: 'approve' } })), 200)
+    expect(respondToQuote).toHaveBeenCalledWith(quote.id, 'approved', 'ทดสอบ reception')
+  })
+})
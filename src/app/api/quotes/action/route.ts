@@ -0,0 +1,111 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { z } from 'zod'
+import { withRateLimit, withAuth, getActorName, getAuditContext, type Actor } from '@/lib/api-middleware'
+import { canManageQuotes } from '@/lib/roles'
+import { checkStatusChange } from '@/lib/status-change'
+import { getPreviousStatuses, getStatusConfig } from '@/lib/STATUS_WORKFLOW'
+import { kickOutboxWorker } from '@/lib/outbox'
+import {
+  QuoteStateError,
+  getQuote,
+  markQuoteSent,
+  respondToQuote,
+  reviseQuote,
+} from '@/lib/repositories/quotes'
+import {
+  StaleStatusError,
+  getServiceRequest,
+  changeServiceRequestStatus,
+  updateServiceRequest,
+} from '@/lib/repositories/service-requests'
+
+const ActionSchema = z.object({
+  id: z.string().min(1),
+  action: z.enum(['send', 'approve', 'reject', 'revise']),
+})
+
+// สถานะที่ถือว่าส่งใบเสนอราคาแล้ว — ส่งฉบับใหม่ซ้ำไม่ต้องเปลี่ยนสถานะงาน
+const QUOTED_STATUSES = ['send_quote', 'waiting_response']
+
+// สถานะที่ส่งใบเสนอราคาแล้วงานเปลี่ยนเป็น send_quote ได้ตาม workflow (ขอใบเสนอราคา / เช็คอะไหล่ / สั่งอะไหล่)
+const QUOTABLE_STATUSES = getPreviousStatuses('send_quote')
+
+/**
+ * 📤 Send
+ * ฉบับร่าง → ส่งแล้ว + ยอดสุทธิไปเป็น quoteAmount ของงาน
+ * งานในขั้นเสนอราคาจะถูกเปลี่ยนเป็น send_quote (ผ่านกฎ workflow เดียวกับ /api/status)
+ * งานที่ยังไม่เข้าขั้นเสนอราคา (รับเรื่องใหม่ / จองคิว) หรือปิดไปแล้ว → 400 บอกว่าต้องเปลี่ยนสถานะงานก่อน
+ */
+async function sendQuote(id: string, actor: Actor) {
+  const quote = await getQuote(id)
+  if (!quote) {
+    return NextResponse.json({ error: 'Quote not found' }, { status: 404 })
+  }
+  const current = await getServiceRequest(quote.requestId)
+  if (!current) {
+    return NextResponse.json({ error: 'Record not found' }, { status: 404 })
+  }
+
+  const fields = { quoteAmount: quote.total }
+  const needsTransition = !QUOTED_STATUSES.includes(current.status)
+  if (needsTransition && !QUOTABLE_STATUSES.includes(current.status)) {
+    const allowed = QUOTABLE_STATUSES.map(status => `"${getStatusConfig(status).label}"`).join(', ')
+    return NextResponse.json({
+      error: `งานนี้อยู่สถานะ "${getStatusConfig(current.status).label}" — ส่งใบเสนอราคาได้เมื่องานอยู่สถานะ ${allowed} เปลี่ยนสถานะงานก่อนแล้วค่อยส่ง`,
+      currentStatus: current.status,
+    }, { status: 400 })
+  }
+  if (needsTransition) {
+    const rejection = await checkStatusChange(current, 'send_quote', actor, fields)
+    if (rejection) {
+      return NextResponse.json(rejection.body, { status: rejection.status })
+    }
+  }
+
+  const by = getActorName(actor)
+  const sent = await markQuoteSent(id, by)
+  const updatedRequest = needsTransition
+    ? await changeServiceRequestStatus(current, 'send_quote', getAuditContext(actor), fields)
+    : await updateServiceRequest(current.id, fields, getAuditContext(actor))
+  if (updatedRequest) kickOutboxWorker()
+
+  return NextResponse.json({ success: true, data: sent, request: updatedRequest })
+}
+
+// POST - send = ส่งลูกค้า / approve, reject = บันทึกผลตอบกลับ / revise = ออกฉบับใหม่จากฉบับนี้
+async function quoteAction(request: NextRequest, actor: Actor) {
+  try {
+    const body = await request.json()
+    const validated = ActionSchema.safeParse(body)
+    if (!validated.success) {
+      return NextResponse.json({ error: 'Invalid request data', details: validated.error.flatten() }, { status: 400 })
+    }
+    const { id, action } = validated.data
+
+    // ส่ง/ออกฉบับใหม่ = จัดทำใบเสนอราคา; ผลตอบกลับของลูกค้าใครรับสายก็บันทึกได้
+    const isManaging = action === 'send' || action === 'revise'
+    if (isManaging && actor.type === 'employee' && !canManageQuotes(actor.session.role)) {
+      return NextResponse.json({ error: 'ไม่มีสิทธิ์จัดทำใบเสนอราคา' }, { status: 403 })
+    }
+
+    if (action === 'send') return await sendQuote(id, actor)
+
+    const by = getActorName(actor)
+    const quote = action === 'revise'
+      ? await reviseQuote(id, by)
+      : await respondToQuote(id, action === 'approve' ? 'approved' : 'rejected', by)
+    if (!quote) {
+      return NextResponse.json({ error: 'Quote not found' }, { status: 404 })
+    }
+    return NextResponse.json({ success: true, data: quote })
+  } catch (error: unknown) {
+    if (error instanceof QuoteStateError || error instanceof StaleStatusError) {
+      return NextResponse.json({ error: error.message }, { status: 409 })
+    }
+    console.error('Error updating quote:', error)
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error'
+    return NextResponse.json({ error: 'Failed to update quote', details: errorMessage }, { status: 500 })
+  }
+}
+
+export const POST = withRateLimit(withAuth(quoteAction))
@@ -0,0 +1,29 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+import { apiRequest, expectStatus } from '@/test/api'
+import { makeQuote, makeServiceRequest } from '@/test/fixtures'
+import { renderQuotePdf } from '@/lib/quote-pdf'
+import { getQuote } from '@/lib/repositories/quotes'
+import { getServiceRequest } from '@/lib/repositories/service-requests'
+import { GET } from './route'
+
+vi.mock('@/lib/quote-pdf')
+vi.mock('@/lib/repositories/quotes')
+vi.mock('@/lib/repositories/service-requests')
+
+beforeEach(() => {
+  vi.mocked(getQuote).mockResolvedValue(makeQuote())
+  vi.mocked(getServiceRequest).mockResolvedValue(makeServiceRequest())
+  vi.mocked(renderQuotePdf).mockResolvedValue(Buffer.from('%PDF-1.4'))
+})
+
+describe('GET /api/quotes/pdf', () => {
+  it('401 เมื่อไม่มี session', async () => {
+    await expectStatus(await GET(apiRequest('/api/quotes/pdf?id=quote-1')), 401)
+  })
+
+  it('200 เป็นไฟล์ PDF สำหรับพนักงานทุก role', async () => {
+    const response = await GET(apiRequest('/api/quotes/pdf?id=quote-1', { role: 'technician' }))
+    expect(response.status).toBe(200)
+    expect(response.headers.get('content-type')).toBe('application/pdf')
+  })
+})
@@ -0,0 +1,39 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { withRateLimit, withAuth } from '@/lib/api-middleware'
+import { renderQuotePdf } from '@/lib/quote-pdf'
+import { getQuote } from '@/lib/repositories/quotes'
+import { getServiceRequest } from '@/lib/repositories/service-requests'
+
+// GET ?id= - PDF ใบเสนอราคา (เปิดในแท็บใหม่ / ดาวน์โหลดส่งลูกค้า)
+async function downloadQuotePdf(request: NextRequest) {
+  try {
+    const id = new URL(request.url).searchParams.get('id')
+    if (!id) {
+      return NextResponse.json({ error: 'ต้องระบุ id' }, { status: 400 })
+    }
+
+    const quote = await getQuote(id)
+    if (!quote) {
+      return NextResponse.json({ error: 'Quote not found' }, { status: 404 })
+    }
+    const serviceRequest = await getServiceRequest(quote.requestId)
+    if (!serviceRequest) {
+      return NextResponse.json({ error: 'Record not found' }, { status: 404 })
+    }
+
+    const pdf = await renderQuotePdf(quote, serviceRequest)
+    return new NextResponse(new Uint8Array(pdf), {
+      headers: {
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `inline; filename="${quote.quoteNo}.pdf"`,
+        'Cache-Control': 'private, no-store',
+      },
+    })
+  } catch (error: unknown) {
+    console.error('Error rendering quote PDF:', error)
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error'
+    return NextResponse.json({ error: 'Failed to render PDF', details: errorMessage }, { status: 500 })
+  }
+}
+
+export const GET = withRateLimit(withAuth(downloadQuotePdf))
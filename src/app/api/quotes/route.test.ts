@@ -0,0 +1,68 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+import { apiRequest, expectStatus } from '@/test/api'
+import { makeQuote, makeServiceRequest } from '@/test/fixtures'
+import { createQuote, getQuote, listQuotes, updateQuote } from '@/lib/repositories/quotes'
+import { getServiceRequest } from '@/lib/repositories/service-requests'
+import { GET, POST, PUT } from './route'
+
+vi.mock('@/lib/repositories/quotes', async importOriginal => ({
+  ...(await importOriginal<typeof import('@/lib/repositories/quotes')>()),
+  listQuotes: vi.fn(),
+  listQuotesByCustomer: vi.fn(),
+  getQuote: vi.fn(),
+  createQuote: vi.fn(),
+  updateQuote: vi.fn(),
+}))
+vi.mock('@/lib/repositories/service-requests')
+
+const quote = makeQuote()
+const items = [{ kind: 'labor', description: 'ค่าแรง', quantity: 1, unitPrice: 500 }]
+
+beforeEach(() => {
+  vi.mocked(getQuote).mockResolvedValue(quote)
+  vi.mocked(listQuotes).mockResolvedValue([quote])
+  vi.mocked(createQuote).mockResolvedValue(quote)
+  vi.mocked(updateQuote).mockResolvedValue(quote)
+  vi.mocked(getServiceRequest).mockResolvedValue(makeServiceRequest())
+})
+
+describe('GET /api/quotes', () => {
+  it('401 เมื่อไม่มี session', async () => {
+    await expectStatus(await GET(apiRequest('/api/quotes?requestId=req-1')), 401)
+  })
+
+  it('200 สำหรับพนักงานทุก role', async () => {
+    const body = await expectStatus(await GET(apiRequest('/api/quotes?requestId=req-1', { role: 'technician' })), 200)
+    expect(body.data).toHaveLength(1)
+  })
+})
+
+describe('POST /api/quotes', () => {
+  it('401 เมื่อไม่มี session', async () => {
+    await expectStatus(await POST(apiRequest('/api/quotes', { method: 'POST', body: { requestId: 'req-1', items } })), 401)
+  })
+
+  it('403 สำหรับ role ที่ทำใบเสนอราคาไม่ได้', async () => {
+    await expectStatus(await POST(apiRequest('/api/quotes', { method: 'POST', role: 'reception', body: { requestId: 'req-1', items } })), 403)
+    expect(createQuote).not.toHaveBeenCalled()
+  })
+
+  it('200 สำหรับฝ่ายทำใบเสนอราคา', async () => {
+    await expectStatus(await POST(apiRequest('/api/quotes', { method: 'POST', role: 'quotation', body: { requestId: 'req-1', items } })), 200)
+    expect(createQuote).toHaveBeenCalledWith('req-1', expect.objectContaining({ items: expect.any(Array) }), 'ทดสอบ quotation')
+  })
+})
+
+describe('PUT /api/quotes', () => {
+  it('401 เมื่อไม่มี session', async () => {
+    await expectStatus(await PUT(apiRequest('/api/quotes', { method: 'PUT', body: { id: quote.id, items } })), 401)
+  })
+
+  it('403 สำหรับ role ที่ทำใบเสนอราคาไม่ได้', async () => {
+    await expectStatus(await PUT(apiRequest('/api/quotes', { method: 'PUT', role: 'technician', body: { id: quote.id, items } })), 403)
+  })
+
+  it('200 สำหรับฝ่ายจัดซื้อ', async () => {
+    await expectStatus(await PUT(apiRequest('/api/quotes', { method: 'PUT', role: 'purchasing', body: { id: quote.id, items } })), 200)
+  })
+})
@@ -0,0 +1,130 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { z } from 'zod'
+import { withRateLimit, withAuth, getActorName, type Actor } from '@/lib/api-middleware'
+import type { Session } from '@/lib/auth'
+import { QUOTE_ITEM_KINDS } from '@/lib/quotes'
+import { canManageQuotes } from '@/lib/roles'
+import {
+  QuoteStateError,
+  listQuotes,
+  listQuotesByCustomer,
+  getQuote,
+  createQuote,
+  updateQuote,
+} from '@/lib/repositories/quotes'
+import { getServiceRequest } from '@/lib/repositories/service-requests'
+
+const QuoteItemSchema = z.object({
+  kind: z.enum(QUOTE_ITEM_KINDS),
+  description: z.string().trim().min(1).max(1000),
+  quantity: z.number().positive().max(1_000_000),
+  unit: z.string().max(50).default(''),
+  unitPrice: z.number().nonnegative().max(100_000_000),
+  discount: z.number().nonnegative().default(0),
+})
+
+const QuoteSchema = z.object({
+  items: z.array(QuoteItemSchema).max(200),
+  discountType: z.enum(['amount', 'percent']).optional(),
+  discountValue: z.number().nonnegative().optional(),
+  vatRate: z.number().min(0).max(1).optional(),
+  validDays: z.number().int().min(1).max(365).optional(),
+  notes: z.string().max(5000).optional(),
+})
+
+const CreateSchema = QuoteSchema.extend({ requestId: z.string().min(1) })
+
+const UpdateSchema = QuoteSchema.extend({ id: z.string().min(1) })
+
+// GET - ?requestId= ทุกฉบับของงาน (ใหม่ → เก่า) + ข้อมูลงาน / ?customerId= ทุกฉบับของลูกค้า / ?id= ฉบับเดียว
+async function fetchQuotes(request: NextRequest) {
+  try {
+    const { searchParams } = new URL(request.url)
+    const id = searchParams.get('id')
+    const requestId = searchParams.get('requestId')
+    const customerId = searchParams.get('customerId')
+
+    if (id) {
+      const quote = await getQuote(id)
+      if (!quote) {
+        return NextResponse.json({ error: 'Quote not found' }, { status: 404 })
+      }
+      return NextResponse.json({ data: quote })
+    }
+    if (requestId) {
+      const serviceRequest = await getServiceRequest(requestId)
+      if (!serviceRequest) {
+        return NextResponse.json({ error: 'Record not found' }, { status: 404 })
+      }
+      return NextResponse.json({ data: await listQuotes(requestId), request: serviceRequest })
+    }
+    if (customerId) return NextResponse.json({ data: await listQuotesByCustomer(customerId) })
+
+    return NextResponse.json({ error: 'ต้องระบุ id, requestId หรือ customerId' }, { status: 400 })
+  } catch (error: unknown) {
+    console.error('Error listing quotes:', error)
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error'
+    return NextResponse.json({ error: 'Failed to fetch quotes', details: errorMessage }, { status: 500 })
+  }
+}
+
+// POST - ออกใบเสนอราคาฉบับใหม่ของงาน (เริ่มเป็นฉบับร่าง)
+async function addQuote(request: NextRequest, actor: Actor) {
+  try {
+    const body = await request.json()
+    const validated = CreateSchema.safeParse(body)
+    if (!validated.success) {
+      return NextResponse.json({ error: 'Invalid request data', details: validated.error.flatten() }, { status: 400 })
+    }
+    const { requestId, ...input } = validated.data
+
+    const quote = await createQuote(requestId, input, getActorName(actor))
+    if (!quote) {
+      return NextResponse.json({ error: 'Record not found' }, { status: 404 })
+    }
+    return NextResponse.json({ success: true, data: quote })
+  } catch (error: unknown) {
+    if (error instanceof QuoteStateError) {
+      return NextResponse.json({ error: error.message }, { status: 409 })
+    }
+    console.error('Error creating quote:', error)
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error'
+    return NextResponse.json({ error: 'Failed to create quote', details: errorMessage }, { status: 500 })
+  }
+}
+
+// PUT - แก้ฉบับร่าง (ส่งรายการมาทั้งชุด)
+async function editQuote(request: NextRequest) {
+  try {
+    const body = await request.json()
+    const validated = UpdateSchema.safeParse(body)
+    if (!validated.success) {
+      return NextResponse.json({ error: 'Invalid request data', details: validated.error.flatten() }, { status: 400 })
+    }
+    const { id, ...input } = validated.data
+
+    const quote = await updateQuote(id, input)
+    if (!quote) {
+      return NextResponse.json({ error: 'Quote not found' }, { status: 404 })
+    }
+    return NextResponse.json({ success: true, data: quote })
+  } catch (error: unknown) {
+    if (error instanceof QuoteStateError) {
+      return NextResponse.json({ error: error.message }, { status: 409 })
+    }
+    console.error('Error updating quote:', error)
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error'
+    return NextResponse.json({ error: 'Failed to update quote', details: errorMessage }, { status: 500 })
+  }
+}
+
+const quoteManagers = {
+  authorize: (session: Session) => canManageQuotes(session.role),
+  forbiddenMessage: 'ไม่มีสิทธิ์จัดทำใบเสนอราคา',
+}
+
+export const GET = withRateLimit(withAuth(fetchQuotes))
+
+export const POST = withRateLimit(withAuth(addQuote, quoteManagers))
+
+export const PUT = withRateLimit(withAuth(editQuote, quoteManagers))
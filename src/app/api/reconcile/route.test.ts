@@ -0,0 +1,48 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+import { apiRequest, expectStatus } from '@/test/api'
+import { applyReconcile, buildReconcileReport, type ReconcileReport } from '@/lib/reconcile'
+import { GET, POST } from './route'
+
+vi.mock('@/lib/reconcile')
+
+const report: ReconcileReport = {
+  generatedAt: '2026-10-19T00:00:00.000Z',
+  summary: { in_sync: 10, create_in_db: 0, push_to_sheet: 0, pull_from_sheet: 0, conflict: 0 },
+  items: [],
+}
+
+beforeEach(() => {
+  vi.mocked(buildReconcileReport).mockResolvedValue(report)
+  vi.mocked(applyReconcile).mockResolvedValue({ applied: 0, skipped: 0, failed: [], report })
+})
+
+describe('GET /api/reconcile', () => {
+  it('401 เมื่อไม่มี session', async () => {
+    await expectStatus(await GET(apiRequest('/api/reconcile')), 401)
+  })
+
+  it('403 สำหรับ role ที่ไม่ใช่ admin', async () => {
+    await expectStatus(await GET(apiRequest('/api/reconcile', { role: 'reception' })), 403)
+  })
+
+  it('200 สำหรับ admin', async () => {
+    const body = await expectStatus(await GET(apiRequest('/api/reconcile', { role: 'admin' })), 200)
+    expect(body.data.summary.in_sync).toBe(10)
+  })
+})
+
+describe('POST /api/reconcile', () => {
+  it('401 เมื่อไม่มี session', async () => {
+    await expectStatus(await POST(apiRequest('/api/reconcile', { method: 'POST', body: {} })), 401)
+  })
+
+  it('403 สำหรับ role ที่ไม่ใช่ admin', async () => {
+    await expectStatus(await POST(apiRequest('/api/reconcile', { method: 'POST', role: 'purchasing', body: {} })), 403)
+    expect(applyReconcile).not.toHaveBeenCalled()
+  })
+
+  it('200 สำหรับ admin', async () => {
+    await expectStatus(await POST(apiRequest('/api/reconcile', { method: 'POST', role: 'admin', body: { resolutions: { 'req-1': 'db' } } })), 200)
+    expect(applyReconcile).toHaveBeenCalledWith({ 'req-1': 'db' })
+  })
+})
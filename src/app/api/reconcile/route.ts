@@ -0,0 +1,50 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { z } from 'zod'
+import { withRateLimit, withAuth } from '@/lib/api-middleware'
+import type { Session } from '@/lib/auth'
+import { canManageEmployees } from '@/lib/roles'
+import { buildReconcileReport, applyReconcile } from '@/lib/reconcile'
+
+const ApplySchema = z.object({
+  // id → ฝั่งที่ชนะ สำหรับงานที่เป็น conflict (ไม่ส่ง = ข้าม)
+  resolutions: z.record(z.string(), z.enum(['db', 'sheet'])).optional(),
+})
+
+const adminOnly = {
+  authorize: (session: Session) => canManageEmployees(session.role),
+  forbiddenMessage: 'เฉพาะ admin เท่านั้น',
+}
+
+// GET - รายงานเทียบข้อมูลระบบกับ Google Sheet (dry-run ไม่เขียนอะไร)
+async function previewReconcile() {
+  try {
+    const report = await buildReconcileReport()
+    return NextResponse.json({ success: true, data: report })
+  } catch (error: unknown) {
+    console.error('Reconcile preview error:', error)
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error'
+    return NextResponse.json({ error: 'Failed to compare with Google Sheets', details: errorMessage }, { status: 500 })
+  }
+}
+
+// POST - ทำตามรายงาน (คำนวณใหม่ฝั่ง server) + ตัดสิน conflict ตาม resolutions
+async function runReconcile(request: NextRequest) {
+  try {
+    const body = await request.json().catch(() => ({}))
+    const validated = ApplySchema.safeParse(body)
+    if (!validated.success) {
+      return NextResponse.json({ error: 'Invalid request data', details: validated.error.flatten() }, { status: 400 })
+    }
+
+    const result = await applyReconcile(validated.data.resolutions)
+    return NextResponse.json({ success: true, data: result })
+  } catch (error: unknown) {
+    console.error('Reconcile apply error:', error)
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error'
+    return NextResponse.json({ error: 'Failed to reconcile with Google Sheets', details: errorMessage }, { status: 500 })
+  }
+}
+
+export const GET = withRateLimit(withAuth(previewReconcile, adminOnly))
+
+export const POST = withRateLimit(withAuth(runReconcile, adminOnly))
@@ -0,0 +1,148 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+import { apiRequest, expectStatus } from '@/test/api'
+import { makeServiceRequest } from '@/test/fixtures'
+import { getFieldChange, listFieldChanges } from '@/lib/repositories/audit'
+import { getServiceRequest, updateServiceRequest } from '@/lib/repositories/service-requests'
+import { TechnicianStateError, assertAssignableTechnician } from '@/lib/repositories/technicians'
+import type { FieldChangeEntry } from '@/lib/types'
+import { kickOutboxWorker } from '@/lib/outbox'
+import { GET, POST } from './route'
+
+vi.mock('@/lib/repositories/audit')
+vi.mock('@/lib/repositories/service-requests')
+vi.mock('@/lib/repositories/technicians', async importOriginal => ({
+  ...(await importOriginal<typeof import('@/lib/repositories/technicians')>()),
+  assertAssignableTechnician: vi.fn(),
+}))
+vi.mock('@/lib/outbox')
+
+const job = makeServiceRequest({ notes: 'ใหม่', technicianId: 'tech-2' })
+
+function makeChange(overrides: Partial<FieldChangeEntry>): FieldChangeEntry {
+  return {
+    id: 1,
+    requestId: job.id,
+    requestNo: job.requestNo,
+    field: 'notes',
+    before: JSON.stringify('เดิม'),
+    after: JSON.stringify('ใหม่'),
+    by: 'ทดสอบ reception',
+    source: 'web',
+    revertOfId: null,
+    createdAt: '2026-10-19T03:00:00.000Z',
+    ...overrides,
+  }
+}
+
+beforeEach(() => {
+  vi.mocked(listFieldChanges).mockResolvedValue([makeChange({})])
+  vi.mocked(getFieldChange).mockResolvedValue(makeChange({}))
+  vi.mocked(getServiceRequest).mockResolvedValue(job)
+  vi.mocked(updateServiceRequest).mockResolvedValue(job)
+  vi.mocked(assertAssignableTechnician).mockResolvedValue(undefined)
+})
+
+describe('GET /api/requests/audit', () => {
+  it('401 เมื่อไม่มี session', async () => {
+    await expectStatus(await GET(apiRequest(`/api/requests/audit?requestId=${job.id}`)), 401)
+  })
+
+  it('200 สำหรับพนักงานที่ login', async () => {
+    const body = await expectStatus(await GET(apiRequest(`/api/requests/audit?requestId=${job.id}`, { role: 'technician' })), 200)
+    expect(body.data).toHaveLength(1)
+  })
+})
+
+describe('POST /api/requests/audit', () => {
+  it('401 เมื่อไม่มี session', async () => {
+    await expectStatus(await POST(apiRequest('/api/requests/audit', { method: 'POST', body: { id: 1 } })), 401)
+  })
+
+  it('403 เมื่อย้อนช่างโดย role ที่จัดช่างไม่ได้', async () => {
+    vi.mocked(getFieldChange).mockResolvedValue(makeChange({
+      field: 'technicianId',
+      before: JSON.stringify('tech-1'),
+      after: JSON.stringify('tech-2'),
+    }))
+    await expectStatus(await POST(apiRequest('/api/requests/audit', { method: 'POST', role: 'quotation', body: { id: 1 } })), 403)
+    expect(updateServiceRequest).not.toHaveBeenCalled()
+  })
+
+  it('200 สำหรับพนักงานที่ login', async () => {
+    await expectStatus(await POST(apiRequest('/api/requests/audit', { method: 'POST', role: 'technician', body: { id: 1 } })), 200)
+    expect(updateServiceRequest).toHaveBeenCalledWith(
+      job.id,
+      { notes: 'เดิม' },
+      { by: 'ทดสอบ technician', source: 'web', revertOf: 1 }
+    )
+  })
+
+  const revert = (body: Record<string, unknown>) =>
+    POST(apiRequest('/api/requests/audit', { method: 'POST', role: 'reception', body }))
+
+  it('ไม่พบรายการ / งานถูกลบไปแล้ว → 404', async () => {
+    vi.mocked(getFieldChange).mockResolvedValueOnce(null)
+    await expectStatus(await revert({ id: 99 }), 404)
+
+    vi.mocked(getServiceRequest).mockResolvedValueOnce(null)
+    await expectStatus(await revert({ id: 1 }), 404)
+    expect(updateServiceRequest).not.toHaveBeenCalled()
+  })
+
+  it('สถานะ / แถวเปิดงาน ย้อนไม่ได้ → 400', async () => {
+    vi.mocked(getFieldChange).mockResolvedValueOnce(makeChange({ field: 'status', before: '"new"', after: '"queue"' }))
+    await expectStatus(await revert({ id: 1 }), 400)
+
+    vi.mocked(getFieldChange).mockResolvedValueOnce(makeChange({ field: 'created', before: null, after: '{}' }))
+    await expectStatus(await revert({ id: 1 }), 400)
+    expect(updateServiceRequest).not.toHaveBeenCalled()
+  })
+
+  it('ค่าปัจจุบันเป็นค่าก่อนแก้อยู่แล้ว → 400', async () => {
+    vi.mocked(getServiceRequest).mockResolvedValueOnce({ ...job, notes: 'เดิม' })
+    const body = await expectStatus(await revert({ id: 1 }), 400)
+    expect(body.error).toBe('หมายเหตุเป็นค่าก่อนแก้อยู่แล้ว')
+  })
+
+  it('ฟิลด์ถูกแก้ต่อไปแล้ว → 409 conflict, ยืนยัน force แล้วย้อนทับได้', async () => {
+    vi.mocked(getServiceRequest).mockResolvedValue({ ...job, notes: 'แก้อีกรอบ' })
+
+    const body = await expectStatus(await revert({ id: 1 }), 409)
+    expect(body.conflict).toBe(true)
+    expect(updateServiceRequest).not.toHaveBeenCalled()
+
+    await expectStatus(await revert({ id: 1, force: true }), 200)
+    expect(updateServiceRequest).toHaveBeenCalledWith(job.id, { notes: 'เดิม' }, expect.objectContaining({ revertOf: 1 }))
+    expect(kickOutboxWorker).toHaveBeenCalled()
+  })
+
+  it('ยอดเสนอราคาเดิมว่าง → ย้อนไม่ได้ (ลบยอดผ่านฟอร์มไม่ได้)', async () => {
+    vi.mocked(getServiceRequest).mockResolvedValueOnce({ ...job, quoteAmount: 1500 })
+    vi.mocked(getFieldChange).mockResolvedValueOnce(makeChange({ field: 'quoteAmount', before: 'null', after: '1500' }))
+    const body = await expectStatus(await revert({ id: 1 }), 400)
+    expect(body.error).toBe('ย้อนยอดเสนอราคาเป็นค่าว่างไม่ได้')
+  })
+
+  it('ย้อนแล้วขาดฟิลด์ที่สถานะปัจจุบันต้องมี → 400 พร้อม missingFields', async () => {
+    vi.mocked(getServiceRequest).mockResolvedValueOnce({ ...job, status: 'queue', appointmentDate: '2026-10-21T10:00' })
+    vi.mocked(getFieldChange).mockResolvedValueOnce(makeChange({
+      field: 'appointmentDate',
+      before: '""',
+      after: '"2026-10-21T10:00"',
+    }))
+    const body = await expectStatus(await revert({ id: 1 }), 400)
+    expect(body.missingFields).toContain('appointmentDate')
+    expect(updateServiceRequest).not.toHaveBeenCalled()
+  })
+
+  it('ย้อนกลับไปช่างที่ปิดใช้งานแล้ว → 400', async () => {
+    vi.mocked(getFieldChange).mockResolvedValueOnce(makeChange({
+      field: 'technicianId',
+      before: JSON.stringify('tech-1'),
+      after: JSON.stringify('tech-2'),
+    }))
+    vi.mocked(assertAssignableTechnician).mockRejectedValueOnce(new TechnicianStateError('ช่างคนนี้ถูกปิดใช้งานแล้ว'))
+    await expectStatus(await revert({ id: 1 }), 400)
+    expect(updateServiceRequest).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,156 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { z } from 'zod'
+import {
+  forbiddenResponse,
+  withRateLimit,
+  withAuth,
+  getAuditContext,
+  type Actor,
+} from '@/lib/api-middleware'
+import {
+  AUDIT_FIELDS,
+  type AuditField,
+  decodeAuditValue,
+  encodeAuditValue,
+  isAuditField,
+} from '@/lib/audit'
+import { REQUIRED_FIELD_LABELS, getMissingRequiredFields } from '@/lib/STATUS_WORKFLOW'
+import { ROLE_CONFIG, canAssignTechnicians } from '@/lib/roles'
+import { kickOutboxWorker } from '@/lib/outbox'
+import { getFieldChange, listFieldChanges } from '@/lib/repositories/audit'
+import { type ServiceRequestPatch, getServiceRequest, updateServiceRequest } from '@/lib/repositories/service-requests'
+import { TechnicianStateError, assertAssignableTechnician } from '@/lib/repositories/technicians'
+
+const RevertSchema = z.object({
+  id: z.number().int().positive(),
+  // ฟิลด์ถูกแก้ต่อหลังรายการนั้นแล้ว — ยืนยันจะย้อนทับค่าปัจจุบัน
+  force: z.boolean().optional(),
+})
+
+const ChannelSchema = z.enum(['LINE', 'โทร', 'Walk-in', 'Facebook', 'อื่นๆ'])
+const PrioritySchema = z.enum(['normal', 'urgent', 'emergency'])
+const AttachmentsSchema = z.array(z.object({ url: z.string(), name: z.string() }))
+
+// ค่าเดิม (JSON ที่เก็บไว้) → patch ของฟิลด์นั้น — ค่าที่รูปแบบไม่ตรง = ย้อนไม่ได้
+function toRevertPatch(field: AuditField, value: unknown): ServiceRequestPatch | null {
+  switch (field) {
+    case 'requestNo':
+    case 'status':
+    case 'deletedAt':
+      return null
+    case 'channel': {
+      const parsed = ChannelSchema.safeParse(value)
+      return parsed.success ? { channel: parsed.data } : null
+    }
+    case 'priority': {
+      const parsed = PrioritySchema.safeParse(value)
+      return parsed.success ? { priority: parsed.data } : null
+    }
+    case 'isAllDay':
+      return typeof value === 'boolean' ? { isAllDay: value } : null
+    // ไม่มียอดเดิม (null) — ลบยอดออกไม่ได้ผ่านฟอร์ม จึงไม่ให้ย้อน
+    case 'quoteAmount':
+      return typeof value === 'number' ? { quoteAmount: value } : null
+    case 'imageUrls': {
+      const parsed = z.array(z.string()).safeParse(value)
+      return parsed.success ? { imageUrls: parsed.data } : null
+    }
+    case 'attachments': {
+      const parsed = AttachmentsSchema.safeParse(value)
+      return parsed.success ? { attachments: parsed.data } : null
+    }
+    default:
+      return typeof value === 'string' ? ({ [field]: value } as ServiceRequestPatch) : null
+  }
+}
+
+// GET - ประวัติการแก้ไขรายฟิลด์ของงาน (?requestId=) ล่าสุดก่อน
+async function listChanges(request: NextRequest) {
+  try {
+    const requestId = new URL(request.url).searchParams.get('requestId')
+    if (!requestId) {
+      return NextResponse.json({ error: 'requestId is required' }, { status: 400 })
+    }
+    return NextResponse.json({ success: true, data: await listFieldChanges(requestId) })
+  } catch (error: unknown) {
+    console.error('Error listing field changes:', error)
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error'
+    return NextResponse.json({ error: 'Failed to fetch audit log', details: errorMessage }, { status: 500 })
+  }
+}
+
+// POST - ย้อนการแก้ไขหนึ่งรายการ (ตั้งฟิลด์นั้นกลับเป็นค่าก่อนแก้) — การย้อนก็ลงประวัติเป็นรายการใหม่
+async function revertChange(request: NextRequest, actor: Actor) {
+  try {
+    const body = await request.json().catch(() => ({}))
+    const validated = RevertSchema.safeParse(body)
+    if (!validated.success) {
+      return NextResponse.json({ error: 'Invalid request data', details: validated.error.flatten() }, { status: 400 })
+    }
+
+    const change = await getFieldChange(validated.data.id)
+    if (!change) {
+      return NextResponse.json({ error: 'ไม่พบรายการแก้ไข' }, { status: 404 })
+    }
+    const { field } = change
+    if (!isAuditField(field) || !AUDIT_FIELDS[field].revertable) {
+      return NextResponse.json({ error: 'รายการนี้ย้อนไม่ได้ (สถานะต้องเปลี่ยนผ่านปุ่มสถานะ)' }, { status: 400 })
+    }
+
+    const current = await getServiceRequest(change.requestId)
+    if (!current) {
+      return NextResponse.json({ error: 'ไม่พบงาน (ถูกลบไปแล้ว)' }, { status: 404 })
+    }
+
+    const currentValue = encodeAuditValue(current, field)
+    if (currentValue === change.before) {
+      return NextResponse.json({ error: `${AUDIT_FIELDS[field].label}เป็นค่าก่อนแก้อยู่แล้ว` }, { status: 400 })
+    }
+    if (currentValue !== change.after && !validated.data.force) {
+      return NextResponse.json(
+        { error: `${AUDIT_FIELDS[field].label}ถูกแก้ต่อหลังจากรายการนี้แล้ว`, conflict: true },
+        { status: 409 }
+      )
+    }
+
+    const patch = toRevertPatch(field, decodeAuditValue(change.before))
+    if (!patch) {
+      return NextResponse.json({ error: `ย้อน${AUDIT_FIELDS[field].label}เป็นค่าว่างไม่ได้` }, { status: 400 })
+    }
+
+    // ย้อนช่าง = จัดช่าง → เช็คสิทธิ์และช่างต้องยังใช้งานอยู่เหมือนแก้จากฟอร์ม
+    if (patch.technicianId !== undefined) {
+      if (actor.type === 'employee' && !canAssignTechnicians(actor.session.role)) {
+        return forbiddenResponse(`${ROLE_CONFIG[actor.session.role].label} ไม่มีสิทธิ์จัดช่าง`)
+      }
+      await assertAssignableTechnician(patch.technicianId)
+    }
+
+    // ย้อนแล้วต้องยังครบตามสถานะปัจจุบัน (เช่นงานนัดแล้วย้อนวันนัดเป็นว่างไม่ได้)
+    const missingFields = getMissingRequiredFields(current.status, { ...current, ...patch })
+    if (missingFields.length > 0) {
+      return NextResponse.json(
+        { error: `ย้อนไม่ได้ — สถานะนี้ต้องมี: ${missingFields.map(f => REQUIRED_FIELD_LABELS[f]).join(', ')}`, missingFields },
+        { status: 400 }
+      )
+    }
+
+    const updated = await updateServiceRequest(current.id, patch, { ...getAuditContext(actor), revertOf: change.id })
+    if (!updated) {
+      return NextResponse.json({ error: 'ไม่พบงาน' }, { status: 404 })
+    }
+    kickOutboxWorker()
+    return NextResponse.json({ success: true, data: updated })
+  } catch (error: unknown) {
+    if (error instanceof TechnicianStateError) {
+      return NextResponse.json({ error: error.message }, { status: 400 })
+    }
+    console.error('Error reverting field change:', error)
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error'
+    return NextResponse.json({ error: 'Failed to revert change', details: errorMessage }, { status: 500 })
+  }
+}
+
+export const GET = withRateLimit(withAuth(listChanges))
+
+export const POST = withRateLimit(withAuth(revertChange))
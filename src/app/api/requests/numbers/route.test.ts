@@ -0,0 +1,63 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+import { apiRequest, expectStatus } from '@/test/api'
+import { makeServiceRequest } from '@/test/fixtures'
+import { findDuplicateRequestNos, issueRequestNo, previewRequestNo } from '@/lib/repositories/request-numbers'
+import { getServiceRequest, renumberServiceRequest } from '@/lib/repositories/service-requests'
+import { GET, POST } from './route'
+
+vi.mock('@/lib/repositories/request-numbers')
+vi.mock('@/lib/repositories/service-requests')
+vi.mock('@/lib/outbox')
+
+const job = makeServiceRequest({ requestNo: 'REQ-20261019-001-DUP1' })
+
+beforeEach(() => {
+  vi.mocked(previewRequestNo).mockReturnValue({ format: 'REQ-{YYYY}{MM}{DD}-{SEQ:3}', example: 'REQ-20261019-001' })
+  vi.mocked(findDuplicateRequestNos).mockResolvedValue([{
+    requestNo: 'REQ-20261019-001',
+    requests: [
+      { id: 'req-0', requestNo: 'REQ-20261019-001', customerName: 'ร้านแรก', status: 'new', createdAt: '2026-10-19T01:00:00.000Z' },
+      { id: job.id, requestNo: job.requestNo, customerName: job.customerName, status: job.status, createdAt: job.createdAt },
+    ],
+  }])
+  vi.mocked(issueRequestNo).mockResolvedValue('REQ-20261019-007')
+  vi.mocked(getServiceRequest).mockResolvedValue(job)
+  vi.mocked(renumberServiceRequest).mockResolvedValue({ ...job, requestNo: 'REQ-20261019-007' })
+})
+
+describe('GET /api/requests/numbers', () => {
+  it('401 เมื่อไม่มี session', async () => {
+    await expectStatus(await GET(apiRequest('/api/requests/numbers')), 401)
+  })
+
+  it('403 สำหรับ role ที่ไม่ใช่ admin', async () => {
+    await expectStatus(await GET(apiRequest('/api/requests/numbers', { role: 'reception' })), 403)
+  })
+
+  it('200 สำหรับ admin', async () => {
+    const body = await expectStatus(await GET(apiRequest('/api/requests/numbers', { role: 'admin' })), 200)
+    expect(body.data.duplicates).toHaveLength(1)
+  })
+})
+
+describe('POST /api/requests/numbers', () => {
+  it('401 เมื่อไม่มี session', async () => {
+    await expectStatus(await POST(apiRequest('/api/requests/numbers', { method: 'POST', body: { id: job.id } })), 401)
+  })
+
+  it('403 สำหรับ role ที่ไม่ใช่ admin', async () => {
+    await expectStatus(await POST(apiRequest('/api/requests/numbers', { method: 'POST', role: 'reception', body: { id: job.id } })), 403)
+    expect(renumberServiceRequest).not.toHaveBeenCalled()
+  })
+
+  it('200 สำหรับ admin', async () => {
+    await expectStatus(await POST(apiRequest('/api/requests/numbers', { method: 'POST', role: 'admin', body: { id: job.id } })), 200)
+    expect(renumberServiceRequest).toHaveBeenCalledWith(job.id, 'REQ-20261019-007', { by: 'ทดสอบ admin', source: 'web' })
+  })
+
+  it('400 สำหรับเจ้าของเลข — เก็บเลขเดิมไว้', async () => {
+    vi.mocked(getServiceRequest).mockResolvedValue(makeServiceRequest({ id: 'req-0', requestNo: 'REQ-20261019-001' }))
+    await expectStatus(await POST(apiRequest('/api/requests/numbers', { method: 'POST', role: 'admin', body: { id: 'req-0' } })), 400)
+    expect(renumberServiceRequest).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,67 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { z } from 'zod'
+import { withRateLimit, withAuth, getAuditContext, type Actor } from '@/lib/api-middleware'
+import type { Session } from '@/lib/auth'
+import { canManageEmployees } from '@/lib/roles'
+import { kickOutboxWorker } from '@/lib/outbox'
+import { findDuplicateRequestNos, issueRequestNo, previewRequestNo } from '@/lib/repositories/request-numbers'
+import { getServiceRequest, renumberServiceRequest } from '@/lib/repositories/service-requests'
+
+const RenumberSchema = z.object({
+  id: z.string().min(1),
+})
+
+const adminOnly = {
+  authorize: (session: Session) => canManageEmployees(session.role),
+  forbiddenMessage: 'เฉพาะ admin เท่านั้น',
+}
+
+// GET - รูปแบบเลขที่งานที่ใช้อยู่ + รายการเลขที่งานที่ซ้ำกัน
+async function getNumberReport() {
+  try {
+    const { format, example } = previewRequestNo()
+    const duplicates = await findDuplicateRequestNos()
+    return NextResponse.json({ success: true, data: { format, example, duplicates } })
+  } catch (error: unknown) {
+    console.error('Request number report error:', error)
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error'
+    return NextResponse.json({ error: 'Failed to check request numbers', details: errorMessage }, { status: 500 })
+  }
+}
+
+// POST - ออกเลขที่งานใหม่ให้งานที่เลขเคยซ้ำกับงานอื่น (งานที่เลขไม่ซ้ำ/เจ้าของเลขเปลี่ยนไม่ได้)
+async function renumberRequest(request: NextRequest, actor: Actor) {
+  try {
+    const body = await request.json().catch(() => ({}))
+    const validated = RenumberSchema.safeParse(body)
+    if (!validated.success) {
+      return NextResponse.json({ error: 'Invalid request data', details: validated.error.flatten() }, { status: 400 })
+    }
+
+    const current = await getServiceRequest(validated.data.id)
+    if (!current) {
+      return NextResponse.json({ error: 'ไม่พบงาน' }, { status: 404 })
+    }
+    // เฉพาะงานที่ migration ต่อท้าย -DUPn ให้ — เจ้าของเลขเดิมเก็บเลขไว้
+    const duplicates = await findDuplicateRequestNos()
+    if (!duplicates.some(group => group.requestNo !== current.requestNo && group.requests.some(item => item.id === current.id))) {
+      return NextResponse.json({ error: `เลขที่งาน ${current.requestNo} ไม่ซ้ำกับงานอื่น` }, { status: 400 })
+    }
+
+    const updated = await renumberServiceRequest(current.id, await issueRequestNo(), getAuditContext(actor))
+    if (!updated) {
+      return NextResponse.json({ error: 'ไม่พบงาน' }, { status: 404 })
+    }
+    // เลขที่งานอยู่ใน Sheet และชื่อ event ใน Calendar
+    kickOutboxWorker()
+    return NextResponse.json({ success: true, data: updated })
+  } catch (error: unknown) {
+    console.error('Renumber request error:', error)
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error'
+    return NextResponse.json({ error: 'Failed to renumber request', details: errorMessage }, { status: 500 })
+  }
+}
+
+export const GET = withRateLimit(withAuth(getNumberReport, adminOnly))
+
+export const POST = withRateLimit(withAuth(renumberRequest, adminOnly))
@@ -0,0 +1,165 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+import { apiRequest, expectStatus } from '@/test/api'
+import { makeServiceRequest } from '@/test/fixtures'
+import {
+  createServiceRequest,
+  getServiceRequest,
+  listServiceRequests,
+  trashServiceRequest,
+  updateServiceRequest,
+} from '@/lib/repositories/service-requests'
+import { issueRequestNo } from '@/lib/repositories/request-numbers'
+import { resolveCustomerLink } from '@/lib/repositories/customers'
+import { kickOutboxWorker } from '@/lib/outbox'
+import { DELETE, GET, POST, PUT } from './route'
+
+vi.mock('@/lib/repositories/service-requests')
+vi.mock('@/lib/repositories/request-numbers')
+vi.mock('@/lib/repositories/customers')
+vi.mock('@/lib/repositories/technicians')
+vi.mock('@/lib/outbox')
+
+const job = makeServiceRequest()
+
+const newJob = {
+  channel: 'โทร',
+  customerName: 'ร้านใหม่',
+  phone: '0812345678',
+  address: '',
+  serviceType: 'ซ่อม',
+  description: '',
+  priority: 'normal',
+  status: 'new',
+  appointmentDate: '',
+  notes: '',
+  imageUrl: '',
+}
+
+beforeEach(() => {
+  vi.mocked(listServiceRequests).mockResolvedValue([job])
+  vi.mocked(getServiceRequest).mockResolvedValue(job)
+  vi.mocked(createServiceRequest).mockImplementation(async request => request)
+  vi.mocked(updateServiceRequest).mockResolvedValue(job)
+  vi.mocked(trashServiceRequest).mockResolvedValue(job)
+  vi.mocked(issueRequestNo).mockResolvedValue('REQ-20261019-002')
+  vi.mocked(resolveCustomerLink).mockResolvedValue({ customerId: 'cus-1', siteId: 'site-1' })
+})
+
+describe('GET /api/requests', () => {
+  it('401 เมื่อไม่มี session', async () => {
+    await expectStatus(await GET(apiRequest('/api/requests')), 401)
+  })
+
+  it('200 สำหรับพนักงานที่ login', async () => {
+    const body = await expectStatus(await GET(apiRequest('/api/requests', { role: 'technician' })), 200)
+    expect(body.data).toHaveLength(1)
+  })
+
+  it('200 สำหรับระบบอื่นที่ส่ง x-api-secret', async () => {
+    await expectStatus(await GET(apiRequest('/api/requests?date=2026-10-19', { apiSecret: true })), 200)
+    expect(listServiceRequests).toHaveBeenCalledWith({ appointmentDate: '2026-10-19' })
+  })
+
+  it('ค่าเริ่มต้นย้อน 90 วัน / ?days= กำหนดเองได้', async () => {
+    vi.useFakeTimers({ now: new Date('2026-10-19T00:00:00.000Z'), toFake: ['Date'] })
+    try {
+      await GET(apiRequest('/api/requests', { role: 'technician' }))
+      expect(listServiceRequests).toHaveBeenLastCalledWith({ since: new Date('2026-07-21T00:00:00.000Z') })
+      await GET(apiRequest('/api/requests?days=7', { role: 'technician' }))
+      expect(listServiceRequests).toHaveBeenLastCalledWith({ since: new Date('2026-10-12T00:00:00.000Z') })
+    } finally {
+      vi.useRealTimers()
+    }
+  })
+
+  it.each(['0', '-5', '1.5', 'abc', '3651'])('400 เมื่อ days=%s', async days => {
+    await expectStatus(await GET(apiRequest(`/api/requests?days=${days}`, { role: 'technician' })), 400)
+    expect(listServiceRequests).not.toHaveBeenCalled()
+  })
+
+  it('400 เมื่อ date ไม่ใช่ YYYY-MM-DD', async () => {
+    await expectStatus(await GET(apiRequest('/api/requests?date=19/10/2026', { role: 'technician' })), 400)
+  })
+})
+
+describe('POST /api/requests', () => {
+  it('401 เมื่อไม่มี session', async () => {
+    await expectStatus(await POST(apiRequest('/api/requests', { method: 'POST', body: newJob })), 401)
+  })
+
+  it('403 เมื่อ role เปิดงานเป็นสถานะที่ไม่มีสิทธิ์', async () => {
+    const body = { ...newJob, status: 'queue', appointmentDate: '2026-10-20T09:00' }
+    await expectStatus(await POST(apiRequest('/api/requests', { method: 'POST', role: 'technician', body })), 403)
+    expect(createServiceRequest).not.toHaveBeenCalled()
+  })
+
+  it('200 สำหรับฝ่ายรับเรื่อง', async () => {
+    const body = await expectStatus(await POST(apiRequest('/api/requests', { method: 'POST', role: 'reception', body: newJob })), 200)
+    expect(body.data.history[0].by).toBe('ทดสอบ reception')
+  })
+
+  it('เลขที่งาน / id ออกที่ server เสมอ — requestNo ที่ส่งมาไม่ถูกใช้', async () => {
+    const body = { ...newJob, id: 'client-id', requestNo: 'REQ-20261019-001' }
+    await expectStatus(await POST(apiRequest('/api/requests', { method: 'POST', role: 'reception', body })), 200)
+    const [created] = vi.mocked(createServiceRequest).mock.calls[0] ?? []
+    expect(created?.requestNo).toBe('REQ-20261019-002')
+    expect(created?.id).toMatch(/^[0-9a-f-]{36}$/)
+  })
+})
+
+describe('PUT /api/requests', () => {
+  it('401 เมื่อไม่มี session', async () => {
+    await expectStatus(await PUT(apiRequest('/api/requests', { method: 'PUT', body: { id: job.id, notes: 'x' } })), 401)
+  })
+
+  it('403 เมื่อ role ที่จัดช่างไม่ได้เปลี่ยนช่าง', async () => {
+    const body = { id: job.id, technicianId: 'tech-1' }
+    await expectStatus(await PUT(apiRequest('/api/requests', { method: 'PUT', role: 'quotation', body })), 403)
+    expect(updateServiceRequest).not.toHaveBeenCalled()
+  })
+
+  it('200 สำหรับพนักงานที่ login', async () => {
+    await expectStatus(await PUT(apiRequest('/api/requests', { method: 'PUT', role: 'quotation', body: { id: job.id, notes: 'โทรก่อนเข้า' } })), 200)
+    expect(updateServiceRequest).toHaveBeenCalledWith(job.id, { notes: 'โทรก่อนเข้า' }, { by: 'ทดสอบ quotation', source: 'web' })
+  })
+
+  it('400 เมื่อแก้จนขาดฟิลด์ที่สถานะปัจจุบันบังคับ (งานเข้าคิวแล้วลบวันนัด)', async () => {
+    vi.mocked(getServiceRequest).mockResolvedValue({ ...job, status: 'queue', appointmentDate: '2026-10-21T10:00' })
+
+    const body = { id: job.id, appointmentDate: '' }
+    const response = await expectStatus(await PUT(apiRequest('/api/requests', { method: 'PUT', role: 'reception', body })), 400)
+    expect(response.missingFields).toEqual(['appointmentDate'])
+    expect(updateServiceRequest).not.toHaveBeenCalled()
+  })
+
+  it('ฟิลด์บังคับที่ไม่ได้แก้ ใช้ค่าเดิมของงาน — แก้ฟิลด์อื่นของงานเข้าคิวได้ตามปกติ', async () => {
+    vi.mocked(getServiceRequest).mockResolvedValue({ ...job, status: 'queue', appointmentDate: '2026-10-21T10:00' })
+
+    await expectStatus(await PUT(apiRequest('/api/requests', { method: 'PUT', role: 'reception', body: { id: job.id, notes: 'x' } })), 200)
+  })
+
+  it('ลากเลื่อนนัดในปฏิทิน → บันทึกเวลานัดใหม่ผ่าน repository แล้วปลุก outbox ให้อัปเดต event', async () => {
+    vi.mocked(getServiceRequest).mockResolvedValue({ ...job, status: 'queue', appointmentDate: '2026-10-21T10:00' })
+    const move = { appointmentDate: '2026-10-22T13:00', appointmentEndDate: '', isAllDay: false }
+
+    await expectStatus(await PUT(apiRequest('/api/requests', { method: 'PUT', role: 'reception', body: { id: job.id, ...move } })), 200)
+    expect(updateServiceRequest).toHaveBeenCalledWith(job.id, move, { by: 'ทดสอบ reception', source: 'web' })
+    expect(kickOutboxWorker).toHaveBeenCalled()
+  })
+})
+
+describe('DELETE /api/requests', () => {
+  it('401 เมื่อไม่มี session', async () => {
+    await expectStatus(await DELETE(apiRequest(`/api/requests?id=${job.id}`, { method: 'DELETE' })), 401)
+  })
+
+  it('403 สำหรับ role ที่ลบงานไม่ได้', async () => {
+    await expectStatus(await DELETE(apiRequest(`/api/requests?id=${job.id}`, { method: 'DELETE', role: 'reception' })), 403)
+    expect(trashServiceRequest).not.toHaveBeenCalled()
+  })
+
+  it('200 สำหรับ admin', async () => {
+    await expectStatus(await DELETE(apiRequest(`/api/requests?id=${job.id}`, { method: 'DELETE', role: 'admin' })), 200)
+    expect(trashServiceRequest).toHaveBeenCalledWith(job.id, { by: 'ทดสอบ admin', source: 'web' })
+  })
+})
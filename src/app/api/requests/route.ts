@@ -0,0 +1,248 @@
+import { randomUUID } from 'crypto'
+import { NextRequest, NextResponse } from 'next/server'
+import { z } from 'zod'
+import {
+  forbiddenResponse,
+  withRateLimit,
+  withAuth,
+  getActorName,
+  getAuditContext,
+  type Actor,
+} from '@/lib/api-middleware'
+import {
+  REQUIRED_FIELD_LABELS,
+  getMissingRequiredFields,
+  getNextStatuses,
+  getStatusConfig,
+} from '@/lib/STATUS_WORKFLOW'
+import { ROLE_CONFIG, canPerformTransition, canDeleteRequests, canAssignTechnicians } from '@/lib/roles'
+import {
+  listServiceRequests,
+  createServiceRequest,
+  updateServiceRequest,
+  trashServiceRequest,
+  getServiceRequest,
+} from '@/lib/repositories/service-requests'
+import { issueRequestNo } from '@/lib/repositories/request-numbers'
+import { resolveCustomerLink } from '@/lib/repositories/customers'
+import { TechnicianStateError, assertAssignableTechnician } from '@/lib/repositories/technicians'
+import { kickOutboxWorker } from '@/lib/outbox'
+import type { ServiceRequest } from '@/lib/types'
+
+// สถานะที่เปิดงานใหม่ได้ = new หรือสถานะถัดไปของ new (ตาม workflow)
+const INITIAL_STATUSES = ['new', ...getNextStatuses('new')] as const
+
+const FieldsSchema = z.object({
+  channel: z.enum(['LINE', 'โทร', 'Walk-in', 'Facebook', 'อื่นๆ']),
+  customerName: z.string().min(1).max(200),
+  contactName: z.string().max(200).optional(),
+  phone: z.string().max(100),
+  address: z.string().max(1000),
+  serviceType: z.string().max(100),
+  description: z.string().max(10000),
+  priority: z.enum(['normal', 'urgent', 'emergency']),
+  appointmentDate: z.string(),
+  appointmentEndDate: z.string().optional(),
+  isAllDay: z.boolean().optional(),
+  quoteAmount: z.number().nonnegative().optional(),
+  cancelReason: z.string().max(1000).optional(),
+  notes: z.string().max(2000),
+  imageUrl: z.string(),
+  imageUrls: z.array(z.string()).optional(),
+  pdfUrl: z.string().optional(),
+  pdfFileName: z.string().optional(),
+  attachments: z.array(z.object({ url: z.string(), name: z.string() })).optional(),
+  calendarEventId: z.string().optional(),
+  calendarEventUrl: z.string().optional(),
+  customerId: z.string().optional(),
+  siteId: z.string().optional(),
+  technicianId: z.string().optional(),
+})
+
+// เลขที่งาน server ออกให้เสมอ (ดู src/lib/repositories/request-numbers.ts) — requestNo ที่ส่งมาไม่ถูกใช้
+const CreateSchema = FieldsSchema.extend({
+  status: z.enum(INITIAL_STATUSES),
+})
+
+// แก้ไขข้อมูลทั่วไป — ไม่รับ status/history (ต้องไปที่ /api/status)
+const UpdateSchema = FieldsSchema.partial().extend({
+  id: z.string().min(1),
+})
+
+// จัด/เปลี่ยนช่างผ่านฟอร์ม — ต้องมีสิทธิ์จัดช่าง และช่างต้องยังใช้งานอยู่ (ส่งค่าเดิมมา = ไม่ได้เปลี่ยน ไม่ต้องเช็ค)
+async function checkTechnicianChange(actor: Actor, technicianId: string | undefined, current?: ServiceRequest) {
+  if (technicianId === undefined || technicianId === (current?.technicianId || '')) return null
+  if (actor.type === 'employee' && !canAssignTechnicians(actor.session.role)) {
+    return forbiddenResponse(`${ROLE_CONFIG[actor.session.role].label} ไม่มีสิทธิ์จัดช่าง`)
+  }
+  await assertAssignableTechnician(technicianId)
+  return null
+}
+
+const DEFAULT_LIST_DAYS = 90
+const MAX_LIST_DAYS = 3650
+
+// GET - รายการงาน (ค่าเริ่มต้น: 90 วันล่าสุด + งานที่ยังไม่ปิด, ?days= ย้อนกี่วัน, ?date=YYYY-MM-DD = งานที่นัดวันนั้น)
+// มีชื่อ/เบอร์/ที่อยู่ลูกค้า — ต้อง login หรือส่ง x-api-secret
+async function listRequests(request: NextRequest) {
+  try {
+    const { searchParams } = new URL(request.url)
+    const date = searchParams.get('date')
+    if (date) {
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+        return NextResponse.json({ error: 'date ต้องเป็น YYYY-MM-DD' }, { status: 400 })
+      }
+      return NextResponse.json({ data: await listServiceRequests({ appointmentDate: date }) })
+    }
+
+    const daysParam = searchParams.get('days')
+    const days = daysParam === null ? DEFAULT_LIST_DAYS : Number(daysParam)
+    if (!Number.isInteger(days) || days < 1 || days > MAX_LIST_DAYS) {
+      return NextResponse.json({ error: `days ต้องเป็นจำนวนเต็ม 1-${MAX_LIST_DAYS}` }, { status: 400 })
+    }
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000)
+
+    const data = await listServiceRequests({ since })
+    return NextResponse.json({ data })
+  } catch (error: unknown) {
+    console.error('Error listing requests:', error)
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error'
+    return NextResponse.json({ error: 'Failed to fetch data', details: errorMessage }, { status: 500 })
+  }
+}
+
+// POST - สร้างงานใหม่
+async function createRequest(request: NextRequest, actor: Actor) {
+  try {
+    const body = await request.json()
+    const validated = CreateSchema.safeParse(body)
+    if (!validated.success) {
+      return NextResponse.json({ error: 'Invalid request data', details: validated.error.flatten() }, { status: 400 })
+    }
+    const fields = validated.data
+
+    // เปิดงานด้วยสถานะอื่นที่ไม่ใช่ new = เปลี่ยนสถานะ new → status ในทีเดียว ต้องมีสิทธิ์เส้นนั้นด้วย
+    if (actor.type === 'employee' && fields.status !== 'new' && !canPerformTransition(actor.session.role, 'new', fields.status)) {
+      return forbiddenResponse(
+        `${ROLE_CONFIG[actor.session.role].label} ไม่มีสิทธิ์เปิดงานเป็นสถานะ "${getStatusConfig(fields.status).label}"`
+      )
+    }
+
+    const technicianRejection = await checkTechnicianChange(actor, fields.technicianId)
+    if (technicianRejection) return technicianRejection
+
+    const missingFields = getMissingRequiredFields(fields.status, fields)
+    if (missingFields.length > 0) {
+      return NextResponse.json(
+        { error: `กรุณากรอก: ${missingFields.map(f => REQUIRED_FIELD_LABELS[f]).join(', ')}`, missingFields },
+        { status: 400 }
+      )
+    }
+
+    const now = new Date().toISOString()
+    const by = getActorName(actor)
+    const newRequest: ServiceRequest = {
+      ...fields,
+      id: randomUUID(), // Date.now() ชนกันได้เมื่อสองคนบันทึกในมิลลิวินาทีเดียวกัน
+      requestNo: await issueRequestNo(),
+      createdAt: now,
+      history: fields.status === 'new'
+        ? [{ status: 'new', date: now, by }]
+        : [{ status: 'new', date: now, by }, { status: fields.status, date: now, by }],
+    }
+
+    // ผูกกับสมุดรายชื่อลูกค้า (ที่เลือกในฟอร์ม / ที่ตรงแน่ๆ / สร้างใหม่) — ผูกไม่ได้ก็ยังเปิดงานได้
+    try {
+      Object.assign(newRequest, await resolveCustomerLink(fields))
+    } catch (error) {
+      console.error('Customer link failed:', error)
+    }
+
+    const created = await createServiceRequest(newRequest, getAuditContext(actor))
+    kickOutboxWorker()
+    return NextResponse.json({ success: true, data: created })
+  } catch (error: unknown) {
+    if (error instanceof TechnicianStateError) {
+      return NextResponse.json({ error: error.message }, { status: 400 })
+    }
+    console.error('Error creating request:', error)
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error'
+    return NextResponse.json({ error: 'Failed to add data', details: errorMessage }, { status: 500 })
+  }
+}
+
+// PUT - แก้ไขข้อมูลงาน
+async function updateRequest(request: NextRequest, actor: Actor) {
+  try {
+    const body = await request.json()
+    const validated = UpdateSchema.safeParse(body)
+    if (!validated.success) {
+      return NextResponse.json({ error: 'Invalid request data', details: validated.error.flatten() }, { status: 400 })
+    }
+    const { id, ...patch } = validated.data
+
+    const current = await getServiceRequest(id)
+    if (!current) {
+      return NextResponse.json({ error: 'Record not found' }, { status: 404 })
+    }
+    const technicianRejection = await checkTechnicianChange(actor, patch.technicianId, current)
+    if (technicianRejection) return technicianRejection
+
+    // แก้แล้วต้องยังครบตามสถานะปัจจุบัน (เช่นงานเข้าคิวแล้วลบวันนัดทิ้งไม่ได้)
+    const missingFields = getMissingRequiredFields(current.status, { ...current, ...patch })
+    if (missingFields.length > 0) {
+      return NextResponse.json(
+        { error: `กรุณากรอก: ${missingFields.map(f => REQUIRED_FIELD_LABELS[f]).join(', ')}`, missingFields },
+        { status: 400 }
+      )
+    }
+
+    const updated = await updateServiceRequest(id, patch, getAuditContext(actor))
+    if (!updated) {
+      return NextResponse.json({ error: 'Record not found' }, { status: 404 })
+    }
+    kickOutboxWorker()
+    return NextResponse.json({ success: true, data: updated })
+  } catch (error: unknown) {
+    if (error instanceof TechnicianStateError) {
+      return NextResponse.json({ error: error.message }, { status: 400 })
+    }
+    console.error('Error updating request:', error)
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error'
+    return NextResponse.json({ error: 'Failed to update data', details: errorMessage }, { status: 500 })
+  }
+}
+
+// DELETE - ลบงาน = ย้ายไปถังขยะ (admin กู้คืน/ลบถาวรที่ /api/requests/trash)
+// แถวใน Sheet และ event ยังอยู่ แค่ได้ deletedAt / เปลี่ยนเป็นสีเทา
+async function deleteRequest(request: NextRequest, actor: Actor) {
+  try {
+    const { searchParams } = new URL(request.url)
+    const id = searchParams.get('id')
+
+    if (!id) {
+      return NextResponse.json({ error: 'ID is required' }, { status: 400 })
+    }
+
+    const trashed = await trashServiceRequest(id, getAuditContext(actor))
+    if (trashed) {
+      kickOutboxWorker()
+    }
+    return NextResponse.json({ success: true })
+  } catch (error: unknown) {
+    console.error('Error deleting request:', error)
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error'
+    return NextResponse.json({ error: 'Failed to delete data', details: errorMessage }, { status: 500 })
+  }
+}
+
+export const GET = withRateLimit(withAuth(listRequests))
+
+export const POST = withRateLimit(withAuth(createRequest))
+
+export const PUT = withRateLimit(withAuth(updateRequest))
+
+export const DELETE = withRateLimit(withAuth(deleteRequest, {
+  authorize: session => canDeleteRequests(session.role),
+  forbiddenMessage: 'ไม่มีสิทธิ์ลบงาน',
+}))
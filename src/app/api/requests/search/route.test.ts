@@ -0,0 +1,38 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+import { apiRequest, expectStatus } from '@/test/api'
+import { makeServiceRequest } from '@/test/fixtures'
+import { searchServiceRequests } from '@/lib/repositories/service-requests'
+import { GET } from './route'
+
+vi.mock('@/lib/repositories/service-requests')
+
+beforeEach(() => {
+  vi.mocked(searchServiceRequests).mockResolvedValue([makeServiceRequest()])
+})
+
+describe('GET /api/requests/search', () => {
+  it('401 เมื่อไม่มี session', async () => {
+    await expectStatus(await GET(apiRequest('/api/requests/search?q=สีลม')), 401)
+  })
+
+  it('200 สำหรับพนักงานที่ login — พร้อมฟิลด์ที่เจอ', async () => {
+    const body = await expectStatus(await GET(apiRequest('/api/requests/search?q=สีลม', { role: 'technician' })), 200)
+    expect(body.data[0].hits).toEqual([
+      { field: 'customerName', label: 'ลูกค้า', snippet: 'ร้านทดสอบ สาขาสีลม' },
+      { field: 'address', label: 'ที่อยู่', snippet: 'สีลม กรุงเทพ' },
+    ])
+  })
+
+  it('ส่งคำค้นที่แยกคำ/เบอร์แล้วให้ repository, limit ไม่เกิน 200', async () => {
+    await expectStatus(await GET(apiRequest(`/api/requests/search?q=${encodeURIComponent('ล้างแอร์ 081-234-5678')}&limit=999`, { role: 'reception' })), 200)
+    expect(searchServiceRequests).toHaveBeenCalledWith(
+      { terms: ['ล้าง', 'แอร์'], digits: [{ raw: '081-234-5678', digits: '0812345678' }] },
+      200
+    )
+  })
+
+  it('ไม่มีคำค้น → 400', async () => {
+    await expectStatus(await GET(apiRequest('/api/requests/search?q=%20', { role: 'reception' })), 400)
+    expect(searchServiceRequests).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,33 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { withRateLimit, withAuth } from '@/lib/api-middleware'
+import { findSearchHits, isEmptySearchQuery, parseSearchQuery } from '@/lib/search'
+import { searchServiceRequests } from '@/lib/repositories/service-requests'
+import type { SearchResult } from '@/lib/types'
+
+const DEFAULT_LIMIT = 50
+const MAX_LIMIT = 200
+
+// GET - ค้นงานทุกฟิลด์ (?q=) พร้อมฟิลด์ที่เจอ — ค้นทุกงานที่ไม่อยู่ในถังขยะ ใหม่สุดก่อน (?limit= สูงสุด 200)
+async function searchRequests(request: NextRequest) {
+  try {
+    const { searchParams } = new URL(request.url)
+    const query = parseSearchQuery(searchParams.get('q') || '')
+    if (isEmptySearchQuery(query)) {
+      return NextResponse.json({ error: 'q is required' }, { status: 400 })
+    }
+    const limit = Math.min(Math.max(Number(searchParams.get('limit')) || DEFAULT_LIMIT, 1), MAX_LIMIT)
+
+    const requests = await searchServiceRequests(query, limit)
+    const data: SearchResult[] = requests.map(serviceRequest => ({
+      request: serviceRequest,
+      hits: findSearchHits(serviceRequest, query),
+    }))
+    return NextResponse.json({ success: true, data })
+  } catch (error: unknown) {
+    console.error('Error searching requests:', error)
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error'
+    return NextResponse.json({ error: 'Failed to search', details: errorMessage }, { status: 500 })
+  }
+}
+
+export const GET = withRateLimit(withAuth(searchRequests))
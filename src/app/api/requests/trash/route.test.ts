@@ -0,0 +1,80 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+import { apiRequest, expectStatus } from '@/test/api'
+import { makeServiceRequest } from '@/test/fixtures'
+import { listTrashedServiceRequests, restoreServiceRequest } from '@/lib/repositories/service-requests'
+import { getTrashRetentionDays, purgeTrashedRequest } from '@/lib/trash'
+import { kickOutboxWorker } from '@/lib/outbox'
+import { DELETE, GET, POST } from './route'
+
+vi.mock('@/lib/repositories/service-requests')
+vi.mock('@/lib/trash')
+vi.mock('@/lib/outbox')
+
+const trashed = makeServiceRequest({ deletedAt: '2026-10-18T00:00:00.000Z' })
+
+beforeEach(() => {
+  vi.mocked(listTrashedServiceRequests).mockResolvedValue([trashed])
+  vi.mocked(restoreServiceRequest).mockResolvedValue({ ...trashed, deletedAt: undefined })
+  vi.mocked(purgeTrashedRequest).mockResolvedValue(true)
+  vi.mocked(getTrashRetentionDays).mockReturnValue(30)
+})
+
+describe('GET /api/requests/trash', () => {
+  it('401 เมื่อไม่มี session', async () => {
+    await expectStatus(await GET(apiRequest('/api/requests/trash')), 401)
+  })
+
+  it('403 สำหรับ role ที่ไม่ใช่ admin', async () => {
+    await expectStatus(await GET(apiRequest('/api/requests/trash', { role: 'reception' })), 403)
+  })
+
+  it('200 สำหรับ admin — ส่งจำนวนวันที่เก็บไว้ก่อนลบถาวรมาด้วย', async () => {
+    const body = await expectStatus(await GET(apiRequest('/api/requests/trash', { role: 'admin' })), 200)
+    expect(body).toMatchObject({ data: [{ id: trashed.id }], retentionDays: 30 })
+  })
+})
+
+describe('POST /api/requests/trash', () => {
+  it('401 เมื่อไม่มี session', async () => {
+    await expectStatus(await POST(apiRequest('/api/requests/trash', { method: 'POST', body: { id: trashed.id } })), 401)
+  })
+
+  it('403 สำหรับ role ที่ไม่ใช่ admin', async () => {
+    await expectStatus(await POST(apiRequest('/api/requests/trash', { method: 'POST', role: 'reception', body: { id: trashed.id } })), 403)
+    expect(restoreServiceRequest).not.toHaveBeenCalled()
+  })
+
+  it('200 สำหรับ admin', async () => {
+    await expectStatus(await POST(apiRequest('/api/requests/trash', { method: 'POST', role: 'admin', body: { id: trashed.id } })), 200)
+    expect(restoreServiceRequest).toHaveBeenCalledWith(trashed.id, { by: 'ทดสอบ admin', source: 'web' })
+    expect(kickOutboxWorker).toHaveBeenCalled()
+  })
+
+  it('ไม่พบงานในถังขยะ → 404', async () => {
+    vi.mocked(restoreServiceRequest).mockResolvedValueOnce(null)
+    await expectStatus(await POST(apiRequest('/api/requests/trash', { method: 'POST', role: 'admin', body: { id: 'req-404' } })), 404)
+    expect(kickOutboxWorker).not.toHaveBeenCalled()
+  })
+})
+
+describe('DELETE /api/requests/trash', () => {
+  it('401 เมื่อไม่มี session', async () => {
+    await expectStatus(await DELETE(apiRequest(`/api/requests/trash?id=${trashed.id}`, { method: 'DELETE' })), 401)
+  })
+
+  it('403 สำหรับ role ที่ไม่ใช่ admin', async () => {
+    await expectStatus(await DELETE(apiRequest(`/api/requests/trash?id=${trashed.id}`, { method: 'DELETE', role: 'reception' })), 403)
+    expect(purgeTrashedRequest).not.toHaveBeenCalled()
+  })
+
+  it('200 สำหรับ admin', async () => {
+    await expectStatus(await DELETE(apiRequest(`/api/requests/trash?id=${trashed.id}`, { method: 'DELETE', role: 'admin' })), 200)
+    expect(purgeTrashedRequest).toHaveBeenCalledWith(trashed.id, { by: 'ทดสอบ admin', source: 'web' })
+  })
+
+  it('งานไม่ได้อยู่ในถังขยะ → 404, ไม่ระบุ id → 400', async () => {
+    vi.mocked(purgeTrashedRequest).mockResolvedValueOnce(false)
+    await expectStatus(await DELETE(apiRequest(`/api/requests/trash?id=${trashed.id}`, { method: 'DELETE', role: 'admin' })), 404)
+    await expectStatus(await DELETE(apiRequest('/api/requests/trash', { method: 'DELETE', role: 'admin' })), 400)
+  })
+})
@@ -0,0 +1,76 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { z } from 'zod'
+import { withRateLimit, withAuth, getAuditContext, type Actor } from '@/lib/api-middleware'
+import type { Session } from '@/lib/auth'
+import { canManageEmployees } from '@/lib/roles'
+import { kickOutboxWorker } from '@/lib/outbox'
+import { listTrashedServiceRequests, restoreServiceRequest } from '@/lib/repositories/service-requests'
+import { getTrashRetentionDays, purgeTrashedRequest } from '@/lib/trash'
+
+const RestoreSchema = z.object({
+  id: z.string().min(1),
+})
+
+const adminOnly = {
+  authorize: (session: Session) => canManageEmployees(session.role),
+  forbiddenMessage: 'เฉพาะ admin เท่านั้น',
+}
+
+// GET - งานในถังขยะ (ลบล่าสุดก่อน) + จำนวนวันที่เก็บไว้ก่อนลบถาวร (0 = ไม่ลบอัตโนมัติ)
+async function listTrash() {
+  try {
+    const data = await listTrashedServiceRequests()
+    return NextResponse.json({ success: true, data, retentionDays: getTrashRetentionDays() })
+  } catch (error: unknown) {
+    console.error('Error listing trash:', error)
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error'
+    return NextResponse.json({ error: 'Failed to fetch trash', details: errorMessage }, { status: 500 })
+  }
+}
+
+// POST - กู้คืนงานจากถังขยะ — กลับไปอยู่สถานะเดิม event ในปฏิทินกลับเป็นสีตามสถานะ
+async function restoreRequest(request: NextRequest, actor: Actor) {
+  try {
+    const body = await request.json().catch(() => ({}))
+    const validated = RestoreSchema.safeParse(body)
+    if (!validated.success) {
+      return NextResponse.json({ error: 'Invalid request data', details: validated.error.flatten() }, { status: 400 })
+    }
+
+    const restored = await restoreServiceRequest(validated.data.id, getAuditContext(actor))
+    if (!restored) {
+      return NextResponse.json({ error: 'ไม่พบงานในถังขยะ' }, { status: 404 })
+    }
+    kickOutboxWorker()
+    return NextResponse.json({ success: true, data: restored })
+  } catch (error: unknown) {
+    console.error('Error restoring request:', error)
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error'
+    return NextResponse.json({ error: 'Failed to restore request', details: errorMessage }, { status: 500 })
+  }
+}
+
+// DELETE - ลบงานในถังขยะถาวรทันที (?id=) ไม่ต้องรอครบกำหนด
+async function purgeRequest(request: NextRequest, actor: Actor) {
+  try {
+    const id = new URL(request.url).searchParams.get('id')
+    if (!id) {
+      return NextResponse.json({ error: 'ID is required' }, { status: 400 })
+    }
+
+    if (!(await purgeTrashedRequest(id, getAuditContext(actor)))) {
+      return NextResponse.json({ error: 'ไม่พบงานในถังขยะ' }, { status: 404 })
+    }
+    return NextResponse.json({ success: true })
+  } catch (error: unknown) {
+    console.error('Error purging request:', error)
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error'
+    return NextResponse.json({ error: 'Failed to delete data', details: errorMessage }, { status: 500 })
+  }
+}
+
+export const GET = withRateLimit(withAuth(listTrash, adminOnly))
+
+export const POST = withRateLimit(withAuth(restoreRequest, adminOnly))
+
+export const DELETE = withRateLimit(withAuth(purgeRequest, adminOnly))
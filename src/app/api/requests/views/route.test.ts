@@ -0,0 +1,129 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+import { apiRequest, expectStatus } from '@/test/api'
+import {
+  createSavedView,
+  deleteSavedView,
+  getSavedView,
+  listSavedViews,
+  updateSavedView,
+} from '@/lib/repositories/saved-views'
+import type { SavedView } from '@/lib/types'
+import { DELETE, GET, POST, PUT } from './route'
+
+vi.mock('@/lib/repositories/saved-views')
+
+// มุมมองของฝ่ายรับเรื่อง
+const view: SavedView = {
+  id: 'view-1',
+  name: 'งานด่วนรอคิว',
+  query: 'status=queue&priority=urgent',
+  createdBy: 'ทดสอบ reception',
+  createdById: 'emp-reception',
+  createdAt: '2026-10-19T00:00:00.000Z',
+  updatedAt: '2026-10-19T00:00:00.000Z',
+}
+
+beforeEach(() => {
+  vi.mocked(listSavedViews).mockResolvedValue([view])
+  vi.mocked(getSavedView).mockResolvedValue(view)
+  vi.mocked(createSavedView).mockResolvedValue(view)
+  vi.mocked(updateSavedView).mockResolvedValue(view)
+  vi.mocked(deleteSavedView).mockResolvedValue(true)
+})
+
+describe('GET /api/requests/views', () => {
+  it('401 เมื่อไม่มี session', async () => {
+    await expectStatus(await GET(apiRequest('/api/requests/views')), 401)
+  })
+
+  it('200 สำหรับพนักงานที่ login', async () => {
+    const body = await expectStatus(await GET(apiRequest('/api/requests/views', { role: 'technician' })), 200)
+    expect(body.data).toHaveLength(1)
+  })
+})
+
+describe('POST /api/requests/views', () => {
+  const body = { name: 'งานด่วนรอคิว', query: '?priority=urgent&status=queue' }
+
+  it('401 เมื่อไม่มี session', async () => {
+    await expectStatus(await POST(apiRequest('/api/requests/views', { method: 'POST', body })), 401)
+  })
+
+  it('200 สำหรับพนักงานที่ login — เก็บ query แบบ normalize แล้ว พร้อม id คนสร้าง', async () => {
+    await expectStatus(await POST(apiRequest('/api/requests/views', { method: 'POST', role: 'reception', body })), 200)
+    expect(createSavedView).toHaveBeenCalledWith(
+      { name: 'งานด่วนรอคิว', query: 'status=queue&priority=urgent' },
+      'ทดสอบ reception',
+      'emp-reception'
+    )
+  })
+
+  it('ตัวกรองที่อ่านไม่ออกถูกทิ้งก่อนบันทึก', async () => {
+    const stale = { name: 'เก่า', query: 'status=archived&sort=phone&type=ล้างแอร์' }
+    await expectStatus(await POST(apiRequest('/api/requests/views', { method: 'POST', role: 'reception', body: stale })), 200)
+    expect(createSavedView).toHaveBeenCalledWith(
+      { name: 'เก่า', query: `type=${encodeURIComponent('ล้างแอร์')}` },
+      'ทดสอบ reception',
+      'emp-reception'
+    )
+  })
+
+  it('ชื่อซ้ำ → 409, ชื่อว่าง → 400', async () => {
+    vi.mocked(createSavedView).mockRejectedValueOnce(new Error('Unique constraint failed on the fields: (`name`)'))
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    const duplicate = await expectStatus(await POST(apiRequest('/api/requests/views', { method: 'POST', role: 'reception', body })), 409)
+    expect(duplicate.error).toBe('ชื่อมุมมองนี้มีอยู่แล้ว')
+
+    await expectStatus(await POST(apiRequest('/api/requests/views', { method: 'POST', role: 'reception', body: { ...body, name: '  ' } })), 400)
+  })
+})
+
+describe('PUT /api/requests/views', () => {
+  it('401 เมื่อไม่มี session', async () => {
+    await expectStatus(await PUT(apiRequest('/api/requests/views', { method: 'PUT', body: { id: view.id, name: 'ใหม่' } })), 401)
+  })
+
+  it('403 เมื่อแก้มุมมองของคนอื่น', async () => {
+    await expectStatus(await PUT(apiRequest('/api/requests/views', { method: 'PUT', role: 'technician', body: { id: view.id, name: 'ใหม่' } })), 403)
+    expect(updateSavedView).not.toHaveBeenCalled()
+  })
+
+  it('403 เมื่อชื่อตรงกับคนที่สร้างแต่เป็นพนักงานคนละคน', async () => {
+    vi.mocked(getSavedView).mockResolvedValue({ ...view, createdBy: 'ทดสอบ technician', createdById: 'emp-former' })
+    await expectStatus(await PUT(apiRequest('/api/requests/views', { method: 'PUT', role: 'technician', body: { id: view.id, name: 'ใหม่' } })), 403)
+    expect(updateSavedView).not.toHaveBeenCalled()
+  })
+
+  it('200 สำหรับคนที่สร้าง — แม้เปลี่ยนชื่อไปแล้ว', async () => {
+    vi.mocked(getSavedView).mockResolvedValue({ ...view, createdBy: 'ชื่อเดิม' })
+    await expectStatus(await PUT(apiRequest('/api/requests/views', { method: 'PUT', role: 'reception', body: { id: view.id, name: 'ใหม่' } })), 200)
+  })
+
+  it('200 สำหรับ admin', async () => {
+    await expectStatus(await PUT(apiRequest('/api/requests/views', { method: 'PUT', role: 'admin', body: { id: view.id, name: 'ใหม่' } })), 200)
+  })
+
+  it('บันทึกทับด้วยตัวกรองปัจจุบัน → ส่งเฉพาะช่องที่แก้, ไม่พบ → 404', async () => {
+    await expectStatus(await PUT(apiRequest('/api/requests/views', { method: 'PUT', role: 'reception', body: { id: view.id, query: '?priority=emergency' } })), 200)
+    expect(updateSavedView).toHaveBeenCalledWith(view.id, { query: 'priority=emergency' })
+
+    vi.mocked(getSavedView).mockResolvedValueOnce(null)
+    await expectStatus(await PUT(apiRequest('/api/requests/views', { method: 'PUT', role: 'reception', body: { id: 'view-404', name: 'ใหม่' } })), 404)
+  })
+})
+
+describe('DELETE /api/requests/views', () => {
+  it('401 เมื่อไม่มี session', async () => {
+    await expectStatus(await DELETE(apiRequest(`/api/requests/views?id=${view.id}`, { method: 'DELETE' })), 401)
+  })
+
+  it('403 เมื่อลบมุมมองของคนอื่น', async () => {
+    await expectStatus(await DELETE(apiRequest(`/api/requests/views?id=${view.id}`, { method: 'DELETE', role: 'quotation' })), 403)
+    expect(deleteSavedView).not.toHaveBeenCalled()
+  })
+
+  it('200 สำหรับคนที่สร้าง', async () => {
+    await expectStatus(await DELETE(apiRequest(`/api/requests/views?id=${view.id}`, { method: 'DELETE', role: 'reception' })), 200)
+    expect(deleteSavedView).toHaveBeenCalledWith(view.id)
+  })
+})
@@ -0,0 +1,131 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { z } from 'zod'
+import { withRateLimit, withAuth, getActorName, type Actor } from '@/lib/api-middleware'
+import { parseListView, toListViewQuery } from '@/lib/list-view'
+import { canManageEmployees } from '@/lib/roles'
+import {
+  createSavedView,
+  deleteSavedView,
+  getSavedView,
+  listSavedViews,
+  updateSavedView,
+} from '@/lib/repositories/saved-views'
+import type { SavedView } from '@/lib/types'
+
+// query string ของตัวกรอง — เก็บแบบ normalize แล้ว (ค่าที่อ่านไม่ออกถูกทิ้ง ลำดับ parameter คงที่)
+const QuerySchema = z.string().trim().max(2000).transform(query => toListViewQuery(parseListView(query.replace(/^\?/, ''))))
+
+const ViewSchema = z.object({
+  name: z.string().trim().min(1).max(60),
+  query: QuerySchema,
+})
+
+const UpdateSchema = ViewSchema.partial().extend({ id: z.string().min(1) })
+
+// ทุกคนบันทึกมุมมองได้ — แก้/ลบได้เฉพาะคนที่สร้างกับ admin (เทียบ employeeId — ชื่อพนักงานเปลี่ยน/ซ้ำกับคนเก่าได้)
+function canChangeView(actor: Actor, view: SavedView): boolean {
+  return actor.type === 'service'
+    || canManageEmployees(actor.session.role)
+    || (view.createdById !== undefined && actor.session.employeeId === view.createdById)
+}
+
+function duplicateNameResponse(error: unknown) {
+  const errorMessage = error instanceof Error ? error.message : 'Unknown error'
+  return errorMessage.includes('Unique constraint')
+    ? NextResponse.json({ error: 'ชื่อมุมมองนี้มีอยู่แล้ว', details: errorMessage }, { status: 409 })
+    : null
+}
+
+// GET - มุมมองที่บันทึกไว้ทั้งหมด (เรียงตามชื่อ)
+async function fetchViews() {
+  try {
+    return NextResponse.json({ data: await listSavedViews() })
+  } catch (error: unknown) {
+    console.error('Error listing saved views:', error)
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error'
+    return NextResponse.json({ error: 'Failed to fetch saved views', details: errorMessage }, { status: 500 })
+  }
+}
+
+// POST - บันทึกตัวกรอง/การเรียงปัจจุบันเป็นมุมมองใหม่
+async function addView(request: NextRequest, actor: Actor) {
+  try {
+    const body = await request.json()
+    const validated = ViewSchema.safeParse(body)
+    if (!validated.success) {
+      return NextResponse.json({ error: 'Invalid request data', details: validated.error.flatten() }, { status: 400 })
+    }
+
+    const createdById = actor.type === 'employee' ? actor.session.employeeId : null
+    const view = await createSavedView(validated.data, getActorName(actor), createdById)
+    return NextResponse.json({ success: true, data: view })
+  } catch (error: unknown) {
+    console.error('Error creating saved view:', error)
+    const duplicate = duplicateNameResponse(error)
+    if (duplicate) return duplicate
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error'
+    return NextResponse.json({ error: 'Failed to create saved view', details: errorMessage }, { status: 500 })
+  }
+}
+
+// PUT - เปลี่ยนชื่อ / บันทึกทับด้วยตัวกรองปัจจุบัน (ส่งเฉพาะช่องที่แก้)
+async function editView(request: NextRequest, actor: Actor) {
+  try {
+    const body = await request.json()
+    const validated = UpdateSchema.safeParse(body)
+    if (!validated.success) {
+      return NextResponse.json({ error: 'Invalid request data', details: validated.error.flatten() }, { status: 400 })
+    }
+    const { id, ...changes } = validated.data
+
+    const existing = await getSavedView(id)
+    if (!existing) {
+      return NextResponse.json({ error: 'Saved view not found' }, { status: 404 })
+    }
+    if (!canChangeView(actor, existing)) {
+      return NextResponse.json({ error: 'แก้ได้เฉพาะคนที่สร้างมุมมองนี้หรือ admin' }, { status: 403 })
+    }
+
+    const view = await updateSavedView(id, changes)
+    return NextResponse.json({ success: true, data: view })
+  } catch (error: unknown) {
+    console.error('Error updating saved view:', error)
+    const duplicate = duplicateNameResponse(error)
+    if (duplicate) return duplicate
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error'
+    return NextResponse.json({ error: 'Failed to update saved view', details: errorMessage }, { status: 500 })
+  }
+}
+
+// DELETE - ลบมุมมอง (?id=)
+async function removeView(request: NextRequest, actor: Actor) {
+  try {
+    const id = new URL(request.url).searchParams.get('id')
+    if (!id) {
+      return NextResponse.json({ error: 'Missing id' }, { status: 400 })
+    }
+
+    const existing = await getSavedView(id)
+    if (!existing) {
+      return NextResponse.json({ error: 'Saved view not found' }, { status: 404 })
+    }
+    if (!canChangeView(actor, existing)) {
+      return NextResponse.json({ error: 'ลบได้เฉพาะคนที่สร้างมุมมองนี้หรือ admin' }, { status: 403 })
+    }
+
+    await deleteSavedView(id)
+    return NextResponse.json({ success: true })
+  } catch (error: unknown) {
+    console.error('Error deleting saved view:', error)
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error'
+    return NextResponse.json({ error: 'Failed to delete saved view', details: errorMessage }, { status: 500 })
+  }
+}
+
+export const GET = withRateLimit(withAuth(fetchViews))
+
+export const POST = withRateLimit(withAuth(addView))
+
+export const PUT = withRateLimit(withAuth(editView))
+
+export const DELETE = withRateLimit(withAuth(removeView))
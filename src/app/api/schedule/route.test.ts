@@ -0,0 +1,50 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+import { apiRequest, expectStatus } from '@/test/api'
+import { checkSchedule, getAvailability } from '@/lib/repositories/schedule'
+import { GET, POST } from './route'
+
+vi.mock('@/lib/repositories/schedule')
+
+const check = { appointmentDate: '2026-10-20T09:00', serviceType: 'ล้างแอร์' }
+
+beforeEach(() => {
+  vi.mocked(getAvailability).mockResolvedValue({ dates: ['2026-10-20'], technicians: [], unassigned: {} })
+  vi.mocked(checkSchedule).mockResolvedValue({ start: null, end: null, overlaps: [], capacity: [] })
+})
+
+describe('GET /api/schedule', () => {
+  it('401 เมื่อไม่มี session', async () => {
+    await expectStatus(await GET(apiRequest('/api/schedule?date=2026-10-20')), 401)
+  })
+
+  it('200 สำหรับพนักงานที่ login', async () => {
+    await expectStatus(await GET(apiRequest('/api/schedule?date=2026-10-20&days=3', { role: 'technician' })), 200)
+    expect(getAvailability).toHaveBeenCalledWith('2026-10-20', 3)
+  })
+
+  it('days เกินช่วง → ตัดให้อยู่ใน 1-14', async () => {
+    await expectStatus(await GET(apiRequest('/api/schedule?date=2026-10-20&days=60', { role: 'reception' })), 200)
+    expect(getAvailability).toHaveBeenCalledWith('2026-10-20', 14)
+  })
+
+  it('400 เมื่อ date ผิดรูปแบบ', async () => {
+    await expectStatus(await GET(apiRequest('/api/schedule?date=20/10/2026', { role: 'reception' })), 400)
+    expect(getAvailability).not.toHaveBeenCalled()
+  })
+})
+
+describe('POST /api/schedule', () => {
+  it('401 เมื่อไม่มี session', async () => {
+    await expectStatus(await POST(apiRequest('/api/schedule', { method: 'POST', body: check })), 401)
+  })
+
+  it('200 สำหรับพนักงานที่ login', async () => {
+    await expectStatus(await POST(apiRequest('/api/schedule', { method: 'POST', role: 'reception', body: check })), 200)
+    expect(checkSchedule).toHaveBeenCalledWith(check)
+  })
+
+  it('400 เมื่อไม่มีวันนัด', async () => {
+    await expectStatus(await POST(apiRequest('/api/schedule', { method: 'POST', role: 'reception', body: { ...check, appointmentDate: '' } })), 400)
+    expect(checkSchedule).not.toHaveBeenCalled()
+  })
+})
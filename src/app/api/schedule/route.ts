@@ -0,0 +1,55 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { z } from 'zod'
+import { withRateLimit, withAuth } from '@/lib/api-middleware'
+import { checkSchedule, getAvailability } from '@/lib/repositories/schedule'
+import { toDateKey } from '@/lib/scheduling'
+
+const MAX_DAYS = 14
+
+const CheckSchema = z.object({
+  requestId: z.string().optional(),
+  technicianId: z.string().optional(),
+  appointmentDate: z.string().min(1),
+  appointmentEndDate: z.string().optional(),
+  isAllDay: z.boolean().optional(),
+  serviceType: z.string().max(100),
+})
+
+// GET - เวลาว่างของช่าง (?date=YYYY-MM-DD วันเริ่ม ค่าเริ่มต้นวันนี้, ?days=1-14)
+async function fetchAvailability(request: NextRequest) {
+  try {
+    const { searchParams } = new URL(request.url)
+    const date = searchParams.get('date') || toDateKey(new Date())
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return NextResponse.json({ error: 'date ต้องเป็น YYYY-MM-DD' }, { status: 400 })
+    }
+    const days = Math.min(Math.max(Number(searchParams.get('days')) || 1, 1), MAX_DAYS)
+
+    return NextResponse.json({ data: await getAvailability(date, days) })
+  } catch (error: unknown) {
+    console.error('Error loading availability:', error)
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error'
+    return NextResponse.json({ error: 'Failed to load availability', details: errorMessage }, { status: 500 })
+  }
+}
+
+// POST - เช็คก่อนบันทึก: ชนกับงานอื่นของช่างคนเดียวกัน / เกินความจุต่อวัน (เตือนเท่านั้น ไม่บล็อก)
+async function checkConflicts(request: NextRequest) {
+  try {
+    const body = await request.json()
+    const validated = CheckSchema.safeParse(body)
+    if (!validated.success) {
+      return NextResponse.json({ error: 'Invalid request data', details: validated.error.flatten() }, { status: 400 })
+    }
+
+    return NextResponse.json({ data: await checkSchedule(validated.data) })
+  } catch (error: unknown) {
+    console.error('Error checking schedule:', error)
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error'
+    return NextResponse.json({ error: 'Failed to check schedule', details: errorMessage }, { status: 500 })
+  }
+}
+
+export const GET = withRateLimit(withAuth(fetchAvailability))
+
+export const POST = withRateLimit(withAuth(checkConflicts))
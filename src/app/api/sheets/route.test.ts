@@ -0,0 +1,21 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+import { apiRequest, expectStatus } from '@/test/api'
+import { readSheetRows } from '@/lib/integrations/sheets'
+import { GET } from './route'
+
+vi.mock('@/lib/integrations/sheets')
+
+beforeEach(() => {
+  vi.mocked(readSheetRows).mockResolvedValue([])
+})
+
+describe('GET /api/sheets', () => {
+  it('401 เมื่อไม่มี session', async () => {
+    await expectStatus(await GET(apiRequest('/api/sheets')), 401)
+    expect(readSheetRows).not.toHaveBeenCalled()
+  })
+
+  it('200 สำหรับพนักงานที่ login', async () => {
+    await expectStatus(await GET(apiRequest('/api/sheets', { role: 'reception' })), 200)
+  })
+})
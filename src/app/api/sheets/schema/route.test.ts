@@ -0,0 +1,49 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+import { apiRequest, expectStatus } from '@/test/api'
+import { checkSheetSchema } from '@/lib/integrations/sheets'
+import { GET, POST } from './route'
+
+vi.mock('@/lib/integrations/sheets')
+
+beforeEach(() => {
+  vi.mocked(checkSheetSchema).mockResolvedValue({
+    ok: true,
+    tabName: 'Sheet1',
+    headers: [],
+    missing: [],
+    unknown: [],
+    duplicates: [],
+    outOfOrder: false,
+  })
+})
+
+describe('GET /api/sheets/schema', () => {
+  it('401 เมื่อไม่มี session', async () => {
+    await expectStatus(await GET(apiRequest('/api/sheets/schema')), 401)
+  })
+
+  it('403 สำหรับ role ที่ไม่ใช่ admin', async () => {
+    await expectStatus(await GET(apiRequest('/api/sheets/schema', { role: 'reception' })), 403)
+  })
+
+  it('200 สำหรับ admin', async () => {
+    await expectStatus(await GET(apiRequest('/api/sheets/schema', { role: 'admin' })), 200)
+    expect(checkSheetSchema).toHaveBeenCalledWith()
+  })
+})
+
+describe('POST /api/sheets/schema', () => {
+  it('401 เมื่อไม่มี session', async () => {
+    await expectStatus(await POST(apiRequest('/api/sheets/schema', { method: 'POST' })), 401)
+  })
+
+  it('403 สำหรับ role ที่ไม่ใช่ admin', async () => {
+    await expectStatus(await POST(apiRequest('/api/sheets/schema', { method: 'POST', role: 'purchasing' })), 403)
+    expect(checkSheetSchema).not.toHaveBeenCalled()
+  })
+
+  it('200 สำหรับ admin', async () => {
+    await expectStatus(await POST(apiRequest('/api/sheets/schema', { method: 'POST', role: 'admin' })), 200)
+    expect(checkSheetSchema).toHaveBeenCalledWith({ fix: true })
+  })
+})
@@ -0,0 +1,38 @@
+import { NextResponse } from 'next/server'
+import { withRateLimit, withAuth } from '@/lib/api-middleware'
+import type { Session } from '@/lib/auth'
+import { canManageEmployees } from '@/lib/roles'
+import { checkSheetSchema } from '@/lib/integrations/sheets'
+
+const adminOnly = {
+  authorize: (session: Session) => canManageEmployees(session.role),
+  forbiddenMessage: 'เฉพาะ admin เท่านั้น',
+}
+
+// GET - เทียบ header ในชีตกับคอลัมน์ที่ระบบใช้ (ไม่แก้อะไร)
+async function checkSchema() {
+  try {
+    const report = await checkSheetSchema()
+    return NextResponse.json({ success: true, data: report })
+  } catch (error: unknown) {
+    console.error('Sheet schema check error:', error)
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error'
+    return NextResponse.json({ error: 'Failed to check sheet schema', details: errorMessage }, { status: 500 })
+  }
+}
+
+// POST - เติมคอลัมน์ที่ขาดต่อท้ายแถว header
+async function fixSchema() {
+  try {
+    const report = await checkSheetSchema({ fix: true })
+    return NextResponse.json({ success: true, data: report })
+  } catch (error: unknown) {
+    console.error('Sheet schema fix error:', error)
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error'
+    return NextResponse.json({ error: 'Failed to fix sheet schema', details: errorMessage }, { status: 500 })
+  }
+}
+
+export const GET = withRateLimit(withAuth(checkSchema, adminOnly))
+
+export const POST = withRateLimit(withAuth(fixSchema, adminOnly))
@@ -0,0 +1,51 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+import { apiRequest, expectStatus } from '@/test/api'
+import { makeServiceRequest } from '@/test/fixtures'
+import { StaleStatusError, changeServiceRequestStatus, getServiceRequest } from '@/lib/repositories/service-requests'
+import { kickOutboxWorker } from '@/lib/outbox'
+import { POST } from './route'
+
+vi.mock('@/lib/repositories/service-requests', async importOriginal => ({
+  ...await importOriginal<typeof import('@/lib/repositories/service-requests')>(),
+  getServiceRequest: vi.fn(),
+  changeServiceRequestStatus: vi.fn(),
+}))
+vi.mock('@/lib/repositories/parts')
+vi.mock('@/lib/outbox')
+
+const job = makeServiceRequest()
+const toQueue = { id: job.id, status: 'queue', appointmentDate: '2026-10-20T09:00' }
+
+beforeEach(() => {
+  vi.mocked(getServiceRequest).mockResolvedValue(job)
+  vi.mocked(changeServiceRequestStatus).mockResolvedValue({ ...job, status: 'queue' })
+})
+
+describe('POST /api/status', () => {
+  it('401 เมื่อไม่มี session', async () => {
+    await expectStatus(await POST(apiRequest('/api/status', { method: 'POST', body: toQueue })), 401)
+  })
+
+  it('403 เมื่อ role ไม่มีสิทธิ์เปลี่ยนเส้นนี้ (ช่าง new → queue)', async () => {
+    await expectStatus(await POST(apiRequest('/api/status', { method: 'POST', role: 'technician', body: toQueue })), 403)
+    expect(changeServiceRequestStatus).not.toHaveBeenCalled()
+  })
+
+  it('200 สำหรับฝ่ายรับเรื่อง', async () => {
+    await expectStatus(await POST(apiRequest('/api/status', { method: 'POST', role: 'reception', body: toQueue })), 200)
+    expect(changeServiceRequestStatus).toHaveBeenCalledWith(
+      job,
+      'queue',
+      { by: 'ทดสอบ reception', source: 'web' },
+      { appointmentDate: toQueue.appointmentDate }
+    )
+  })
+
+  it('409 เมื่องานถูกเปลี่ยนสถานะไปก่อนระหว่างตรวจ (อีกแท็บ / ปุ่ม Telegram) — ไม่เข้าคิว sync', async () => {
+    vi.mocked(changeServiceRequestStatus).mockRejectedValue(new StaleStatusError('cancelled'))
+
+    const body = await expectStatus(await POST(apiRequest('/api/status', { method: 'POST', role: 'reception', body: toQueue })), 409)
+    expect(body).toMatchObject({ currentStatus: 'cancelled' })
+    expect(kickOutboxWorker).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,54 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { z } from 'zod'
+import { withRateLimit, withAuth, getAuditContext, type Actor } from '@/lib/api-middleware'
+import { STATUS_VALUES } from '@/lib/STATUS_WORKFLOW'
+import { checkStatusChange } from '@/lib/status-change'
+import { StaleStatusError, getServiceRequest, changeServiceRequestStatus } from '@/lib/repositories/service-requests'
+import { kickOutboxWorker } from '@/lib/outbox'
+
+const StatusChangeSchema = z.object({
+  id: z.string().min(1),
+  status: z.enum(STATUS_VALUES),
+  appointmentDate: z.string().max(50).optional(),
+  quoteAmount: z.number().nonnegative().optional(),
+  cancelReason: z.string().max(1000).optional(),
+})
+
+// POST - เปลี่ยนสถานะงาน (เช็คเส้นทาง workflow + สิทธิ์ของ role + ฟิลด์บังคับฝั่ง server)
+async function changeStatus(request: NextRequest, actor: Actor) {
+  try {
+    const body = await request.json()
+    const validated = StatusChangeSchema.safeParse(body)
+    if (!validated.success) {
+      return NextResponse.json({ error: 'Invalid request data', details: validated.error.flatten() }, { status: 400 })
+    }
+    const { id, status: nextStatus, ...fields } = validated.data
+
+    const current = await getServiceRequest(id)
+    if (!current) {
+      return NextResponse.json({ error: 'Record not found' }, { status: 404 })
+    }
+
+    const rejection = await checkStatusChange(current, nextStatus, actor, fields)
+    if (rejection) {
+      return NextResponse.json(rejection.body, { status: rejection.status })
+    }
+
+    const updatedRequest = await changeServiceRequestStatus(current, nextStatus, getAuditContext(actor), fields)
+    kickOutboxWorker()
+
+    return NextResponse.json({ success: true, data: updatedRequest })
+  } catch (error: unknown) {
+    if (error instanceof StaleStatusError) {
+      return NextResponse.json({ error: error.message, currentStatus: error.currentStatus }, { status: 409 })
+    }
+    console.error('Error changing status:', error)
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error'
+    return NextResponse.json(
+      { error: 'Failed to change status', details: errorMessage },
+      { status: 500 }
+    )
+  }
+}
+
+export const POST = withRateLimit(withAuth(changeStatus))
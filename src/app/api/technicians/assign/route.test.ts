@@ -0,0 +1,56 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+import { apiRequest, expectStatus } from '@/test/api'
+import { makeServiceRequest } from '@/test/fixtures'
+import { TechnicianStateError, assertAssignableTechnician } from '@/lib/repositories/technicians'
+import { updateServiceRequest } from '@/lib/repositories/service-requests'
+import { kickOutboxWorker } from '@/lib/outbox'
+import { POST } from './route'
+
+vi.mock('@/lib/repositories/technicians', async importOriginal => ({
+  ...(await importOriginal<typeof import('@/lib/repositories/technicians')>()),
+  assertAssignableTechnician: vi.fn(),
+}))
+vi.mock('@/lib/repositories/service-requests')
+vi.mock('@/lib/outbox')
+
+const assign = { requestId: 'req-1', technicianId: 'tech-1' }
+
+beforeEach(() => {
+  vi.mocked(assertAssignableTechnician).mockResolvedValue(undefined)
+  vi.mocked(updateServiceRequest).mockResolvedValue(makeServiceRequest({ technicianId: 'tech-1' }))
+})
+
+describe('POST /api/technicians/assign', () => {
+  it('401 เมื่อไม่มี session', async () => {
+    await expectStatus(await POST(apiRequest('/api/technicians/assign', { method: 'POST', body: assign })), 401)
+  })
+
+  it('403 สำหรับ role ที่จัดช่างไม่ได้', async () => {
+    await expectStatus(await POST(apiRequest('/api/technicians/assign', { method: 'POST', role: 'technician', body: assign })), 403)
+    expect(updateServiceRequest).not.toHaveBeenCalled()
+  })
+
+  it('200 สำหรับฝ่ายรับเรื่อง', async () => {
+    await expectStatus(await POST(apiRequest('/api/technicians/assign', { method: 'POST', role: 'reception', body: assign })), 200)
+    expect(updateServiceRequest).toHaveBeenCalledWith('req-1', { technicianId: 'tech-1' }, { by: 'ทดสอบ reception', source: 'web' })
+    expect(kickOutboxWorker).toHaveBeenCalled()
+  })
+
+  it('technicianId ว่าง = ถอดช่างออก กลับเป็นรอจัดช่าง', async () => {
+    await expectStatus(await POST(apiRequest('/api/technicians/assign', { method: 'POST', role: 'reception', body: { requestId: 'req-1', technicianId: '' } })), 200)
+    expect(updateServiceRequest).toHaveBeenCalledWith('req-1', { technicianId: '' }, { by: 'ทดสอบ reception', source: 'web' })
+  })
+
+  it('400 เมื่อช่างปิดใช้งานแล้ว — ไม่แตะงาน', async () => {
+    vi.mocked(assertAssignableTechnician).mockRejectedValue(new TechnicianStateError('ช่าง "ช่างเอ" ปิดใช้งานแล้ว'))
+    const body = await expectStatus(await POST(apiRequest('/api/technicians/assign', { method: 'POST', role: 'reception', body: assign })), 400)
+    expect(body.error).toBe('ช่าง "ช่างเอ" ปิดใช้งานแล้ว')
+    expect(updateServiceRequest).not.toHaveBeenCalled()
+    expect(kickOutboxWorker).not.toHaveBeenCalled()
+  })
+
+  it('404 เมื่อไม่พบงาน', async () => {
+    vi.mocked(updateServiceRequest).mockResolvedValue(null)
+    await expectStatus(await POST(apiRequest('/api/technicians/assign', { method: 'POST', role: 'reception', body: assign })), 404)
+  })
+})
@@ -0,0 +1,48 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { z } from 'zod'
+import { withRateLimit, withAuth, getAuditContext, type Actor } from '@/lib/api-middleware'
+import type { Session } from '@/lib/auth'
+import { canAssignTechnicians } from '@/lib/roles'
+import { TechnicianStateError, assertAssignableTechnician } from '@/lib/repositories/technicians'
+import { updateServiceRequest } from '@/lib/repositories/service-requests'
+import { kickOutboxWorker } from '@/lib/outbox'
+
+const AssignSchema = z.object({
+  requestId: z.string().min(1),
+  // '' = ถอดช่างออก (กลับเป็นรอจัดช่าง)
+  technicianId: z.string(),
+})
+
+// POST - จัดช่าง/เปลี่ยนช่าง (หน้าจัดช่าง) → event ในปฏิทินเปลี่ยนหัวข้อ/สี/attendee ตามผ่าน outbox
+async function assignTechnician(request: NextRequest, actor: Actor) {
+  try {
+    const body = await request.json()
+    const validated = AssignSchema.safeParse(body)
+    if (!validated.success) {
+      return NextResponse.json({ error: 'Invalid request data', details: validated.error.flatten() }, { status: 400 })
+    }
+    const { requestId, technicianId } = validated.data
+
+    await assertAssignableTechnician(technicianId)
+    const updated = await updateServiceRequest(requestId, { technicianId }, getAuditContext(actor))
+    if (!updated) {
+      return NextResponse.json({ error: 'Record not found' }, { status: 404 })
+    }
+    kickOutboxWorker()
+    return NextResponse.json({ success: true, data: updated })
+  } catch (error: unknown) {
+    if (error instanceof TechnicianStateError) {
+      return NextResponse.json({ error: error.message }, { status: 400 })
+    }
+    console.error('Error assigning technician:', error)
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error'
+    return NextResponse.json({ error: 'Failed to assign technician', details: errorMessage }, { status: 500 })
+  }
+}
+
+const dispatchers = {
+  authorize: (session: Session) => canAssignTechnicians(session.role),
+  forbiddenMessage: 'ไม่มีสิทธิ์จัดช่าง',
+}
+
+export const POST = withRateLimit(withAuth(assignTechnician, dispatchers))
@@ -0,0 +1,80 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+import { apiRequest, expectStatus } from '@/test/api'
+import { listTechnicians, createTechnician, updateTechnician, listCalendarRequestIds } from '@/lib/repositories/technicians'
+import { enqueueOutboxJob, kickOutboxWorker } from '@/lib/outbox'
+import { GET, POST, PUT } from './route'
+
+vi.mock('@/lib/repositories/technicians')
+vi.mock('@/lib/outbox')
+
+const technician = {
+  id: 'tech-1',
+  name: 'ช่างเอ',
+  phone: '',
+  email: '',
+  color: '',
+  dailyCapacityMinutes: 480,
+  active: true,
+  createdAt: '2026-10-01T00:00:00.000Z',
+  updatedAt: '2026-10-01T00:00:00.000Z',
+}
+
+beforeEach(() => {
+  vi.mocked(listTechnicians).mockResolvedValue([technician])
+  vi.mocked(createTechnician).mockResolvedValue(technician)
+  vi.mocked(updateTechnician).mockResolvedValue(technician)
+  vi.mocked(listCalendarRequestIds).mockResolvedValue([])
+})
+
+describe('GET /api/technicians', () => {
+  it('401 เมื่อไม่มี session', async () => {
+    await expectStatus(await GET(apiRequest('/api/technicians')), 401)
+  })
+
+  it('200 สำหรับพนักงานทุก role', async () => {
+    const body = await expectStatus(await GET(apiRequest('/api/technicians', { role: 'technician' })), 200)
+    expect(body.data).toHaveLength(1)
+  })
+})
+
+describe('POST /api/technicians', () => {
+  it('401 เมื่อไม่มี session', async () => {
+    await expectStatus(await POST(apiRequest('/api/technicians', { method: 'POST', body: { name: 'ช่างบี' } })), 401)
+  })
+
+  it('403 สำหรับ role ที่ไม่ใช่ admin', async () => {
+    await expectStatus(await POST(apiRequest('/api/technicians', { method: 'POST', role: 'reception', body: { name: 'ช่างบี' } })), 403)
+  })
+
+  it('200 สำหรับ admin', async () => {
+    await expectStatus(await POST(apiRequest('/api/technicians', { method: 'POST', role: 'admin', body: { name: 'ช่างบี' } })), 200)
+    expect(createTechnician).toHaveBeenCalledWith(expect.objectContaining({ name: 'ช่างบี' }))
+  })
+})
+
+describe('PUT /api/technicians', () => {
+  it('401 เมื่อไม่มี session', async () => {
+    await expectStatus(await PUT(apiRequest('/api/technicians', { method: 'PUT', body: { id: 'tech-1', active: false } })), 401)
+  })
+
+  it('403 สำหรับ role ที่ไม่ใช่ admin', async () => {
+    await expectStatus(await PUT(apiRequest('/api/technicians', { method: 'PUT', role: 'technician', body: { id: 'tech-1', active: false } })), 403)
+  })
+
+  it('200 สำหรับ admin', async () => {
+    await expectStatus(await PUT(apiRequest('/api/technicians', { method: 'PUT', role: 'admin', body: { id: 'tech-1', active: false } })), 200)
+  })
+
+  it('เปลี่ยนสีช่าง → เข้าคิวอัปเดต event ของงานที่จัดช่างคนนี้ไว้', async () => {
+    vi.mocked(listCalendarRequestIds).mockResolvedValue(['req-1', 'req-2'])
+    await expectStatus(await PUT(apiRequest('/api/technicians', { method: 'PUT', role: 'admin', body: { id: 'tech-1', color: '7' } })), 200)
+    expect(listCalendarRequestIds).toHaveBeenCalledWith('tech-1')
+    expect(vi.mocked(enqueueOutboxJob).mock.calls).toEqual([['calendar.upsert', 'req-1'], ['calendar.upsert', 'req-2']])
+    expect(kickOutboxWorker).toHaveBeenCalled()
+  })
+
+  it('แค่ปิดใช้งาน → ไม่แตะปฏิทิน', async () => {
+    await expectStatus(await PUT(apiRequest('/api/technicians', { method: 'PUT', role: 'admin', body: { id: 'tech-1', active: false } })), 200)
+    expect(enqueueOutboxJob).not.toHaveBeenCalled()
+  })
+})
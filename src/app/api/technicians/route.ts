@@ -0,0 +1,103 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { z } from 'zod'
+import { withRateLimit, withAuth } from '@/lib/api-middleware'
+import type { Session } from '@/lib/auth'
+import { canManageEmployees } from '@/lib/roles'
+import { CALENDAR_COLOR_IDS } from '@/lib/technicians'
+import {
+  listTechnicians,
+  createTechnician,
+  updateTechnician,
+  listCalendarRequestIds,
+} from '@/lib/repositories/technicians'
+import { enqueueOutboxJob, kickOutboxWorker } from '@/lib/outbox'
+
+const TechnicianSchema = z.object({
+  name: z.string().trim().min(1).max(100),
+  phone: z.string().max(100).optional(),
+  email: z.union([z.literal(''), z.string().trim().email().max(200)]).optional(),
+  color: z.enum(CALENDAR_COLOR_IDS).optional(),
+  dailyCapacityMinutes: z.number().int().min(30).max(24 * 60).optional(),
+  active: z.boolean().optional(),
+})
+
+const UpdateSchema = TechnicianSchema.partial().extend({ id: z.string().min(1) })
+
+// GET - รายชื่อช่าง (?all=1 รวมที่ปิดใช้งานแล้ว)
+async function fetchTechnicians(request: NextRequest) {
+  try {
+    const includeInactive = new URL(request.url).searchParams.get('all') === '1'
+    return NextResponse.json({ data: await listTechnicians({ includeInactive }) })
+  } catch (error: unknown) {
+    console.error('Error listing technicians:', error)
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error'
+    return NextResponse.json({ error: 'Failed to fetch technicians', details: errorMessage }, { status: 500 })
+  }
+}
+
+// POST - เพิ่มช่าง (admin)
+async function addTechnician(request: NextRequest) {
+  try {
+    const body = await request.json()
+    const validated = TechnicianSchema.safeParse(body)
+    if (!validated.success) {
+      return NextResponse.json({ error: 'Invalid request data', details: validated.error.flatten() }, { status: 400 })
+    }
+
+    const technician = await createTechnician(validated.data)
+    return NextResponse.json({ success: true, data: technician })
+  } catch (error: unknown) {
+    console.error('Error creating technician:', error)
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error'
+    const isDuplicate = errorMessage.includes('Unique constraint')
+    return NextResponse.json(
+      { error: isDuplicate ? 'ชื่อช่างนี้มีอยู่แล้ว' : 'Failed to create technician', details: errorMessage },
+      { status: isDuplicate ? 409 : 500 }
+    )
+  }
+}
+
+// PUT - แก้ชื่อ/เบอร์/อีเมล/สี หรือปิดใช้งาน (admin) — งานที่จัดไว้แล้วไม่ถูกถอดออก event ในปฏิทินอัปเดตตาม
+async function editTechnician(request: NextRequest) {
+  try {
+    const body = await request.json()
+    const validated = UpdateSchema.safeParse(body)
+    if (!validated.success) {
+      return NextResponse.json({ error: 'Invalid request data', details: validated.error.flatten() }, { status: 400 })
+    }
+    const { id, ...changes } = validated.data
+
+    const technician = await updateTechnician(id, changes)
+    if (!technician) {
+      return NextResponse.json({ error: 'Technician not found' }, { status: 404 })
+    }
+
+    // ชื่อ/สี/อีเมลอยู่บน event ของงานที่จัดไว้แล้ว → เข้าคิวอัปเดตปฏิทินให้ตรง
+    if (changes.name !== undefined || changes.color !== undefined || changes.email !== undefined || changes.phone !== undefined) {
+      for (const requestId of await listCalendarRequestIds(id)) {
+        await enqueueOutboxJob('calendar.upsert', requestId)
+      }
+      kickOutboxWorker()
+    }
+    return NextResponse.json({ success: true, data: technician })
+  } catch (error: unknown) {
+    console.error('Error updating technician:', error)
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error'
+    const isDuplicate = errorMessage.includes('Unique constraint')
+    return NextResponse.json(
+      { error: isDuplicate ? 'ชื่อช่างนี้มีอยู่แล้ว' : 'Failed to update technician', details: errorMessage },
+      { status: isDuplicate ? 409 : 500 }
+    )
+  }
+}
+
+const adminOnly = {
+  authorize: (session: Session) => canManageEmployees(session.role),
+  forbiddenMessage: 'เฉพาะ admin เท่านั้น',
+}
+
+export const GET = withRateLimit(withAuth(fetchTechnicians))
+
+export const POST = withRateLimit(withAuth(addTechnician, adminOnly))
+
+export const PUT = withRateLimit(withAuth(editTechnician, adminOnly))
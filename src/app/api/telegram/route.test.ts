@@ -0,0 +1,21 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+import { apiRequest, expectStatus } from '@/test/api'
+import { sendTelegramMessage } from '@/lib/integrations/telegram'
+import { POST } from './route'
+
+vi.mock('@/lib/integrations/telegram')
+
+beforeEach(() => {
+  vi.mocked(sendTelegramMessage).mockResolvedValue({ ok: true })
+})
+
+describe('POST /api/telegram', () => {
+  it('401 เมื่อไม่มี session', async () => {
+    await expectStatus(await POST(apiRequest('/api/telegram', { method: 'POST', body: { message: 'ทดสอบ' } })), 401)
+  })
+
+  it('200 สำหรับพนักงานที่ login', async () => {
+    await expectStatus(await POST(apiRequest('/api/telegram', { method: 'POST', role: 'reception', body: { message: 'ทดสอบ' } })), 200)
+    expect(sendTelegramMessage).toHaveBeenCalledWith('ทดสอบ')
+  })
+})
@@ -1,13 +1,13 @@
 import { NextRequest, NextResponse } from 'next/server';
 import { z } from 'zod'
-import { checkRateLimit, rateLimitResponse } from '@/lib/api-middleware'
+import { withRateLimit, withAuth } from '@/lib/api-middleware'
+import { sendTelegramMessage, TelegramApiError } from '@/lib/integrations/telegram'
 
 const TelegramSchema = z.object({
   message: z.string().min(1).max(4096),
 })
 
-export async function POST(request: NextRequest) {
-    if (!checkRateLimit(request)) return rateLimitResponse()
+async function sendMessage(request: NextRequest) {
     try {
         const body = await request.json()
         const validated = TelegramSchema.safeParse(body)
@@ -16,41 +16,13 @@ export async function POST(request: NextRequest) {
         }
         const { message } = validated.data
 
-        // We will store these in .env.local shortly
-        const TELEGRAM_BOT_TOKEN = process.env['TELEGRAM_BOT_TOKEN'];
-        const TELEGRAM_CHAT_ID = process.env['TELEGRAM_CHAT_ID'];
-
-        if (!TELEGRAM_BOT_TOKEN || !TELEGRAM_CHAT_ID) {
-            console.error('Missing Telegram Credentials');
-            return NextResponse.json(
-                { error: 'Telegram credentials are not configured properly.' },
-                { status: 500 }
-            );
-        }
-
-        const url = `https://api.telegram.org/bot${TELEGRAM_BOT_TOKEN}/sendMessage`;
-
-        const response = await fetch(url, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-            },
-            body: JSON.stringify({
-                chat_id: TELEGRAM_CHAT_ID,
-                text: message,
-                parse_mode: 'HTML'
-            }),
-        });
-
-        const data = await response.json();
-
-        if (!response.ok) {
-            console.error('Telegram API Error:', data);
-            return NextResponse.json({ error: 'Failed to send message', details: data }, { status: response.status });
-        }
-
+        const data = await sendTelegramMessage(message)
         return NextResponse.json({ success: true, data });
     } catch (error) {
+        if (error instanceof TelegramApiError) {
+            console.error('Telegram API Error:', error.details ?? error.message);
+            return NextResponse.json({ error: error.message, details: error.details }, { status: error.status });
+        }
         console.error('Error in Telegram API route:', error);
         return NextResponse.json(
             { error: 'Internal server error while sending notification.' },
@@ -58,3 +30,5 @@ export async function POST(request: NextRequest) {
         );
     }
 }
+
+export const POST = withRateLimit(withAuth(sendMessage))
@@ -0,0 +1,36 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+import { apiRequest, expectStatus } from '@/test/api'
+import { handleTelegramUpdate } from '@/lib/telegram-bot'
+import { POST } from './route'
+
+vi.mock('@/lib/telegram-bot', async importOriginal => ({
+  ...(await importOriginal<typeof import('@/lib/telegram-bot')>()),
+  handleTelegramUpdate: vi.fn(),
+}))
+
+const update = { update_id: 1, message: { message_id: 10, chat: { id: 1001, type: 'private' }, from: { id: 1001 }, text: '/today' } }
+const secret = { 'x-telegram-bot-api-secret-token': 'webhook-secret' }
+
+beforeEach(() => {
+  vi.stubEnv('TELEGRAM_WEBHOOK_SECRET', 'webhook-secret')
+})
+
+describe('POST /api/telegram/webhook', () => {
+  it('403 เมื่อ secret token ไม่ตรง / ไม่ได้ตั้ง TELEGRAM_WEBHOOK_SECRET', async () => {
+    const wrong = { 'x-telegram-bot-api-secret-token': 'guess' }
+    await expectStatus(await POST(apiRequest('/api/telegram/webhook', { method: 'POST', headers: wrong, body: update })), 403)
+
+    vi.stubEnv('TELEGRAM_WEBHOOK_SECRET', '')
+    await expectStatus(await POST(apiRequest('/api/telegram/webhook', { method: 'POST', headers: secret, body: update })), 403)
+    expect(handleTelegramUpdate).not.toHaveBeenCalled()
+  })
+
+  it('400 เมื่อ update ผิดรูปแบบ', async () => {
+    await expectStatus(await POST(apiRequest('/api/telegram/webhook', { method: 'POST', headers: secret, body: { message: 'hi' } })), 400)
+  })
+
+  it('200 ส่งต่อให้บอท', async () => {
+    await expectStatus(await POST(apiRequest('/api/telegram/webhook', { method: 'POST', headers: secret, body: update })), 200)
+    expect(handleTelegramUpdate).toHaveBeenCalledWith(update)
+  })
+})
@@ -0,0 +1,29 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { withRateLimit } from '@/lib/api-middleware'
+import { handleTelegramUpdate, TelegramUpdateSchema, verifyTelegramWebhook } from '@/lib/telegram-bot'
+
+// POST - update จากบอท Telegram (ตั้งด้วย setWebhook + secret_token ดู download/SETUP_GUIDE.md)
+// ไม่มี session — เช็คด้วย secret token ใน header แทน ส่วนสิทธิ์ของคนที่สั่งดูจากพนักงานที่ผูก Telegram ไว้
+async function receiveUpdate(request: NextRequest) {
+  try {
+    if (!verifyTelegramWebhook(request.headers.get('x-telegram-bot-api-secret-token'))) {
+      return NextResponse.json({ error: 'Invalid secret token' }, { status: 403 })
+    }
+
+    const body = await request.json()
+    const validated = TelegramUpdateSchema.safeParse(body)
+    if (!validated.success) {
+      return NextResponse.json({ error: 'Invalid update', details: validated.error.flatten() }, { status: 400 })
+    }
+
+    await handleTelegramUpdate(validated.data)
+    return NextResponse.json({ success: true })
+  } catch (error: unknown) {
+    // ตอบ 500 → Telegram ส่ง update เดิมซ้ำให้เอง (เปลี่ยนสถานะซ้ำไม่ได้อยู่แล้ว workflow กันไว้)
+    console.error('Error handling Telegram update:', error)
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error'
+    return NextResponse.json({ error: 'Failed to handle update', details: errorMessage }, { status: 500 })
+  }
+}
+
+export const POST = withRateLimit(receiveUpdate)
@@ -0,0 +1,26 @@
+import { beforeEach, describe, it, vi } from 'vitest'
+import { apiRequest, expectStatus } from '@/test/api'
+import { GET } from './route'
+
+vi.mock('@/lib/integrations/sheets')
+
+beforeEach(() => {
+  vi.stubEnv('GOOGLE_SERVICE_ACCOUNT_EMAIL', '')
+  vi.stubEnv('GOOGLE_PRIVATE_KEY', '')
+  vi.stubEnv('GOOGLE_SHEETS_ID', '')
+  return () => vi.unstubAllEnvs()
+})
+
+describe('GET /api/test-sheets', () => {
+  it('401 เมื่อไม่มี session', async () => {
+    await expectStatus(await GET(apiRequest('/api/test-sheets')), 401)
+  })
+
+  it('403 สำหรับ role ที่ไม่ใช่ admin', async () => {
+    await expectStatus(await GET(apiRequest('/api/test-sheets', { role: 'reception' })), 403)
+  })
+
+  it('200 สำหรับ admin', async () => {
+    await expectStatus(await GET(apiRequest('/api/test-sheets', { role: 'admin' })), 200)
+  })
+})
@@ -1,7 +1,10 @@
 import { google } from 'googleapis'
 import { NextResponse } from 'next/server'
+import { withRateLimit, withAuth } from '@/lib/api-middleware'
+import { canManageEmployees } from '@/lib/roles'
+import { getSheetMeta } from '@/lib/integrations/sheets'
 
-export async function GET() {
+async function testSheets() {
   const results: Record<string, unknown> = {}
 
   // Step 1: Check env vars
@@ -11,9 +14,7 @@ export async function GET() {
 
   results['env'] = {
     GOOGLE_SERVICE_ACCOUNT_EMAIL: email ? `✅ set (${email})` : '❌ missing',
-    GOOGLE_PRIVATE_KEY: key
-      ? `✅ set (length: ${key.length}, starts: ${key.slice(0, 30)}...)`
-      : '❌ missing',
+    GOOGLE_PRIVATE_KEY: key ? `✅ set (length: ${key.length})` : '❌ missing',
     GOOGLE_SHEETS_ID: sheetId ? `✅ set (${sheetId})` : '❌ missing',
   }
 
@@ -40,10 +41,12 @@ export async function GET() {
 
     const sheets = google.sheets({ version: 'v4', auth })
 
-    // Step 3: Try read sheet
+    // Step 3: Try read sheet (tab ตาม GOOGLE_SHEETS_TAB_NAME หรือ tab แรก)
+    const { tabName } = await getSheetMeta(sheets, sheetId)
+    results['tab'] = tabName
     const response = await sheets.spreadsheets.values.get({
       spreadsheetId: sheetId,
-      range: 'งานบริการ!A1:C3',
+      range: `'${tabName.replace(/'/g, "''")}'!A1:C3`,
     })
 
     results['sheets_read'] = {
@@ -63,3 +66,8 @@ export async function GET() {
     return NextResponse.json({ ...results, status: 'FAILED' }, { status: 500 })
   }
 }
+
+export const GET = withRateLimit(withAuth(testSheets, {
+  authorize: session => canManageEmployees(session.role),
+  forbiddenMessage: 'เฉพาะ admin',
+}))
@@ -0,0 +1,46 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+import { apiRequest, expectStatus } from '@/test/api'
+import { deleteDriveFile, uploadDriveFile } from '@/lib/integrations/drive'
+import { DELETE, POST } from './route'
+
+vi.mock('@/lib/integrations/drive')
+
+function imageForm(): FormData {
+  const form = new FormData()
+  form.set('file', new File([new Uint8Array([0xff, 0xd8, 0xff])], 'photo.jpg', { type: 'image/jpeg' }))
+  return form
+}
+
+beforeEach(() => {
+  vi.stubEnv('GOOGLE_DRIVE_FOLDER_ID', 'folder-1')
+  vi.mocked(uploadDriveFile).mockResolvedValue({
+    id: 'file-1',
+    name: 'photo.jpg',
+    webViewLink: 'https://drive.google.com/file/d/file-1/view',
+    directUrl: 'https://drive.google.com/uc?id=file-1',
+  })
+  vi.mocked(deleteDriveFile).mockResolvedValue(undefined)
+  return () => vi.unstubAllEnvs()
+})
+
+describe('POST /api/upload', () => {
+  it('401 เมื่อไม่มี session', async () => {
+    await expectStatus(await POST(apiRequest('/api/upload', { method: 'POST', body: imageForm() })), 401)
+  })
+
+  it('200 สำหรับพนักงานที่ login', async () => {
+    const body = await expectStatus(await POST(apiRequest('/api/upload', { method: 'POST', role: 'technician', body: imageForm() })), 200)
+    expect(body.data.url).toBe('https://drive.google.com/uc?id=file-1')
+  })
+})
+
+describe('DELETE /api/upload', () => {
+  it('401 เมื่อไม่มี session', async () => {
+    await expectStatus(await DELETE(apiRequest('/api/upload?fileId=file-1', { method: 'DELETE' })), 401)
+  })
+
+  it('200 สำหรับพนักงานที่ login', async () => {
+    await expectStatus(await DELETE(apiRequest('/api/upload?fileId=file-1', { method: 'DELETE', role: 'technician' })), 200)
+    expect(deleteDriveFile).toHaveBeenCalledWith('file-1')
+  })
+})
@@ -1,31 +1,13 @@
-import { google } from 'googleapis'
 import { NextRequest, NextResponse } from 'next/server'
-import { Readable } from 'stream'
-import { checkRateLimit, rateLimitResponse } from '@/lib/api-middleware'
-
-// Initialize Google Drive client
-async function getGoogleDriveClient() {
-  const auth = new google.auth.GoogleAuth({
-    credentials: {
-      client_email: process.env['GOOGLE_SERVICE_ACCOUNT_EMAIL'],
-      private_key: process.env['GOOGLE_PRIVATE_KEY']?.replace(/\\n/g, '\n'),
-    },
-    scopes: ['https://www.googleapis.com/auth/drive.file'],
-  })
-
-  return google.drive({ version: 'v3', auth })
-}
+import { withRateLimit, withAuth } from '@/lib/api-middleware'
+import { buildDriveFileName, deleteDriveFile, uploadDriveFile } from '@/lib/integrations/drive'
 
 // POST - Upload file to Google Drive
 export const maxDuration = 30 // Vercel max timeout 30 วินาที
 
-export async function POST(request: NextRequest) {
-  if (!checkRateLimit(request)) return rateLimitResponse()
+async function uploadFile(request: NextRequest) {
   try {
-    const drive = await getGoogleDriveClient()
-    const folderId = process.env['GOOGLE_DRIVE_FOLDER_ID']
-
-    if (!folderId) {
+    if (!process.env['GOOGLE_DRIVE_FOLDER_ID']) {
       return NextResponse.json(
         { error: 'GOOGLE_DRIVE_FOLDER_ID not configured' },
         { status: 500 }
@@ -74,55 +56,16 @@ export async function POST(request: NextRequest) {
 
     // Generate unique filename with customer name + address
     const { searchParams } = new URL(request.url)
-    const customerName = searchParams.get('customerName') || ''
-    const address = searchParams.get('address') || ''
-    const timestamp = Date.now()
     const ext = file.name.split('.').pop() || 'jpg'
-    const safeName = customerName.replace(/[^\w\u0E00-\u0E7F]/g, '_') || 'ลูกค้า'
-    const safeAddress = address.replace(/[^\w\u0E00-\u0E7F]/g, '_')
-    const fileName = safeAddress
-      ? `${timestamp}_${safeName}_${safeAddress}.${ext}`
-      : `${timestamp}_${safeName}.${ext}`
-
-    // Upload to Google Drive (ต้องใช้ Readable stream ไม่ใช่ Buffer)
-    const readable = Readable.from(buffer)
-    const response = await drive.files.create({
-      requestBody: {
-        name: fileName,
-        parents: [folderId],
-        mimeType: file.type,
-      },
-      media: {
-        mimeType: file.type,
-        body: readable,
-      },
-      supportsAllDrives: true,
-      fields: 'id, name, webViewLink',
-    })
+    const fileName = buildDriveFileName(searchParams.get('customerName') || '', searchParams.get('address') || '', ext)
 
-    const fileId = response.data.id
-
-    // Make the file publicly accessible
-    await drive.permissions.create({
-      fileId: fileId!,
-      supportsAllDrives: true,
-      requestBody: {
-        role: 'reader',
-        type: 'anyone',
-      },
-    })
-
-    // Get the direct download link
-    const directUrl = `https://drive.google.com/uc?export=view&id=${fileId}`
+    const uploaded = await uploadDriveFile({ buffer, name: fileName, mimeType: file.type })
 
     return NextResponse.json({
       success: true,
       data: {
-        id: fileId,
-        name: response.data.name,
-        webViewLink: response.data.webViewLink,
-        directUrl,
-        url: directUrl, // For backward compatibility
+        ...uploaded,
+        url: uploaded.directUrl, // For backward compatibility
       },
     })
   } catch (error: unknown) {
@@ -136,7 +79,7 @@ export async function POST(request: NextRequest) {
 }
 
 // DELETE - Delete file from Google Drive
-export async function DELETE(request: NextRequest) {
+async function deleteFile(request: NextRequest) {
   try {
     const { searchParams } = new URL(request.url)
     const fileId = searchParams.get('fileId')
@@ -148,11 +91,7 @@ export async function DELETE(request: NextRequest) {
       )
     }
 
-    const drive = await getGoogleDriveClient()
-
-    await drive.files.delete({
-      fileId,
-    })
+    await deleteDriveFile(fileId)
 
     return NextResponse.json({ success: true })
   } catch (error: unknown) {
@@ -164,3 +103,7 @@ export async function DELETE(request: NextRequest) {
     )
   }
 }
+
+export const POST = withRateLimit(withAuth(uploadFile))
+
+export const DELETE = withRateLimit(withAuth(deleteFile))
@@ -0,0 +1,326 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import { useParams } from 'next/navigation'
+import { getStatusConfig } from '../../../lib/STATUS_WORKFLOW'
+import { canManageEmployees } from '../../../lib/roles'
+import { QUOTE_STATUS_CONFIG } from '../../../lib/quotes'
+import type { Customer, CustomerSite, Quote, ServiceRequest } from '../../../lib/types'
+import type { CustomerMatch } from '../../../lib/customer-match'
+
+const formatDate = (dateStr: string) => {
+  if (!dateStr) return '-'
+  return new Date(dateStr).toLocaleDateString('th-TH', {
+    day: 'numeric',
+    month: 'short',
+    year: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit'
+  })
+}
+
+const formatAmount = (amount: number) =>
+  amount.toLocaleString('th-TH', { minimumFractionDigits: 2, maximumFractionDigits: 2 })
+
+export default function CustomerPage() {
+  const { id } = useParams<{ id: string }>()
+  const [customer, setCustomer] = useState<Customer | null>(null)
+  const [requests, setRequests] = useState<ServiceRequest[]>([])
+  const [quotes, setQuotes] = useState<Quote[]>([])
+  const [duplicates, setDuplicates] = useState<CustomerMatch[]>([])
+  const [isAdmin, setIsAdmin] = useState(false)
+  const [isLoading, setIsLoading] = useState(true)
+  const [accessError, setAccessError] = useState('')
+
+  const loadCustomer = async () => {
+    try {
+      const res = await fetch(`/api/customers?id=${encodeURIComponent(id)}`)
+      if (res.status === 401 || res.status === 404) {
+        setAccessError(res.status === 401 ? 'กรุณาเข้าสู่ระบบก่อน' : 'ไม่พบลูกค้ารายนี้')
+        return
+      }
+      const result = await res.json()
+      setCustomer(result.data)
+      setRequests(result.requests || [])
+
+      const quotesRes = await fetch(`/api/quotes?customerId=${encodeURIComponent(id)}`)
+      if (quotesRes.ok) {
+        const quotesResult = await quotesRes.json()
+        setQuotes(quotesResult.data || [])
+      }
+
+      // ลูกค้าที่อาจเป็นรายเดียวกัน (ชื่อ/เบอร์ใกล้เคียง) — ไว้ให้ admin รวม
+      const params = new URLSearchParams({ name: result.data.name, phone: result.data.phone })
+      const matchRes = await fetch(`/api/customers/match?${params}`)
+      if (matchRes.ok) {
+        const matches = await matchRes.json()
+        setDuplicates((matches.data || []).filter((m: CustomerMatch) => m.customerId !== id))
+      }
+    } catch (error) {
+      console.error('Error loading customer:', error)
+      setAccessError('โหลดข้อมูลลูกค้าไม่สำเร็จ')
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  useEffect(() => {
+    loadCustomer()
+    fetch('/api/auth/session')
+      .then(res => (res.ok ? res.json() : null))
+      .then(result => setIsAdmin(!!result && canManageEmployees(result.data.role)))
+      .catch(() => setIsAdmin(false))
+  }, [id])
+
+  const saveCustomer = async (changes: Record<string, unknown>) => {
+    const res = await fetch('/api/customers', {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ id, ...changes })
+    })
+    const result = await res.json().catch(() => ({}))
+    if (!res.ok) {
+      alert(`บันทึกไม่สำเร็จ: ${result.error || 'เกิดข้อผิดพลาด'}`)
+      return
+    }
+    setCustomer(result.data)
+  }
+
+  const handleEdit = async () => {
+    if (!customer) return
+    const name = window.prompt('ชื่อร้าน / บริษัท / แบรนด์', customer.name)
+    if (name === null || !name.trim()) return
+    const contactName = window.prompt('ผู้ติดต่อ', customer.contactName)
+    if (contactName === null) return
+    const phone = window.prompt('เบอร์โทร', customer.phone)
+    if (phone === null) return
+    const notes = window.prompt('หมายเหตุ', customer.notes)
+    if (notes === null) return
+    await saveCustomer({ name, contactName, phone, notes })
+  }
+
+  // site ไม่ส่งมา = เพิ่มสาขาใหม่
+  const handleEditSite = async (site?: CustomerSite) => {
+    const name = window.prompt('ชื่อสาขา / หน้างาน (เว้นว่าง = ที่อยู่หลัก)', site?.name ?? '')
+    if (name === null) return
+    const address = window.prompt('ที่อยู่', site?.address ?? '')
+    if (address === null || !address.trim()) return
+    const contactName = window.prompt('ผู้ติดต่อประจำสาขา (ถ้ามี)', site?.contactName ?? '')
+    if (contactName === null) return
+    const phone = window.prompt('เบอร์โทรสาขา (ถ้ามี)', site?.phone ?? '')
+    if (phone === null) return
+    await saveCustomer({ sites: [{ ...(site ? { id: site.id } : {}), name, address, contactName, phone }] })
+  }
+
+  const handleMerge = async (duplicate: CustomerMatch) => {
+    if (!confirm(`รวม "${duplicate.customerName}" เข้ากับ "${customer?.name}"?\nสาขาและงานทั้งหมดจะย้ายมาที่นี่ และลบรายการเดิมทิ้ง`)) return
+    const res = await fetch('/api/customers/merge', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ targetId: id, sourceId: duplicate.customerId })
+    })
+    const result = await res.json().catch(() => ({}))
+    if (!res.ok) {
+      alert(`รวมไม่สำเร็จ: ${result.error || 'เกิดข้อผิดพลาด'}`)
+      return
+    }
+    await loadCustomer()
+  }
+
+  if (isLoading) {
+    return (
+      <div className="min-h-screen bg-slate-50 flex items-center justify-center">
+        <div className="animate-spin w-10 h-10 border-4 border-blue-500 border-t-transparent rounded-full"></div>
+      </div>
+    )
+  }
+
+  if (accessError || !customer) {
+    return (
+      <div className="min-h-screen bg-slate-50 flex items-center justify-center p-4">
+        <div className="bg-white rounded-2xl shadow p-8 text-center space-y-4">
+          <p className="text-slate-700">{accessError || 'ไม่พบลูกค้ารายนี้'}</p>
+          <a href="/customers" className="inline-block bg-blue-500 hover:bg-blue-600 text-white px-4 py-2 rounded-xl text-sm font-medium">
+            กลับหน้ารายชื่อลูกค้า
+          </a>
+        </div>
+      </div>
+    )
+  }
+
+  const siteLabel = (siteId?: string) => {
+    const site = customer.sites.find(s => s.id === siteId)
+    return site ? site.name || site.address : ''
+  }
+  const requestById = new Map(requests.map(r => [r.id, r]))
+  const appointments = requests
+    .filter(r => r.appointmentDate)
+    .sort((a, b) => b.appointmentDate.localeCompare(a.appointmentDate))
+
+  return (
+    <div className="min-h-screen bg-slate-50">
+      <header className="bg-white shadow-sm sticky top-0 z-40">
+        <div className="max-w-4xl mx-auto px-4 py-3 flex items-center justify-between">
+          <h1 className="text-lg font-bold text-slate-800 truncate">🏢 {customer.name}</h1>
+          <a href="/customers" className="shrink-0 bg-slate-100 hover:bg-slate-200 text-slate-600 px-3 py-2 rounded-xl text-sm">
+            ← รายชื่อลูกค้า
+          </a>
+        </div>
+      </header>
+
+      <main className="max-w-4xl mx-auto px-4 py-4 space-y-4">
+        {/* ข้อมูลลูกค้า */}
+        <div className="bg-white rounded-2xl shadow-sm p-4 flex items-start justify-between gap-3">
+          <div className="space-y-1 text-sm">
+            <p className="text-slate-700">👤 {customer.contactName || '-'}</p>
+            <p className="text-slate-700">📞 {customer.phone || '-'}</p>
+            {customer.notes && <p className="text-slate-500 whitespace-pre-line">📝 {customer.notes}</p>}
+            <p className="text-xs text-slate-400">ทั้งหมด {requests.length} งาน</p>
+          </div>
+          <button
+            onClick={handleEdit}
+            className="shrink-0 bg-slate-100 hover:bg-slate-200 text-slate-600 px-3 py-1.5 rounded-lg text-xs"
+          >
+            ✏️ แก้ไข
+          </button>
+        </div>
+
+        {/* สาขา / หน้างาน */}
+        <div className="space-y-2">
+          <div className="flex items-center justify-between">
+            <h2 className="font-semibold text-slate-700">สาขา / หน้างาน ({customer.sites.length})</h2>
+            <button
+              onClick={() => handleEditSite()}
+              className="bg-blue-500 hover:bg-blue-600 text-white px-3 py-1.5 rounded-lg text-xs font-medium"
+            >
+              + เพิ่มสาขา
+            </button>
+          </div>
+          <div className="bg-white rounded-2xl shadow-sm divide-y divide-slate-100">
+            {customer.sites.length === 0 ? (
+              <p className="p-4 text-sm text-slate-500">ยังไม่มีสาขา</p>
+            ) : customer.sites.map(site => (
+              <div key={site.id} className="flex items-start justify-between gap-3 p-4">
+                <div className="min-w-0 text-sm">
+                  <p className="font-medium text-slate-800">{site.name || 'ที่อยู่หลัก'}</p>
+                  <p className="text-xs text-slate-500">📍 {site.address}</p>
+                  {(site.contactName || site.phone) && (
+                    <p className="text-xs text-slate-400">
+                      {[site.contactName && `👤 ${site.contactName}`, site.phone].filter(Boolean).join(' · ')}
+                    </p>
+                  )}
+                </div>
+                <button
+                  onClick={() => handleEditSite(site)}
+                  className="shrink-0 bg-slate-100 hover:bg-slate-200 text-slate-600 px-3 py-1.5 rounded-lg text-xs"
+                >
+                  ✏️ แก้ไข
+                </button>
+              </div>
+            ))}
+          </div>
+        </div>
+
+        {/* ลูกค้าที่อาจซ้ำ (admin รวมได้) */}
+        {isAdmin && duplicates.length > 0 && (
+          <div className="space-y-2">
+            <h2 className="font-semibold text-slate-700">อาจเป็นลูกค้ารายเดียวกัน ({duplicates.length})</h2>
+            <div className="bg-amber-50 border border-amber-200 rounded-2xl divide-y divide-amber-100">
+              {duplicates.map(dup => (
+                <div key={dup.customerId} className="flex items-start justify-between gap-3 p-4">
+                  <div className="min-w-0 text-sm">
+                    <a href={`/customers/${dup.customerId}`} className="font-medium text-slate-800 hover:underline">🏢 {dup.customerName}</a>
+                    <p className="text-xs text-slate-500">
+                      {[dup.phone, dup.address && `📍 ${dup.address}`].filter(Boolean).join(' · ') || '-'}
+                    </p>
+                    <p className="text-xs text-amber-700">{dup.reasons.join(', ')}</p>
+                  </div>
+                  <button
+                    onClick={() => handleMerge(dup)}
+                    className="shrink-0 bg-amber-500 hover:bg-amber-600 text-white px-3 py-1.5 rounded-lg text-xs font-medium"
+                  >
+                    🔗 รวมเข้ามาที่นี่
+                  </button>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {/* นัดหมาย */}
+        <div className="space-y-2">
+          <h2 className="font-semibold text-slate-700">นัดหมาย ({appointments.length})</h2>
+          <div className="bg-white rounded-2xl shadow-sm divide-y divide-slate-100">
+            {appointments.length === 0 ? (
+              <p className="p-4 text-sm text-slate-500">ยังไม่มีนัดหมาย</p>
+            ) : appointments.map(r => (
+              <div key={r.id} className="flex items-center justify-between gap-3 p-3 text-sm">
+                <div className="min-w-0">
+                  <p className="text-slate-800">📅 {formatDate(r.appointmentDate)} · {r.serviceType}</p>
+                  <p className="text-xs text-slate-500 truncate">{r.requestNo} · {siteLabel(r.siteId) || r.address}</p>
+                </div>
+                {r.calendarEventUrl && (
+                  <a href={r.calendarEventUrl} target="_blank" rel="noreferrer" className="shrink-0 text-xs text-blue-600 underline">
+                    เปิดปฏิทิน
+                  </a>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+
+        {/* ใบเสนอราคา */}
+        <div className="space-y-2">
+          <h2 className="font-semibold text-slate-700">ใบเสนอราคา ({quotes.length})</h2>
+          <div className="bg-white rounded-2xl shadow-sm divide-y divide-slate-100">
+            {quotes.length === 0 ? (
+              <p className="p-4 text-sm text-slate-500">ยังไม่มีใบเสนอราคา</p>
+            ) : quotes.map(q => {
+              const r = requestById.get(q.requestId)
+              return (
+                <a key={q.id} href={`/quotes/${q.requestId}`} className="flex items-center justify-between gap-3 p-3 text-sm hover:bg-slate-50">
+                  <div className="min-w-0">
+                    <p className="text-slate-800">
+                      {q.quoteNo}
+                      <span className={`ml-2 px-2 py-0.5 rounded-lg text-xs font-medium ${QUOTE_STATUS_CONFIG[q.status].className}`}>
+                        {QUOTE_STATUS_CONFIG[q.status].label}
+                      </span>
+                    </p>
+                    <p className="text-xs text-slate-500 truncate">
+                      {formatDate(q.sentAt ?? q.createdAt)}{r && ` · ${r.serviceType} · ${siteLabel(r.siteId) || r.address}`}
+                    </p>
+                  </div>
+                  <p className="shrink-0 font-medium text-slate-800">฿{formatAmount(q.total)}</p>
+                </a>
+              )
+            })}
+          </div>
+        </div>
+
+        {/* ประวัติงานทั้งหมด */}
+        <div className="space-y-2">
+          <h2 className="font-semibold text-slate-700">ประวัติงาน ({requests.length})</h2>
+          <div className="bg-white rounded-2xl shadow-sm divide-y divide-slate-100">
+            {requests.length === 0 ? (
+              <p className="p-4 text-sm text-slate-500">ยังไม่มีงาน</p>
+            ) : requests.map(r => (
+              <div key={r.id} className="p-3 space-y-1 text-sm">
+                <div className="flex items-center justify-between gap-3">
+                  <p className="font-medium text-slate-800">{r.requestNo} · {r.serviceType}</p>
+                  <span className={`shrink-0 px-2 py-0.5 rounded-lg text-xs font-medium text-white ${getStatusConfig(r.status).color}`}>
+                    {getStatusConfig(r.status).icon} {getStatusConfig(r.status).label}
+                  </span>
+                </div>
+                <p className="text-xs text-slate-500">
+                  เปิดงาน {formatDate(r.createdAt)} · {siteLabel(r.siteId) || r.address}
+                  {r.contactName && ` · 👤 ${r.contactName}`}
+                </p>
+                {r.description && <p className="text-xs text-slate-400 line-clamp-2">{r.description}</p>}
+              </div>
+            ))}
+          </div>
+        </div>
+      </main>
+    </div>
+  )
+}
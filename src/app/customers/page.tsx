@@ -0,0 +1,170 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import { canManageEmployees } from '../../lib/roles'
+import type { Customer } from '../../lib/types'
+
+export default function CustomersPage() {
+  const [customers, setCustomers] = useState<Customer[]>([])
+  const [searchTerm, setSearchTerm] = useState('')
+  const [isLoading, setIsLoading] = useState(true)
+  const [accessError, setAccessError] = useState('')
+  const [isBackfilling, setIsBackfilling] = useState(false)
+  const [isAdmin, setIsAdmin] = useState(false)
+
+  const loadCustomers = async (q: string) => {
+    try {
+      const res = await fetch(`/api/customers?${new URLSearchParams(q ? { q } : {})}`)
+      if (res.status === 401) {
+        setAccessError('กรุณาเข้าสู่ระบบก่อน')
+        return
+      }
+      const result = await res.json()
+      setCustomers(result.data || [])
+    } catch (error) {
+      console.error('Error loading customers:', error)
+      setAccessError('โหลดรายชื่อลูกค้าไม่สำเร็จ')
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  useEffect(() => {
+    fetch('/api/auth/session')
+      .then(res => (res.ok ? res.json() : null))
+      .then(result => setIsAdmin(!!result && canManageEmployees(result.data.role)))
+      .catch(() => setIsAdmin(false))
+  }, [])
+
+  // ค้นหาหลังหยุดพิมพ์ 300ms
+  useEffect(() => {
+    const timer = setTimeout(() => loadCustomers(searchTerm.trim()), 300)
+    return () => clearTimeout(timer)
+  }, [searchTerm])
+
+  const handleAdd = async () => {
+    const name = window.prompt('ชื่อร้าน / บริษัท / แบรนด์')
+    if (!name?.trim()) return
+    const phone = window.prompt('เบอร์โทร (ถ้ามี)') ?? ''
+    const address = window.prompt('ที่อยู่หลัก (ถ้ามี)') ?? ''
+
+    const res = await fetch('/api/customers', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name, phone, sites: address.trim() ? [{ address }] : [] })
+    })
+    const result = await res.json().catch(() => ({}))
+    if (!res.ok) {
+      alert(`เพิ่มลูกค้าไม่สำเร็จ: ${result.error || 'เกิดข้อผิดพลาด'}`)
+      return
+    }
+    window.location.href = `/customers/${result.data.id}`
+  }
+
+  // ผูกงานเก่าที่ยังไม่มีลูกค้า (admin)
+  const handleBackfill = async () => {
+    if (!confirm('ผูกงานเก่าทั้งหมดที่ยังไม่มีลูกค้าเข้ากับสมุดรายชื่อ? (ไม่เจอรายเดิมจะสร้างลูกค้าใหม่)')) return
+    setIsBackfilling(true)
+    try {
+      const res = await fetch('/api/customers/backfill', { method: 'POST' })
+      const result = await res.json().catch(() => ({}))
+      if (!res.ok) {
+        alert(`ไม่สำเร็จ: ${result.error || 'เกิดข้อผิดพลาด'}`)
+        return
+      }
+      const { linked, failed } = result.data
+      alert(`ผูกแล้ว ${linked} งาน` + (failed.length ? `\nไม่สำเร็จ ${failed.length} งาน` : ''))
+      await loadCustomers(searchTerm.trim())
+    } finally {
+      setIsBackfilling(false)
+    }
+  }
+
+  if (isLoading) {
+    return (
+      <div className="min-h-screen bg-slate-50 flex items-center justify-center">
+        <div className="animate-spin w-10 h-10 border-4 border-blue-500 border-t-transparent rounded-full"></div>
+      </div>
+    )
+  }
+
+  if (accessError) {
+    return (
+      <div className="min-h-screen bg-slate-50 flex items-center justify-center p-4">
+        <div className="bg-white rounded-2xl shadow p-8 text-center space-y-4">
+          <p className="text-slate-700">{accessError}</p>
+          <a href="/" className="inline-block bg-blue-500 hover:bg-blue-600 text-white px-4 py-2 rounded-xl text-sm font-medium">
+            กลับหน้าหลัก
+          </a>
+        </div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="min-h-screen bg-slate-50">
+      <header className="bg-white shadow-sm sticky top-0 z-40">
+        <div className="max-w-4xl mx-auto px-4 py-3 flex items-center justify-between">
+          <h1 className="text-lg font-bold text-slate-800">👥 ลูกค้า</h1>
+          <div className="flex gap-2">
+            <button
+              onClick={handleAdd}
+              className="bg-blue-500 hover:bg-blue-600 text-white px-3 py-2 rounded-xl text-sm font-medium"
+            >
+              + เพิ่มลูกค้า
+            </button>
+            {isAdmin && (
+              <button
+                onClick={handleBackfill}
+                disabled={isBackfilling}
+                className="bg-slate-100 hover:bg-slate-200 disabled:opacity-50 text-slate-600 px-3 py-2 rounded-xl text-sm"
+                title="ผูกงานเก่าที่ยังไม่มีลูกค้า"
+              >
+                {isBackfilling ? 'กำลังผูก...' : '🧷 ผูกงานเก่า'}
+              </button>
+            )}
+            <a href="/" className="bg-slate-100 hover:bg-slate-200 text-slate-600 px-3 py-2 rounded-xl text-sm">
+              ← กลับหน้าหลัก
+            </a>
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-4xl mx-auto px-4 py-4 space-y-4">
+        <input
+          type="text"
+          value={searchTerm}
+          onChange={(e) => setSearchTerm(e.target.value)}
+          placeholder="🔍 ค้นหาชื่อร้าน สาขา ผู้ติดต่อ ที่อยู่ หรือเบอร์โทร"
+          className="w-full px-4 py-2 border rounded-xl text-sm bg-white"
+        />
+
+        <div className="bg-white rounded-2xl shadow-sm divide-y divide-slate-100">
+          {customers.length === 0 ? (
+            <p className="p-4 text-sm text-slate-500">ไม่พบลูกค้า</p>
+          ) : customers.map(customer => (
+            <a key={customer.id} href={`/customers/${customer.id}`} className="block p-4 hover:bg-slate-50">
+              <div className="flex items-start justify-between gap-3">
+                <div className="min-w-0">
+                  <p className="font-medium text-slate-800">🏢 {customer.name}</p>
+                  <p className="text-xs text-slate-500">
+                    {[customer.contactName && `👤 ${customer.contactName}`, customer.phone].filter(Boolean).join(' · ') || '-'}
+                  </p>
+                  {customer.sites.length > 0 && (
+                    <p className="text-xs text-slate-400 truncate">
+                      📍 {customer.sites.map(s => s.name || s.address).join(' · ')}
+                    </p>
+                  )}
+                </div>
+                <div className="shrink-0 text-right text-xs text-slate-500">
+                  <p>{customer.sites.length} สาขา</p>
+                  <p>{customer.requestCount} งาน</p>
+                </div>
+              </div>
+            </a>
+          ))}
+        </div>
+      </main>
+    </div>
+  )
+}
@@ -0,0 +1,342 @@
+'use client'
+
+import { useState, useEffect, useCallback } from 'react'
+import { getStatusConfig } from '../../lib/STATUS_WORKFLOW'
+import { canAssignTechnicians, canManageEmployees } from '../../lib/roles'
+import type { Role } from '../../lib/roles'
+import { describeScheduleCheck, formatMinutes } from '../../lib/scheduling'
+import { CALENDAR_COLORS, CALENDAR_COLOR_IDS, UNASSIGNED_COLOR_ID, getCalendarColorHex } from '../../lib/technicians'
+import type { ServiceRequest, Technician } from '../../lib/types'
+
+const UNASSIGNED = ''
+
+// วันที่ตามเวลาไทย (YYYY-MM-DD) — toISOString เป็น UTC จะเพี้ยนช่วงเช้ามืด
+const toDateKey = (date: Date) => date.toLocaleDateString('sv-SE', { timeZone: 'Asia/Bangkok' })
+
+const shiftDate = (dateKey: string, days: number) => {
+  const date = new Date(`${dateKey}T12:00:00+07:00`)
+  date.setDate(date.getDate() + days)
+  return toDateKey(date)
+}
+
+const formatTime = (request: ServiceRequest) =>
+  request.isAllDay || request.appointmentDate.length <= 10 ? 'ทั้งวัน' : request.appointmentDate.slice(11, 16)
+
+export default function DispatchPage() {
+  const [role, setRole] = useState<Role | null>(null)
+  const [date, setDate] = useState(() => toDateKey(new Date()))
+  const [technicians, setTechnicians] = useState<Technician[]>([])
+  const [requests, setRequests] = useState<ServiceRequest[]>([])
+  const [isLoading, setIsLoading] = useState(true)
+  const [savingId, setSavingId] = useState<string | null>(null)
+  const [dragOver, setDragOver] = useState<string | null>(null)
+  const [showManager, setShowManager] = useState(false)
+  const [accessError, setAccessError] = useState('')
+
+  const loadTechnicians = async () => {
+    const res = await fetch('/api/technicians?all=1')
+    if (!res.ok) return
+    const result = await res.json()
+    setTechnicians(result.data || [])
+  }
+
+  const loadRequests = useCallback(async () => {
+    const res = await fetch(`/api/requests?date=${date}`)
+    if (!res.ok) return
+    const result = await res.json()
+    setRequests((result.data || []).filter((r: ServiceRequest) => r.status !== 'cancelled'))
+  }, [date])
+
+  useEffect(() => {
+    fetch('/api/auth/session')
+      .then(res => (res.ok ? res.json() : null))
+      .then(async result => {
+        if (!result) {
+          setAccessError('กรุณาเข้าสู่ระบบก่อน')
+          return
+        }
+        setRole(result.data.role)
+        await loadTechnicians()
+      })
+      .catch(() => setAccessError('โหลดข้อมูลไม่สำเร็จ'))
+      .finally(() => setIsLoading(false))
+  }, [])
+
+  useEffect(() => {
+    if (role) loadRequests()
+  }, [role, loadRequests])
+
+  const canAssign = role ? canAssignTechnicians(role) : false
+  const canManage = role ? canManageEmployees(role) : false
+
+  // ช่างคนใหม่มีงานชนเวลา/เกินความจุวันนั้นไหม — เตือนให้ยืนยัน ไม่บล็อก (ถอดช่างไม่ต้องเช็ค)
+  const confirmSchedule = async (request: ServiceRequest, technicianId: string) => {
+    if (!technicianId || !request.appointmentDate) return true
+    const res = await fetch('/api/schedule', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        requestId: request.id,
+        technicianId,
+        appointmentDate: request.appointmentDate,
+        appointmentEndDate: request.appointmentEndDate || '',
+        isAllDay: request.isAllDay || false,
+        serviceType: request.serviceType,
+      })
+    })
+    if (!res.ok) return true
+    const warnings = describeScheduleCheck((await res.json()).data)
+    if (warnings.length === 0) return true
+    return window.confirm(`⚠️ ตารางงานช่าง:\n${warnings.map(w => `• ${w}`).join('\n')}\n\nยืนยันจัดช่างคนนี้?`)
+  }
+
+  const assign = async (request: ServiceRequest, technicianId: string) => {
+    if ((request.technicianId || UNASSIGNED) === technicianId) return
+    setSavingId(request.id)
+    try {
+      if (!(await confirmSchedule(request, technicianId))) return
+      const res = await fetch('/api/technicians/assign', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ requestId: request.id, technicianId })
+      })
+      const result = await res.json().catch(() => ({}))
+      if (!res.ok) {
+        alert(`จัดช่างไม่สำเร็จ: ${result.error || 'เกิดข้อผิดพลาด'}`)
+        return
+      }
+      setRequests(prev => prev.map(r => (r.id === request.id ? result.data : r)))
+    } finally {
+      setSavingId(null)
+    }
+  }
+
+  const saveTechnician = async (method: 'POST' | 'PUT', body: Record<string, unknown>) => {
+    const res = await fetch('/api/technicians', {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    })
+    const result = await res.json().catch(() => ({}))
+    if (!res.ok) {
+      alert(`บันทึกไม่สำเร็จ: ${result.error || 'เกิดข้อผิดพลาด'}`)
+      return
+    }
+    await loadTechnicians()
+    // ชื่อช่างบนการ์ดมาจากงาน → โหลดงานใหม่ด้วย
+    await loadRequests()
+  }
+
+  const handleAddTechnician = async () => {
+    const name = window.prompt('ชื่อช่าง')
+    if (!name?.trim()) return
+    const phone = window.prompt('เบอร์โทร (ถ้ามี)') ?? ''
+    const email = window.prompt('อีเมล Google (ถ้ามี — ช่างจะได้ event ในปฏิทินของตัวเอง)') ?? ''
+    // สีถัดไปที่ยังไม่มีใครใช้ (ข้ามสีเหลืองของงานรอจัดช่าง)
+    const used = new Set(technicians.filter(t => t.active).map(t => t.color))
+    const color = CALENDAR_COLOR_IDS.find(id => id !== UNASSIGNED_COLOR_ID && !used.has(id)) ?? '9'
+    await saveTechnician('POST', { name, phone, email: email.trim(), color })
+  }
+
+  const handleEditTechnician = async (technician: Technician) => {
+    const name = window.prompt('ชื่อช่าง', technician.name)
+    if (name === null || !name.trim()) return
+    const phone = window.prompt('เบอร์โทร', technician.phone)
+    if (phone === null) return
+    const email = window.prompt('อีเมล Google (เว้นว่าง = ไม่เชิญเข้า event)', technician.email)
+    if (email === null) return
+    const hours = window.prompt('รับงานได้กี่ชั่วโมงต่อวัน', String(technician.dailyCapacityMinutes / 60))
+    if (hours === null) return
+    const dailyCapacityMinutes = Math.round(Number(hours) * 60)
+    if (!Number.isFinite(dailyCapacityMinutes) || dailyCapacityMinutes < 30 || dailyCapacityMinutes > 24 * 60) {
+      alert('ชั่วโมงต่อวันต้องอยู่ระหว่าง 0.5 - 24')
+      return
+    }
+    await saveTechnician('PUT', { id: technician.id, name, phone, email: email.trim(), dailyCapacityMinutes })
+  }
+
+  if (isLoading) {
+    return (
+      <div className="min-h-screen bg-slate-50 flex items-center justify-center">
+        <div className="animate-spin w-10 h-10 border-4 border-blue-500 border-t-transparent rounded-full"></div>
+      </div>
+    )
+  }
+
+  if (accessError) {
+    return (
+      <div className="min-h-screen bg-slate-50 flex items-center justify-center p-4">
+        <div className="bg-white rounded-2xl shadow p-8 text-center space-y-4">
+          <p className="text-slate-700">{accessError}</p>
+          <a href="/" className="inline-block bg-blue-500 hover:bg-blue-600 text-white px-4 py-2 rounded-xl text-sm font-medium">
+            กลับหน้าหลัก
+          </a>
+        </div>
+      </div>
+    )
+  }
+
+  // คอลัมน์ = รอจัดช่าง + ช่างที่ใช้งานอยู่ (+ ช่างที่ปิดใช้งานแต่ยังมีงานวันนี้)
+  const columns: { id: string; name: string; color: string; phone: string }[] = [
+    { id: UNASSIGNED, name: 'รอจัดช่าง', color: UNASSIGNED_COLOR_ID, phone: '' },
+    ...technicians
+      .filter(t => t.active || requests.some(r => r.technicianId === t.id))
+      .map(t => ({ id: t.id, name: t.active ? t.name : `${t.name} (ปิดใช้งาน)`, color: t.color, phone: t.phone })),
+  ]
+  const requestsFor = (columnId: string) =>
+    requests
+      .filter(r => (r.technicianId || UNASSIGNED) === columnId)
+      .sort((a, b) => a.appointmentDate.localeCompare(b.appointmentDate))
+
+  return (
+    <div className="min-h-screen bg-slate-50">
+      <header className="bg-white shadow-sm sticky top-0 z-40">
+        <div className="max-w-7xl mx-auto px-4 py-3 flex flex-wrap items-center justify-between gap-2">
+          <h1 className="text-lg font-bold text-slate-800">👷 จัดช่าง</h1>
+          <div className="flex items-center gap-2">
+            <button onClick={() => setDate(d => shiftDate(d, -1))} className="bg-slate-100 hover:bg-slate-200 text-slate-600 px-3 py-2 rounded-xl text-sm">‹</button>
+            <input
+              type="date"
+              value={date}
+              onChange={(e) => e.target.value && setDate(e.target.value)}
+              className="px-3 py-2 border rounded-xl text-sm"
+            />
+            <button onClick={() => setDate(d => shiftDate(d, 1))} className="bg-slate-100 hover:bg-slate-200 text-slate-600 px-3 py-2 rounded-xl text-sm">›</button>
+            <button onClick={() => setDate(toDateKey(new Date()))} className="bg-slate-100 hover:bg-slate-200 text-slate-600 px-3 py-2 rounded-xl text-sm">วันนี้</button>
+          </div>
+          <div className="flex gap-2">
+            <a href={`/schedule?date=${date}`} className="bg-slate-100 hover:bg-slate-200 text-slate-600 px-3 py-2 rounded-xl text-sm">
+              📆 คิวว่าง
+            </a>
+            {canManage && (
+              <button
+                onClick={() => setShowManager(v => !v)}
+                className="bg-slate-100 hover:bg-slate-200 text-slate-600 px-3 py-2 rounded-xl text-sm"
+              >
+                ⚙️ รายชื่อช่าง
+              </button>
+            )}
+            <a href="/" className="bg-slate-100 hover:bg-slate-200 text-slate-600 px-3 py-2 rounded-xl text-sm">
+              ← กลับหน้าหลัก
+            </a>
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-7xl mx-auto px-4 py-4 space-y-4">
+        {showManager && canManage && (
+          <div className="bg-white rounded-2xl shadow-sm p-4 space-y-3">
+            <div className="flex items-center justify-between">
+              <h2 className="font-semibold text-slate-700">รายชื่อช่าง</h2>
+              <button onClick={handleAddTechnician} className="bg-blue-500 hover:bg-blue-600 text-white px-3 py-2 rounded-xl text-sm font-medium">
+                + เพิ่มช่าง
+              </button>
+            </div>
+            {technicians.length === 0 ? (
+              <p className="text-sm text-slate-500">ยังไม่มีช่าง</p>
+            ) : (
+              <div className="divide-y divide-slate-100">
+                {technicians.map(t => (
+                  <div key={t.id} className={`py-2 flex flex-wrap items-center justify-between gap-2 text-sm ${t.active ? '' : 'opacity-50'}`}>
+                    <div className="flex items-center gap-2 min-w-0">
+                      <span className="w-3 h-3 rounded-full shrink-0" style={{ backgroundColor: getCalendarColorHex(t.color) }}></span>
+                      <span className="font-medium text-slate-800">{t.name}</span>
+                      <span className="text-xs text-slate-500 truncate">
+                        {[t.phone, t.email, `รับงาน ${formatMinutes(t.dailyCapacityMinutes)}/วัน`].filter(Boolean).join(' · ')}
+                      </span>
+                    </div>
+                    <div className="flex items-center gap-2 text-xs">
+                      <select
+                        value={t.color}
+                        onChange={(e) => saveTechnician('PUT', { id: t.id, color: e.target.value })}
+                        className="px-2 py-1 border rounded-lg"
+                        title="สีของ event ในปฏิทิน"
+                      >
+                        {CALENDAR_COLOR_IDS.map(id => (
+                          <option key={id} value={id}>{CALENDAR_COLORS[id]?.label}{id === UNASSIGNED_COLOR_ID ? ' (สีงานรอจัดช่าง)' : ''}</option>
+                        ))}
+                      </select>
+                      <button onClick={() => handleEditTechnician(t)} className="text-blue-600 hover:underline">แก้ไข</button>
+                      <button onClick={() => saveTechnician('PUT', { id: t.id, active: !t.active })} className="text-slate-500 hover:underline">
+                        {t.active ? 'ปิดใช้งาน' : 'เปิดใช้งาน'}
+                      </button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+
+        <p className="text-xs text-slate-500">
+          งานที่นัดวันนี้ {requests.length} งาน
+          {canAssign ? ' — ลากการ์ดไปวางที่ช่าง หรือเลือกช่างจากช่องในการ์ด หัวข้อ/สีใน Google Calendar จะเปลี่ยนตามเอง' : ''}
+        </p>
+
+        <div className="flex gap-3 overflow-x-auto pb-4">
+          {columns.map(column => {
+            const items = requestsFor(column.id)
+            return (
+              <div
+                key={column.id || 'unassigned'}
+                onDragOver={(e) => {
+                  if (!canAssign) return
+                  e.preventDefault()
+                  setDragOver(column.id)
+                }}
+                onDragLeave={() => setDragOver(null)}
+                onDrop={(e) => {
+                  e.preventDefault()
+                  setDragOver(null)
+                  const request = requests.find(r => r.id === e.dataTransfer.getData('text/plain'))
+                  if (request) assign(request, column.id)
+                }}
+                className={`w-72 shrink-0 rounded-2xl p-2 space-y-2 ${dragOver === column.id ? 'bg-blue-100' : 'bg-slate-100'}`}
+              >
+                <div className="flex items-center gap-2 px-2 py-1">
+                  <span className="w-3 h-3 rounded-full" style={{ backgroundColor: getCalendarColorHex(column.color) }}></span>
+                  <span className="font-semibold text-sm text-slate-700">{column.name}</span>
+                  <span className="text-xs text-slate-500">({items.length})</span>
+                  {column.phone && <a href={`tel:${column.phone}`} className="ml-auto text-xs text-blue-600">📞</a>}
+                </div>
+                {items.length === 0 && <p className="px-2 py-4 text-xs text-slate-400 text-center">ไม่มีงาน</p>}
+                {items.map(request => (
+                  <div
+                    key={request.id}
+                    draggable={canAssign && savingId !== request.id}
+                    onDragStart={(e) => e.dataTransfer.setData('text/plain', request.id)}
+                    className={`bg-white rounded-xl shadow-sm p-3 space-y-1 text-sm border-l-4 ${canAssign ? 'cursor-grab' : ''} ${request.status === 'completed' ? 'opacity-60' : ''} ${savingId === request.id ? 'animate-pulse' : ''}`}
+                    style={{ borderLeftColor: getCalendarColorHex(column.color) }}
+                  >
+                    <div className="flex items-center justify-between gap-2">
+                      <span className="font-semibold text-slate-800">🕘 {formatTime(request)}</span>
+                      <span className={`px-2 py-0.5 rounded-lg text-[10px] font-medium text-white ${getStatusConfig(request.status).color}`}>
+                        {getStatusConfig(request.status).icon} {getStatusConfig(request.status).label}
+                      </span>
+                    </div>
+                    <p className="font-medium text-slate-800">{request.customerName}</p>
+                    <p className="text-xs text-slate-500">{request.requestNo} · {request.serviceType}</p>
+                    {request.address && <p className="text-xs text-slate-400 truncate" title={request.address}>📍 {request.address}</p>}
+                    {canAssign && (
+                      <select
+                        value={request.technicianId || UNASSIGNED}
+                        onChange={(e) => assign(request, e.target.value)}
+                        disabled={savingId === request.id}
+                        className="w-full mt-1 px-2 py-1 border rounded-lg text-xs"
+                      >
+                        <option value={UNASSIGNED}>⏳ รอจัดช่าง</option>
+                        {technicians
+                          .filter(t => t.active || t.id === request.technicianId)
+                          .map(t => <option key={t.id} value={t.id}>👷 {t.name}</option>)}
+                      </select>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )
+          })}
+        </div>
+      </main>
+    </div>
+  )
+}
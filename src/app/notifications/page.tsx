@@ -0,0 +1,568 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import {
+  NOTIFICATION_TRIGGERS,
+  NOTIFICATION_TRIGGER_LABELS,
+  TEMPLATE_PLACEHOLDERS,
+  describeNotificationTarget,
+} from '../../lib/notification-rules'
+import { ROLE_CONFIG, ROLE_VALUES, type Role } from '../../lib/roles'
+import { SERVICE_TYPES } from '../../lib/scheduling'
+import { STATUS_CONFIG, STATUS_VALUES, type StatusValue } from '../../lib/STATUS_WORKFLOW'
+import type {
+  NotificationLogEntry,
+  NotificationLogStatus,
+  NotificationRule,
+  NotificationTarget,
+  NotificationTrigger,
+  Priority,
+} from '../../lib/types'
+
+// ฟอร์มเก็บตัวเลขเป็น string (ช่องว่าง = ไม่ตั้ง) แยกผู้รับเป็นช่องๆ ให้กรอกง่าย
+interface RuleForm {
+  id: string | null
+  name: string
+  enabled: boolean
+  trigger: NotificationTrigger
+  statuses: StatusValue[]
+  priorities: Priority[]
+  serviceTypes: string[]
+  minAgeHours: string
+  repeatHours: string
+  mainGroup: boolean
+  chatIds: string
+  roles: Role[]
+  lineCustomer: boolean
+  template: string
+}
+
+const EMPTY_FORM: RuleForm = {
+  id: null,
+  name: '',
+  enabled: true,
+  trigger: 'created',
+  statuses: [],
+  priorities: [],
+  serviceTypes: [],
+  minAgeHours: '',
+  repeatHours: '',
+  mainGroup: true,
+  chatIds: '',
+  roles: [],
+  lineCustomer: false,
+  template: '',
+}
+
+const PRIORITY_OPTIONS: { value: Priority; label: string }[] = [
+  { value: 'normal', label: 'ปกติ' },
+  { value: 'urgent', label: '🟡 เร่งด่วน' },
+  { value: 'emergency', label: '🔴 ฉุกเฉิน' },
+]
+
+const LOG_STATUS_BADGES: Record<NotificationLogStatus, { label: string; className: string }> = {
+  queued: { label: 'รอส่ง', className: 'bg-amber-100 text-amber-700' },
+  sent: { label: 'ส่งแล้ว', className: 'bg-green-100 text-green-700' },
+  failed: { label: 'ส่งไม่สำเร็จ', className: 'bg-red-100 text-red-700' },
+  skipped: { label: 'ไม่ได้ส่ง', className: 'bg-slate-100 text-slate-500' },
+}
+
+const formatDateTime = (iso: string) =>
+  new Date(iso).toLocaleString('th-TH', { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' })
+
+function toggle<T>(list: T[], value: T): T[] {
+  return list.includes(value) ? list.filter(v => v !== value) : [...list, value]
+}
+
+function toForm(rule: NotificationRule): RuleForm {
+  const chatIds: string[] = []
+  let mainGroup = false
+  for (const target of rule.targets) {
+    if (target.type !== 'telegram') continue
+    if (target.chatId) chatIds.push(target.chatId)
+    else mainGroup = true
+  }
+  return {
+    id: rule.id,
+    name: rule.name,
+    enabled: rule.enabled,
+    trigger: rule.trigger,
+    statuses: rule.statuses,
+    priorities: rule.priorities,
+    serviceTypes: rule.serviceTypes,
+    minAgeHours: rule.minAgeHours?.toString() ?? '',
+    repeatHours: rule.repeatHours?.toString() ?? '',
+    mainGroup,
+    chatIds: chatIds.join(', '),
+    roles: rule.targets.flatMap(t => (t.type === 'telegram_role' ? [t.role] : [])),
+    lineCustomer: rule.targets.some(t => t.type === 'line_customer'),
+    template: rule.template,
+  }
+}
+
+function toTargets(form: RuleForm): NotificationTarget[] {
+  const chatIds = form.chatIds.split(/[\s,]+/).map(id => id.trim()).filter(Boolean)
+  return [
+    ...(form.mainGroup ? [{ type: 'telegram' as const }] : []),
+    ...chatIds.map(chatId => ({ type: 'telegram' as const, chatId })),
+    ...form.roles.map(role => ({ type: 'telegram_role' as const, role })),
+    ...(form.lineCustomer ? [{ type: 'line_customer' as const }] : []),
+  ]
+}
+
+function describeConditions(rule: NotificationRule): string {
+  const parts: string[] = []
+  if (rule.statuses.length) parts.push(rule.statuses.map(s => STATUS_CONFIG[s].label).join('/'))
+  if (rule.priorities.length) parts.push(rule.priorities.map(p => PRIORITY_OPTIONS.find(o => o.value === p)?.label ?? p).join('/'))
+  if (rule.serviceTypes.length) parts.push(rule.serviceTypes.join('/'))
+  if (rule.trigger === 'overdue' && rule.minAgeHours) {
+    parts.push(`ค้าง ≥ ${rule.minAgeHours} ชม.${rule.repeatHours ? ` (เตือนซ้ำทุก ${rule.repeatHours} ชม.)` : ''}`)
+  }
+  return parts.length ? parts.join(' · ') : 'ทุกงาน'
+}
+
+export default function NotificationsPage() {
+  const [rules, setRules] = useState<NotificationRule[]>([])
+  const [logs, setLogs] = useState<NotificationLogEntry[]>([])
+  const [logRuleId, setLogRuleId] = useState('')
+  const [isLoading, setIsLoading] = useState(true)
+  const [accessError, setAccessError] = useState('')
+  const [form, setForm] = useState<RuleForm>(EMPTY_FORM)
+  const [isSaving, setIsSaving] = useState(false)
+  const [isChecking, setIsChecking] = useState(false)
+
+  const loadRules = async () => {
+    try {
+      const res = await fetch('/api/notifications')
+      if (res.status === 401 || res.status === 403) {
+        setAccessError(res.status === 401 ? 'กรุณาเข้าสู่ระบบก่อน' : 'หน้านี้สำหรับ admin เท่านั้น')
+        return
+      }
+      const result = await res.json()
+      setRules(result.data || [])
+    } catch (error) {
+      console.error('Error loading notification rules:', error)
+      setAccessError('โหลดกฎแจ้งเตือนไม่สำเร็จ')
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  const loadLogs = async (ruleId = logRuleId) => {
+    try {
+      const res = await fetch(`/api/notifications/log${ruleId ? `?ruleId=${encodeURIComponent(ruleId)}` : ''}`)
+      if (!res.ok) return
+      const result = await res.json()
+      setLogs(result.data || [])
+    } catch (error) {
+      console.error('Error loading notification logs:', error)
+    }
+  }
+
+  useEffect(() => {
+    loadRules()
+    loadLogs('')
+  }, [])
+
+  const handleSave = async () => {
+    const targets = toTargets(form)
+    if (!form.name.trim()) {
+      alert('กรุณาตั้งชื่อกฎ')
+      return
+    }
+    if (targets.length === 0) {
+      alert('กรุณาเลือกผู้รับอย่างน้อย 1 ช่องทาง')
+      return
+    }
+    if (form.trigger === 'overdue' && !(Number(form.minAgeHours) > 0)) {
+      alert('กฎงานค้างต้องกำหนดจำนวนชั่วโมงที่ค้าง')
+      return
+    }
+
+    const isOverdue = form.trigger === 'overdue'
+    const payload = {
+      ...(form.id ? { id: form.id } : {}),
+      name: form.name.trim(),
+      enabled: form.enabled,
+      trigger: form.trigger,
+      statuses: form.statuses,
+      priorities: form.priorities,
+      serviceTypes: form.serviceTypes,
+      minAgeHours: isOverdue ? Number(form.minAgeHours) : null,
+      repeatHours: isOverdue && Number(form.repeatHours) > 0 ? Number(form.repeatHours) : null,
+      targets,
+      template: form.template,
+    }
+
+    setIsSaving(true)
+    try {
+      const res = await fetch('/api/notifications', {
+        method: form.id ? 'PUT' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload)
+      })
+      const result = await res.json().catch(() => ({}))
+      if (!res.ok) {
+        alert(`บันทึกไม่สำเร็จ: ${result.error || 'เกิดข้อผิดพลาด'}`)
+        return
+      }
+      setForm(EMPTY_FORM)
+      await loadRules()
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  const handleToggle = async (rule: NotificationRule) => {
+    const res = await fetch('/api/notifications', {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ id: rule.id, enabled: !rule.enabled })
+    })
+    if (!res.ok) {
+      const result = await res.json().catch(() => ({}))
+      alert(`บันทึกไม่สำเร็จ: ${result.error || 'เกิดข้อผิดพลาด'}`)
+    }
+    await loadRules()
+  }
+
+  const handleDelete = async (rule: NotificationRule) => {
+    if (!confirm(`ลบกฎ "${rule.name}"? (ประวัติที่เคยส่งยังอยู่)`)) return
+    const res = await fetch(`/api/notifications?id=${encodeURIComponent(rule.id)}`, { method: 'DELETE' })
+    if (!res.ok) {
+      alert('ลบไม่สำเร็จ กรุณาลองใหม่')
+      return
+    }
+    if (form.id === rule.id) setForm(EMPTY_FORM)
+    await loadRules()
+  }
+
+  const handlePreview = async () => {
+    const requestNo = window.prompt('ดูตัวอย่างกับเลขที่งาน (เว้นว่าง = งานตัวอย่าง)', '')
+    if (requestNo === null) return
+    const res = await fetch('/api/notifications/preview', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ trigger: form.trigger, template: form.template, ...(requestNo.trim() ? { requestNo: requestNo.trim() } : {}) })
+    })
+    const result = await res.json().catch(() => ({}))
+    if (!res.ok) {
+      alert(`ดูตัวอย่างไม่สำเร็จ: ${result.error || 'เกิดข้อผิดพลาด'}`)
+      return
+    }
+    const { telegram, line } = result.data as { telegram: string; line: string }
+    // Telegram แสดงแบบ HTML — ตัด tag ออกให้อ่านใน alert ได้
+    alert(`── Telegram ──\n${telegram.replace(/<[^>]+>/g, '')}\n\n── LINE ลูกค้า ──\n${line}`)
+  }
+
+  const handleCheckNow = async () => {
+    setIsChecking(true)
+    try {
+      const res = await fetch('/api/notifications/check', { method: 'POST' })
+      const result = await res.json().catch(() => ({}))
+      if (!res.ok) {
+        alert(`ตรวจไม่สำเร็จ: ${result.details || result.error || 'เกิดข้อผิดพลาด'}`)
+        return
+      }
+      const { checked, notified } = result.data as { checked: number; notified: { requestNo: string; ruleName: string }[] }
+      alert(notified.length
+        ? [`ตรวจ ${checked} งาน แจ้งเตือน ${notified.length} รายการ:`, ...notified.map(n => `• ${n.requestNo} — ${n.ruleName}`)].join('\n')
+        : `ตรวจ ${checked} งาน ไม่มีงานค้างที่ต้องแจ้งเพิ่ม`)
+      await loadLogs()
+    } finally {
+      setIsChecking(false)
+    }
+  }
+
+  const showLogsFor = (ruleId: string) => {
+    setLogRuleId(ruleId)
+    loadLogs(ruleId)
+  }
+
+  const insertPlaceholder = (key: string) => {
+    setForm(prev => ({ ...prev, template: `${prev.template}{${key}}` }))
+  }
+
+  if (isLoading) {
+    return (
+      <div className="min-h-screen bg-slate-50 flex items-center justify-center">
+        <div className="animate-spin w-10 h-10 border-4 border-blue-500 border-t-transparent rounded-full"></div>
+      </div>
+    )
+  }
+
+  if (accessError) {
+    return (
+      <div className="min-h-screen bg-slate-50 flex items-center justify-center p-4">
+        <div className="bg-white rounded-2xl shadow p-8 text-center space-y-4">
+          <p className="text-slate-700">{accessError}</p>
+          <a href="/" className="inline-block bg-blue-500 hover:bg-blue-600 text-white px-4 py-2 rounded-xl text-sm font-medium">
+            กลับหน้าหลัก
+          </a>
+        </div>
+      </div>
+    )
+  }
+
+  const chipClass = (active: boolean) =>
+    `px-3 py-1.5 rounded-lg text-xs ${active ? 'bg-blue-500 text-white' : 'bg-slate-100 hover:bg-slate-200 text-slate-600'}`
+
+  return (
+    <div className="min-h-screen bg-slate-50">
+      <header className="bg-white shadow-sm sticky top-0 z-40">
+        <div className="max-w-3xl mx-auto px-4 py-3 flex items-center justify-between">
+          <h1 className="text-lg font-bold text-slate-800">🔔 กฎแจ้งเตือน</h1>
+          <div className="flex gap-2">
+            <button
+              onClick={handleCheckNow}
+              disabled={isChecking}
+              className="bg-slate-100 hover:bg-slate-200 disabled:opacity-50 text-slate-600 px-3 py-2 rounded-xl text-sm"
+            >
+              {isChecking ? 'กำลังตรวจ...' : '⏰ ตรวจงานค้างตอนนี้'}
+            </button>
+            <a href="/" className="bg-slate-100 hover:bg-slate-200 text-slate-600 px-3 py-2 rounded-xl text-sm">
+              ← กลับหน้าหลัก
+            </a>
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-3xl mx-auto px-4 py-4 space-y-4">
+        {/* เพิ่ม/แก้กฎ */}
+        <div className="bg-white rounded-2xl shadow-sm p-4 space-y-3">
+          <h2 className="font-semibold text-slate-700">{form.id ? `แก้กฎ "${form.name}"` : 'เพิ่มกฎ'}</h2>
+          <div className="flex flex-wrap gap-2">
+            <input
+              type="text"
+              placeholder="ชื่อกฎ เช่น งานฉุกเฉิน → กลุ่มช่าง"
+              value={form.name}
+              onChange={(e) => setForm({ ...form, name: e.target.value })}
+              className="flex-1 min-w-[12rem] px-4 py-2 border-2 border-slate-200 rounded-xl text-sm bg-slate-50 focus:ring-2 focus:ring-blue-500 outline-none"
+            />
+            <select
+              value={form.trigger}
+              onChange={(e) => setForm({ ...form, trigger: e.target.value as NotificationTrigger })}
+              className="px-3 py-2 border-2 border-slate-200 rounded-xl text-sm bg-slate-50 focus:ring-2 focus:ring-blue-500 outline-none"
+            >
+              {NOTIFICATION_TRIGGERS.map(trigger => (
+                <option key={trigger} value={trigger}>{NOTIFICATION_TRIGGER_LABELS[trigger]}</option>
+              ))}
+            </select>
+          </div>
+
+          {/* เงื่อนไข — ไม่เลือก = ทุกค่า */}
+          <div className="space-y-1">
+            <p className="text-xs text-slate-500">
+              {form.trigger === 'created' ? 'สถานะตอนเปิดงาน' : form.trigger === 'status_changed' ? 'สถานะใหม่' : 'ค้างอยู่ในสถานะ'} (ไม่เลือก = ทุกสถานะ)
+            </p>
+            <div className="flex flex-wrap gap-1.5">
+              {STATUS_VALUES.map(status => (
+                <button key={status} onClick={() => setForm({ ...form, statuses: toggle(form.statuses, status) })} className={chipClass(form.statuses.includes(status))}>
+                  {STATUS_CONFIG[status].icon} {STATUS_CONFIG[status].label}
+                </button>
+              ))}
+            </div>
+          </div>
+          <div className="space-y-1">
+            <p className="text-xs text-slate-500">ความเร่งด่วน (ไม่เลือก = ทุกระดับ)</p>
+            <div className="flex flex-wrap gap-1.5">
+              {PRIORITY_OPTIONS.map(option => (
+                <button key={option.value} onClick={() => setForm({ ...form, priorities: toggle(form.priorities, option.value) })} className={chipClass(form.priorities.includes(option.value))}>
+                  {option.label}
+                </button>
+              ))}
+            </div>
+          </div>
+          <div className="space-y-1">
+            <p className="text-xs text-slate-500">ประเภทงาน (ไม่เลือก = ทุกประเภท)</p>
+            <div className="flex flex-wrap gap-1.5">
+              {SERVICE_TYPES.map(type => (
+                <button key={type.value} onClick={() => setForm({ ...form, serviceTypes: toggle(form.serviceTypes, type.value) })} className={chipClass(form.serviceTypes.includes(type.value))}>
+                  {type.value}
+                </button>
+              ))}
+            </div>
+          </div>
+          {form.trigger === 'overdue' && (
+            <div className="flex flex-wrap items-center gap-2 text-sm text-slate-600">
+              ค้างเกิน
+              <input
+                type="number"
+                min={1}
+                value={form.minAgeHours}
+                onChange={(e) => setForm({ ...form, minAgeHours: e.target.value })}
+                className="w-24 px-3 py-1.5 border-2 border-slate-200 rounded-xl text-sm bg-slate-50 outline-none"
+              />
+              ชม. (72 = 3 วัน) · เตือนซ้ำทุก
+              <input
+                type="number"
+                min={1}
+                placeholder="ไม่ซ้ำ"
+                value={form.repeatHours}
+                onChange={(e) => setForm({ ...form, repeatHours: e.target.value })}
+                className="w-24 px-3 py-1.5 border-2 border-slate-200 rounded-xl text-sm bg-slate-50 outline-none"
+              />
+              ชม.
+            </div>
+          )}
+
+          {/* ผู้รับ */}
+          <div className="space-y-1">
+            <p className="text-xs text-slate-500">ส่งถึง</p>
+            <div className="flex flex-wrap gap-1.5">
+              <button onClick={() => setForm({ ...form, mainGroup: !form.mainGroup })} className={chipClass(form.mainGroup)}>
+                💬 Telegram กลุ่มหลัก
+              </button>
+              {ROLE_VALUES.map(role => (
+                <button key={role} onClick={() => setForm({ ...form, roles: toggle(form.roles, role) })} className={chipClass(form.roles.includes(role))}>
+                  {ROLE_CONFIG[role].icon} {ROLE_CONFIG[role].label}
+                </button>
+              ))}
+              <button onClick={() => setForm({ ...form, lineCustomer: !form.lineCustomer })} className={chipClass(form.lineCustomer)}>
+                💚 LINE ลูกค้า
+              </button>
+            </div>
+            <input
+              type="text"
+              placeholder="Telegram chat อื่น เช่น กลุ่มช่าง -1001234567890 (คั่นด้วย ,)"
+              value={form.chatIds}
+              onChange={(e) => setForm({ ...form, chatIds: e.target.value })}
+              className="w-full px-4 py-2 border-2 border-slate-200 rounded-xl text-sm bg-slate-50 focus:ring-2 focus:ring-blue-500 outline-none"
+            />
+            <p className="text-xs text-slate-400">role = ส่งส่วนตัวถึงพนักงาน role นั้นทุกคนที่ผูก Telegram ไว้ (หน้า /admin) · LINE ลูกค้า = เฉพาะงานที่ทักมาทาง LINE</p>
+          </div>
+
+          {/* ข้อความ */}
+          <div className="space-y-1">
+            <p className="text-xs text-slate-500">ข้อความ (เว้นว่าง = ข้อความมาตรฐาน · Telegram ใช้ &lt;b&gt;ตัวหนา&lt;/b&gt; ได้)</p>
+            <textarea
+              value={form.template}
+              onChange={(e) => setForm({ ...form, template: e.target.value })}
+              rows={4}
+              placeholder={'เช่น 🚨 งานฉุกเฉิน {requestNo}\n{customerName} โทร {phone}\n{description}'}
+              className="w-full px-4 py-2 border-2 border-slate-200 rounded-xl text-sm bg-slate-50 focus:ring-2 focus:ring-blue-500 outline-none font-mono"
+            />
+            <div className="flex flex-wrap gap-1">
+              {TEMPLATE_PLACEHOLDERS.map(placeholder => (
+                <button
+                  key={placeholder.key}
+                  onClick={() => insertPlaceholder(placeholder.key)}
+                  className="bg-slate-100 hover:bg-slate-200 text-slate-500 px-2 py-1 rounded text-xs"
+                  title={`{${placeholder.key}}`}
+                >
+                  + {placeholder.label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div className="flex flex-wrap gap-2">
+            <button
+              onClick={handleSave}
+              disabled={isSaving}
+              className="bg-blue-500 hover:bg-blue-600 disabled:opacity-50 text-white px-4 py-2 rounded-xl text-sm font-medium"
+            >
+              {form.id ? '💾 บันทึก' : '+ เพิ่มกฎ'}
+            </button>
+            <button
+              onClick={handlePreview}
+              className="bg-slate-100 hover:bg-slate-200 text-slate-600 px-4 py-2 rounded-xl text-sm"
+            >
+              👁️ ดูตัวอย่างข้อความ
+            </button>
+            {form.id && (
+              <button
+                onClick={() => setForm(EMPTY_FORM)}
+                className="bg-slate-100 hover:bg-slate-200 text-slate-600 px-4 py-2 rounded-xl text-sm"
+              >
+                ยกเลิกการแก้ไข
+              </button>
+            )}
+          </div>
+        </div>
+
+        {/* รายการกฎ */}
+        <div className="bg-white rounded-2xl shadow-sm divide-y divide-slate-100">
+          {rules.length === 0 && <p className="p-4 text-sm text-slate-500">ยังไม่มีกฎ — ไม่มีการแจ้งเตือนใดๆ</p>}
+          {rules.map(rule => (
+            <div key={rule.id} className={`flex items-start justify-between gap-2 p-4 ${rule.enabled ? '' : 'opacity-50'}`}>
+              <div className="min-w-0 space-y-0.5">
+                <p className="font-medium text-slate-800">
+                  {rule.name}
+                  {!rule.enabled && <span className="ml-2 text-xs bg-slate-200 text-slate-600 px-2 py-0.5 rounded-full">ปิดอยู่</span>}
+                </p>
+                <p className="text-xs text-slate-500">{NOTIFICATION_TRIGGER_LABELS[rule.trigger]} · {describeConditions(rule)}</p>
+                <p className="text-xs text-sky-600">→ {rule.targets.map(describeNotificationTarget).join(', ')}</p>
+                {rule.template && <p className="text-xs text-slate-400 truncate">✉️ {rule.template.split('\n')[0]}</p>}
+              </div>
+              <div className="flex shrink-0 gap-2">
+                <button
+                  onClick={() => setForm(toForm(rule))}
+                  className="bg-slate-100 hover:bg-slate-200 text-slate-600 px-3 py-1.5 rounded-lg text-xs"
+                >
+                  ✏️ แก้ไข
+                </button>
+                <button
+                  onClick={() => showLogsFor(rule.id)}
+                  className="bg-slate-100 hover:bg-slate-200 text-slate-600 px-3 py-1.5 rounded-lg text-xs"
+                >
+                  📜 ประวัติ
+                </button>
+                <button
+                  onClick={() => handleToggle(rule)}
+                  className={`px-3 py-1.5 rounded-lg text-xs ${rule.enabled ? 'bg-slate-100 hover:bg-slate-200 text-slate-600' : 'bg-green-50 hover:bg-green-100 text-green-600'}`}
+                >
+                  {rule.enabled ? 'ปิด' : 'เปิด'}
+                </button>
+                <button
+                  onClick={() => handleDelete(rule)}
+                  className="bg-red-50 hover:bg-red-100 text-red-600 px-3 py-1.5 rounded-lg text-xs"
+                >
+                  🗑️
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+
+        {/* ประวัติการแจ้งเตือน */}
+        <div className="space-y-2">
+          <div className="flex items-center justify-between gap-2">
+            <h2 className="font-semibold text-slate-700">
+              ประวัติการแจ้งเตือน
+              {logRuleId && ` — ${rules.find(r => r.id === logRuleId)?.name ?? 'กฎที่ลบแล้ว'}`}
+            </h2>
+            <div className="flex gap-2">
+              {logRuleId && (
+                <button onClick={() => showLogsFor('')} className="bg-slate-100 hover:bg-slate-200 text-slate-600 px-3 py-1.5 rounded-lg text-xs">
+                  ดูทั้งหมด
+                </button>
+              )}
+              <button onClick={() => loadLogs()} className="bg-slate-100 hover:bg-slate-200 text-slate-600 px-3 py-1.5 rounded-lg text-xs">
+                🔄 รีเฟรช
+              </button>
+            </div>
+          </div>
+          <div className="bg-white rounded-2xl shadow-sm divide-y divide-slate-100">
+            {logs.length === 0 && <p className="p-4 text-sm text-slate-500">ยังไม่มีการแจ้งเตือน</p>}
+            {logs.map(log => (
+              <details key={log.id} className="p-4">
+                <summary className="cursor-pointer list-none space-y-0.5">
+                  <p className="text-sm text-slate-800">
+                    <span className="font-medium">{log.requestNo || '-'}</span> → {log.target}
+                    <span className={`ml-2 text-xs px-2 py-0.5 rounded-full ${LOG_STATUS_BADGES[log.status].className}`}>
+                      {LOG_STATUS_BADGES[log.status].label}
+                    </span>
+                  </p>
+                  <p className="text-xs text-slate-500">{formatDateTime(log.createdAt)} · {log.ruleName} · {log.reason}</p>
+                  {log.error && <p className="text-xs text-red-500 break-all">{log.error}</p>}
+                </summary>
+                <pre className="mt-2 whitespace-pre-wrap text-xs text-slate-600 bg-slate-50 rounded-xl p-3">{log.message}</pre>
+              </details>
+            ))}
+          </div>
+        </div>
+      </main>
+    </div>
+  )
+}
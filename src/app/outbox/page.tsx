@@ -0,0 +1,317 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+
+interface OutboxJob {
+  id: number
+  kind: string
+  requestId: string | null
+  requestNo: string | null
+  customerName: string | null
+  status: 'pending' | 'processing' | 'done' | 'dead'
+  attempts: number
+  maxAttempts: number
+  nextAttemptAt: string
+  lastError: string | null
+  createdAt: string
+  completedAt: string | null
+}
+
+interface CalendarSyncStatus {
+  hasSyncToken: boolean
+  lastSyncedAt: string | null
+  channelId: string | null
+  channelExpiresAt: string | null
+}
+
+const KIND_LABELS: Record<string, string> = {
+  'sheets.upsert': '📊 บันทึกลง Google Sheets',
+  'sheets.delete': '📊 ลบจาก Google Sheets',
+  'calendar.upsert': '📅 นัดหมายใน Google Calendar',
+  'calendar.delete': '📅 ลบนัดจาก Google Calendar',
+  'drive.delete': '🗂️ ลบไฟล์จาก Google Drive',
+  'telegram.send': '💬 แจ้งเตือน Telegram',
+  'line.push': '💬 ส่งข้อความ LINE ถึงลูกค้า',
+  'line.event': '📨 เปิดงานจากข้อความ LINE',
+}
+
+const STATUS_BADGES: Record<OutboxJob['status'], { label: string; className: string }> = {
+  pending: { label: 'รอส่ง', className: 'bg-amber-100 text-amber-700' },
+  processing: { label: 'กำลังส่ง', className: 'bg-blue-100 text-blue-700' },
+  done: { label: 'สำเร็จ', className: 'bg-green-100 text-green-700' },
+  dead: { label: 'ส่งไม่สำเร็จ', className: 'bg-red-100 text-red-700' },
+}
+
+const formatDateTime = (iso: string) =>
+  new Date(iso).toLocaleString('th-TH', { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' })
+
+export default function OutboxPage() {
+  const [jobs, setJobs] = useState<OutboxJob[]>([])
+  const [isLoading, setIsLoading] = useState(true)
+  const [accessError, setAccessError] = useState('')
+  const [retryingId, setRetryingId] = useState<number | null>(null)
+  // null = ไม่ใช่ admin / ยังไม่ได้ตั้งค่า Calendar → ไม่แสดงส่วนดึงจาก Calendar
+  const [calendarSync, setCalendarSync] = useState<CalendarSyncStatus | null>(null)
+  const [isCalendarBusy, setIsCalendarBusy] = useState(false)
+
+  const loadJobs = async () => {
+    try {
+      const res = await fetch('/api/outbox?status=dead,pending,processing')
+      if (res.status === 401) {
+        setAccessError('กรุณาเข้าสู่ระบบก่อน')
+        return
+      }
+      const result = await res.json()
+      setJobs(result.data || [])
+    } catch (error) {
+      console.error('Error loading outbox:', error)
+      setAccessError('โหลดคิวส่งข้อมูลไม่สำเร็จ')
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  const loadCalendarSync = async () => {
+    const res = await fetch('/api/calendar/sync')
+    if (!res.ok) return
+    const result = await res.json()
+    setCalendarSync(result.data)
+  }
+
+  useEffect(() => {
+    loadJobs()
+    loadCalendarSync().catch(error => console.error('Error loading calendar sync status:', error))
+  }, [])
+
+  const runCalendarAction = async (action: 'sync' | 'watch' | 'stop') => {
+    setIsCalendarBusy(true)
+    try {
+      const res = await fetch('/api/calendar/sync', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ action })
+      })
+      const result = await res.json().catch(() => ({}))
+      if (!res.ok) {
+        alert(`ไม่สำเร็จ: ${result.details || result.error || 'เกิดข้อผิดพลาด'}`)
+      } else if (action === 'sync') {
+        const { updated, skipped } = result.data as { updated: { requestNo: string; changes: string[] }[]; skipped: { requestNo: string; reason: string }[] }
+        alert([
+          `แก้งานตาม Google Calendar ${updated.length} งาน`,
+          ...updated.map(u => `• ${u.requestNo}: ${u.changes.join(', ')}`),
+          ...(skipped.length ? [`ข้าม ${skipped.length} งาน`, ...skipped.map(s => `• ${s.requestNo}: ${s.reason}`)] : []),
+        ].join('\n'))
+      }
+      await Promise.all([loadCalendarSync(), loadJobs()])
+    } finally {
+      setIsCalendarBusy(false)
+    }
+  }
+
+  // หา event ที่ไม่มีงานแล้ว → ให้ดูรายการก่อน แล้วค่อยยืนยันลบ
+  const handleSweep = async () => {
+    const sweep = async (apply: boolean) => {
+      const res = await fetch('/api/calendar/sync', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ action: 'sweep', apply })
+      })
+      const result = await res.json().catch(() => ({}))
+      if (!res.ok) throw new Error(result.details || result.error || 'เกิดข้อผิดพลาด')
+      return result.data as { scanned: number; orphans: { summary: string; start: string; reason: string }[]; deleted: number }
+    }
+
+    setIsCalendarBusy(true)
+    try {
+      const report = await sweep(false)
+      if (report.orphans.length === 0) {
+        alert(`ตรวจ ${report.scanned} event ไม่พบ event ที่ไม่มีงานแล้ว 🎉`)
+        return
+      }
+      const confirmed = confirm([
+        `พบ ${report.orphans.length} event ที่ไม่มีงานแล้ว (จาก ${report.scanned} event):`,
+        ...report.orphans.map(o => `• ${o.start.slice(0, 10)} ${o.summary} — ${o.reason}`),
+        '',
+        'ลบออกจาก Google Calendar ทั้งหมด?',
+      ].join('\n'))
+      if (!confirmed) return
+      const result = await sweep(true)
+      alert(`ลบแล้ว ${result.deleted} event`)
+    } catch (error) {
+      alert(`ไม่สำเร็จ: ${error instanceof Error ? error.message : 'เกิดข้อผิดพลาด'}`)
+    } finally {
+      setIsCalendarBusy(false)
+    }
+  }
+
+  const handleRetry = async (job: OutboxJob) => {
+    setRetryingId(job.id)
+    try {
+      const res = await fetch('/api/outbox', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ action: 'retry', id: job.id })
+      })
+      const result = await res.json().catch(() => ({}))
+      if (!res.ok) {
+        alert(`ลองใหม่ไม่สำเร็จ: ${result.error || 'เกิดข้อผิดพลาด'}`)
+      } else if (result.data?.status !== 'done') {
+        alert(`ยังส่งไม่สำเร็จ: ${result.data?.lastError || 'เกิดข้อผิดพลาด'}`)
+      }
+      await loadJobs()
+    } finally {
+      setRetryingId(null)
+    }
+  }
+
+  if (isLoading) {
+    return (
+      <div className="min-h-screen bg-slate-50 flex items-center justify-center">
+        <div className="animate-spin w-10 h-10 border-4 border-blue-500 border-t-transparent rounded-full"></div>
+      </div>
+    )
+  }
+
+  if (accessError) {
+    return (
+      <div className="min-h-screen bg-slate-50 flex items-center justify-center p-4">
+        <div className="bg-white rounded-2xl shadow p-8 text-center space-y-4">
+          <p className="text-slate-700">{accessError}</p>
+          <a href="/" className="inline-block bg-blue-500 hover:bg-blue-600 text-white px-4 py-2 rounded-xl text-sm font-medium">
+            กลับหน้าหลัก
+          </a>
+        </div>
+      </div>
+    )
+  }
+
+  const deadJobs = jobs.filter(j => j.status === 'dead')
+  const queuedJobs = jobs.filter(j => j.status !== 'dead')
+
+  const renderJob = (job: OutboxJob) => (
+    <div key={job.id} className="flex items-start justify-between gap-3 p-4">
+      <div className="min-w-0 space-y-1">
+        <p className="font-medium text-slate-800">
+          {KIND_LABELS[job.kind] || job.kind}
+          <span className={`ml-2 text-xs px-2 py-0.5 rounded-full ${STATUS_BADGES[job.status].className}`}>
+            {STATUS_BADGES[job.status].label}
+          </span>
+        </p>
+        <p className="text-xs text-slate-500">
+          {job.requestNo ? `${job.requestNo} · ${job.customerName || '-'}` : job.requestId ? `งาน #${job.requestId} (ถูกลบแล้ว)` : '-'}
+        </p>
+        <p className="text-xs text-slate-400">
+          เข้าคิว {formatDateTime(job.createdAt)} · ลองแล้ว {job.attempts}/{job.maxAttempts} ครั้ง
+          {job.status === 'pending' && job.attempts > 0 && ` · ลองใหม่ ${formatDateTime(job.nextAttemptAt)}`}
+        </p>
+        {job.lastError && (
+          <p className="text-xs text-red-500 break-all">{job.lastError}</p>
+        )}
+      </div>
+      {job.status !== 'processing' && (
+        <button
+          onClick={() => handleRetry(job)}
+          disabled={retryingId !== null}
+          className="shrink-0 bg-blue-500 hover:bg-blue-600 disabled:opacity-50 text-white px-3 py-1.5 rounded-lg text-xs font-medium"
+        >
+          {retryingId === job.id ? 'กำลังส่ง...' : '🔁 ลองใหม่ตอนนี้'}
+        </button>
+      )}
+    </div>
+  )
+
+  return (
+    <div className="min-h-screen bg-slate-50">
+      <header className="bg-white shadow-sm sticky top-0 z-40">
+        <div className="max-w-3xl mx-auto px-4 py-3 flex items-center justify-between">
+          <h1 className="text-lg font-bold text-slate-800">📤 คิวส่งข้อมูล</h1>
+          <div className="flex gap-2">
+            <a href="/reconcile" className="bg-slate-100 hover:bg-slate-200 text-slate-600 px-3 py-2 rounded-xl text-sm">
+              🔄 เทียบกับ Sheet
+            </a>
+            <button
+              onClick={loadJobs}
+              className="bg-slate-100 hover:bg-slate-200 text-slate-600 px-3 py-2 rounded-xl text-sm"
+            >
+              🔄 รีเฟรช
+            </button>
+            <a href="/" className="bg-slate-100 hover:bg-slate-200 text-slate-600 px-3 py-2 rounded-xl text-sm">
+              ← กลับหน้าหลัก
+            </a>
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-3xl mx-auto px-4 py-4 space-y-4">
+        {/* ดึงการแก้ไขจาก Google Calendar กลับเข้าระบบ (admin) */}
+        {calendarSync && (
+          <div className="bg-white rounded-2xl shadow-sm p-4 space-y-2">
+            <h2 className="font-semibold text-slate-700">📅 ดึงการแก้ไขจาก Google Calendar</h2>
+            <p className="text-xs text-slate-500">
+              ลาก event ไปวัน/เวลาอื่น หรือแก้ชื่อช่างใน [ ] ของหัวข้อ → วันนัด/ช่างของงานเปลี่ยนตาม (ลงประวัติว่าแก้จาก Google Calendar)
+            </p>
+            <p className="text-xs text-slate-500">
+              ดึงล่าสุด: {calendarSync.lastSyncedAt ? formatDateTime(calendarSync.lastSyncedAt) : 'ยังไม่เคย'}
+              {' · '}
+              แจ้งอัตโนมัติ: {calendarSync.channelId
+                ? `เปิดอยู่${calendarSync.channelExpiresAt ? ` ถึง ${formatDateTime(calendarSync.channelExpiresAt)}` : ''}`
+                : 'ปิด'}
+            </p>
+            <div className="flex flex-wrap gap-2">
+              <button
+                onClick={() => runCalendarAction('sync')}
+                disabled={isCalendarBusy}
+                className="bg-blue-500 hover:bg-blue-600 disabled:opacity-50 text-white px-3 py-1.5 rounded-lg text-xs font-medium"
+              >
+                {isCalendarBusy ? 'กำลังทำ...' : '⬇️ ดึงตอนนี้'}
+              </button>
+              <button
+                onClick={() => runCalendarAction('watch')}
+                disabled={isCalendarBusy}
+                className="bg-slate-100 hover:bg-slate-200 disabled:opacity-50 text-slate-600 px-3 py-1.5 rounded-lg text-xs font-medium"
+              >
+                📡 {calendarSync.channelId ? 'ต่ออายุแจ้งอัตโนมัติ' : 'เปิดแจ้งอัตโนมัติ'}
+              </button>
+              {calendarSync.channelId && (
+                <button
+                  onClick={() => runCalendarAction('stop')}
+                  disabled={isCalendarBusy}
+                  className="bg-slate-100 hover:bg-slate-200 disabled:opacity-50 text-slate-600 px-3 py-1.5 rounded-lg text-xs font-medium"
+                >
+                  ⏹️ ปิดแจ้งอัตโนมัติ
+                </button>
+              )}
+              <button
+                onClick={handleSweep}
+                disabled={isCalendarBusy}
+                className="bg-slate-100 hover:bg-slate-200 disabled:opacity-50 text-slate-600 px-3 py-1.5 rounded-lg text-xs font-medium"
+              >
+                🧹 หา event ที่ไม่มีงานแล้ว
+              </button>
+            </div>
+          </div>
+        )}
+
+        {/* ส่งไม่สำเร็จ (ลองครบแล้ว ต้องกดลองใหม่เอง) */}
+        <div className="space-y-2">
+          <h2 className="font-semibold text-slate-700">ส่งไม่สำเร็จ ({deadJobs.length})</h2>
+          <div className="bg-white rounded-2xl shadow-sm divide-y divide-slate-100">
+            {deadJobs.length === 0
+              ? <p className="p-4 text-sm text-slate-500">ไม่มีรายการที่ส่งไม่สำเร็จ 🎉</p>
+              : deadJobs.map(renderJob)}
+          </div>
+        </div>
+
+        {/* รอส่ง (worker จะลองเองตามรอบ) */}
+        <div className="space-y-2">
+          <h2 className="font-semibold text-slate-700">รอส่ง ({queuedJobs.length})</h2>
+          <div className="bg-white rounded-2xl shadow-sm divide-y divide-slate-100">
+            {queuedJobs.length === 0
+              ? <p className="p-4 text-sm text-slate-500">ไม่มีรายการค้างในคิว</p>
+              : queuedJobs.map(renderJob)}
+          </div>
+        </div>
+      </main>
+    </div>
+  )
+}
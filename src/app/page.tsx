@@ -2,97 +2,83 @@
 
 import { useState, useEffect, useMemo, useCallback } from 'react'
 import * as XLSX from 'xlsx'
-import { ref, onValue, set, update, remove } from 'firebase/database'
+import { ref, onValue } from 'firebase/database'
 import { ref as storageRef, uploadBytesResumable, getDownloadURL } from 'firebase/storage'
 import { db, storage } from '../lib/firebase'
+import {
+  STATUS_CONFIG,
+  REQUIRED_FIELD_LABELS,
+  getMissingRequiredFields,
+} from '../lib/STATUS_WORKFLOW'
+import type { StatusValue } from '../lib/STATUS_WORKFLOW'
+import { ROLE_CONFIG, getAllowedNextStatuses, canDeleteRequests, canManageEmployees, canManageParts, canAssignTechnicians } from '../lib/roles'
+import type { Role } from '../lib/roles'
+import type { ServiceRequest, Technician, ScheduleAvailability, SearchResult, SavedView } from '../lib/types'
+import { isEmptySearchQuery, matchesSearchQuery, parseSearchQuery } from '../lib/search'
+import {
+  CHANNEL_VALUES,
+  DEFAULT_LIST_FILTERS,
+  DEFAULT_LIST_SORT,
+  PRIORITY_LABELS,
+  SORT_KEYS,
+  UNASSIGNED,
+  countActiveFilters,
+  matchesListFilters,
+  parseListView,
+  sortRequests,
+  toListViewQuery,
+} from '../lib/list-view'
+import type { ListFilters, ListSort, SortKey } from '../lib/list-view'
+import {
+  SERVICE_TYPES,
+  describeScheduleCheck,
+  formatMinutes,
+  formatTime,
+  getAppointmentRange,
+  getBookedMinutesOnDay,
+  getFreeSlots,
+  getServiceDuration,
+} from '../lib/scheduling'
+import type { CustomerMatch } from '../lib/customer-match'
+import { AppointmentCalendar, type AppointmentMove } from '../components/appointment-calendar'
+import { AuditTimeline } from '../components/audit-timeline'
+import { Highlight } from '../components/search-highlight'
 // Types
-type Status = 'new' | 'queue' | 'waiting_quote' | 'checking_parts' | 'order_parts' | 'send_quote' | 'waiting_response' | 'completed' | 'cancelled'
+type Status = StatusValue
 
+// พนักงานที่ login อยู่ (จาก session cookie — ตรงกับ Session ใน src/lib/auth.ts)
 interface User {
-  id: string
+  employeeId: string
   name: string
+  role: Role
 }
 
-interface ServiceRequest {
+interface EmployeeOption {
   id: string
-  requestNo: string
-  createdAt: string
-  channel: 'LINE' | 'โทร' | 'Walk-in' | 'Facebook' | 'อื่นๆ'
-  customerName: string   // ชื่อร้าน/สาขา
-  contactName?: string   // ผู้ติดต่อ (optional)
-  phone: string
-  address: string
-  serviceType: string
-  description: string
-  priority: 'normal' | 'urgent' | 'emergency'
-  status: Status
-  appointmentDate: string
-  appointmentEndDate?: string
-  isAllDay?: boolean
-  notes: string
-  imageUrl: string
-  imageUrls?: string[]
-  pdfUrl?: string
-  pdfFileName?: string
-  attachments?: { url: string; name: string }[]
-  history: { status: Status; date: string; by: string }[]
-  calendarEventId?: string
-  calendarEventUrl?: string
-}
-
-// Real employee list (name only, no department)
-const USERS: User[] = [
-  { id: 'u1', name: 'คุณเนย' },
-  { id: 'u2', name: 'คุณฟิล์ม' },
-  { id: 'u3', name: 'คุณตุ้ม' },
-  { id: 'u4', name: 'คุณดอย' },
-  { id: 'u5', name: 'คุณดอจ' },
-  { id: 'u6', name: 'คุณออมสิน' },
-  { id: 'u7', name: 'คุณเผือก' }
-]
-
-// Status config
-const STATUS_CONFIG: Record<Status, { label: string; icon: string; color: string }> = {
-  new: { label: 'รับเรื่องใหม่', icon: '📥', color: 'bg-slate-500' },
-  queue: { label: 'จองคิว / นัดหมาย', icon: '📋', color: 'bg-yellow-500' },
-  waiting_quote: { label: 'ขอใบเสนอราคา', icon: '💰', color: 'bg-orange-500' },
-  checking_parts: { label: 'เช็คอะไหล่ + เสนอราคา', icon: '🔧', color: 'bg-indigo-500' },
-  order_parts: { label: 'แจ้งซื้ออะไหล่', icon: '🛒', color: 'bg-cyan-600' },
-  send_quote: { label: 'ส่งใบเสนอราคาแล้ว', icon: '📨', color: 'bg-teal-500' },
-  waiting_response: { label: 'รอลูกค้าตอบกลับ', icon: '⏳', color: 'bg-amber-500' },
-  completed: { label: 'เสร็จสิ้น', icon: '🏁', color: 'bg-gray-500' },
-  cancelled: { label: 'ยกเลิก', icon: '❌', color: 'bg-red-500' }
+  name: string
 }
 
+// Status config มาจาก workflow กลาง (src/lib/STATUS_WORKFLOW.ts) ที่ server ใช้เช็คด้วย
 const getStatusConfig = (status: string) =>
   STATUS_CONFIG[status as Status] ?? { label: status, icon: '❓', color: 'bg-slate-400' }
 
-// Status transitions
-const STATUS_TRANSITIONS: Record<Status, Status[]> = {
-  new: ['queue', 'waiting_quote', 'checking_parts', 'cancelled'],
-  queue: ['completed', 'cancelled'],
-  waiting_quote: ['send_quote', 'cancelled'],
-  checking_parts: ['order_parts', 'send_quote', 'cancelled'],
-  order_parts: ['send_quote', 'completed', 'cancelled'],
-  send_quote: ['waiting_response', 'cancelled'],
-  waiting_response: ['new', 'cancelled'],
-  completed: [],
-  cancelled: []
-}
-
 export default function Home() {
   const [user, setUser] = useState<User | null>(null)
-  const [newNameInput, setNewNameInput] = useState('')
   const [requests, setRequests] = useState<ServiceRequest[]>([])
   const [isLoading, setIsLoading] = useState(true)
   const [isSaving, setIsSaving] = useState(false)
   const [isModalOpen, setIsModalOpen] = useState(false)
   const [editingRequest, setEditingRequest] = useState<ServiceRequest | null>(null)
-  const [searchTerm, setSearchTerm] = useState('')
-  const [statusFilter, setStatusFilter] = useState<string>('all')
+  // ตัวกรอง + การเรียงรายการงาน — sync กับ URL (ดู src/lib/list-view.ts)
+  const [filters, setFilters] = useState<ListFilters>(DEFAULT_LIST_FILTERS)
+  const [sort, setSort] = useState<ListSort>(DEFAULT_LIST_SORT)
+  const [isFilterPanelOpen, setIsFilterPanelOpen] = useState(false)
+  const [savedViews, setSavedViews] = useState<SavedView[]>([])
+  // ผลค้นจาก server (null = ยังไม่ได้ค้น / กำลังรอผล)
+  const [searchResults, setSearchResults] = useState<SearchResult[] | null>(null)
   const [uploadProgress, setUploadProgress] = useState<number | null>(null)
   const [pendingDriveFile, setPendingDriveFile] = useState<File | null>(null)
-  const [viewMode, setViewMode] = useState<'card' | 'table'>('card')
+  const [viewMode, setViewMode] = useState<'card' | 'table' | 'calendar'>('card')
   const [displayLimit, setDisplayLimit] = useState(50)
 
   // AI State
@@ -113,11 +99,21 @@ export default function Home() {
   const [voiceTranscript, setVoiceTranscript] = useState('')
   const [recognitionRef, setRecognitionRef] = useState<any>(null)
 
-  // Auth State (PIN)
-  const [isAuthenticated, setIsAuthenticated] = useState(false)
+  // Auth State (เลือกชื่อ + PIN ของแต่ละคน)
+  const [isSessionLoading, setIsSessionLoading] = useState(true)
+  const [employees, setEmployees] = useState<EmployeeOption[]>([])
+  const [loginEmployeeId, setLoginEmployeeId] = useState('')
   const [pinInput, setPinInput] = useState('')
   const [pinError, setPinError] = useState('')
 
+  // Outbox (งาน sync ที่ส่งไม่สำเร็จ)
+  const [deadOutboxCount, setDeadOutboxCount] = useState(0)
+  const [technicians, setTechnicians] = useState<Technician[]>([])
+  const [dayAvailability, setDayAvailability] = useState<ScheduleAvailability | null>(null)
+
+  // ลูกค้าในสมุดรายชื่อที่น่าจะตรงกับที่กรอก/ที่ AI อ่านได้
+  const [customerMatches, setCustomerMatches] = useState<CustomerMatch[]>([])
+
   // Form state
   const [formData, setFormData] = useState<Partial<ServiceRequest>>({
     channel: 'LINE',
@@ -140,14 +136,215 @@ export default function Home() {
     attachments: []
   })
 
-  // Load user and auth state from storage
+  // Restore session จาก cookie (ถ้าไม่มี → โหลดรายชื่อพนักงานสำหรับหน้า login)
+  useEffect(() => {
+    const restoreSession = async () => {
+      try {
+        const res = await fetch('/api/auth/session')
+        if (res.ok) {
+          const result = await res.json()
+          setUser(result.data)
+          return
+        }
+        const employeesRes = await fetch('/api/employees')
+        if (employeesRes.ok) {
+          const result = await employeesRes.json()
+          setEmployees(result.data || [])
+        }
+      } catch (error) {
+        console.error('Error restoring session:', error)
+      } finally {
+        setIsSessionLoading(false)
+      }
+    }
+    restoreSession()
+  }, [])
+
+  // รายชื่อช่างสำหรับช่อง "ช่างที่รับงาน" ในฟอร์ม (รวมที่ปิดใช้งาน — งานเก่ายังต้องแสดงชื่อได้)
+  useEffect(() => {
+    if (!user) return
+    fetch('/api/technicians?all=1')
+      .then(res => (res.ok ? res.json() : null))
+      .then(result => setTechnicians(result?.data || []))
+      .catch(error => console.error('Error loading technicians:', error))
+  }, [user])
+
+  // จำนวนงานที่ส่งไป Sheets/Calendar/Telegram ไม่สำเร็จ (outbox dead) — เช็คทุก 1 นาที
+  useEffect(() => {
+    if (!user) return
+
+    const loadOutboxCounts = async () => {
+      try {
+        const res = await fetch('/api/outbox?status=dead')
+        if (res.ok) {
+          const result = await res.json()
+          setDeadOutboxCount(result.counts?.dead || 0)
+        }
+      } catch (error) {
+        console.error('Error loading outbox counts:', error)
+      }
+    }
+    loadOutboxCounts()
+    const timer = setInterval(loadOutboxCounts, 60 * 1000)
+    return () => clearInterval(timer)
+  }, [user])
+
+  // ค้นลูกค้าที่ตรงกับชื่อ/เบอร์ที่กำลังพิมพ์ (หน่วง 400ms) — เลือกลูกค้าแล้วไม่ต้องค้นต่อ
   useEffect(() => {
-    const savedUser = localStorage.getItem('currentUser')
-    if (savedUser) setUser(JSON.parse(savedUser))
+    if (!isModalOpen || formData.customerId) return
+
+    const name = formData.customerName?.trim() || ''
+    const phone = formData.phone?.trim() || ''
+    const timer = setTimeout(async () => {
+      if (name.length < 2 && phone.replace(/\D/g, '').length < 9) {
+        setCustomerMatches([])
+        return
+      }
+      try {
+        const params = new URLSearchParams({ name, phone, address: formData.address || '' })
+        const res = await fetch(`/api/customers/match?${params}`)
+        if (res.ok) {
+          const result = await res.json()
+          setCustomerMatches(result.data || [])
+        }
+      } catch (error) {
+        console.error('Error matching customers:', error)
+      }
+    }, 400)
+    return () => clearTimeout(timer)
+  }, [isModalOpen, formData.customerId, formData.customerName, formData.phone])
 
-    const savedAuth = sessionStorage.getItem('isAuthenticated')
-    if (savedAuth === 'true') setIsAuthenticated(true)
+  // เปิดจากลิงก์/bookmark → ใช้ตัวกรองใน URL · เปลี่ยนตัวกรองแล้วเขียน URL ทับ (ไม่เพิ่มประวัติ back)
+  // URL อ่านก่อน effect ตัวเขียนเสมอ (ประกาศก่อน) จึงไม่โดนค่าเริ่มต้นทับ
+  const [isViewRestored, setIsViewRestored] = useState(false)
+  useEffect(() => {
+    const view = parseListView(window.location.search)
+    setFilters(view.filters)
+    setSort(view.sort)
+    setIsViewRestored(true)
   }, [])
+  const listQuery = toListViewQuery({ filters, sort })
+  useEffect(() => {
+    if (!isViewRestored) return
+    window.history.replaceState(null, '', listQuery ? `?${listQuery}` : window.location.pathname)
+  }, [isViewRestored, listQuery])
+
+  const updateFilter = <K extends keyof ListFilters>(key: K, value: ListFilters[K]) => {
+    setFilters(prev => ({ ...prev, [key]: value }))
+  }
+
+  // กดหัวคอลัมน์เดิมซ้ำ = สลับทิศ · คอลัมน์ใหม่เริ่มจากมาก→น้อย (วันที่ใหม่สุด / ฉุกเฉินก่อน) ยกเว้นข้อความเริ่ม ก→ฮ
+  const toggleSort = (key: SortKey) => {
+    setSort(prev => prev.key === key
+      ? { key, dir: prev.dir === 'asc' ? 'desc' : 'asc' }
+      : { key, dir: key === 'customerName' || key === 'serviceType' ? 'asc' : 'desc' })
+  }
+
+  // ตัวกรองในแผง "⚙️ ตัวกรอง" ที่ตั้งไว้ (สถานะมี dropdown ของตัวเองด้านนอก)
+  const panelFilterCount = countActiveFilters(filters) - (filters.status ? 1 : 0)
+
+  const sortIndicator = (key: SortKey) => (sort.key === key ? (sort.dir === 'asc' ? ' ▲' : ' ▼') : '')
+
+  // มุมมองที่บันทึกไว้ (ใช้ร่วมกันทั้งทีม)
+  const loadSavedViews = async () => {
+    try {
+      const res = await fetch('/api/requests/views')
+      if (res.ok) {
+        const result = await res.json()
+        setSavedViews(result.data || [])
+      }
+    } catch (error) {
+      console.error('Error loading saved views:', error)
+    }
+  }
+  useEffect(() => {
+    if (user) loadSavedViews()
+  }, [user])
+
+  const activeSavedView = savedViews.find(view => view.query === listQuery)
+
+  const applySavedView = (id: string) => {
+    const view = savedViews.find(v => v.id === id)
+    const parsed = parseListView(view?.query ?? '')
+    setFilters(parsed.filters)
+    setSort(parsed.sort)
+  }
+
+  const handleSaveView = async () => {
+    const name = prompt('ชื่อมุมมอง (ทั้งทีมเห็น) เช่น "ฉุกเฉินที่ยังไม่ได้นัด"')?.trim()
+    if (!name) return
+    const existing = savedViews.find(view => view.name === name)
+    if (existing && !confirm(`มีมุมมอง "${name}" อยู่แล้ว — บันทึกทับด้วยตัวกรองตอนนี้?`)) return
+
+    const res = await fetch('/api/requests/views', {
+      method: existing ? 'PUT' : 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(existing ? { id: existing.id, query: listQuery } : { name, query: listQuery })
+    })
+    const result = await res.json().catch(() => ({}))
+    if (!res.ok) {
+      alert(`บันทึกมุมมองไม่สำเร็จ: ${result.error || 'เกิดข้อผิดพลาด'}`)
+      return
+    }
+    await loadSavedViews()
+  }
+
+  const handleDeleteView = async (view: SavedView) => {
+    if (!confirm(`ลบมุมมอง "${view.name}" (สร้างโดย ${view.createdBy})? ทั้งทีมจะไม่เห็นมุมมองนี้อีก`)) return
+    const res = await fetch(`/api/requests/views?id=${encodeURIComponent(view.id)}`, { method: 'DELETE' })
+    const result = await res.json().catch(() => ({}))
+    if (!res.ok) {
+      alert(`ลบมุมมองไม่สำเร็จ: ${result.error || 'เกิดข้อผิดพลาด'}`)
+      return
+    }
+    await loadSavedViews()
+  }
+
+  // ค้นทุกฟิลด์ที่ server (หน่วง 300ms) — เจองานเก่าเกิน 90 วันที่ไม่ได้โหลดจาก Firebase ด้วย
+  const searchTerm = filters.q
+  const searchQuery = useMemo(() => {
+    const query = parseSearchQuery(searchTerm)
+    return isEmptySearchQuery(query) ? null : query
+  }, [searchTerm])
+  useEffect(() => {
+    setSearchResults(null)
+    if (!user || !searchQuery) return
+
+    let isCancelled = false
+    const timer = setTimeout(async () => {
+      try {
+        const res = await fetch(`/api/requests/search?q=${encodeURIComponent(searchTerm)}&limit=200`)
+        if (!res.ok) return
+        const result = await res.json()
+        if (!isCancelled) setSearchResults(result.data || [])
+      } catch (error) {
+        console.error('Error searching requests:', error)
+      }
+    }, 300)
+    return () => {
+      isCancelled = true
+      clearTimeout(timer)
+    }
+  }, [user, searchQuery])
+
+  // คิวช่างของวันที่เลือกในฟอร์ม — ช่วยหาเวลาว่างตอนคุยโทรศัพท์กับลูกค้า
+  const appointmentDay = formData.appointmentDate?.slice(0, 10) || ''
+  useEffect(() => {
+    if (!isModalOpen || !appointmentDay) {
+      setDayAvailability(null)
+      return
+    }
+    let isCancelled = false
+    fetch(`/api/schedule?date=${appointmentDay}&days=1`)
+      .then(res => (res.ok ? res.json() : null))
+      .then(result => {
+        if (!isCancelled) setDayAvailability(result?.data || null)
+      })
+      .catch(error => console.error('Error loading availability:', error))
+    return () => {
+      isCancelled = true
+    }
+  }, [isModalOpen, appointmentDay])
 
   // Sync data from Firebase
   useEffect(() => {
@@ -159,8 +356,9 @@ export default function Home() {
     const unsubscribe = onValue(requestsRef, (snapshot) => {
       const data = snapshot.val()
       if (data) {
-        // โหลดเฉพาะ 90 วันล่าสุด และ active jobs (ยังไม่ปิดงาน)
+        // โหลดเฉพาะ 90 วันล่าสุด และ active jobs (ยังไม่ปิดงาน) — งานในถังขยะ server ลบออกจาก Firebase แล้ว กรองซ้ำเผื่อ node ที่ยังไม่ถูกลบ
         const requestsArray = (Object.values(data) as ServiceRequest[])
+          .filter(r => !r.deletedAt)
           .filter(r => r.createdAt >= cutoff || (r.status !== 'completed' && r.status !== 'cancelled'))
           .sort((a, b) => new Date(b.createdAt).getTime() - new Date(a.createdAt).getTime())
         setRequests(requestsArray)
@@ -176,42 +374,20 @@ export default function Home() {
     return () => unsubscribe()
   }, [user])
 
-  // One-time auto-import if database is empty
-  useEffect(() => {
-    if (!user || isLoading || requests.length > 0) return
-
-    const hasImported = sessionStorage.getItem('auto_imported')
-    if (hasImported) return
-
-    const triggerImport = async () => {
-      try {
-        console.log('Detected empty database, triggering auto-import from Sheets...')
-        const res = await fetch('/api/import')
-        const data = await res.json()
-        if (data.success && data.count > 0) {
-          console.log(`Successfully auto-imported ${data.count} records from Sheets.`)
-          sessionStorage.setItem('auto_imported', 'true')
-        }
-      } catch (e) {
-        console.error('Auto-import failed:', e)
-      }
-    }
-
-    triggerImport()
-  }, [user, isLoading, requests.length])
-
-  // Login
-  const handleLogin = (selectedUser: User) => {
-    setUser(selectedUser)
-    localStorage.setItem('currentUser', JSON.stringify(selectedUser))
-  }
-
   // Logout
-  const handleLogout = () => {
+  const handleLogout = async () => {
+    try {
+      await fetch('/api/auth/session', { method: 'DELETE' })
+    } catch (error) {
+      console.error('Error logging out:', error)
+    }
     setUser(null)
-    localStorage.removeItem('currentUser')
-    setIsAuthenticated(false)
-    sessionStorage.removeItem('isAuthenticated')
+    setPinInput('')
+    const employeesRes = await fetch('/api/employees')
+    if (employeesRes.ok) {
+      const result = await employeesRes.json()
+      setEmployees(result.data || [])
+    }
   }
 
   const handleExportExcel = () => {
@@ -242,18 +418,26 @@ export default function Home() {
     XLSX.writeFile(wb, `งานบริการแอร์_${date}.xlsx`)
   }
 
-  // Handle PIN verification (server-side)
+  // Login: ชื่อพนักงาน + PIN ของคนนั้น (server ตรวจแล้วตั้ง session cookie)
   const handlePinSubmit = async () => {
+    if (!loginEmployeeId) {
+      setPinError('กรุณาเลือกชื่อของคุณ')
+      return
+    }
     try {
       const res = await fetch('/api/auth/verify-pin', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ pin: pinInput }),
+        body: JSON.stringify({ employeeId: loginEmployeeId, pin: pinInput }),
       })
       if (res.ok) {
-        setIsAuthenticated(true)
-        sessionStorage.setItem('isAuthenticated', 'true')
+        const result = await res.json()
+        setUser(result.data)
         setPinError('')
+        setPinInput('')
+      } else if (res.status === 429) {
+        setPinError('ใส่ PIN ผิดหลายครั้งเกินไป กรุณารอ 15 นาที')
+        setPinInput('')
       } else {
         setPinError('รหัส PIN ไม่ถูกต้อง')
         setPinInput('')
@@ -263,14 +447,6 @@ export default function Home() {
     }
   }
 
-  // Generate request number
-  const generateRequestNo = () => {
-    const date = new Date()
-    const dateStr = date.toISOString().slice(0, 10).replace(/-/g, '')
-    const count = requests.filter(r => r.requestNo.includes(dateStr)).length + 1
-    return `REQ-${dateStr}-${count.toString().padStart(3, '0')}`
-  }
-
   // Upload image to Firebase Storage + backup to Google Drive
   // Backup รูปไป Google Drive (เรียกตอน submit เพื่อให้ได้ชื่อลูกค้า+สาขา)
   const backupToDrive = async (file: File, customerName: string, address: string) => {
@@ -328,28 +504,32 @@ export default function Home() {
     }
   }
 
-  // Filter requests (no department filtering - everyone sees all)
+  // Filter requests (ทุก role เห็นงานทั้งหมด — ที่ต่างกันคือปุ่มที่กดได้ ดู src/lib/roles.ts)
   const departmentRequests = useMemo(() => {
     if (!user) return []
 
     let filtered = requests
 
-    // Search
-    if (searchTerm) {
-      filtered = filtered.filter(r =>
-        r.customerName.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        r.phone.includes(searchTerm) ||
-        r.requestNo.toLowerCase().includes(searchTerm.toLowerCase())
-      )
+    // Search — ได้ผลจาก server แล้วใช้ผลนั้น (งานที่โหลดอยู่ใช้ตัวล่าสุดจาก Firebase) ระหว่างรอกรองงานที่โหลดอยู่ไปก่อน
+    if (searchQuery) {
+      if (searchResults) {
+        const loaded = new Map(requests.map(r => [r.id, r]))
+        filtered = searchResults.map(({ request }) => loaded.get(request.id) ?? request)
+      } else {
+        filtered = filtered.filter(r => matchesSearchQuery(r, searchQuery))
+      }
     }
 
-    // Status filter
-    if (statusFilter !== 'all') {
-      filtered = filtered.filter(r => r.status === statusFilter)
-    }
+    return sortRequests(filtered.filter(r => matchesListFilters(r, filters)), sort)
+  }, [requests, user, searchQuery, searchResults, filters, sort])
 
-    return filtered
-  }, [requests, user, searchTerm, statusFilter])
+  // ฟิลด์ที่เจอคำค้นของแต่ละงาน — แสดงเฉพาะฟิลด์ที่ไม่ได้โชว์ในรายการอยู่แล้ว (เช่นเจอในหมายเหตุ)
+  const searchHitsById = useMemo(() => new Map(
+    (searchResults || []).map(({ request, hits }) => [
+      request.id,
+      hits.filter(hit => !['requestNo', 'customerName', 'contactName', 'phone', 'address'].includes(hit.field)),
+    ])
+  ), [searchResults])
 
   // Stats for dashboard
   const stats = useMemo(() => {
@@ -362,70 +542,81 @@ export default function Home() {
     }
   }, [requests, user])
 
-  // Telegram Notification Helper
-  const sendTelegramNotification = async (requestData: ServiceRequest, action: 'NEW' | 'UPDATE') => {
-    try {
-      const statusText = getStatusConfig(requestData.status).label
-      const priorityText = requestData.priority === 'urgent' ? '🟡 เร่งด่วน' : requestData.priority === 'emergency' ? '🔴 ฉุกเฉิน' : 'ปกติ'
-
-      let message = `<b>🔔 แจ้งเตือน: ${action === 'NEW' ? 'งานใหม่เข้า' : 'อัปเดตสถานะงาน'}</b>\n\n`
-      message += `<b>เลขที่งาน:</b> ${requestData.requestNo}\n`
-      message += `<b>ลูกค้า:</b> ${requestData.customerName}\n`
-      message += `<b>ประเภทงาน:</b> ${requestData.serviceType}\n`
-      message += `<b>สถานะ:</b> ${statusText}\n`
-      message += `<b>ความเร่งด่วน:</b> ${priorityText}\n`
-      message += `<b>ทำรายการโดย:</b> ${user?.name || 'System'}`
-
-      if (requestData.description) {
-        message += `\n\n<b>รายละเอียด:</b> ${requestData.description}`
-      }
+  // Handle form
+  // บันทึกข้อมูลงานผ่าน /api/requests (SQLite + mirror ไป Firebase)
+  const saveRequestFields = async (id: string, fields: Partial<ServiceRequest>): Promise<ServiceRequest> => {
+    const res = await fetch('/api/requests', {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ...fields, id })
+    })
+    const result = await res.json().catch(() => ({}))
+    if (!res.ok || !result.success) throw new Error(result.error || `Save failed (${res.status})`)
+    return result.data as ServiceRequest
+  }
 
-      if (requestData.imageUrl) {
-        message += `\n\n<b><a href="${requestData.imageUrl}">🖼️ ดูรูปภาพประกอบ</a></b>`
-      }
+  // เปลี่ยนสถานะผ่าน server เท่านั้น — server เช็คเส้นทาง workflow + ฟิลด์บังคับ
+  // (กันแท็บเก่าที่ค้างไว้ย้อนงานที่ปิดแล้วกลับไปเป็น new)
+  const changeStatus = async (
+    request: ServiceRequest,
+    newStatus: Status,
+    fields: Pick<Partial<ServiceRequest>, 'appointmentDate' | 'quoteAmount' | 'cancelReason'>
+  ): Promise<ServiceRequest | null> => {
+    const res = await fetch('/api/status', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ id: request.id, status: newStatus, ...fields })
+    })
+    const result = await res.json().catch(() => ({}))
+    if (!res.ok || !result.success) {
+      alert(`เปลี่ยนสถานะไม่สำเร็จ: ${result.error || 'เกิดข้อผิดพลาด'}`)
+      return null
+    }
+    return result.data as ServiceRequest
+  }
 
-      await fetch('/api/telegram', {
+  // เตือนถ้าเวลานัดชนกับงานอื่นของช่างคนเดียวกัน หรือเกินชั่วโมงงานต่อวันของช่าง — กดยืนยันแล้วบันทึกต่อได้
+  const confirmScheduleConflicts = async (fields: Partial<ServiceRequest>, requestId?: string): Promise<boolean> => {
+    try {
+      const res = await fetch('/api/schedule', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ message })
+        body: JSON.stringify({
+          ...(requestId ? { requestId } : {}),
+          technicianId: fields.technicianId,
+          appointmentDate: fields.appointmentDate,
+          appointmentEndDate: fields.appointmentEndDate || '',
+          isAllDay: fields.isAllDay || false,
+          serviceType: fields.serviceType || ''
+        })
       })
+      // เช็คไม่ได้ไม่ควรขวางการบันทึก
+      if (!res.ok) return true
+      const warnings = describeScheduleCheck((await res.json()).data)
+      return warnings.length === 0 || confirm(`⚠️ ตารางช่างชนกัน\n\n${warnings.join('\n')}\n\nยืนยันบันทึก?`)
     } catch (error) {
-      console.error('Error sending Telegram notification:', error)
+      console.error('Error checking schedule:', error)
+      return true
     }
   }
 
-  // Handle form
-  // Background sync — ไม่ block UI
-  const syncSheetsInBackground = (request: ServiceRequest, method: 'POST' | 'PUT') => {
-    fetch('/api/sheets', {
-      method,
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(request)
-    }).then(async res => {
-      if (!res.ok && method === 'PUT' && res.status === 404) {
-        // Fallback POST
-        return fetch('/api/sheets', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify(request)
-        })
-      }
-      return res
-    }).catch(e => console.error('Sheets bg sync failed:', e))
-  }
+  // ลากงานในปฏิทินไปวัน/เวลาใหม่ — บันทึกผ่าน /api/requests แล้ว server เข้าคิว outbox
+  // ให้อัปเดต event เดิมใน Google Calendar (calendar.upsert ใช้ calendarEventId ของงาน ไม่สร้าง event ซ้ำ)
+  const handleReschedule = async (request: ServiceRequest, move: AppointmentMove) => {
+    const when = move.isAllDay || move.appointmentDate.length <= 10
+      ? move.appointmentDate.slice(0, 10)
+      : move.appointmentDate.replace('T', ' ')
+    if (!confirm(`เลื่อนนัด ${request.requestNo} ${request.customerName}\nไปเป็น ${when}?`)) return
+    if (request.technicianId && !(await confirmScheduleConflicts({ ...request, ...move }, request.id))) return
 
-  const syncCalendarInBackground = (request: ServiceRequest, method: 'POST' | 'PUT') => {
-    fetch('/api/calendar', {
-      method,
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ ...request, eventId: request.calendarEventId })
-    }).then(async res => {
-      const result = await res.json().catch(() => ({}))
-      if (result.success && result.data?.eventId) {
-        const updated = { ...request, calendarEventId: result.data.eventId, ...(result.data.eventUrl ? { calendarEventUrl: result.data.eventUrl } : {}) }
-        await set(ref(db, `serviceRequests/${updated.id}`), updated)
-      }
-    }).catch(e => console.error('Calendar bg sync failed:', e))
+    try {
+      const updated = await saveRequestFields(request.id, move)
+      // Firebase mirror ตามมาทีหลัง — อัปเดตในหน้าก่อนให้การ์ดย้ายทันที
+      setRequests(prev => prev.map(r => (r.id === updated.id ? updated : r)))
+    } catch (error) {
+      console.error('Error rescheduling:', error)
+      alert(`เลื่อนนัดไม่สำเร็จ: ${error instanceof Error ? error.message : 'เกิดข้อผิดพลาด'}`)
+    }
   }
 
   const handleSubmit = async () => {
@@ -434,6 +625,20 @@ export default function Home() {
       return
     }
 
+    const missingFields = getMissingRequiredFields((formData.status || 'new') as Status, formData)
+    if (missingFields.length > 0) {
+      alert(`กรุณากรอก: ${missingFields.map(f => REQUIRED_FIELD_LABELS[f]).join(', ')}`)
+      return
+    }
+
+    // เวลานัด/ประเภทงาน/ช่างเปลี่ยน → เช็คตารางช่างก่อนบันทึก
+    const scheduleChanged = !editingRequest || (['appointmentDate', 'appointmentEndDate', 'isAllDay', 'serviceType', 'technicianId'] as const)
+      .some(key => (formData[key] || '') !== (editingRequest[key] || ''))
+    if (formData.appointmentDate && formData.technicianId && scheduleChanged
+      && !(await confirmScheduleConflicts(formData, editingRequest?.id))) {
+      return
+    }
+
     // Backup รูปไป Drive พร้อมชื่อลูกค้า+สาขา
     if (pendingDriveFile) {
       backupToDrive(pendingDriveFile, formData.customerName, formData.address)
@@ -447,66 +652,66 @@ export default function Home() {
         // Update
         const newStatus = formData.status as Status
         const statusChanged = newStatus !== editingRequest.status
+        const { status: _status, history: _history, id: _id, requestNo: _requestNo, createdAt: _createdAt, updatedAt: _updatedAt, ...fields } = formData
+
+        let updatedRequest = { ...editingRequest, ...fields } as ServiceRequest
 
-        const updatedRequest: ServiceRequest = {
-          ...editingRequest,
-          ...formData,
-          status: newStatus,
-          history: statusChanged
-            ? [...editingRequest.history, { status: newStatus, date: new Date().toISOString(), by: user?.name || 'System' }]
-            : editingRequest.history
-        } as ServiceRequest
+        // 1. เปลี่ยนสถานะก่อน ถ้า server ไม่ยอมก็ไม่บันทึกอะไรเลย
+        if (statusChanged) {
+          const changed = await changeStatus(editingRequest, newStatus, {
+            appointmentDate: fields.appointmentDate,
+            quoteAmount: fields.quoteAmount,
+            cancelReason: fields.cancelReason,
+          })
+          if (!changed) return
+          updatedRequest = { ...changed, ...fields } as ServiceRequest
+        }
 
-        // 1. Firebase save (critical path)
-        await set(ref(db, `serviceRequests/${updatedRequest.id}`), updatedRequest)
+        // 2. Save (critical path) — ไม่เขียน status/history ทับของ server
+        updatedRequest = await saveRequestFields(updatedRequest.id, fields)
 
-        // 2. ปิด modal ทันที — ไม่รอ Sheets/Calendar
+        // 3. ปิด modal — Sheets/Calendar/Telegram server เข้าคิว outbox ให้แล้ว
         closeModal()
-
-        // 3. Background sync (ไม่ block UI)
-        if (statusChanged) sendTelegramNotification(updatedRequest, 'UPDATE')
-        syncSheetsInBackground(updatedRequest, 'PUT')
-        if (newStatus === 'queue') {
-          syncCalendarInBackground(updatedRequest, updatedRequest.calendarEventId ? 'PUT' : 'POST')
-        }
       } else {
         // Create
-        const newRequest: ServiceRequest = {
-          id: Date.now().toString(),
-          requestNo: generateRequestNo(),
-          createdAt: new Date().toISOString(),
-          channel: formData.channel || 'LINE',
-          customerName: formData.customerName || '',
-          phone: formData.phone || '',
-          address: formData.address || '',
-          serviceType: formData.serviceType || 'ล้างแอร์',
-          description: formData.description || '',
-          priority: formData.priority || 'normal',
-          status: formData.status || 'new',
-          appointmentDate: formData.appointmentDate || '',
-          appointmentEndDate: formData.appointmentEndDate || '',
-          isAllDay: formData.isAllDay || false,
-          notes: formData.notes || '',
-          imageUrl: (formData.imageUrls && formData.imageUrls[0]) || formData.imageUrl || '',
-          imageUrls: formData.imageUrls || [],
-          pdfUrl: formData.attachments?.[0]?.url || formData.pdfUrl || '',
-          pdfFileName: formData.attachments?.[0]?.name || formData.pdfFileName || '',
-          attachments: formData.attachments || [],
-          history: [{ status: 'new', date: new Date().toISOString(), by: user?.name || 'System' }]
-        }
+        const res = await fetch('/api/requests', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            channel: formData.channel || 'LINE',
+            customerName: formData.customerName || '',
+            contactName: formData.contactName || '',
+            phone: formData.phone || '',
+            address: formData.address || '',
+            serviceType: formData.serviceType || 'ล้างแอร์',
+            description: formData.description || '',
+            priority: formData.priority || 'normal',
+            status: formData.status || 'new',
+            appointmentDate: formData.appointmentDate || '',
+            appointmentEndDate: formData.appointmentEndDate || '',
+            isAllDay: formData.isAllDay || false,
+            ...(formData.quoteAmount !== undefined ? { quoteAmount: formData.quoteAmount } : {}),
+            ...(formData.cancelReason ? { cancelReason: formData.cancelReason } : {}),
+            notes: formData.notes || '',
+            imageUrl: (formData.imageUrls && formData.imageUrls[0]) || formData.imageUrl || '',
+            imageUrls: formData.imageUrls || [],
+            pdfUrl: formData.attachments?.[0]?.url || formData.pdfUrl || '',
+            pdfFileName: formData.attachments?.[0]?.name || formData.pdfFileName || '',
+            attachments: formData.attachments || [],
+            ...(formData.technicianId ? { technicianId: formData.technicianId } : {}),
+            ...(formData.customerId ? { customerId: formData.customerId, siteId: formData.siteId || '' } : {})
+          })
+        })
 
-        // 1. Firebase save (critical path)
-        await set(ref(db, `serviceRequests/${newRequest.id}`), newRequest)
+        // 1. Save (critical path)
+        const result = await res.json().catch(() => ({}))
+        if (!res.ok || !result.success) {
+          alert(`บันทึกไม่สำเร็จ: ${result.error || 'เกิดข้อผิดพลาด'}`)
+          return
+        }
 
-        // 2. ปิด modal ทันที
+        // 2. ปิด modal — Sheets/Calendar/Telegram server เข้าคิว outbox ให้แล้ว
         closeModal()
-
-        // 3. Background sync (ไม่ block UI)
-        sendTelegramNotification(newRequest, 'NEW')
-        syncSheetsInBackground(newRequest, 'POST')
-        if (newRequest.status === 'queue') {
-          syncCalendarInBackground(newRequest, 'POST')
-        }
       }
     } catch (error) {
       console.error('Error saving:', error)
@@ -548,9 +753,28 @@ export default function Home() {
         attachments: []
       })
     }
+    setCustomerMatches([])
     setIsModalOpen(true)
   }, [])
 
+  // เลือกลูกค้าจากรายการแนะนำ → เติมชื่อ/ผู้ติดต่อ/เบอร์/ที่อยู่ของสาขานั้นให้
+  const applyCustomerMatch = (match: CustomerMatch) => {
+    setFormData(prev => ({
+      ...prev,
+      customerId: match.customerId,
+      siteId: match.siteId || '',
+      customerName: match.siteName ? `${match.customerName} ${match.siteName}` : match.customerName,
+      contactName: match.contactName || prev.contactName,
+      phone: match.phone || prev.phone,
+      address: match.address || prev.address
+    }))
+    setCustomerMatches([])
+  }
+
+  const unlinkCustomer = () => {
+    setFormData(prev => ({ ...prev, customerId: '', siteId: '' }))
+  }
+
   const closeModal = () => {
     setIsModalOpen(false)
     setEditingRequest(null)
@@ -559,93 +783,84 @@ export default function Home() {
     setPdfBase64('')
   }
 
+  // ถามข้อมูลที่สถานะปลายทางบังคับกรอก คืน null ถ้าผู้ใช้ยกเลิก
+  const promptRequiredFields = (request: ServiceRequest, newStatus: Status): Partial<ServiceRequest> | null => {
+    const extra: Partial<ServiceRequest> = {}
+    for (const field of getMissingRequiredFields(newStatus, request)) {
+      if (field === 'appointmentDate') {
+        // วันนัดต้องเลือกในฟอร์ม เปิดฟอร์มพร้อมตั้งสถานะไว้ให้
+        alert('กรุณาระบุวันที่นัดหมายก่อนจองคิว')
+        openModal(request)
+        setFormData(prev => ({ ...prev, status: newStatus }))
+        return null
+      }
+      const input = window.prompt(`กรุณากรอก${REQUIRED_FIELD_LABELS[field]}`)
+      if (input === null || !input.trim()) return null
+      if (field === 'quoteAmount') {
+        const amount = Number(input.replace(/,/g, ''))
+        if (!Number.isFinite(amount) || amount < 0) {
+          alert('ยอดเสนอราคาต้องเป็นตัวเลข')
+          return null
+        }
+        extra.quoteAmount = amount
+      } else {
+        extra.cancelReason = input.trim()
+      }
+    }
+    return extra
+  }
+
   const updateStatus = async (id: string, newStatus: Status) => {
     const request = requests.find(r => r.id === id)
     if (!request) return
 
-    const updatedRequest = {
-      ...request,
-      status: newStatus,
-      history: [...request.history, { status: newStatus, date: new Date().toISOString(), by: user?.name || 'System' }]
-    } as ServiceRequest
+    const extra = promptRequiredFields(request, newStatus)
+    if (!extra) return
 
     try {
-      if (newStatus === 'queue') {
-        try {
-          const method = request.calendarEventId ? 'PUT' : 'POST'
-          const res = await fetch('/api/calendar', {
-            method,
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ ...updatedRequest, eventId: request.calendarEventId })
-          })
-          const result = await res.json()
-          if (result.success && result.data?.eventId) {
-            updatedRequest.calendarEventId = result.data.eventId
-            if (result.data.eventUrl) updatedRequest.calendarEventUrl = result.data.eventUrl
-          }
-        } catch (e) {
-          console.error('Failed to sync to Calendar:', e)
-        }
-      }
-
-      await update(ref(db, `serviceRequests/${id}`), updatedRequest)
-
-      // Notify status update
-      sendTelegramNotification(updatedRequest as ServiceRequest, 'UPDATE')
-
-      // Auto sync to Google Sheets always (1:1 sync)
-      try {
-        await fetch('/api/sheets', {
-          method: 'PUT',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify(updatedRequest)
-        })
-          // If PUT fails (record not found), try POST
-          .then(async res => {
-            if (res.status === 404) {
-              await fetch('/api/sheets', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(updatedRequest)
-              })
-            }
-          })
-      } catch (e) {
-        console.error('Failed to sync to Google Sheets:', e)
-      }
+      // Calendar/Sheets/Telegram server เข้าคิว outbox ให้ — หน้าเว็บเห็นข้อมูลใหม่ผ่าน Firebase
+      await changeStatus(request, newStatus, extra)
     } catch (error) {
       console.error('Error updating status:', error)
       alert('อัปเดตสถานะไม่สำเร็จ กรุณาลองใหม่')
     }
   }
 
-  const deleteRequest = async (id: string) => {
-    if (!confirm('ยืนยันการลบรายการนี้?')) return
+  // ลบ = ย้ายไปถังขยะ — admin กู้คืนได้ที่หน้า /trash จนกว่าจะครบกำหนดลบถาวร
+  const deleteRequest = async (request: ServiceRequest) => {
+    const message = request.calendarEventId
+      ? 'ย้ายรายการนี้ไปถังขยะ?\nนัดใน Google Calendar จะเปลี่ยนเป็นสีเทา (admin กู้คืนได้ที่หน้าถังขยะ)'
+      : 'ย้ายรายการนี้ไปถังขยะ?\n(admin กู้คืนได้ที่หน้าถังขยะ)'
+    if (!confirm(message)) return
 
     try {
-      await remove(ref(db, `serviceRequests/${id}`))
-
-      // Sync Delete to Google Sheets
-      try {
-        const resSheet = await fetch(`/api/sheets?id=${id}`, {
-          method: 'DELETE'
-        });
-
-        if (!resSheet.ok) {
-          const errorData = await resSheet.json().catch(() => ({ error: 'Unknown error' }));
-          console.error('Sheets delete sync failed:', errorData);
-          alert(`⚠️ ไม่สามารถลบจาก Google Sheets ได้: ${errorData.error || errorData.details || 'Unknown error'}`);
-        }
-      } catch (e) {
-        console.error('Failed to sync delete to Google Sheets:', e);
-        alert('⚠️ เกิดข้อผิดพลาดในการลบจาก Google Sheets กรุณาตรวจสอบ console');
-      }
+      const res = await fetch(`/api/requests?id=${request.id}`, { method: 'DELETE' })
+      if (!res.ok) throw new Error(`Delete failed (${res.status})`)
     } catch (error) {
       console.error('Error deleting:', error)
       alert('ลบไม่สำเร็จ กรุณาลองใหม่')
     }
   }
 
+  // ปกติ server ส่งเองตอนงาน LINE เข้าคิว — ปุ่มนี้ไว้ส่งซ้ำหลังแก้วันนัด
+  const sendLineConfirmation = async (request: ServiceRequest) => {
+    if (!confirm(`ส่งยืนยันนัดให้ลูกค้าทาง LINE?\n${request.requestNo}`)) return
+
+    try {
+      const res = await fetch('/api/line', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ id: request.id }),
+      })
+      const data = await res.json()
+      if (!res.ok) throw new Error(data.error || `Send failed (${res.status})`)
+      alert('เข้าคิวส่งยืนยันนัดทาง LINE แล้ว')
+    } catch (error) {
+      console.error('Error sending LINE confirmation:', error)
+      alert(`ส่งยืนยันนัดไม่สำเร็จ: ${error instanceof Error ? error.message : 'กรุณาลองใหม่'}`)
+    }
+  }
+
   const formatDate = (dateStr: string) => {
     if (!dateStr) return '-'
     return new Date(dateStr).toLocaleDateString('th-TH', {
@@ -766,6 +981,7 @@ export default function Home() {
           serviceType: d.serviceType || prev.serviceType,
           description: d.description || prev.description
         }))
+        setCustomerMatches(result.customerMatches || [])
         setActiveAiTab(null)
         alert('AI อ่าน PDF สำเร็จ! ข้อมูลถูกกรอกแล้ว')
       } else {
@@ -804,6 +1020,7 @@ export default function Home() {
           priority: result.data.priority || prev.priority,
           description: result.data.description || prev.description
         }))
+        setCustomerMatches(result.customerMatches || [])
         setAiText('')
         setActiveAiTab(null) // Close the AI panel after success
       } else {
@@ -854,6 +1071,7 @@ export default function Home() {
           serviceType: result.data.serviceType || prev.serviceType,
           description: result.data.description || prev.description
         }))
+        setCustomerMatches(result.customerMatches || [])
         setAiImageBase64('')
         setActiveAiTab(null) // Close the AI panel after success
       } else {
@@ -936,6 +1154,7 @@ export default function Home() {
           priority: result.data.priority || prev.priority,
           description: result.data.description || prev.description
         }))
+        setCustomerMatches(result.customerMatches || [])
         setVoiceTranscript('')
         setActiveAiTab(null) // Close the AI panel after success
       } else {
@@ -949,31 +1168,52 @@ export default function Home() {
     }
   }
 
-  // === AUTH SCREEN (PIN) ===
-  if (!isAuthenticated) {
+  if (isSessionLoading) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 flex items-center justify-center p-4">
+        <div className="animate-spin w-10 h-10 border-4 border-blue-500 border-t-transparent rounded-full"></div>
+      </div>
+    )
+  }
+
+  // === LOGIN SCREEN (ชื่อ + PIN) ===
+  if (!user) {
     return (
       <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 flex items-center justify-center p-4">
         <div className="bg-white rounded-3xl shadow-2xl p-8 w-full max-w-sm">
           <div className="text-center mb-8">
             <div className="w-20 h-20 bg-blue-500 rounded-2xl flex items-center justify-center text-4xl mx-auto mb-4 shadow-lg">
-              🔒
+              ❄️
             </div>
-            <h1 className="text-2xl font-bold text-slate-800">ระบบภายในร้าน</h1>
-            <p className="text-slate-500 mt-2">กรุณาใส่รหัส PIN เพื่อเข้าใช้งาน</p>
+            <h1 className="text-2xl font-bold text-slate-800">ระบบรับงานบริการแอร์</h1>
+            <p className="text-slate-500 mt-2">เลือกชื่อและใส่ PIN ของคุณ</p>
           </div>
 
           <div className="space-y-4">
+            <div>
+              <label className="block text-sm font-semibold text-slate-700 mb-2">ชื่อของคุณ</label>
+              <select
+                value={loginEmployeeId}
+                onChange={(e) => { setLoginEmployeeId(e.target.value); setPinError('') }}
+                className="w-full px-4 py-3 border-2 border-slate-200 rounded-xl text-sm bg-slate-50 focus:ring-2 focus:ring-blue-500 outline-none"
+              >
+                <option value="">— เลือกชื่อ —</option>
+                {employees.map(e => (
+                  <option key={e.id} value={e.id}>{e.name}</option>
+                ))}
+              </select>
+            </div>
             <div>
               <input
                 type="password"
-                placeholder="กรอกรหัส PIN 6 หลัก"
+                placeholder="กรอกรหัส PIN"
                 value={pinInput}
                 onChange={(e) => setPinInput(e.target.value)}
                 onKeyDown={(e) => {
                   if (e.key === 'Enter') handlePinSubmit()
                 }}
                 className={`w-full px-4 py-3 border-2 rounded-xl text-center text-xl tracking-widest focus:ring-2 focus:ring-blue-500 outline-none ${pinError ? 'border-red-300 bg-red-50 text-red-700' : 'border-slate-200 bg-slate-50'}`}
-                maxLength={6}
+                maxLength={20}
                 inputMode="numeric"
               />
               {pinError && <p className="text-red-500 text-sm text-center mt-2">{pinError}</p>}
@@ -984,65 +1224,7 @@ export default function Home() {
             >
               เข้าสู่ระบบ
             </button>
-          </div>
-        </div>
-      </div>
-    )
-  }
-
-  // === LOGIN SCREEN (USER SELECTION) ===
-  if (!user) {
-    return (
-      <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 flex items-center justify-center p-4">
-        <div className="bg-white rounded-3xl shadow-2xl p-8 w-full max-w-md">
-          <div className="text-center mb-8">
-            <div className="w-20 h-20 bg-blue-500 rounded-2xl flex items-center justify-center text-4xl mx-auto mb-4 shadow-lg">
-              ❄️
-            </div>
-            <h1 className="text-2xl font-bold text-slate-800">ระบบรับงานบริการแอร์</h1>
-            <p className="text-slate-500 mt-2">เลือกชื่อเพื่อเข้าสู่ระบบ</p>
-          </div>
-
-          <div className="space-y-3">
-            <div>
-              <label className="block text-sm font-semibold text-slate-700 mb-2">ชื่อของคุณ</label>
-              <select
-                onChange={(e) => {
-                  const u = USERS.find(u => u.id === e.target.value)
-                  if (u) { handleLogin(u); }
-                }}
-                defaultValue=""
-                className="w-full px-4 py-3 border-2 border-slate-200 rounded-xl text-sm bg-slate-50 focus:ring-2 focus:ring-blue-500 outline-none mb-3"
-              >
-                <option value="">— เลือกชื่อ —</option>
-                {USERS.map(u => (
-                  <option key={u.id} value={u.id}>{u.name}</option>
-                ))}
-              </select>
-              <p className="text-xs text-slate-400 text-center mb-2">―― หรือถ้าไม่มีชื่อ ――</p>
-              <div className="flex gap-2">
-                <input
-                  type="text"
-                  placeholder="กรอกชื่อใหม่ เช่น คุณสมชาย"
-                  value={newNameInput}
-                  onChange={(e) => setNewNameInput(e.target.value)}
-                  onKeyDown={(e) => {
-                    if (e.key === 'Enter' && newNameInput.trim()) {
-                      handleLogin({ id: 'temp_' + Date.now(), name: newNameInput.trim() })
-                    }
-                  }}
-                  className="flex-1 px-4 py-3 border-2 border-slate-200 rounded-xl text-sm bg-slate-50 focus:ring-2 focus:ring-blue-500 outline-none"
-                />
-                <button
-                  onClick={() => {
-                    if (newNameInput.trim()) handleLogin({ id: 'temp_' + Date.now(), name: newNameInput.trim() })
-                  }}
-                  className="bg-blue-500 hover:bg-blue-600 text-white px-5 py-3 rounded-xl text-sm font-semibold transition-all"
-                >
-                  เข้า
-                </button>
-              </div>
-            </div>
+            <p className="text-xs text-slate-400 text-center">ไม่มีชื่อในรายการ? ติดต่อ admin ของร้านเพื่อเพิ่มบัญชี</p>
           </div>
         </div>
       </div>
@@ -1062,7 +1244,7 @@ export default function Home() {
               </div>
               <div>
                 <h1 className="text-lg font-bold text-slate-800">ระบบรับงานบริการแอร์</h1>
-                <p className="text-xs text-slate-500">👤 {user.name}</p>
+                <p className="text-xs text-slate-500">👤 {user.name} · {ROLE_CONFIG[user.role].label}</p>
               </div>
             </div>
             <div className="flex items-center gap-2">
@@ -1080,6 +1262,65 @@ export default function Home() {
               >
                 📥 Excel
               </button>
+              <a
+                href="/customers"
+                className="bg-slate-100 hover:bg-slate-200 text-slate-600 px-3 py-2 rounded-xl text-sm"
+              >
+                👥 ลูกค้า
+              </a>
+              <a
+                href="/dispatch"
+                className="bg-slate-100 hover:bg-slate-200 text-slate-600 px-3 py-2 rounded-xl text-sm"
+              >
+                👷 จัดช่าง
+              </a>
+              <a
+                href="/schedule"
+                className="bg-slate-100 hover:bg-slate-200 text-slate-600 px-3 py-2 rounded-xl text-sm"
+              >
+                📆 คิวว่าง
+              </a>
+              {canManageParts(user.role) && (
+                <a
+                  href="/parts"
+                  className="bg-slate-100 hover:bg-slate-200 text-slate-600 px-3 py-2 rounded-xl text-sm"
+                >
+                  🛒 จัดซื้อ
+                </a>
+              )}
+              {(deadOutboxCount > 0 || canManageEmployees(user.role)) && (
+                <a
+                  href="/outbox"
+                  className={`px-3 py-2 rounded-xl text-sm ${deadOutboxCount > 0 ? 'bg-red-50 hover:bg-red-100 text-red-600 font-medium' : 'bg-slate-100 hover:bg-slate-200 text-slate-600'}`}
+                  title="คิวส่งข้อมูลไป Sheets / Calendar / Telegram"
+                >
+                  {deadOutboxCount > 0 ? `⚠️ ส่งไม่สำเร็จ ${deadOutboxCount}` : '📤 คิวส่งข้อมูล'}
+                </a>
+              )}
+              {canManageEmployees(user.role) && (
+                <a
+                  href="/notifications"
+                  className="bg-slate-100 hover:bg-slate-200 text-slate-600 px-3 py-2 rounded-xl text-sm"
+                >
+                  🔔 แจ้งเตือน
+                </a>
+              )}
+              {canManageEmployees(user.role) && (
+                <a
+                  href="/trash"
+                  className="bg-slate-100 hover:bg-slate-200 text-slate-600 px-3 py-2 rounded-xl text-sm"
+                >
+                  🗑️ ถังขยะ
+                </a>
+              )}
+              {canManageEmployees(user.role) && (
+                <a
+                  href="/admin"
+                  className="bg-slate-100 hover:bg-slate-200 text-slate-600 px-3 py-2 rounded-xl text-sm"
+                >
+                  ⚙️ พนักงาน
+                </a>
+              )}
               <button
                 onClick={handleLogout}
                 className="bg-slate-100 hover:bg-slate-200 text-slate-600 px-3 py-2 rounded-xl text-sm"
@@ -1115,22 +1356,28 @@ export default function Home() {
               <span className="absolute left-3 top-1/2 -translate-y-1/2 text-slate-400">🔍</span>
               <input
                 type="text"
-                placeholder="ค้นหาชื่อ, เบอร์โทร, เลขที่งาน..."
+                placeholder="ค้นหาทุกช่อง: ชื่อ, เบอร์โทร, ที่อยู่, สาขา, รายละเอียด, หมายเหตุ, ไฟล์แนบ..."
                 value={searchTerm}
-                onChange={(e) => setSearchTerm(e.target.value)}
+                onChange={(e) => updateFilter('q', e.target.value)}
                 className="w-full pl-9 pr-3 py-2 border border-slate-200 rounded-xl text-sm bg-slate-50 focus:ring-2 focus:ring-blue-500 outline-none"
               />
             </div>
             <select
-              value={statusFilter}
-              onChange={(e) => setStatusFilter(e.target.value)}
+              value={filters.status}
+              onChange={(e) => updateFilter('status', e.target.value as ListFilters['status'])}
               className="px-3 py-2 border border-slate-200 rounded-xl text-sm bg-slate-50"
             >
-              <option value="all">ทุกสถานะ</option>
+              <option value="">ทุกสถานะ</option>
               {Object.entries(STATUS_CONFIG).map(([key, config]) => (
                 <option key={key} value={key}>{config.icon} {config.label}</option>
               ))}
             </select>
+            <button
+              onClick={() => setIsFilterPanelOpen(open => !open)}
+              className={`px-3 py-2 rounded-xl text-sm whitespace-nowrap ${isFilterPanelOpen || panelFilterCount > 0 ? 'bg-blue-50 text-blue-600' : 'bg-slate-100 text-slate-600 hover:bg-slate-200'}`}
+            >
+              ⚙️ ตัวกรอง{panelFilterCount > 0 ? ` (${panelFilterCount})` : ''}
+            </button>
             <div className="hidden sm:flex bg-slate-100 p-1 rounded-xl">
               <button
                 onClick={() => setViewMode('card')}
@@ -1146,8 +1393,173 @@ export default function Home() {
               >
                 💻 ตาราง
               </button>
+              <button
+                onClick={() => setViewMode('calendar')}
+                className={`px-3 py-1 text-sm rounded-lg font-medium transition-all ${viewMode === 'calendar' ? 'bg-white shadow text-blue-600' : 'text-slate-500 hover:text-slate-700'}`}
+                title="Calendar View"
+              >
+                📅 ปฏิทิน
+              </button>
             </div>
           </div>
+
+          {/* Saved views — เลือกแล้วแทนตัวกรอง/การเรียงทั้งหมด */}
+          <div className="mt-2 flex gap-2 flex-wrap items-center text-sm">
+            <select
+              value={activeSavedView?.id ?? ''}
+              onChange={(e) => applySavedView(e.target.value)}
+              className="px-3 py-1.5 border border-slate-200 rounded-xl text-sm bg-slate-50 max-w-[260px]"
+            >
+              <option value="">⭐ มุมมองที่บันทึกไว้{savedViews.length > 0 ? ` (${savedViews.length})` : ''}</option>
+              {savedViews.map(view => (
+                <option key={view.id} value={view.id}>{view.name}</option>
+              ))}
+            </select>
+            {!activeSavedView && listQuery && (
+              <button onClick={handleSaveView} className="px-3 py-1.5 bg-slate-100 hover:bg-slate-200 text-slate-600 rounded-xl text-xs">
+                💾 บันทึกมุมมอง
+              </button>
+            )}
+            {activeSavedView && (
+              <button onClick={() => handleDeleteView(activeSavedView)} className="px-3 py-1.5 text-red-500 hover:bg-red-50 rounded-xl text-xs">
+                ลบมุมมองนี้
+              </button>
+            )}
+            {listQuery && (
+              <button
+                onClick={() => { setFilters(DEFAULT_LIST_FILTERS); setSort(DEFAULT_LIST_SORT) }}
+                className="px-3 py-1.5 text-slate-500 hover:bg-slate-100 rounded-xl text-xs"
+              >
+                ✕ ล้างตัวกรอง
+              </button>
+            )}
+          </div>
+
+          {isFilterPanelOpen && (
+            <div className="mt-3 pt-3 border-t border-slate-100 grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-6 gap-2 text-xs text-slate-500">
+              <label className="space-y-1">
+                <span>ความเร่งด่วน</span>
+                <select
+                  value={filters.priority}
+                  onChange={(e) => updateFilter('priority', e.target.value as ListFilters['priority'])}
+                  className="w-full px-2 py-1.5 border border-slate-200 rounded-lg text-sm bg-slate-50 text-slate-700"
+                >
+                  <option value="">ทั้งหมด</option>
+                  {Object.entries(PRIORITY_LABELS).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              </label>
+              <label className="space-y-1">
+                <span>ช่องทาง</span>
+                <select
+                  value={filters.channel}
+                  onChange={(e) => updateFilter('channel', e.target.value as ListFilters['channel'])}
+                  className="w-full px-2 py-1.5 border border-slate-200 rounded-lg text-sm bg-slate-50 text-slate-700"
+                >
+                  <option value="">ทั้งหมด</option>
+                  {CHANNEL_VALUES.map(channel => (
+                    <option key={channel} value={channel}>{channel}</option>
+                  ))}
+                </select>
+              </label>
+              <label className="space-y-1">
+                <span>ประเภทงาน</span>
+                <select
+                  value={filters.serviceType}
+                  onChange={(e) => updateFilter('serviceType', e.target.value)}
+                  className="w-full px-2 py-1.5 border border-slate-200 rounded-lg text-sm bg-slate-50 text-slate-700"
+                >
+                  <option value="">ทั้งหมด</option>
+                  {SERVICE_TYPES.map(type => (
+                    <option key={type.value} value={type.value}>{type.value}</option>
+                  ))}
+                  {filters.serviceType && !SERVICE_TYPES.some(t => t.value === filters.serviceType) && (
+                    <option value={filters.serviceType}>{filters.serviceType}</option>
+                  )}
+                </select>
+              </label>
+              <label className="space-y-1">
+                <span>ช่าง</span>
+                <select
+                  value={filters.technician}
+                  onChange={(e) => updateFilter('technician', e.target.value)}
+                  className="w-full px-2 py-1.5 border border-slate-200 rounded-lg text-sm bg-slate-50 text-slate-700"
+                >
+                  <option value="">ทั้งหมด</option>
+                  <option value={UNASSIGNED}>ยังไม่จัดช่าง</option>
+                  {technicians.map(technician => (
+                    <option key={technician.id} value={technician.id}>
+                      {technician.name}{technician.active ? '' : ' (ปิดใช้งาน)'}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <label className="space-y-1">
+                <span>ไฟล์แนบ / รูป</span>
+                <select
+                  value={filters.attachments}
+                  onChange={(e) => updateFilter('attachments', e.target.value as ListFilters['attachments'])}
+                  className="w-full px-2 py-1.5 border border-slate-200 rounded-lg text-sm bg-slate-50 text-slate-700"
+                >
+                  <option value="">ทั้งหมด</option>
+                  <option value="yes">มีไฟล์แนบ</option>
+                  <option value="no">ไม่มีไฟล์แนบ</option>
+                </select>
+              </label>
+              <label className="space-y-1">
+                <span>นัดใน Google Calendar</span>
+                <select
+                  value={filters.calendarEvent}
+                  onChange={(e) => updateFilter('calendarEvent', e.target.value as ListFilters['calendarEvent'])}
+                  className="w-full px-2 py-1.5 border border-slate-200 rounded-lg text-sm bg-slate-50 text-slate-700"
+                >
+                  <option value="">ทั้งหมด</option>
+                  <option value="yes">มี event แล้ว</option>
+                  <option value="no">ยังไม่มี event</option>
+                </select>
+              </label>
+              <div className="space-y-1 col-span-2 sm:col-span-3 lg:col-span-2">
+                <span>วันที่เปิดงาน</span>
+                <div className="flex items-center gap-1">
+                  <input type="date" value={filters.createdFrom} onChange={(e) => updateFilter('createdFrom', e.target.value)} className="flex-1 min-w-0 px-2 py-1 border border-slate-200 rounded-lg text-sm bg-slate-50 text-slate-700" />
+                  <span>–</span>
+                  <input type="date" value={filters.createdTo} onChange={(e) => updateFilter('createdTo', e.target.value)} className="flex-1 min-w-0 px-2 py-1 border border-slate-200 rounded-lg text-sm bg-slate-50 text-slate-700" />
+                </div>
+              </div>
+              <div className="space-y-1 col-span-2 sm:col-span-3 lg:col-span-2">
+                <span>วันนัด</span>
+                <div className="flex items-center gap-1">
+                  <input type="date" value={filters.appointmentFrom} onChange={(e) => updateFilter('appointmentFrom', e.target.value)} className="flex-1 min-w-0 px-2 py-1 border border-slate-200 rounded-lg text-sm bg-slate-50 text-slate-700" />
+                  <span>–</span>
+                  <input type="date" value={filters.appointmentTo} onChange={(e) => updateFilter('appointmentTo', e.target.value)} className="flex-1 min-w-0 px-2 py-1 border border-slate-200 rounded-lg text-sm bg-slate-50 text-slate-700" />
+                </div>
+              </div>
+              <div className="space-y-1 col-span-2">
+                <span>เรียงตาม</span>
+                <div className="flex items-center gap-1">
+                  <select
+                    value={sort.key}
+                    onChange={(e) => setSort(prev => ({ ...prev, key: e.target.value as SortKey }))}
+                    className="flex-1 px-2 py-1.5 border border-slate-200 rounded-lg text-sm bg-slate-50 text-slate-700"
+                  >
+                    {Object.entries(SORT_KEYS).map(([key, label]) => (
+                      <option key={key} value={key}>{label}</option>
+                    ))}
+                  </select>
+                  <button
+                    onClick={() => setSort(prev => ({ ...prev, dir: prev.dir === 'asc' ? 'desc' : 'asc' }))}
+                    className="px-2 py-1.5 bg-slate-100 hover:bg-slate-200 rounded-lg text-sm text-slate-600 whitespace-nowrap"
+                  >
+                    {sort.dir === 'asc' ? '▲ น้อย→มาก' : '▼ มาก→น้อย'}
+                  </button>
+                </div>
+              </div>
+              <p className="col-span-2 sm:col-span-3 lg:col-span-6 text-[11px] text-slate-400">
+                ตัวกรองทุกช่องใช้พร้อมกัน · ลิงก์ในแถบที่อยู่เปิดมุมมองนี้ซ้ำได้ · ไม่ได้ค้นหา = กรองจากงาน 90 วันล่าสุดและงานที่ยังไม่ปิด
+              </p>
+            </div>
+          )}
         </div>
 
         {/* Loading State */}
@@ -1156,6 +1568,12 @@ export default function Home() {
             <div className="animate-spin w-10 h-10 border-4 border-blue-500 border-t-transparent rounded-full mx-auto mb-3"></div>
             <p className="text-slate-500">กำลังโหลดข้อมูล...</p>
           </div>
+        ) : viewMode === 'calendar' ? (
+          <AppointmentCalendar
+            requests={departmentRequests.filter(r => r.appointmentDate)}
+            onOpen={openModal}
+            onReschedule={handleReschedule}
+          />
         ) : departmentRequests.length === 0 ? (
           <div className="bg-white rounded-2xl p-12 shadow-sm border border-slate-200 text-center">
             <div className="text-5xl mb-3">📭</div>
@@ -1167,10 +1585,22 @@ export default function Home() {
               <table className="w-full text-left border-collapse">
                 <thead>
                   <tr className="bg-slate-50 border-b border-slate-200 text-sm font-semibold text-slate-600">
-                    <th className="px-4 py-3 whitespace-nowrap">เลขที่งาน / วันที่</th>
-                    <th className="px-4 py-3 whitespace-nowrap">ลูกค้า</th>
-                    <th className="px-4 py-3 whitespace-nowrap">ประเภทงาน</th>
-                    <th className="px-4 py-3 whitespace-nowrap">สถานะปัจจุบัน</th>
+                    <th className="px-4 py-3 whitespace-nowrap">
+                      <button onClick={() => toggleSort('requestNo')} className="hover:text-blue-600">เลขที่งาน{sortIndicator('requestNo')}</button>
+                      {' / '}
+                      <button onClick={() => toggleSort('createdAt')} className="hover:text-blue-600">วันที่{sortIndicator('createdAt')}</button>
+                    </th>
+                    <th className="px-4 py-3 whitespace-nowrap">
+                      <button onClick={() => toggleSort('customerName')} className="hover:text-blue-600">ลูกค้า{sortIndicator('customerName')}</button>
+                    </th>
+                    <th className="px-4 py-3 whitespace-nowrap">
+                      <button onClick={() => toggleSort('serviceType')} className="hover:text-blue-600">ประเภทงาน{sortIndicator('serviceType')}</button>
+                      {' / '}
+                      <button onClick={() => toggleSort('priority')} className="hover:text-blue-600">ด่วน{sortIndicator('priority')}</button>
+                    </th>
+                    <th className="px-4 py-3 whitespace-nowrap">
+                      <button onClick={() => toggleSort('status')} className="hover:text-blue-600">สถานะปัจจุบัน{sortIndicator('status')}</button>
+                    </th>
                     <th className="px-4 py-3 whitespace-nowrap text-right">จัดการ</th>
                   </tr>
                 </thead>
@@ -1180,18 +1610,27 @@ export default function Home() {
                       <td className="px-4 py-3 align-top">
                         <div className="font-mono text-sm text-blue-600">
                           {request.calendarEventUrl ? (
-                            <a href={request.calendarEventUrl} target="_blank" rel="noreferrer" className="hover:underline" title="เปิดปฏิทิน">📅 {request.requestNo}</a>
+                            <a href={request.calendarEventUrl} target="_blank" rel="noreferrer" className="hover:underline" title="เปิดปฏิทิน">📅 <Highlight text={request.requestNo} query={searchQuery} /></a>
                           ) : (
-                            request.requestNo
+                            <Highlight text={request.requestNo} query={searchQuery} />
                           )}
                         </div>
                         <div className="text-xs text-slate-500">{formatDate(request.createdAt)}</div>
                       </td>
                       <td className="px-4 py-3 align-top">
-                        <div className="font-medium text-slate-800 text-sm whitespace-nowrap">{request.customerName}</div>
-                        {request.contactName && <div className="text-xs text-blue-600">👤 {request.contactName}</div>}
-                        <div className="text-xs text-slate-500">{request.phone}</div>
-                        {request.address && <div className="text-xs text-slate-400 mt-1 truncate max-w-[200px]" title={request.address}>📍 {request.address}</div>}
+                        <div className="font-medium text-slate-800 text-sm whitespace-nowrap">
+                          {request.customerId ? (
+                            <a href={`/customers/${request.customerId}`} className="hover:underline" title="ประวัติลูกค้า"><Highlight text={request.customerName} query={searchQuery} /></a>
+                          ) : (
+                            <Highlight text={request.customerName} query={searchQuery} />
+                          )}
+                        </div>
+                        {request.contactName && <div className="text-xs text-blue-600">👤 <Highlight text={request.contactName} query={searchQuery} /></div>}
+                        <div className="text-xs text-slate-500"><Highlight text={request.phone} query={searchQuery} /></div>
+                        {request.address && <div className="text-xs text-slate-400 mt-1 truncate max-w-[200px]" title={request.address}>📍 <Highlight text={request.address} query={searchQuery} /></div>}
+                        {searchHitsById.get(request.id)?.map(hit => (
+                          <div key={hit.field} className="text-[11px] text-slate-500 mt-1 max-w-[240px]">🔎 พบใน{hit.label}: <Highlight text={hit.snippet} query={searchQuery} /></div>
+                        ))}
                       </td>
                       <td className="px-4 py-3 align-top">
                         <div className="flex items-center gap-1.5 flex-wrap">
@@ -1203,17 +1642,22 @@ export default function Home() {
                             {request.priority === 'urgent' ? '🟡 เร่งด่วน' : '🔴 ฉุกเฉิน'}
                           </div>
                         )}
+                        {request.status === 'queue' && (
+                          <div className={`mt-1.5 text-xs ${request.technicianName ? 'text-slate-600' : 'text-amber-600'}`}>
+                            👷 {request.technicianName || 'รอจัดช่าง'}
+                          </div>
+                        )}
                       </td>
                       <td className="px-4 py-3 align-top whitespace-nowrap">
                         <span className={`px-2 py-1 rounded-lg text-xs font-medium text-white ${getStatusConfig(request.status).color}`}>
                           {getStatusConfig(request.status).icon} {getStatusConfig(request.status).label}
                         </span>
                         {/* Quick Status Change */}
-                        {STATUS_TRANSITIONS[request.status].length > 0 && (
+                        {getAllowedNextStatuses(user.role, request.status).length > 0 && (
                           <div className="mt-2 text-[10px] text-slate-400">เปลี่ยนเป็น:</div>
                         )}
                         <div className="mt-1 flex flex-wrap gap-1 max-w-[200px]">
-                          {STATUS_TRANSITIONS[request.status].map((nextStatus) => (
+                          {getAllowedNextStatuses(user.role, request.status).map((nextStatus) => (
                             <button
                               key={nextStatus}
                               onClick={() => updateStatus(request.id, nextStatus)}
@@ -1234,13 +1678,38 @@ export default function Home() {
                           >
                             ✏️
                           </button>
-                          <button
-                            onClick={() => deleteRequest(request.id)}
-                            className="p-1.5 rounded-lg bg-red-50 text-red-600 hover:bg-red-100 transition-colors"
-                            title="ลบ"
+                          <a
+                            href={`/quotes/${request.id}`}
+                            className="p-1.5 rounded-lg bg-slate-100 text-slate-600 hover:bg-slate-200 transition-colors"
+                            title="ใบเสนอราคา"
                           >
-                            🗑️
-                          </button>
+                            💰
+                          </a>
+                          <a
+                            href={`/parts/${request.id}`}
+                            className="p-1.5 rounded-lg bg-slate-100 text-slate-600 hover:bg-slate-200 transition-colors"
+                            title="อะไหล่"
+                          >
+                            🔩
+                          </a>
+                          {request.lineUserId && request.status === 'queue' && request.appointmentDate && (
+                            <button
+                              onClick={() => sendLineConfirmation(request)}
+                              className="p-1.5 rounded-lg bg-green-50 text-green-700 hover:bg-green-100 transition-colors"
+                              title="ส่งยืนยันนัดทาง LINE"
+                            >
+                              💬
+                            </button>
+                          )}
+                          {canDeleteRequests(user.role) && (
+                            <button
+                              onClick={() => deleteRequest(request)}
+                              className="p-1.5 rounded-lg bg-red-50 text-red-600 hover:bg-red-100 transition-colors"
+                              title="ย้ายไปถังขยะ"
+                            >
+                              🗑️
+                            </button>
+                          )}
                         </div>
                       </td>
                     </tr>
@@ -1257,9 +1726,9 @@ export default function Home() {
                   <div>
                     <span className="text-xs font-mono text-blue-600">
                       {request.calendarEventUrl ? (
-                        <a href={request.calendarEventUrl} target="_blank" rel="noreferrer" className="hover:underline" title="เปิดปฏิทิน">📅 {request.requestNo}</a>
+                        <a href={request.calendarEventUrl} target="_blank" rel="noreferrer" className="hover:underline" title="เปิดปฏิทิน">📅 <Highlight text={request.requestNo} query={searchQuery} /></a>
                       ) : (
-                        request.requestNo
+                        <Highlight text={request.requestNo} query={searchQuery} />
                       )}
                     </span>
                     <span className="mx-2 text-slate-300">|</span>
@@ -1271,10 +1740,19 @@ export default function Home() {
                 </div>
 
                 <div className="mb-3">
-                  <div className="font-semibold text-slate-800">{request.customerName}</div>
-                  {request.contactName && <div className="text-xs text-blue-600">👤 {request.contactName}</div>}
-                  <div className="text-sm text-slate-500">{request.phone}</div>
-                  {request.address && <div className="text-xs text-slate-400 mt-1">📍 {request.address}</div>}
+                  <div className="font-semibold text-slate-800">
+                    {request.customerId ? (
+                      <a href={`/customers/${request.customerId}`} className="hover:underline" title="ประวัติลูกค้า"><Highlight text={request.customerName} query={searchQuery} /></a>
+                    ) : (
+                      <Highlight text={request.customerName} query={searchQuery} />
+                    )}
+                  </div>
+                  {request.contactName && <div className="text-xs text-blue-600">👤 <Highlight text={request.contactName} query={searchQuery} /></div>}
+                  <div className="text-sm text-slate-500"><Highlight text={request.phone} query={searchQuery} /></div>
+                  {request.address && <div className="text-xs text-slate-400 mt-1">📍 <Highlight text={request.address} query={searchQuery} /></div>}
+                  {searchHitsById.get(request.id)?.map(hit => (
+                    <div key={hit.field} className="text-xs text-slate-500 mt-1">🔎 พบใน{hit.label}: <Highlight text={hit.snippet} query={searchQuery} /></div>
+                  ))}
                 </div>
 
                 {/* Image Preview (multiple) */}
@@ -1332,6 +1810,14 @@ export default function Home() {
                       </span>
                     </>
                   )}
+                  {request.status === 'queue' && (
+                    <>
+                      <span className="text-slate-400">•</span>
+                      <span className={request.technicianName ? 'text-slate-600' : 'text-amber-600'}>
+                        👷 {request.technicianName || 'รอจัดช่าง'}
+                      </span>
+                    </>
+                  )}
                 </div>
 
                 {request.description && (
@@ -1341,7 +1827,7 @@ export default function Home() {
                 {/* Action Buttons */}
                 <div className="flex flex-wrap gap-2">
                   {/* Status Change Buttons */}
-                  {STATUS_TRANSITIONS[request.status].map((nextStatus) => (
+                  {getAllowedNextStatuses(user.role, request.status).map((nextStatus) => (
                     <button
                       key={nextStatus}
                       onClick={() => updateStatus(request.id, nextStatus)}
@@ -1358,12 +1844,34 @@ export default function Home() {
                   >
                     ✏️ แก้ไข
                   </button>
-                  <button
-                    onClick={() => deleteRequest(request.id)}
-                    className="px-3 py-2 rounded-xl text-xs font-medium bg-red-50 text-red-600 hover:bg-red-100"
+                  <a
+                    href={`/quotes/${request.id}`}
+                    className="px-3 py-2 rounded-xl text-xs font-medium bg-slate-100 text-slate-600 hover:bg-slate-200"
                   >
-                    🗑️ ลบ
-                  </button>
+                    💰 ใบเสนอราคา
+                  </a>
+                  <a
+                    href={`/parts/${request.id}`}
+                    className="px-3 py-2 rounded-xl text-xs font-medium bg-slate-100 text-slate-600 hover:bg-slate-200"
+                  >
+                    🔩 อะไหล่
+                  </a>
+                  {request.lineUserId && request.status === 'queue' && request.appointmentDate && (
+                    <button
+                      onClick={() => sendLineConfirmation(request)}
+                      className="px-3 py-2 rounded-xl text-xs font-medium bg-green-50 text-green-700 hover:bg-green-100"
+                    >
+                      💬 ส่งยืนยันนัดทาง LINE
+                    </button>
+                  )}
+                  {canDeleteRequests(user.role) && (
+                    <button
+                      onClick={() => deleteRequest(request)}
+                      className="px-3 py-2 rounded-xl text-xs font-medium bg-red-50 text-red-600 hover:bg-red-100"
+                    >
+                      🗑️ ลบ
+                    </button>
+                  )}
                 </div>
 
                 {/* History */}
@@ -1372,8 +1880,14 @@ export default function Home() {
                     <p className="text-xs text-slate-400 mb-1">ประวัติ:</p>
                     <div className="flex flex-wrap gap-1">
                       {request.history.map((h, i) => (
-                        <span key={i} className="text-xs bg-slate-50 px-2 py-0.5 rounded text-slate-500">
-                          {getStatusConfig(h.status).icon} {h.status === 'new' ? 'เริ่มต้น' : getStatusConfig(h.status).label}
+                        <span
+                          key={i}
+                          className="text-xs bg-slate-50 px-2 py-0.5 rounded text-slate-500 max-w-full truncate"
+                          title={`${h.by} · ${new Date(h.date).toLocaleString('th-TH')}${h.note ? `\n${h.note}` : ''}`}
+                        >
+                          {h.note
+                            ? `📝 ${h.note}`
+                            : `${getStatusConfig(h.status).icon} ${h.status === 'new' ? 'เริ่มต้น' : getStatusConfig(h.status).label}`}
                         </span>
                       ))}
                     </div>
@@ -1385,7 +1899,7 @@ export default function Home() {
         )}
 
         {/* Load More Button */}
-        {departmentRequests.length > displayLimit && (
+        {viewMode !== 'calendar' && departmentRequests.length > displayLimit && (
           <div className="text-center mt-4">
             <button
               onClick={() => setDisplayLimit(prev => prev + 50)}
@@ -1666,6 +2180,35 @@ export default function Home() {
                     className="w-full px-3 py-2 border rounded-xl text-sm"
                     placeholder="เช่น KFC สาขาสีลม, ที.เอส มอเตอร์"
                   />
+                  {formData.customerId ? (
+                    <div className="mt-1 flex items-center gap-2 text-xs text-blue-600">
+                      <span>🔗 ผูกกับลูกค้าในระบบแล้ว</span>
+                      <a href={`/customers/${formData.customerId}`} target="_blank" rel="noreferrer" className="underline">ดูประวัติ</a>
+                      <button type="button" onClick={unlinkCustomer} className="text-slate-400 hover:text-red-500 underline">ยกเลิกการผูก</button>
+                    </div>
+                  ) : customerMatches.length > 0 && (
+                    <div className="mt-1 border border-blue-200 bg-blue-50 rounded-xl divide-y divide-blue-100">
+                      <p className="px-3 py-1.5 text-xs text-blue-700">ลูกค้าในระบบที่อาจตรงกัน — กดเพื่อเลือก</p>
+                      {customerMatches.map(match => (
+                        <button
+                          key={`${match.customerId}-${match.siteId ?? ''}`}
+                          type="button"
+                          onClick={() => applyCustomerMatch(match)}
+                          className="w-full text-left px-3 py-2 hover:bg-blue-100"
+                        >
+                          <div className="text-sm font-medium text-slate-800">
+                            🏢 {match.customerName}{match.siteName && ` · ${match.siteName}`}
+                          </div>
+                          <div className="text-xs text-slate-500">
+                            {[match.contactName && `👤 ${match.contactName}`, match.phone, match.address && `📍 ${match.address}`].filter(Boolean).join(' · ')}
+                          </div>
+                          {match.reasons.length > 0 && (
+                            <div className="text-xs text-blue-600">{match.reasons.join(', ')}</div>
+                          )}
+                        </button>
+                      ))}
+                    </div>
+                  )}
                 </div>
                 <div>
                   <label className="block text-sm font-medium text-slate-700 mb-1">ผู้ติดต่อ</label>
@@ -1709,12 +2252,13 @@ export default function Home() {
                   onChange={(e) => setFormData(prev => ({ ...prev, serviceType: e.target.value }))}
                   className="w-full px-3 py-2 border rounded-xl text-sm"
                 >
-                  <option>ล้างแอร์</option>
-                  <option>ซ่อม</option>
-                  <option>ติดตั้ง</option>
-                  <option>ตรวจสอบ</option>
-                  <option>บำรุงรักษา</option>
-                  <option>อื่นๆ</option>
+                  {SERVICE_TYPES.map(type => (
+                    <option key={type.value} value={type.value}>{type.value} (~{formatMinutes(type.durationMinutes)})</option>
+                  ))}
+                  {/* ประเภทงานเก่าที่ไม่อยู่ในรายการ (เช่นจาก Sheet) */}
+                  {formData.serviceType && !SERVICE_TYPES.some(t => t.value === formData.serviceType) && (
+                    <option value={formData.serviceType}>{formData.serviceType}</option>
+                  )}
                 </select>
               </div>
 
@@ -1977,9 +2521,83 @@ export default function Home() {
                       )}
                     </div>
                   )}
+
+                  {/* ไม่กรอกเวลาสิ้นสุด → จองช่างตามเวลาของประเภทงาน */}
+                  {formData.appointmentDate && !formData.appointmentEndDate && !formData.isAllDay && (() => {
+                    const range = getAppointmentRange({ appointmentDate: formData.appointmentDate, serviceType: formData.serviceType || '' })
+                    return range ? (
+                      <p className="text-xs text-slate-400">
+                        ⏱️ จองช่างไว้ {formatMinutes(getServiceDuration(formData.serviceType || ''))} ตามประเภทงาน (ถึง {formatTime(range.end)} น.) — ใช้นานกว่านี้ให้ใส่เวลาสิ้นสุด
+                      </p>
+                    ) : null
+                  })()}
                 </div>
               </div>
 
+              {/* Technician — ชื่อ/สีของ event ในปฏิทินเปลี่ยนตามช่างที่เลือก */}
+              <div>
+                <label className="block text-sm font-medium text-slate-700 mb-1">ช่างที่รับงาน</label>
+                <select
+                  value={formData.technicianId || ''}
+                  onChange={(e) => setFormData(prev => ({ ...prev, technicianId: e.target.value }))}
+                  disabled={!canAssignTechnicians(user.role)}
+                  className="w-full px-3 py-2 border rounded-xl text-sm disabled:bg-slate-50 disabled:text-slate-500"
+                >
+                  <option value="">⏳ รอจัดช่าง</option>
+                  {technicians
+                    .filter(t => t.active || t.id === formData.technicianId)
+                    .map(t => (
+                      <option key={t.id} value={t.id}>👷 {t.name}{t.active ? '' : ' (ปิดใช้งาน)'}</option>
+                    ))}
+                </select>
+
+                {/* คิวช่างวันที่นัด — กดช่วงว่างเพื่อเลือกเวลา (และช่าง ถ้ามีสิทธิ์จัดช่าง) */}
+                {dayAvailability && appointmentDay && (
+                  <div className="mt-2 rounded-xl bg-slate-50 p-3 space-y-2 text-xs">
+                    <div className="flex items-center justify-between">
+                      <span className="font-medium text-slate-600">📆 คิวช่างวันที่ {appointmentDay}</span>
+                      <a href={`/schedule?date=${appointmentDay}`} target="_blank" rel="noreferrer" className="text-blue-600 hover:underline">ดูทั้งสัปดาห์</a>
+                    </div>
+                    {dayAvailability.technicians.length === 0 && <p className="text-slate-400">ยังไม่มีรายชื่อช่าง</p>}
+                    {dayAvailability.technicians.map(({ technician, days }) => {
+                      // ไม่นับงานที่กำลังแก้อยู่ — ไม่งั้นเวลาเดิมของงานนี้จะดูเหมือนไม่ว่าง
+                      const bookings = (days[appointmentDay]?.bookings || []).filter(b => b.requestId !== editingRequest?.id)
+                      const busy = bookings.map(b => ({ start: new Date(b.start), end: new Date(b.end) }))
+                      const bookedMinutes = busy.reduce((sum, r) => sum + getBookedMinutesOnDay(r, appointmentDay), 0)
+                      const isFull = bookedMinutes >= technician.dailyCapacityMinutes
+                      const freeSlots = getFreeSlots(appointmentDay, busy)
+                      return (
+                        <div key={technician.id} className="space-y-1">
+                          <div className={isFull ? 'text-red-600' : 'text-slate-600'}>
+                            👷 {technician.name} · {bookings.length} งาน · {formatMinutes(bookedMinutes)} / {formatMinutes(technician.dailyCapacityMinutes)}
+                            {isFull && ' (เต็ม)'}
+                          </div>
+                          <div className="flex flex-wrap gap-1">
+                            {freeSlots.length === 0 && <span className="text-slate-400">ไม่มีช่วงว่าง</span>}
+                            {freeSlots.map(slot => (
+                              <button
+                                key={slot.start.toISOString()}
+                                type="button"
+                                onClick={() => setFormData(prev => ({
+                                  ...prev,
+                                  appointmentDate: `${appointmentDay}T${formatTime(slot.start)}`,
+                                  appointmentEndDate: '',
+                                  isAllDay: false,
+                                  ...(canAssignTechnicians(user.role) ? { technicianId: technician.id } : {})
+                                }))}
+                                className="px-2 py-0.5 rounded-lg bg-green-50 text-green-700 hover:bg-green-100"
+                              >
+                                ว่าง {formatTime(slot.start)}-{formatTime(slot.end)}
+                              </button>
+                            ))}
+                          </div>
+                        </div>
+                      )
+                    })}
+                  </div>
+                )}
+              </div>
+
               {/* Status */}
               <div>
                 <label className="block text-sm font-medium text-slate-700 mb-1">สถานะ</label>
@@ -1988,12 +2606,50 @@ export default function Home() {
                   onChange={(e) => setFormData(prev => ({ ...prev, status: e.target.value as Status }))}
                   className="w-full px-3 py-2 border rounded-xl text-sm"
                 >
-                  {Object.entries(STATUS_CONFIG).map(([key, config]) => (
-                    <option key={key} value={key}>{config.icon} {config.label}</option>
-                  ))}
+                  {/* เลือกได้เฉพาะสถานะปัจจุบัน + สถานะถัดไปตาม workflow ที่ role นี้มีสิทธิ์ */}
+                  {(() => {
+                    const current = editingRequest?.status || 'new'
+                    return [current, ...getAllowedNextStatuses(user.role, current)].map((key) => (
+                      <option key={key} value={key}>{getStatusConfig(key).icon} {getStatusConfig(key).label}</option>
+                    ))
+                  })()}
                 </select>
               </div>
 
+              {/* Quote amount (บังคับตอนเช็คอะไหล่ + เสนอราคา) */}
+              {(formData.status === 'checking_parts' || formData.quoteAmount !== undefined) && (
+                <div>
+                  <label className="block text-sm font-medium text-slate-700 mb-1">
+                    {REQUIRED_FIELD_LABELS.quoteAmount}{formData.status === 'checking_parts' ? ' *' : ''}
+                  </label>
+                  <input
+                    type="number"
+                    min={0}
+                    value={formData.quoteAmount ?? ''}
+                    onChange={(e) => {
+                      const { quoteAmount: _prevAmount, ...rest } = formData
+                      setFormData(e.target.value === '' ? rest : { ...rest, quoteAmount: Number(e.target.value) })
+                    }}
+                    className="w-full px-3 py-2 border rounded-xl text-sm"
+                    placeholder="เช่น 3500"
+                  />
+                </div>
+              )}
+
+              {/* Cancel reason (บังคับตอนยกเลิก) */}
+              {formData.status === 'cancelled' && (
+                <div>
+                  <label className="block text-sm font-medium text-slate-700 mb-1">{REQUIRED_FIELD_LABELS.cancelReason} *</label>
+                  <input
+                    type="text"
+                    value={formData.cancelReason || ''}
+                    onChange={(e) => setFormData(prev => ({ ...prev, cancelReason: e.target.value }))}
+                    className="w-full px-3 py-2 border rounded-xl text-sm"
+                    placeholder="เช่น ลูกค้าไม่สะดวก, ราคาสูงไป"
+                  />
+                </div>
+              )}
+
               {/* Notes */}
               <div>
                 <label className="block text-sm font-medium text-slate-700 mb-1">หมายเหตุ</label>
@@ -2005,6 +2661,11 @@ export default function Home() {
                   placeholder="หมายเหตุเพิ่มเติม"
                 />
               </div>
+
+              {/* ประวัติการแก้ไขรายฟิลด์ + ย้อนทีละรายการ */}
+              {editingRequest && (
+                <AuditTimeline key={editingRequest.id} requestId={editingRequest.id} technicians={technicians} onReverted={openModal} />
+              )}
             </div>
 
             <div className="sticky bottom-0 bg-white px-4 py-3 border-t flex gap-2">
@@ -0,0 +1,324 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import { useParams } from 'next/navigation'
+import { getStatusConfig } from '../../../lib/STATUS_WORKFLOW'
+import { canManageParts } from '../../../lib/roles'
+import { PART_REQUEST_STATUS_CONFIG, getPartsBlockReason, getPartsCost } from '../../../lib/parts'
+import type { Part, PartRequest, ServiceRequest } from '../../../lib/types'
+
+const formatDate = (dateStr: string) => {
+  if (!dateStr) return '-'
+  return new Date(dateStr).toLocaleDateString('th-TH', {
+    day: 'numeric',
+    month: 'short',
+    year: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit'
+  })
+}
+
+const formatAmount = (amount: number) =>
+  amount.toLocaleString('th-TH', { minimumFractionDigits: 2, maximumFractionDigits: 2 })
+
+const emptyForm = { name: '', quantity: '1', unit: '', supplier: '', unitCost: '' }
+
+export default function JobPartsPage() {
+  const { requestId } = useParams<{ requestId: string }>()
+  const [serviceRequest, setServiceRequest] = useState<ServiceRequest | null>(null)
+  const [parts, setParts] = useState<PartRequest[]>([])
+  const [catalog, setCatalog] = useState<Part[]>([])
+  const [form, setForm] = useState(emptyForm)
+  const [canManage, setCanManage] = useState(false)
+  const [isLoading, setIsLoading] = useState(true)
+  const [isSaving, setIsSaving] = useState(false)
+  const [accessError, setAccessError] = useState('')
+
+  const loadParts = async () => {
+    try {
+      const res = await fetch(`/api/parts/requests?requestId=${encodeURIComponent(requestId)}`)
+      if (res.status === 401 || res.status === 404) {
+        setAccessError(res.status === 401 ? 'กรุณาเข้าสู่ระบบก่อน' : 'ไม่พบงานนี้')
+        return
+      }
+      const result = await res.json()
+      setParts(result.data || [])
+      setServiceRequest(result.request)
+    } catch (error) {
+      console.error('Error loading parts:', error)
+      setAccessError('โหลดรายการอะไหล่ไม่สำเร็จ')
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  useEffect(() => {
+    loadParts()
+    fetch('/api/parts')
+      .then(res => (res.ok ? res.json() : null))
+      .then(result => setCatalog(result?.data || []))
+      .catch(() => setCatalog([]))
+    fetch('/api/auth/session')
+      .then(res => (res.ok ? res.json() : null))
+      .then(result => setCanManage(!!result && canManageParts(result.data.role)))
+      .catch(() => setCanManage(false))
+  }, [requestId])
+
+  // เลือกชื่อที่ตรงกับแคตตาล็อก → เติมหน่วย/ร้าน/ราคาทุนให้
+  const handleNameChange = (name: string) => {
+    const part = catalog.find(p => p.name === name)
+    setForm(prev => part
+      ? { ...prev, name, unit: part.unit, supplier: part.supplier, unitCost: String(part.unitCost) }
+      : { ...prev, name })
+  }
+
+  const handleAdd = async () => {
+    if (!form.name.trim()) {
+      alert('กรุณาระบุชื่ออะไหล่')
+      return
+    }
+    const quantity = Number(form.quantity)
+    if (!Number.isFinite(quantity) || quantity <= 0) {
+      alert('จำนวนต้องมากกว่า 0')
+      return
+    }
+    const part = catalog.find(p => p.name === form.name.trim())
+
+    setIsSaving(true)
+    try {
+      const res = await fetch('/api/parts/requests', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          requestId,
+          ...(part ? { partId: part.id } : {}),
+          name: form.name.trim(),
+          quantity,
+          unit: form.unit,
+          supplier: form.supplier,
+          ...(form.unitCost.trim() ? { unitCost: Number(form.unitCost) || 0 } : {}),
+        })
+      })
+      const result = await res.json().catch(() => ({}))
+      if (!res.ok) {
+        alert(`เพิ่มอะไหล่ไม่สำเร็จ: ${result.error || 'เกิดข้อผิดพลาด'}`)
+        return
+      }
+      setForm(emptyForm)
+      await loadParts()
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  const runAction = async (part: PartRequest, action: 'order' | 'receive' | 'install' | 'cancel') => {
+    const details: Record<string, unknown> = {}
+    if (action === 'order') {
+      const poNumber = window.prompt(`เลขที่ใบสั่งซื้อ / บิลร้าน ของ "${part.name}" (ถ้ามี)`, part.poNumber)
+      if (poNumber === null) return
+      const expectedDate = window.prompt('ร้านนัดส่งวันที่ (YYYY-MM-DD, เว้นว่างได้)', part.expectedDate)
+      if (expectedDate === null) return
+      details['poNumber'] = poNumber
+      details['expectedDate'] = expectedDate.trim()
+    }
+    if (action === 'cancel' && !confirm(`ยกเลิก "${part.name}"?`)) return
+
+    setIsSaving(true)
+    try {
+      const res = await fetch('/api/parts/requests/action', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ id: part.id, action, ...details })
+      })
+      const result = await res.json().catch(() => ({}))
+      if (!res.ok) {
+        alert(`ไม่สำเร็จ: ${result.error || 'เกิดข้อผิดพลาด'}`)
+        return
+      }
+      await loadParts()
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  if (isLoading) {
+    return (
+      <div className="min-h-screen bg-slate-50 flex items-center justify-center">
+        <div className="animate-spin w-10 h-10 border-4 border-blue-500 border-t-transparent rounded-full"></div>
+      </div>
+    )
+  }
+
+  if (accessError || !serviceRequest) {
+    return (
+      <div className="min-h-screen bg-slate-50 flex items-center justify-center p-4">
+        <div className="bg-white rounded-2xl shadow p-8 text-center space-y-4">
+          <p className="text-slate-700">{accessError || 'ไม่พบงานนี้'}</p>
+          <a href="/" className="inline-block bg-blue-500 hover:bg-blue-600 text-white px-4 py-2 rounded-xl text-sm font-medium">
+            กลับหน้าหลัก
+          </a>
+        </div>
+      </div>
+    )
+  }
+
+  const blockReason = serviceRequest.status === 'order_parts' ? getPartsBlockReason(parts) : null
+
+  return (
+    <div className="min-h-screen bg-slate-50">
+      <header className="bg-white shadow-sm sticky top-0 z-40">
+        <div className="max-w-4xl mx-auto px-4 py-3 flex items-center justify-between gap-3">
+          <div className="min-w-0">
+            <h1 className="text-lg font-bold text-slate-800 truncate">🔩 อะไหล่ · {serviceRequest.requestNo}</h1>
+            <p className="text-xs text-slate-500 truncate">
+              {serviceRequest.customerName} · {serviceRequest.serviceType}
+              <span className={`ml-2 px-2 py-0.5 rounded-lg text-xs font-medium text-white ${getStatusConfig(serviceRequest.status).color}`}>
+                {getStatusConfig(serviceRequest.status).icon} {getStatusConfig(serviceRequest.status).label}
+              </span>
+            </p>
+          </div>
+          <div className="flex gap-2 shrink-0">
+            {canManage && (
+              <a href="/parts" className="bg-slate-100 hover:bg-slate-200 text-slate-600 px-3 py-2 rounded-xl text-sm">
+                🛒 จัดซื้อ
+              </a>
+            )}
+            <a href="/" className="bg-slate-100 hover:bg-slate-200 text-slate-600 px-3 py-2 rounded-xl text-sm">
+              ← กลับหน้าหลัก
+            </a>
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-4xl mx-auto px-4 py-4 space-y-4">
+        {serviceRequest.status === 'order_parts' && (
+          <div className={`rounded-2xl p-3 text-sm ${blockReason ? 'bg-amber-50 text-amber-800' : 'bg-green-50 text-green-700'}`}>
+            {blockReason
+              ? `⛔ งานยังไปขั้นต่อไม่ได้ — ${blockReason}`
+              : '✅ อะไหล่เข้าครบแล้ว เปลี่ยนสถานะงานต่อได้'}
+          </div>
+        )}
+
+        <div className="bg-white rounded-2xl shadow-sm divide-y divide-slate-100">
+          {parts.length === 0 ? (
+            <p className="p-4 text-sm text-slate-500">ยังไม่มีรายการอะไหล่</p>
+          ) : parts.map(part => (
+            <div key={part.id} className="p-3 space-y-1 text-sm">
+              <div className="flex items-center justify-between gap-3">
+                <p className={`font-medium ${part.status === 'cancelled' ? 'text-slate-400 line-through' : 'text-slate-800'}`}>
+                  {part.name} × {part.quantity} {part.unit}
+                </p>
+                <span className={`shrink-0 px-2 py-0.5 rounded-lg text-xs font-medium ${PART_REQUEST_STATUS_CONFIG[part.status].className}`}>
+                  {PART_REQUEST_STATUS_CONFIG[part.status].icon} {PART_REQUEST_STATUS_CONFIG[part.status].label}
+                </span>
+              </div>
+              <p className="text-xs text-slate-500">
+                {[
+                  part.supplier && `🏪 ${part.supplier}`,
+                  `ทุน ฿${formatAmount(part.unitCost * part.quantity)}`,
+                  part.poNumber && `PO ${part.poNumber}`,
+                  part.expectedDate && part.status === 'ordered' && `นัดส่ง ${part.expectedDate}`,
+                ].filter(Boolean).join(' · ')}
+              </p>
+              <p className="text-xs text-slate-400">
+                ขอ {formatDate(part.createdAt)} โดย {part.createdBy}
+                {part.orderedAt && ` · สั่ง ${formatDate(part.orderedAt)} (${part.orderedBy})`}
+                {part.receivedAt && ` · รับ ${formatDate(part.receivedAt)} (${part.receivedBy})`}
+                {part.installedAt && ` · ติดตั้ง ${formatDate(part.installedAt)} (${part.installedBy})`}
+              </p>
+              <div className="flex flex-wrap gap-2 pt-1">
+                {canManage && part.status === 'requested' && (
+                  <button onClick={() => runAction(part, 'order')} disabled={isSaving} className="px-3 py-1.5 rounded-lg text-xs font-medium bg-blue-500 text-white hover:bg-blue-600 disabled:opacity-50">
+                    🚚 สั่งแล้ว
+                  </button>
+                )}
+                {canManage && (part.status === 'requested' || part.status === 'ordered') && (
+                  <button onClick={() => runAction(part, 'receive')} disabled={isSaving} className="px-3 py-1.5 rounded-lg text-xs font-medium bg-green-500 text-white hover:bg-green-600 disabled:opacity-50">
+                    📦 ของเข้าแล้ว
+                  </button>
+                )}
+                {part.status === 'received' && (
+                  <button onClick={() => runAction(part, 'install')} disabled={isSaving} className="px-3 py-1.5 rounded-lg text-xs font-medium bg-slate-100 text-slate-600 hover:bg-slate-200 disabled:opacity-50">
+                    🔧 ติดตั้งแล้ว
+                  </button>
+                )}
+                {canManage && (part.status === 'requested' || part.status === 'ordered') && (
+                  <button onClick={() => runAction(part, 'cancel')} disabled={isSaving} className="px-3 py-1.5 rounded-lg text-xs font-medium bg-red-50 text-red-600 hover:bg-red-100 disabled:opacity-50">
+                    ❌ ยกเลิก
+                  </button>
+                )}
+              </div>
+            </div>
+          ))}
+          {parts.length > 0 && (
+            <div className="p-3 flex justify-between text-sm font-medium text-slate-700">
+              <span>ต้นทุนอะไหล่รวม</span>
+              <span>฿{formatAmount(getPartsCost(parts))}</span>
+            </div>
+          )}
+        </div>
+
+        {/* ขออะไหล่เพิ่ม */}
+        <div className="bg-white rounded-2xl shadow-sm p-4 space-y-3">
+          <h2 className="font-semibold text-slate-700">➕ ขออะไหล่</h2>
+          <div className="grid grid-cols-2 md:grid-cols-6 gap-2">
+            <input
+              type="text"
+              list="parts-catalog"
+              value={form.name}
+              onChange={(e) => handleNameChange(e.target.value)}
+              placeholder="ชื่ออะไหล่ (เลือกจากแคตตาล็อกได้)"
+              className="col-span-2 px-3 py-2 border rounded-xl text-sm"
+            />
+            <datalist id="parts-catalog">
+              {catalog.map(part => (
+                <option key={part.id} value={part.name}>{[part.sku, part.supplier].filter(Boolean).join(' · ')}</option>
+              ))}
+            </datalist>
+            <input
+              type="number"
+              min={0}
+              step="any"
+              value={form.quantity}
+              onChange={(e) => setForm(prev => ({ ...prev, quantity: e.target.value }))}
+              placeholder="จำนวน"
+              className="px-3 py-2 border rounded-xl text-sm"
+            />
+            <input
+              type="text"
+              value={form.unit}
+              onChange={(e) => setForm(prev => ({ ...prev, unit: e.target.value }))}
+              placeholder="หน่วย"
+              className="px-3 py-2 border rounded-xl text-sm"
+            />
+            <input
+              type="text"
+              value={form.supplier}
+              onChange={(e) => setForm(prev => ({ ...prev, supplier: e.target.value }))}
+              placeholder="ร้าน"
+              className="px-3 py-2 border rounded-xl text-sm"
+            />
+            <input
+              type="number"
+              min={0}
+              step="any"
+              value={form.unitCost}
+              onChange={(e) => setForm(prev => ({ ...prev, unitCost: e.target.value }))}
+              placeholder="ทุน/หน่วย"
+              className="px-3 py-2 border rounded-xl text-sm"
+            />
+          </div>
+          <div className="flex justify-end">
+            <button
+              onClick={handleAdd}
+              disabled={isSaving}
+              className="bg-blue-500 hover:bg-blue-600 disabled:opacity-50 text-white px-4 py-2 rounded-xl text-sm font-medium"
+            >
+              + เพิ่มรายการ
+            </button>
+          </div>
+        </div>
+      </main>
+    </div>
+  )
+}
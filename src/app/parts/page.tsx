@@ -0,0 +1,307 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import { getStatusConfig } from '../../lib/STATUS_WORKFLOW'
+import { canManageParts } from '../../lib/roles'
+import { PART_REQUEST_STATUS_CONFIG } from '../../lib/parts'
+import type { Part } from '../../lib/types'
+import type { OutstandingPartRequest } from '../../lib/repositories/parts'
+
+const formatAmount = (amount: number) =>
+  amount.toLocaleString('th-TH', { minimumFractionDigits: 2, maximumFractionDigits: 2 })
+
+const today = () => new Date().toISOString().slice(0, 10)
+
+// ถามค่าตัวเลข — คืน undefined ถ้าเว้นว่าง, null ถ้ากดยกเลิกหรือกรอกผิด
+const promptNumber = (message: string, current: number): number | undefined | null => {
+  const input = window.prompt(message, String(current))
+  if (input === null) return null
+  if (!input.trim()) return undefined
+  const value = Number(input.replace(/,/g, ''))
+  if (!Number.isFinite(value) || value < 0) {
+    alert('ต้องเป็นตัวเลข')
+    return null
+  }
+  return value
+}
+
+export default function PurchasingPage() {
+  const [tab, setTab] = useState<'outstanding' | 'catalog'>('outstanding')
+  const [outstanding, setOutstanding] = useState<OutstandingPartRequest[]>([])
+  const [catalog, setCatalog] = useState<Part[]>([])
+  const [searchTerm, setSearchTerm] = useState('')
+  const [isLoading, setIsLoading] = useState(true)
+  const [isSaving, setIsSaving] = useState(false)
+  const [accessError, setAccessError] = useState('')
+
+  const loadOutstanding = async () => {
+    const res = await fetch('/api/parts/requests')
+    if (res.status === 401) {
+      setAccessError('กรุณาเข้าสู่ระบบก่อน')
+      return
+    }
+    const result = await res.json()
+    setOutstanding(result.data || [])
+  }
+
+  const loadCatalog = async (q: string) => {
+    const res = await fetch(`/api/parts?${new URLSearchParams({ all: '1', ...(q ? { q } : {}) })}`)
+    if (!res.ok) return
+    const result = await res.json()
+    setCatalog(result.data || [])
+  }
+
+  useEffect(() => {
+    fetch('/api/auth/session')
+      .then(res => (res.ok ? res.json() : null))
+      .then(async result => {
+        if (!result) {
+          setAccessError('กรุณาเข้าสู่ระบบก่อน')
+        } else if (!canManageParts(result.data.role)) {
+          setAccessError('หน้านี้สำหรับฝ่ายจัดซื้อ / admin')
+        } else {
+          await loadOutstanding()
+        }
+      })
+      .catch(() => setAccessError('โหลดข้อมูลไม่สำเร็จ'))
+      .finally(() => setIsLoading(false))
+  }, [])
+
+  // ค้นหาแคตตาล็อกหลังหยุดพิมพ์ 300ms
+  useEffect(() => {
+    if (tab !== 'catalog') return
+    const timer = setTimeout(() => loadCatalog(searchTerm.trim()), 300)
+    return () => clearTimeout(timer)
+  }, [tab, searchTerm])
+
+  const runAction = async (part: OutstandingPartRequest, action: 'order' | 'receive') => {
+    const details: Record<string, unknown> = {}
+    if (action === 'order') {
+      const supplier = window.prompt(`สั่ง "${part.name}" จากร้าน`, part.supplier)
+      if (supplier === null) return
+      const unitCost = promptNumber('ราคาทุนต่อหน่วย', part.unitCost)
+      if (unitCost === null) return
+      const poNumber = window.prompt('เลขที่ใบสั่งซื้อ / บิลร้าน (ถ้ามี)', part.poNumber)
+      if (poNumber === null) return
+      const expectedDate = window.prompt('ร้านนัดส่งวันที่ (YYYY-MM-DD, เว้นว่างได้)', part.expectedDate || today())
+      if (expectedDate === null) return
+      Object.assign(details, { supplier, poNumber, expectedDate: expectedDate.trim() }, unitCost !== undefined ? { unitCost } : {})
+    }
+
+    setIsSaving(true)
+    try {
+      const res = await fetch('/api/parts/requests/action', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ id: part.id, action, ...details })
+      })
+      const result = await res.json().catch(() => ({}))
+      if (!res.ok) {
+        alert(`ไม่สำเร็จ: ${result.error || 'เกิดข้อผิดพลาด'}`)
+        return
+      }
+      await loadOutstanding()
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  const savePart = async (method: 'POST' | 'PUT', body: Record<string, unknown>) => {
+    const res = await fetch('/api/parts', {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    })
+    const result = await res.json().catch(() => ({}))
+    if (!res.ok) {
+      alert(`บันทึกไม่สำเร็จ: ${result.error || 'เกิดข้อผิดพลาด'}`)
+      return
+    }
+    await loadCatalog(searchTerm.trim())
+  }
+
+  const handleAddPart = async () => {
+    const name = window.prompt('ชื่ออะไหล่')
+    if (!name?.trim()) return
+    const sku = window.prompt('รหัสสินค้า / รุ่น (ถ้ามี)') ?? ''
+    const unit = window.prompt('หน่วย เช่น ชิ้น, ตัว, เมตร') ?? ''
+    const supplier = window.prompt('ร้านที่ซื้อประจำ (ถ้ามี)') ?? ''
+    const unitCost = promptNumber('ราคาทุนต่อหน่วย', 0)
+    if (unitCost === null) return
+    const unitPrice = promptNumber('ราคาขายต่อหน่วย', 0)
+    if (unitPrice === null) return
+    await savePart('POST', { name, sku, unit, supplier, unitCost: unitCost ?? 0, unitPrice: unitPrice ?? 0 })
+  }
+
+  const handleEditPart = async (part: Part) => {
+    const name = window.prompt('ชื่ออะไหล่', part.name)
+    if (name === null || !name.trim()) return
+    const supplier = window.prompt('ร้านที่ซื้อประจำ', part.supplier)
+    if (supplier === null) return
+    const unitCost = promptNumber('ราคาทุนต่อหน่วย', part.unitCost)
+    if (unitCost === null) return
+    const unitPrice = promptNumber('ราคาขายต่อหน่วย', part.unitPrice)
+    if (unitPrice === null) return
+    await savePart('PUT', {
+      id: part.id,
+      name,
+      supplier,
+      ...(unitCost !== undefined ? { unitCost } : {}),
+      ...(unitPrice !== undefined ? { unitPrice } : {}),
+    })
+  }
+
+  if (isLoading) {
+    return (
+      <div className="min-h-screen bg-slate-50 flex items-center justify-center">
+        <div className="animate-spin w-10 h-10 border-4 border-blue-500 border-t-transparent rounded-full"></div>
+      </div>
+    )
+  }
+
+  if (accessError) {
+    return (
+      <div className="min-h-screen bg-slate-50 flex items-center justify-center p-4">
+        <div className="bg-white rounded-2xl shadow p-8 text-center space-y-4">
+          <p className="text-slate-700">{accessError}</p>
+          <a href="/" className="inline-block bg-blue-500 hover:bg-blue-600 text-white px-4 py-2 rounded-xl text-sm font-medium">
+            กลับหน้าหลัก
+          </a>
+        </div>
+      </div>
+    )
+  }
+
+  // จัดกลุ่มตามร้าน — สั่งทีเดียวหลายรายการจากร้านเดียวกันได้
+  const bySupplier = outstanding.reduce<Record<string, OutstandingPartRequest[]>>((groups, part) => {
+    const key = part.supplier || 'ยังไม่ระบุร้าน'
+    ;(groups[key] ??= []).push(part)
+    return groups
+  }, {})
+  const overdue = outstanding.filter(p => p.status === 'ordered' && p.expectedDate && p.expectedDate < today())
+
+  return (
+    <div className="min-h-screen bg-slate-50">
+      <header className="bg-white shadow-sm sticky top-0 z-40">
+        <div className="max-w-4xl mx-auto px-4 py-3 flex items-center justify-between">
+          <h1 className="text-lg font-bold text-slate-800">🛒 จัดซื้ออะไหล่</h1>
+          <a href="/" className="bg-slate-100 hover:bg-slate-200 text-slate-600 px-3 py-2 rounded-xl text-sm">
+            ← กลับหน้าหลัก
+          </a>
+        </div>
+      </header>
+
+      <main className="max-w-4xl mx-auto px-4 py-4 space-y-4">
+        <div className="flex gap-2">
+          {([
+            ['outstanding', `📋 ค้างสั่ง / ค้างรับ (${outstanding.length})`],
+            ['catalog', '📚 แคตตาล็อก'],
+          ] as const).map(([value, label]) => (
+            <button
+              key={value}
+              onClick={() => setTab(value)}
+              className={`px-4 py-2 rounded-xl text-sm font-medium ${tab === value ? 'bg-blue-500 text-white' : 'bg-white text-slate-600 hover:bg-slate-100'}`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+
+        {tab === 'outstanding' && (
+          <>
+            {overdue.length > 0 && (
+              <div className="rounded-2xl p-3 text-sm bg-red-50 text-red-700">
+                ⚠️ เลยวันนัดส่งแล้ว {overdue.length} รายการ: {overdue.map(p => `${p.name} (${p.requestNo})`).join(', ')}
+              </div>
+            )}
+            {outstanding.length === 0 ? (
+              <div className="bg-white rounded-2xl shadow-sm p-4 text-sm text-slate-500">ไม่มีอะไหล่ค้าง 🎉</div>
+            ) : Object.entries(bySupplier).map(([supplier, items]) => (
+              <div key={supplier} className="space-y-2">
+                <h2 className="font-semibold text-slate-700">🏪 {supplier} ({items.length})</h2>
+                <div className="bg-white rounded-2xl shadow-sm divide-y divide-slate-100">
+                  {items.map(part => (
+                    <div key={part.id} className="p-3 space-y-1 text-sm">
+                      <div className="flex items-center justify-between gap-3">
+                        <p className="font-medium text-slate-800">{part.name} × {part.quantity} {part.unit}</p>
+                        <span className={`shrink-0 px-2 py-0.5 rounded-lg text-xs font-medium ${PART_REQUEST_STATUS_CONFIG[part.status].className}`}>
+                          {PART_REQUEST_STATUS_CONFIG[part.status].icon} {PART_REQUEST_STATUS_CONFIG[part.status].label}
+                        </span>
+                      </div>
+                      <p className="text-xs text-slate-500">
+                        <a href={`/parts/${part.requestId}`} className="text-blue-600 hover:underline">{part.requestNo}</a>
+                        {` · ${part.customerName} · `}
+                        {getStatusConfig(part.requestStatus).icon} {getStatusConfig(part.requestStatus).label}
+                      </p>
+                      <p className="text-xs text-slate-400">
+                        {[
+                          `ทุน ฿${formatAmount(part.unitCost * part.quantity)}`,
+                          part.poNumber && `PO ${part.poNumber}`,
+                          part.expectedDate && `นัดส่ง ${part.expectedDate}`,
+                          `ขอโดย ${part.createdBy}`,
+                        ].filter(Boolean).join(' · ')}
+                      </p>
+                      <div className="flex gap-2 pt-1">
+                        {part.status === 'requested' && (
+                          <button onClick={() => runAction(part, 'order')} disabled={isSaving} className="px-3 py-1.5 rounded-lg text-xs font-medium bg-blue-500 text-white hover:bg-blue-600 disabled:opacity-50">
+                            🚚 สั่งแล้ว
+                          </button>
+                        )}
+                        <button onClick={() => runAction(part, 'receive')} disabled={isSaving} className="px-3 py-1.5 rounded-lg text-xs font-medium bg-green-500 text-white hover:bg-green-600 disabled:opacity-50">
+                          📦 ของเข้าแล้ว
+                        </button>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            ))}
+          </>
+        )}
+
+        {tab === 'catalog' && (
+          <>
+            <div className="flex gap-2">
+              <input
+                type="text"
+                value={searchTerm}
+                onChange={(e) => setSearchTerm(e.target.value)}
+                placeholder="🔍 ค้นหาชื่อ รหัส หรือร้าน"
+                className="flex-1 px-4 py-2 border rounded-xl text-sm bg-white"
+              />
+              <button onClick={handleAddPart} className="bg-blue-500 hover:bg-blue-600 text-white px-3 py-2 rounded-xl text-sm font-medium">
+                + เพิ่มอะไหล่
+              </button>
+            </div>
+            <div className="bg-white rounded-2xl shadow-sm divide-y divide-slate-100">
+              {catalog.length === 0 ? (
+                <p className="p-4 text-sm text-slate-500">ไม่พบอะไหล่</p>
+              ) : catalog.map(part => (
+                <div key={part.id} className={`p-3 flex items-start justify-between gap-3 text-sm ${part.active ? '' : 'opacity-50'}`}>
+                  <div className="min-w-0">
+                    <p className="font-medium text-slate-800">
+                      {part.name}
+                      {part.sku && <span className="ml-2 text-xs text-slate-400">{part.sku}</span>}
+                    </p>
+                    <p className="text-xs text-slate-500">
+                      {[part.supplier && `🏪 ${part.supplier}`, part.unit && `หน่วย: ${part.unit}`].filter(Boolean).join(' · ') || '-'}
+                    </p>
+                  </div>
+                  <div className="shrink-0 text-right text-xs space-y-1">
+                    <p className="text-slate-500">ทุน ฿{formatAmount(part.unitCost)} · ขาย ฿{formatAmount(part.unitPrice)}</p>
+                    <div className="flex justify-end gap-2">
+                      <button onClick={() => handleEditPart(part)} className="text-blue-600 hover:underline">แก้ไข</button>
+                      <button onClick={() => savePart('PUT', { id: part.id, active: !part.active })} className="text-slate-500 hover:underline">
+                        {part.active ? 'เลิกใช้' : 'ใช้อีกครั้ง'}
+                      </button>
+                    </div>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </>
+        )}
+      </main>
+    </div>
+  )
+}
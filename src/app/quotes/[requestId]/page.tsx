@@ -0,0 +1,496 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import { useParams } from 'next/navigation'
+import { getStatusConfig } from '../../../lib/STATUS_WORKFLOW'
+import { canManageQuotes } from '../../../lib/roles'
+import {
+  DEFAULT_VALID_DAYS,
+  QUOTE_ITEM_KINDS,
+  QUOTE_ITEM_KIND_LABELS,
+  QUOTE_STATUS_CONFIG,
+  VAT_RATE,
+  calculateQuoteTotals,
+  getLineTotal,
+} from '../../../lib/quotes'
+import type { Quote, QuoteDiscountType, QuoteItem, ServiceRequest } from '../../../lib/types'
+
+const formatDate = (dateStr: string) => {
+  if (!dateStr) return '-'
+  return new Date(dateStr).toLocaleDateString('th-TH', {
+    day: 'numeric',
+    month: 'short',
+    year: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit'
+  })
+}
+
+const formatAmount = (amount: number) =>
+  amount.toLocaleString('th-TH', { minimumFractionDigits: 2, maximumFractionDigits: 2 })
+
+const emptyItem = (): QuoteItem => ({ kind: 'part', description: '', quantity: 1, unit: '', unitPrice: 0, discount: 0 })
+
+interface QuoteDraft {
+  items: QuoteItem[]
+  discountType: QuoteDiscountType
+  discountValue: number
+  vatRate: number
+  validDays: number
+  notes: string
+}
+
+const newDraft = (): QuoteDraft => ({
+  items: [emptyItem()],
+  discountType: 'amount',
+  discountValue: 0,
+  vatRate: VAT_RATE,
+  validDays: DEFAULT_VALID_DAYS,
+  notes: '',
+})
+
+const toDraft = (quote: Quote): QuoteDraft => ({
+  items: quote.items,
+  discountType: quote.discountType,
+  discountValue: quote.discountValue,
+  vatRate: quote.vatRate,
+  validDays: quote.validDays,
+  notes: quote.notes,
+})
+
+export default function QuotesPage() {
+  const { requestId } = useParams<{ requestId: string }>()
+  const [serviceRequest, setServiceRequest] = useState<ServiceRequest | null>(null)
+  const [quotes, setQuotes] = useState<Quote[]>([])
+  const [draft, setDraft] = useState<QuoteDraft>(newDraft)
+  const [canManage, setCanManage] = useState(false)
+  const [isLoading, setIsLoading] = useState(true)
+  const [isSaving, setIsSaving] = useState(false)
+  const [accessError, setAccessError] = useState('')
+
+  // ฉบับร่าง (ถ้ามี) คือฉบับล่าสุดเสมอ — ฉบับอื่นดูได้อย่างเดียว
+  const draftQuote = quotes.find(q => q.status === 'draft') ?? null
+
+  const loadQuotes = async () => {
+    try {
+      const res = await fetch(`/api/quotes?requestId=${encodeURIComponent(requestId)}`)
+      if (res.status === 401 || res.status === 404) {
+        setAccessError(res.status === 401 ? 'กรุณาเข้าสู่ระบบก่อน' : 'ไม่พบงานนี้')
+        return
+      }
+      const result = await res.json()
+      const list: Quote[] = result.data || []
+      setServiceRequest(result.request)
+      setQuotes(list)
+      const currentDraft = list.find(q => q.status === 'draft')
+      setDraft(currentDraft ? toDraft(currentDraft) : newDraft())
+    } catch (error) {
+      console.error('Error loading quotes:', error)
+      setAccessError('โหลดใบเสนอราคาไม่สำเร็จ')
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  useEffect(() => {
+    loadQuotes()
+    fetch('/api/auth/session')
+      .then(res => (res.ok ? res.json() : null))
+      .then(result => setCanManage(!!result && canManageQuotes(result.data.role)))
+      .catch(() => setCanManage(false))
+  }, [requestId])
+
+  const updateItem = (index: number, changes: Partial<QuoteItem>) => {
+    setDraft(prev => ({ ...prev, items: prev.items.map((item, i) => (i === index ? { ...item, ...changes } : item)) }))
+  }
+
+  const removeItem = (index: number) => {
+    setDraft(prev => ({ ...prev, items: prev.items.filter((_, i) => i !== index) }))
+  }
+
+  const moveItem = (index: number, offset: number) => {
+    setDraft(prev => {
+      const items = [...prev.items]
+      const target = index + offset
+      if (target < 0 || target >= items.length) return prev
+      ;[items[index], items[target]] = [items[target]!, items[index]!]
+      return { ...prev, items }
+    })
+  }
+
+  const saveDraft = async (): Promise<Quote | null> => {
+    const items = draft.items.filter(item => item.description.trim())
+    if (items.length === 0) {
+      alert('กรุณาเพิ่มรายการอย่างน้อย 1 รายการ')
+      return null
+    }
+
+    setIsSaving(true)
+    try {
+      const res = await fetch('/api/quotes', {
+        method: draftQuote ? 'PUT' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          ...(draftQuote ? { id: draftQuote.id } : { requestId }),
+          ...draft,
+          items,
+        })
+      })
+      const result = await res.json().catch(() => ({}))
+      if (!res.ok) {
+        alert(`บันทึกไม่สำเร็จ: ${result.error || 'เกิดข้อผิดพลาด'}`)
+        return null
+      }
+      await loadQuotes()
+      return result.data
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  const runAction = async (quote: Quote, action: 'send' | 'approve' | 'reject' | 'revise'): Promise<boolean> => {
+    setIsSaving(true)
+    try {
+      const res = await fetch('/api/quotes/action', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ id: quote.id, action })
+      })
+      const result = await res.json().catch(() => ({}))
+      if (!res.ok) {
+        alert(`ไม่สำเร็จ: ${result.error || 'เกิดข้อผิดพลาด'}`)
+        return false
+      }
+      await loadQuotes()
+      return true
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  // บันทึกฉบับร่างล่าสุดก่อน แล้วค่อยส่ง (ยอดที่ส่งต้องตรงกับที่เห็นบนจอ)
+  const handleSend = async () => {
+    const saved = await saveDraft()
+    if (!saved) return
+    if (!confirm(`ส่ง ${saved.quoteNo} ยอด ฿${formatAmount(saved.total)} ให้ลูกค้า?\n(แก้ไขไม่ได้อีก ต้องออกฉบับใหม่แทน)`)) return
+    if (!await runAction(saved, 'send')) return
+    window.open(`/api/quotes/pdf?id=${encodeURIComponent(saved.id)}`, '_blank')
+  }
+
+  const handleRespond = async (quote: Quote, action: 'approve' | 'reject') => {
+    const label = action === 'approve' ? 'อนุมัติ' : 'ไม่อนุมัติ'
+    if (!confirm(`บันทึกว่าลูกค้า "${label}" ${quote.quoteNo}?`)) return
+    await runAction(quote, action)
+  }
+
+  if (isLoading) {
+    return (
+      <div className="min-h-screen bg-slate-50 flex items-center justify-center">
+        <div className="animate-spin w-10 h-10 border-4 border-blue-500 border-t-transparent rounded-full"></div>
+      </div>
+    )
+  }
+
+  if (accessError || !serviceRequest) {
+    return (
+      <div className="min-h-screen bg-slate-50 flex items-center justify-center p-4">
+        <div className="bg-white rounded-2xl shadow p-8 text-center space-y-4">
+          <p className="text-slate-700">{accessError || 'ไม่พบงานนี้'}</p>
+          <a href="/" className="inline-block bg-blue-500 hover:bg-blue-600 text-white px-4 py-2 rounded-xl text-sm font-medium">
+            กลับหน้าหลัก
+          </a>
+        </div>
+      </div>
+    )
+  }
+
+  const totals = calculateQuoteTotals(draft)
+  const showEditor = canManage && (draftQuote !== null || quotes.length === 0)
+  // ออกฉบับใหม่จากฉบับล่าสุดที่ส่งไปแล้ว (ไม่มีร่างค้าง)
+  const latestSent = quotes.find(q => q.status !== 'draft' && q.status !== 'superseded')
+
+  return (
+    <div className="min-h-screen bg-slate-50">
+      <header className="bg-white shadow-sm sticky top-0 z-40">
+        <div className="max-w-5xl mx-auto px-4 py-3 flex items-center justify-between gap-3">
+          <div className="min-w-0">
+            <h1 className="text-lg font-bold text-slate-800 truncate">💰 ใบเสนอราคา · {serviceRequest.requestNo}</h1>
+            <p className="text-xs text-slate-500 truncate">
+              {serviceRequest.customerName} · {serviceRequest.serviceType}
+              <span className={`ml-2 px-2 py-0.5 rounded-lg text-xs font-medium text-white ${getStatusConfig(serviceRequest.status).color}`}>
+                {getStatusConfig(serviceRequest.status).icon} {getStatusConfig(serviceRequest.status).label}
+              </span>
+            </p>
+          </div>
+          <div className="flex gap-2 shrink-0">
+            {serviceRequest.customerId && (
+              <a href={`/customers/${serviceRequest.customerId}`} className="bg-slate-100 hover:bg-slate-200 text-slate-600 px-3 py-2 rounded-xl text-sm">
+                👥 ลูกค้า
+              </a>
+            )}
+            <a href="/" className="bg-slate-100 hover:bg-slate-200 text-slate-600 px-3 py-2 rounded-xl text-sm">
+              ← กลับหน้าหลัก
+            </a>
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-5xl mx-auto px-4 py-4 space-y-4">
+        {/* ตัวแก้ไขฉบับร่าง */}
+        {showEditor && (
+          <div className="bg-white rounded-2xl shadow-sm p-4 space-y-4">
+            <div className="flex items-center justify-between">
+              <h2 className="font-semibold text-slate-700">
+                {draftQuote ? `✏️ ${draftQuote.quoteNo} (ร่าง)` : '➕ ใบเสนอราคาใหม่'}
+              </h2>
+              <button
+                onClick={() => setDraft(prev => ({ ...prev, items: [...prev.items, emptyItem()] }))}
+                className="bg-slate-100 hover:bg-slate-200 text-slate-600 px-3 py-1.5 rounded-lg text-sm"
+              >
+                + เพิ่มรายการ
+              </button>
+            </div>
+
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-xs text-slate-500 border-b">
+                    <th className="py-2 pr-2 w-28">ประเภท</th>
+                    <th className="py-2 pr-2">รายการ</th>
+                    <th className="py-2 pr-2 w-20">จำนวน</th>
+                    <th className="py-2 pr-2 w-20">หน่วย</th>
+                    <th className="py-2 pr-2 w-28">ราคา/หน่วย</th>
+                    <th className="py-2 pr-2 w-24">ส่วนลด</th>
+                    <th className="py-2 pr-2 w-28 text-right">จำนวนเงิน</th>
+                    <th className="py-2 w-20"></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {draft.items.map((item, index) => (
+                    <tr key={index} className="border-b border-slate-100 align-top">
+                      <td className="py-2 pr-2">
+                        <select
+                          value={item.kind}
+                          onChange={(e) => updateItem(index, { kind: e.target.value as QuoteItem['kind'] })}
+                          className="w-full px-2 py-1.5 border rounded-lg text-sm"
+                        >
+                          {QUOTE_ITEM_KINDS.map(kind => (
+                            <option key={kind} value={kind}>{QUOTE_ITEM_KIND_LABELS[kind]}</option>
+                          ))}
+                        </select>
+                      </td>
+                      <td className="py-2 pr-2">
+                        <textarea
+                          value={item.description}
+                          onChange={(e) => updateItem(index, { description: e.target.value })}
+                          rows={1}
+                          placeholder="เช่น คอมเพรสเซอร์ 18000 BTU"
+                          className="w-full px-2 py-1.5 border rounded-lg text-sm"
+                        />
+                      </td>
+                      <td className="py-2 pr-2">
+                        <input
+                          type="number"
+                          min={0}
+                          step="any"
+                          value={item.quantity}
+                          onChange={(e) => updateItem(index, { quantity: Number(e.target.value) || 0 })}
+                          className="w-full px-2 py-1.5 border rounded-lg text-sm text-right"
+                        />
+                      </td>
+                      <td className="py-2 pr-2">
+                        <input
+                          type="text"
+                          value={item.unit}
+                          onChange={(e) => updateItem(index, { unit: e.target.value })}
+                          placeholder="ชิ้น"
+                          className="w-full px-2 py-1.5 border rounded-lg text-sm"
+                        />
+                      </td>
+                      <td className="py-2 pr-2">
+                        <input
+                          type="number"
+                          min={0}
+                          step="any"
+                          value={item.unitPrice}
+                          onChange={(e) => updateItem(index, { unitPrice: Number(e.target.value) || 0 })}
+                          className="w-full px-2 py-1.5 border rounded-lg text-sm text-right"
+                        />
+                      </td>
+                      <td className="py-2 pr-2">
+                        <input
+                          type="number"
+                          min={0}
+                          step="any"
+                          value={item.discount}
+                          onChange={(e) => updateItem(index, { discount: Number(e.target.value) || 0 })}
+                          className="w-full px-2 py-1.5 border rounded-lg text-sm text-right"
+                        />
+                      </td>
+                      <td className="py-2 pr-2 text-right font-medium text-slate-800 whitespace-nowrap">
+                        {formatAmount(getLineTotal(item))}
+                      </td>
+                      <td className="py-2 whitespace-nowrap text-right">
+                        <button onClick={() => moveItem(index, -1)} className="px-1 text-slate-400 hover:text-slate-700" title="เลื่อนขึ้น">↑</button>
+                        <button onClick={() => moveItem(index, 1)} className="px-1 text-slate-400 hover:text-slate-700" title="เลื่อนลง">↓</button>
+                        <button onClick={() => removeItem(index)} className="px-1 text-red-400 hover:text-red-600" title="ลบรายการ">✕</button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            <div className="grid md:grid-cols-2 gap-4">
+              <div className="space-y-3">
+                <div className="flex items-center gap-2 text-sm">
+                  <span className="text-slate-600 w-28">ส่วนลดท้ายบิล</span>
+                  <input
+                    type="number"
+                    min={0}
+                    step="any"
+                    value={draft.discountValue}
+                    onChange={(e) => setDraft(prev => ({ ...prev, discountValue: Number(e.target.value) || 0 }))}
+                    className="w-28 px-2 py-1.5 border rounded-lg text-sm text-right"
+                  />
+                  <select
+                    value={draft.discountType}
+                    onChange={(e) => setDraft(prev => ({ ...prev, discountType: e.target.value as QuoteDiscountType }))}
+                    className="px-2 py-1.5 border rounded-lg text-sm"
+                  >
+                    <option value="amount">บาท</option>
+                    <option value="percent">%</option>
+                  </select>
+                </div>
+                <label className="flex items-center gap-2 text-sm text-slate-600">
+                  <input
+                    type="checkbox"
+                    checked={draft.vatRate > 0}
+                    onChange={(e) => setDraft(prev => ({ ...prev, vatRate: e.target.checked ? VAT_RATE : 0 }))}
+                  />
+                  คิดภาษีมูลค่าเพิ่ม {Math.round(VAT_RATE * 100)}%
+                </label>
+                <div className="flex items-center gap-2 text-sm">
+                  <span className="text-slate-600 w-28">ยืนราคา (วัน)</span>
+                  <input
+                    type="number"
+                    min={1}
+                    max={365}
+                    value={draft.validDays}
+                    onChange={(e) => setDraft(prev => ({ ...prev, validDays: Number(e.target.value) || DEFAULT_VALID_DAYS }))}
+                    className="w-28 px-2 py-1.5 border rounded-lg text-sm text-right"
+                  />
+                </div>
+                <textarea
+                  value={draft.notes}
+                  onChange={(e) => setDraft(prev => ({ ...prev, notes: e.target.value }))}
+                  rows={3}
+                  placeholder="หมายเหตุ (แสดงในใบเสนอราคา) เช่น เงื่อนไขการรับประกัน"
+                  className="w-full px-3 py-2 border rounded-xl text-sm"
+                />
+              </div>
+
+              <div className="bg-slate-50 rounded-xl p-4 space-y-1 text-sm">
+                <div className="flex justify-between"><span className="text-slate-600">รวมเป็นเงิน</span><span>{formatAmount(totals.subtotal)}</span></div>
+                {totals.discountAmount > 0 && (
+                  <div className="flex justify-between"><span className="text-slate-600">ส่วนลด</span><span>-{formatAmount(totals.discountAmount)}</span></div>
+                )}
+                {draft.vatRate > 0 && (
+                  <div className="flex justify-between"><span className="text-slate-600">VAT {Math.round(draft.vatRate * 100)}%</span><span>{formatAmount(totals.vatAmount)}</span></div>
+                )}
+                <div className="flex justify-between pt-2 border-t font-bold text-slate-800 text-base">
+                  <span>ยอดรวมสุทธิ</span><span>฿{formatAmount(totals.total)}</span>
+                </div>
+              </div>
+            </div>
+
+            <div className="flex justify-end gap-2">
+              <button
+                onClick={saveDraft}
+                disabled={isSaving}
+                className="bg-slate-100 hover:bg-slate-200 disabled:opacity-50 text-slate-700 px-4 py-2 rounded-xl text-sm font-medium"
+              >
+                💾 บันทึกร่าง
+              </button>
+              <button
+                onClick={handleSend}
+                disabled={isSaving}
+                className="bg-teal-500 hover:bg-teal-600 disabled:opacity-50 text-white px-4 py-2 rounded-xl text-sm font-medium"
+              >
+                📤 บันทึกและส่งลูกค้า
+              </button>
+            </div>
+          </div>
+        )}
+
+        {canManage && !showEditor && latestSent && (
+          <button
+            onClick={() => runAction(latestSent, 'revise')}
+            disabled={isSaving}
+            className="w-full bg-white hover:bg-slate-100 disabled:opacity-50 border border-dashed border-slate-300 text-slate-600 px-4 py-3 rounded-2xl text-sm"
+          >
+            🔁 ออกฉบับใหม่ (คัดลอกจาก {latestSent.quoteNo})
+          </button>
+        )}
+
+        {/* ทุกฉบับของงานนี้ */}
+        <div className="space-y-2">
+          <h2 className="font-semibold text-slate-700">ทุกฉบับ ({quotes.length})</h2>
+          <div className="bg-white rounded-2xl shadow-sm divide-y divide-slate-100">
+            {quotes.length === 0 ? (
+              <p className="p-4 text-sm text-slate-500">ยังไม่มีใบเสนอราคา</p>
+            ) : quotes.map(quote => (
+              <div key={quote.id} className="p-3 space-y-1 text-sm">
+                <div className="flex items-center justify-between gap-3">
+                  <p className="font-medium text-slate-800">
+                    {quote.quoteNo}
+                    <span className={`ml-2 px-2 py-0.5 rounded-lg text-xs font-medium ${QUOTE_STATUS_CONFIG[quote.status].className}`}>
+                      {QUOTE_STATUS_CONFIG[quote.status].label}
+                    </span>
+                  </p>
+                  <p className="shrink-0 font-medium text-slate-800">฿{formatAmount(quote.total)}</p>
+                </div>
+                <p className="text-xs text-slate-500">
+                  สร้าง {formatDate(quote.createdAt)} โดย {quote.createdBy}
+                  {quote.sentAt && ` · ส่ง ${formatDate(quote.sentAt)} โดย ${quote.sentBy}`}
+                  {quote.respondedAt && ` · ตอบกลับ ${formatDate(quote.respondedAt)} (${quote.respondedBy})`}
+                </p>
+                <p className="text-xs text-slate-400">
+                  {quote.items.length} รายการ · {quote.items.map(item => item.description).join(', ')}
+                </p>
+                <div className="flex flex-wrap gap-2 pt-1">
+                  <a
+                    href={`/api/quotes/pdf?id=${encodeURIComponent(quote.id)}`}
+                    target="_blank"
+                    rel="noreferrer"
+                    className="px-3 py-1.5 rounded-lg text-xs font-medium bg-slate-100 text-slate-600 hover:bg-slate-200"
+                  >
+                    📄 PDF
+                  </a>
+                  {quote.status === 'sent' && (
+                    <>
+                      <button
+                        onClick={() => handleRespond(quote, 'approve')}
+                        disabled={isSaving}
+                        className="px-3 py-1.5 rounded-lg text-xs font-medium bg-green-500 text-white hover:bg-green-600 disabled:opacity-50"
+                      >
+                        ✅ ลูกค้าอนุมัติ
+                      </button>
+                      <button
+                        onClick={() => handleRespond(quote, 'reject')}
+                        disabled={isSaving}
+                        className="px-3 py-1.5 rounded-lg text-xs font-medium bg-red-50 text-red-600 hover:bg-red-100 disabled:opacity-50"
+                      >
+                        ❌ ลูกค้าไม่อนุมัติ
+                      </button>
+                    </>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      </main>
+    </div>
+  )
+}
@@ -0,0 +1,320 @@
+'use client'
+
+import { useState } from 'react'
+
+type ReconcileAction = 'in_sync' | 'create_in_db' | 'push_to_sheet' | 'pull_from_sheet' | 'conflict'
+type Resolution = 'db' | 'sheet'
+
+interface ReconcileItem {
+  id: string
+  requestNo: string
+  customerName: string
+  action: ReconcileAction
+  reason: string
+  resolvable: boolean
+  diffs: { field: string; db: string; sheet: string }[]
+  dbUpdatedAt: string | null
+  sheetUpdatedAt: string | null
+}
+
+interface ReconcileReport {
+  generatedAt: string
+  summary: Record<ReconcileAction, number>
+  items: ReconcileItem[]
+}
+
+interface NumberReport {
+  format: string
+  example: string
+  duplicates: {
+    requestNo: string
+    requests: { id: string; requestNo: string; customerName: string; status: string; createdAt: string }[]
+  }[]
+}
+
+const ACTION_CONFIG: Record<ReconcileAction, { label: string; className: string }> = {
+  in_sync: { label: 'ตรงกันแล้ว', className: 'bg-green-100 text-green-700' },
+  create_in_db: { label: 'เพิ่มเข้าระบบ', className: 'bg-blue-100 text-blue-700' },
+  pull_from_sheet: { label: 'อัปเดตจาก Sheet', className: 'bg-indigo-100 text-indigo-700' },
+  push_to_sheet: { label: 'เขียนทับ Sheet', className: 'bg-amber-100 text-amber-700' },
+  conflict: { label: 'ขัดแย้ง', className: 'bg-red-100 text-red-700' },
+}
+
+const ACTION_ORDER: ReconcileAction[] = ['conflict', 'create_in_db', 'push_to_sheet']
+
+const formatDateTime = (iso: string | null) =>
+  iso ? new Date(iso).toLocaleString('th-TH', { day: 'numeric', month: 'short', year: '2-digit', hour: '2-digit', minute: '2-digit' }) : '-'
+
+export default function ReconcilePage() {
+  const [report, setReport] = useState<ReconcileReport | null>(null)
+  const [resolutions, setResolutions] = useState<Record<string, Resolution>>({})
+  const [isLoading, setIsLoading] = useState(false)
+  const [isApplying, setIsApplying] = useState(false)
+  const [numberReport, setNumberReport] = useState<NumberReport | null>(null)
+  const [renumberingId, setRenumberingId] = useState<string | null>(null)
+
+  const loadReport = async () => {
+    setIsLoading(true)
+    try {
+      const res = await fetch('/api/reconcile')
+      const result = await res.json().catch(() => ({}))
+      if (!res.ok) {
+        alert(`ตรวจสอบไม่สำเร็จ: ${result.details || result.error || 'เกิดข้อผิดพลาด'}`)
+        return
+      }
+      setReport(result.data)
+      setResolutions({})
+    } catch (error) {
+      console.error('Error loading reconcile report:', error)
+      alert('ตรวจสอบไม่สำเร็จ กรุณาลองใหม่')
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  const handleApply = async () => {
+    if (!report) return
+    const pending = report.items.length - report.summary.conflict + Object.keys(resolutions).length
+    if (!confirm(`นำการเปลี่ยนแปลง ${pending} รายการไปใช้? (conflict ที่ยังไม่เลือกจะถูกข้าม)`)) return
+
+    setIsApplying(true)
+    try {
+      const res = await fetch('/api/reconcile', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ resolutions })
+      })
+      const result = await res.json().catch(() => ({}))
+      if (!res.ok) {
+        alert(`นำไปใช้ไม่สำเร็จ: ${result.details || result.error || 'เกิดข้อผิดพลาด'}`)
+        return
+      }
+      const { applied, skipped, failed } = result.data
+      alert(
+        `สำเร็จ ${applied} รายการ, ข้าม ${skipped} รายการ` +
+        (failed.length ? `\nไม่สำเร็จ ${failed.length} รายการ: ${failed.map((f: { id: string; error: string }) => `${f.id} (${f.error})`).join(', ')}` : '') +
+        '\n\nการเขียนลง Sheet อยู่ในคิวส่งข้อมูล'
+      )
+      await loadReport()
+    } finally {
+      setIsApplying(false)
+    }
+  }
+
+  const loadNumberReport = async () => {
+    try {
+      const res = await fetch('/api/requests/numbers')
+      const result = await res.json().catch(() => ({}))
+      if (!res.ok) {
+        alert(`ตรวจเลขที่งานไม่สำเร็จ: ${result.details || result.error || 'เกิดข้อผิดพลาด'}`)
+        return
+      }
+      setNumberReport(result.data)
+    } catch (error) {
+      console.error('Error loading request numbers:', error)
+      alert('ตรวจเลขที่งานไม่สำเร็จ กรุณาลองใหม่')
+    }
+  }
+
+  const handleRenumber = async (requestNo: string, id: string, customerName: string) => {
+    if (!confirm(`ออกเลขที่งานใหม่ให้ "${customerName}" (เลขเดิม ${requestNo})?\nเลขเดิมจะถูกบันทึกไว้ในประวัติงาน`)) return
+
+    setRenumberingId(id)
+    try {
+      const res = await fetch('/api/requests/numbers', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ id })
+      })
+      const result = await res.json().catch(() => ({}))
+      if (!res.ok) {
+        alert(`ออกเลขใหม่ไม่สำเร็จ: ${result.details || result.error || 'เกิดข้อผิดพลาด'}`)
+        return
+      }
+      alert(`เลขที่งานใหม่: ${result.data.requestNo}`)
+      await loadNumberReport()
+    } finally {
+      setRenumberingId(null)
+    }
+  }
+
+  const renderItem = (item: ReconcileItem) => (
+    <div key={item.id} className="p-4 space-y-2">
+      <div className="flex items-start justify-between gap-3">
+        <div>
+          <p className="font-medium text-slate-800">
+            {item.requestNo || `#${item.id}`} · {item.customerName || '-'}
+            <span className={`ml-2 text-xs px-2 py-0.5 rounded-full ${ACTION_CONFIG[item.action].className}`}>
+              {ACTION_CONFIG[item.action].label}
+            </span>
+          </p>
+          <p className="text-xs text-slate-500">{item.reason}</p>
+          <p className="text-xs text-slate-400">
+            แก้ล่าสุด — ระบบ: {formatDateTime(item.dbUpdatedAt)} · Sheet: {formatDateTime(item.sheetUpdatedAt)}
+          </p>
+        </div>
+        {item.action === 'conflict' && item.resolvable && (
+          <div className="flex shrink-0 gap-1">
+            {(['db', 'sheet'] as Resolution[]).map(side => (
+              <button
+                key={side}
+                onClick={() => setResolutions(prev => {
+                  const next = { ...prev }
+                  if (next[item.id] === side) delete next[item.id]
+                  else next[item.id] = side
+                  return next
+                })}
+                className={`px-3 py-1.5 rounded-lg text-xs ${resolutions[item.id] === side ? 'bg-blue-500 text-white' : 'bg-slate-100 hover:bg-slate-200 text-slate-600'}`}
+              >
+                {side === 'db' ? 'ใช้ข้อมูลระบบ' : 'ใช้ข้อมูล Sheet'}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+      {item.diffs.length > 0 && (
+        <table className="w-full text-xs">
+          <thead>
+            <tr className="text-left text-slate-400">
+              <th className="font-normal w-32">ฟิลด์</th>
+              <th className="font-normal">ในระบบ</th>
+              <th className="font-normal">ใน Sheet</th>
+            </tr>
+          </thead>
+          <tbody>
+            {item.diffs.map(diff => (
+              <tr key={diff.field} className="align-top">
+                <td className="text-slate-500 pr-2">{diff.field}</td>
+                <td className="text-slate-700 pr-2 break-all">{diff.db || <span className="text-slate-300">(ว่าง)</span>}</td>
+                <td className="text-slate-700 break-all">{diff.sheet || <span className="text-slate-300">(ว่าง)</span>}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  )
+
+  return (
+    <div className="min-h-screen bg-slate-50">
+      <header className="bg-white shadow-sm sticky top-0 z-40">
+        <div className="max-w-4xl mx-auto px-4 py-3 flex items-center justify-between">
+          <h1 className="text-lg font-bold text-slate-800">🔄 เทียบข้อมูลกับ Google Sheet</h1>
+          <a href="/" className="bg-slate-100 hover:bg-slate-200 text-slate-600 px-3 py-2 rounded-xl text-sm">
+            ← กลับหน้าหลัก
+          </a>
+        </div>
+      </header>
+
+      <main className="max-w-4xl mx-auto px-4 py-4 space-y-4">
+        <div className="bg-white rounded-2xl shadow-sm p-4 space-y-3">
+          <p className="text-sm text-slate-600">
+            เทียบงานในระบบกับแถวใน Sheet ทีละ id — ฝั่งที่แก้ล่าสุดชนะ ตรวจสอบรายงานก่อน แล้วค่อยกดนำไปใช้
+          </p>
+          <div className="flex gap-2">
+            <button
+              onClick={loadReport}
+              disabled={isLoading || isApplying}
+              className="bg-blue-500 hover:bg-blue-600 disabled:opacity-50 text-white px-4 py-2 rounded-xl text-sm font-medium"
+            >
+              {isLoading ? 'กำลังตรวจสอบ...' : '🔍 ตรวจสอบ'}
+            </button>
+            {report && (
+              <button
+                onClick={handleApply}
+                disabled={isLoading || isApplying}
+                className="bg-green-500 hover:bg-green-600 disabled:opacity-50 text-white px-4 py-2 rounded-xl text-sm font-medium"
+              >
+                {isApplying ? 'กำลังดำเนินการ...' : '✅ นำไปใช้'}
+              </button>
+            )}
+          </div>
+        </div>
+
+        {/* เลขที่งานซ้ำ — จากสมัยที่หน้าเว็บนับเลขเอง */}
+        <div className="bg-white rounded-2xl shadow-sm p-4 space-y-3">
+          <div className="flex items-start justify-between gap-3">
+            <div>
+              <h2 className="font-semibold text-slate-700">🔢 เลขที่งานซ้ำ</h2>
+              <p className="text-sm text-slate-600">
+                งานที่เปิดก่อนเป็นเจ้าของเลข — งานถัดไปถูกต่อท้าย -DUP ไว้ กดออกเลขใหม่ได้ (เลขเดิมบันทึกไว้ในประวัติงาน)
+              </p>
+            </div>
+            <button
+              onClick={loadNumberReport}
+              className="shrink-0 bg-slate-100 hover:bg-slate-200 text-slate-600 px-4 py-2 rounded-xl text-sm"
+            >
+              🔍 ตรวจเลขซ้ำ
+            </button>
+          </div>
+          {numberReport && (
+            <>
+              <p className="text-xs text-slate-400">
+                รูปแบบเลขที่งาน: <code>{numberReport.format}</code> เช่น {numberReport.example}
+              </p>
+              {numberReport.duplicates.length === 0 ? (
+                <p className="text-sm text-green-600">✅ ไม่มีเลขที่งานซ้ำ</p>
+              ) : (
+                <div className="divide-y divide-slate-100">
+                  {numberReport.duplicates.map(group => (
+                    <div key={group.requestNo} className="py-2 space-y-1">
+                      <p className="font-medium text-slate-800">{group.requestNo} ({group.requests.length} งาน)</p>
+                      {group.requests.map(item => (
+                        <div key={item.id} className="flex items-center justify-between gap-2 text-sm">
+                          <span className="text-slate-600">
+                            {item.customerName || '-'} · {formatDateTime(item.createdAt)}
+                            {item.requestNo === group.requestNo
+                              ? <span className="ml-2 text-xs text-slate-400">(เจ้าของเลข)</span>
+                              : <span className="ml-2 text-xs text-slate-400">{item.requestNo}</span>}
+                          </span>
+                          {item.requestNo !== group.requestNo && (
+                            <button
+                              onClick={() => handleRenumber(item.requestNo, item.id, item.customerName)}
+                              disabled={renumberingId !== null}
+                              className="shrink-0 bg-blue-50 hover:bg-blue-100 disabled:opacity-50 text-blue-600 px-3 py-1.5 rounded-lg text-xs"
+                            >
+                              {renumberingId === item.id ? 'กำลังออกเลข...' : 'ออกเลขใหม่'}
+                            </button>
+                          )}
+                        </div>
+                      ))}
+                    </div>
+                  ))}
+                </div>
+              )}
+            </>
+          )}
+        </div>
+
+        {report && (
+          <>
+            <div className="grid grid-cols-2 sm:grid-cols-5 gap-2">
+              {(['in_sync', ...ACTION_ORDER] as ReconcileAction[]).map(action => (
+                <div key={action} className="bg-white rounded-2xl shadow-sm p-3 text-center">
+                  <p className="text-2xl font-bold text-slate-800">{report.summary[action]}</p>
+                  <p className={`inline-block text-xs px-2 py-0.5 rounded-full ${ACTION_CONFIG[action].className}`}>
+                    {ACTION_CONFIG[action].label}
+                  </p>
+                </div>
+              ))}
+            </div>
+            <p className="text-xs text-slate-400">ตรวจสอบเมื่อ {formatDateTime(report.generatedAt)}</p>
+
+            {ACTION_ORDER.map(action => {
+              const items = report.items.filter(i => i.action === action)
+              if (items.length === 0) return null
+              return (
+                <div key={action} className="space-y-2">
+                  <h2 className="font-semibold text-slate-700">{ACTION_CONFIG[action].label} ({items.length})</h2>
+                  <div className="bg-white rounded-2xl shadow-sm divide-y divide-slate-100">
+                    {items.map(renderItem)}
+                  </div>
+                </div>
+              )
+            })}
+          </>
+        )}
+      </main>
+    </div>
+  )
+}
@@ -0,0 +1,317 @@
+'use client'
+
+import { useState, useEffect, useCallback } from 'react'
+import {
+  WORK_DAY_END_MINUTES,
+  WORK_DAY_START_MINUTES,
+  addDays,
+  atMinutes,
+  formatMinutes,
+  formatTime,
+  toDateKey,
+} from '../../lib/scheduling'
+import { UNASSIGNED_COLOR_ID, getCalendarColorHex } from '../../lib/technicians'
+import type { DayAvailability, ScheduleAvailability, ScheduleBooking } from '../../lib/types'
+
+type View = 'day' | 'week'
+
+const WORK_DAY_MINUTES = WORK_DAY_END_MINUTES - WORK_DAY_START_MINUTES
+const HOURS = Array.from({ length: WORK_DAY_MINUTES / 60 + 1 }, (_, i) => WORK_DAY_START_MINUTES / 60 + i)
+
+const formatDay = (dateKey: string) =>
+  new Date(`${dateKey}T12:00:00+07:00`).toLocaleDateString('th-TH', { weekday: 'short', day: 'numeric', month: 'short' })
+
+const formatRange = (range: { start: string; end: string }) =>
+  `${formatTime(new Date(range.start))}-${formatTime(new Date(range.end))}`
+
+// ตำแหน่ง/ความกว้าง (%) ของช่วงเวลาบนแถบเวลาทำงานของวันนั้น — ส่วนที่เลยเวลาทำงานถูกตัดออก
+const toBar = (dateKey: string, range: { start: string; end: string }) => {
+  const dayStart = atMinutes(dateKey, WORK_DAY_START_MINUTES).getTime()
+  const toPercent = (iso: string) =>
+    Math.min(Math.max((new Date(iso).getTime() - dayStart) / 60000 / WORK_DAY_MINUTES, 0), 1) * 100
+  const left = toPercent(range.start)
+  return { left: `${left}%`, width: `${Math.max(toPercent(range.end) - left, 0.5)}%` }
+}
+
+// สีแถบความจุ: ว่าง → เขียว, ใกล้เต็ม → เหลือง, เกิน → แดง
+const loadColor = (booked: number, capacity: number) =>
+  booked > capacity ? 'bg-red-500' : booked >= capacity * 0.8 ? 'bg-amber-400' : 'bg-green-500'
+
+export default function SchedulePage() {
+  const [view, setView] = useState<View>('week')
+  const [date, setDate] = useState(() => toDateKey(new Date()))
+  const [data, setData] = useState<ScheduleAvailability | null>(null)
+  const [isLoading, setIsLoading] = useState(true)
+  const [isFetching, setIsFetching] = useState(false)
+  const [accessError, setAccessError] = useState('')
+
+  // ลิงก์จากหน้าอื่นส่ง ?date=YYYY-MM-DD มา (เช่น จากฟอร์มงาน/หน้าจัดช่าง) → เปิดมุมมองรายวัน
+  useEffect(() => {
+    const param = new URLSearchParams(window.location.search).get('date')
+    if (param && /^\d{4}-\d{2}-\d{2}$/.test(param)) {
+      setDate(param)
+      setView('day')
+    }
+  }, [])
+
+  const loadSchedule = useCallback(async () => {
+    setIsFetching(true)
+    try {
+      const res = await fetch(`/api/schedule?date=${date}&days=${view === 'week' ? 7 : 1}`)
+      if (res.status === 401) {
+        setAccessError('กรุณาเข้าสู่ระบบก่อน')
+        return
+      }
+      if (!res.ok) {
+        setAccessError('โหลดข้อมูลไม่สำเร็จ')
+        return
+      }
+      const result = await res.json()
+      setData(result.data)
+    } catch {
+      setAccessError('โหลดข้อมูลไม่สำเร็จ')
+    } finally {
+      setIsFetching(false)
+      setIsLoading(false)
+    }
+  }, [date, view])
+
+  useEffect(() => {
+    loadSchedule()
+  }, [loadSchedule])
+
+  const openDay = (dateKey: string) => {
+    setDate(dateKey)
+    setView('day')
+  }
+
+  if (isLoading) {
+    return (
+      <div className="min-h-screen bg-slate-50 flex items-center justify-center">
+        <div className="animate-spin w-10 h-10 border-4 border-blue-500 border-t-transparent rounded-full"></div>
+      </div>
+    )
+  }
+
+  if (accessError) {
+    return (
+      <div className="min-h-screen bg-slate-50 flex items-center justify-center p-4">
+        <div className="bg-white rounded-2xl shadow p-8 text-center space-y-4">
+          <p className="text-slate-700">{accessError}</p>
+          <a href="/" className="inline-block bg-blue-500 hover:bg-blue-600 text-white px-4 py-2 rounded-xl text-sm font-medium">
+            กลับหน้าหลัก
+          </a>
+        </div>
+      </div>
+    )
+  }
+
+  const step = view === 'week' ? 7 : 1
+  const rows = data?.technicians ?? []
+
+  const renderBooking = (booking: ScheduleBooking) => (
+    <span>
+      {booking.requestNo} {booking.customerName} · {booking.serviceType} ({formatRange(booking)})
+    </span>
+  )
+
+  const renderWeekCell = (dateKey: string, day: DayAvailability | undefined, capacity: number) => {
+    if (!day) return null
+    const percent = Math.min(day.bookedMinutes / capacity, 1) * 100
+    return (
+      <button
+        onClick={() => openDay(dateKey)}
+        className="w-full text-left space-y-1 p-2 rounded-xl hover:bg-slate-50"
+        title={day.bookings.map(b => `${b.requestNo} ${b.customerName} (${formatRange(b)})`).join('\n')}
+      >
+        <div className="h-2 bg-slate-100 rounded-full overflow-hidden">
+          <div className={`h-full ${loadColor(day.bookedMinutes, capacity)}`} style={{ width: `${percent}%` }}></div>
+        </div>
+        <p className={`text-xs ${day.bookedMinutes > capacity ? 'text-red-600 font-semibold' : 'text-slate-600'}`}>
+          {day.bookings.length} งาน · {formatMinutes(day.bookedMinutes)}
+        </p>
+        {day.freeSlots.length > 0 ? (
+          <p className="text-[10px] text-green-700 truncate">ว่าง {day.freeSlots.map(formatRange).join(', ')}</p>
+        ) : (
+          <p className="text-[10px] text-slate-400">เต็ม</p>
+        )}
+      </button>
+    )
+  }
+
+  const unassignedOn = (dateKey: string) => data?.unassigned[dateKey] ?? []
+
+  return (
+    <div className="min-h-screen bg-slate-50">
+      <header className="bg-white shadow-sm sticky top-0 z-40">
+        <div className="max-w-7xl mx-auto px-4 py-3 flex flex-wrap items-center justify-between gap-2">
+          <h1 className="text-lg font-bold text-slate-800">📆 คิวว่างช่าง</h1>
+          <div className="flex items-center gap-2">
+            <div className="flex bg-slate-100 rounded-xl p-1 text-sm">
+              {(['day', 'week'] as const).map(v => (
+                <button
+                  key={v}
+                  onClick={() => setView(v)}
+                  className={`px-3 py-1 rounded-lg ${view === v ? 'bg-white shadow-sm font-medium text-slate-800' : 'text-slate-500'}`}
+                >
+                  {v === 'day' ? 'รายวัน' : 'รายสัปดาห์'}
+                </button>
+              ))}
+            </div>
+            <button onClick={() => setDate(d => addDays(d, -step))} className="bg-slate-100 hover:bg-slate-200 text-slate-600 px-3 py-2 rounded-xl text-sm">‹</button>
+            <input
+              type="date"
+              value={date}
+              onChange={(e) => e.target.value && setDate(e.target.value)}
+              className="px-3 py-2 border rounded-xl text-sm"
+            />
+            <button onClick={() => setDate(d => addDays(d, step))} className="bg-slate-100 hover:bg-slate-200 text-slate-600 px-3 py-2 rounded-xl text-sm">›</button>
+            <button onClick={() => setDate(toDateKey(new Date()))} className="bg-slate-100 hover:bg-slate-200 text-slate-600 px-3 py-2 rounded-xl text-sm">วันนี้</button>
+          </div>
+          <div className="flex gap-2">
+            <a href="/dispatch" className="bg-slate-100 hover:bg-slate-200 text-slate-600 px-3 py-2 rounded-xl text-sm">
+              👷 จัดช่าง
+            </a>
+            <a href="/" className="bg-slate-100 hover:bg-slate-200 text-slate-600 px-3 py-2 rounded-xl text-sm">
+              ← กลับหน้าหลัก
+            </a>
+          </div>
+        </div>
+      </header>
+
+      <main className={`max-w-7xl mx-auto px-4 py-4 space-y-4 ${isFetching ? 'opacity-60' : ''}`}>
+        <p className="text-xs text-slate-500">
+          เวลาทำงาน {formatTime(atMinutes(date, WORK_DAY_START_MINUTES))}-{formatTime(atMinutes(date, WORK_DAY_END_MINUTES))} น.
+          · เวลางานคิดจากเวลาสิ้นสุดที่กรอก หรือตามประเภทงาน · ช่วงว่างที่สั้นกว่า 30 นาทีไม่แสดง
+        </p>
+
+        {rows.length === 0 && (
+          <div className="bg-white rounded-2xl shadow-sm p-8 text-center text-sm text-slate-500">
+            ยังไม่มีช่างที่ใช้งานอยู่ — เพิ่มได้ที่หน้า <a href="/dispatch" className="text-blue-600 hover:underline">จัดช่าง</a>
+          </div>
+        )}
+
+        {view === 'week' && data && rows.length > 0 && (
+          <div className="bg-white rounded-2xl shadow-sm overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead className="bg-slate-50 text-slate-600">
+                <tr>
+                  <th className="text-left px-3 py-2 font-medium w-40">ช่าง</th>
+                  {data.dates.map(d => (
+                    <th key={d} className="px-2 py-2 font-medium min-w-[120px]">
+                      <button onClick={() => openDay(d)} className="hover:underline">{formatDay(d)}</button>
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-slate-100">
+                {rows.map(({ technician, days }) => (
+                  <tr key={technician.id}>
+                    <td className="px-3 py-2 align-top">
+                      <div className="flex items-center gap-2">
+                        <span className="w-3 h-3 rounded-full shrink-0" style={{ backgroundColor: getCalendarColorHex(technician.color) }}></span>
+                        <span className="font-medium text-slate-800">{technician.name}</span>
+                      </div>
+                      <p className="text-[10px] text-slate-400">รับได้ {formatMinutes(technician.dailyCapacityMinutes)}/วัน</p>
+                    </td>
+                    {data.dates.map(d => (
+                      <td key={d} className="px-1 py-1 align-top">
+                        {renderWeekCell(d, days[d], technician.dailyCapacityMinutes)}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+                <tr className="bg-amber-50/50">
+                  <td className="px-3 py-2 align-top">
+                    <div className="flex items-center gap-2">
+                      <span className="w-3 h-3 rounded-full shrink-0" style={{ backgroundColor: getCalendarColorHex(UNASSIGNED_COLOR_ID) }}></span>
+                      <span className="font-medium text-slate-800">รอจัดช่าง</span>
+                    </div>
+                  </td>
+                  {data.dates.map(d => (
+                    <td key={d} className="px-3 py-2 align-top text-xs">
+                      {unassignedOn(d).length > 0
+                        ? <button onClick={() => openDay(d)} className="text-amber-700 hover:underline">{unassignedOn(d).length} งาน</button>
+                        : <span className="text-slate-300">-</span>}
+                    </td>
+                  ))}
+                </tr>
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {view === 'day' && data && rows.length > 0 && (
+          <div className="bg-white rounded-2xl shadow-sm p-4 space-y-3 overflow-x-auto">
+            <div className="flex min-w-[720px]">
+              <div className="w-40 shrink-0"></div>
+              <div className="relative flex-1 h-4 text-[10px] text-slate-400">
+                {HOURS.map(hour => (
+                  <span
+                    key={hour}
+                    className="absolute -translate-x-1/2"
+                    style={{ left: `${((hour * 60 - WORK_DAY_START_MINUTES) / WORK_DAY_MINUTES) * 100}%` }}
+                  >
+                    {String(hour).padStart(2, '0')}
+                  </span>
+                ))}
+              </div>
+            </div>
+            {rows.map(({ technician, days }) => {
+              const day = days[date]
+              if (!day) return null
+              const over = day.bookedMinutes > technician.dailyCapacityMinutes
+              return (
+                <div key={technician.id} className="flex items-center min-w-[720px]">
+                  <div className="w-40 shrink-0 pr-2">
+                    <div className="flex items-center gap-2">
+                      <span className="w-3 h-3 rounded-full shrink-0" style={{ backgroundColor: getCalendarColorHex(technician.color) }}></span>
+                      <span className="font-medium text-sm text-slate-800 truncate">{technician.name}</span>
+                    </div>
+                    <p className={`text-[10px] ${over ? 'text-red-600 font-semibold' : 'text-slate-400'}`}>
+                      {formatMinutes(day.bookedMinutes)} / {formatMinutes(technician.dailyCapacityMinutes)}
+                    </p>
+                  </div>
+                  <div className="relative flex-1 h-12 bg-slate-50 rounded-xl border border-slate-100">
+                    {day.freeSlots.map(slot => (
+                      <div
+                        key={slot.start}
+                        className="absolute top-1 bottom-1 rounded-lg border border-dashed border-green-300 bg-green-50 text-[10px] text-green-700 flex items-center justify-center overflow-hidden"
+                        style={toBar(date, slot)}
+                        title={`ว่าง ${formatRange(slot)}`}
+                      >
+                        ว่าง {formatRange(slot)}
+                      </div>
+                    ))}
+                    {day.bookings.map(booking => (
+                      <div
+                        key={booking.requestId}
+                        className="absolute top-1 bottom-1 rounded-lg text-[10px] text-white px-1 flex items-center overflow-hidden whitespace-nowrap"
+                        style={{ ...toBar(date, booking), backgroundColor: getCalendarColorHex(technician.color) }}
+                        title={`${booking.requestNo} ${booking.customerName} · ${booking.serviceType} (${formatRange(booking)})`}
+                      >
+                        {booking.customerName}
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )
+            })}
+
+            <div className="border-t border-slate-100 pt-3 space-y-1">
+              <h2 className="text-sm font-semibold text-slate-700">⏳ รอจัดช่าง ({unassignedOn(date).length})</h2>
+              {unassignedOn(date).length === 0 ? (
+                <p className="text-xs text-slate-400">ไม่มีงานรอจัดช่างวันนี้</p>
+              ) : (
+                <ul className="text-xs text-slate-600 space-y-1">
+                  {unassignedOn(date).map(booking => <li key={booking.requestId}>• {renderBooking(booking)}</li>)}
+                </ul>
+              )}
+              <a href="/dispatch" className="inline-block text-xs text-blue-600 hover:underline">ไปหน้าจัดช่าง →</a>
+            </div>
+          </div>
+        )}
+      </main>
+    </div>
+  )
+}
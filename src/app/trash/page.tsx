@@ -0,0 +1,172 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import { getStatusConfig } from '../../lib/STATUS_WORKFLOW'
+import type { ServiceRequest } from '../../lib/types'
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// ถังขยะ (admin) — งานที่ถูกลบจากหน้าหลัก กู้คืน หรือลบถาวรก่อนครบกำหนดได้ (ดู src/lib/trash.ts)
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const formatDateTime = (iso: string) =>
+  new Date(iso).toLocaleString('th-TH', { day: 'numeric', month: 'short', year: '2-digit', hour: '2-digit', minute: '2-digit' })
+
+export default function TrashPage() {
+  const [requests, setRequests] = useState<ServiceRequest[]>([])
+  // 0 = ไม่ลบถาวรอัตโนมัติ
+  const [retentionDays, setRetentionDays] = useState(0)
+  const [isLoading, setIsLoading] = useState(true)
+  const [accessError, setAccessError] = useState('')
+  const [busyId, setBusyId] = useState<string | null>(null)
+
+  const loadTrash = async () => {
+    try {
+      const res = await fetch('/api/requests/trash')
+      if (res.status === 401 || res.status === 403) {
+        setAccessError(res.status === 401 ? 'กรุณาเข้าสู่ระบบก่อน' : 'หน้านี้สำหรับ admin เท่านั้น')
+        return
+      }
+      const result = await res.json()
+      setRequests(result.data || [])
+      setRetentionDays(result.retentionDays ?? 0)
+    } catch (error) {
+      console.error('Error loading trash:', error)
+      setAccessError('โหลดถังขยะไม่สำเร็จ')
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  useEffect(() => {
+    loadTrash()
+  }, [])
+
+  const handleRestore = async (request: ServiceRequest) => {
+    if (!confirm(`กู้คืน ${request.requestNo} (${request.customerName})?`)) return
+    setBusyId(request.id)
+    try {
+      const res = await fetch('/api/requests/trash', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ id: request.id })
+      })
+      const result = await res.json().catch(() => ({}))
+      if (!res.ok) {
+        alert(`กู้คืนไม่สำเร็จ: ${result.error || 'เกิดข้อผิดพลาด'}`)
+        return
+      }
+      await loadTrash()
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  const handlePurge = async (request: ServiceRequest) => {
+    if (!confirm(`ลบ ${request.requestNo} ถาวร?\nแถวใน Google Sheet, นัดใน Google Calendar และรูป/ไฟล์แนบใน Google Drive จะถูกลบด้วย กู้คืนไม่ได้อีก`)) return
+    setBusyId(request.id)
+    try {
+      const res = await fetch(`/api/requests/trash?id=${encodeURIComponent(request.id)}`, { method: 'DELETE' })
+      const result = await res.json().catch(() => ({}))
+      if (!res.ok) {
+        alert(`ลบไม่สำเร็จ: ${result.error || 'เกิดข้อผิดพลาด'}`)
+        return
+      }
+      await loadTrash()
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  // วันที่จะถูกลบถาวร (retention ปิดอยู่ = ไม่แสดง)
+  const describePurge = (request: ServiceRequest) => {
+    if (!retentionDays || !request.deletedAt) return ''
+    const purgeAt = new Date(Date.parse(request.deletedAt) + retentionDays * DAY_MS)
+    const daysLeft = Math.ceil((purgeAt.getTime() - Date.now()) / DAY_MS)
+    return daysLeft > 0 ? `ลบถาวรในอีก ${daysLeft} วัน` : 'ครบกำหนดลบถาวรแล้ว'
+  }
+
+  if (isLoading) {
+    return (
+      <div className="min-h-screen bg-slate-50 flex items-center justify-center">
+        <div className="animate-spin w-10 h-10 border-4 border-blue-500 border-t-transparent rounded-full"></div>
+      </div>
+    )
+  }
+
+  if (accessError) {
+    return (
+      <div className="min-h-screen bg-slate-50 flex items-center justify-center p-4">
+        <div className="bg-white rounded-2xl shadow p-8 text-center space-y-4">
+          <p className="text-slate-700">{accessError}</p>
+          <a href="/" className="inline-block bg-blue-500 hover:bg-blue-600 text-white px-4 py-2 rounded-xl text-sm font-medium">
+            กลับหน้าหลัก
+          </a>
+        </div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="min-h-screen bg-slate-50">
+      <header className="bg-white shadow-sm sticky top-0 z-40">
+        <div className="max-w-4xl mx-auto px-4 py-3 flex items-center justify-between">
+          <h1 className="text-lg font-bold text-slate-800">🗑️ ถังขยะ</h1>
+          <a href="/" className="bg-slate-100 hover:bg-slate-200 text-slate-600 px-3 py-2 rounded-xl text-sm">
+            ← กลับหน้าหลัก
+          </a>
+        </div>
+      </header>
+
+      <main className="max-w-4xl mx-auto px-4 py-4 space-y-4">
+        <p className="text-xs text-slate-500">
+          {retentionDays
+            ? `งานที่อยู่ในถังขยะครบ ${retentionDays} วันจะถูกลบถาวร พร้อมแถวใน Sheet นัดใน Calendar และไฟล์ใน Drive`
+            : 'ไม่ได้ตั้งให้ลบถาวรอัตโนมัติ (TRASH_RETENTION_DAYS=0) — งานอยู่ในถังขยะจนกว่าจะกดลบถาวร'}
+        </p>
+
+        <div className="bg-white rounded-2xl shadow-sm divide-y divide-slate-100">
+          {requests.length === 0 ? (
+            <p className="p-4 text-sm text-slate-500">ถังขยะว่าง</p>
+          ) : requests.map(request => {
+            const status = getStatusConfig(request.status)
+            return (
+              <div key={request.id} className="p-4 flex items-start justify-between gap-3">
+                <div className="min-w-0">
+                  <p className="font-medium text-slate-800">
+                    {request.requestNo} · {request.customerName}
+                    <span className={`ml-2 px-2 py-0.5 rounded-lg text-[10px] font-medium text-white ${status.color}`}>
+                      {status.icon} {status.label}
+                    </span>
+                  </p>
+                  <p className="text-xs text-slate-500 truncate">{request.serviceType} · {request.address || '-'}</p>
+                  <p className="text-xs text-slate-400">
+                    ลบเมื่อ {request.deletedAt ? formatDateTime(request.deletedAt) : '-'} โดย {request.deletedBy || '-'}
+                    {describePurge(request) && ` · ${describePurge(request)}`}
+                  </p>
+                </div>
+                <div className="shrink-0 flex gap-2">
+                  <button
+                    onClick={() => handleRestore(request)}
+                    disabled={busyId !== null}
+                    className="bg-green-50 hover:bg-green-100 disabled:opacity-50 text-green-700 px-3 py-2 rounded-xl text-xs font-medium"
+                  >
+                    ♻️ กู้คืน
+                  </button>
+                  <button
+                    onClick={() => handlePurge(request)}
+                    disabled={busyId !== null}
+                    className="bg-red-50 hover:bg-red-100 disabled:opacity-50 text-red-600 px-3 py-2 rounded-xl text-xs font-medium"
+                  >
+                    ลบถาวร
+                  </button>
+                </div>
+              </div>
+            )
+          })}
+        </div>
+      </main>
+    </div>
+  )
+}
@@ -0,0 +1,327 @@
+'use client'
+
+import { useMemo, useState, type DragEvent } from 'react'
+import { getStatusConfig } from '../lib/STATUS_WORKFLOW'
+import {
+  type TimeRange,
+  addDays,
+  atMinutes,
+  formatTime,
+  getAppointmentRange,
+  getDateKeys,
+  moveAppointment,
+  toDateKey,
+} from '../lib/scheduling'
+import type { ServiceRequest } from '../lib/types'
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// ปฏิทินนัดหมายในแอป (เดือน / สัปดาห์ / วัน)
+// สีตามสถานะ + กรอบตามความเร่งด่วน ลากงานไปวางวัน/ช่วงเวลาใหม่เพื่อเลื่อนนัด
+// การบันทึกเป็นหน้าที่ของหน้าที่เรียกใช้ (onReschedule) — ที่นี่คำนวณแค่ค่าใหม่
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+export type CalendarView = 'month' | 'week' | 'day'
+
+export type AppointmentMove = ReturnType<typeof moveAppointment>
+
+interface AppointmentCalendarProps {
+  requests: ServiceRequest[]
+  onOpen: (request: ServiceRequest) => void
+  onReschedule: (request: ServiceRequest, move: AppointmentMove) => void
+}
+
+// ช่วงเวลาที่แสดงในมุมมองสัปดาห์/วัน (ครอบเวลาทำงาน 08:00-18:00 + เผื่อหัวท้าย)
+const GRID_START_MINUTES = 7 * 60
+const GRID_END_MINUTES = 20 * 60
+const HOUR_HEIGHT = 48
+const SNAP_MINUTES = 30
+const GRID_HOURS = Array.from({ length: (GRID_END_MINUTES - GRID_START_MINUTES) / 60 }, (_, i) => GRID_START_MINUTES / 60 + i)
+const MONTH_CHIP_LIMIT = 3
+const WEEKDAY_LABELS = ['จ.', 'อ.', 'พ.', 'พฤ.', 'ศ.', 'ส.', 'อา.']
+
+const PRIORITY_STYLE: Record<string, { ring: string; icon: string }> = {
+  urgent: { ring: 'ring-2 ring-yellow-400', icon: '🟡' },
+  emergency: { ring: 'ring-2 ring-red-500', icon: '🔴' },
+}
+
+// งานที่ปิดแล้วไม่ให้ลากเลื่อนนัด
+const isLocked = (request: ServiceRequest) => request.status === 'completed' || request.status === 'cancelled'
+
+// วันจันทร์ของสัปดาห์ที่ dateKey อยู่
+const startOfWeek = (dateKey: string) => {
+  const weekday = new Date(`${dateKey}T12:00:00+07:00`).getUTCDay()
+  return addDays(dateKey, -((weekday + 6) % 7))
+}
+
+const minutesOfDay = (date: Date, dateKey: string) => Math.round((date.getTime() - atMinutes(dateKey, 0).getTime()) / 60000)
+
+interface CalendarItem {
+  request: ServiceRequest
+  range: TimeRange
+  isAllDay: boolean
+}
+
+export function AppointmentCalendar({ requests, onOpen, onReschedule }: AppointmentCalendarProps) {
+  const [view, setView] = useState<CalendarView>('month')
+  const [date, setDate] = useState(() => toDateKey(new Date()))
+  const [dropTarget, setDropTarget] = useState<string | null>(null)
+
+  const items = useMemo(() => requests
+    .flatMap<CalendarItem>(request => {
+      const range = getAppointmentRange({
+        appointmentDate: request.appointmentDate,
+        appointmentEndDate: request.appointmentEndDate || '',
+        isAllDay: request.isAllDay || false,
+        serviceType: request.serviceType,
+      })
+      // นัดที่มีแต่วันที่ (ไม่ระบุเวลา) ถือเป็นนัดทั้งวันในปฏิทิน
+      return range ? [{ request, range, isAllDay: !!request.isAllDay || request.appointmentDate.length <= 10 }] : []
+    })
+    .sort((a, b) => a.range.start.getTime() - b.range.start.getTime()), [requests])
+
+  const itemsOn = (dateKey: string) => items.filter(item => getDateKeys(item.range).includes(dateKey))
+
+  const today = toDateKey(new Date())
+  const weekStart = startOfWeek(date)
+  const monthStart = `${date.slice(0, 7)}-01`
+  const gridStart = startOfWeek(monthStart)
+  const monthDays = Array.from({ length: 42 }, (_, i) => addDays(gridStart, i))
+  const columns = view === 'day' ? [date] : Array.from({ length: 7 }, (_, i) => addDays(weekStart, i))
+
+  const shift = (direction: 1 | -1) => {
+    if (view === 'day') return setDate(d => addDays(d, direction))
+    if (view === 'week') return setDate(d => addDays(d, 7 * direction))
+    const [year, month] = date.split('-').map(Number)
+    const next = new Date(Date.UTC(year!, month! - 1 + direction, 1))
+    setDate(next.toISOString().slice(0, 10))
+  }
+
+  const title = view === 'month'
+    ? new Date(`${monthStart}T12:00:00+07:00`).toLocaleDateString('th-TH', { month: 'long', year: 'numeric' })
+    : view === 'week'
+      ? `${formatDay(columns[0]!)} - ${formatDay(columns[6]!)}`
+      : new Date(`${date}T12:00:00+07:00`).toLocaleDateString('th-TH', { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' })
+
+  const drop = (e: DragEvent, dateKey: string, minutes?: number) => {
+    e.preventDefault()
+    setDropTarget(null)
+    const request = requests.find(r => r.id === e.dataTransfer.getData('text/plain'))
+    if (!request || isLocked(request)) return
+    const move = moveAppointment({
+      appointmentDate: request.appointmentDate,
+      appointmentEndDate: request.appointmentEndDate || '',
+      isAllDay: request.isAllDay || false,
+      serviceType: request.serviceType,
+    }, dateKey, minutes)
+    if (move.appointmentDate === request.appointmentDate && move.appointmentEndDate === (request.appointmentEndDate || '')
+      && move.isAllDay === (request.isAllDay || false)) return
+    onReschedule(request, move)
+  }
+
+  const dropZone = (key: string, dateKey: string, minutesAt?: (e: DragEvent) => number) => ({
+    onDragOver: (e: DragEvent) => {
+      e.preventDefault()
+      setDropTarget(key)
+    },
+    onDragLeave: () => setDropTarget(current => (current === key ? null : current)),
+    onDrop: (e: DragEvent) => drop(e, dateKey, minutesAt?.(e)),
+  })
+
+  // fill = ยืดเต็มกล่องเวลาในตารางสัปดาห์/วัน
+  const renderChip = (item: CalendarItem, compact: boolean, fill = false) => {
+    const { request } = item
+    const status = getStatusConfig(request.status)
+    const priority = PRIORITY_STYLE[request.priority]
+    return (
+      <button
+        key={request.id}
+        type="button"
+        draggable={!isLocked(request)}
+        onDragStart={(e) => e.dataTransfer.setData('text/plain', request.id)}
+        onClick={() => onOpen(request)}
+        title={`${request.requestNo} ${request.customerName} · ${request.serviceType}\n${status.label}${request.technicianName ? ` · 👷 ${request.technicianName}` : ''}`}
+        className={`w-full text-left rounded-md px-1.5 py-0.5 text-[11px] leading-tight text-white ${fill ? 'h-full overflow-hidden' : 'truncate'} ${status.color} ${priority?.ring ?? ''} ${isLocked(request) ? 'opacity-60' : 'cursor-grab'}`}
+      >
+        {priority && `${priority.icon} `}
+        {!item.isAllDay && <span className="font-semibold">{formatTime(item.range.start)} </span>}
+        {request.customerName}
+        {!compact && <span className="opacity-80"> · {request.serviceType}</span>}
+      </button>
+    )
+  }
+
+  // มุมมองสัปดาห์/วัน: แถวงานทั้งวัน + ตารางเวลา (วางแล้วปัดเป็นช่วงละ 30 นาที)
+  const renderTimeGrid = () => {
+    const minutesAt = (e: DragEvent) => {
+      const offset = e.clientY - e.currentTarget.getBoundingClientRect().top
+      const minutes = GRID_START_MINUTES + Math.floor((offset / HOUR_HEIGHT) * 60 / SNAP_MINUTES) * SNAP_MINUTES
+      return Math.min(Math.max(minutes, GRID_START_MINUTES), GRID_END_MINUTES - SNAP_MINUTES)
+    }
+
+    return (
+      <div className="overflow-x-auto">
+        <div className={view === 'week' ? 'min-w-[840px]' : ''}>
+          <div className="flex border-b border-slate-200">
+            <div className="w-14 shrink-0"></div>
+            {columns.map(d => (
+              <button
+                key={d}
+                type="button"
+                onClick={() => { setDate(d); setView('day') }}
+                className={`flex-1 py-2 text-xs font-medium ${d === today ? 'text-blue-600' : 'text-slate-600'}`}
+              >
+                {formatDay(d)}
+              </button>
+            ))}
+          </div>
+
+          <div className="flex border-b border-slate-200">
+            <div className="w-14 shrink-0 px-1 py-1 text-[10px] text-slate-400">ทั้งวัน</div>
+            {columns.map(d => (
+              <div
+                key={d}
+                {...dropZone(`allday-${d}`, d)}
+                className={`flex-1 min-h-[32px] p-1 space-y-0.5 border-l border-slate-100 ${dropTarget === `allday-${d}` ? 'bg-blue-50' : ''}`}
+              >
+                {itemsOn(d).filter(item => item.isAllDay).map(item => renderChip(item, view === 'week'))}
+              </div>
+            ))}
+          </div>
+
+          <div className="flex">
+            <div className="w-14 shrink-0">
+              {GRID_HOURS.map(hour => (
+                <div key={hour} className="text-[10px] text-slate-400 text-right pr-2" style={{ height: HOUR_HEIGHT }}>
+                  {String(hour).padStart(2, '0')}:00
+                </div>
+              ))}
+            </div>
+            {columns.map(d => {
+              const timed = itemsOn(d).filter(item => !item.isAllDay)
+              // งานเวลาซ้อนกันแบ่งช่องกว้างเท่ากัน (วางทีละงานในช่องแรกที่ว่าง)
+              const laneEnds: number[] = []
+              const placed = timed.map(item => {
+                let lane = laneEnds.findIndex(end => end <= item.range.start.getTime())
+                if (lane === -1) lane = laneEnds.length
+                laneEnds[lane] = item.range.end.getTime()
+                return { item, lane }
+              })
+              const laneCount = Math.max(laneEnds.length, 1)
+              return (
+                <div
+                  key={d}
+                  {...dropZone(`time-${d}`, d, minutesAt)}
+                  className={`relative flex-1 border-l border-slate-100 ${dropTarget === `time-${d}` ? 'bg-blue-50/60' : ''}`}
+                  style={{ height: GRID_HOURS.length * HOUR_HEIGHT }}
+                >
+                  {GRID_HOURS.map((hour, i) => (
+                    <div key={hour} className="absolute inset-x-0 border-t border-slate-100" style={{ top: i * HOUR_HEIGHT }}></div>
+                  ))}
+                  {placed.map(({ item, lane }) => {
+                    const from = Math.max(minutesOfDay(item.range.start, d), GRID_START_MINUTES)
+                    const to = Math.min(minutesOfDay(item.range.end, d), GRID_END_MINUTES)
+                    if (to <= GRID_START_MINUTES || from >= GRID_END_MINUTES) return null
+                    return (
+                      <div
+                        key={item.request.id}
+                        className="absolute p-0.5"
+                        style={{
+                          top: ((from - GRID_START_MINUTES) / 60) * HOUR_HEIGHT,
+                          height: Math.max(((to - from) / 60) * HOUR_HEIGHT, 20),
+                          left: `${(lane / laneCount) * 100}%`,
+                          width: `${100 / laneCount}%`,
+                        }}
+                      >
+                        {renderChip(item, view === 'week', true)}
+                      </div>
+                    )
+                  })}
+                </div>
+              )
+            })}
+          </div>
+        </div>
+      </div>
+    )
+  }
+
+  const renderMonth = () => (
+    <div className="overflow-x-auto">
+      <div className="min-w-[700px]">
+        <div className="grid grid-cols-7 border-b border-slate-200">
+          {WEEKDAY_LABELS.map(label => (
+            <div key={label} className="py-2 text-center text-xs font-medium text-slate-500">{label}</div>
+          ))}
+        </div>
+        <div className="grid grid-cols-7">
+          {monthDays.map(d => {
+            const dayItems = itemsOn(d)
+            const inMonth = d.startsWith(date.slice(0, 7))
+            return (
+              <div
+                key={d}
+                {...dropZone(`day-${d}`, d)}
+                className={`min-h-[104px] p-1 space-y-0.5 border-b border-l border-slate-100 ${inMonth ? '' : 'bg-slate-50/70'} ${dropTarget === `day-${d}` ? 'bg-blue-50' : ''}`}
+              >
+                <button
+                  type="button"
+                  onClick={() => { setDate(d); setView('day') }}
+                  className={`text-xs w-6 h-6 rounded-full ${d === today ? 'bg-blue-500 text-white' : inMonth ? 'text-slate-700 hover:bg-slate-100' : 'text-slate-400'}`}
+                >
+                  {Number(d.slice(8, 10))}
+                </button>
+                {dayItems.slice(0, MONTH_CHIP_LIMIT).map(item => renderChip(item, true))}
+                {dayItems.length > MONTH_CHIP_LIMIT && (
+                  <button
+                    type="button"
+                    onClick={() => { setDate(d); setView('day') }}
+                    className="text-[11px] text-blue-600 hover:underline px-1"
+                  >
+                    +{dayItems.length - MONTH_CHIP_LIMIT} งาน
+                  </button>
+                )}
+              </div>
+            )
+          })}
+        </div>
+      </div>
+    </div>
+  )
+
+  return (
+    <div className="bg-white rounded-2xl shadow-sm border border-slate-200 overflow-hidden">
+      <div className="px-4 py-3 border-b border-slate-200 flex flex-wrap items-center justify-between gap-2">
+        <div className="flex items-center gap-2">
+          <button type="button" onClick={() => shift(-1)} className="bg-slate-100 hover:bg-slate-200 text-slate-600 px-3 py-1.5 rounded-xl text-sm">‹</button>
+          <button type="button" onClick={() => setDate(today)} className="bg-slate-100 hover:bg-slate-200 text-slate-600 px-3 py-1.5 rounded-xl text-sm">วันนี้</button>
+          <button type="button" onClick={() => shift(1)} className="bg-slate-100 hover:bg-slate-200 text-slate-600 px-3 py-1.5 rounded-xl text-sm">›</button>
+          <span className="font-semibold text-slate-800 ml-1">{title}</span>
+        </div>
+        <div className="flex bg-slate-100 p-1 rounded-xl">
+          {([['month', 'เดือน'], ['week', 'สัปดาห์'], ['day', 'วัน']] as const).map(([key, label]) => (
+            <button
+              key={key}
+              type="button"
+              onClick={() => setView(key)}
+              className={`px-3 py-1 text-sm rounded-lg font-medium transition-all ${view === key ? 'bg-white shadow text-blue-600' : 'text-slate-500 hover:text-slate-700'}`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {view === 'month' ? renderMonth() : renderTimeGrid()}
+
+      <div className="px-4 py-2 border-t border-slate-200 text-[11px] text-slate-500 flex flex-wrap gap-x-3 gap-y-1">
+        <span>ลากงานไปวางวันหรือช่วงเวลาใหม่เพื่อเลื่อนนัด (Google Calendar อัปเดตตาม)</span>
+        <span>{PRIORITY_STYLE['urgent']!.icon} เร่งด่วน</span>
+        <span>{PRIORITY_STYLE['emergency']!.icon} ฉุกเฉิน</span>
+      </div>
+    </div>
+  )
+}
+
+function formatDay(dateKey: string) {
+  return new Date(`${dateKey}T12:00:00+07:00`).toLocaleDateString('th-TH', { weekday: 'short', day: 'numeric', month: 'short' })
+}
@@ -0,0 +1,149 @@
+'use client'
+
+import { useState } from 'react'
+import {
+  AUDIT_CREATED,
+  AUDIT_DELETED,
+  AUDIT_FIELDS,
+  AUDIT_SOURCE_LABELS,
+  decodeAuditValue,
+  formatAuditValue,
+  isAuditField,
+} from '../lib/audit'
+import type { FieldChangeEntry, ServiceRequest, Technician } from '../lib/types'
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Timeline การแก้ไขรายฟิลด์ใน modal งาน (ดู src/lib/audit.ts)
+// โหลดตอนกดเปิดเท่านั้น — กดย้อนแล้วคืนงานล่าสุดให้หน้าที่เรียกใช้ (onReverted) ไปเปิดฟอร์มใหม่
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+interface AuditTimelineProps {
+  requestId: string
+  technicians: Technician[]
+  onReverted: (request: ServiceRequest) => void
+}
+
+const formatDateTime = (iso: string) =>
+  new Date(iso).toLocaleString('th-TH', { day: 'numeric', month: 'short', year: '2-digit', hour: '2-digit', minute: '2-digit' })
+
+const fieldLabel = (field: string) => isAuditField(field) ? AUDIT_FIELDS[field].label : field
+
+export function AuditTimeline({ requestId, technicians, onReverted }: AuditTimelineProps) {
+  const [changes, setChanges] = useState<FieldChangeEntry[] | null>(null)
+  const [isLoading, setIsLoading] = useState(false)
+  const [revertingId, setRevertingId] = useState<number | null>(null)
+
+  const technicianNames = Object.fromEntries(technicians.map(t => [t.id, t.name]))
+
+  const loadChanges = async () => {
+    setIsLoading(true)
+    try {
+      const res = await fetch(`/api/requests/audit?requestId=${encodeURIComponent(requestId)}`)
+      const result = await res.json().catch(() => ({}))
+      if (!res.ok) {
+        alert(`โหลดประวัติการแก้ไขไม่สำเร็จ: ${result.details || result.error || 'เกิดข้อผิดพลาด'}`)
+        return
+      }
+      setChanges(result.data)
+    } catch (error) {
+      console.error('Error loading audit log:', error)
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  const postRevert = (id: number, force: boolean) => fetch('/api/requests/audit', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ id, force })
+  })
+
+  const handleRevert = async (change: FieldChangeEntry) => {
+    const label = fieldLabel(change.field)
+    const before = formatAuditValue(change.field, change.before, technicianNames)
+    if (!confirm(`ย้อน${label}กลับเป็น "${before}"?\nข้อมูลที่แก้ในฟอร์มแต่ยังไม่บันทึกจะหายไป`)) return
+
+    setRevertingId(change.id)
+    try {
+      let res = await postRevert(change.id, false)
+      let result = await res.json().catch(() => ({}))
+      if (res.status === 409 && result.conflict) {
+        if (!confirm(`${result.error}\nย้อนทับค่าปัจจุบันเลยไหม?`)) return
+        res = await postRevert(change.id, true)
+        result = await res.json().catch(() => ({}))
+      }
+      if (!res.ok) {
+        alert(`ย้อนไม่สำเร็จ: ${result.error || 'เกิดข้อผิดพลาด'}`)
+        return
+      }
+      onReverted(result.data)
+      await loadChanges()
+    } finally {
+      setRevertingId(null)
+    }
+  }
+
+  const renderChange = (change: FieldChangeEntry) => {
+    const meta = `${formatDateTime(change.createdAt)} · ${change.by} · ${AUDIT_SOURCE_LABELS[change.source] ?? change.source}`
+
+    const event = change.field === AUDIT_CREATED ? '📥 เปิดงาน'
+      : change.field === AUDIT_DELETED ? '🗑️ ลบงานถาวร'
+      : change.field === 'deletedAt' ? (decodeAuditValue(change.after) ? '🗑️ ย้ายไปถังขยะ' : '♻️ กู้คืนจากถังขยะ')
+      : null
+    if (event) {
+      return (
+        <li key={change.id} className="py-2">
+          <p className="text-sm text-slate-700">{event}</p>
+          <p className="text-xs text-slate-400">{meta}</p>
+        </li>
+      )
+    }
+
+    const before = formatAuditValue(change.field, change.before, technicianNames)
+    const after = formatAuditValue(change.field, change.after, technicianNames)
+    const revertable = isAuditField(change.field) && AUDIT_FIELDS[change.field].revertable
+
+    return (
+      <li key={change.id} className="py-2 flex items-start justify-between gap-2">
+        <div className="min-w-0">
+          <p className="text-sm text-slate-700">
+            <span className="font-medium">{fieldLabel(change.field)}</span>
+            {change.revertOfId !== null && <span className="ml-1 text-xs text-amber-600">(ย้อนรายการก่อนหน้า)</span>}
+          </p>
+          <p className="text-xs text-slate-500 break-words">
+            <span className="line-through text-slate-400" title={before}>{before.length > 80 ? `${before.slice(0, 80)}…` : before}</span>
+            {' → '}
+            <span title={after}>{after.length > 80 ? `${after.slice(0, 80)}…` : after}</span>
+          </p>
+          <p className="text-xs text-slate-400">{meta}</p>
+        </div>
+        {revertable && (
+          <button
+            type="button"
+            onClick={() => handleRevert(change)}
+            disabled={revertingId !== null}
+            className="shrink-0 bg-slate-100 hover:bg-slate-200 disabled:opacity-50 text-slate-600 px-2 py-1 rounded-lg text-xs"
+          >
+            {revertingId === change.id ? 'กำลังย้อน...' : '↩️ ย้อน'}
+          </button>
+        )}
+      </li>
+    )
+  }
+
+  return (
+    <details
+      className="border rounded-xl px-3 py-2"
+      onToggle={(e) => { if ((e.target as HTMLDetailsElement).open && changes === null) loadChanges() }}
+    >
+      <summary className="text-sm font-medium text-slate-700 cursor-pointer">🕵️ ประวัติการแก้ไข</summary>
+      {isLoading && changes === null && <p className="text-xs text-slate-400 py-2">กำลังโหลด...</p>}
+      {changes && changes.length === 0 && <p className="text-xs text-slate-400 py-2">ยังไม่มีการแก้ไข</p>}
+      {changes && changes.length > 0 && (
+        <ul className="divide-y divide-slate-100">
+          {changes.map(renderChange)}
+        </ul>
+      )}
+    </details>
+  )
+}
@@ -0,0 +1,23 @@
+import { highlightText, type SearchQuery } from '../lib/search'
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// ไฮไลต์คำค้นในรายการงาน (ดู src/lib/search.ts) — ไม่มีคำค้นแสดงข้อความเดิม
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+interface HighlightProps {
+  text: string
+  query: SearchQuery | null
+}
+
+export function Highlight({ text, query }: HighlightProps) {
+  if (!query) return <>{text}</>
+  return (
+    <>
+      {highlightText(text, query).map((part, i) =>
+        part.match
+          ? <mark key={i} className="bg-yellow-200 text-inherit rounded-sm">{part.text}</mark>
+          : <span key={i}>{part.text}</span>
+      )}
+    </>
+  )
+}
@@ -0,0 +1,32 @@
+// Next.js เรียก register() ครั้งเดียวตอน server start
+export async function register() {
+  // ไม่มี SESSION_SECRET = login ไม่ได้ และ API ที่ต้อง login ตอบ 500 "Server misconfigured" — เตือนตั้งแต่ start
+  if (!process.env['SESSION_SECRET']) {
+    console.error('SESSION_SECRET not configured — login and authenticated API routes will fail until it is set')
+  }
+  // ดัชนีค้นหา: สร้างให้งานที่ยังไม่มี / ดัชนีรุ่นเก่า (SEARCH_INDEX_VERSION) ครั้งเดียวตอน start — ไม่รอให้เสร็จ
+  if (process.env['NEXT_RUNTIME'] === 'nodejs') {
+    const { refreshSearchIndex, removeTrashedFromFirebase } = await import('@/lib/repositories/service-requests')
+    refreshSearchIndex()
+      .then(count => { if (count > 0) console.log(`Search index: rebuilt ${count} jobs`) })
+      .catch(error => console.error('Search index backfill failed:', error))
+    // งานในถังขยะไม่อยู่ใน Firebase — ลบ node ที่ยังค้างจากก่อนหน้า
+    removeTrashedFromFirebase()
+      .catch(error => console.error('Firebase trash cleanup failed:', error))
+  }
+  // worker ใช้ Prisma → รันเฉพาะ Node.js runtime (ไม่ใช่ edge)
+  // ปิดได้ด้วย OUTBOX_WORKER=off เช่นบน serverless ที่ให้ cron เรียก POST /api/outbox แทน
+  if (process.env['NEXT_RUNTIME'] === 'nodejs' && process.env['OUTBOX_WORKER'] !== 'off') {
+    const { startOutboxWorker } = await import('@/lib/outbox')
+    startOutboxWorker()
+    // กฎแจ้งเตือน "งานค้าง" — ตรวจทุก 15 นาที (ไม่มีกฎที่เปิดอยู่ = ไม่ทำอะไร)
+    const { startOverdueNotificationCheck } = await import('@/lib/notifications')
+    startOverdueNotificationCheck()
+    // กวาด event ใน Google Calendar ที่ไม่มีงานแล้ว วันละครั้ง (ไม่ได้ตั้ง GOOGLE_CALENDAR_ID = ไม่ทำ)
+    const { startCalendarSweep } = await import('@/lib/calendar-sync')
+    startCalendarSweep()
+    // ลบงานที่อยู่ในถังขยะครบ TRASH_RETENTION_DAYS วันแล้วถาวร วันละครั้ง (0 = ไม่ลบอัตโนมัติ)
+    const { startTrashPurge } = await import('@/lib/trash')
+    startTrashPurge()
+  }
+}
@@ -8,11 +8,34 @@ export type StatusValue =
   | 'queue'                  // จองคิว/นัดหมาย
   | 'waiting_quote'          // ขอใบเสนอราคา
   | 'checking_parts'         // เช็คอะไหล่ + เสนอราคา
+  | 'order_parts'            // แจ้งซื้ออะไหล่
   | 'send_quote'             // ส่งใบเสนอราคาแล้ว
   | 'waiting_response'       // รอลูกค้าตอบกลับ
   | 'completed'             // เสร็จสิ้น
   | 'cancelled';             // ยกเลิก
 
+// ลำดับสถานะทั้งหมด (ใช้กับ zod enum / dropdown)
+export const STATUS_VALUES = [
+  'new',
+  'queue',
+  'waiting_quote',
+  'checking_parts',
+  'order_parts',
+  'send_quote',
+  'waiting_response',
+  'completed',
+  'cancelled',
+] as const satisfies readonly StatusValue[];
+
+// ฟิลด์ที่สถานะต่างๆ บังคับกรอก
+export type RequiredField = 'appointmentDate' | 'quoteAmount' | 'cancelReason';
+
+export const REQUIRED_FIELD_LABELS: Record<RequiredField, string> = {
+  appointmentDate: 'วันที่นัดหมาย',
+  quoteAmount: 'ยอดเสนอราคา (บาท)',
+  cancelReason: 'เหตุผลที่ยกเลิก',
+};
+
 export interface StatusConfig {
   value: StatusValue;
   label: string;
@@ -24,7 +47,7 @@ export interface StatusConfig {
   // สถานะก่อนหน้าที่สามารถย้อนกลับมาได้
   previousStatuses: StatusValue[];
   // ต้องกรอกข้อมูลอะไรเพิ่มเติมบ้าง
-  requiredFields?: string[];
+  requiredFields?: RequiredField[];
   // ข้อความแนะนำสำหรับปุ่มถัดไป
   nextButtonLabel?: string;
   // อยู่ในเส้นทางไหน (path)
@@ -43,7 +66,7 @@ export const STATUS_CONFIG: Record<StatusValue, StatusConfig> = {
     value: 'new',
     label: 'รับเรื่องใหม่',
     icon: '📥',
-    color: 'bg-blue-100 text-blue-800',
+    color: 'bg-slate-500',
     description: 'งานใหม่เข้ามาแล้ว',
     nextStatuses: ['queue', 'waiting_quote', 'checking_parts', 'cancelled'],
     previousStatuses: [],
@@ -58,7 +81,7 @@ export const STATUS_CONFIG: Record<StatusValue, StatusConfig> = {
     value: 'queue',
     label: 'จองคิว / นัดหมาย',
     icon: '📋',
-    color: 'bg-yellow-100 text-yellow-800',
+    color: 'bg-yellow-500',
     description: 'นัดหมายวัน/เวลาทำงาน ลงปฏิทินแล้ว',
     nextStatuses: ['completed', 'cancelled'],
     previousStatuses: ['new'],
@@ -71,10 +94,10 @@ export const STATUS_CONFIG: Record<StatusValue, StatusConfig> = {
     value: 'completed',
     label: 'เสร็จสิ้น',
     icon: '🏁',
-    color: 'bg-gray-100 text-gray-800',
+    color: 'bg-gray-500',
     description: 'งานเสร็จสมบูรณ์',
     nextStatuses: [],
-    previousStatuses: ['queue'],
+    previousStatuses: ['queue', 'order_parts'],
     workflowPath: 'terminal',
   },
 
@@ -85,7 +108,7 @@ export const STATUS_CONFIG: Record<StatusValue, StatusConfig> = {
     value: 'waiting_quote',
     label: 'ขอใบเสนอราคา',
     icon: '💰',
-    color: 'bg-orange-100 text-orange-800',
+    color: 'bg-orange-500',
     description: 'ลูกค้าต้องการใบเสนอราคา (ราคาชัดเจนอยู่แล้ว)',
     nextStatuses: ['send_quote', 'cancelled'],
     previousStatuses: ['new'],
@@ -100,23 +123,35 @@ export const STATUS_CONFIG: Record<StatusValue, StatusConfig> = {
     value: 'checking_parts',
     label: 'เช็คอะไหล่ + เสนอราคา',
     icon: '🔧',
-    color: 'bg-indigo-100 text-indigo-800',
+    color: 'bg-indigo-500',
     description: 'ฝ่ายจัดซื้อเช็คราคาอะไหล่ + ฝ่ายทำใบเสนอราคาทำใบเสนอ',
-    nextStatuses: ['send_quote', 'cancelled'],
+    nextStatuses: ['order_parts', 'send_quote', 'cancelled'],
     previousStatuses: ['new', 'waiting_response'],
     requiredFields: ['quoteAmount'],
     nextButtonLabel: 'ทำใบเสนอราคาแล้ว → ส่งลูกค้า',
     workflowPath: 'quote',
   },
 
+  order_parts: {
+    value: 'order_parts',
+    label: 'แจ้งซื้ออะไหล่',
+    icon: '🛒',
+    color: 'bg-cyan-600',
+    description: 'ฝ่ายจัดซื้อสั่งอะไหล่ รอของเข้าก่อนเสนอราคา/เข้างาน',
+    nextStatuses: ['send_quote', 'completed', 'cancelled'],
+    previousStatuses: ['checking_parts'],
+    nextButtonLabel: 'อะไหล่มาแล้ว → ส่งใบเสนอราคา',
+    workflowPath: 'quote',
+  },
+
   send_quote: {
     value: 'send_quote',
     label: 'ส่งใบเสนอราคาแล้ว',
     icon: '📨',
-    color: 'bg-teal-100 text-teal-800',
+    color: 'bg-teal-500',
     description: 'ฝ่ายทำใบเสนอราคาทำเสร็จ แอดมินส่งให้ลูกค้าแล้ว',
     nextStatuses: ['waiting_response', 'cancelled'],
-    previousStatuses: ['waiting_quote', 'checking_parts'],
+    previousStatuses: ['waiting_quote', 'checking_parts', 'order_parts'],
     nextButtonLabel: 'รอลูกค้าตอบกลับ',
     workflowPath: 'quote',
   },
@@ -125,7 +160,7 @@ export const STATUS_CONFIG: Record<StatusValue, StatusConfig> = {
     value: 'waiting_response',
     label: 'รอลูกค้าตอบกลับ',
     icon: '⏳',
-    color: 'bg-amber-100 text-amber-800',
+    color: 'bg-amber-500',
     description: 'แอดมินส่งใบเสนอราคาให้ลูกค้าแล้ว รออนุมัติ',
     nextStatuses: ['new', 'cancelled'],
     previousStatuses: ['send_quote'],
@@ -140,7 +175,7 @@ export const STATUS_CONFIG: Record<StatusValue, StatusConfig> = {
     value: 'cancelled',
     label: 'ยกเลิก',
     icon: '❌',
-    color: 'bg-red-100 text-red-800',
+    color: 'bg-red-500',
     description: 'ลูกค้ายกเลิกงาน',
     nextStatuses: [],
     previousStatuses: [],
@@ -185,6 +220,31 @@ export function canTransitionTo(
   return allowedNext.includes(toStatus);
 }
 
+/**
+ * 📝 Get Missing Required Fields
+ * เช็คว่าข้อมูลที่ต้องมีก่อนเข้าสถานะนี้ ยังขาดอะไรบ้าง
+ */
+export function getMissingRequiredFields(
+  toStatus: StatusValue,
+  data: Partial<Record<RequiredField, unknown>>
+): RequiredField[] {
+  const required = getStatusConfig(toStatus).requiredFields ?? [];
+  return required.filter(field => {
+    const value = data[field];
+    if (typeof value === 'string') return value.trim() === '';
+    if (typeof value === 'number') return !Number.isFinite(value);
+    return value === undefined || value === null;
+  });
+}
+
+/**
+ * 🔍 Is Status Value
+ * เช็คว่าเป็นค่าสถานะที่ระบบรู้จักไหม (ข้อมูลเก่าจาก Sheet อาจมีค่าแปลกๆ)
+ */
+export function isStatusValue(value: unknown): value is StatusValue {
+  return typeof value === 'string' && (STATUS_VALUES as readonly string[]).includes(value);
+}
+
 /**
  * 🗺️ Get Workflow Path
  * ดูว่าอยู่ในเส้นทางไหน (queue, quote, both, terminal)
@@ -211,6 +271,7 @@ export function getStatusProgress(status: StatusValue): number {
     queue: 50,
     waiting_quote: 25,
     checking_parts: 35,
+    order_parts: 45,
     send_quote: 50,
     waiting_response: 75,
     completed: 100,
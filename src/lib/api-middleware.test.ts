@@ -0,0 +1,81 @@
+import { NextResponse } from 'next/server'
+import { afterEach, describe, expect, it, vi } from 'vitest'
+import { apiRequest, expectStatus, TEST_EMPLOYEES } from '@/test/api'
+import { getEmployee } from '@/lib/repositories/employees'
+import { withAuth, withRateLimit, type Actor } from './api-middleware'
+
+// handler ที่ตอบกลับว่าใครเรียก
+const echoActor = vi.fn(async (_request: unknown, actor: Actor) => NextResponse.json({ actor }))
+
+afterEach(() => {
+  vi.unstubAllEnvs()
+})
+
+describe('withAuth', () => {
+  const route = withAuth(echoActor)
+  const adminRoute = withAuth(echoActor, {
+    authorize: session => session.role === 'admin',
+    forbiddenMessage: 'เฉพาะ admin เท่านั้น',
+  })
+
+  it('401 พร้อมคำอธิบายเมื่อไม่มี session', async () => {
+    const body = await expectStatus(await route(apiRequest('/api/x')), 401)
+    expect(body).toEqual({ error: 'Unauthorized', details: expect.any(String) })
+    expect(echoActor).not.toHaveBeenCalled()
+  })
+
+  it('401 เมื่อ x-api-secret ไม่ตรง', async () => {
+    await expectStatus(await route(apiRequest('/api/x', { headers: { 'x-api-secret': 'wrong' } })), 401)
+  })
+
+  it('401 เมื่อบัญชีพนักงานถูกปิดหลัง login', async () => {
+    vi.mocked(getEmployee).mockResolvedValueOnce({ ...TEST_EMPLOYEES.reception, active: false })
+    await expectStatus(await route(apiRequest('/api/x', { role: 'reception' })), 401)
+  })
+
+  it('ส่ง session ของพนักงานให้ handler', async () => {
+    const body = await expectStatus(await route(apiRequest('/api/x', { role: 'reception' })), 200)
+    expect(body.actor).toEqual({
+      type: 'employee',
+      session: { employeeId: 'emp-reception', name: 'ทดสอบ reception', role: 'reception' },
+    })
+  })
+
+  it('x-api-secret เป็น service actor และผ่าน authorize เสมอ', async () => {
+    const body = await expectStatus(await adminRoute(apiRequest('/api/x', { apiSecret: true })), 200)
+    expect(body.actor).toEqual({ type: 'service' })
+  })
+
+  it('sessionOnly ไม่รับ x-api-secret', async () => {
+    const sessionOnly = withAuth(echoActor, { sessionOnly: true })
+    await expectStatus(await sessionOnly(apiRequest('/api/x', { apiSecret: true })), 401)
+  })
+
+  it('403 พร้อมข้อความของ route เมื่อ role ไม่ผ่าน authorize', async () => {
+    const body = await expectStatus(await adminRoute(apiRequest('/api/x', { role: 'technician' })), 403)
+    expect(body.error).toBe('เฉพาะ admin เท่านั้น')
+  })
+
+  it('500 Server misconfigured เมื่อไม่ได้ตั้ง SESSION_SECRET (ไม่โยน error ออกจาก route)', async () => {
+    const request = apiRequest('/api/x', { role: 'admin' })
+    vi.stubEnv('SESSION_SECRET', '')
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    const body = await expectStatus(await route(request), 500)
+    expect(body).toEqual({ error: 'Server misconfigured', details: 'SESSION_SECRET not configured' })
+  })
+})
+
+describe('withRateLimit', () => {
+  it('429 พร้อม Retry-After เมื่อเกินโควต้า', async () => {
+    const route = withRateLimit(async () => NextResponse.json({ ok: true }), { limit: 1, windowMs: 60_000 })
+    const headers = { 'x-forwarded-for': '192.0.2.1' }
+
+    const first = await route(apiRequest('/api/limited', { headers }))
+    expect(first.status).toBe(200)
+    expect(first.headers.get('RateLimit-Remaining')).toBe('0')
+
+    const second = await route(apiRequest('/api/limited', { headers }))
+    expect(second.status).toBe(429)
+    expect(second.headers.get('Retry-After')).toBeTruthy()
+  })
+})
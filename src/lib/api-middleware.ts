@@ -1,64 +1,152 @@
+import { timingSafeEqual } from 'crypto'
 import { NextRequest, NextResponse } from 'next/server'
+import { SessionConfigError, getSession, type Session } from '@/lib/auth'
+import {
+  consumeRateLimit,
+  getRouteRateLimit,
+  type RateLimitRule,
+  type RateLimitResult,
+} from '@/lib/rate-limit'
+import type { AuditContext } from '@/lib/types'
 
-// Simple in-process rate limiter (per Vercel function instance)
-// สำหรับ production จริงๆ ควรใช้ Upstash Redis
-const rateLimitMap = new Map<string, { count: number; resetAt: number }>()
-const RATE_LIMIT = 60 // requests
-const RATE_WINDOW = 60 * 1000 // 1 minute
-
-function getRateLimitKey(request: NextRequest): string {
+// Rate limit: ตัวนับอยู่ใน store ที่เลือกด้วย RATE_LIMIT_STORE (ดู src/lib/rate-limit.ts)
+export function getClientIp(request: NextRequest): string {
   const forwarded = request.headers.get('x-forwarded-for')
-  const ip = forwarded ? forwarded.split(',')[0]?.trim() ?? 'unknown' : 'unknown'
-  const path = new URL(request.url).pathname
-  return `${ip}:${path}`
+  return forwarded ? forwarded.split(',')[0]?.trim() ?? 'unknown' : 'unknown'
 }
 
-export function checkRateLimit(request: NextRequest): boolean {
-  const key = getRateLimitKey(request)
-  const now = Date.now()
-  const entry = rateLimitMap.get(key)
-
-  if (!entry || now > entry.resetAt) {
-    rateLimitMap.set(key, { count: 1, resetAt: now + RATE_WINDOW })
-    return true
-  }
-
-  if (entry.count >= RATE_LIMIT) return false
+// rule ไม่ระบุ = ใช้ limit ของ route (ROUTE_RATE_LIMITS ทับด้วย RATE_LIMITS)
+export async function checkRateLimit(request: NextRequest, rule?: RateLimitRule): Promise<RateLimitResult> {
+  const path = new URL(request.url).pathname
+  return consumeRateLimit(`${getClientIp(request)}:${path}`, rule ?? getRouteRateLimit(path))
+}
 
-  entry.count++
-  return true
+// RateLimit-* ตาม draft มาตรฐาน IETF (RateLimit-Reset = วินาทีที่เหลือ)
+export function setRateLimitHeaders(response: NextResponse, result: RateLimitResult): NextResponse {
+  const resetSeconds = Math.max(0, Math.ceil((result.resetAt - Date.now()) / 1000))
+  response.headers.set('RateLimit-Limit', String(result.limit))
+  response.headers.set('RateLimit-Remaining', String(result.remaining))
+  response.headers.set('RateLimit-Reset', String(resetSeconds))
+  return response
 }
 
-export function rateLimitResponse(): NextResponse {
-  return NextResponse.json(
+export function rateLimitResponse(result: RateLimitResult): NextResponse {
+  const response = NextResponse.json(
     { error: 'Too many requests. Please try again later.' },
-    { status: 429, headers: { 'Retry-After': '60' } }
+    { status: 429 }
   )
+  response.headers.set('Retry-After', String(Math.max(1, Math.ceil((result.resetAt - Date.now()) / 1000))))
+  return setRateLimitHeaders(response, result)
 }
 
-// ตรวจสอบ API Secret (สำหรับ server-to-server calls)
-// Frontend calls ไม่ต้องใช้ เพราะ auth ด้วย session/user แทน
+// ตรวจสอบ API Secret (สำหรับ server-to-server calls เช่น Apps Script / cron)
+// ถ้าไม่ได้ตั้ง API_SECRET_KEY = ปิดช่องทางนี้ (ต้อง login อย่างเดียว)
 export function checkApiSecret(request: NextRequest): boolean {
   const secret = process.env['API_SECRET_KEY']
-  if (!secret) return true // ถ้าไม่ได้ตั้ง env = ไม่บังคับ
-
   const provided = request.headers.get('x-api-secret')
-  return provided === secret
+  if (!secret || !provided) return false
+
+  const expected = Buffer.from(secret)
+  const actual = Buffer.from(provided)
+  return expected.length === actual.length && timingSafeEqual(expected, actual)
 }
 
 export function unauthorizedResponse(): NextResponse {
-  return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  return NextResponse.json(
+    { error: 'Unauthorized', details: 'กรุณาเข้าสู่ระบบ หรือส่ง x-api-secret' },
+    { status: 401 }
+  )
+}
+
+// login แล้วแต่ role ไม่มีสิทธิ์ทำสิ่งนี้
+export function forbiddenResponse(message = 'Forbidden'): NextResponse {
+  return NextResponse.json({ error: message }, { status: 403 })
+}
+
+// อ่าน session ไม่ได้เพราะ server (ตั้งค่าไม่ครบ / DB ล่ม) — ไม่ใช่ความผิดของคนเรียก จึงไม่ตอบ 401
+export function sessionErrorResponse(error: unknown): NextResponse {
+  console.error('Error verifying session:', error)
+  const errorMessage = error instanceof Error ? error.message : 'Unknown error'
+  return NextResponse.json(
+    { error: error instanceof SessionConfigError ? 'Server misconfigured' : 'Failed to verify session', details: errorMessage },
+    { status: 500 }
+  )
 }
 
-// Wrapper สำหรับ internal API routes (sheets, calendar, telegram)
-// ใช้ตรวจ rate limit เป็นหลัก
-export function withRateLimit(
-  handler: (req: NextRequest) => Promise<NextResponse>
-) {
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Middleware แบบซ้อนกันได้: withRateLimit(withAuth(handler))
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+export type RouteHandler = (request: NextRequest) => Promise<NextResponse>
+
+// ใครเป็นคนเรียก: พนักงานที่ login (มี session) หรือระบบอื่นที่ส่ง x-api-secret
+export type Actor =
+  | { type: 'employee'; session: Session }
+  | { type: 'service' }
+
+export type AuthedRouteHandler = (request: NextRequest, actor: Actor) => Promise<NextResponse>
+
+interface AuthOptions {
+  // ไม่รับ x-api-secret (ต้องเป็นพนักงานเท่านั้น เช่นงานที่ต้องมีชื่อลงประวัติ)
+  sessionOnly?: boolean
+  // เช็คสิทธิ์ของ role เพิ่ม — ไม่ผ่าน = 403 (x-api-secret ถือว่าผ่านเสมอ)
+  authorize?: (session: Session) => boolean
+  forbiddenMessage?: string
+}
+
+/**
+ * 🚦 With Rate Limit
+ * ใส่ได้กับทุก route — ตอบ 429 เมื่อเกินโควต้า และแนบ RateLimit-* headers ทุก response
+ */
+export function withRateLimit(handler: RouteHandler, rule?: RateLimitRule): RouteHandler {
   return async (request: NextRequest): Promise<NextResponse> => {
-    if (!checkRateLimit(request)) {
-      return rateLimitResponse()
+    const result = await checkRateLimit(request, rule)
+    if (!result.allowed) {
+      return rateLimitResponse(result)
     }
-    return handler(request)
+    const response = await handler(request)
+    // handler ที่มี limit ของตัวเอง (เช่นนับครั้งเดา PIN) ตั้ง header มาแล้ว — ไม่ทับ
+    return response.headers.has('RateLimit-Limit') ? response : setRateLimitHeaders(response, result)
   }
 }
+
+/**
+ * 🔐 With Auth
+ * ต้องมี session ที่ยังใช้ได้ หรือ x-api-secret ที่ถูกต้อง — ไม่งั้น 401
+ * ใช้กับทุก route ที่เขียน/ลบข้อมูล
+ */
+export function withAuth(handler: AuthedRouteHandler, options: AuthOptions = {}): RouteHandler {
+  return async (request: NextRequest): Promise<NextResponse> => {
+    if (!options.sessionOnly && checkApiSecret(request)) {
+      return handler(request, { type: 'service' })
+    }
+
+    let session: Session | null
+    try {
+      session = await getSession(request)
+    } catch (error) {
+      return sessionErrorResponse(error)
+    }
+    if (!session) return unauthorizedResponse()
+
+    if (options.authorize && !options.authorize(session)) {
+      return forbiddenResponse(options.forbiddenMessage)
+    }
+    return handler(request, { type: 'employee', session })
+  }
+}
+
+// สำหรับ route ที่เปิดสาธารณะแต่มีข้อมูลบางส่วนให้เฉพาะคนที่ login / มี x-api-secret
+export async function isAuthenticated(request: NextRequest): Promise<boolean> {
+  return checkApiSecret(request) || (await getSession(request)) !== null
+}
+
+// ชื่อที่ลงประวัติ/ข้อความแจ้งเตือน
+export function getActorName(actor: Actor): string {
+  return actor.type === 'employee' ? actor.session.name : 'System'
+}
+
+// ใคร + ช่องทาง สำหรับประวัติการแก้ไขรายฟิลด์ (พนักงาน = หน้าเว็บ, x-api-secret = ระบบอื่นเรียก API)
+export function getAuditContext(actor: Actor): AuditContext {
+  return { by: getActorName(actor), source: actor.type === 'employee' ? 'web' : 'api' }
+}
@@ -0,0 +1,64 @@
+import { describe, expect, it } from 'vitest'
+import { decodeAuditValue, diffServiceRequests, encodeAuditValue, formatAuditValue, isAuditField } from '@/lib/audit'
+import { makeServiceRequest } from '@/test/fixtures'
+
+describe('diffServiceRequests', () => {
+  it('ลงเฉพาะฟิลด์ที่เปลี่ยน ค่าเป็น JSON', () => {
+    const before = makeServiceRequest({ phone: '081-234-5678', appointmentDate: '' })
+    const after = makeServiceRequest({ phone: '089-999-0000', appointmentDate: '2026-10-21T10:00', quoteAmount: 1500 })
+
+    expect(diffServiceRequests(before, after)).toEqual([
+      { field: 'phone', before: '"081-234-5678"', after: '"089-999-0000"' },
+      { field: 'appointmentDate', before: '""', after: '"2026-10-21T10:00"' },
+      { field: 'quoteAmount', before: 'null', after: '1500' },
+    ])
+  })
+
+  it('ค่าว่างทุกแบบเท่ากัน / ฟิลด์ที่ไม่ลงประวัติ (history, calendarEventId) ไม่นับ → ไม่มีรายการ', () => {
+    const before = makeServiceRequest()
+    const after = makeServiceRequest({
+      contactName: '',
+      isAllDay: false,
+      calendarEventId: 'event-1',
+      history: [],
+    })
+    expect(diffServiceRequests(before, after)).toEqual([])
+  })
+
+  it('ข้อมูลเก่าที่มีแค่ imageUrl / pdfUrl เทียบแบบ array — ย้ายไปฟิลด์ใหม่ไม่นับว่าแก้', () => {
+    const legacy = makeServiceRequest({ imageUrl: 'https://img/1.jpg', pdfUrl: 'https://files/spec.pdf', pdfFileName: 'spec.pdf' })
+    const migrated = makeServiceRequest({
+      imageUrl: 'https://img/1.jpg',
+      imageUrls: ['https://img/1.jpg'],
+      attachments: [{ url: 'https://files/spec.pdf', name: 'spec.pdf' }],
+    })
+    expect(diffServiceRequests(legacy, migrated)).toEqual([])
+    expect(encodeAuditValue(makeServiceRequest(), 'imageUrls')).toBe('[]')
+  })
+})
+
+describe('ค่าใน timeline', () => {
+  it('แปลงค่าตามชนิดฟิลด์', () => {
+    expect(formatAuditValue('status', '"waiting_response"')).toBe('⏳ รอลูกค้าตอบกลับ')
+    expect(formatAuditValue('priority', '"emergency"')).toBe('🔴 ฉุกเฉิน')
+    expect(formatAuditValue('technicianId', '"tech-1"', { 'tech-1': 'ช่างเอ' })).toBe('ช่างเอ')
+    expect(formatAuditValue('technicianId', '"tech-9"')).toBe('tech-9')
+    expect(formatAuditValue('isAllDay', 'true')).toBe('ใช่')
+    expect(formatAuditValue('appointmentDate', '"2026-10-21T10:00"')).toBe('2026-10-21 10:00')
+    expect(formatAuditValue('imageUrls', '["a","b"]')).toBe('2 รูป')
+    expect(formatAuditValue('attachments', '[{"url":"u","name":"spec.pdf"},{"url":"v","name":""}]')).toBe('spec.pdf, ไฟล์')
+    expect(formatAuditValue('attachments', '[]')).toBe('(ว่าง)')
+  })
+
+  it('ค่าว่าง / null / JSON เสีย → (ว่าง)', () => {
+    expect(formatAuditValue('notes', '""')).toBe('(ว่าง)')
+    expect(formatAuditValue('notes', null)).toBe('(ว่าง)')
+    expect(decodeAuditValue('{broken')).toBeNull()
+  })
+
+  it('แถวพิเศษ created/deleted ไม่ใช่ฟิลด์ที่ย้อนได้', () => {
+    expect(isAuditField('notes')).toBe(true)
+    expect(isAuditField('created')).toBe(false)
+    expect(isAuditField('toString')).toBe(false)
+  })
+})
@@ -0,0 +1,135 @@
+/**
+ * 🕵️ Field Audit
+ * ประวัติการแก้ไขรายฟิลด์ของงาน — repository เทียบค่าก่อน/หลังแล้วลงตาราง FieldChange ให้ทุกครั้งที่เขียน
+ * ใช้ทั้ง server (เทียบค่า / ย้อนค่า) และหน้าเว็บ (timeline ใน modal งาน)
+ */
+
+import { formatPriority } from './integrations/telegram';
+import { getStatusConfig, isStatusValue } from './STATUS_WORKFLOW';
+import type { AuditSource, ServiceRequest } from './types';
+
+export const AUDIT_SOURCE_LABELS: Record<AuditSource, string> = {
+  web: '🖥️ หน้าเว็บ',
+  api: '🔌 API',
+  telegram: '💬 Telegram',
+  line: '🟢 LINE',
+  calendar: '📅 Google Calendar',
+  sheet: '📊 Google Sheet',
+  import: '📥 นำเข้าข้อมูล',
+  system: '⚙️ ระบบ',
+};
+
+// ฟิลด์ที่ลงประวัติ — revertable = ย้อนจาก timeline ได้ (สถานะต้องไปตาม workflow, เลขที่งาน server ออกให้)
+// ไม่ลง calendarEventId/Url (ระบบจัดการเอง) และ customerId/siteId (ชื่อ/ที่อยู่ที่เป็นข้อความลงอยู่แล้ว)
+// deletedAt = ย้ายไปถังขยะ/กู้คืน — กู้คืนที่หน้าถังขยะ ไม่ใช่ปุ่มย้อน
+export const AUDIT_FIELDS = {
+  requestNo: { label: 'เลขที่งาน', revertable: false },
+  status: { label: 'สถานะ', revertable: false },
+  channel: { label: 'ช่องทาง', revertable: true },
+  customerName: { label: 'ชื่อลูกค้า', revertable: true },
+  contactName: { label: 'ผู้ติดต่อ', revertable: true },
+  phone: { label: 'เบอร์โทร', revertable: true },
+  address: { label: 'ที่อยู่', revertable: true },
+  serviceType: { label: 'ประเภทงาน', revertable: true },
+  description: { label: 'รายละเอียด', revertable: true },
+  priority: { label: 'ความเร่งด่วน', revertable: true },
+  appointmentDate: { label: 'วันนัด', revertable: true },
+  appointmentEndDate: { label: 'นัดถึง', revertable: true },
+  isAllDay: { label: 'ทั้งวัน', revertable: true },
+  quoteAmount: { label: 'ยอดเสนอราคา', revertable: true },
+  cancelReason: { label: 'เหตุผลที่ยกเลิก', revertable: true },
+  notes: { label: 'หมายเหตุ', revertable: true },
+  technicianId: { label: 'ช่าง', revertable: true },
+  imageUrls: { label: 'รูปภาพ', revertable: true },
+  attachments: { label: 'ไฟล์แนบ', revertable: true },
+  deletedAt: { label: 'ถังขยะ', revertable: false },
+} as const satisfies Partial<Record<keyof ServiceRequest, { label: string; revertable: boolean }>>;
+
+export type AuditField = keyof typeof AUDIT_FIELDS;
+
+// แถวพิเศษ: เปิดงาน (after = ข้อมูลงานทั้งก้อน) / ลบงาน (before = ข้อมูลงานทั้งก้อน)
+export const AUDIT_CREATED = 'created';
+export const AUDIT_DELETED = 'deleted';
+
+export interface FieldDiff {
+  field: AuditField;
+  before: string;
+  after: string;
+}
+
+export function isAuditField(field: string): field is AuditField {
+  return Object.prototype.hasOwnProperty.call(AUDIT_FIELDS, field);
+}
+
+// ค่าที่ใช้เทียบ/เก็บ — ค่าว่างทุกแบบ (undefined, "") เป็นค่าเดียวกัน ข้อมูลเก่าที่มีแค่ imageUrl/pdfUrl ใช้แบบ array
+function getAuditValue(request: ServiceRequest, field: AuditField): unknown {
+  switch (field) {
+    case 'isAllDay':
+      return Boolean(request.isAllDay);
+    case 'quoteAmount':
+      return request.quoteAmount ?? null;
+    case 'imageUrls':
+      return request.imageUrls ?? (request.imageUrl ? [request.imageUrl] : []);
+    case 'attachments':
+      return request.attachments ?? (request.pdfUrl ? [{ url: request.pdfUrl, name: request.pdfFileName || 'ไฟล์' }] : []);
+    default:
+      return request[field] ?? '';
+  }
+}
+
+export function encodeAuditValue(request: ServiceRequest, field: AuditField): string {
+  return JSON.stringify(getAuditValue(request, field));
+}
+
+export function decodeAuditValue(json: string | null): unknown {
+  if (json === null) return null;
+  try {
+    return JSON.parse(json);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * 🔍 Diff
+ * ฟิลด์ที่เปลี่ยนระหว่างก่อน/หลังเขียน (ค่าเป็น JSON) — ไม่เปลี่ยนอะไรเลย = array ว่าง (ไม่ลงประวัติ)
+ */
+export function diffServiceRequests(before: ServiceRequest, after: ServiceRequest): FieldDiff[] {
+  const diffs: FieldDiff[] = [];
+  for (const field of Object.keys(AUDIT_FIELDS) as AuditField[]) {
+    const beforeJson = encodeAuditValue(before, field);
+    const afterJson = encodeAuditValue(after, field);
+    if (beforeJson !== afterJson) diffs.push({ field, before: beforeJson, after: afterJson });
+  }
+  return diffs;
+}
+
+/**
+ * 🏷️ Format Value
+ * ค่าสำหรับแสดงใน timeline — technicianNames แปลง id ช่างเป็นชื่อ (ไม่เจอ = แสดง id)
+ */
+export function formatAuditValue(
+  field: string,
+  json: string | null,
+  technicianNames: Record<string, string> = {}
+): string {
+  const value = decodeAuditValue(json);
+  if (value === null || value === '') return '(ว่าง)';
+
+  if (field === 'status' && isStatusValue(value)) {
+    const status = getStatusConfig(value);
+    return `${status.icon} ${status.label}`;
+  }
+  if (field === 'priority' && (value === 'normal' || value === 'urgent' || value === 'emergency')) {
+    return formatPriority(value);
+  }
+  if (field === 'technicianId' && typeof value === 'string') return technicianNames[value] || value;
+  if (field === 'isAllDay') return value ? 'ใช่' : 'ไม่ใช่';
+  if (field === 'quoteAmount' && typeof value === 'number') return `${value.toLocaleString('th-TH')} บาท`;
+  if (field === 'appointmentDate' || field === 'appointmentEndDate') return String(value).replace('T', ' ');
+  if (field === 'imageUrls' && Array.isArray(value)) return `${value.length} รูป`;
+  if (field === 'attachments' && Array.isArray(value)) {
+    return value.map(file => (file as { name?: string }).name || 'ไฟล์').join(', ') || '(ว่าง)';
+  }
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
@@ -0,0 +1,65 @@
+import { afterEach, describe, expect, it, vi } from 'vitest'
+import { NextRequest } from 'next/server'
+import { getEmployee } from '@/lib/repositories/employees'
+import { SESSION_COOKIE, createSessionToken, getSession, hashPin, verifyPin, verifySessionToken } from '@/lib/auth'
+import { TEST_EMPLOYEES } from '@/test/api'
+
+const session = { employeeId: 'emp-reception', name: 'ทดสอบ reception', role: 'reception' } as const
+
+function requestWithToken(token: string): NextRequest {
+  return new NextRequest('http://localhost/api/auth/session', { headers: { cookie: `${SESSION_COOKIE}=${token}` } })
+}
+
+afterEach(() => {
+  vi.useRealTimers()
+})
+
+describe('PIN', () => {
+  it('hash ต่อคนใช้ salt ต่างกัน — PIN เดียวกันได้ hash ไม่ซ้ำ แต่ตรวจผ่านทั้งคู่', () => {
+    const first = hashPin('1234')
+    const second = hashPin('1234')
+    expect(first).not.toBe(second)
+    expect(verifyPin('1234', first)).toBe(true)
+    expect(verifyPin('1234', second)).toBe(true)
+    expect(verifyPin('4321', first)).toBe(false)
+  })
+
+  it('hash รูปแบบอื่น (เช่น PIN เก่าแบบ plain text) ไม่ผ่าน', () => {
+    expect(verifyPin('1234', '1234')).toBe(false)
+    expect(verifyPin('1234', 'md5$salt$hash')).toBe(false)
+  })
+})
+
+describe('session token', () => {
+  it('ถอด token ที่ sign เองได้ข้อมูลพนักงานเดิม', () => {
+    expect(verifySessionToken(createSessionToken(session))).toEqual(session)
+  })
+
+  it('แก้ payload (เช่นเปลี่ยน role เป็น admin) → ลายเซ็นไม่ตรง', () => {
+    const [, signature] = createSessionToken(session).split('.')
+    const forged = Buffer.from(JSON.stringify({ ...session, role: 'admin', exp: 9999999999 })).toString('base64url')
+    expect(verifySessionToken(`${forged}.${signature}`)).toBeNull()
+    expect(verifySessionToken('ไม่ใช่ token')).toBeNull()
+  })
+
+  it('หมดอายุหลัง 12 ชั่วโมง', () => {
+    vi.useFakeTimers({ now: new Date('2026-10-19T00:00:00.000Z'), toFake: ['Date'] })
+    const token = createSessionToken(session)
+    vi.setSystemTime(new Date('2026-10-19T11:59:00.000Z'))
+    expect(verifySessionToken(token)).toEqual(session)
+    vi.setSystemTime(new Date('2026-10-19T12:01:00.000Z'))
+    expect(verifySessionToken(token)).toBeNull()
+  })
+})
+
+describe('getSession', () => {
+  it('ใช้ชื่อ/role ล่าสุดจาก DB ไม่ใช่ค่าที่ฝังใน cookie', async () => {
+    vi.mocked(getEmployee).mockResolvedValueOnce({ ...TEST_EMPLOYEES.reception, role: 'quotation' })
+    expect(await getSession(requestWithToken(createSessionToken(session)))).toMatchObject({ role: 'quotation' })
+  })
+
+  it('พนักงานที่ถูกปิดบัญชีแล้ว → ไม่มี session ทันที', async () => {
+    vi.mocked(getEmployee).mockResolvedValueOnce({ ...TEST_EMPLOYEES.reception, active: false })
+    expect(await getSession(requestWithToken(createSessionToken(session)))).toBeNull()
+  })
+})
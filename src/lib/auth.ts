@@ -0,0 +1,114 @@
+import { createHmac, randomBytes, scryptSync, timingSafeEqual } from 'crypto'
+import { NextRequest, NextResponse } from 'next/server'
+import { getEmployee } from '@/lib/repositories/employees'
+import type { Role } from '@/lib/roles'
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Auth ของพนักงาน: PIN แบบ hash ต่อคน + session cookie ที่ sign ด้วย SESSION_SECRET
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+export const SESSION_COOKIE = 'session'
+const SESSION_TTL_SECONDS = 12 * 60 * 60 // 12 ชั่วโมง (1 กะ)
+
+export interface Session {
+  employeeId: string
+  name: string
+  role: Role
+}
+
+interface SessionPayload extends Session {
+  exp: number // unix seconds
+}
+
+// ยังไม่ได้ตั้ง SESSION_SECRET — withAuth ตอบ 500 JSON บอกว่าตั้งค่าไม่ครบ (ไม่ใช่ 401 ให้คนไปเดา PIN ซ้ำ)
+export class SessionConfigError extends Error {
+  constructor(message: string) {
+    super(message)
+    this.name = 'SessionConfigError'
+  }
+}
+
+function getSessionSecret(): string {
+  const secret = process.env['SESSION_SECRET']
+  if (!secret) throw new SessionConfigError('SESSION_SECRET not configured')
+  return secret
+}
+
+// ── PIN hashing (scrypt + salt ต่อคน) ──
+
+export function hashPin(pin: string): string {
+  const salt = randomBytes(16).toString('hex')
+  const hash = scryptSync(pin, salt, 64).toString('hex')
+  return `scrypt$${salt}$${hash}`
+}
+
+export function verifyPin(pin: string, stored: string): boolean {
+  const [scheme, salt, hash] = stored.split('$')
+  if (scheme !== 'scrypt' || !salt || !hash) return false
+  const expected = Buffer.from(hash, 'hex')
+  const actual = scryptSync(pin, salt, expected.length)
+  return timingSafeEqual(expected, actual)
+}
+
+// ── Session token: base64url(payload).base64url(hmac) ──
+
+function sign(value: string): string {
+  return createHmac('sha256', getSessionSecret()).update(value).digest('base64url')
+}
+
+export function createSessionToken(session: Session): string {
+  const payload: SessionPayload = { ...session, exp: Math.floor(Date.now() / 1000) + SESSION_TTL_SECONDS }
+  const encoded = Buffer.from(JSON.stringify(payload)).toString('base64url')
+  return `${encoded}.${sign(encoded)}`
+}
+
+export function verifySessionToken(token: string): Session | null {
+  const [encoded, signature] = token.split('.')
+  if (!encoded || !signature) return null
+
+  const expected = Buffer.from(sign(encoded))
+  const actual = Buffer.from(signature)
+  if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) return null
+
+  try {
+    const payload = JSON.parse(Buffer.from(encoded, 'base64url').toString()) as SessionPayload
+    if (payload.exp < Math.floor(Date.now() / 1000)) return null
+    return { employeeId: payload.employeeId, name: payload.name, role: payload.role }
+  } catch {
+    return null
+  }
+}
+
+/**
+ * 👤 Get Session
+ * อ่าน session จาก cookie แล้วเช็คกับ DB อีกรอบ
+ * (พนักงานที่ถูกปิดบัญชี/เปลี่ยน role จะมีผลทันที ไม่ต้องรอ cookie หมดอายุ)
+ */
+export async function getSession(request: NextRequest): Promise<Session | null> {
+  const token = request.cookies.get(SESSION_COOKIE)?.value
+  if (!token) return null
+
+  const session = verifySessionToken(token)
+  if (!session) return null
+
+  const employee = await getEmployee(session.employeeId)
+  if (!employee || !employee.active) return null
+
+  return { employeeId: employee.id, name: employee.name, role: employee.role }
+}
+
+export function setSessionCookie(response: NextResponse, session: Session): NextResponse {
+  response.cookies.set(SESSION_COOKIE, createSessionToken(session), {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: process.env.NODE_ENV === 'production',
+    path: '/',
+    maxAge: SESSION_TTL_SECONDS,
+  })
+  return response
+}
+
+export function clearSessionCookie(response: NextResponse): NextResponse {
+  response.cookies.set(SESSION_COOKIE, '', { httpOnly: true, path: '/', maxAge: 0 })
+  return response
+}
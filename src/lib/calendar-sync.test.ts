@@ -0,0 +1,215 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+import type { calendar_v3 } from 'googleapis'
+import {
+  CalendarSyncTokenExpiredError,
+  deleteCalendarEvent,
+  listCalendarEvents,
+  listChangedEvents,
+} from '@/lib/integrations/calendar'
+import { findServiceRequestByCalendarEventId, recordServiceRequestChange } from '@/lib/repositories/service-requests'
+import { listTechnicians } from '@/lib/repositories/technicians'
+import { eventToAppointment, parseEventTechnicianName, sweepOrphanCalendarEvents, syncCalendarChanges } from '@/lib/calendar-sync'
+import { makeServiceRequest } from '@/test/fixtures'
+
+// ตาราง CalendarSyncState / OutboxJob จำลอง — เก็บ sync token ไว้ใน state
+const { db } = vi.hoisted(() => ({
+  db: {
+    calendarSyncState: { findUnique: vi.fn(), upsert: vi.fn() },
+    outboxJob: { count: vi.fn() },
+    serviceRequest: { findMany: vi.fn() },
+  },
+}))
+
+vi.mock('@/lib/db', () => ({ db }))
+vi.mock('@/lib/integrations/calendar', async importOriginal => ({
+  ...await importOriginal<typeof import('@/lib/integrations/calendar')>(),
+  getCalendarId: () => 'calendar-1',
+  listChangedEvents: vi.fn(),
+  listCalendarEvents: vi.fn(),
+  deleteCalendarEvent: vi.fn(),
+}))
+vi.mock('@/lib/repositories/service-requests')
+vi.mock('@/lib/repositories/technicians')
+vi.mock('@/lib/outbox')
+
+const technician = {
+  phone: '',
+  email: '',
+  color: '7',
+  dailyCapacityMinutes: 480,
+  active: true,
+  createdAt: '2026-10-01T00:00:00.000Z',
+  updatedAt: '2026-10-01T00:00:00.000Z',
+}
+
+const job = makeServiceRequest({
+  status: 'queue',
+  appointmentDate: '2026-10-21T10:00',
+  calendarEventId: 'event-1',
+  updatedAt: '2026-10-19T02:00:00.000Z',
+})
+
+// ลาก event ไปอีกวัน (แก้หลังงานในระบบ)
+function movedEvent(overrides: calendar_v3.Schema$Event = {}): calendar_v3.Schema$Event {
+  return {
+    id: 'event-1',
+    updated: '2026-10-19T05:00:00.000Z',
+    start: { dateTime: '2026-10-22T10:00:00+07:00' },
+    end: { dateTime: '2026-10-22T11:00:00+07:00' },
+    ...overrides,
+  }
+}
+
+beforeEach(() => {
+  db.calendarSyncState.findUnique.mockResolvedValue({ calendarId: 'calendar-1', syncToken: 'token-1' })
+  db.outboxJob.count.mockResolvedValue(0)
+  vi.mocked(listTechnicians).mockResolvedValue([])
+  vi.mocked(findServiceRequestByCalendarEventId).mockResolvedValue(job)
+  vi.mocked(recordServiceRequestChange).mockResolvedValue(job)
+  vi.mocked(listChangedEvents).mockResolvedValue({ events: [], nextSyncToken: 'token-2' })
+})
+
+describe('syncCalendarChanges', () => {
+  it('ดึงเฉพาะที่เปลี่ยนด้วย sync token เดิม แล้วเก็บ token ใหม่', async () => {
+    const result = await syncCalendarChanges()
+
+    expect(listChangedEvents).toHaveBeenCalledWith('token-1')
+    expect(result.fullSync).toBe(false)
+    expect(db.calendarSyncState.upsert).toHaveBeenCalledWith(expect.objectContaining({
+      update: expect.objectContaining({ syncToken: 'token-2' }),
+    }))
+  })
+
+  it('token หมดอายุ (410) → ดึงทั้งหมดใหม่แล้วเก็บ token ใหม่', async () => {
+    vi.mocked(listChangedEvents)
+      .mockRejectedValueOnce(new CalendarSyncTokenExpiredError())
+      .mockResolvedValueOnce({ events: [movedEvent()], nextSyncToken: 'token-fresh' })
+
+    const result = await syncCalendarChanges()
+
+    expect(listChangedEvents).toHaveBeenNthCalledWith(1, 'token-1')
+    expect(listChangedEvents).toHaveBeenNthCalledWith(2)
+    expect(result).toMatchObject({ fullSync: true, scanned: 1 })
+    expect(result.updated[0]?.requestNo).toBe(job.requestNo)
+    expect(db.calendarSyncState.upsert).toHaveBeenCalledWith(expect.objectContaining({
+      update: expect.objectContaining({ syncToken: 'token-fresh' }),
+    }))
+  })
+
+  it('ลงประวัติในนาม Google Calendar ไม่ใช่คนสร้าง event (creator ไม่ใช่คนที่แก้)', async () => {
+    vi.mocked(listChangedEvents).mockResolvedValue({
+      events: [movedEvent({ creator: { email: 'owner@shop.example' } })],
+      nextSyncToken: 'token-2',
+    })
+
+    await syncCalendarChanges()
+
+    expect(recordServiceRequestChange).toHaveBeenCalledWith(
+      job.id, expect.objectContaining({ appointmentDate: '2026-10-22T10:00' }), { by: 'Google Calendar', source: 'calendar' }, expect.any(String)
+    )
+  })
+
+  it('event ถูกลบใน Google → ปลดการผูก event ของงาน', async () => {
+    vi.mocked(listChangedEvents).mockResolvedValue({ events: [{ id: 'event-1', status: 'cancelled' }], nextSyncToken: 'token-2' })
+
+    await syncCalendarChanges()
+
+    expect(recordServiceRequestChange).toHaveBeenCalledWith(
+      job.id, { calendarEventId: '', calendarEventUrl: '' }, { by: 'Google Calendar', source: 'calendar' }, 'event ถูกลบใน Google Calendar'
+    )
+  })
+
+  it('ข้าม เมื่อในระบบยังมี calendar.upsert ค้าง หรือแก้ในระบบหลัง event', async () => {
+    db.outboxJob.count.mockResolvedValueOnce(1)
+    vi.mocked(listChangedEvents).mockResolvedValue({
+      events: [movedEvent(), movedEvent({ updated: '2026-10-19T01:00:00.000Z' })],
+      nextSyncToken: 'token-2',
+    })
+
+    const result = await syncCalendarChanges()
+
+    expect(result.skipped.map(s => s.reason)).toEqual(['มีการแก้ในระบบที่ยังส่งไป Calendar ไม่เสร็จ', 'ในระบบแก้หลัง event'])
+    expect(recordServiceRequestChange).not.toHaveBeenCalled()
+  })
+
+  it('แก้ [ชื่อช่าง] ในหัวข้อ → จัดช่างตามชื่อ / ไม่รู้จักชื่อ → ข้าม', async () => {
+    vi.mocked(listTechnicians).mockResolvedValue([{ ...technician, id: 'tech-1', name: 'ช่างเอ' }])
+    const sameTime = { start: { dateTime: '2026-10-21T10:00:00+07:00' }, end: { dateTime: '2026-10-21T11:30:00+07:00' } }
+    vi.mocked(listChangedEvents).mockResolvedValue({
+      events: [movedEvent({ ...sameTime, summary: '[ช่างเอ] ลูกค้า ทดสอบ - ซ่อม' })],
+      nextSyncToken: 'token-2',
+    })
+
+    await syncCalendarChanges()
+    expect(recordServiceRequestChange).toHaveBeenCalledWith(
+      job.id, { technicianId: 'tech-1' }, { by: 'Google Calendar', source: 'calendar' }, 'เปลี่ยนช่าง รอจัดช่าง → ช่างเอ'
+    )
+
+    vi.mocked(listChangedEvents).mockResolvedValue({
+      events: [movedEvent({ ...sameTime, summary: '[ช่างบี] ลูกค้า ทดสอบ - ซ่อม' })],
+      nextSyncToken: 'token-3',
+    })
+    expect((await syncCalendarChanges()).skipped).toEqual([{ requestNo: job.requestNo, reason: 'ไม่พบช่างชื่อ "ช่างบี"' }])
+  })
+})
+
+describe('แปลง event → ข้อมูลงาน', () => {
+  it('ยาวเท่าเวลาตามประเภทงานพอดี → ไม่ใส่เวลาสิ้นสุด', () => {
+    expect(eventToAppointment(movedEvent({ end: { dateTime: '2026-10-22T12:00:00+07:00' } }), 'ซ่อม'))
+      .toEqual({ appointmentDate: '2026-10-22T10:00', appointmentEndDate: '', isAllDay: false })
+    expect(eventToAppointment(movedEvent(), 'ซ่อม'))
+      .toEqual({ appointmentDate: '2026-10-22T10:00', appointmentEndDate: '2026-10-22T11:00', isAllDay: false })
+  })
+
+  it('all-day หลายวัน → end.date ของ Google เป็นวันถัดจากวันสุดท้าย', () => {
+    expect(eventToAppointment({ start: { date: '2026-10-22' }, end: { date: '2026-10-24' } }, 'ติดตั้ง'))
+      .toEqual({ appointmentDate: '2026-10-22', appointmentEndDate: '2026-10-23', isAllDay: true })
+  })
+
+  it('ชื่อช่างจากวงเล็บหน้าหัวข้อ (ไม่มีวงเล็บ = ไม่รู้)', () => {
+    expect(parseEventTechnicianName(' [ช่างเอ ] ลูกค้า - ซ่อม')).toBe('ช่างเอ')
+    expect(parseEventTechnicianName('✅ [ช่างเอ] ลูกค้า - ซ่อม')).toBeNull()
+    expect(parseEventTechnicianName('ลูกค้า - ซ่อม')).toBeNull()
+  })
+})
+
+describe('sweepOrphanCalendarEvents', () => {
+  // event ของระบบที่สร้างไว้นานแล้ว
+  const appEvent = (id: string, requestNo: string): calendar_v3.Schema$Event => ({
+    id,
+    created: '2026-10-01T00:00:00.000Z',
+    summary: `[รอจัดช่าง] ลูกค้า ${id} - ซ่อม`,
+    start: { dateTime: '2026-10-20T09:00:00+07:00' },
+    extendedProperties: { private: { requestNo } },
+  })
+
+  beforeEach(() => {
+    vi.mocked(listCalendarEvents).mockResolvedValue([
+      appEvent('evt-1', 'REQ-20261001-001'),
+      appEvent('evt-2', 'REQ-20261001-002'),
+      appEvent('evt-3', 'REQ-20261001-003'),
+      { id: 'evt-team', created: '2026-10-01T00:00:00.000Z', summary: 'ประชุมทีม' },
+      { ...appEvent('evt-new', 'REQ-20261019-009'), created: new Date().toISOString() },
+    ])
+    db.serviceRequest.findMany.mockResolvedValue([
+      { calendarEventId: 'evt-1', requestNo: 'REQ-20261001-001', status: 'queue' },
+      { calendarEventId: 'evt-2', requestNo: 'REQ-20261001-002', status: 'cancelled' },
+    ])
+  })
+
+  it('รายงาน event ที่ไม่มีงานผูก / งานยกเลิกแล้ว — ไม่แตะ event ที่คนสร้างเองหรือเพิ่งสร้าง', async () => {
+    const result = await sweepOrphanCalendarEvents()
+
+    expect(result).toMatchObject({ scanned: 3, deleted: 0 })
+    expect(result.orphans.map(o => [o.eventId, o.requestNo, o.reason])).toEqual([
+      ['evt-2', 'REQ-20261001-002', 'งานถูกยกเลิกแล้ว'],
+      ['evt-3', 'REQ-20261001-003', 'ไม่มีงานที่ผูกกับ event นี้แล้ว'],
+    ])
+    expect(deleteCalendarEvent).not.toHaveBeenCalled()
+  })
+
+  it('apply → ลบ event ที่เจอ', async () => {
+    expect((await sweepOrphanCalendarEvents({ apply: true })).deleted).toBe(2)
+    expect(vi.mocked(deleteCalendarEvent).mock.calls).toEqual([['evt-2'], ['evt-3']])
+  })
+})
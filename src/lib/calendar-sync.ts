@@ -0,0 +1,400 @@
+import { randomBytes, randomUUID, timingSafeEqual } from 'crypto'
+import type { calendar_v3 } from 'googleapis'
+import { db } from '@/lib/db'
+import {
+  CalendarSyncTokenExpiredError,
+  deleteCalendarEvent,
+  getCalendarId,
+  isAppCalendarEvent,
+  listCalendarEvents,
+  listChangedEvents,
+  stopCalendarChannel,
+  watchCalendarEvents,
+} from '@/lib/integrations/calendar'
+import { kickOutboxWorker } from '@/lib/outbox'
+import {
+  findServiceRequestByCalendarEventId,
+  recordServiceRequestChange,
+  type ServiceRequestPatch,
+} from '@/lib/repositories/service-requests'
+import { listTechnicians } from '@/lib/repositories/technicians'
+import {
+  type AppointmentFields,
+  addDays,
+  formatTime,
+  getAppointmentRange,
+  getServiceDuration,
+  toAppointmentValue,
+  toDateKey,
+} from '@/lib/scheduling'
+import { UNASSIGNED_LABEL } from '@/lib/technicians'
+import type { AuditContext, ServiceRequest } from '@/lib/types'
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Calendar Sync — ดึงการเปลี่ยนแปลงใน Google Calendar กลับเข้าระบบ
+// คนลาก event ไปวัน/เวลาอื่น หรือแก้ [ชื่อช่าง] ในหัวข้อ (ตามที่คำอธิบาย event บอกไว้)
+// → แก้วันนัด/ช่างของงานที่ผูกกับ event นั้น (calendarEventId) + ลงประวัติว่าแก้จาก Google Calendar (ไม่ระบุตัวคน)
+// ใช้ sync token ของ events.list (ดึงเฉพาะที่เปลี่ยน) เรียกได้จาก cron หรือจาก watch channel ที่ Google แจ้งเข้ามา
+// ฝั่งระบบแก้ทีหลัง (ยังมี calendar.upsert ค้างในคิว / updatedAt ใหม่กว่า event) = ข้าม ให้ outbox ส่งทับไป
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+// ชื่อในประวัติของการแก้ที่ดึงมาจาก Google Calendar
+export const CALENDAR_SYNC_ACTOR = 'Google Calendar'
+
+// sweep ดู event ย้อนหลังไม่เกินเท่านี้ / ไม่แตะ event ที่เพิ่งสร้าง (outbox อาจยังไม่ได้บันทึก eventId ลงงาน)
+const SWEEP_LOOKBACK_DAYS = 30
+const SWEEP_MIN_AGE_MS = 10 * 60 * 1000
+// sweep อัตโนมัติเจอ event ไม่มีงานมากกว่านี้ = น่าจะผิดปกติ (เช่นชี้ DB ว่างมาที่ปฏิทินจริง) → รายงานอย่างเดียว ไม่ลบ
+const SWEEP_AUTO_DELETE_LIMIT = 20
+const SWEEP_INTERVAL_MS = 24 * 60 * 60 * 1000
+
+// อายุ watch channel ที่ขอ (Google ให้ได้สูงสุดประมาณ 7 วัน → ต้องต่ออายุด้วย cron)
+const WATCH_TTL_SECONDS = 7 * 24 * 60 * 60
+
+export interface CalendarSyncChange {
+  requestId: string
+  requestNo: string
+  changes: string[]
+}
+
+export interface CalendarSyncSkip {
+  requestNo: string
+  reason: string
+}
+
+export interface CalendarSyncResult {
+  fullSync: boolean
+  scanned: number
+  updated: CalendarSyncChange[]
+  skipped: CalendarSyncSkip[]
+}
+
+export interface CalendarSyncStatus {
+  calendarId: string
+  hasSyncToken: boolean
+  lastSyncedAt: string | null
+  channelId: string | null
+  channelExpiresAt: string | null
+}
+
+type AppointmentPatch = Required<Pick<AppointmentFields, 'appointmentDate' | 'appointmentEndDate' | 'isAllDay'>>
+
+function toAppointmentFields(request: ServiceRequest): AppointmentFields {
+  return {
+    appointmentDate: request.appointmentDate,
+    appointmentEndDate: request.appointmentEndDate || '',
+    isAllDay: request.isAllDay || false,
+    serviceType: request.serviceType,
+  }
+}
+
+/**
+ * 📅 Event → Appointment
+ * วัน/เวลาของ event ในรูปแบบที่ฟอร์มเก็บ — ถ้ายาวเท่าเวลาตามประเภทงานพอดี ไม่ใส่เวลาสิ้นสุด (คิดตามประเภทงานต่อ)
+ */
+export function eventToAppointment(event: calendar_v3.Schema$Event, serviceType: string): AppointmentPatch | null {
+  if (event.start?.date) {
+    // all-day: end.date ของ Google เป็นวันถัดจากวันสุดท้าย
+    const lastDay = event.end?.date ? addDays(event.end.date, -1) : event.start.date
+    return {
+      appointmentDate: event.start.date,
+      appointmentEndDate: lastDay > event.start.date ? lastDay : '',
+      isAllDay: true,
+    }
+  }
+
+  if (!event.start?.dateTime) return null
+  const start = new Date(event.start.dateTime)
+  const end = event.end?.dateTime ? new Date(event.end.dateTime) : null
+  if (isNaN(start.getTime())) return null
+
+  const minutes = end && !isNaN(end.getTime()) ? Math.round((end.getTime() - start.getTime()) / 60000) : 0
+  return {
+    appointmentDate: toAppointmentValue(start),
+    appointmentEndDate: end && minutes > 0 && minutes !== getServiceDuration(serviceType) ? toAppointmentValue(end) : '',
+    isAllDay: false,
+  }
+}
+
+// ชื่อช่างจากหัวข้อ `[ชื่อช่าง] ลูกค้า - ประเภทงาน` (ไม่มีวงเล็บ = ไม่รู้ ไม่แตะการจัดช่าง)
+export function parseEventTechnicianName(summary: string | null | undefined): string | null {
+  const match = /^\s*\[([^\]]+)\]/.exec(summary || '')
+  return match?.[1]?.trim() || null
+}
+
+function describeAppointment(fields: AppointmentFields): string {
+  const range = getAppointmentRange(fields)
+  if (!range) return '-'
+  const startDay = toDateKey(range.start)
+  const endDay = toDateKey(new Date(range.end.getTime() - 1))
+  if (fields.isAllDay) return startDay === endDay ? `${startDay} (ทั้งวัน)` : `${startDay} ถึง ${endDay} (ทั้งวัน)`
+  return `${startDay} ${formatTime(range.start)}-${startDay === endDay ? '' : `${endDay} `}${formatTime(range.end)}`
+}
+
+function isSameAppointment(a: AppointmentFields, b: AppointmentFields): boolean {
+  const rangeA = getAppointmentRange(a)
+  const rangeB = getAppointmentRange(b)
+  return !!rangeA && !!rangeB && !!a.isAllDay === !!b.isAllDay
+    && rangeA.start.getTime() === rangeB.start.getTime() && rangeA.end.getTime() === rangeB.end.getTime()
+}
+
+/**
+ * 👤 Event Audit
+ * Calendar API ไม่บอกว่าใครแก้ event ล่าสุด (creator คือคนสร้าง ไม่ใช่คนแก้) → ลงในนามปฏิทิน ไม่ใส่ชื่อคน
+ */
+const CALENDAR_SYNC_AUDIT: AuditContext = { by: CALENDAR_SYNC_ACTOR, source: 'calendar' }
+
+async function hasPendingCalendarPush(requestId: string): Promise<boolean> {
+  const count = await db.outboxJob.count({
+    where: { requestId, kind: 'calendar.upsert', status: { in: ['pending', 'processing'] } },
+  })
+  return count > 0
+}
+
+/**
+ * 🔁 Apply Event
+ * เทียบ event หนึ่งตัวกับงานที่ผูกอยู่ แล้วแก้งานตาม — คืน null ถ้าไม่ใช่ event ของระบบหรือไม่มีอะไรเปลี่ยน
+ */
+async function applyEventChange(
+  event: calendar_v3.Schema$Event,
+  technicians: { id: string; name: string }[]
+): Promise<CalendarSyncChange | CalendarSyncSkip | null> {
+  if (!event.id) return null
+  const request = await findServiceRequestByCalendarEventId(event.id)
+  if (!request) return null
+
+  // event ถูกลบใน Google → ปลดการผูก (บันทึกงานครั้งถัดไปจะสร้าง event ใหม่ให้)
+  if (event.status === 'cancelled') {
+    const note = 'event ถูกลบใน Google Calendar'
+    await recordServiceRequestChange(request.id, { calendarEventId: '', calendarEventUrl: '' }, CALENDAR_SYNC_AUDIT, note)
+    kickOutboxWorker()
+    return { requestId: request.id, requestNo: request.requestNo, changes: [note] }
+  }
+
+  if (request.status !== 'queue') {
+    return { requestNo: request.requestNo, reason: 'งานไม่ได้อยู่ในสถานะจองคิว/นัดหมายแล้ว' }
+  }
+  if (await hasPendingCalendarPush(request.id)) {
+    return { requestNo: request.requestNo, reason: 'มีการแก้ในระบบที่ยังส่งไป Calendar ไม่เสร็จ' }
+  }
+  if (event.updated && request.updatedAt && Date.parse(request.updatedAt) > Date.parse(event.updated)) {
+    return { requestNo: request.requestNo, reason: 'ในระบบแก้หลัง event' }
+  }
+
+  const patch: ServiceRequestPatch = {}
+  const changes: string[] = []
+
+  const appointment = eventToAppointment(event, request.serviceType)
+  const current = toAppointmentFields(request)
+  if (appointment && !isSameAppointment(current, { ...appointment, serviceType: request.serviceType })) {
+    Object.assign(patch, appointment)
+    changes.push(`เลื่อนนัด ${describeAppointment(current)} → ${describeAppointment({ ...appointment, serviceType: request.serviceType })}`)
+  }
+
+  const technicianName = parseEventTechnicianName(event.summary)
+  if (technicianName) {
+    const technician = technicianName === UNASSIGNED_LABEL
+      ? { id: '', name: UNASSIGNED_LABEL }
+      : technicians.find(t => t.name.trim().toLowerCase() === technicianName.toLowerCase())
+    if (!technician) {
+      if (changes.length === 0) return { requestNo: request.requestNo, reason: `ไม่พบช่างชื่อ "${technicianName}"` }
+    } else if (technician.id !== (request.technicianId || '')) {
+      patch.technicianId = technician.id
+      changes.push(`เปลี่ยนช่าง ${request.technicianName || UNASSIGNED_LABEL} → ${technician.name}`)
+    }
+  }
+
+  if (changes.length === 0) return null
+
+  // ส่งกลับไปจัดหัวข้อ/สี/attendee ของ event ให้ตรงกับช่าง + อัปเดตแถวใน Sheet (เข้าคิวพร้อมบันทึก)
+  await recordServiceRequestChange(request.id, patch, CALENDAR_SYNC_AUDIT, changes.join(', '))
+  kickOutboxWorker()
+  return { requestId: request.id, requestNo: request.requestNo, changes }
+}
+
+// notification หลายอันติดกันไม่ต้อง sync ซ้อน — รอรอบที่กำลังทำอยู่
+let running: Promise<CalendarSyncResult> | null = null
+
+/**
+ * 🔃 Sync Calendar Changes
+ * ดึง event ที่เปลี่ยนตั้งแต่ครั้งก่อน (ครั้งแรก/token หมดอายุ = ดึงทั้งหมด) แล้วแก้งานที่ผูกอยู่
+ */
+export function syncCalendarChanges(): Promise<CalendarSyncResult> {
+  if (!running) {
+    running = runSync().finally(() => {
+      running = null
+    })
+  }
+  return running
+}
+
+async function runSync(): Promise<CalendarSyncResult> {
+  const calendarId = getCalendarId()
+  const state = await db.calendarSyncState.findUnique({ where: { calendarId } })
+
+  let fullSync = !state?.syncToken
+  let changes
+  try {
+    changes = await listChangedEvents(state?.syncToken || undefined)
+  } catch (error) {
+    if (!(error instanceof CalendarSyncTokenExpiredError)) throw error
+    fullSync = true
+    changes = await listChangedEvents()
+  }
+
+  const technicians = (await listTechnicians()).map(t => ({ id: t.id, name: t.name }))
+  const result: CalendarSyncResult = { fullSync, scanned: changes.events.length, updated: [], skipped: [] }
+  for (const event of changes.events) {
+    const outcome = await applyEventChange(event, technicians)
+    if (!outcome) continue
+    if ('changes' in outcome) result.updated.push(outcome)
+    else result.skipped.push(outcome)
+  }
+
+  await db.calendarSyncState.upsert({
+    where: { calendarId },
+    create: { calendarId, syncToken: changes.nextSyncToken || null, lastSyncedAt: new Date() },
+    update: { syncToken: changes.nextSyncToken || null, lastSyncedAt: new Date() },
+  })
+  return result
+}
+
+export async function getCalendarSyncStatus(): Promise<CalendarSyncStatus> {
+  const calendarId = getCalendarId()
+  const state = await db.calendarSyncState.findUnique({ where: { calendarId } })
+  return {
+    calendarId,
+    hasSyncToken: !!state?.syncToken,
+    lastSyncedAt: state?.lastSyncedAt?.toISOString() ?? null,
+    channelId: state?.channelId ?? null,
+    channelExpiresAt: state?.channelExpiresAt?.toISOString() ?? null,
+  }
+}
+
+/**
+ * 📡 Start Watch
+ * เปิด watch channel ใหม่ (หยุดอันเก่าก่อน) ให้ Google แจ้งมาที่ address เมื่อมี event เปลี่ยน
+ * เรียกซ้ำเพื่อต่ออายุได้ — channel หมดอายุเองภายในประมาณ 7 วัน
+ */
+export async function startCalendarWatch(address: string): Promise<CalendarSyncStatus> {
+  await stopCalendarWatch()
+
+  const calendarId = getCalendarId()
+  const channelId = randomUUID()
+  const channelToken = randomBytes(24).toString('hex')
+  const channel = await watchCalendarEvents(channelId, channelToken, address, WATCH_TTL_SECONDS)
+
+  const data = {
+    channelId,
+    channelResource: channel.resourceId,
+    channelToken,
+    channelExpiresAt: channel.expiresAt,
+  }
+  await db.calendarSyncState.upsert({ where: { calendarId }, create: { calendarId, ...data }, update: data })
+
+  // ยังไม่เคย sync → ตั้ง token ไว้เลย notification แรกจะได้ดึงเฉพาะที่เปลี่ยน
+  const state = await db.calendarSyncState.findUnique({ where: { calendarId } })
+  if (!state?.syncToken) await syncCalendarChanges()
+  return getCalendarSyncStatus()
+}
+
+export async function stopCalendarWatch(): Promise<void> {
+  const calendarId = getCalendarId()
+  const state = await db.calendarSyncState.findUnique({ where: { calendarId } })
+  if (!state?.channelId) return
+  if (state.channelResource) await stopCalendarChannel(state.channelId, state.channelResource)
+  await db.calendarSyncState.update({
+    where: { calendarId },
+    data: { channelId: null, channelResource: null, channelToken: null, channelExpiresAt: null },
+  })
+}
+
+// notification ที่ Google ส่งมาต้องมี channel id + token ตรงกับที่เปิดไว้ (กันคนอื่นยิงมาให้ sync)
+export async function verifyCalendarNotification(channelId: string, token: string): Promise<boolean> {
+  if (!channelId || !token) return false
+  const state = await db.calendarSyncState.findUnique({ where: { calendarId: getCalendarId() } })
+  if (!state?.channelId || !state.channelToken || state.channelId !== channelId) return false
+
+  const expected = Buffer.from(state.channelToken)
+  const actual = Buffer.from(token)
+  return expected.length === actual.length && timingSafeEqual(expected, actual)
+}
+
+// ── Orphan sweep ──
+
+export interface OrphanCalendarEvent {
+  eventId: string
+  summary: string
+  start: string
+  requestNo: string | null
+  reason: string
+}
+
+export interface CalendarSweepResult {
+  scanned: number
+  orphans: OrphanCalendarEvent[]
+  deleted: number
+}
+
+/**
+ * 🧹 Sweep Orphan Events
+ * หา event ที่ระบบสร้างแต่ไม่มีงานผูกอยู่แล้ว (งานถูกลบ / event ซ้ำ) หรืองานถูกยกเลิกไปแล้ว
+ * apply = ลบทิ้งด้วย — event ที่คนสร้างเองในปฏิทินไม่ถูกแตะ
+ */
+export async function sweepOrphanCalendarEvents(options: { apply?: boolean } = {}): Promise<CalendarSweepResult> {
+  const now = Date.now()
+  const events = (await listCalendarEvents(new Date(now - SWEEP_LOOKBACK_DAYS * 24 * 60 * 60 * 1000)))
+    .filter(event => event.id && isAppCalendarEvent(event))
+    .filter(event => !event.created || now - Date.parse(event.created) > SWEEP_MIN_AGE_MS)
+
+  const linked = await db.serviceRequest.findMany({
+    where: { calendarEventId: { in: events.map(event => event.id!) } },
+    select: { calendarEventId: true, requestNo: true, status: true },
+  })
+  const byEventId = new Map(linked.map(row => [row.calendarEventId, row]))
+
+  const orphans: OrphanCalendarEvent[] = []
+  for (const event of events) {
+    const request = byEventId.get(event.id!)
+    const reason = !request ? 'ไม่มีงานที่ผูกกับ event นี้แล้ว' : request.status === 'cancelled' ? 'งานถูกยกเลิกแล้ว' : null
+    if (!reason) continue
+    orphans.push({
+      eventId: event.id!,
+      summary: event.summary || '',
+      start: event.start?.dateTime || event.start?.date || '',
+      requestNo: request?.requestNo ?? event.extendedProperties?.private?.['requestNo'] ?? null,
+      reason,
+    })
+  }
+
+  let deleted = 0
+  if (options.apply) {
+    for (const orphan of orphans) {
+      await deleteCalendarEvent(orphan.eventId)
+      deleted++
+    }
+  }
+  return { scanned: events.length, orphans, deleted }
+}
+
+const globalForSweep = globalThis as unknown as { calendarSweepTimer: ReturnType<typeof setInterval> | undefined }
+
+// เรียกครั้งเดียวตอน server start (src/instrumentation.ts) — วันละครั้ง
+export function startCalendarSweep(): void {
+  if (globalForSweep.calendarSweepTimer || !process.env['GOOGLE_CALENDAR_ID']) return
+  const run = async () => {
+    try {
+      const report = await sweepOrphanCalendarEvents()
+      if (report.orphans.length === 0) return
+      if (report.orphans.length > SWEEP_AUTO_DELETE_LIMIT) {
+        console.warn(`Calendar sweep: ${report.orphans.length} orphan events — too many to delete automatically, check /outbox`)
+        return
+      }
+      const result = await sweepOrphanCalendarEvents({ apply: true })
+      console.log(`Calendar sweep: deleted ${result.deleted} orphan events`)
+    } catch (error) {
+      console.error('Calendar sweep failed:', error)
+    }
+  }
+  globalForSweep.calendarSweepTimer = setInterval(run, SWEEP_INTERVAL_MS)
+}
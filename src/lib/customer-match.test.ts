@@ -0,0 +1,79 @@
+import { describe, expect, it } from 'vitest'
+import {
+  type MatchCandidate,
+  extractPhones,
+  isConfidentMatch,
+  normalizeName,
+  normalizePhone,
+  rankCustomerMatches,
+  splitBranch,
+} from '@/lib/customer-match'
+
+const kfc: MatchCandidate = {
+  id: 'cus-kfc',
+  name: 'บริษัท เคเอฟซี ประเทศไทย จำกัด',
+  contactName: 'คุณเอ',
+  phone: '02-111-2222',
+  sites: [
+    { id: 'site-silom', name: 'สาขาสีลม', address: '123 ถนนสีลม บางรัก', contactName: 'คุณบี', phone: '081-234-5678' },
+    { id: 'site-bangna', name: 'สาขาบางนา', address: '99 ถนนบางนา-ตราด', contactName: '', phone: '' },
+  ],
+}
+
+const somchai: MatchCandidate = {
+  id: 'cus-somchai',
+  name: 'ร้านสมชายการช่าง',
+  contactName: 'สมชาย',
+  phone: '089-999-0000',
+  sites: [],
+}
+
+describe('normalize', () => {
+  it('เบอร์ +66 / 66 / มีขีด → 0 นำหน้า ตัวเลขล้วน', () => {
+    expect(normalizePhone('+66 81-234-5678')).toBe('0812345678')
+    expect(normalizePhone('66812345678')).toBe('0812345678')
+    expect(normalizePhone('(02) 111 2222')).toBe('021112222')
+  })
+
+  it('ช่องเบอร์ที่มีหลายเบอร์ / เบอร์ต่อภายใน → แยกเฉพาะเบอร์ที่ยาวพอ', () => {
+    expect(extractPhones('02-111-2222 ต่อ 15, 081-234-5678 หรือ 089-999-0000'))
+      .toEqual(['021112222', '0812345678', '0899990000'])
+  })
+
+  it('ตัดคำนำหน้านิติบุคคลที่พิมพ์บ้างไม่พิมพ์บ้าง', () => {
+    expect(normalizeName('บริษัท เคเอฟซี จำกัด')).toBe(normalizeName('เคเอฟซี'))
+    expect(normalizeName('ABC Co., Ltd.')).toBe('abc')
+  })
+
+  it('แยกชื่อแบรนด์กับสาขา', () => {
+    expect(splitBranch('KFC สาขาสีลม')).toEqual({ base: 'KFC', branch: 'สาขาสีลม' })
+    expect(splitBranch('สาขาสีลม')).toEqual({ base: 'สาขาสีลม', branch: '' })
+  })
+})
+
+describe('rankCustomerMatches', () => {
+  it('เบอร์ของสาขาตรง → เลือกสาขานั้นพร้อมผู้ติดต่อ/ที่อยู่ของสาขา และผูกให้อัตโนมัติได้', () => {
+    const [match] = rankCustomerMatches({ name: 'เคเอฟซี สาขาสีลม', phone: '+66812345678' }, [kfc, somchai])
+    expect(match).toMatchObject({ customerId: 'cus-kfc', siteId: 'site-silom', contactName: 'คุณบี', address: '123 ถนนสีลม บางรัก' })
+    expect(match?.reasons).toContain('เบอร์โทรตรงกัน')
+    expect(isConfidentMatch(match!)).toBe(true)
+  })
+
+  it('ไม่มีเบอร์ — ชื่อสาขาเลือกสาขาได้ แต่ชื่อแค่ใกล้เคียงไม่ผูกให้เอง', () => {
+    const [match] = rankCustomerMatches({ name: 'เคเอฟซี สาขาบางนา' }, [kfc])
+    expect(match).toMatchObject({ customerId: 'cus-kfc', siteId: 'site-bangna' })
+    expect(match?.reasons).not.toContain('เบอร์โทรตรงกัน')
+    expect(isConfidentMatch(match!)).toBe(false)
+  })
+
+  it('ชื่อตรงกันทุกตัวอักษร (หลังตัด "ร้าน") → ผูกให้เองได้แม้ไม่มีเบอร์', () => {
+    const [match] = rankCustomerMatches({ name: 'สมชายการช่าง' }, [kfc, somchai])
+    expect(match).toMatchObject({ customerId: 'cus-somchai', reasons: ['ชื่อตรงกัน'] })
+    expect(isConfidentMatch(match!)).toBe(true)
+  })
+
+  it('ข้อมูลน้อยเกินไป / ไม่มีใครใกล้พอ → ไม่แนะนำ', () => {
+    expect(rankCustomerMatches({ name: 'ก' }, [kfc, somchai])).toEqual([])
+    expect(rankCustomerMatches({ name: 'โรงแรมริมน้ำ', phone: '0800000000' }, [kfc, somchai])).toEqual([])
+  })
+})
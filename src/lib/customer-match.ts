@@ -0,0 +1,198 @@
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// จับคู่ลูกค้าแบบ fuzzy (เบอร์โทร + ชื่อ + ที่อยู่)
+// ไม่แตะ DB — repository โหลด candidate มาให้แล้วค่อยเรียก rankCustomerMatches
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+export interface MatchInput {
+  name?: string
+  phone?: string
+  address?: string
+}
+
+export interface MatchCandidateSite {
+  id: string
+  name: string
+  address: string
+  contactName: string
+  phone: string
+}
+
+export interface MatchCandidate {
+  id: string
+  name: string
+  contactName: string
+  phone: string
+  sites: MatchCandidateSite[]
+}
+
+export interface CustomerMatch {
+  customerId: string
+  siteId: string | null
+  customerName: string
+  siteName: string
+  contactName: string
+  phone: string
+  address: string
+  score: number // 0-1
+  reasons: string[]
+}
+
+// ต่ำกว่านี้ไม่แนะนำ
+export const MIN_MATCH_SCORE = 0.45
+// เบอร์ตรง + คะแนนถึงนี้ → ผูกงานกับลูกค้าให้อัตโนมัติตอนเปิดงาน (ดู isConfidentMatch)
+export const AUTO_LINK_SCORE = 0.8
+
+/**
+ * 📞 Normalize Phone
+ * เหลือแต่ตัวเลข และแปลง +66 / 66 นำหน้าเป็น 0 — "+66 81-234-5678" → "0812345678"
+ */
+export function normalizePhone(raw: string): string {
+  let digits = raw.replace(/\D/g, '')
+  if (digits.startsWith('66') && digits.length >= 10) digits = `0${digits.slice(2)}`
+  return digits
+}
+
+// ช่องเบอร์บางงานมีหลายเบอร์ ("02-123-4567, 081-234-5678" หรือ "... หรือ ...")
+export function extractPhones(raw: string): string[] {
+  return raw
+    .split(/[,;/\n]|หรือ|ต่อ/)
+    .map(normalizePhone)
+    .filter(digits => digits.length >= 9)
+}
+
+// คำนำหน้า/ต่อท้ายชื่อนิติบุคคลที่พิมพ์บ้างไม่พิมพ์บ้าง
+// normalize แบบเดียวกับชื่อ — NFKC แยกสระอำเป็น ํ+า ("จำกัด" ในชื่อจะไม่ตรงกับ pattern ที่ยังเป็นอำ)
+const NAME_NOISE = new RegExp(
+  String.raw`บริษัท|บจก\.?|หจก\.?|ห้างหุ้นส่วนจำกัด|จำกัด|\(มหาชน\)|มหาชน|ร้าน|co\.?,?\s*ltd\.?|ltd\.?|company|limited|inc\.?`.normalize('NFKC'),
+  'gi'
+)
+
+/**
+ * 🏷️ Split Branch
+ * แยกชื่อแบรนด์กับสาขา — "KFC สาขาสีลม" → { base: "KFC", branch: "สาขาสีลม" }
+ */
+export function splitBranch(name: string): { base: string; branch: string } {
+  const match = name.match(/^(.*?)\s*((?:สาขา|สนง\.|โครงการ|branch)\s*.*)$/i)
+  if (!match || !match[1]?.trim()) return { base: name.trim(), branch: '' }
+  return { base: match[1].trim(), branch: match[2]?.trim() ?? '' }
+}
+
+export function normalizeName(name: string): string {
+  return name
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(NAME_NOISE, '')
+    .replace(/[\s.,\-_'"()&]/g, '')
+}
+
+function bigrams(text: string): Map<string, number> {
+  const grams = new Map<string, number>()
+  for (let i = 0; i < text.length - 1; i++) {
+    const gram = text.slice(i, i + 2)
+    grams.set(gram, (grams.get(gram) ?? 0) + 1)
+  }
+  return grams
+}
+
+/**
+ * 🔤 Similarity
+ * Dice coefficient ของ bigram (0-1) — ชื่อสั้นที่อยู่ในอีกชื่อทั้งก้อน (เช่น "kfc" ใน "kfcสีลม") ให้ 0.9
+ */
+export function textSimilarity(a: string, b: string): number {
+  if (!a || !b) return 0
+  if (a === b) return 1
+  const [shorter, longer] = a.length <= b.length ? [a, b] : [b, a]
+  if (shorter.length >= 3 && longer.includes(shorter)) return 0.9
+  if (shorter.length < 2) return 0
+
+  const gramsA = bigrams(a)
+  const gramsB = bigrams(b)
+  let overlap = 0
+  for (const [gram, count] of gramsA) {
+    overlap += Math.min(count, gramsB.get(gram) ?? 0)
+  }
+  return (2 * overlap) / (a.length - 1 + b.length - 1)
+}
+
+function nameSimilarity(input: string, candidate: string): number {
+  const full = textSimilarity(normalizeName(input), normalizeName(candidate))
+  const base = textSimilarity(normalizeName(splitBranch(input).base), normalizeName(candidate))
+  return Math.max(full, base)
+}
+
+function addressSimilarity(input: string, candidate: string): number {
+  return textSimilarity(input.toLowerCase().replace(/\s+/g, ''), candidate.toLowerCase().replace(/\s+/g, ''))
+}
+
+// สาขาที่เข้ากับข้อมูลที่กรอกมากที่สุด (เบอร์ตรง > ชื่อสาขาตรง > ที่อยู่ใกล้เคียง)
+function pickSite(input: MatchInput, phones: string[], sites: MatchCandidateSite[]) {
+  const branch = normalizeName(splitBranch(input.name ?? '').branch)
+  let best: { site: MatchCandidateSite; score: number; phoneMatch: boolean } | null = null
+
+  for (const site of sites) {
+    const phoneMatch = phones.some(p => extractPhones(site.phone).includes(p))
+    const score = Math.max(
+      phoneMatch ? 1 : 0,
+      branch ? textSimilarity(branch, normalizeName(site.name)) : 0,
+      input.address ? addressSimilarity(input.address, site.address) : 0
+    )
+    if (!best || score > best.score) best = { site, score, phoneMatch }
+  }
+  return best && best.score >= 0.6 ? best : null
+}
+
+/**
+ * 🧮 Rank Customer Matches
+ * ให้คะแนนลูกค้าทุกรายเทียบกับข้อมูลที่กรอก/ที่ AI อ่านได้ เรียงจากมากไปน้อย
+ *   เบอร์ตรง   → 0.6 + ชื่อใกล้เคียง × 0.4
+ *   เบอร์ไม่ตรง → ชื่อใกล้เคียง × 0.75 + ที่อยู่ใกล้เคียง × 0.25
+ */
+export function rankCustomerMatches(
+  input: MatchInput,
+  candidates: MatchCandidate[],
+  options: { limit?: number; minScore?: number } = {}
+): CustomerMatch[] {
+  const phones = extractPhones(input.phone ?? '')
+  const name = input.name?.trim() ?? ''
+  if (phones.length === 0 && normalizeName(name).length < 2) return []
+
+  const matches: CustomerMatch[] = []
+  for (const candidate of candidates) {
+    const reasons: string[] = []
+    const site = pickSite(input, phones, candidate.sites)
+
+    const phoneMatch = site?.phoneMatch || phones.some(p => extractPhones(candidate.phone).includes(p))
+    const nameScore = name ? nameSimilarity(name, candidate.name) : 0
+    const addressScore = input.address && site ? addressSimilarity(input.address, site.site.address) : 0
+
+    const score = phoneMatch
+      ? 0.6 + nameScore * 0.4
+      : nameScore * 0.75 + addressScore * 0.25
+
+    if (phoneMatch) reasons.push('เบอร์โทรตรงกัน')
+    if (nameScore >= 0.6) reasons.push(nameScore === 1 ? 'ชื่อตรงกัน' : 'ชื่อใกล้เคียง')
+    if (addressScore >= 0.6) reasons.push('ที่อยู่ใกล้เคียง')
+
+    if (score < (options.minScore ?? MIN_MATCH_SCORE)) continue
+    matches.push({
+      customerId: candidate.id,
+      siteId: site?.site.id ?? null,
+      customerName: candidate.name,
+      siteName: site?.site.name ?? '',
+      contactName: site?.site.contactName || candidate.contactName,
+      phone: site?.site.phone || candidate.phone,
+      address: site?.site.address ?? candidate.sites[0]?.address ?? '',
+      score: Math.round(score * 100) / 100,
+      reasons,
+    })
+  }
+
+  return matches.sort((a, b) => b.score - a.score).slice(0, options.limit ?? 5)
+}
+
+// ผูกงานให้เองได้เมื่อเบอร์ตรง (และชื่อไม่ขัดกัน) หรือชื่อแบรนด์ตรงกันทุกตัวอักษร
+// ชื่อแค่ "ใกล้เคียง" ไม่ผูกให้ — ให้พนักงานเลือกเองจากรายการแนะนำ
+export function isConfidentMatch(match: CustomerMatch): boolean {
+  return (match.score >= AUTO_LINK_SCORE && match.reasons.includes('เบอร์โทรตรงกัน'))
+    || match.reasons.includes('ชื่อตรงกัน')
+}
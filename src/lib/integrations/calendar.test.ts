@@ -0,0 +1,65 @@
+import { describe, expect, it } from 'vitest'
+import { buildCalendarEvent, isAppCalendarEvent, type CalendarEventInput } from '@/lib/integrations/calendar'
+
+const input: CalendarEventInput = {
+  requestId: 'req-1',
+  requestNo: 'REQ-20261019-001',
+  customerName: 'ลูกค้า ทดสอบ',
+  phone: '0812345678',
+  serviceType: 'ซ่อมแอร์',
+  appointmentDate: '2026-10-21T10:00',
+  appointmentEndDate: '2026-10-21T12:00',
+}
+
+const technician = { name: 'ช่างเอ', phone: '0899990000', email: 'a@example.com', color: '7' }
+
+describe('buildCalendarEvent', () => {
+  it('ยังไม่จัดช่าง → [รอจัดช่าง] สีเหลือง ไม่มี attendee', () => {
+    const event = buildCalendarEvent(input)
+    expect(event).toMatchObject({ summary: '[รอจัดช่าง] ลูกค้า ทดสอบ - ซ่อมแอร์', colorId: '5', attendees: [] })
+    expect(event.description).toContain('ยังไม่จัดช่าง')
+  })
+
+  it('จัดช่างแล้ว → หัวข้อ/สี/attendee มาจากช่าง', () => {
+    const event = buildCalendarEvent({ ...input, technician })
+    expect(event).toMatchObject({
+      summary: '[ช่างเอ] ลูกค้า ทดสอบ - ซ่อมแอร์',
+      colorId: '7',
+      attendees: [{ email: 'a@example.com', displayName: 'ช่างเอ' }],
+      extendedProperties: { private: { requestNo: 'REQ-20261019-001', requestId: 'req-1' } },
+    })
+    expect(event.description).toContain('ช่าง: ช่างเอ (0899990000)')
+  })
+
+  it('ช่างไม่มีอีเมล / ไม่ได้ตั้งสี → ไม่มี attendee และใช้สีรอจัดช่าง', () => {
+    expect(buildCalendarEvent({ ...input, technician: { name: 'ช่างบี' } })).toMatchObject({
+      summary: '[ช่างบี] ลูกค้า ทดสอบ - ซ่อมแอร์',
+      colorId: '5',
+      attendees: [],
+    })
+  })
+
+  it('งานเสร็จ / อยู่ในถังขยะ → สีเทาทับสีช่าง พร้อมเครื่องหมายนำหน้า', () => {
+    expect(buildCalendarEvent({ ...input, technician, completed: true })).toMatchObject({ summary: '✅ [ช่างเอ] ลูกค้า ทดสอบ - ซ่อมแอร์', colorId: '8' })
+    expect(buildCalendarEvent({ ...input, technician, trashed: true })).toMatchObject({ summary: '🗑️ [ช่างเอ] ลูกค้า ทดสอบ - ซ่อมแอร์', colorId: '8' })
+  })
+
+  it('งานทั้งวัน → all-day event ที่ end.date เป็นวันถัดไป', () => {
+    expect(buildCalendarEvent({ ...input, appointmentDate: '2026-10-21', appointmentEndDate: '', isAllDay: true })).toMatchObject({
+      start: { date: '2026-10-21' },
+      end: { date: '2026-10-22' },
+    })
+  })
+
+  it('วันนัดอ่านไม่ได้ → error', () => {
+    expect(() => buildCalendarEvent({ ...input, appointmentDate: 'พรุ่งนี้' })).toThrow('Invalid appointmentDate')
+  })
+})
+
+describe('isAppCalendarEvent', () => {
+  it('รู้จัก event ของระบบจาก extendedProperties หรือคำอธิบายรุ่นเก่า', () => {
+    expect(isAppCalendarEvent({ extendedProperties: { private: { requestNo: 'REQ-20261019-001' } } })).toBe(true)
+    expect(isAppCalendarEvent({ description: 'เลขที่งาน: REQ-20240101-001\nลูกค้า: ลูกค้าเก่า' })).toBe(true)
+    expect(isAppCalendarEvent({ summary: 'ประชุมทีม' })).toBe(false)
+  })
+})
@@ -0,0 +1,275 @@
+import { google, type calendar_v3 } from 'googleapis'
+import {
+  COMPLETED_COLOR_ID,
+  COMPLETED_TITLE_PREFIX,
+  TRASHED_TITLE_PREFIX,
+  UNASSIGNED_COLOR_ID,
+  UNASSIGNED_LABEL,
+  getEventTitle,
+} from '@/lib/technicians'
+import { addDays, getAppointmentRange, toDateKey } from '@/lib/scheduling'
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Google Calendar — ใช้ร่วมกันระหว่าง /api/calendar และ outbox worker
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+export interface CalendarEventInput {
+  // id งานในระบบ — เก็บใน extendedProperties ไว้ให้ sweep รู้ว่า event ไหนเป็นของระบบ
+  requestId?: string
+  requestNo: string
+  customerName: string
+  phone: string
+  address?: string
+  serviceType: string
+  description?: string
+  appointmentDate: string
+  // ไม่ระบุ = ใช้เวลาตามประเภทงาน (ดู SERVICE_TYPES)
+  appointmentEndDate?: string
+  isAllDay?: boolean
+  // ช่างที่รับงาน — ไม่มี = [รอจัดช่าง] สีเหลือง
+  technician?: CalendarTechnician
+  // งานเสร็จแล้ว → สีเทา + ✅ นำหน้าหัวข้อ
+  completed?: boolean
+  // งานอยู่ในถังขยะ → สีเทา + 🗑️ นำหน้าหัวข้อ (ช่างเห็นว่าไม่ต้องไป แต่กู้คืนแล้วกลับมาเหมือนเดิม)
+  trashed?: boolean
+}
+
+export interface CalendarTechnician {
+  name: string
+  phone?: string
+  email?: string
+  color?: string
+}
+
+export interface CalendarEventRef {
+  eventId: string
+  eventUrl: string
+}
+
+// Initialize Google Calendar client
+// GOOGLE_CALENDAR_API_URL = ชี้ไป Calendar API ปลอมบนเครื่องตอนทดสอบ (ไม่ขอ token จาก Google)
+export async function getGoogleCalendarClient() {
+  const rootUrl = process.env['GOOGLE_CALENDAR_API_URL']
+  if (rootUrl) return google.calendar({ version: 'v3', rootUrl })
+
+  const auth = new google.auth.GoogleAuth({
+    credentials: {
+      client_email: process.env['GOOGLE_SERVICE_ACCOUNT_EMAIL'],
+      private_key: process.env['GOOGLE_PRIVATE_KEY']?.replace(/\\n/g, '\n'),
+    },
+    scopes: ['https://www.googleapis.com/auth/calendar.events', 'https://www.googleapis.com/auth/calendar'],
+  })
+
+  return google.calendar({ version: 'v3', auth })
+}
+
+export function getCalendarId(): string {
+  const calendarId = process.env['GOOGLE_CALENDAR_ID']
+  if (!calendarId) throw new Error('GOOGLE_CALENDAR_ID not configured')
+  return calendarId
+}
+
+export function buildCalendarEvent(input: CalendarEventInput) {
+  const range = getAppointmentRange(input)
+  if (!range) throw new Error(`Invalid appointmentDate: ${input.appointmentDate}`)
+
+  let eventDescription = `เลขที่งาน: ${input.requestNo}\nลูกค้า: ${input.customerName}\nเบอร์โทร: ${input.phone}`
+  if (input.address) eventDescription += `\nสถานที่: ${input.address}`
+  if (input.description) eventDescription += `\nอาการ/รายละเอียด: ${input.description}`
+  const { technician } = input
+  eventDescription += technician
+    ? `\n\nช่าง: ${technician.name}${technician.phone ? ` (${technician.phone})` : ''}`
+    : `\n\n**ยังไม่จัดช่าง — จัดได้ที่หน้า "จัดช่าง" ในระบบ หรือแก้ [${UNASSIGNED_LABEL}] ในหัวข้อเป็นชื่อช่าง**`
+
+  const title = getEventTitle(input.customerName, input.serviceType, technician?.name)
+  const titlePrefix = input.trashed ? TRASHED_TITLE_PREFIX : input.completed ? COMPLETED_TITLE_PREFIX : ''
+
+  return {
+    summary: `${titlePrefix}${title}`,
+    location: input.address || '',
+    description: eventDescription,
+    // งานทั้งวันเป็น all-day event (end.date ของ Google เป็นวันถัดจากวันสุดท้าย)
+    ...(input.isAllDay
+      ? {
+          start: { date: toDateKey(range.start) },
+          end: { date: addDays(toDateKey(range.end), 1) },
+        }
+      : {
+          start: { dateTime: range.start.toISOString(), timeZone: 'Asia/Bangkok' },
+          end: { dateTime: range.end.toISOString(), timeZone: 'Asia/Bangkok' },
+        }),
+    colorId: input.completed || input.trashed ? COMPLETED_COLOR_ID : technician?.color || UNASSIGNED_COLOR_ID,
+    // update แทนทั้ง event → เปลี่ยนช่าง/ถอดช่าง คนเก่าหลุดจาก attendee เอง
+    attendees: technician?.email ? [{ email: technician.email, displayName: technician.name }] : [],
+    extendedProperties: {
+      private: { requestNo: input.requestNo, ...(input.requestId ? { requestId: input.requestId } : {}) },
+    },
+  }
+}
+
+// event ที่ระบบสร้าง — รุ่นเก่าไม่มี extendedProperties แต่คำอธิบายขึ้นต้นด้วยเลขที่งานเสมอ
+export function isAppCalendarEvent(event: calendar_v3.Schema$Event): boolean {
+  return !!event.extendedProperties?.private?.['requestNo'] || (event.description || '').startsWith('เลขที่งาน: ')
+}
+
+function hasStatus(error: unknown, status: number): boolean {
+  const err = error as { code?: number; status?: number }
+  return err?.code === status || err?.status === status
+}
+
+function isNotFound(error: unknown): boolean {
+  return hasStatus(error, 404)
+}
+
+export async function createCalendarEvent(input: CalendarEventInput): Promise<CalendarEventRef> {
+  const calendar = await getGoogleCalendarClient()
+  const response = await calendar.events.insert({
+    calendarId: getCalendarId(),
+    requestBody: buildCalendarEvent(input),
+  })
+  return { eventId: response.data.id || '', eventUrl: response.data.htmlLink || '' }
+}
+
+/**
+ * 📅 Upsert Event
+ * มี eventId → update, ถ้า event ถูกลบไปแล้ว (404) หรือยังไม่มี → สร้างใหม่
+ * createIfMissing: false = แก้ได้อย่างเดียว ไม่มี event แล้วคืน null (เช่นเปลี่ยนสีตอนงานเสร็จ)
+ */
+export async function upsertCalendarEvent(input: CalendarEventInput, eventId?: string): Promise<CalendarEventRef>
+export async function upsertCalendarEvent(
+  input: CalendarEventInput,
+  eventId: string | undefined,
+  options: { createIfMissing: false }
+): Promise<CalendarEventRef | null>
+export async function upsertCalendarEvent(
+  input: CalendarEventInput,
+  eventId?: string,
+  options: { createIfMissing?: boolean } = {}
+): Promise<CalendarEventRef | null> {
+  if (eventId) {
+    const calendar = await getGoogleCalendarClient()
+    try {
+      const response = await calendar.events.update({
+        calendarId: getCalendarId(),
+        eventId,
+        requestBody: buildCalendarEvent(input),
+      })
+      return { eventId: response.data.id || eventId, eventUrl: response.data.htmlLink || '' }
+    } catch (error) {
+      // Event not found (deleted) → fall through to create new
+      if (!isNotFound(error)) throw error
+    }
+  }
+  if (options.createIfMissing === false) return null
+  return createCalendarEvent(input)
+}
+
+// ลบ event — ไม่พบ (404) หรือถูกลบไปแล้ว (410) ถือว่าสำเร็จ
+export async function deleteCalendarEvent(eventId: string): Promise<void> {
+  const calendar = await getGoogleCalendarClient()
+  try {
+    await calendar.events.delete({ calendarId: getCalendarId(), eventId })
+  } catch (error) {
+    if (!isNotFound(error) && !hasStatus(error, 410)) throw error
+  }
+}
+
+// event ตั้งแต่ timeMin ไป (ไม่รวมที่ถูกลบ) — ใช้หา event ที่ไม่มีงานแล้ว
+export async function listCalendarEvents(timeMin: Date): Promise<calendar_v3.Schema$Event[]> {
+  const calendar = await getGoogleCalendarClient()
+  const events: calendar_v3.Schema$Event[] = []
+  let pageToken: string | undefined
+  do {
+    const response = await calendar.events.list({
+      calendarId: getCalendarId(),
+      timeMin: timeMin.toISOString(),
+      singleEvents: true,
+      maxResults: 250,
+      ...(pageToken ? { pageToken } : {}),
+    })
+    events.push(...(response.data.items ?? []))
+    pageToken = response.data.nextPageToken ?? undefined
+  } while (pageToken)
+  return events
+}
+
+// ── ดึงการเปลี่ยนแปลงกลับจาก Google (ดู src/lib/calendar-sync.ts) ──
+
+// sync token หมดอายุ/ใช้ไม่ได้แล้ว (Google ตอบ 410) — ต้องดึงใหม่ทั้งหมดโดยไม่ใช้ token
+export class CalendarSyncTokenExpiredError extends Error {
+  constructor() {
+    super('Calendar sync token expired')
+    this.name = 'CalendarSyncTokenExpiredError'
+  }
+}
+
+export interface CalendarChanges {
+  events: calendar_v3.Schema$Event[]
+  nextSyncToken: string
+}
+
+/**
+ * 🔃 List Changed Events
+ * ไม่มี syncToken = ดึงทุก event (ครั้งแรก) มี = เฉพาะที่เปลี่ยนหลังจาก token นั้น (รวม event ที่ถูกลบ)
+ */
+export async function listChangedEvents(syncToken?: string): Promise<CalendarChanges> {
+  const calendar = await getGoogleCalendarClient()
+  const events: calendar_v3.Schema$Event[] = []
+  let pageToken: string | undefined
+  // nextSyncToken มากับหน้าสุดท้ายเท่านั้น
+  let nextSyncToken = ''
+
+  try {
+    do {
+      const response = await calendar.events.list({
+        calendarId: getCalendarId(),
+        showDeleted: true,
+        singleEvents: true,
+        maxResults: 250,
+        ...(syncToken ? { syncToken } : {}),
+        ...(pageToken ? { pageToken } : {}),
+      })
+      events.push(...(response.data.items ?? []))
+      pageToken = response.data.nextPageToken ?? undefined
+      nextSyncToken = response.data.nextSyncToken ?? nextSyncToken
+    } while (pageToken)
+  } catch (error) {
+    if (hasStatus(error, 410)) throw new CalendarSyncTokenExpiredError()
+    throw error
+  }
+  return { events, nextSyncToken }
+}
+
+export interface CalendarChannel {
+  resourceId: string
+  expiresAt: Date | null
+}
+
+// ให้ Google POST มาที่ address ทุกครั้งที่ event ในปฏิทินเปลี่ยน (address ต้องเป็น https)
+export async function watchCalendarEvents(
+  channelId: string,
+  token: string,
+  address: string,
+  ttlSeconds: number
+): Promise<CalendarChannel> {
+  const calendar = await getGoogleCalendarClient()
+  const response = await calendar.events.watch({
+    calendarId: getCalendarId(),
+    requestBody: { id: channelId, type: 'web_hook', address, token, params: { ttl: String(ttlSeconds) } },
+  })
+  const expiration = Number(response.data.expiration)
+  return {
+    resourceId: response.data.resourceId || '',
+    expiresAt: expiration ? new Date(expiration) : null,
+  }
+}
+
+export async function stopCalendarChannel(channelId: string, resourceId: string): Promise<void> {
+  const calendar = await getGoogleCalendarClient()
+  try {
+    await calendar.channels.stop({ requestBody: { id: channelId, resourceId } })
+  } catch (error) {
+    // channel หมดอายุ/ถูกหยุดไปแล้ว
+    if (!isNotFound(error)) throw error
+  }
+}
@@ -0,0 +1,110 @@
+import { google } from 'googleapis'
+import { Readable } from 'stream'
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Google Drive — ใช้ร่วมกันระหว่าง /api/upload และรูปที่ลูกค้าส่งมาทาง LINE
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+export interface DriveFile {
+  id: string
+  name: string
+  webViewLink: string
+  directUrl: string
+}
+
+export async function getGoogleDriveClient() {
+  const auth = new google.auth.GoogleAuth({
+    credentials: {
+      client_email: process.env['GOOGLE_SERVICE_ACCOUNT_EMAIL'],
+      private_key: process.env['GOOGLE_PRIVATE_KEY']?.replace(/\\n/g, '\n'),
+    },
+    scopes: ['https://www.googleapis.com/auth/drive.file'],
+  })
+
+  return google.drive({ version: 'v3', auth })
+}
+
+export function getDriveFolderId(): string {
+  const folderId = process.env['GOOGLE_DRIVE_FOLDER_ID']
+  if (!folderId) throw new Error('GOOGLE_DRIVE_FOLDER_ID not configured')
+  return folderId
+}
+
+/**
+ * 📤 Upload File
+ * อัปโหลดเข้าโฟลเดอร์ GOOGLE_DRIVE_FOLDER_ID แล้วเปิดให้ทุกคนที่มีลิงก์ดูได้ (รูปแสดงในหน้าเว็บ/Sheet)
+ */
+export async function uploadDriveFile(file: { buffer: Buffer; name: string; mimeType: string }): Promise<DriveFile> {
+  const drive = await getGoogleDriveClient()
+
+  // Upload to Google Drive (ต้องใช้ Readable stream ไม่ใช่ Buffer)
+  const response = await drive.files.create({
+    requestBody: {
+      name: file.name,
+      parents: [getDriveFolderId()],
+      mimeType: file.mimeType,
+    },
+    media: {
+      mimeType: file.mimeType,
+      body: Readable.from(file.buffer),
+    },
+    supportsAllDrives: true,
+    fields: 'id, name, webViewLink',
+  })
+
+  const fileId = response.data.id!
+
+  // Make the file publicly accessible
+  await drive.permissions.create({
+    fileId,
+    supportsAllDrives: true,
+    requestBody: {
+      role: 'reader',
+      type: 'anyone',
+    },
+  })
+
+  return {
+    id: fileId,
+    name: response.data.name || file.name,
+    webViewLink: response.data.webViewLink || '',
+    // Get the direct download link
+    directUrl: `https://drive.google.com/uc?export=view&id=${fileId}`,
+  }
+}
+
+// ไฟล์ถูกลบไปแล้ว (404) = ถือว่าลบสำเร็จ
+export async function deleteDriveFile(fileId: string): Promise<void> {
+  const drive = await getGoogleDriveClient()
+  try {
+    await drive.files.delete({ fileId, supportsAllDrives: true })
+  } catch (error) {
+    const err = error as { code?: number; status?: number }
+    if (err?.code !== 404 && err?.status !== 404) throw error
+  }
+}
+
+/**
+ * 🔗 File Id From URL
+ * รูป/ไฟล์แนบในงานเก็บเป็น URL — directUrl (`uc?export=view&id=...`) หรือ webViewLink (`/file/d/.../view`)
+ * ไม่ใช่ไฟล์ใน Google Drive = null
+ */
+export function getDriveFileId(url: string): string | null {
+  let parsed: URL
+  try {
+    parsed = new URL(url)
+  } catch {
+    return null
+  }
+  if (!/(^|\.)drive\.google\.com$/.test(parsed.hostname)) return null
+  return parsed.searchParams.get('id') || parsed.pathname.match(/\/d\/([\w-]+)/)?.[1] || null
+}
+
+// ชื่อไฟล์ที่อ่านแล้วรู้ว่าของลูกค้าไหน: <timestamp>_<ชื่อลูกค้า>[_<ที่อยู่>].<ext>
+export function buildDriveFileName(customerName: string, address: string, ext: string): string {
+  const safeName = customerName.replace(/[^\w\u0E00-\u0E7F]/g, '_') || 'ลูกค้า'
+  const safeAddress = address.replace(/[^\w\u0E00-\u0E7F]/g, '_')
+  return safeAddress
+    ? `${Date.now()}_${safeName}_${safeAddress}.${ext}`
+    : `${Date.now()}_${safeName}.${ext}`
+}
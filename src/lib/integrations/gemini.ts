@@ -0,0 +1,85 @@
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Gemini — ดึงข้อมูลงานจากข้อความแชท / รูปภาพ
+// ใช้ร่วมกันระหว่าง /api/ai/analyze, /api/ai/analyze-image และ LINE webhook (src/lib/line-intake.ts)
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+const GEMINI_URL = 'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent'
+
+export class GeminiConfigError extends Error {
+  constructor() {
+    super('GEMINI_API_KEY is not configured')
+    this.name = 'GeminiConfigError'
+  }
+}
+
+// ค่าที่ได้จากข้อความ — ช่องที่หาไม่เจอเป็น "" (Gemini อาจไม่ส่งบางช่องมา)
+export interface TextExtraction {
+  customerName?: string
+  contactName?: string
+  phone?: string
+  address?: string
+  serviceType?: string
+  priority?: string
+  description?: string
+}
+
+// รูปใช้ shopName แทน customerName (ตาม prompt เดิมของหน้าเว็บ)
+export interface ImageExtraction {
+  shopName?: string
+  // บางครั้ง Gemini ตอบชื่อร้านมาในช่องนี้แทน
+  customerName?: string
+  contactName?: string
+  phone?: string
+  address?: string
+  serviceType?: string
+  description?: string
+}
+
+async function generateJson<T>(parts: Record<string, unknown>[]): Promise<T> {
+  const apiKey = process.env['GEMINI_API_KEY']
+  if (!apiKey) throw new GeminiConfigError()
+
+  const response = await fetch(`${GEMINI_URL}?key=${apiKey}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      contents: [{ parts }],
+      generationConfig: { response_mime_type: 'application/json' },
+    }),
+  })
+
+  const jsonData = await response.json()
+  if (!response.ok) {
+    throw new Error(jsonData.error?.message || 'Failed to fetch from Gemini')
+  }
+
+  const resultText = jsonData.candidates[0].content.parts[0].text
+  return JSON.parse(resultText) as T
+}
+
+/**
+ * 💬 Extract From Text
+ * ข้อความแชทลูกค้า (เช่นที่ก๊อปมาจาก LINE) → ชื่อร้าน/ผู้ติดต่อ/เบอร์/ที่อยู่/ประเภทงาน/ความเร่งด่วน/รายละเอียด
+ */
+export async function extractJobFromText(text: string): Promise<TextExtraction> {
+  const prompt = `คุณคือผู้ช่วยระบบรับงานบริการแอร์ของบริษัท วิเคราะห์ข้อความต่อไปนี้แล้วดึงข้อมูลออกมา:\n"${text}"\n\nกฎการดึงข้อมูล (ปฏิบัติตามอย่างเคร่งครัด):\n\n1. customerName: ชื่อร้าน แบรนด์ บริษัท หรือองค์กร เท่านั้น\n   - ตัวอย่างที่ถูก: "KFC", "ที.เอส มอเตอร์", "โรงแรมแกรนด์", "ลค.ที.เอส มอเตอร์" → "ที.เอส มอเตอร์"\n   - ถ้าไม่มีชื่อร้าน/แบรนด์ ให้เว้นว่าง ""\n   - ห้ามใส่ชื่อคน ห้ามใส่คำกริยาหรือรายละเอียดงาน\n\n2. contactName: ชื่อบุคคลที่เป็น "ผู้ติดต่อ" หรือ "เจ้าของงาน" เท่านั้น\n   - มักตามหลังคำว่า "ติดต่อ", "คุณ", "พี่", "น้อง", "นาย", "นาง", "นางสาว"\n   - ตัวอย่าง: "ติดต่อคุณสุกฤตา เหลืองไพบูลย์ผล" → "คุณสุกฤตา เหลืองไพบูลย์ผล"\n   - ตัวอย่าง: "ติดต่อพี่แอม" → "พี่แอม"\n   - ถ้าไม่มีชื่อคน ให้เว้นว่าง ""\n   - ห้ามใส่ชื่อร้านหรือแบรนด์\n\n3. phone: เบอร์โทรศัพท์ (ถ้ามี)\n\n4. address: ที่อยู่ ชื่อสาขา ชื่อโครงการ หรือสถานที่ (ถ้ามี) หากมีแค่ลิงก์ Maps ให้ใส่ลิงก์นั้น\n\n5. serviceType: เลือก 1 อย่าง: "ล้างแอร์", "ซ่อม", "ติดตั้ง", "ตรวจสอบ", "อื่นๆ"\n\n6. priority: "normal", "urgent", หรือ "emergency"\n\n7. description: สรุปรายละเอียดงานทั้งหมดที่ลูกค้าต้องการ\n\nตอบเป็น JSON ล้วนๆ ไม่มี markdown:\n{"customerName":"","contactName":"","phone":"","address":"","serviceType":"","priority":"","description":""}`
+
+  return generateJson<TextExtraction>([{ text: prompt }])
+}
+
+/**
+ * 🖼️ Extract From Image
+ * รูปบิล/ใบเสร็จ/นามบัตร/หน้างาน — รับ base64 แบบมีหรือไม่มี prefix data:image/...;base64,
+ */
+export async function extractJobFromImage(imageBase64: string, mimeType?: string): Promise<ImageExtraction> {
+  // Remove the data:image/jpeg;base64, prefix if present
+  const base64Data = imageBase64.replace(/^data:image\/\w+;base64,/, '')
+  const prefixMime = /^data:(image\/\w+);base64,/.exec(imageBase64)?.[1]
+
+  const prompt = `วิเคราะห์รูปภาพบิล ใบเสร็จ นามบัตร หรือภาพหน้างานแอร์นี้\n\nแยกข้อมูลและตอบกลับเป็นรูปแบบ JSON เท่านั้น โดยปฏิบัติตามกฎต่อไปนี้อย่างเคร่งครัด:\n\n1. shopName: "ชื่อร้าน แบรนด์ บริษัท หรือองค์กร" (เช่น KFC, สตาร์บัคส์, โรงแรมแกรนด์ฯ ถ้าไม่มีให้เว้นว่าง "")\n2. contactName: "ชื่อบุคคลผู้ติดต่อ" (ชื่อคนที่ระบุในภาพ เช่น นายสมชาย, พี่แอม ถ้าไม่มีให้เว้นว่าง "")\n3. phone: "เบอร์โทรศัพท์" (ถ้ามี)\n4. address: "ที่อยู่ ชื่อสาขา หรือชื่อโครงการ" (ถ้ามี)\n5. serviceType: เลือก 1 ในหมวดหมู่ต่อไปนี้ถ้าพอเดาได้จากรูป: "ล้างแอร์", "ซ่อม", "ติดตั้ง", "ตรวจสอบ" หรือ "อื่นๆ"\n6. description: "อธิบายสิ่งที่คุณเห็นในภาพ เช่น ยี่ห้อแอร์ อาการเสีย หรือรายละเอียดบิล"\n\nตอบเป็น JSON ล้วนๆ ห้ามมีเครื่องหมาย markdown หรือ \`\`\` ครอบ และห้ามมีคำอธิบายเพิ่มเติม:\n{"shopName":"","contactName":"","phone":"","address":"","serviceType":"","description":""}`
+
+  return generateJson<ImageExtraction>([
+    { text: prompt },
+    { inline_data: { mime_type: mimeType || prefixMime || 'image/jpeg', data: base64Data } },
+  ])
+}
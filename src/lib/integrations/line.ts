@@ -0,0 +1,119 @@
+import { createHmac, timingSafeEqual } from 'crypto'
+import { formatTime, getAppointmentRange, toDateKey } from '@/lib/scheduling'
+import type { ServiceRequest } from '@/lib/types'
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// LINE Messaging API — ใช้ร่วมกันระหว่าง webhook (src/lib/line-intake.ts) และ outbox worker
+// LINE_API_URL = ชี้ทั้ง api.line.me และ api-data.line.me ไปเซิร์ฟเวอร์จำลองบนเครื่อง (ทดสอบ)
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+export class LineApiError extends Error {
+  constructor(message: string, public status: number, public details?: unknown) {
+    super(message)
+    this.name = 'LineApiError'
+  }
+}
+
+function getApiUrl(host: 'api' | 'api-data'): string {
+  return (process.env['LINE_API_URL'] || `https://${host}.line.me/`).replace(/\/?$/, '/')
+}
+
+function getAccessToken(): string {
+  const token = process.env['LINE_CHANNEL_ACCESS_TOKEN']
+  if (!token) throw new LineApiError('LINE_CHANNEL_ACCESS_TOKEN not configured', 500)
+  return token
+}
+
+/**
+ * 🔏 Verify Signature
+ * x-line-signature = base64(HMAC-SHA256(channel secret, body ดิบ)) — ต้องเช็คกับ body ก่อน parse JSON
+ * ไม่ได้ตั้ง LINE_CHANNEL_SECRET = ปฏิเสธทุก request
+ */
+export function verifyLineSignature(rawBody: string, signature: string | null): boolean {
+  const secret = process.env['LINE_CHANNEL_SECRET']
+  if (!secret || !signature) return false
+  const expected = Buffer.from(createHmac('sha256', secret).update(rawBody).digest('base64'))
+  const actual = Buffer.from(signature)
+  return expected.length === actual.length && timingSafeEqual(expected, actual)
+}
+
+async function callLineApi(path: string, body: Record<string, unknown>): Promise<void> {
+  const response = await fetch(`${getApiUrl('api')}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${getAccessToken()}` },
+    body: JSON.stringify(body),
+  })
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}))
+    throw new LineApiError(`Failed to call ${path}`, response.status, data)
+  }
+}
+
+// ตอบกลับด้วย reply token ของ event (ใช้ได้ครั้งเดียว ภายในไม่กี่นาที — ไม่นับโควต้าข้อความ)
+export async function replyLineMessage(replyToken: string, text: string): Promise<void> {
+  await callLineApi('v2/bot/message/reply', { replyToken, messages: [{ type: 'text', text }] })
+}
+
+// ส่งหาลูกค้าทีหลัง (เช่นยืนยันนัด) — นับโควต้าข้อความของ LINE OA
+export async function pushLineMessage(to: string, text: string): Promise<void> {
+  await callLineApi('v2/bot/message/push', { to, messages: [{ type: 'text', text }] })
+}
+
+// รูป/ไฟล์ที่ลูกค้าส่งมา (เก็บที่ LINE ชั่วคราว ต้องดึงไปเก็บเอง)
+export async function getLineMessageContent(messageId: string): Promise<{ buffer: Buffer; mimeType: string }> {
+  const response = await fetch(`${getApiUrl('api-data')}v2/bot/message/${messageId}/content`, {
+    headers: { Authorization: `Bearer ${getAccessToken()}` },
+  })
+  if (!response.ok) {
+    throw new LineApiError('Failed to download message content', response.status)
+  }
+  return {
+    buffer: Buffer.from(await response.arrayBuffer()),
+    mimeType: response.headers.get('content-type') || 'image/jpeg',
+  }
+}
+
+// ชื่อที่แสดงใน LINE — ได้เฉพาะคนที่เพิ่ม OA เป็นเพื่อนแล้ว (ไม่ได้ = null)
+export async function getLineDisplayName(userId: string): Promise<string | null> {
+  try {
+    const response = await fetch(`${getApiUrl('api')}v2/bot/profile/${userId}`, {
+      headers: { Authorization: `Bearer ${getAccessToken()}` },
+    })
+    if (!response.ok) return null
+    const data = (await response.json()) as { displayName?: string }
+    return data.displayName || null
+  } catch {
+    return null
+  }
+}
+
+// ── ข้อความถึงลูกค้า ──
+
+export function formatLineReceipt(request: ServiceRequest): string {
+  return `รับเรื่องแล้วค่ะ 🙏\nเลขที่งาน: ${request.requestNo}\nเจ้าหน้าที่จะติดต่อกลับเพื่อนัดวันเข้าบริการ ส่งรายละเอียดหรือรูปเพิ่มในแชทนี้ได้เลยค่ะ`
+}
+
+export function formatLineAppointmentConfirmation(request: ServiceRequest): string {
+  const range = getAppointmentRange({
+    appointmentDate: request.appointmentDate,
+    appointmentEndDate: request.appointmentEndDate || '',
+    isAllDay: request.isAllDay || false,
+    serviceType: request.serviceType,
+  })
+  const when = !range
+    ? request.appointmentDate
+    : request.isAllDay
+      ? `${toDateKey(range.start)} (ทั้งวัน)`
+      : `${toDateKey(range.start)} เวลา ${formatTime(range.start)} น.`
+
+  const lines = [
+    '📅 ยืนยันนัดหมายค่ะ',
+    `เลขที่งาน: ${request.requestNo}`,
+    `งาน: ${request.serviceType}`,
+    `วันเวลา: ${when}`,
+  ]
+  if (request.technicianName) lines.push(`ช่าง: ${request.technicianName}`)
+  if (request.address) lines.push(`สถานที่: ${request.address}`)
+  lines.push('', 'หากต้องการเลื่อนนัด ตอบกลับในแชทนี้ได้เลยค่ะ')
+  return lines.join('\n')
+}
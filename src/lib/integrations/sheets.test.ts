@@ -0,0 +1,79 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+import { google } from 'googleapis'
+import { SHEET_HEADERS, invalidateSheetLayout, upsertSheetRow, type SheetServiceRequest } from '@/lib/integrations/sheets'
+import { makeServiceRequest } from '@/test/fixtures'
+
+vi.mock('googleapis', () => ({
+  google: { auth: { GoogleAuth: vi.fn() }, sheets: vi.fn() },
+}))
+
+// ชีตจำลอง — แถวแรกเป็น header ที่เหลือเป็นข้อมูล
+let grid: string[][]
+
+const spreadsheets = {
+  get: vi.fn(async () => ({
+    data: { sheets: [{ properties: { title: 'Sheet1', sheetId: 0, gridProperties: { columnCount: 40 } } }] },
+  })),
+  batchUpdate: vi.fn(),
+  values: {
+    get: vi.fn(async ({ range }: { range: string }) => {
+      const row = Number(/!(?:A)?(\d+):/.exec(range)?.[1] ?? 1)
+      return { data: { values: grid[row - 1] ? [grid[row - 1]] : [] } }
+    }),
+    batchGet: vi.fn(async () => {
+      const idColumn = (grid[0] ?? []).indexOf('id')
+      return { data: { valueRanges: [{ values: [grid[0]] }, { values: grid.map(row => [row[idColumn] ?? '']) }] } }
+    }),
+    update: vi.fn(async ({ range, requestBody }: { range: string; requestBody: { values: string[][] } }) => {
+      if (range.endsWith('1')) {
+        const row = requestBody.values[0] ?? []
+        grid[0] = [...(grid[0] ?? []), ...row]
+      }
+      return { data: {} }
+    }),
+    append: vi.fn(async () => ({ data: {} })),
+  },
+}
+
+const request = makeServiceRequest() as SheetServiceRequest
+
+beforeEach(() => {
+  vi.stubEnv('GOOGLE_SHEETS_ID', 'sheet-id')
+  vi.mocked(google.sheets).mockReturnValue({ spreadsheets } as unknown as ReturnType<typeof google.sheets>)
+  invalidateSheetLayout()
+  grid = [[...SHEET_HEADERS]]
+})
+
+describe('sheet layout cache', () => {
+  it('อ่าน meta + header ครั้งเดียวแม้เขียนหลายครั้ง', async () => {
+    await upsertSheetRow(request)
+    await upsertSheetRow({ ...request, id: 'req-2' })
+
+    expect(spreadsheets.get).toHaveBeenCalledTimes(1)
+    expect(spreadsheets.values.append).toHaveBeenCalledTimes(2)
+  })
+
+  it('header ในชีตเปลี่ยน → โหลด layout ใหม่แล้วเขียนตามคอลัมน์ล่าสุด', async () => {
+    await upsertSheetRow(request)
+
+    // มีคนแทรกคอลัมน์ของตัวเองไว้หน้าสุด
+    grid = [['หมายเหตุร้าน', ...SHEET_HEADERS], ['ของร้าน', ...SHEET_HEADERS.map(field => field === 'id' ? 'req-1' : '')]]
+    await upsertSheetRow({ ...request, notes: 'แก้แล้ว' })
+
+    expect(spreadsheets.get).toHaveBeenCalledTimes(2)
+    const written = vi.mocked(spreadsheets.values.update).mock.lastCall?.[0].requestBody.values[0] ?? []
+    expect(written[0]).toBe('ของร้าน')
+    expect(written[SHEET_HEADERS.indexOf('notes') + 1]).toBe('แก้แล้ว')
+  })
+
+  it('เติมคอลัมน์ที่ขาดแล้วเตือนพร้อมชื่อคอลัมน์', async () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {})
+    grid = [SHEET_HEADERS.filter(field => field !== 'deletedAt' && field !== 'updatedAt')]
+
+    await upsertSheetRow(request)
+
+    expect(warn).toHaveBeenCalledWith(expect.stringMatching(/updatedAt, deletedAt|deletedAt, updatedAt/))
+    expect(grid[0]).toEqual(expect.arrayContaining(['updatedAt', 'deletedAt']))
+    warn.mockRestore()
+  })
+})
@@ -0,0 +1,489 @@
+import { google } from 'googleapis'
+import { withRetry } from '@/lib/retry'
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Google Sheets — ใช้ร่วมกันระหว่าง outbox worker (คนเดียวที่เขียน), reconcile และ /api/sheets (อ่าน)
+// อ่าน/เขียนตามชื่อ header แถวแรก (ไม่ผูกกับตำแหน่งคอลัมน์)
+// → แทรก/สลับคอลัมน์ หรือเพิ่มคอลัมน์ของตัวเองในชีตได้โดยไม่ทำให้ข้อมูลเลื่อน
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+export interface SheetAttachment {
+  url: string
+  name: string
+}
+
+// แถวใน Sheet (หนึ่งฟิลด์ต่อหนึ่งคอลัมน์ ตามชื่อใน SHEET_HEADERS)
+export interface SheetServiceRequest {
+  id: string
+  requestNo: string
+  createdAt: string
+  channel: 'LINE' | 'โทร' | 'Walk-in' | 'Facebook' | 'อื่นๆ'
+  customerName: string
+  contactName?: string
+  phone: string
+  address: string
+  serviceType: string
+  description: string
+  priority: 'normal' | 'urgent' | 'emergency'
+  status: string
+  appointmentDate: string
+  appointmentEndDate?: string
+  notes: string
+  imageUrl: string
+  imageUrls?: string[]
+  attachments?: SheetAttachment[]
+  history: { status: string; date: string; by: string }[]
+  calendarEventId?: string
+  calendarEventUrl?: string
+  // เวลาแก้ไขล่าสุด — ระบบเขียนตอน sync, Apps Script (onEdit) เขียนตอนมีคนแก้ใน Sheet
+  updatedAt?: string
+  // อยู่ในถังขยะตั้งแต่ (ว่าง = งานปกติ) — แถวถูกลบจริงตอนล้างถังขยะเท่านั้น
+  deletedAt?: string
+}
+
+type SheetField = keyof SheetServiceRequest
+
+// คอลัมน์ที่ระบบใช้ เรียงตามลำดับตอนสร้างชีตใหม่ — ชีตเดิมที่ขาดคอลัมน์ไหนจะถูกเติมต่อท้าย
+export const SHEET_HEADERS: readonly SheetField[] = [
+  'id', 'requestNo', 'createdAt', 'channel', 'customerName', 'contactName',
+  'phone', 'address', 'serviceType', 'description', 'priority',
+  'status', 'appointmentDate', 'appointmentEndDate', 'notes',
+  'imageUrl', 'imageUrls', 'attachments', 'history',
+  'calendarEventId', 'calendarEventUrl', 'updatedAt', 'deletedAt',
+]
+
+export interface SheetLayout {
+  tabName: string
+  sheetId: number
+  columnCount: number
+  headers: string[]
+  // ชื่อ field → index คอลัมน์ (0-based) — header ซ้ำใช้คอลัมน์แรก
+  columns: Map<string, number>
+}
+
+export interface SheetSchemaReport {
+  ok: boolean
+  tabName: string
+  headers: string[]
+  missing: string[]    // คอลัมน์ที่ระบบใช้แต่ไม่มีในชีต
+  unknown: string[]    // คอลัมน์ในชีตที่ระบบไม่รู้จัก (ไม่แตะ)
+  duplicates: string[] // header ซ้ำ — ระบบใช้คอลัมน์แรก
+  outOfOrder: boolean  // ลำดับต่างจาก SHEET_HEADERS (ไม่ใช่ error แค่แจ้ง)
+}
+
+// 1 → A, 19 → S, 27 → AA
+export function columnLetter(index: number): string {
+  let letter = ''
+  for (let n = index; n > 0; n = Math.floor((n - 1) / 26)) {
+    letter = String.fromCharCode(65 + ((n - 1) % 26)) + letter
+  }
+  return letter
+}
+
+type SheetsClient = ReturnType<typeof google.sheets>
+
+// Initialize Google Sheets client
+export async function getGoogleSheetsClient(): Promise<SheetsClient> {
+  const auth = new google.auth.GoogleAuth({
+    credentials: {
+      client_email: process.env['GOOGLE_SERVICE_ACCOUNT_EMAIL'],
+      private_key: process.env['GOOGLE_PRIVATE_KEY']?.replace(/\\n/g, '\n'),
+    },
+    scopes: ['https://www.googleapis.com/auth/spreadsheets'],
+  })
+
+  return google.sheets({ version: 'v4', auth })
+}
+
+export function getSpreadsheetId(): string {
+  const spreadsheetId = process.env['GOOGLE_SHEETS_ID']
+  if (!spreadsheetId) throw new Error('GOOGLE_SHEETS_ID not configured')
+  return spreadsheetId
+}
+
+/**
+ * 📑 Sheet Meta
+ * tab ที่ตั้งใน GOOGLE_SHEETS_TAB_NAME หรือ tab แรกถ้าไม่ได้ตั้ง
+ * คืน sheetId ของ tab นั้นจริงๆ (ใช้ตอนลบแถว) + จำนวนคอลัมน์ของ grid
+ */
+export async function getSheetMeta(
+  sheets: SheetsClient,
+  spreadsheetId: string
+): Promise<{ tabName: string; sheetId: number; columnCount: number }> {
+  const meta = await withRetry(() => sheets.spreadsheets.get({ spreadsheetId }))
+  const tabs = meta.data.sheets || []
+  const configuredName = process.env['GOOGLE_SHEETS_TAB_NAME']
+  const tab = configuredName ? tabs.find(s => s.properties?.title === configuredName) : tabs[0]
+  if (configuredName && !tab) throw new Error(`Sheet tab "${configuredName}" not found`)
+
+  return {
+    tabName: tab?.properties?.title || 'Sheet1',
+    sheetId: tab?.properties?.sheetId ?? 0,
+    columnCount: tab?.properties?.gridProperties?.columnCount ?? 26,
+  }
+}
+
+function buildColumns(headers: string[]): Map<string, number> {
+  const columns = new Map<string, number>()
+  headers.forEach((header, index) => {
+    if (header && !columns.has(header)) columns.set(header, index)
+  })
+  return columns
+}
+
+// ชื่อ tab ภาษาไทย/มีช่องว่างต้องครอบด้วย '...' ใน A1 notation
+function quoteTab(tabName: string): string {
+  return `'${tabName.replace(/'/g, "''")}'`
+}
+
+async function readHeaderRow(sheets: SheetsClient, spreadsheetId: string, tabName: string): Promise<string[]> {
+  const response = await withRetry(() => sheets.spreadsheets.values.get({
+    spreadsheetId,
+    range: `${quoteTab(tabName)}!1:1`,
+  }))
+  return (response.data.values?.[0] || []).map(h => String(h).trim())
+}
+
+async function readSheetLayout(sheets: SheetsClient, spreadsheetId: string): Promise<SheetLayout> {
+  const meta = await getSheetMeta(sheets, spreadsheetId)
+  const headers = await readHeaderRow(sheets, spreadsheetId, meta.tabName)
+  return { ...meta, headers, columns: buildColumns(headers) }
+}
+
+const globalForSheets = globalThis as unknown as {
+  sheetLayout: { spreadsheetId: string; layout: SheetLayout } | undefined
+}
+
+// ลืม layout ที่ cache ไว้ — ครั้งถัดไปอ่าน meta + header จากชีตใหม่
+export function invalidateSheetLayout(): void {
+  globalForSheets.sheetLayout = undefined
+}
+
+/**
+ * 🧭 Layout
+ * อ่าน header แถวแรกแล้วสร้าง map ชื่อ → คอลัมน์ — cache ไว้ต่อโปรเซส (ทุกการเขียนไม่ต้องอ่าน meta + header ใหม่)
+ * cache ถูกล้างเมื่อ header ในชีตไม่ตรงกับที่จำไว้ (ดู findRow) หรือเขียนแล้ว error
+ * ensureColumns = เติมคอลัมน์ที่ขาดต่อท้าย (ใช้ก่อนเขียน) — ชีตว่างจะได้ header ครบชุด
+ * refresh = ไม่ใช้ cache (หน้าตรวจ schema)
+ */
+export async function getSheetLayout(
+  sheets: SheetsClient,
+  spreadsheetId: string,
+  options: { ensureColumns?: boolean; refresh?: boolean } = {}
+): Promise<SheetLayout> {
+  const cached = globalForSheets.sheetLayout
+  let layout = !options.refresh && cached?.spreadsheetId === spreadsheetId ? cached.layout : await readSheetLayout(sheets, spreadsheetId)
+
+  const { columns } = layout
+  const missing = options.ensureColumns ? SHEET_HEADERS.filter(field => !columns.has(field)) : []
+  if (missing.length > 0) layout = await addMissingColumns(sheets, spreadsheetId, layout, missing)
+
+  globalForSheets.sheetLayout = { spreadsheetId, layout }
+  return layout
+}
+
+async function addMissingColumns(
+  sheets: SheetsClient,
+  spreadsheetId: string,
+  layout: SheetLayout,
+  missing: readonly string[]
+): Promise<SheetLayout> {
+  // ต่อท้ายหลัง header สุดท้ายที่มีค่า
+  const startIndex = layout.headers.length
+  const nextHeaders = [...layout.headers, ...missing]
+
+  // grid ไม่พอ → ขยายก่อน ไม่งั้น values.update error "exceeds grid limits"
+  if (nextHeaders.length > layout.columnCount) {
+    await withRetry(() => sheets.spreadsheets.batchUpdate({
+      spreadsheetId,
+      requestBody: {
+        requests: [{
+          appendDimension: {
+            sheetId: layout.sheetId,
+            dimension: 'COLUMNS',
+            length: nextHeaders.length - layout.columnCount,
+          },
+        }],
+      },
+    }))
+  }
+
+  await withRetry(() => sheets.spreadsheets.values.update({
+    spreadsheetId,
+    range: `${quoteTab(layout.tabName)}!${columnLetter(startIndex + 1)}1:${columnLetter(nextHeaders.length)}1`,
+    valueInputOption: 'RAW',
+    requestBody: { values: [[...missing]] },
+  }))
+
+  console.warn(`Added missing columns to sheet "${layout.tabName}": ${missing.join(', ')}`)
+  return {
+    ...layout,
+    columnCount: Math.max(layout.columnCount, nextHeaders.length),
+    headers: nextHeaders,
+    columns: buildColumns(nextHeaders),
+  }
+}
+
+// ── แปลงค่า field ↔ ค่าในเซลล์ ──
+// history / attachments = JSON, imageUrls = หนึ่ง URL ต่อบรรทัด (แก้ในชีตด้วยมือได้ง่าย)
+
+export function encodeSheetValue(field: string, value: unknown): string {
+  if (value === undefined || value === null) return ''
+  if (field === 'imageUrls') return Array.isArray(value) ? value.join('\n') : String(value)
+  if (field === 'history' || field === 'attachments') return JSON.stringify(value)
+  return String(value)
+}
+
+function parseJsonArray<T>(text: string): T[] {
+  if (!text) return []
+  try {
+    const parsed = JSON.parse(text)
+    return Array.isArray(parsed) ? parsed : []
+  } catch {
+    return []
+  }
+}
+
+// Convert row → ServiceRequest (ตามชื่อ header)
+export function rowToRequest(row: unknown[], columns: Map<string, number>): SheetServiceRequest {
+  const cell = (field: SheetField): string => {
+    const index = columns.get(field)
+    const value = index === undefined ? undefined : row[index]
+    return value === undefined || value === null ? '' : String(value)
+  }
+
+  return {
+    id: cell('id'),
+    requestNo: cell('requestNo'),
+    createdAt: cell('createdAt'),
+    channel: (cell('channel') || 'LINE') as SheetServiceRequest['channel'],
+    customerName: cell('customerName'),
+    contactName: cell('contactName'),
+    phone: cell('phone'),
+    address: cell('address'),
+    serviceType: cell('serviceType'),
+    description: cell('description'),
+    priority: (cell('priority') || 'normal') as SheetServiceRequest['priority'],
+    status: cell('status') || 'new',
+    appointmentDate: cell('appointmentDate'),
+    appointmentEndDate: cell('appointmentEndDate'),
+    notes: cell('notes'),
+    imageUrl: cell('imageUrl'),
+    imageUrls: cell('imageUrls').split(/\r?\n/).map(u => u.trim()).filter(Boolean),
+    attachments: parseJsonArray<SheetAttachment>(cell('attachments')),
+    history: parseJsonArray<SheetServiceRequest['history'][number]>(cell('history')),
+    calendarEventId: cell('calendarEventId'),
+    calendarEventUrl: cell('calendarEventUrl'),
+    updatedAt: cell('updatedAt'),
+    deletedAt: cell('deletedAt'),
+  }
+}
+
+/**
+ * Convert ServiceRequest → row ตามลำดับ header ของชีต
+ * คอลัมน์ที่ระบบไม่รู้จักคงค่าเดิมจาก existingRow (ไม่ลบข้อมูลที่ผู้ใช้เพิ่มเอง)
+ */
+export function requestToRow(request: SheetServiceRequest, headers: string[], existingRow: unknown[] = []): string[] {
+  const record = request as unknown as Record<string, unknown>
+  const known = new Set<string>(SHEET_HEADERS)
+  const seen = new Set<string>()
+
+  return headers.map((header, index) => {
+    // header ซ้ำ / ไม่รู้จัก → ไม่แตะ
+    if (!known.has(header) || seen.has(header)) {
+      const existing = existingRow[index]
+      return existing === undefined || existing === null ? '' : String(existing)
+    }
+    seen.add(header)
+    return encodeSheetValue(header, record[header])
+  })
+}
+
+function sameHeaders(a: string[], b: string[]): boolean {
+  return a.length === b.length && a.every((header, index) => header === b[index])
+}
+
+/**
+ * 🔎 Find Row
+ * หาแถวของงานจากคอลัมน์ id — index แบบ 0-based (-1 = ไม่พบ) พร้อม layout ที่ตรวจแล้วว่าตรงกับชีต
+ * อ่าน header มาพร้อมคอลัมน์ id ในรอบเดียว ไม่ตรงกับ layout ที่ cache ไว้ (มีคนแทรก/ย้าย/เปลี่ยนชื่อคอลัมน์)
+ * = ล้าง cache แล้วหาใหม่ด้วย layout ล่าสุด ไม่เขียนทับคอลัมน์ผิดช่อง
+ */
+async function findRow(
+  sheets: SheetsClient,
+  spreadsheetId: string,
+  id: string,
+  options: { ensureColumns?: boolean } = {}
+): Promise<{ layout: SheetLayout; index: number }> {
+  for (let attempt = 0; ; attempt++) {
+    const layout = await getSheetLayout(sheets, spreadsheetId, { ...options, refresh: attempt > 0 })
+    const idColumn = layout.columns.get('id')
+    if (idColumn === undefined) throw new Error('Sheet has no "id" column')
+    const letter = columnLetter(idColumn + 1)
+
+    const response = await withRetry(() => sheets.spreadsheets.values.batchGet({
+      spreadsheetId,
+      ranges: [`${quoteTab(layout.tabName)}!1:1`, `${quoteTab(layout.tabName)}!${letter}:${letter}`],
+    }))
+    const [headerRange, idRange] = response.data.valueRanges || []
+    const headers = (headerRange?.values?.[0] || []).map(h => String(h).trim())
+    if (!sameHeaders(headers, layout.headers) && attempt === 0) continue
+
+    const rows = idRange?.values || []
+    return { layout, index: rows.findIndex((row, index) => index > 0 && String(row?.[0] ?? '') === id) }
+  }
+}
+
+// เขียนไม่สำเร็จ (tab ถูกเปลี่ยนชื่อ/ลบ ฯลฯ) → ล้าง cache ให้ครั้งถัดไป (outbox retry) อ่าน layout ใหม่
+async function withFreshLayoutOnError<T>(write: () => Promise<T>): Promise<T> {
+  try {
+    return await write()
+  } catch (error) {
+    invalidateSheetLayout()
+    throw error
+  }
+}
+
+function rowRange(layout: SheetLayout, rowNumber: number): string {
+  return `${quoteTab(layout.tabName)}!A${rowNumber}:${columnLetter(layout.headers.length)}${rowNumber}`
+}
+
+/**
+ * 📖 Read Rows
+ * อ่านทั้ง tab แล้ว map ตาม header แถวแรก (Sheet เก่าจาก Apps Script เรียงคอลัมน์ไม่เหมือนกัน)
+ */
+export async function readSheetRows(): Promise<SheetServiceRequest[]> {
+  const sheets = await getGoogleSheetsClient()
+  const spreadsheetId = getSpreadsheetId()
+  const { tabName } = await getSheetMeta(sheets, spreadsheetId)
+
+  const response = await withRetry(() => sheets.spreadsheets.values.get({
+    spreadsheetId,
+    range: quoteTab(tabName),
+  }))
+
+  const [headerRow = [], ...rows] = response.data.values || []
+  const columns = buildColumns(headerRow.map(h => String(h).trim()))
+  return rows
+    .map(row => rowToRequest(row, columns))
+    .filter(request => request.id)
+}
+
+// ใช้ layout ที่ cache ไว้ — upsertSheetRow เรียกหลัง updateSheetRow ซึ่งตรวจ header กับชีตแล้ว
+export async function appendSheetRow(request: SheetServiceRequest): Promise<void> {
+  const sheets = await getGoogleSheetsClient()
+  const spreadsheetId = getSpreadsheetId()
+  const layout = await getSheetLayout(sheets, spreadsheetId, { ensureColumns: true })
+
+  await withFreshLayoutOnError(() => withRetry(() => sheets.spreadsheets.values.append({
+    spreadsheetId,
+    range: `${quoteTab(layout.tabName)}!A:${columnLetter(layout.headers.length)}`,
+    valueInputOption: 'RAW', // USER_ENTERED แปลงเบอร์โทร/วันที่เป็นตัวเลข → อ่านกลับมาไม่ตรงกับที่เขียน
+    insertDataOption: 'INSERT_ROWS',
+    requestBody: {
+      values: [requestToRow(request, layout.headers)],
+    },
+  })))
+}
+
+/**
+ * ✏️ Update Row
+ * merge ข้อมูลใหม่ทับแถวเดิม — คืน null ถ้าไม่พบแถวของ id นี้
+ */
+export async function updateSheetRow(id: string, updateData: Partial<SheetServiceRequest>): Promise<SheetServiceRequest | null> {
+  const sheets = await getGoogleSheetsClient()
+  const spreadsheetId = getSpreadsheetId()
+  const { layout, index } = await findRow(sheets, spreadsheetId, id, { ensureColumns: true })
+  if (index === -1) return null
+  const rowNumber = index + 1 // 1-indexed for Google Sheets
+
+  const existingResponse = await withRetry(() => sheets.spreadsheets.values.get({
+    spreadsheetId,
+    range: rowRange(layout, rowNumber),
+  }))
+  const existingRow = existingResponse.data.values?.[0] || []
+  const existingRequest = rowToRequest(existingRow, layout.columns)
+
+  const updatedRequest: SheetServiceRequest = {
+    ...existingRequest,
+    ...updateData,
+    id: existingRequest.id, // Don't allow id change
+  }
+
+  await withFreshLayoutOnError(() => withRetry(() => sheets.spreadsheets.values.update({
+    spreadsheetId,
+    range: rowRange(layout, rowNumber),
+    valueInputOption: 'RAW',
+    requestBody: {
+      values: [requestToRow(updatedRequest, layout.headers, existingRow)],
+    },
+  })))
+
+  return updatedRequest
+}
+
+// แก้แถวเดิม ถ้าไม่มีก็เพิ่มแถวใหม่ (sync 1:1)
+export async function upsertSheetRow(request: SheetServiceRequest): Promise<void> {
+  const updated = await updateSheetRow(request.id, request)
+  if (!updated) await appendSheetRow(request)
+}
+
+// ลบทั้งแถว (ไม่ใช่แค่ล้างค่า) — คืน false ถ้าไม่พบ
+export async function deleteSheetRow(id: string): Promise<boolean> {
+  const sheets = await getGoogleSheetsClient()
+  const spreadsheetId = getSpreadsheetId()
+  const { layout, index: rowIndex } = await findRow(sheets, spreadsheetId, id) // 0-indexed for batchUpdate
+  if (rowIndex === -1) return false
+
+  await withFreshLayoutOnError(() => withRetry(() => sheets.spreadsheets.batchUpdate({
+    spreadsheetId,
+    requestBody: {
+      requests: [{
+        deleteDimension: {
+          range: {
+            sheetId: layout.sheetId,
+            dimension: 'ROWS',
+            startIndex: rowIndex,
+            endIndex: rowIndex + 1
+          }
+        }
+      }]
+    }
+  })))
+  return true
+}
+
+/**
+ * 🩺 Schema Check
+ * เทียบ header ในชีตกับคอลัมน์ที่ระบบใช้ — fix = เติมคอลัมน์ที่ขาด
+ */
+export async function checkSheetSchema(options: { fix?: boolean } = {}): Promise<SheetSchemaReport> {
+  const sheets = await getGoogleSheetsClient()
+  const spreadsheetId = getSpreadsheetId()
+  const layout = await getSheetLayout(sheets, spreadsheetId, { ensureColumns: options.fix ?? false, refresh: true })
+
+  const known = new Set<string>(SHEET_HEADERS)
+  const seen = new Set<string>()
+  const duplicates = new Set<string>()
+  for (const header of layout.headers) {
+    if (!header) continue
+    if (seen.has(header)) duplicates.add(header)
+    seen.add(header)
+  }
+
+  const missing = SHEET_HEADERS.filter(field => !layout.columns.has(field))
+  const unknown = layout.headers.filter(header => header && !known.has(header))
+  const present = [...new Set(layout.headers.filter(header => known.has(header)))]
+  const expectedOrder = SHEET_HEADERS.filter(field => layout.columns.has(field))
+  const outOfOrder = present.some((header, index) => header !== expectedOrder[index])
+
+  return {
+    ok: missing.length === 0 && duplicates.size === 0,
+    tabName: layout.tabName,
+    headers: layout.headers,
+    missing,
+    unknown,
+    duplicates: [...duplicates],
+    outOfOrder,
+  }
+}
@@ -0,0 +1,149 @@
+import {
+  type StatusValue,
+  getMissingRequiredFields,
+  getNextStatuses,
+  getStatusConfig,
+  isStatusValue,
+} from '@/lib/STATUS_WORKFLOW'
+import type { ServiceRequest } from '@/lib/types'
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Telegram — ใช้ร่วมกันระหว่าง /api/telegram, outbox worker และบอท (src/lib/telegram-bot.ts)
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+export class TelegramApiError extends Error {
+  constructor(message: string, public status: number, public details?: unknown) {
+    super(message)
+    this.name = 'TelegramApiError'
+  }
+}
+
+// parse_mode HTML — ข้อความจากลูกค้าต้อง escape ไม่งั้น Telegram ปฏิเสธทั้งข้อความ
+export function escapeHtml(text: string): string {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+}
+
+export interface TelegramInlineButton {
+  text: string
+  callback_data: string
+}
+
+export interface TelegramInlineKeyboard {
+  inline_keyboard: TelegramInlineButton[][]
+}
+
+async function callTelegramApi(method: string, body: Record<string, unknown>): Promise<unknown> {
+  const botToken = process.env['TELEGRAM_BOT_TOKEN']
+  if (!botToken) {
+    throw new TelegramApiError('Telegram credentials are not configured properly.', 500)
+  }
+
+  const response = await fetch(`https://api.telegram.org/bot${botToken}/${method}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  })
+
+  const data = await response.json().catch(() => ({}))
+  if (!response.ok) {
+    throw new TelegramApiError(`Failed to call ${method}`, response.status, data)
+  }
+  return data
+}
+
+// chatId ไม่ระบุ = กลุ่มแจ้งเตือนหลัก (TELEGRAM_CHAT_ID)
+export async function sendTelegramMessage(
+  message: string,
+  chatId?: string,
+  options: { replyMarkup?: TelegramInlineKeyboard } = {}
+): Promise<unknown> {
+  const targetChatId = chatId || process.env['TELEGRAM_CHAT_ID']
+  if (!targetChatId) {
+    throw new TelegramApiError('Telegram credentials are not configured properly.', 500)
+  }
+
+  return callTelegramApi('sendMessage', {
+    chat_id: targetChatId,
+    text: message,
+    parse_mode: 'HTML',
+    disable_web_page_preview: true,
+    ...(options.replyMarkup ? { reply_markup: options.replyMarkup } : {}),
+  })
+}
+
+// ปิด spinner ของปุ่มที่กด — showAlert = popup ที่ต้องกดปิด (ใช้ตอนทำไม่สำเร็จ)
+export async function answerTelegramCallback(callbackQueryId: string, text: string, showAlert = false): Promise<void> {
+  await callTelegramApi('answerCallbackQuery', { callback_query_id: callbackQueryId, text, show_alert: showAlert })
+}
+
+// เปลี่ยนปุ่มใต้ข้อความเดิม (เช่นหลังเปลี่ยนสถานะแล้ว ปุ่มชุดเก่าใช้ไม่ได้)
+export async function editTelegramReplyMarkup(chatId: string, messageId: number, replyMarkup: TelegramInlineKeyboard): Promise<void> {
+  try {
+    await callTelegramApi('editMessageReplyMarkup', { chat_id: chatId, message_id: messageId, reply_markup: replyMarkup })
+  } catch (error) {
+    // ปุ่มเหมือนเดิม Telegram ตอบ 400 "message is not modified" — ไม่ใช่ error จริง
+    if (!(error instanceof TelegramApiError && error.status === 400)) throw error
+  }
+}
+
+// ── ปุ่มเปลี่ยนสถานะ ──
+
+// callback_data จำกัด 64 bytes → "st:<id งาน>:<สถานะ>"
+const STATUS_CALLBACK_PREFIX = 'st'
+
+export function parseStatusCallback(data: string): { requestId: string; status: StatusValue } | null {
+  const [prefix, requestId, status] = data.split(':')
+  if (prefix !== STATUS_CALLBACK_PREFIX || !requestId || !isStatusValue(status)) return null
+  return { requestId, status }
+}
+
+/**
+ * ⌨️ Status Keyboard
+ * ปุ่มสถานะถัดไปที่ workflow อนุญาต — สถานะที่ยังขาดฟิลด์บังคับ (วันนัด/ยอดเสนอราคา/เหตุผลยกเลิก) ไม่แสดง
+ * เพราะกรอกจาก Telegram ไม่ได้ ส่วนสิทธิ์ของ role เช็คตอนกด (ข้อความในกลุ่มทุกคนเห็นปุ่มชุดเดียวกัน)
+ */
+export function buildStatusKeyboard(request: ServiceRequest): TelegramInlineKeyboard {
+  if (!isStatusValue(request.status)) return { inline_keyboard: [] }
+  const buttons = getNextStatuses(request.status)
+    .filter(next => getMissingRequiredFields(next, request).length === 0)
+    .map(next => {
+      const config = getStatusConfig(next)
+      return { text: `${config.icon} ${config.label}`, callback_data: `${STATUS_CALLBACK_PREFIX}:${request.id}:${next}` }
+    })
+  // แถวละ 2 ปุ่ม
+  const rows: TelegramInlineButton[][] = []
+  for (let i = 0; i < buttons.length; i += 2) rows.push(buttons.slice(i, i + 2))
+  return { inline_keyboard: rows }
+}
+
+export function formatPriority(priority: ServiceRequest['priority']): string {
+  return priority === 'urgent' ? '🟡 เร่งด่วน' : priority === 'emergency' ? '🔴 ฉุกเฉิน' : 'ปกติ'
+}
+
+/**
+ * 🔔 Format Request Notification
+ * ข้อความแจ้งเตือนงานใหม่ / เปลี่ยนสถานะ (เดิมประกอบใน page.tsx)
+ */
+export function formatRequestNotification(request: ServiceRequest, action: 'NEW' | 'UPDATE', by: string): string {
+  const statusText = isStatusValue(request.status) ? getStatusConfig(request.status).label : request.status
+
+  let message = `<b>🔔 แจ้งเตือน: ${action === 'NEW' ? 'งานใหม่เข้า' : 'อัปเดตสถานะงาน'}</b>\n\n`
+  message += `<b>เลขที่งาน:</b> ${escapeHtml(request.requestNo)}\n`
+  message += `<b>ลูกค้า:</b> ${escapeHtml(request.customerName)}\n`
+  message += `<b>ประเภทงาน:</b> ${escapeHtml(request.serviceType)}\n`
+  message += `<b>สถานะ:</b> ${statusText}\n`
+  message += `<b>ความเร่งด่วน:</b> ${formatPriority(request.priority)}\n`
+  message += `<b>ทำรายการโดย:</b> ${escapeHtml(by)}`
+
+  if (request.description) {
+    // Telegram จำกัด 4096 ตัวอักษรต่อข้อความ — ตัดที่รายละเอียด (ตัดทั้งข้อความอาจตัดกลาง tag)
+    const description = request.description.length > 3000 ? `${request.description.slice(0, 3000)}…` : request.description
+    message += `\n\n<b>รายละเอียด:</b> ${escapeHtml(description)}`
+  }
+
+  if (request.imageUrl) {
+    message += `\n\n<b><a href="${escapeHtml(request.imageUrl)}">🖼️ ดูรูปภาพประกอบ</a></b>`
+  }
+
+  return message
+}
@@ -0,0 +1,134 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+import { uploadDriveFile } from '@/lib/integrations/drive'
+import { extractJobFromImage, extractJobFromText } from '@/lib/integrations/gemini'
+import { getLineDisplayName, getLineMessageContent, replyLineMessage } from '@/lib/integrations/line'
+import { kickOutboxWorker } from '@/lib/outbox'
+import { findCustomerMatches } from '@/lib/repositories/customers'
+import { issueRequestNo } from '@/lib/repositories/request-numbers'
+import { createServiceRequest, findLineDraft, updateServiceRequest } from '@/lib/repositories/service-requests'
+import { handleLineEvent, type LineEvent } from '@/lib/line-intake'
+import { makeServiceRequest } from '@/test/fixtures'
+
+vi.mock('@/lib/integrations/drive')
+vi.mock('@/lib/integrations/gemini')
+vi.mock('@/lib/integrations/line', async importOriginal => ({
+  ...(await importOriginal<typeof import('@/lib/integrations/line')>()),
+  getLineDisplayName: vi.fn(),
+  getLineMessageContent: vi.fn(),
+  replyLineMessage: vi.fn(),
+}))
+vi.mock('@/lib/outbox')
+vi.mock('@/lib/repositories/customers')
+vi.mock('@/lib/repositories/request-numbers')
+vi.mock('@/lib/repositories/service-requests')
+
+const LINE_AUDIT = { by: 'LINE', source: 'line' }
+
+function textMessage(text: string, source: LineEvent['source'] = { type: 'user', userId: 'U123' }): LineEvent {
+  return { type: 'message', replyToken: 'reply-1', source, message: { id: 'm-1', type: 'text', text } }
+}
+
+beforeEach(() => {
+  vi.spyOn(console, 'error').mockImplementation(() => {})
+  vi.mocked(findLineDraft).mockResolvedValue(null)
+  vi.mocked(getLineDisplayName).mockResolvedValue('Kung')
+  vi.mocked(issueRequestNo).mockResolvedValue('REQ-20261019-007')
+  vi.mocked(findCustomerMatches).mockResolvedValue([])
+  vi.mocked(createServiceRequest).mockImplementation(async request => request)
+  vi.mocked(extractJobFromText).mockResolvedValue({
+    customerName: 'ร้านกาแฟสุขใจ',
+    contactName: '',
+    phone: '0812345678',
+    address: '',
+    serviceType: 'ซ่อม',
+    priority: 'urgent',
+    description: 'แอร์ไม่เย็น',
+  })
+})
+
+describe('handleLineEvent', () => {
+  it('ทักครั้งแรก → เปิดงานร่างสถานะ new ผูก LINE user แล้วตอบเลขที่งาน', async () => {
+    const result = await handleLineEvent(textMessage('แอร์ไม่เย็น ร้านกาแฟสุขใจ โทร 0812345678 ด่วน'))
+
+    expect(result).toEqual({ requestNo: 'REQ-20261019-007', created: true })
+    expect(createServiceRequest).toHaveBeenCalledWith(expect.objectContaining({
+      id: expect.stringMatching(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/),
+      channel: 'LINE',
+      status: 'new',
+      lineUserId: 'U123',
+      customerName: 'ร้านกาแฟสุขใจ',
+      contactName: 'Kung',
+      phone: '0812345678',
+      priority: 'urgent',
+      notes: expect.stringContaining('แอร์ไม่เย็น ร้านกาแฟสุขใจ'),
+    }), LINE_AUDIT)
+    expect(kickOutboxWorker).toHaveBeenCalled()
+    expect(replyLineMessage).toHaveBeenCalledWith('reply-1', expect.stringContaining('REQ-20261019-007'))
+  })
+
+  it('AI ล่ม → ยังเปิดงานได้ ใช้ข้อความดิบเป็นรายละเอียด / ชื่อ LINE เป็นชื่อลูกค้า', async () => {
+    vi.mocked(extractJobFromText).mockRejectedValue(new Error('GEMINI_API_KEY not configured'))
+    await handleLineEvent(textMessage('แอร์มีน้ำหยด'))
+
+    expect(createServiceRequest).toHaveBeenCalledWith(expect.objectContaining({
+      customerName: 'Kung',
+      description: 'แอร์มีน้ำหยด',
+      priority: 'normal',
+    }), LINE_AUDIT)
+  })
+
+  it('ตอบลูกค้าไม่ได้ → งานยังเปิดแล้ว', async () => {
+    vi.mocked(replyLineMessage).mockRejectedValue(new Error('Invalid reply token'))
+    expect(await handleLineEvent(textMessage('แอร์ไม่เย็น'))).toEqual({ requestNo: 'REQ-20261019-007', created: true })
+  })
+
+  it('ทักต่อในงานร่างเดิม → เติมเฉพาะช่องที่ว่าง ความเร่งด่วนขยับขึ้นอย่างเดียว', async () => {
+    vi.mocked(findLineDraft).mockResolvedValue(makeServiceRequest({
+      customerName: 'Kung',
+      contactName: 'Kung',
+      phone: '0899999999',
+      priority: 'emergency',
+      notes: '[LINE] แอร์ไม่เย็น',
+      customerId: 'cus-1',
+    }))
+    vi.mocked(updateServiceRequest).mockResolvedValue(makeServiceRequest())
+
+    const result = await handleLineEvent(textMessage('ร้านกาแฟสุขใจ โทร 0812345678'))
+
+    expect(result).toEqual({ requestNo: 'REQ-20261019-001', created: false })
+    const patch = vi.mocked(updateServiceRequest).mock.calls[0]![1]
+    expect(patch).toMatchObject({ customerName: 'ร้านกาแฟสุขใจ' })
+    expect(patch).not.toHaveProperty('phone')
+    expect(patch).not.toHaveProperty('priority')
+    expect(patch.notes).toMatch(/^\[LINE\] แอร์ไม่เย็น\n\[LINE .*\] ร้านกาแฟสุขใจ โทร 0812345678$/)
+    expect(createServiceRequest).not.toHaveBeenCalled()
+    expect(replyLineMessage).not.toHaveBeenCalled()
+  })
+
+  it('รูป → เก็บที่ Drive แล้วดึงข้อมูลจากรูป', async () => {
+    vi.mocked(getLineMessageContent).mockResolvedValue({ buffer: Buffer.from('jpg'), mimeType: 'image/jpeg' })
+    vi.mocked(uploadDriveFile).mockResolvedValue({
+      id: 'file-1',
+      name: 'LINE_U123.jpg',
+      webViewLink: 'https://drive.google.com/file/d/file-1/view',
+      directUrl: 'https://drive.google.com/uc?id=file-1',
+    })
+    vi.mocked(extractJobFromImage).mockResolvedValue({ shopName: 'ร้านกาแฟสุขใจ', phone: '0812345678' })
+
+    await handleLineEvent({ type: 'message', source: { type: 'user', userId: 'U123' }, message: { id: 'm-2', type: 'image' } })
+
+    expect(getLineMessageContent).toHaveBeenCalledWith('m-2')
+    expect(createServiceRequest).toHaveBeenCalledWith(expect.objectContaining({
+      customerName: 'ร้านกาแฟสุขใจ',
+      imageUrl: 'https://drive.google.com/uc?id=file-1',
+      imageUrls: ['https://drive.google.com/uc?id=file-1'],
+    }), LINE_AUDIT)
+  })
+
+  it('ข้อความในกลุ่ม / สติกเกอร์ / follow → ข้าม', async () => {
+    expect(await handleLineEvent(textMessage('สวัสดี', { type: 'group', userId: 'U123' }))).toBeNull()
+    expect(await handleLineEvent({ type: 'message', source: { type: 'user', userId: 'U123' }, message: { id: 'm-3', type: 'sticker' } })).toBeNull()
+    expect(await handleLineEvent({ type: 'follow', source: { type: 'user', userId: 'U123' } })).toBeNull()
+    expect(createServiceRequest).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,267 @@
+import { randomUUID } from 'crypto'
+import { z } from 'zod'
+import { isConfidentMatch } from '@/lib/customer-match'
+import { buildDriveFileName, uploadDriveFile } from '@/lib/integrations/drive'
+import { extractJobFromImage, extractJobFromText } from '@/lib/integrations/gemini'
+import {
+  formatLineReceipt,
+  getLineDisplayName,
+  getLineMessageContent,
+  replyLineMessage,
+} from '@/lib/integrations/line'
+import { kickOutboxWorker } from '@/lib/outbox'
+import { findCustomerMatches } from '@/lib/repositories/customers'
+import { issueRequestNo } from '@/lib/repositories/request-numbers'
+import {
+  type ServiceRequestPatch,
+  createServiceRequest,
+  findLineDraft,
+  updateServiceRequest,
+} from '@/lib/repositories/service-requests'
+import { formatTime, toDateKey } from '@/lib/scheduling'
+import type { AuditContext, Priority, ServiceRequest } from '@/lib/types'
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// LINE Intake — ลูกค้าทัก LINE OA → เปิดงานร่างสถานะ "รับเรื่องใหม่" ให้เอง
+// ข้อความ/รูปผ่านตัวดึงข้อมูลชุดเดียวกับปุ่ม AI ในฟอร์ม (src/lib/integrations/gemini.ts)
+// ทักต่อภายใน DRAFT_WINDOW_MS และยังไม่มีใครรับงาน = เติมเข้างานร่างเดิม (เติมเฉพาะช่องที่ยังว่าง)
+// ข้อความดิบทุกข้อความต่อท้ายในหมายเหตุ — AI ดึงผิดแอดมินยังอ่านต้นฉบับได้
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+// ชื่อที่ลงประวัติงานที่เปิดจาก LINE
+export const LINE_INTAKE_ACTOR = 'LINE'
+const LINE_AUDIT: AuditContext = { by: LINE_INTAKE_ACTOR, source: 'line' }
+
+const DRAFT_WINDOW_MS = 2 * 60 * 60 * 1000
+const FALLBACK_CUSTOMER_NAME = 'ลูกค้า LINE'
+const PRIORITY_RANK: Record<Priority, number> = { normal: 0, urgent: 1, emergency: 2 }
+
+export const LineEventSchema = z.object({
+  type: z.string(),
+  replyToken: z.string().optional(),
+  source: z.object({ type: z.string(), userId: z.string().optional() }).optional(),
+  message: z.object({
+    id: z.string(),
+    type: z.string(),
+    text: z.string().optional(),
+    // location message
+    address: z.string().optional(),
+    latitude: z.number().optional(),
+    longitude: z.number().optional(),
+  }).optional(),
+})
+
+export const LineWebhookSchema = z.object({
+  destination: z.string().optional(),
+  events: z.array(LineEventSchema),
+})
+
+export type LineEvent = z.infer<typeof LineEventSchema>
+
+export interface LineIntakeResult {
+  requestNo: string
+  created: boolean
+}
+
+type ExtractedFields = Partial<Pick<
+  ServiceRequest,
+  'customerName' | 'contactName' | 'phone' | 'address' | 'serviceType' | 'priority' | 'description'
+>>
+
+interface DraftUpdate {
+  fields: ExtractedFields
+  // บรรทัดที่ต่อท้ายหมายเหตุ (ข้อความดิบ)
+  note: string
+  imageUrl?: string
+}
+
+function isPriority(value: unknown): value is Priority {
+  return value === 'normal' || value === 'urgent' || value === 'emergency'
+}
+
+// AI ล่ม/ไม่ได้ตั้ง key ก็ยังต้องเปิดงานได้ — ข้อความดิบอยู่ในหมายเหตุแล้ว
+async function extractSafely<T extends object>(extract: () => Promise<T>): Promise<Partial<T>> {
+  try {
+    return await extract()
+  } catch (error) {
+    console.error('LINE intake extraction failed:', error)
+    return {}
+  }
+}
+
+async function findCustomerLink(fields: ExtractedFields): Promise<Pick<ServiceRequest, 'customerId' | 'siteId'>> {
+  if (!fields.customerName && !fields.phone) return {}
+  try {
+    const [best] = await findCustomerMatches(
+      { name: fields.customerName ?? '', phone: fields.phone ?? '', address: fields.address ?? '' },
+      { limit: 1 }
+    )
+    // ไม่มั่นใจ = ไม่ผูก (ไม่สร้างลูกค้าใหม่จากแชท ให้แอดมินผูกตอนตรวจงาน)
+    if (!best || !isConfidentMatch(best)) return {}
+    return { customerId: best.customerId, ...(best.siteId ? { siteId: best.siteId } : {}) }
+  } catch (error) {
+    console.error('LINE intake customer match failed:', error)
+    return {}
+  }
+}
+
+function noteLine(text: string): string {
+  const now = new Date()
+  return `[LINE ${toDateKey(now)} ${formatTime(now)}] ${text}`
+}
+
+function appendNote(notes: string, line: string): string {
+  return notes ? `${notes}\n${line}` : line
+}
+
+/**
+ * 🧩 Merge Into Draft
+ * เติมเฉพาะช่องที่ยังว่าง (ไม่ทับที่แอดมินแก้แล้ว) — ยกเว้นชื่อลูกค้าที่ยังเป็นชื่อ LINE/ชื่อสำรอง
+ * และความเร่งด่วนที่ขยับขึ้นได้อย่างเดียว
+ */
+function buildDraftPatch(draft: ServiceRequest, update: DraftUpdate): ServiceRequestPatch {
+  const patch: ServiceRequestPatch = { notes: appendNote(draft.notes, update.note) }
+  const { fields } = update
+
+  const hasPlaceholderName = draft.customerName === FALLBACK_CUSTOMER_NAME || draft.customerName === draft.contactName
+  if (fields.customerName && (!draft.customerName || hasPlaceholderName)) patch.customerName = fields.customerName
+  if (fields.contactName && !draft.contactName) patch.contactName = fields.contactName
+  if (fields.phone && !draft.phone) patch.phone = fields.phone
+  if (fields.address && !draft.address) patch.address = fields.address
+  if (fields.serviceType && !draft.serviceType) patch.serviceType = fields.serviceType
+  if (fields.description && !draft.description) patch.description = fields.description
+  if (fields.priority && PRIORITY_RANK[fields.priority] > PRIORITY_RANK[draft.priority]) patch.priority = fields.priority
+  if (update.imageUrl) patch.imageUrls = [...(draft.imageUrls ?? []), update.imageUrl]
+  return patch
+}
+
+async function upsertDraft(userId: string, update: DraftUpdate, replyToken?: string): Promise<LineIntakeResult> {
+  const draft = await findLineDraft(userId, new Date(Date.now() - DRAFT_WINDOW_MS))
+
+  if (draft) {
+    const patch = buildDraftPatch(draft, update)
+    if (!draft.customerId) {
+      Object.assign(patch, await findCustomerLink({ ...update.fields, customerName: patch.customerName ?? draft.customerName }))
+    }
+    if (await updateServiceRequest(draft.id, patch, LINE_AUDIT)) kickOutboxWorker()
+    return { requestNo: draft.requestNo, created: false }
+  }
+
+  const displayName = await getLineDisplayName(userId)
+  const { fields } = update
+  const contactName = fields.contactName || displayName || ''
+  const now = new Date().toISOString()
+  const request: ServiceRequest = {
+    id: randomUUID(),
+    requestNo: await issueRequestNo(),
+    createdAt: now,
+    channel: 'LINE',
+    customerName: fields.customerName || contactName || FALLBACK_CUSTOMER_NAME,
+    ...(contactName ? { contactName } : {}),
+    phone: fields.phone || '',
+    address: fields.address || '',
+    serviceType: fields.serviceType || '',
+    description: fields.description || '',
+    priority: fields.priority || 'normal',
+    status: 'new',
+    appointmentDate: '',
+    notes: update.note,
+    imageUrl: update.imageUrl || '',
+    ...(update.imageUrl ? { imageUrls: [update.imageUrl] } : {}),
+    history: [{ status: 'new', date: now, by: LINE_INTAKE_ACTOR, note: 'เปิดงานจากแชท LINE' }],
+    lineUserId: userId,
+    ...(await findCustomerLink(fields)),
+  }
+
+  const created = await createServiceRequest(request, LINE_AUDIT)
+  kickOutboxWorker()
+
+  if (replyToken) {
+    try {
+      await replyLineMessage(replyToken, formatLineReceipt(created))
+    } catch (error) {
+      // งานเปิดแล้ว — ตอบลูกค้าไม่ได้แค่ log (แอดมินเห็นงานในระบบอยู่ดี)
+      console.error('LINE reply failed:', error)
+    }
+  }
+  return { requestNo: created.requestNo, created: true }
+}
+
+async function fromText(text: string): Promise<DraftUpdate> {
+  const extracted = await extractSafely(() => extractJobFromText(text))
+  return {
+    fields: {
+      ...(extracted.customerName ? { customerName: extracted.customerName } : {}),
+      ...(extracted.contactName ? { contactName: extracted.contactName } : {}),
+      ...(extracted.phone ? { phone: extracted.phone } : {}),
+      ...(extracted.address ? { address: extracted.address } : {}),
+      ...(extracted.serviceType ? { serviceType: extracted.serviceType } : {}),
+      ...(isPriority(extracted.priority) ? { priority: extracted.priority } : {}),
+      description: extracted.description || text,
+    },
+    note: noteLine(text),
+  }
+}
+
+async function fromImage(messageId: string, userId: string): Promise<DraftUpdate> {
+  const content = await getLineMessageContent(messageId)
+
+  // เก็บรูปไว้ที่ Drive (รูปใน LINE หมดอายุ) — Drive ใช้ไม่ได้ก็ยังดึงข้อมูลจากรูปได้
+  let imageUrl: string | undefined
+  try {
+    const ext = content.mimeType.split('/')[1] || 'jpg'
+    const uploaded = await uploadDriveFile({
+      buffer: content.buffer,
+      name: buildDriveFileName(`LINE_${userId.slice(-6)}`, '', ext),
+      mimeType: content.mimeType,
+    })
+    imageUrl = uploaded.directUrl
+  } catch (error) {
+    console.error('LINE image upload failed:', error)
+  }
+
+  const extracted = await extractSafely(() => extractJobFromImage(content.buffer.toString('base64'), content.mimeType))
+  const customerName = extracted.shopName || extracted.customerName
+  return {
+    fields: {
+      ...(customerName ? { customerName } : {}),
+      ...(extracted.contactName ? { contactName: extracted.contactName } : {}),
+      ...(extracted.phone ? { phone: extracted.phone } : {}),
+      ...(extracted.address ? { address: extracted.address } : {}),
+      ...(extracted.serviceType ? { serviceType: extracted.serviceType } : {}),
+      ...(extracted.description ? { description: extracted.description } : {}),
+    },
+    note: noteLine(`🖼️ ส่งรูป${imageUrl ? ` ${imageUrl}` : ' (เก็บรูปไม่สำเร็จ)'}`),
+    ...(imageUrl ? { imageUrl } : {}),
+  }
+}
+
+function fromLocation(message: NonNullable<LineEvent['message']>): DraftUpdate {
+  const mapUrl = message.latitude !== undefined && message.longitude !== undefined
+    ? `https://maps.google.com/?q=${message.latitude},${message.longitude}`
+    : ''
+  const address = [message.address, mapUrl].filter(Boolean).join(' ')
+  return { fields: address ? { address } : {}, note: noteLine(`📍 ${address || 'ส่งตำแหน่ง'}`) }
+}
+
+/**
+ * 📨 Handle Event
+ * เฉพาะข้อความจากแชท 1:1 (ไม่รับในกลุ่ม) ชนิดข้อความ/รูป/ตำแหน่ง — อย่างอื่น (สติกเกอร์, follow ฯลฯ) ข้าม
+ */
+export async function handleLineEvent(event: LineEvent): Promise<LineIntakeResult | null> {
+  const userId = event.source?.type === 'user' ? event.source.userId : undefined
+  if (event.type !== 'message' || !event.message || !userId) return null
+
+  const { message } = event
+  let update: DraftUpdate
+  if (message.type === 'text' && message.text?.trim()) {
+    update = await fromText(message.text.trim())
+  } else if (message.type === 'image') {
+    update = await fromImage(message.id, userId)
+  } else if (message.type === 'location') {
+    update = fromLocation(message)
+  } else {
+    return null
+  }
+  return upsertDraft(userId, update, event.replyToken)
+}
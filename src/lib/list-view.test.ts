@@ -0,0 +1,101 @@
+import { describe, expect, it } from 'vitest'
+import {
+  DEFAULT_LIST_FILTERS,
+  DEFAULT_LIST_VIEW,
+  type ListFilters,
+  countActiveFilters,
+  matchesListFilters,
+  parseListView,
+  sortRequests,
+  toListViewQuery,
+} from '@/lib/list-view'
+import { makeServiceRequest } from '@/test/fixtures'
+
+const filters = (overrides: Partial<ListFilters>): ListFilters => ({ ...DEFAULT_LIST_FILTERS, ...overrides })
+
+describe('query string ↔ ตัวกรอง', () => {
+  it('อ่านกลับได้ค่าเดิม — ใส่เฉพาะค่าที่ไม่ใช่ค่าเริ่มต้น', () => {
+    const view = {
+      filters: filters({ priority: 'emergency', technician: 'none', appointmentFrom: '2026-10-20', calendarEvent: 'no' }),
+      sort: { key: 'appointmentDate', dir: 'asc' },
+    } as const
+    const query = toListViewQuery(view)
+
+    expect(query).toBe('priority=emergency&tech=none&appt_from=2026-10-20&calendar=no&sort=appointmentDate&dir=asc')
+    expect(parseListView(query)).toEqual(view)
+    expect(toListViewQuery(DEFAULT_LIST_VIEW)).toBe('')
+  })
+
+  it('ค่าที่อ่านไม่ออก (สถานะเลิกใช้ / วันที่ผิดรูป / คอลัมน์ที่ไม่มี) ถูกทิ้ง ลิงก์เก่ายังเปิดได้', () => {
+    expect(parseListView('status=archived&priority=high&channel=Email&created_from=19/10/2026&files=maybe&sort=phone&dir=asc'))
+      .toEqual(DEFAULT_LIST_VIEW)
+  })
+
+  it('ลำดับ parameter ต่างกัน → query เดียวกัน (มุมมองที่บันทึกเทียบกันได้)', () => {
+    expect(toListViewQuery(parseListView('status=queue&priority=urgent')))
+      .toBe(toListViewQuery(parseListView('priority=urgent&status=queue')))
+  })
+
+  it('นับตัวกรองที่ตั้งไว้ ไม่นับช่องค้นหา', () => {
+    expect(countActiveFilters(filters({ q: 'สีลม', status: 'queue', attachments: 'yes' }))).toBe(2)
+  })
+})
+
+describe('matchesListFilters', () => {
+  const job = makeServiceRequest({
+    status: 'queue',
+    priority: 'urgent',
+    appointmentDate: '2026-10-21T10:00',
+    technicianId: 'tech-1',
+    imageUrls: ['https://img/1.jpg'],
+  })
+
+  it('ทุกตัวกรองต้องผ่านพร้อมกัน', () => {
+    expect(matchesListFilters(job, filters({ status: 'queue', priority: 'urgent', channel: 'LINE', serviceType: 'ล้างแอร์' }))).toBe(true)
+    expect(matchesListFilters(job, filters({ status: 'queue', priority: 'emergency' }))).toBe(false)
+  })
+
+  it('ช่าง: id ช่าง หรือ none = ยังไม่มีช่าง', () => {
+    expect(matchesListFilters(job, filters({ technician: 'tech-1' }))).toBe(true)
+    expect(matchesListFilters(job, filters({ technician: 'none' }))).toBe(false)
+    expect(matchesListFilters(makeServiceRequest(), filters({ technician: 'none' }))).toBe(true)
+  })
+
+  it('ช่วงวันที่นับรวมทั้งสองฝั่งตามวันเวลาไทย / ช่วงวันนัด = เฉพาะงานที่มีนัด', () => {
+    // เปิดงาน 09:00 น. วันที่ 19 เวลาไทย
+    expect(matchesListFilters(job, filters({ createdFrom: '2026-10-19', createdTo: '2026-10-19' }))).toBe(true)
+    expect(matchesListFilters(job, filters({ createdFrom: '2026-10-20' }))).toBe(false)
+    expect(matchesListFilters(job, filters({ appointmentTo: '2026-10-21' }))).toBe(true)
+    expect(matchesListFilters(job, filters({ appointmentFrom: '2026-10-22' }))).toBe(false)
+    expect(matchesListFilters(makeServiceRequest(), filters({ appointmentTo: '2026-12-31' }))).toBe(false)
+  })
+
+  it('มี/ไม่มีไฟล์แนบ (รวมข้อมูลเก่าที่มีแค่ imageUrl) และ event ในปฏิทิน', () => {
+    expect(matchesListFilters(job, filters({ attachments: 'yes', calendarEvent: 'no' }))).toBe(true)
+    expect(matchesListFilters(makeServiceRequest({ imageUrl: 'https://img/old.jpg' }), filters({ attachments: 'no' }))).toBe(false)
+    expect(matchesListFilters(makeServiceRequest({ calendarEventId: 'event-1' }), filters({ calendarEvent: 'yes' }))).toBe(true)
+  })
+})
+
+describe('sortRequests', () => {
+  const a = makeServiceRequest({ id: 'a', requestNo: 'REQ-20261019-002', createdAt: '2026-10-19T02:00:00.000Z', priority: 'normal', appointmentDate: '2026-10-22T09:00' })
+  const b = makeServiceRequest({ id: 'b', requestNo: 'REQ-20261019-010', createdAt: '2026-10-19T03:00:00.000Z', priority: 'emergency', appointmentDate: '' })
+  const c = makeServiceRequest({ id: 'c', requestNo: 'REQ-20261019-003', createdAt: '2026-10-19T04:00:00.000Z', priority: 'urgent', appointmentDate: '2026-10-21' })
+  const ids = (list: { id: string }[]) => list.map(request => request.id)
+
+  it('ค่าเริ่มต้น = ใหม่สุดก่อน และไม่แก้ array เดิม', () => {
+    const input = [a, b, c]
+    expect(ids(sortRequests(input, DEFAULT_LIST_VIEW.sort))).toEqual(['c', 'b', 'a'])
+    expect(ids(input)).toEqual(['a', 'b', 'c'])
+  })
+
+  it('ความเร่งด่วนเรียงตามระดับ / เลขที่งานเรียงแบบตัวเลข', () => {
+    expect(ids(sortRequests([a, b, c], { key: 'priority', dir: 'desc' }))).toEqual(['b', 'c', 'a'])
+    expect(ids(sortRequests([b, c, a], { key: 'requestNo', dir: 'asc' }))).toEqual(['a', 'c', 'b'])
+  })
+
+  it('วันนัด: งานที่ไม่มีนัดอยู่ท้ายเสมอทั้งสองทิศ', () => {
+    expect(ids(sortRequests([a, b, c], { key: 'appointmentDate', dir: 'asc' }))).toEqual(['c', 'a', 'b'])
+    expect(ids(sortRequests([a, b, c], { key: 'appointmentDate', dir: 'desc' }))).toEqual(['a', 'c', 'b'])
+  })
+})
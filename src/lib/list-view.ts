@@ -0,0 +1,247 @@
+/**
+ * 🧭 List View
+ * ตัวกรอง + การเรียงรายการงานในหน้าหลัก — เก็บเป็น query string เดียวกันทั้งใน URL (bookmark ได้)
+ * และในมุมมองที่บันทึกไว้ (SavedView) ที่ทั้งทีมใช้ร่วมกัน
+ * ค่าที่อ่านไม่ออก (เช่นสถานะที่เลิกใช้) ถูกทิ้งเงียบ ๆ — ลิงก์เก่ายังเปิดได้แค่กรองน้อยลง
+ */
+
+import { parseAppointmentDate, toDateKey } from './scheduling';
+import { STATUS_VALUES, isStatusValue } from './STATUS_WORKFLOW';
+import type { StatusValue } from './STATUS_WORKFLOW';
+import type { Channel, Priority, ServiceRequest } from './types';
+
+export const CHANNEL_VALUES: Channel[] = ['LINE', 'โทร', 'Walk-in', 'Facebook', 'อื่นๆ'];
+
+export const PRIORITY_LABELS: Record<Priority, string> = {
+  normal: 'ปกติ',
+  urgent: '🟡 เร่งด่วน',
+  emergency: '🔴 ฉุกเฉิน',
+};
+
+// ค่าในตัวกรองช่างสำหรับงานที่ยังไม่มีช่าง (นอกนั้นเป็น technicianId)
+export const UNASSIGNED = 'none';
+
+// มี/ไม่มี — ว่าง = ไม่กรอง
+export type Presence = '' | 'yes' | 'no';
+
+export interface ListFilters {
+  q: string;
+  status: StatusValue | '';
+  priority: Priority | '';
+  channel: Channel | '';
+  serviceType: string;
+  technician: string;
+  // YYYY-MM-DD เวลาไทย ทั้งสองฝั่งนับรวมวันนั้น
+  createdFrom: string;
+  createdTo: string;
+  appointmentFrom: string;
+  appointmentTo: string;
+  attachments: Presence;
+  calendarEvent: Presence;
+}
+
+// คอลัมน์ที่เรียงได้ (หัวตารางในมุมมองตาราง)
+export const SORT_KEYS = {
+  requestNo: 'เลขที่งาน',
+  createdAt: 'วันที่เปิดงาน',
+  customerName: 'ลูกค้า',
+  serviceType: 'ประเภทงาน',
+  priority: 'ความเร่งด่วน',
+  status: 'สถานะ',
+  appointmentDate: 'วันนัด',
+} as const;
+
+export type SortKey = keyof typeof SORT_KEYS;
+
+export interface ListSort {
+  key: SortKey;
+  dir: 'asc' | 'desc';
+}
+
+export interface ListView {
+  filters: ListFilters;
+  sort: ListSort;
+}
+
+export const DEFAULT_LIST_FILTERS: ListFilters = {
+  q: '',
+  status: '',
+  priority: '',
+  channel: '',
+  serviceType: '',
+  technician: '',
+  createdFrom: '',
+  createdTo: '',
+  appointmentFrom: '',
+  appointmentTo: '',
+  attachments: '',
+  calendarEvent: '',
+};
+
+// ใหม่สุดก่อน — ลำดับเดิมของหน้าหลัก
+export const DEFAULT_LIST_SORT: ListSort = { key: 'createdAt', dir: 'desc' };
+
+export const DEFAULT_LIST_VIEW: ListView = { filters: DEFAULT_LIST_FILTERS, sort: DEFAULT_LIST_SORT };
+
+// ชื่อ parameter ใน URL (สั้น อ่านออก) ของแต่ละตัวกรอง
+const FILTER_PARAMS: Record<keyof ListFilters, string> = {
+  q: 'q',
+  status: 'status',
+  priority: 'priority',
+  channel: 'channel',
+  serviceType: 'type',
+  technician: 'tech',
+  createdFrom: 'created_from',
+  createdTo: 'created_to',
+  appointmentFrom: 'appt_from',
+  appointmentTo: 'appt_to',
+  attachments: 'files',
+  calendarEvent: 'calendar',
+};
+
+const DATE_KEY = /^\d{4}-\d{2}-\d{2}$/;
+
+const PRIORITY_RANK: Record<Priority, number> = { normal: 0, urgent: 1, emergency: 2 };
+
+function isPriority(value: string): value is Priority {
+  return value in PRIORITY_RANK;
+}
+
+function isChannel(value: string): value is Channel {
+  return (CHANNEL_VALUES as string[]).includes(value);
+}
+
+function isSortKey(value: string): value is SortKey {
+  return value in SORT_KEYS;
+}
+
+function toPresence(value: string): Presence {
+  return value === 'yes' || value === 'no' ? value : '';
+}
+
+function toDateParam(value: string): string {
+  return DATE_KEY.test(value) ? value : '';
+}
+
+/**
+ * 🔗 Parse
+ * query string (จาก URL หรือมุมมองที่บันทึกไว้) → ตัวกรอง + การเรียง
+ */
+export function parseListView(search: string | URLSearchParams): ListView {
+  const params = typeof search === 'string' ? new URLSearchParams(search) : search;
+  const get = (key: keyof ListFilters) => params.get(FILTER_PARAMS[key])?.trim() ?? '';
+
+  const status = get('status');
+  const priority = get('priority');
+  const channel = get('channel');
+  const sortKey = params.get('sort') ?? '';
+  const dir = params.get('dir');
+
+  return {
+    filters: {
+      q: get('q'),
+      status: isStatusValue(status) ? status : '',
+      priority: isPriority(priority) ? priority : '',
+      channel: isChannel(channel) ? channel : '',
+      serviceType: get('serviceType'),
+      technician: get('technician'),
+      createdFrom: toDateParam(get('createdFrom')),
+      createdTo: toDateParam(get('createdTo')),
+      appointmentFrom: toDateParam(get('appointmentFrom')),
+      appointmentTo: toDateParam(get('appointmentTo')),
+      attachments: toPresence(get('attachments')),
+      calendarEvent: toPresence(get('calendarEvent')),
+    },
+    sort: isSortKey(sortKey)
+      ? { key: sortKey, dir: dir === 'asc' ? 'asc' : 'desc' }
+      : DEFAULT_LIST_SORT,
+  };
+}
+
+/**
+ * 📝 Serialize
+ * ตัวกรอง + การเรียง → query string (ไม่มี "?") — ใส่เฉพาะค่าที่ไม่ใช่ค่าเริ่มต้น ลิงก์จึงสั้นและเทียบกันได้
+ */
+export function toListViewQuery(view: ListView): string {
+  const params = new URLSearchParams();
+  for (const key of Object.keys(FILTER_PARAMS) as (keyof ListFilters)[]) {
+    const value = view.filters[key].trim();
+    if (value) params.set(FILTER_PARAMS[key], value);
+  }
+  if (view.sort.key !== DEFAULT_LIST_SORT.key || view.sort.dir !== DEFAULT_LIST_SORT.dir) {
+    params.set('sort', view.sort.key);
+    params.set('dir', view.sort.dir);
+  }
+  return params.toString();
+}
+
+// จำนวนตัวกรองที่ตั้งไว้ (ไม่นับช่องค้นหา) — ใช้แสดงบนปุ่มตัวกรอง
+export function countActiveFilters(filters: ListFilters): number {
+  return (Object.keys(filters) as (keyof ListFilters)[]).filter(key => key !== 'q' && filters[key] !== '').length;
+}
+
+function hasAttachments(request: ServiceRequest): boolean {
+  return Boolean(request.attachments?.length || request.imageUrls?.length || request.imageUrl || request.pdfUrl);
+}
+
+function inDateRange(dateKey: string, from: string, to: string): boolean {
+  return (!from || dateKey >= from) && (!to || dateKey <= to);
+}
+
+function matchesPresence(filter: Presence, value: boolean): boolean {
+  return filter === '' || (filter === 'yes') === value;
+}
+
+/**
+ * 🧹 Filter
+ * ตัวกรองทุกตัวต้องผ่านพร้อมกัน (ช่องค้นหา q กรองแยกด้วย src/lib/search.ts)
+ * ช่วงวันนัดตั้งไว้ = เอาเฉพาะงานที่มีวันนัด
+ */
+export function matchesListFilters(request: ServiceRequest, filters: ListFilters): boolean {
+  if (filters.status && request.status !== filters.status) return false;
+  if (filters.priority && request.priority !== filters.priority) return false;
+  if (filters.channel && request.channel !== filters.channel) return false;
+  if (filters.serviceType && request.serviceType !== filters.serviceType) return false;
+  if (filters.technician && (request.technicianId || UNASSIGNED) !== filters.technician) return false;
+
+  if ((filters.createdFrom || filters.createdTo)
+    && !inDateRange(toDateKey(new Date(request.createdAt)), filters.createdFrom, filters.createdTo)) return false;
+  if (filters.appointmentFrom || filters.appointmentTo) {
+    if (!request.appointmentDate) return false;
+    const appointmentDay = toDateKey(parseAppointmentDate(request.appointmentDate));
+    if (!inDateRange(appointmentDay, filters.appointmentFrom, filters.appointmentTo)) return false;
+  }
+
+  return matchesPresence(filters.attachments, hasAttachments(request))
+    && matchesPresence(filters.calendarEvent, Boolean(request.calendarEventId));
+}
+
+function compareBy(key: SortKey, a: ServiceRequest, b: ServiceRequest): number {
+  switch (key) {
+    case 'priority':
+      return PRIORITY_RANK[a.priority] - PRIORITY_RANK[b.priority];
+    case 'status':
+      return STATUS_VALUES.indexOf(a.status) - STATUS_VALUES.indexOf(b.status);
+    case 'appointmentDate':
+      return parseAppointmentDate(a.appointmentDate).getTime() - parseAppointmentDate(b.appointmentDate).getTime();
+    case 'createdAt':
+      return a.createdAt.localeCompare(b.createdAt);
+    default:
+      return a[key].localeCompare(b[key], 'th', { numeric: true });
+  }
+}
+
+/**
+ * ↕️ Sort
+ * คืน array ใหม่ — งานที่ไม่มีวันนัดอยู่ท้ายเสมอเมื่อเรียงตามวันนัด ค่าเท่ากันเรียงงานใหม่ก่อน
+ */
+export function sortRequests(requests: ServiceRequest[], sort: ListSort): ServiceRequest[] {
+  const direction = sort.dir === 'asc' ? 1 : -1;
+  return [...requests].sort((a, b) => {
+    if (sort.key === 'appointmentDate' && !a.appointmentDate !== !b.appointmentDate) {
+      return a.appointmentDate ? -1 : 1;
+    }
+    const bothEmpty = sort.key === 'appointmentDate' && !a.appointmentDate;
+    return (bothEmpty ? 0 : compareBy(sort.key, a, b) * direction) || b.createdAt.localeCompare(a.createdAt);
+  });
+}
@@ -0,0 +1,132 @@
+import { describe, expect, it } from 'vitest'
+import {
+  buildNotificationMessage,
+  describeNotificationTarget,
+  formatAge,
+  getStatusSince,
+  matchNotificationRule,
+  renderTemplate,
+} from '@/lib/notification-rules'
+import type { NotificationRule } from '@/lib/types'
+import { makeServiceRequest } from '@/test/fixtures'
+
+function makeRule(overrides: Partial<NotificationRule> = {}): NotificationRule {
+  return {
+    id: 'rule-1',
+    name: 'งานฉุกเฉินเข้ากลุ่มช่าง',
+    enabled: true,
+    trigger: 'created',
+    statuses: [],
+    priorities: [],
+    serviceTypes: [],
+    minAgeHours: null,
+    repeatHours: null,
+    targets: [{ type: 'telegram' }],
+    template: '',
+    createdAt: '2026-10-01T00:00:00.000Z',
+    updatedAt: '2026-10-01T00:00:00.000Z',
+    ...overrides,
+  }
+}
+
+// งานที่รอลูกค้าตอบมาตั้งแต่ 16 ต.ค. (แก้นัดระหว่างทางโดยสถานะไม่เปลี่ยน)
+const waiting = makeServiceRequest({
+  status: 'waiting_response',
+  priority: 'urgent',
+  history: [
+    { status: 'new', date: '2026-10-15T02:00:00.000Z', by: 'ทดสอบ reception' },
+    { status: 'waiting_response', date: '2026-10-16T02:00:00.000Z', by: 'ทดสอบ quotation' },
+    { status: 'waiting_response', date: '2026-10-17T05:00:00.000Z', by: 'ทดสอบ reception' },
+  ],
+})
+const now = new Date('2026-10-19T06:00:00.000Z')
+
+describe('อายุของสถานะ', () => {
+  it('นับจากครั้งแรกที่เข้าสถานะปัจจุบัน ไม่ใช่รายการล่าสุดใน history', () => {
+    expect(getStatusSince(waiting).toISOString()).toBe('2026-10-16T02:00:00.000Z')
+  })
+
+  it('ไม่มี history ของสถานะนี้ → นับจากวันเปิดงาน', () => {
+    expect(getStatusSince(makeServiceRequest({ status: 'queue' })).toISOString()).toBe('2026-10-19T02:00:00.000Z')
+  })
+
+  it('formatAge: ชั่วโมง / วัน / วัน+ชั่วโมง', () => {
+    expect(formatAge(5 * 60 * 60 * 1000)).toBe('5 ชม.')
+    expect(formatAge(48 * 60 * 60 * 1000)).toBe('2 วัน')
+    expect(formatAge(76 * 60 * 60 * 1000)).toBe('3 วัน 4 ชม.')
+    expect(formatAge(-1)).toBe('0 ชม.')
+  })
+})
+
+describe('matchNotificationRule', () => {
+  it('เงื่อนไขว่าง = ทุกงานของ trigger นั้น', () => {
+    expect(matchNotificationRule(makeRule(), makeServiceRequest(), 'created')).toBe('📥 งานใหม่')
+    expect(matchNotificationRule(makeRule(), makeServiceRequest(), 'status_changed')).toBeNull()
+  })
+
+  it('กฎที่ปิดไว้ไม่ทำงาน', () => {
+    expect(matchNotificationRule(makeRule({ enabled: false }), makeServiceRequest(), 'created')).toBeNull()
+  })
+
+  it('ต้องตรงทุกเงื่อนไข — เหตุผลบอกเงื่อนไขที่ตรง', () => {
+    const rule = makeRule({ trigger: 'status_changed', statuses: ['waiting_response'], priorities: ['urgent', 'emergency'], serviceTypes: ['ล้างแอร์'] })
+
+    expect(matchNotificationRule(rule, waiting, 'status_changed'))
+      .toBe('🔄 เปลี่ยนสถานะ · สถานะ: รอลูกค้าตอบกลับ · ความเร่งด่วน: 🟡 เร่งด่วน · ประเภทงาน: ล้างแอร์')
+    expect(matchNotificationRule(rule, { ...waiting, priority: 'normal' }, 'status_changed')).toBeNull()
+    expect(matchNotificationRule(rule, { ...waiting, serviceType: 'ซ่อม' }, 'status_changed')).toBeNull()
+    expect(matchNotificationRule(rule, { ...waiting, status: 'queue' }, 'status_changed')).toBeNull()
+  })
+
+  it('overdue: ค้างไม่ถึงเกณฑ์ = ไม่เตือน, ถึงแล้วบอกอายุในเหตุผล', () => {
+    const rule = makeRule({ trigger: 'overdue', statuses: ['waiting_response'], minAgeHours: 72 })
+
+    expect(matchNotificationRule(rule, waiting, 'overdue', now)).toBe('⏰ ค้างในสถานะเดิมนานเกินกำหนด · สถานะ: รอลูกค้าตอบกลับ · ค้าง 3 วัน 4 ชม. (เกณฑ์ 72 ชม.)')
+    expect(matchNotificationRule({ ...rule, minAgeHours: 80 }, waiting, 'overdue', now)).toBeNull()
+  })
+
+  it('overdue ที่ไม่ได้ตั้งเกณฑ์ชั่วโมง → ไม่เตือน', () => {
+    expect(matchNotificationRule(makeRule({ trigger: 'overdue' }), waiting, 'overdue', now)).toBeNull()
+  })
+})
+
+describe('template', () => {
+  it('แทนค่าที่รู้จัก คง {ชื่อ} ที่ไม่รู้จักไว้', () => {
+    expect(renderTemplate('งาน {requestNo} {unknown}', { requestNo: 'REQ-1' }, text => text)).toBe('งาน REQ-1 {unknown}')
+  })
+
+  it('telegram: escape ค่าจากงาน แต่ <b> ใน template ยังใช้ได้', () => {
+    const job = makeServiceRequest({ customerName: 'ร้าน <A&B>' })
+    const message = buildNotificationMessage(makeRule({ template: '<b>{customerName}</b> โดย {by}' }), job, 'telegram', 'ทดสอบ admin')
+    expect(message).toBe('<b>ร้าน &lt;A&amp;B&gt;</b> โดย ทดสอบ admin')
+  })
+
+  it('line: ตัด tag ออก ไม่ escape / template ว่างใช้ข้อความถึงลูกค้า', () => {
+    const rule = makeRule({ template: '<b>งาน {requestNo}</b>\nช่าง: {technician}' })
+    expect(buildNotificationMessage(rule, makeServiceRequest({ customerName: 'A&B' }), 'line', 'ทดสอบ admin'))
+      .toBe('งาน REQ-20261019-001\nช่าง: รอจัดช่าง')
+    expect(buildNotificationMessage(makeRule(), makeServiceRequest(), 'line', 'ทดสอบ admin'))
+      .toBe('รับเรื่องแล้วค่ะ 🙏\nเลขที่งาน: REQ-20261019-001')
+  })
+
+  it('overdue ที่ template ว่าง → ข้อความงานค้างมาตรฐานพร้อมอายุ', () => {
+    const message = buildNotificationMessage(makeRule({ trigger: 'overdue' }), waiting, 'telegram', 'ระบบแจ้งเตือน', now)
+    expect(message).toContain('<b>⏰ งานค้าง: ⏳ รอลูกค้าตอบกลับ มา 3 วัน 4 ชม.</b>')
+  })
+
+  it('วันนัด: มีเวลา / ทั้งวัน / ไม่มีนัด', () => {
+    const rule = makeRule({ template: '{appointment}' })
+    expect(buildNotificationMessage(rule, makeServiceRequest({ appointmentDate: '2026-10-21T10:00' }), 'line', '')).toBe('2026-10-21 10:00 น.')
+    expect(buildNotificationMessage(rule, makeServiceRequest({ appointmentDate: '2026-10-21', isAllDay: true }), 'line', '')).toBe('2026-10-21 (ทั้งวัน)')
+    expect(buildNotificationMessage(rule, makeServiceRequest(), 'line', '')).toBe('-')
+  })
+})
+
+describe('describeNotificationTarget', () => {
+  it('ชื่อผู้รับที่ลงในประวัติการแจ้งเตือน', () => {
+    expect(describeNotificationTarget({ type: 'telegram' })).toBe('Telegram กลุ่มหลัก')
+    expect(describeNotificationTarget({ type: 'telegram', chatId: '-100123' })).toBe('Telegram แชท -100123')
+    expect(describeNotificationTarget({ type: 'line_customer' })).toBe('LINE ลูกค้า')
+    expect(describeNotificationTarget({ type: 'telegram_role', role: 'technician' })).toMatch(/^Telegram ส่วนตัว: /)
+  })
+})
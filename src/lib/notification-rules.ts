@@ -0,0 +1,182 @@
+/**
+ * 🔔 Notification Rules
+ * เงื่อนไขของกฎแจ้งเตือน + ข้อความตาม template ใช้ทั้งหน้าตั้งค่า (/notifications) และ server
+ * ไม่แตะ DB — src/lib/notifications.ts โหลดกฎแล้วเรียก matchNotificationRule / buildNotificationMessage
+ */
+
+import { escapeHtml, formatPriority, formatRequestNotification } from './integrations/telegram';
+import { ROLE_CONFIG } from './roles';
+import { getAppointmentRange, formatTime, toDateKey } from './scheduling';
+import { getStatusConfig } from './STATUS_WORKFLOW';
+import type { NotificationRule, NotificationTarget, NotificationTrigger, ServiceRequest } from './types';
+
+export const NOTIFICATION_TRIGGERS = [
+  'created',
+  'status_changed',
+  'overdue',
+] as const satisfies readonly NotificationTrigger[];
+
+export const NOTIFICATION_TRIGGER_LABELS: Record<NotificationTrigger, string> = {
+  created: '📥 งานใหม่',
+  status_changed: '🔄 เปลี่ยนสถานะ',
+  overdue: '⏰ ค้างในสถานะเดิมนานเกินกำหนด',
+};
+
+// ชื่อที่ลงใน {by} ของการแจ้งเตือนที่ระบบตรวจเจอเอง (ไม่มีคนทำรายการ)
+export const OVERDUE_NOTIFIER = 'ระบบแจ้งเตือน';
+
+// ตัวแปรที่ใส่ใน template ได้ — {ชื่อ} ที่ไม่รู้จักจะคงไว้ตามเดิม
+export const TEMPLATE_PLACEHOLDERS = [
+  { key: 'requestNo', label: 'เลขที่งาน' },
+  { key: 'customerName', label: 'ลูกค้า' },
+  { key: 'contactName', label: 'ผู้ติดต่อ' },
+  { key: 'phone', label: 'เบอร์โทร' },
+  { key: 'address', label: 'ที่อยู่' },
+  { key: 'serviceType', label: 'ประเภทงาน' },
+  { key: 'status', label: 'สถานะ' },
+  { key: 'priority', label: 'ความเร่งด่วน' },
+  { key: 'appointment', label: 'วันเวลานัด' },
+  { key: 'technician', label: 'ช่าง' },
+  { key: 'description', label: 'รายละเอียด' },
+  { key: 'age', label: 'ค้างในสถานะนี้มา' },
+  { key: 'by', label: 'ทำรายการโดย' },
+] as const;
+
+type TemplateKey = typeof TEMPLATE_PLACEHOLDERS[number]['key'];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const DEFAULT_OVERDUE_TEMPLATE =
+  '<b>⏰ งานค้าง: {status} มา {age}</b>\n\n<b>เลขที่งาน:</b> {requestNo}\n<b>ลูกค้า:</b> {customerName}\n<b>โทร:</b> {phone}\n<b>ประเภทงาน:</b> {serviceType}\n<b>ความเร่งด่วน:</b> {priority}';
+
+// ข้อความถึงลูกค้า — สุภาพ ไม่มีรายละเอียดภายใน (ช่าง/ผู้ทำรายการ)
+const DEFAULT_LINE_TEMPLATES: Record<NotificationTrigger, string> = {
+  created: 'รับเรื่องแล้วค่ะ 🙏\nเลขที่งาน: {requestNo}',
+  status_changed: 'อัปเดตงาน {requestNo}\nสถานะ: {status}',
+  overdue: 'งาน {requestNo} ของคุณยังอยู่ในสถานะ "{status}" ค่ะ หากมีข้อมูลเพิ่มเติม ตอบกลับในแชทนี้ได้เลยค่ะ',
+};
+
+/**
+ * ⏱️ Status Since
+ * เวลาที่เข้าสถานะปัจจุบัน — ไล่ history จากท้ายสุด ข้ามรายการที่สถานะเดิม (เช่นเลื่อนนัด) ไปจนถึงครั้งแรกที่เข้าสถานะนี้
+ */
+export function getStatusSince(request: ServiceRequest): Date {
+  let since = request.createdAt;
+  for (let i = request.history.length - 1; i >= 0; i--) {
+    const entry = request.history[i];
+    if (!entry || entry.status !== request.status) break;
+    since = entry.date;
+  }
+  return new Date(since);
+}
+
+export function formatAge(ms: number): string {
+  const hours = Math.max(0, Math.floor(ms / HOUR_MS));
+  const days = Math.floor(hours / 24);
+  const rest = hours % 24;
+  if (!days) return `${hours} ชม.`;
+  return rest ? `${days} วัน ${rest} ชม.` : `${days} วัน`;
+}
+
+/**
+ * 🎯 Match Rule
+ * งานเข้าเงื่อนไขของกฎไหม — เข้า = คืนเหตุผล (ลงประวัติการแจ้งเตือน), ไม่เข้า = null
+ */
+export function matchNotificationRule(
+  rule: NotificationRule,
+  request: ServiceRequest,
+  trigger: NotificationTrigger,
+  now = new Date()
+): string | null {
+  if (!rule.enabled || rule.trigger !== trigger) return null;
+  if (rule.statuses.length && !rule.statuses.includes(request.status)) return null;
+  if (rule.priorities.length && !rule.priorities.includes(request.priority)) return null;
+  if (rule.serviceTypes.length && !rule.serviceTypes.includes(request.serviceType)) return null;
+
+  const reasons = [NOTIFICATION_TRIGGER_LABELS[trigger]];
+  if (rule.statuses.length) reasons.push(`สถานะ: ${getStatusConfig(request.status).label}`);
+  if (rule.priorities.length) reasons.push(`ความเร่งด่วน: ${formatPriority(request.priority)}`);
+  if (rule.serviceTypes.length) reasons.push(`ประเภทงาน: ${request.serviceType}`);
+
+  if (trigger === 'overdue') {
+    if (rule.minAgeHours === null) return null;
+    const age = now.getTime() - getStatusSince(request).getTime();
+    if (age < rule.minAgeHours * HOUR_MS) return null;
+    reasons.push(`ค้าง ${formatAge(age)} (เกณฑ์ ${rule.minAgeHours} ชม.)`);
+  }
+  return reasons.join(' · ');
+}
+
+function formatAppointment(request: ServiceRequest): string {
+  const range = getAppointmentRange({
+    appointmentDate: request.appointmentDate,
+    appointmentEndDate: request.appointmentEndDate || '',
+    isAllDay: request.isAllDay || false,
+    serviceType: request.serviceType,
+  });
+  if (!range) return '-';
+  return request.isAllDay ? `${toDateKey(range.start)} (ทั้งวัน)` : `${toDateKey(range.start)} ${formatTime(range.start)} น.`;
+}
+
+function getTemplateValues(request: ServiceRequest, by: string, now: Date): Record<TemplateKey, string> {
+  const status = getStatusConfig(request.status);
+  return {
+    requestNo: request.requestNo,
+    customerName: request.customerName,
+    contactName: request.contactName || '-',
+    phone: request.phone || '-',
+    address: request.address || '-',
+    serviceType: request.serviceType,
+    status: `${status.icon} ${status.label}`,
+    priority: formatPriority(request.priority),
+    appointment: formatAppointment(request),
+    technician: request.technicianName || 'รอจัดช่าง',
+    // Telegram จำกัด 4096 ตัวอักษร — เผื่อที่ให้ส่วนอื่นของ template
+    description: request.description.length > 1500 ? `${request.description.slice(0, 1500)}…` : request.description,
+    age: formatAge(now.getTime() - getStatusSince(request).getTime()),
+    by,
+  };
+}
+
+export function renderTemplate(template: string, values: Record<string, string>, escape: (text: string) => string): string {
+  return template.replace(/\{(\w+)\}/g, (match, key: string) => {
+    const value = values[key];
+    return value === undefined ? match : escape(value);
+  });
+}
+
+/**
+ * ✉️ Build Message
+ * telegram = HTML (ค่าจากงาน escape ให้แล้ว ใน template ใช้ <b> ได้), line = ข้อความล้วน (ตัด tag ออก)
+ * template ว่าง = ข้อความมาตรฐาน (งานใหม่/เปลี่ยนสถานะ ใช้ข้อความเดิมก่อนมีกฎ)
+ */
+export function buildNotificationMessage(
+  rule: Pick<NotificationRule, 'trigger' | 'template'>,
+  request: ServiceRequest,
+  channel: 'telegram' | 'line',
+  by: string,
+  now = new Date()
+): string {
+  const values = getTemplateValues(request, by, now);
+
+  if (channel === 'line') {
+    const template = (rule.template || DEFAULT_LINE_TEMPLATES[rule.trigger]).replace(/<[^>]+>/g, '');
+    return renderTemplate(template, values, text => text);
+  }
+
+  if (!rule.template && rule.trigger !== 'overdue') {
+    return formatRequestNotification(request, rule.trigger === 'created' ? 'NEW' : 'UPDATE', by);
+  }
+  return renderTemplate(rule.template || DEFAULT_OVERDUE_TEMPLATE, values, escapeHtml);
+}
+
+export function describeNotificationTarget(target: NotificationTarget): string {
+  switch (target.type) {
+    case 'telegram':
+      return target.chatId ? `Telegram แชท ${target.chatId}` : 'Telegram กลุ่มหลัก';
+    case 'telegram_role':
+      return `Telegram ส่วนตัว: ${ROLE_CONFIG[target.role].label}`;
+    case 'line_customer':
+      return 'LINE ลูกค้า';
+  }
+}
@@ -0,0 +1,146 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+import type { Prisma } from '@prisma/client'
+import { checkOverdueNotifications, enqueueRuleNotifications } from '@/lib/notifications'
+import { enqueueOutboxJob, kickOutboxWorker } from '@/lib/outbox'
+import { listEmployees } from '@/lib/repositories/employees'
+import { createNotificationLog, getLastNotifiedAt, listNotificationRules } from '@/lib/repositories/notifications'
+import { listServiceRequests } from '@/lib/repositories/service-requests'
+import type { NotificationRule } from '@/lib/types'
+import { makeServiceRequest } from '@/test/fixtures'
+import { TEST_EMPLOYEES } from '@/test/api'
+
+vi.mock('@/lib/db', () => ({ db: { name: 'db' } }))
+vi.mock('@/lib/outbox')
+vi.mock('@/lib/repositories/notifications')
+vi.mock('@/lib/repositories/service-requests')
+
+const tx = { name: 'tx' } as unknown as Prisma.TransactionClient
+
+function makeRule(overrides: Partial<NotificationRule> = {}): NotificationRule {
+  return {
+    id: 'rule-1',
+    name: 'งานฉุกเฉิน',
+    enabled: true,
+    trigger: 'created',
+    statuses: [],
+    priorities: ['emergency'],
+    serviceTypes: [],
+    minAgeHours: null,
+    repeatHours: null,
+    targets: [{ type: 'telegram' }],
+    template: 'งานฉุกเฉิน {requestNo}',
+    createdAt: '2026-10-01T00:00:00.000Z',
+    updatedAt: '2026-10-01T00:00:00.000Z',
+    ...overrides,
+  }
+}
+
+const emergency = makeServiceRequest({ priority: 'emergency' })
+
+beforeEach(() => {
+  vi.mocked(enqueueOutboxJob).mockResolvedValue(7)
+  vi.mocked(listEmployees).mockResolvedValue([])
+  vi.mocked(getLastNotifiedAt).mockResolvedValue(new Map())
+})
+
+describe('enqueueRuleNotifications', () => {
+  it('กฎที่ตรง → เข้าคิว telegram.send + ลงประวัติพร้อมเหตุผล ใน tx ของงาน', async () => {
+    vi.mocked(listNotificationRules).mockResolvedValue([makeRule()])
+
+    await enqueueRuleNotifications(emergency, 'created', 'ทดสอบ reception', tx)
+    expect(listNotificationRules).toHaveBeenCalledWith({ trigger: 'created', enabledOnly: true }, tx)
+    expect(enqueueOutboxJob).toHaveBeenCalledWith('telegram.send', 'req-1', { message: 'งานฉุกเฉิน REQ-20261019-001' }, tx)
+    expect(createNotificationLog).toHaveBeenCalledWith(expect.objectContaining({
+      ruleId: 'rule-1',
+      target: 'Telegram กลุ่มหลัก',
+      reason: '📥 งานใหม่ · ความเร่งด่วน: 🔴 ฉุกเฉิน',
+      outboxJobId: 7,
+    }), tx)
+  })
+
+  it('งานไม่เข้าเงื่อนไข → ไม่ส่ง ไม่ลงประวัติ', async () => {
+    vi.mocked(listNotificationRules).mockResolvedValue([makeRule()])
+
+    await enqueueRuleNotifications(makeServiceRequest(), 'created', 'ทดสอบ reception', tx)
+    expect(enqueueOutboxJob).not.toHaveBeenCalled()
+    expect(createNotificationLog).not.toHaveBeenCalled()
+  })
+
+  it('ส่งถึง role → แชทส่วนตัวของพนักงานที่ผูก Telegram เท่านั้น, ไม่มีเลย = ลงประวัติว่าข้าม', async () => {
+    vi.mocked(listNotificationRules).mockResolvedValue([makeRule({ targets: [{ type: 'telegram_role', role: 'technician' }] })])
+    vi.mocked(listEmployees).mockResolvedValue([
+      { ...TEST_EMPLOYEES.technician, telegramChatId: '5001' },
+      { ...TEST_EMPLOYEES.technician, id: 'emp-technician-2', telegramChatId: null },
+      { ...TEST_EMPLOYEES.reception, telegramChatId: '5002' },
+    ])
+
+    await enqueueRuleNotifications(emergency, 'created', 'ทดสอบ reception', tx)
+    expect(enqueueOutboxJob).toHaveBeenCalledTimes(1)
+    expect(enqueueOutboxJob).toHaveBeenCalledWith('telegram.send', 'req-1', expect.objectContaining({ chatId: '5001' }), tx)
+
+    vi.mocked(listEmployees).mockResolvedValue([])
+    await enqueueRuleNotifications(emergency, 'created', 'ทดสอบ reception', tx)
+    expect(createNotificationLog).toHaveBeenLastCalledWith(
+      expect.objectContaining({ skipReason: 'ไม่มีพนักงาน role นี้ที่ผูก Telegram ไว้' }),
+      tx
+    )
+  })
+
+  it('LINE ลูกค้า: งานที่ไม่ได้มาจาก LINE = ข้าม, มี lineUserId = line.push ข้อความล้วน', async () => {
+    vi.mocked(listNotificationRules).mockResolvedValue([makeRule({ targets: [{ type: 'line_customer' }], template: '<b>{requestNo}</b>' })])
+
+    await enqueueRuleNotifications(emergency, 'created', 'ทดสอบ reception', tx)
+    expect(enqueueOutboxJob).not.toHaveBeenCalled()
+    expect(createNotificationLog).toHaveBeenCalledWith(expect.objectContaining({ skipReason: 'งานนี้ไม่ได้มาจาก LINE' }), tx)
+
+    await enqueueRuleNotifications({ ...emergency, lineUserId: 'U123' }, 'created', 'ทดสอบ reception', tx)
+    expect(enqueueOutboxJob).toHaveBeenCalledWith('line.push', 'req-1', { to: 'U123', message: 'REQ-20261019-001' }, tx)
+  })
+})
+
+describe('checkOverdueNotifications', () => {
+  const now = new Date('2026-10-19T06:00:00.000Z')
+  const overdueRule = makeRule({ trigger: 'overdue', priorities: [], statuses: ['waiting_response'], minAgeHours: 48 })
+  // เข้าสถานะรอลูกค้าตอบเมื่อ 16 ต.ค. 02:00 (ค้าง 76 ชม.)
+  const waiting = makeServiceRequest({
+    status: 'waiting_response',
+    history: [{ status: 'waiting_response', date: '2026-10-16T02:00:00.000Z', by: 'ทดสอบ quotation' }],
+  })
+
+  beforeEach(() => {
+    vi.mocked(listNotificationRules).mockResolvedValue([overdueRule])
+    vi.mocked(listServiceRequests).mockResolvedValue([waiting])
+  })
+
+  it('ไม่มีกฎ overdue → ไม่โหลดงาน', async () => {
+    vi.mocked(listNotificationRules).mockResolvedValue([])
+
+    expect(await checkOverdueNotifications(now)).toEqual({ checked: 0, notified: [] })
+    expect(listServiceRequests).not.toHaveBeenCalled()
+  })
+
+  it('งานค้างเกินเกณฑ์ → เตือนในนามระบบ แล้วปลุก worker', async () => {
+    const result = await checkOverdueNotifications(now)
+
+    expect(listServiceRequests).toHaveBeenCalledWith({ openOnly: true })
+    expect(result).toEqual({ checked: 1, notified: [{ requestNo: 'REQ-20261019-001', ruleName: 'งานฉุกเฉิน' }] })
+    expect(createNotificationLog).toHaveBeenCalledWith(expect.objectContaining({ trigger: 'overdue' }), { name: 'db' })
+    expect(kickOutboxWorker).toHaveBeenCalled()
+  })
+
+  it('เตือนไปแล้วหลังเข้าสถานะนี้ → ไม่เตือนซ้ำ เว้นแต่ถึงรอบ repeatHours', async () => {
+    vi.mocked(getLastNotifiedAt).mockResolvedValue(new Map([['req-1', new Date('2026-10-18T02:00:00.000Z')]]))
+
+    expect((await checkOverdueNotifications(now)).notified).toEqual([])
+    expect(kickOutboxWorker).not.toHaveBeenCalled()
+
+    vi.mocked(listNotificationRules).mockResolvedValue([{ ...overdueRule, repeatHours: 24 }])
+    expect((await checkOverdueNotifications(now)).notified).toHaveLength(1)
+  })
+
+  it('เตือนไว้ก่อนเข้าสถานะรอบนี้ (เปลี่ยนสถานะแล้วกลับมา) → นับใหม่ เตือนอีกครั้ง', async () => {
+    vi.mocked(getLastNotifiedAt).mockResolvedValue(new Map([['req-1', new Date('2026-10-10T02:00:00.000Z')]]))
+
+    expect((await checkOverdueNotifications(now)).notified).toHaveLength(1)
+  })
+})
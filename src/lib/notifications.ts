@@ -0,0 +1,140 @@
+import type { Prisma } from '@prisma/client'
+import { db } from '@/lib/db'
+import {
+  OVERDUE_NOTIFIER,
+  buildNotificationMessage,
+  describeNotificationTarget,
+  getStatusSince,
+  matchNotificationRule,
+} from '@/lib/notification-rules'
+import { enqueueOutboxJob, kickOutboxWorker } from '@/lib/outbox'
+import { listEmployees } from '@/lib/repositories/employees'
+import { createNotificationLog, getLastNotifiedAt, listNotificationRules } from '@/lib/repositories/notifications'
+import { listServiceRequests } from '@/lib/repositories/service-requests'
+import type { NotificationRule, NotificationTrigger, ServiceRequest } from '@/lib/types'
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Notifications — ตัวส่งตามกฎแจ้งเตือน (เงื่อนไข/template อยู่ใน src/lib/notification-rules.ts)
+// หากฎที่ตรงกับงาน → ประกอบข้อความ → เข้าคิว telegram.send / line.push ใน outbox + ลงประวัติ NotificationLog
+// outbox แค่เข้าคิวและส่ง ไม่รู้จักกฎ
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+const OVERDUE_CHECK_INTERVAL_MS = 15 * 60 * 1000
+const HOUR_MS = 60 * 60 * 1000
+
+/**
+ * 📣 Dispatch Rule
+ * เข้าคิวข้อความของกฎหนึ่งข้อถึงผู้รับทุกคน + ลงประวัติทีละผู้รับ (ส่งไม่ได้ก็ลงพร้อมเหตุผล)
+ * ข้อความประกอบตอนเข้าคิว — แจ้งสถานะ ณ ตอนนั้น ไม่ใช่ตอนที่ส่งได้
+ */
+async function dispatchNotificationRule(
+  rule: NotificationRule,
+  request: ServiceRequest,
+  reason: string,
+  by: string,
+  now: Date,
+  client: Prisma.TransactionClient
+): Promise<void> {
+  const base = {
+    ruleId: rule.id,
+    ruleName: rule.name,
+    trigger: rule.trigger,
+    requestId: request.id,
+    requestNo: request.requestNo,
+    reason,
+  }
+
+  for (const target of rule.targets) {
+    const label = describeNotificationTarget(target)
+
+    if (target.type === 'line_customer') {
+      const message = buildNotificationMessage(rule, request, 'line', by, now)
+      if (!request.lineUserId) {
+        await createNotificationLog({ ...base, target: label, message, skipReason: 'งานนี้ไม่ได้มาจาก LINE' }, client)
+        continue
+      }
+      const jobId = await enqueueOutboxJob('line.push', request.id, { to: request.lineUserId, message }, client)
+      await createNotificationLog({ ...base, target: label, message, ...(jobId ? { outboxJobId: jobId } : {}) }, client)
+      continue
+    }
+
+    const message = buildNotificationMessage(rule, request, 'telegram', by, now)
+    // undefined = กลุ่มหลัก (TELEGRAM_CHAT_ID)
+    const chats: { chatId: string | undefined; label: string }[] = target.type === 'telegram'
+      ? [{ chatId: target.chatId, label }]
+      : (await listEmployees({}, client))
+          .filter(employee => employee.role === target.role && employee.telegramChatId)
+          .map(employee => ({ chatId: employee.telegramChatId ?? undefined, label: `${label} (${employee.name})` }))
+
+    if (chats.length === 0) {
+      await createNotificationLog({ ...base, target: label, message, skipReason: 'ไม่มีพนักงาน role นี้ที่ผูก Telegram ไว้' }, client)
+      continue
+    }
+    for (const chat of chats) {
+      const jobId = await enqueueOutboxJob('telegram.send', request.id, { message, ...(chat.chatId ? { chatId: chat.chatId } : {}) }, client)
+      await createNotificationLog({ ...base, target: chat.label, message, ...(jobId ? { outboxJobId: jobId } : {}) }, client)
+    }
+  }
+}
+
+// กฎที่ตรงกับ trigger ของงานนี้ → เข้าคิวข้อความ (เรียกจาก enqueueRequestSync ตอนสร้างงาน/เปลี่ยนสถานะ ใน transaction ของงาน)
+export async function enqueueRuleNotifications(
+  request: ServiceRequest,
+  trigger: NotificationTrigger,
+  by: string,
+  tx: Prisma.TransactionClient
+): Promise<void> {
+  const now = new Date()
+  for (const rule of await listNotificationRules({ trigger, enabledOnly: true }, tx)) {
+    const reason = matchNotificationRule(rule, request, trigger, now)
+    if (reason) await dispatchNotificationRule(rule, request, reason, by, now, tx)
+  }
+}
+
+/**
+ * ⏰ Check Overdue
+ * งานที่ยังไม่ปิดและค้างในสถานะเดิมนานเกินกฎ "overdue" → แจ้งเตือน
+ * เตือนครั้งเดียวต่อการเข้าสถานะ (เปลี่ยนสถานะแล้วกลับมา = นับใหม่) หรือซ้ำทุก repeatHours ถ้าตั้งไว้
+ */
+export async function checkOverdueNotifications(
+  now = new Date()
+): Promise<{ checked: number; notified: { requestNo: string; ruleName: string }[] }> {
+  const rules = await listNotificationRules({ trigger: 'overdue', enabledOnly: true })
+  if (rules.length === 0) return { checked: 0, notified: [] }
+
+  const requests = await listServiceRequests({ openOnly: true })
+  const notified: { requestNo: string; ruleName: string }[] = []
+  for (const rule of rules) {
+    const lastNotified = await getLastNotifiedAt(rule.id)
+    for (const request of requests) {
+      const reason = matchNotificationRule(rule, request, 'overdue', now)
+      if (!reason) continue
+
+      const last = lastNotified.get(request.id)
+      const isRepeatDue = rule.repeatHours !== null && last !== undefined && now.getTime() - last.getTime() >= rule.repeatHours * HOUR_MS
+      if (last && last >= getStatusSince(request) && !isRepeatDue) continue
+
+      await dispatchNotificationRule(rule, request, reason, OVERDUE_NOTIFIER, now, db)
+      notified.push({ requestNo: request.requestNo, ruleName: rule.name })
+    }
+  }
+
+  if (notified.length > 0) kickOutboxWorker()
+  return { checked: requests.length, notified }
+}
+
+const globalForNotifications = globalThis as unknown as { overdueCheckTimer: ReturnType<typeof setInterval> | undefined }
+
+// เรียกครั้งเดียวตอน server start (src/instrumentation.ts) — ตรวจงานค้างทุก 15 นาที
+export function startOverdueNotificationCheck(): void {
+  if (globalForNotifications.overdueCheckTimer) return
+  const run = async () => {
+    try {
+      const result = await checkOverdueNotifications()
+      if (result.notified.length > 0) console.log(`Overdue check: notified ${result.notified.length} jobs`)
+    } catch (error) {
+      console.error('Overdue notification check failed:', error)
+    }
+  }
+  globalForNotifications.overdueCheckTimer = setInterval(run, OVERDUE_CHECK_INTERVAL_MS)
+}
@@ -0,0 +1,81 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+import type { Prisma } from '@prisma/client'
+import { enqueueRuleNotifications } from '@/lib/notifications'
+import { enqueueRequestSync } from '@/lib/outbox'
+import { makeServiceRequest } from '@/test/fixtures'
+
+vi.mock('@/lib/notifications')
+
+// transaction ของ repository จำลอง — ตาราง db หลักยังโยน error (setup.ts) ถ้าเข้าคิวหลุดออกนอก tx จะรู้ทันที
+const tx = {
+  outboxJob: { updateMany: vi.fn(), create: vi.fn() },
+}
+
+function queuedKinds(): string[] {
+  return tx.outboxJob.create.mock.calls.map(([args]) => args.data.kind)
+}
+
+beforeEach(() => {
+  tx.outboxJob.updateMany.mockResolvedValue({ count: 0 })
+  tx.outboxJob.create.mockImplementation(async () => ({ id: tx.outboxJob.create.mock.calls.length }))
+})
+
+describe('enqueueRequestSync', () => {
+  const sync = (request: Parameters<typeof enqueueRequestSync>[0], event: Parameters<typeof enqueueRequestSync>[1]) =>
+    enqueueRequestSync(request, event, 'ทดสอบ reception', tx as unknown as Prisma.TransactionClient)
+
+  it('งานนัดแล้วเปลี่ยนสถานะ → Calendar ก่อน Sheets + แจ้งเตือนตามกฎ ทั้งหมดผ่าน tx', async () => {
+    const request = makeServiceRequest({ status: 'queue', appointmentDate: '2026-10-21T10:00' })
+    await sync(request, 'status_changed')
+
+    expect(queuedKinds()).toEqual(['calendar.upsert', 'sheets.upsert'])
+    expect(enqueueRuleNotifications).toHaveBeenCalledWith(request, 'status_changed', 'ทดสอบ reception', tx)
+  })
+
+  it('ยกเลิก / ปิดงาน → ส่งไปลบหรือเปลี่ยนสี event เฉพาะงานที่มี event อยู่แล้ว', async () => {
+    await sync(makeServiceRequest({ status: 'cancelled', cancelReason: 'ลูกค้ายกเลิก', calendarEventId: 'event-1' }), 'status_changed')
+    await sync(makeServiceRequest({ status: 'completed', appointmentDate: '2026-10-21T10:00', calendarEventId: 'event-1' }), 'status_changed')
+    expect(queuedKinds()).toEqual(['calendar.upsert', 'sheets.upsert', 'calendar.upsert', 'sheets.upsert'])
+
+    tx.outboxJob.create.mockClear()
+    await sync(makeServiceRequest({ status: 'cancelled', cancelReason: 'ลูกค้ายกเลิก' }), 'status_changed')
+    await sync(makeServiceRequest({ status: 'completed', appointmentDate: '2026-10-21T10:00' }), 'status_changed')
+    expect(queuedKinds()).toEqual(['sheets.upsert', 'sheets.upsert'])
+  })
+
+  it('มี sheets.upsert ค้างในคิวอยู่แล้ว → เลื่อนให้ทำทันทีแทนการเพิ่มซ้ำ', async () => {
+    tx.outboxJob.updateMany.mockResolvedValue({ count: 1 })
+    await sync(makeServiceRequest(), 'updated')
+
+    expect(tx.outboxJob.updateMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: { kind: 'sheets.upsert', requestId: 'req-1', status: 'pending' },
+    }))
+    expect(tx.outboxJob.create).not.toHaveBeenCalled()
+    expect(enqueueRuleNotifications).not.toHaveBeenCalled()
+  })
+
+  it('sheet_refresh → แค่แถวใน Sheet ไม่แตะปฏิทิน / ไม่แจ้งเตือน', async () => {
+    await sync(makeServiceRequest({ status: 'queue', appointmentDate: '2026-10-21T10:00', calendarEventId: 'event-1' }), 'sheet_refresh')
+
+    expect(queuedKinds()).toEqual(['sheets.upsert'])
+    expect(enqueueRuleNotifications).not.toHaveBeenCalled()
+  })
+
+  it('ลบถาวร → ลบแถว / event / ไฟล์ใน Drive จากข้อมูลก่อนลบ', async () => {
+    await sync(makeServiceRequest({
+      calendarEventId: 'event-1',
+      imageUrl: 'https://drive.google.com/file/d/file-1/view',
+      imageUrls: ['https://drive.google.com/file/d/file-1/view'],
+    }), 'deleted')
+
+    expect(queuedKinds()).toEqual(['sheets.delete', 'calendar.delete', 'drive.delete'])
+    expect(tx.outboxJob.create).toHaveBeenCalledWith({
+      data: { kind: 'calendar.delete', requestId: 'req-1', payload: JSON.stringify({ eventId: 'event-1' }) },
+    })
+  })
+
+  it('เข้าคิวไม่ได้ → โยน error ให้ transaction ของงาน rollback (ไม่กลืนไว้แค่ log)', async () => {
+    tx.outboxJob.create.mockRejectedValue(new Error('database is locked'))
+    await expect(sync(makeServiceRequest(), 'created')).rejects.toThrow('database is locked')
+  })
+})
@@ -0,0 +1,496 @@
+import type { Prisma, OutboxJob as OutboxJobRecord } from '@prisma/client'
+import { db } from '@/lib/db'
+import { getServiceRequest, updateServiceRequest } from '@/lib/repositories/service-requests'
+import { getCalendarTechnician } from '@/lib/repositories/technicians'
+import { upsertSheetRow, deleteSheetRow, type SheetServiceRequest } from '@/lib/integrations/sheets'
+import { deleteCalendarEvent, upsertCalendarEvent, type CalendarEventInput } from '@/lib/integrations/calendar'
+import { deleteDriveFile, getDriveFileId } from '@/lib/integrations/drive'
+import { buildStatusKeyboard, sendTelegramMessage } from '@/lib/integrations/telegram'
+import { formatLineAppointmentConfirmation, pushLineMessage } from '@/lib/integrations/line'
+import type { AuditContext, ServiceRequest } from '@/lib/types'
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Outbox — งานที่ต้องส่งออกไประบบภายนอก (Sheets / Calendar / Drive / Telegram / LINE)
+// + งานช้าจาก webhook (line.event = เปิดงานจากข้อความ LINE) ที่ต้องตอบ 200 ให้ผู้ส่งทันที
+// repository บันทึกงานลง SQLite พร้อมเข้าคิวที่ตาราง OutboxJob ใน transaction เดียวกัน → worker ฝั่ง server
+// มาหยิบไปทำพร้อม retry แบบ backoff ถ้าล้มครบ maxAttempts จะเป็น dead (ให้กดลองใหม่เองได้)
+// แทนการยิงจาก browser ที่ปิดแท็บแล้วข้อมูลหาย
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+export const OUTBOX_KINDS = [
+  'sheets.upsert', 'sheets.delete', 'calendar.upsert', 'calendar.delete', 'drive.delete', 'telegram.send', 'line.push',
+  'line.event',
+] as const
+export type OutboxKind = typeof OUTBOX_KINDS[number]
+
+export const OUTBOX_STATUSES = ['pending', 'processing', 'done', 'dead'] as const
+export type OutboxStatus = typeof OUTBOX_STATUSES[number]
+
+// ย้ายไปถังขยะ/กู้คืน = 'updated' (แถวใน Sheet และ event ยังอยู่) · 'deleted' = ลบถาวรตอนล้างถังขยะ
+// 'sheet_refresh' = แค่เขียนแถวใน Sheet ให้ตรง ไม่แตะปฏิทิน/ไม่แจ้งเตือน (worker ผูก eventId, ข้อมูลที่ดึงมาจาก Sheet)
+export type RequestSyncEvent = 'created' | 'updated' | 'status_changed' | 'deleted' | 'sheet_refresh'
+
+type Tx = Prisma.TransactionClient
+
+export interface OutboxJob {
+  id: number
+  kind: OutboxKind
+  requestId: string | null
+  requestNo: string | null
+  customerName: string | null
+  status: OutboxStatus
+  attempts: number
+  maxAttempts: number
+  nextAttemptAt: string
+  lastError: string | null
+  createdAt: string
+  completedAt: string | null
+}
+
+const BASE_BACKOFF_MS = 30 * 1000
+const MAX_BACKOFF_MS = 60 * 60 * 1000
+// งานที่ค้าง processing นานกว่านี้ = worker ตายกลางทาง → คืนเข้าคิว
+const STALE_PROCESSING_MS = 5 * 60 * 1000
+const DONE_RETENTION_MS = 7 * 24 * 60 * 60 * 1000
+const WORKER_INTERVAL_MS = 15 * 1000
+// worker เขียนกลับเฉพาะ eventId ของ Calendar — ลงในนามระบบ
+const WORKER_AUDIT: AuditContext = { by: 'System', source: 'system' }
+
+// 30s, 1m, 2m, 4m, ... สูงสุด 1 ชม.
+export function getBackoffMs(attempts: number): number {
+  return Math.min(BASE_BACKOFF_MS * Math.pow(2, Math.max(0, attempts - 1)), MAX_BACKOFF_MS)
+}
+
+export function toSheetRow(request: ServiceRequest): SheetServiceRequest {
+  return {
+    id: request.id,
+    requestNo: request.requestNo,
+    createdAt: request.createdAt,
+    channel: request.channel,
+    customerName: request.customerName,
+    contactName: request.contactName || '',
+    phone: request.phone,
+    address: request.address,
+    serviceType: request.serviceType,
+    description: request.description,
+    priority: request.priority,
+    status: request.status,
+    appointmentDate: request.appointmentDate,
+    appointmentEndDate: request.appointmentEndDate || '',
+    notes: request.notes,
+    imageUrl: request.imageUrl,
+    imageUrls: request.imageUrls || (request.imageUrl ? [request.imageUrl] : []),
+    attachments: request.attachments || [],
+    history: request.history,
+    calendarEventId: request.calendarEventId || '',
+    calendarEventUrl: request.calendarEventUrl || '',
+    updatedAt: request.updatedAt || '',
+    deletedAt: request.deletedAt || '',
+  }
+}
+
+// ── Enqueue ──
+
+// event ในปฏิทินต้องตามสถานะงาน: นัดหมาย = สร้าง/แก้, เสร็จ = เปลี่ยนเป็นสีเทา, ยกเลิก = ลบทิ้ง
+// อยู่ในถังขยะ = เปลี่ยนเป็นสีเทาถ้ามี event (กู้คืนแล้วกลับไปตามสถานะเดิม)
+function needsCalendarSync(request: ServiceRequest): boolean {
+  if (request.deletedAt) return !!request.calendarEventId && (request.status === 'cancelled' || !!request.appointmentDate)
+  if (request.status === 'queue') return !!request.appointmentDate
+  if (request.status === 'completed') return !!request.calendarEventId && !!request.appointmentDate
+  return request.status === 'cancelled' && !!request.calendarEventId
+}
+
+/**
+ * 📥 Enqueue Job
+ * sheets.upsert / calendar.upsert อ่านข้อมูลล่าสุดของงานตอนทำ → ถ้ามีค้างในคิวอยู่แล้วไม่ต้องเพิ่มซ้ำ
+ * แค่เลื่อนให้ทำทันที (เช่น เปลี่ยนสถานะแล้วแก้ฟอร์มต่อในครั้งเดียว จะ sync แค่รอบเดียว)
+ * คืน id ของ job ที่สร้าง (null = รวมกับ job ที่ค้างอยู่) · ส่ง tx มา = เข้าคิวใน transaction ของผู้เรียก
+ */
+export async function enqueueOutboxJob(
+  kind: OutboxKind,
+  requestId: string | null,
+  payload: Record<string, unknown> = {},
+  client: Tx = db
+): Promise<number | null> {
+  if (requestId && (kind === 'sheets.upsert' || kind === 'calendar.upsert')) {
+    const { count } = await client.outboxJob.updateMany({
+      where: { kind, requestId, status: 'pending' },
+      data: { nextAttemptAt: new Date() },
+    })
+    if (count > 0) return null
+  }
+
+  const job = await client.outboxJob.create({
+    data: { kind, requestId, payload: JSON.stringify(payload) },
+  })
+  return job.id
+}
+
+/**
+ * 📤 Enqueue Request Sync
+ * เข้าคิวทุกอย่างที่ต้องทำหลังงานถูกสร้าง/แก้/เปลี่ยนสถานะ/ลบ — repository งานเรียกใน transaction เดียวกับที่เขียนงาน
+ * เข้าคิวไม่ได้ = งานไม่ถูกบันทึกด้วย (ไม่มีงานที่บันทึกแล้วแต่ไม่ได้ sync) · ผู้เรียก repository ปลุก worker เองหลัง commit
+ */
+export async function enqueueRequestSync(request: ServiceRequest, event: RequestSyncEvent, by: string, tx: Tx): Promise<void> {
+  if (event === 'deleted') {
+    await enqueueOutboxJob('sheets.delete', request.id, {}, tx)
+    // งานหายไปแล้ว — ส่ง eventId / fileId ไปกับ payload
+    if (request.calendarEventId) {
+      await enqueueOutboxJob('calendar.delete', request.id, { eventId: request.calendarEventId }, tx)
+    }
+    for (const fileId of getRequestDriveFileIds(request)) {
+      await enqueueOutboxJob('drive.delete', request.id, { fileId }, tx)
+    }
+    return
+  }
+
+  if (event === 'sheet_refresh') {
+    await enqueueOutboxJob('sheets.upsert', request.id, {}, tx)
+    return
+  }
+
+  // Calendar ก่อน Sheets — แถวใน Sheet จะได้ eventId ไปด้วย
+  if (needsCalendarSync(request)) {
+    await enqueueOutboxJob('calendar.upsert', request.id, {}, tx)
+  }
+  await enqueueOutboxJob('sheets.upsert', request.id, {}, tx)
+
+  if (event === 'created' || event === 'status_changed') {
+    // import ตอนใช้ — notifications เข้าคิวข้อความผ่านไฟล์นี้
+    const { enqueueRuleNotifications } = await import('@/lib/notifications')
+    await enqueueRuleNotifications(request, event, by, tx)
+  }
+
+  // งานจาก LINE เพิ่งได้นัด → ยืนยันวันเวลาให้ลูกค้าทางแชทเดิม
+  if (event === 'status_changed' && request.status === 'queue' && request.lineUserId && request.appointmentDate) {
+    await enqueueLineAppointmentConfirmation(request, tx)
+  }
+}
+
+// รูป/ไฟล์แนบของงานที่อยู่ใน Google Drive (ลิงก์ภายนอกที่แปะไว้ไม่ถูกแตะ)
+function getRequestDriveFileIds(request: ServiceRequest): string[] {
+  const urls = [
+    request.imageUrl,
+    ...(request.imageUrls ?? []),
+    request.pdfUrl ?? '',
+    ...(request.attachments ?? []).map(file => file.url),
+  ]
+  const fileIds = urls.filter(Boolean).map(getDriveFileId).filter((id): id is string => !!id)
+  return [...new Set(fileIds)]
+}
+
+// ส่งยืนยันนัดทาง LINE (ใช้ทั้งตอนเข้าคิวอัตโนมัติและปุ่มส่งซ้ำในหน้างาน)
+export async function enqueueLineAppointmentConfirmation(request: ServiceRequest, client: Tx = db): Promise<void> {
+  if (!request.lineUserId) return
+  await enqueueOutboxJob('line.push', request.id, {
+    to: request.lineUserId,
+    message: formatLineAppointmentConfirmation(request),
+  }, client)
+}
+
+// ── Handlers ──
+
+function parsePayload(job: OutboxJobRecord): Record<string, unknown> {
+  try {
+    return JSON.parse(job.payload) as Record<string, unknown>
+  } catch {
+    return {}
+  }
+}
+
+async function runJob(job: OutboxJobRecord): Promise<void> {
+  const kind = job.kind as OutboxKind
+
+  switch (kind) {
+    case 'sheets.upsert': {
+      if (!job.requestId) return
+      const request = await getServiceRequest(job.requestId, { includeTrashed: true })
+      if (!request) return // ถูกลบไปแล้ว — sheets.delete จัดการเอง
+      await upsertSheetRow(toSheetRow(request))
+      return
+    }
+
+    case 'sheets.delete': {
+      if (!job.requestId) return
+      await deleteSheetRow(job.requestId) // ไม่พบแถว = ไม่มีอะไรต้องลบ ถือว่าสำเร็จ
+      return
+    }
+
+    case 'calendar.upsert': {
+      if (!job.requestId) return
+      const request = await getServiceRequest(job.requestId, { includeTrashed: true })
+      if (!request || !needsCalendarSync(request)) return
+
+      if (request.status === 'cancelled' && request.calendarEventId) {
+        await deleteCalendarEvent(request.calendarEventId)
+        await updateServiceRequest(request.id, { calendarEventId: '', calendarEventUrl: '' }, WORKER_AUDIT, 'sheet_refresh')
+        return
+      }
+
+      const input: CalendarEventInput = {
+        requestId: request.id,
+        requestNo: request.requestNo,
+        customerName: request.customerName,
+        phone: request.phone,
+        address: request.address,
+        serviceType: request.serviceType,
+        description: request.description,
+        appointmentDate: request.appointmentDate,
+        appointmentEndDate: request.appointmentEndDate,
+        isAllDay: request.isAllDay,
+        technician: await getCalendarTechnician(request.technicianId),
+        completed: request.status === 'completed',
+        trashed: !!request.deletedAt,
+      }
+      // งานเสร็จแล้ว/อยู่ในถังขยะแต่ event ถูกลบไปแล้ว → ไม่สร้างใหม่
+      const event = request.status === 'completed' || request.deletedAt
+        ? await upsertCalendarEvent(input, request.calendarEventId, { createIfMissing: false })
+        : await upsertCalendarEvent(input, request.calendarEventId)
+      if (!event) return
+
+      if (event.eventId && (event.eventId !== request.calendarEventId || event.eventUrl !== request.calendarEventUrl)) {
+        // eventId เปลี่ยน → แถวใน Sheet ต้องได้ค่าใหม่ด้วย
+        await updateServiceRequest(request.id, {
+          calendarEventId: event.eventId,
+          ...(event.eventUrl ? { calendarEventUrl: event.eventUrl } : {}),
+        }, WORKER_AUDIT, 'sheet_refresh')
+      }
+      return
+    }
+
+    case 'calendar.delete': {
+      const eventId = parsePayload(job)['eventId']
+      if (typeof eventId !== 'string' || !eventId) throw new Error('Missing eventId in payload')
+      await deleteCalendarEvent(eventId)
+      return
+    }
+
+    case 'drive.delete': {
+      const fileId = parsePayload(job)['fileId']
+      if (typeof fileId !== 'string' || !fileId) throw new Error('Missing fileId in payload')
+      await deleteDriveFile(fileId)
+      return
+    }
+
+    case 'telegram.send': {
+      const message = parsePayload(job)['message']
+      if (typeof message !== 'string' || !message) throw new Error('Missing telegram message in payload')
+      // ไม่มี chatId = กลุ่มหลัก · ปุ่มเปลี่ยนสถานะตามสถานะปัจจุบันของงาน (กดแล้วเข้า /api/telegram/webhook)
+      const chatId = parsePayload(job)['chatId']
+      const request = job.requestId ? await getServiceRequest(job.requestId) : null
+      await sendTelegramMessage(
+        message,
+        typeof chatId === 'string' && chatId ? chatId : undefined,
+        request ? { replyMarkup: buildStatusKeyboard(request) } : {}
+      )
+      return
+    }
+
+    case 'line.push': {
+      const payload = parsePayload(job)
+      const to = payload['to']
+      const message = payload['message']
+      if (typeof to !== 'string' || !to) throw new Error('Missing LINE user id in payload')
+      if (typeof message !== 'string' || !message) throw new Error('Missing LINE message in payload')
+      await pushLineMessage(to, message)
+      return
+    }
+
+    case 'line.event': {
+      // import ตอนใช้ — line-intake ปลุก worker จากไฟล์นี้
+      const { LineEventSchema, handleLineEvent } = await import('@/lib/line-intake')
+      const event = LineEventSchema.safeParse(parsePayload(job)['event'])
+      if (!event.success) throw new Error('Invalid LINE event in payload')
+      await handleLineEvent(event.data)
+      return
+    }
+
+    default:
+      throw new Error(`Unknown outbox job kind: ${job.kind}`)
+  }
+}
+
+function describeError(error: unknown): string {
+  const message = error instanceof Error ? error.message : String(error)
+  const details = (error as { details?: unknown })?.details
+  const text = details ? `${message} ${JSON.stringify(details)}` : message
+  return text.slice(0, 2000)
+}
+
+// ── Worker ──
+
+async function claimJob(id: number): Promise<boolean> {
+  const { count } = await db.outboxJob.updateMany({
+    where: { id, status: 'pending' },
+    data: { status: 'processing' },
+  })
+  return count === 1
+}
+
+async function completeJob(job: OutboxJobRecord): Promise<void> {
+  const now = new Date()
+  await db.outboxJob.update({
+    where: { id: job.id },
+    data: { status: 'done', attempts: job.attempts + 1, lastError: null, completedAt: now },
+  })
+
+  // sync สำเร็จแล้ว → dead job เก่าชนิดเดียวกันของงานนี้ไม่ต้องลองใหม่อีก
+  if (job.requestId && (job.kind === 'sheets.upsert' || job.kind === 'calendar.upsert')) {
+    await db.outboxJob.updateMany({
+      where: { kind: job.kind, requestId: job.requestId, status: 'dead', id: { lt: job.id } },
+      data: { status: 'done', completedAt: now },
+    })
+  }
+}
+
+async function failJob(job: OutboxJobRecord, error: unknown): Promise<void> {
+  const attempts = job.attempts + 1
+  const isDead = attempts >= job.maxAttempts
+  await db.outboxJob.update({
+    where: { id: job.id },
+    data: {
+      status: isDead ? 'dead' : 'pending',
+      attempts,
+      lastError: describeError(error),
+      nextAttemptAt: new Date(Date.now() + getBackoffMs(attempts)),
+    },
+  })
+  console.error(`Outbox job #${job.id} (${job.kind}) failed [${attempts}/${job.maxAttempts}]${isDead ? ' → dead' : ''}:`, error)
+}
+
+/**
+ * ⚙️ Process Outbox
+ * หยิบงานที่ถึงเวลาทำทีละงานตามลำดับที่เข้าคิว
+ * claim ด้วย updateMany(status: pending) → ถ้ามีหลาย worker จะไม่ทำงานซ้ำกัน
+ */
+export async function processOutbox(options: { limit?: number } = {}): Promise<{ processed: number; failed: number }> {
+  const limit = options.limit ?? 20
+  const now = new Date()
+
+  await db.outboxJob.updateMany({
+    where: { status: 'processing', updatedAt: { lt: new Date(now.getTime() - STALE_PROCESSING_MS) } },
+    data: { status: 'pending' },
+  })
+
+  const due = await db.outboxJob.findMany({
+    where: { status: 'pending', nextAttemptAt: { lte: now } },
+    orderBy: { id: 'asc' },
+    take: limit,
+  })
+
+  let processed = 0
+  let failed = 0
+  for (const job of due) {
+    if (!(await claimJob(job.id))) continue
+    try {
+      await runJob(job)
+      await completeJob(job)
+      processed++
+    } catch (error) {
+      await failJob(job, error)
+      failed++
+    }
+  }
+
+  // ล้างงานที่เสร็จแล้วเก่ากว่า 7 วันเป็นครั้งคราว
+  if (Math.random() < 0.05) {
+    await db.outboxJob.deleteMany({
+      where: { status: 'done', completedAt: { lt: new Date(now.getTime() - DONE_RETENTION_MS) } },
+    })
+  }
+
+  return { processed, failed }
+}
+
+const globalForOutbox = globalThis as unknown as {
+  outboxRun: Promise<unknown> | undefined
+  outboxTimer: ReturnType<typeof setInterval> | undefined
+}
+
+/**
+ * 🔔 Kick Worker
+ * สั่งให้ประมวลผลคิวทันทีแบบไม่รอผล (ถ้ากำลังทำอยู่ก็ไม่เริ่มรอบซ้อน)
+ */
+export function kickOutboxWorker(): void {
+  if (globalForOutbox.outboxRun) return
+  globalForOutbox.outboxRun = processOutbox()
+    .catch(error => console.error('Outbox worker error:', error))
+    .finally(() => {
+      globalForOutbox.outboxRun = undefined
+    })
+}
+
+// เรียกครั้งเดียวตอน server start (src/instrumentation.ts)
+export function startOutboxWorker(): void {
+  if (globalForOutbox.outboxTimer) return
+  globalForOutbox.outboxTimer = setInterval(kickOutboxWorker, WORKER_INTERVAL_MS)
+  kickOutboxWorker()
+}
+
+// ── Dead-letter / admin ──
+
+/**
+ * 🔁 Retry Now
+ * คืน dead (หรือ pending ที่รอ backoff) เข้าคิวแบบนับครั้งใหม่ แล้วทำทันที
+ * คืน null ถ้าไม่พบ job หรือ job เสร็จ/กำลังทำอยู่
+ */
+export async function retryOutboxJob(id: number): Promise<OutboxJob | null> {
+  const { count } = await db.outboxJob.updateMany({
+    where: { id, status: { in: ['dead', 'pending'] } },
+    data: { status: 'pending', attempts: 0, nextAttemptAt: new Date() },
+  })
+  if (count === 0) return null
+
+  await processOutbox()
+  const [job] = await listOutboxJobs({ id })
+  return job ?? null
+}
+
+export async function listOutboxJobs(options: { id?: number; status?: OutboxStatus[]; limit?: number } = {}): Promise<OutboxJob[]> {
+  const rows = await db.outboxJob.findMany({
+    where: {
+      ...(options.id !== undefined ? { id: options.id } : {}),
+      ...(options.status ? { status: { in: options.status } } : {}),
+    },
+    orderBy: { id: 'desc' },
+    take: options.limit ?? 200,
+  })
+
+  // แสดงเลขที่งาน/ชื่อลูกค้าให้คนอ่านรู้เรื่อง (งานที่ถูกลบแล้วจะเป็น null)
+  const requestIds = [...new Set(rows.map(r => r.requestId).filter((id): id is string => !!id))]
+  const requests = await db.serviceRequest.findMany({
+    where: { id: { in: requestIds } },
+    select: { id: true, requestNo: true, customerName: true },
+  })
+  const byId = new Map(requests.map(r => [r.id, r]))
+
+  return rows.map(row => ({
+    id: row.id,
+    kind: row.kind as OutboxKind,
+    requestId: row.requestId,
+    requestNo: (row.requestId && byId.get(row.requestId)?.requestNo) || null,
+    customerName: (row.requestId && byId.get(row.requestId)?.customerName) || null,
+    status: row.status as OutboxStatus,
+    attempts: row.attempts,
+    maxAttempts: row.maxAttempts,
+    nextAttemptAt: row.nextAttemptAt.toISOString(),
+    lastError: row.lastError,
+    createdAt: row.createdAt.toISOString(),
+    completedAt: row.completedAt?.toISOString() ?? null,
+  }))
+}
+
+export async function countOutboxJobs(): Promise<Record<'pending' | 'processing' | 'dead', number>> {
+  const groups = await db.outboxJob.groupBy({
+    by: ['status'],
+    where: { status: { in: ['pending', 'processing', 'dead'] } },
+    _count: { _all: true },
+  })
+  const counts = { pending: 0, processing: 0, dead: 0 }
+  for (const group of groups) {
+    if (group.status === 'pending' || group.status === 'processing' || group.status === 'dead') {
+      counts[group.status] = group._count._all
+    }
+  }
+  return counts
+}
@@ -0,0 +1,52 @@
+import { describe, expect, it } from 'vitest'
+import { canChangePartRequestStatus, getPartsBlockReason, getPartsCost } from '@/lib/parts'
+import { makePartRequest } from '@/test/fixtures'
+
+describe('getPartsBlockReason', () => {
+  it('ยังไม่มีรายการ (หรือยกเลิกหมด) → ยังไปต่อไม่ได้', () => {
+    expect(getPartsBlockReason([])).toBe('ยังไม่ได้บันทึกรายการอะไหล่ที่สั่งซื้อ')
+    expect(getPartsBlockReason([makePartRequest({ status: 'cancelled' })])).toBe('ยังไม่ได้บันทึกรายการอะไหล่ที่สั่งซื้อ')
+  })
+
+  it('ยังรอของ → บอกจำนวนและชื่อรายการที่ยังไม่เข้า ไม่นับรายการที่ยกเลิก', () => {
+    expect(getPartsBlockReason([
+      makePartRequest({ name: 'คาปาซิเตอร์ 35uF', status: 'ordered' }),
+      makePartRequest({ name: 'มอเตอร์พัดลม', status: 'requested' }),
+      makePartRequest({ name: 'แผงวงจร', status: 'cancelled' }),
+      makePartRequest({ name: 'รีโมท', status: 'received' }),
+    ])).toBe('อะไหล่ยังไม่เข้า 2 รายการ: คาปาซิเตอร์ 35uF, มอเตอร์พัดลม')
+  })
+
+  it('เข้าครบ / ติดตั้งแล้ว → ไปต่อได้', () => {
+    expect(getPartsBlockReason([
+      makePartRequest({ status: 'received' }),
+      makePartRequest({ status: 'installed' }),
+      makePartRequest({ status: 'cancelled' }),
+    ])).toBeNull()
+  })
+})
+
+describe('canChangePartRequestStatus', () => {
+  it('ของในสต็อกรับเข้าได้เลย / สั่งแล้วยังยกเลิกได้', () => {
+    expect(canChangePartRequestStatus('requested', 'received')).toBe(true)
+    expect(canChangePartRequestStatus('ordered', 'cancelled')).toBe(true)
+    expect(canChangePartRequestStatus('received', 'installed')).toBe(true)
+  })
+
+  it('ย้อนสถานะ / ข้ามไปติดตั้งก่อนของเข้า / แก้รายการที่จบแล้ว ไม่ได้', () => {
+    expect(canChangePartRequestStatus('received', 'ordered')).toBe(false)
+    expect(canChangePartRequestStatus('ordered', 'installed')).toBe(false)
+    expect(canChangePartRequestStatus('received', 'cancelled')).toBe(false)
+    expect(canChangePartRequestStatus('cancelled', 'requested')).toBe(false)
+  })
+})
+
+describe('getPartsCost', () => {
+  it('รวมจำนวน × ต้นทุน ไม่นับรายการที่ยกเลิก', () => {
+    expect(getPartsCost([
+      makePartRequest({ quantity: 2, unitCost: 350 }),
+      makePartRequest({ quantity: 1, unitCost: 1200, status: 'installed' }),
+      makePartRequest({ quantity: 5, unitCost: 100, status: 'cancelled' }),
+    ])).toBe(1900)
+  })
+})
@@ -0,0 +1,61 @@
+/**
+ * 🔩 Parts Configuration
+ * สถานะรายการอะไหล่ของงาน + กฎว่าเปลี่ยนจากไหนไปไหนได้ ใช้ทั้งหน้าเว็บและ API
+ */
+
+import type { PartRequest, PartRequestStatus } from './types';
+
+export const PART_REQUEST_STATUSES = [
+  'requested',
+  'ordered',
+  'received',
+  'installed',
+  'cancelled',
+] as const satisfies readonly PartRequestStatus[];
+
+export const PART_REQUEST_STATUS_CONFIG: Record<PartRequestStatus, { label: string; icon: string; className: string }> = {
+  requested: { label: 'รอสั่งซื้อ', icon: '📝', className: 'bg-amber-100 text-amber-700' },
+  ordered: { label: 'สั่งแล้ว รอของเข้า', icon: '🚚', className: 'bg-blue-100 text-blue-700' },
+  received: { label: 'ของเข้าแล้ว', icon: '📦', className: 'bg-green-100 text-green-700' },
+  installed: { label: 'ติดตั้งแล้ว', icon: '🔧', className: 'bg-slate-100 text-slate-600' },
+  cancelled: { label: 'ยกเลิก', icon: '❌', className: 'bg-slate-100 text-slate-400' },
+};
+
+// ของในสต็อกรับเข้าได้เลยโดยไม่ต้องผ่าน ordered
+const PART_REQUEST_TRANSITIONS: Record<PartRequestStatus, PartRequestStatus[]> = {
+  requested: ['ordered', 'received', 'cancelled'],
+  ordered: ['received', 'cancelled'],
+  received: ['installed'],
+  installed: [],
+  cancelled: [],
+};
+
+export function canChangePartRequestStatus(from: PartRequestStatus, to: PartRequestStatus): boolean {
+  return PART_REQUEST_TRANSITIONS[from].includes(to);
+}
+
+// ยังรอของอยู่ (ยังไม่สั่ง หรือสั่งแล้วของยังไม่เข้า)
+export function isPartOutstanding(status: PartRequestStatus): boolean {
+  return status === 'requested' || status === 'ordered';
+}
+
+/**
+ * 🚧 Parts Blocking
+ * งานสถานะ order_parts ไปต่อไม่ได้จนกว่าอะไหล่ที่ขอไว้จะเข้าครบ (ยังไม่มีรายการเลยก็ถือว่ายังไม่ครบ)
+ * คืนข้อความเหตุผล หรือ null ถ้าไปต่อได้
+ */
+export function getPartsBlockReason(parts: Pick<PartRequest, 'name' | 'status'>[]): string | null {
+  const active = parts.filter(p => p.status !== 'cancelled');
+  if (active.length === 0) return 'ยังไม่ได้บันทึกรายการอะไหล่ที่สั่งซื้อ';
+
+  const outstanding = active.filter(p => isPartOutstanding(p.status));
+  if (outstanding.length === 0) return null;
+  return `อะไหล่ยังไม่เข้า ${outstanding.length} รายการ: ${outstanding.map(p => p.name).join(', ')}`;
+}
+
+// ต้นทุนอะไหล่ของงาน (ไม่นับรายการที่ยกเลิก)
+export function getPartsCost(parts: Pick<PartRequest, 'quantity' | 'unitCost' | 'status'>[]): number {
+  return parts
+    .filter(p => p.status !== 'cancelled')
+    .reduce((sum, p) => sum + p.quantity * p.unitCost, 0);
+}
@@ -0,0 +1,381 @@
+import path from 'path'
+import PDFDocument from 'pdfkit'
+import { QUOTE_ITEM_KIND_LABELS, bahtText, getLineTotal } from '@/lib/quotes'
+import type { Quote, ServiceRequest } from '@/lib/types'
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// PDF ใบเสนอราคา (pdfkit, A4)
+// ฟอนต์ Sarabun จาก @fontsource แยกเป็นชุดไทย/ละติน — ต้องตัดข้อความเป็นช่วงไทย/ไม่ใช่ไทย
+// แล้ววาดทีละช่วงเอง และตัดบรรทัดเองด้วย Intl.Segmenter (pdfkit ตัดคำไทยไม่เป็น)
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+const FONT_DIR = path.join(process.cwd(), 'node_modules', '@fontsource', 'sarabun', 'files')
+
+const FONTS = {
+  thai: path.join(FONT_DIR, 'sarabun-thai-400-normal.woff'),
+  thaiBold: path.join(FONT_DIR, 'sarabun-thai-700-normal.woff'),
+  latin: path.join(FONT_DIR, 'sarabun-latin-400-normal.woff'),
+  latinBold: path.join(FONT_DIR, 'sarabun-latin-700-normal.woff'),
+}
+
+const PAGE_MARGIN = 40
+const LINE_HEIGHT = 1.45
+const THAI_CHAR = /[฀-๿]/
+
+// ลำดับ | ประเภท | รายการ | จำนวน | ราคา/หน่วย | ส่วนลด | จำนวนเงิน (รวม 515pt = ความกว้าง A4 หลังหักขอบ)
+const COLUMNS = [
+  { key: 'no', label: 'ลำดับ', width: 30, align: 'center' },
+  { key: 'kind', label: 'ประเภท', width: 55, align: 'left' },
+  { key: 'description', label: 'รายการ', width: 180, align: 'left' },
+  { key: 'quantity', label: 'จำนวน', width: 60, align: 'right' },
+  { key: 'unitPrice', label: 'ราคา/หน่วย', width: 65, align: 'right' },
+  { key: 'discount', label: 'ส่วนลด', width: 55, align: 'right' },
+  { key: 'amount', label: 'จำนวนเงิน', width: 70, align: 'right' },
+] as const
+
+type Align = 'left' | 'center' | 'right'
+
+interface TextStyle {
+  size?: number
+  bold?: boolean
+  color?: string
+}
+
+function formatMoney(value: number): string {
+  return value.toLocaleString('th-TH', { minimumFractionDigits: 2, maximumFractionDigits: 2 })
+}
+
+function formatThaiDate(date: Date): string {
+  return date.toLocaleDateString('th-TH', { day: 'numeric', month: 'long', year: 'numeric' })
+}
+
+// "งานซ่อม ABC 123" → [{งานซ่อม}, { ABC 123}] — ช่วงไทยใช้ฟอนต์ชุดไทย ที่เหลือใช้ชุดละติน
+function splitScriptRuns(text: string): { text: string; thai: boolean }[] {
+  const runs: { text: string; thai: boolean }[] = []
+  for (const char of text) {
+    const thai = THAI_CHAR.test(char)
+    const last = runs[runs.length - 1]
+    if (last && last.thai === thai) last.text += char
+    else runs.push({ text: char, thai })
+  }
+  return runs
+}
+
+/**
+ * 🖋️ Quote PDF Writer
+ * ห่อ PDFDocument ให้วาดข้อความไทยปนอังกฤษได้ + ตัดบรรทัด + ขึ้นหน้าใหม่
+ */
+class QuotePdfWriter {
+  readonly doc: PDFKit.PDFDocument
+  readonly left = PAGE_MARGIN
+  readonly width: number
+  y = PAGE_MARGIN
+
+  private readonly segmenter = new Intl.Segmenter('th', { granularity: 'word' })
+
+  constructor() {
+    this.doc = new PDFDocument({ size: 'A4', margin: PAGE_MARGIN, bufferPages: true })
+    this.doc.registerFont('thai', FONTS.thai)
+    this.doc.registerFont('thaiBold', FONTS.thaiBold)
+    this.doc.registerFont('latin', FONTS.latin)
+    this.doc.registerFont('latinBold', FONTS.latinBold)
+    this.width = this.doc.page.width - PAGE_MARGIN * 2
+  }
+
+  get bottom(): number {
+    return this.doc.page.height - PAGE_MARGIN
+  }
+
+  lineHeight(style: TextStyle = {}): number {
+    return (style.size ?? 10) * LINE_HEIGHT
+  }
+
+  private useFont(thai: boolean, style: TextStyle) {
+    const name = thai ? (style.bold ? 'thaiBold' : 'thai') : (style.bold ? 'latinBold' : 'latin')
+    this.doc.font(name).fontSize(style.size ?? 10)
+  }
+
+  measure(text: string, style: TextStyle = {}): number {
+    return splitScriptRuns(text).reduce((sum, run) => {
+      this.useFont(run.thai, style)
+      return sum + this.doc.widthOfString(run.text)
+    }, 0)
+  }
+
+  // ตัดบรรทัดตามคำ (ไทยตัดด้วย Intl.Segmenter) — คำที่ยาวเกินบรรทัดตัดเป็นตัวอักษร
+  wrap(text: string, maxWidth: number, style: TextStyle = {}): string[] {
+    const lines: string[] = []
+    for (const paragraph of text.split(/\r?\n/)) {
+      let line = ''
+      for (const { segment } of this.segmenter.segment(paragraph)) {
+        const candidate = line + segment
+        if (this.measure(candidate, style) <= maxWidth) {
+          line = candidate
+          continue
+        }
+        if (line.trim()) lines.push(line.trimEnd())
+        line = segment.trimStart()
+        while (line && this.measure(line, style) > maxWidth) {
+          let cut = line.length - 1
+          while (cut > 1 && this.measure(line.slice(0, cut), style) > maxWidth) cut--
+          lines.push(line.slice(0, cut))
+          line = line.slice(cut)
+        }
+      }
+      lines.push(line.trimEnd())
+    }
+    return lines
+  }
+
+  // วาดบรรทัดเดียวที่ตำแหน่ง x,y (ไม่ตัดบรรทัด ไม่ขยับ this.y)
+  drawLine(text: string, x: number, y: number, width: number, style: TextStyle = {}, align: Align = 'left') {
+    const textWidth = this.measure(text, style)
+    let cursor = align === 'right' ? x + width - textWidth : align === 'center' ? x + (width - textWidth) / 2 : x
+    this.doc.fillColor(style.color ?? '#1e293b')
+    for (const run of splitScriptRuns(text)) {
+      this.useFont(run.thai, style)
+      this.doc.text(run.text, cursor, y, { lineBreak: false })
+      cursor += this.doc.widthOfString(run.text)
+    }
+  }
+
+  // วาดย่อหน้า (ตัดบรรทัดให้) ที่ this.y แล้วเลื่อน this.y ลงมา
+  paragraph(text: string, style: TextStyle = {}, options: { x?: number; width?: number; align?: Align } = {}) {
+    const x = options.x ?? this.left
+    const width = options.width ?? this.width
+    for (const line of this.wrap(text, width, style)) {
+      this.ensureSpace(this.lineHeight(style))
+      this.drawLine(line, x, this.y, width, style, options.align)
+      this.y += this.lineHeight(style)
+    }
+  }
+
+  // พื้นที่เหลือไม่พอ → ขึ้นหน้าใหม่ (คืน true ถ้าขึ้นหน้าใหม่)
+  ensureSpace(height: number): boolean {
+    if (this.y + height <= this.bottom) return false
+    this.doc.addPage()
+    this.y = PAGE_MARGIN
+    return true
+  }
+
+  hr(y = this.y, color = '#cbd5e1') {
+    this.doc.moveTo(this.left, y).lineTo(this.left + this.width, y).lineWidth(0.5).strokeColor(color).stroke()
+  }
+
+  toBuffer(): Promise<Buffer> {
+    return new Promise((resolve, reject) => {
+      const chunks: Buffer[] = []
+      this.doc.on('data', (chunk: Buffer) => chunks.push(chunk))
+      this.doc.on('end', () => resolve(Buffer.concat(chunks)))
+      this.doc.on('error', reject)
+      this.doc.end()
+    })
+  }
+}
+
+function drawHeader(pdf: QuotePdfWriter, quote: Quote) {
+  const companyName = process.env['QUOTE_COMPANY_NAME'] || 'ใบเสนอราคา'
+  const companyLines = [
+    process.env['QUOTE_COMPANY_ADDRESS'] ?? '',
+    process.env['QUOTE_COMPANY_PHONE'] ? `โทร ${process.env['QUOTE_COMPANY_PHONE']}` : '',
+    process.env['QUOTE_COMPANY_TAX_ID'] ? `เลขประจำตัวผู้เสียภาษี ${process.env['QUOTE_COMPANY_TAX_ID']}` : '',
+  ].filter(Boolean)
+
+  const top = pdf.y
+  const leftWidth = pdf.width * 0.58
+  pdf.paragraph(companyName, { size: 15, bold: true }, { width: leftWidth })
+  for (const line of companyLines) {
+    pdf.paragraph(line, { size: 9, color: '#475569' }, { width: leftWidth })
+  }
+  const leftBottom = pdf.y
+
+  // ฝั่งขวา: ชื่อเอกสาร + เลขที่/วันที่
+  const rightX = pdf.left + leftWidth
+  const rightWidth = pdf.width - leftWidth
+  const issuedAt = new Date(quote.sentAt ?? quote.createdAt)
+  const validUntil = new Date(issuedAt.getTime() + quote.validDays * 24 * 60 * 60 * 1000)
+  pdf.y = top
+  pdf.paragraph('ใบเสนอราคา', { size: 20, bold: true }, { x: rightX, width: rightWidth, align: 'right' })
+  pdf.paragraph('QUOTATION', { size: 9, color: '#64748b' }, { x: rightX, width: rightWidth, align: 'right' })
+  const meta: [string, string][] = [
+    ['เลขที่', quote.quoteNo],
+    ['วันที่', formatThaiDate(issuedAt)],
+    ['ฉบับที่', String(quote.revision)],
+    ['ยืนราคาถึง', formatThaiDate(validUntil)],
+  ]
+  for (const [label, value] of meta) {
+    pdf.drawLine(label, rightX + 20, pdf.y, 60, { size: 9, color: '#64748b' })
+    pdf.drawLine(value, rightX + 80, pdf.y, rightWidth - 80, { size: 9, bold: true }, 'right')
+    pdf.y += pdf.lineHeight({ size: 9 })
+  }
+
+  pdf.y = Math.max(pdf.y, leftBottom) + 8
+  pdf.hr()
+  pdf.y += 10
+}
+
+function drawCustomer(pdf: QuotePdfWriter, request: ServiceRequest) {
+  const top = pdf.y
+  const padding = 8
+  const leftWidth = pdf.width * 0.62
+  const x = pdf.left + padding
+
+  pdf.y += padding
+  pdf.paragraph('ลูกค้า', { size: 9, color: '#64748b' }, { x })
+  pdf.paragraph(request.customerName, { size: 11, bold: true }, { x, width: leftWidth - padding * 2 })
+  if (request.contactName) pdf.paragraph(`ผู้ติดต่อ: ${request.contactName}`, { size: 9 }, { x, width: leftWidth - padding * 2 })
+  if (request.phone) pdf.paragraph(`โทร: ${request.phone}`, { size: 9 }, { x, width: leftWidth - padding * 2 })
+  if (request.address) pdf.paragraph(request.address, { size: 9 }, { x, width: leftWidth - padding * 2 })
+  const leftBottom = pdf.y
+
+  const rightX = pdf.left + leftWidth + padding
+  const rightWidth = pdf.width - leftWidth - padding * 2
+  pdf.y = top + padding
+  pdf.paragraph('อ้างอิงงาน', { size: 9, color: '#64748b' }, { x: rightX, width: rightWidth })
+  pdf.paragraph(request.requestNo, { size: 10, bold: true }, { x: rightX, width: rightWidth })
+  if (request.serviceType) pdf.paragraph(request.serviceType, { size: 9 }, { x: rightX, width: rightWidth })
+
+  const height = Math.max(pdf.y, leftBottom) + padding - top
+  pdf.doc.roundedRect(pdf.left, top, pdf.width, height, 4).lineWidth(0.5).strokeColor('#cbd5e1').stroke()
+  pdf.y = top + height + 12
+}
+
+function drawTableHeader(pdf: QuotePdfWriter) {
+  const style = { size: 9, bold: true }
+  const height = pdf.lineHeight(style) + 8
+  pdf.doc.rect(pdf.left, pdf.y, pdf.width, height).fill('#f1f5f9')
+  let x = pdf.left
+  for (const column of COLUMNS) {
+    pdf.drawLine(column.label, x + 4, pdf.y + 4, column.width - 8, style, column.align)
+    x += column.width
+  }
+  pdf.y += height
+}
+
+function drawItems(pdf: QuotePdfWriter, quote: Quote) {
+  const style = { size: 9 }
+  const lineHeight = pdf.lineHeight(style)
+  const descriptionWidth = COLUMNS.find(c => c.key === 'description')!.width - 8
+
+  drawTableHeader(pdf)
+  quote.items.forEach((item, index) => {
+    const descriptionLines = pdf.wrap(item.description, descriptionWidth, style)
+    const rowHeight = descriptionLines.length * lineHeight + 8
+    // แถวไม่พอหน้า → ขึ้นหน้าใหม่แล้ววาดหัวตารางซ้ำ
+    if (pdf.ensureSpace(rowHeight)) drawTableHeader(pdf)
+
+    const cells: Record<(typeof COLUMNS)[number]['key'], string[]> = {
+      no: [String(index + 1)],
+      kind: [QUOTE_ITEM_KIND_LABELS[item.kind]],
+      description: descriptionLines,
+      quantity: [`${item.quantity.toLocaleString('th-TH')} ${item.unit}`.trim()],
+      unitPrice: [formatMoney(item.unitPrice)],
+      discount: [item.discount > 0 ? formatMoney(item.discount) : '-'],
+      amount: [formatMoney(getLineTotal(item))],
+    }
+    let x = pdf.left
+    for (const column of COLUMNS) {
+      cells[column.key].forEach((line, lineIndex) => {
+        pdf.drawLine(line, x + 4, pdf.y + 4 + lineIndex * lineHeight, column.width - 8, style, column.align)
+      })
+      x += column.width
+    }
+    pdf.y += rowHeight
+    pdf.hr(pdf.y, '#e2e8f0')
+  })
+
+  if (quote.items.length === 0) {
+    pdf.paragraph('ไม่มีรายการ', { size: 9, color: '#94a3b8' }, { align: 'center' })
+  }
+  pdf.y += 8
+}
+
+function drawTotals(pdf: QuotePdfWriter, quote: Quote) {
+  const rows: [string, string, TextStyle][] = [
+    ['รวมเป็นเงิน', formatMoney(quote.subtotal), { size: 9 }],
+  ]
+  if (quote.discountAmount > 0) {
+    const label = quote.discountType === 'percent' ? `ส่วนลด ${quote.discountValue}%` : 'ส่วนลด'
+    rows.push([label, `-${formatMoney(quote.discountAmount)}`, { size: 9 }])
+    rows.push(['ยอดหลังหักส่วนลด', formatMoney(quote.subtotal - quote.discountAmount), { size: 9 }])
+  }
+  if (quote.vatRate > 0) {
+    rows.push([`ภาษีมูลค่าเพิ่ม ${Math.round(quote.vatRate * 10000) / 100}%`, formatMoney(quote.vatAmount), { size: 9 }])
+  }
+  rows.push(['ยอดรวมสุทธิ', formatMoney(quote.total), { size: 11, bold: true }])
+
+  const height = rows.reduce((sum, [, , style]) => sum + pdf.lineHeight(style), 0) + 30
+  pdf.ensureSpace(height)
+
+  const labelX = pdf.left + pdf.width * 0.55
+  const labelWidth = pdf.width * 0.25
+  const valueX = labelX + labelWidth
+  const valueWidth = pdf.width - (valueX - pdf.left)
+  for (const [label, value, style] of rows) {
+    pdf.drawLine(label, labelX, pdf.y, labelWidth, style)
+    pdf.drawLine(value, valueX, pdf.y, valueWidth, style, 'right')
+    pdf.y += pdf.lineHeight(style)
+  }
+
+  pdf.y += 6
+  const boxHeight = pdf.lineHeight({ size: 10 }) + 10
+  pdf.doc.rect(pdf.left, pdf.y, pdf.width, boxHeight).fill('#f8fafc')
+  pdf.drawLine(`(${bahtText(quote.total)})`, pdf.left + 8, pdf.y + 5, pdf.width - 16, { size: 10, bold: true }, 'center')
+  pdf.y += boxHeight + 12
+}
+
+function drawNotes(pdf: QuotePdfWriter, quote: Quote) {
+  if (!quote.notes.trim()) return
+  pdf.ensureSpace(pdf.lineHeight({ size: 9 }) * 3)
+  pdf.paragraph('หมายเหตุ', { size: 9, bold: true })
+  pdf.paragraph(quote.notes, { size: 9, color: '#334155' })
+  pdf.y += 8
+}
+
+function drawSignatures(pdf: QuotePdfWriter) {
+  const height = 80
+  pdf.ensureSpace(height)
+  pdf.y = Math.max(pdf.y + 20, pdf.bottom - height)
+
+  const boxWidth = pdf.width / 2 - 20
+  const boxes = [
+    { x: pdf.left, title: 'ผู้เสนอราคา' },
+    { x: pdf.left + pdf.width / 2 + 20, title: 'ผู้อนุมัติสั่งซื้อ (ลูกค้า)' },
+  ]
+  const lineY = pdf.y + 35
+  for (const box of boxes) {
+    pdf.doc.moveTo(box.x + 20, lineY).lineTo(box.x + boxWidth - 20, lineY).lineWidth(0.5).strokeColor('#64748b').stroke()
+    pdf.drawLine(box.title, box.x, lineY + 6, boxWidth, { size: 9 }, 'center')
+    pdf.drawLine('วันที่ ......../......../........', box.x, lineY + 22, boxWidth, { size: 9, color: '#64748b' }, 'center')
+  }
+  pdf.y = lineY + 40
+}
+
+// เลขหน้า "หน้า 1/2" มุมขวาล่างทุกหน้า (วาดตอนท้าย เพราะต้องรู้จำนวนหน้าทั้งหมด)
+function drawPageNumbers(pdf: QuotePdfWriter, quote: Quote) {
+  const range = pdf.doc.bufferedPageRange()
+  for (let i = range.start; i < range.start + range.count; i++) {
+    pdf.doc.switchToPage(i)
+    const y = pdf.doc.page.height - PAGE_MARGIN / 2 - 6
+    pdf.drawLine(`${quote.quoteNo} · หน้า ${i + 1}/${range.count}`, pdf.left, y, pdf.width, { size: 8, color: '#94a3b8' }, 'right')
+  }
+}
+
+/**
+ * 📄 Render Quote PDF
+ * สร้างไฟล์ PDF ใบเสนอราคา (หัวบริษัทจาก env QUOTE_COMPANY_*)
+ */
+export async function renderQuotePdf(quote: Quote, request: ServiceRequest): Promise<Buffer> {
+  const pdf = new QuotePdfWriter()
+  pdf.doc.info.Title = `ใบเสนอราคา ${quote.quoteNo}`
+
+  drawHeader(pdf, quote)
+  drawCustomer(pdf, request)
+  drawItems(pdf, quote)
+  drawTotals(pdf, quote)
+  drawNotes(pdf, quote)
+  drawSignatures(pdf)
+  drawPageNumbers(pdf, quote)
+
+  return pdf.toBuffer()
+}
@@ -0,0 +1,54 @@
+import { describe, expect, it } from 'vitest'
+import { VAT_RATE, bahtText, calculateQuoteTotals, getLineTotal } from '@/lib/quotes'
+
+const items = [
+  { quantity: 2, unitPrice: 450.5, discount: 0 },
+  { quantity: 1, unitPrice: 1200, discount: 200 },
+]
+
+describe('calculateQuoteTotals', () => {
+  it('ส่วนลดท้ายบิลแบบ % → VAT คิดจากยอดหลังหักส่วนลด', () => {
+    expect(calculateQuoteTotals({ items, discountType: 'percent', discountValue: 10, vatRate: VAT_RATE })).toEqual({
+      subtotal: 1901,
+      discountAmount: 190.1,
+      vatAmount: 119.76,
+      total: 1830.66,
+    })
+  })
+
+  it('ส่วนลดเกินยอด / % เกิน 100 / ติดลบ → ไม่ทำให้ยอดติดลบหรือเพิ่มขึ้น', () => {
+    expect(calculateQuoteTotals({ items, discountType: 'amount', discountValue: 5000, vatRate: VAT_RATE }).total).toBe(0)
+    expect(calculateQuoteTotals({ items, discountType: 'percent', discountValue: 150, vatRate: VAT_RATE }).total).toBe(0)
+    expect(calculateQuoteTotals({ items, discountType: 'amount', discountValue: -100, vatRate: 0 }).total).toBe(1901)
+  })
+
+  it('ส่วนลดของรายการมากกว่าราคา → รายการนั้นเป็น 0 ไม่หักรายการอื่น', () => {
+    expect(getLineTotal({ quantity: 1, unitPrice: 100, discount: 150 })).toBe(0)
+  })
+
+  it('ปัดเป็นสตางค์ทุกขั้น (ไม่มีเศษทศนิยมลอยจาก 0.1 + 0.2)', () => {
+    const totals = calculateQuoteTotals({
+      items: [{ quantity: 3, unitPrice: 0.1, discount: 0 }, { quantity: 1, unitPrice: 0.2, discount: 0 }],
+      discountType: 'amount',
+      discountValue: 0,
+      vatRate: VAT_RATE,
+    })
+    expect(totals).toEqual({ subtotal: 0.5, discountAmount: 0, vatAmount: 0.04, total: 0.54 })
+  })
+})
+
+describe('bahtText', () => {
+  it.each([
+    [0, 'ศูนย์บาทถ้วน'],
+    [1, 'หนึ่งบาทถ้วน'],
+    [11, 'สิบเอ็ดบาทถ้วน'],
+    [21, 'ยี่สิบเอ็ดบาทถ้วน'],
+    [101, 'หนึ่งร้อยเอ็ดบาทถ้วน'],
+    [1_000_001, 'หนึ่งล้านเอ็ดบาทถ้วน'],
+    [21_000_000, 'ยี่สิบเอ็ดล้านบาทถ้วน'],
+    [1234.5, 'หนึ่งพันสองร้อยสามสิบสี่บาทห้าสิบสตางค์'],
+    [0.25, 'ยี่สิบห้าสตางค์'],
+  ])('%d → %s', (amount, text) => {
+    expect(bahtText(amount)).toBe(text)
+  })
+})
@@ -0,0 +1,109 @@
+/**
+ * 💰 Quote Configuration
+ * ค่าคงที่ + การคำนวณยอดใบเสนอราคา ใช้ทั้งหน้าเว็บ (คำนวณสดตอนกรอก) และ server (ยอดที่บันทึก/PDF)
+ */
+
+import type { QuoteDiscountType, QuoteItem, QuoteItemKind, QuoteStatus } from './types';
+
+export const VAT_RATE = 0.07;
+
+export const DEFAULT_VALID_DAYS = 30;
+
+export const QUOTE_ITEM_KINDS = ['part', 'labor', 'travel', 'other'] as const satisfies readonly QuoteItemKind[];
+
+export const QUOTE_ITEM_KIND_LABELS: Record<QuoteItemKind, string> = {
+  part: 'อะไหล่',
+  labor: 'ค่าแรง',
+  travel: 'ค่าเดินทาง',
+  other: 'อื่นๆ',
+};
+
+export const QUOTE_STATUS_CONFIG: Record<QuoteStatus, { label: string; className: string }> = {
+  draft: { label: 'ร่าง', className: 'bg-slate-100 text-slate-600' },
+  sent: { label: 'ส่งลูกค้าแล้ว', className: 'bg-teal-100 text-teal-700' },
+  approved: { label: 'ลูกค้าอนุมัติ', className: 'bg-green-100 text-green-700' },
+  rejected: { label: 'ลูกค้าไม่อนุมัติ', className: 'bg-red-100 text-red-700' },
+  superseded: { label: 'มีฉบับใหม่แทนแล้ว', className: 'bg-slate-100 text-slate-400' },
+};
+
+export interface QuoteTotals {
+  subtotal: number;
+  discountAmount: number;
+  vatAmount: number;
+  total: number;
+}
+
+// ปัดเป็นสตางค์ (2 ตำแหน่ง) ทุกขั้น ให้ยอดบนจอ / DB / PDF ตรงกันเป๊ะ
+export function roundMoney(value: number): number {
+  return Math.round((value + Number.EPSILON) * 100) / 100;
+}
+
+/**
+ * 🧾 Line Total
+ * จำนวน × ราคาต่อหน่วย − ส่วนลดของรายการ (ไม่ติดลบ)
+ */
+export function getLineTotal(item: Pick<QuoteItem, 'quantity' | 'unitPrice' | 'discount'>): number {
+  return Math.max(0, roundMoney(item.quantity * item.unitPrice - item.discount));
+}
+
+/**
+ * ➗ Calculate Totals
+ * รวมรายการ → หักส่วนลดท้ายบิล → คิด VAT จากยอดหลังหักส่วนลด
+ */
+export function calculateQuoteTotals(quote: {
+  items: Pick<QuoteItem, 'quantity' | 'unitPrice' | 'discount'>[];
+  discountType: QuoteDiscountType;
+  discountValue: number;
+  vatRate: number;
+}): QuoteTotals {
+  const subtotal = roundMoney(quote.items.reduce((sum, item) => sum + getLineTotal(item), 0));
+  const rawDiscount = quote.discountType === 'percent'
+    ? subtotal * Math.min(quote.discountValue, 100) / 100
+    : quote.discountValue;
+  const discountAmount = roundMoney(Math.min(Math.max(rawDiscount, 0), subtotal));
+  const afterDiscount = roundMoney(subtotal - discountAmount);
+  const vatAmount = roundMoney(afterDiscount * quote.vatRate);
+  return { subtotal, discountAmount, vatAmount, total: roundMoney(afterDiscount + vatAmount) };
+}
+
+// ── จำนวนเงินเป็นตัวอักษร (บาทถ้วน) ──
+
+const THAI_DIGITS = ['ศูนย์', 'หนึ่ง', 'สอง', 'สาม', 'สี่', 'ห้า', 'หก', 'เจ็ด', 'แปด', 'เก้า'];
+const THAI_PLACES = ['', 'สิบ', 'ร้อย', 'พัน', 'หมื่น', 'แสน'];
+
+// อ่านเลขไม่เกินหลักแสน — hasHigher = มีหลักล้านนำหน้า (หลักหน่วย 1 ต้องอ่าน "เอ็ด")
+function readBelowMillion(n: number, hasHigher: boolean): string {
+  const digits = String(n).split('').reverse().map(Number);
+  let text = '';
+  for (let place = digits.length - 1; place >= 0; place--) {
+    const digit = digits[place] ?? 0;
+    if (digit === 0) continue;
+    if (place === 1 && digit === 1) text += 'สิบ';
+    else if (place === 1 && digit === 2) text += 'ยี่สิบ';
+    else if (place === 0 && digit === 1 && (n >= 10 || hasHigher)) text += 'เอ็ด';
+    else text += `${THAI_DIGITS[digit]}${THAI_PLACES[place]}`;
+  }
+  return text;
+}
+
+function readInteger(n: number): string {
+  if (n < 1_000_000) return readBelowMillion(n, false);
+  const millions = Math.floor(n / 1_000_000);
+  const rest = n % 1_000_000;
+  return `${readInteger(millions)}ล้าน${rest > 0 ? readBelowMillion(rest, true) : ''}`;
+}
+
+/**
+ * 🔤 Baht Text
+ * 1234.5 → "หนึ่งพันสองร้อยสามสิบสี่บาทห้าสิบสตางค์", 100 → "หนึ่งร้อยบาทถ้วน"
+ */
+export function bahtText(amount: number): string {
+  const rounded = roundMoney(Math.abs(amount));
+  const baht = Math.floor(rounded);
+  const satang = Math.round((rounded - baht) * 100);
+  if (baht === 0 && satang === 0) return 'ศูนย์บาทถ้วน';
+
+  const bahtPart = baht > 0 ? `${readInteger(baht)}บาท` : '';
+  const satangPart = satang > 0 ? `${readBelowMillion(satang, false)}สตางค์` : 'ถ้วน';
+  return `${amount < 0 ? 'ลบ' : ''}${bahtPart}${satangPart}`;
+}
@@ -0,0 +1,41 @@
+import { afterEach, describe, expect, it, vi } from 'vitest'
+import { DEFAULT_RATE_LIMIT, ROUTE_RATE_LIMITS, getRouteRateLimit } from '@/lib/rate-limit'
+
+describe('getRouteRateLimit', () => {
+  afterEach(() => {
+    vi.unstubAllEnvs()
+  })
+
+  it('ใช้ค่าเริ่มต้นเมื่อไม่ได้ตั้ง RATE_LIMITS', () => {
+    vi.stubEnv('RATE_LIMITS', '')
+    expect(getRouteRateLimit('/api/ai/analyze')).toEqual(ROUTE_RATE_LIMITS['/api/ai'])
+    expect(getRouteRateLimit('/api/requests')).toEqual(DEFAULT_RATE_LIMIT)
+  })
+
+  it('RATE_LIMITS ทับเฉพาะ route ที่ระบุ และเก็บ window เดิมถ้าไม่ใส่ windowMs', () => {
+    vi.stubEnv('RATE_LIMITS', JSON.stringify({ '/api/ai': { limit: 60 } }))
+    expect(getRouteRateLimit('/api/ai/analyze')).toEqual({ limit: 60, windowMs: ROUTE_RATE_LIMITS['/api/ai']?.windowMs })
+    expect(getRouteRateLimit('/api/upload')).toEqual(ROUTE_RATE_LIMITS['/api/upload'])
+  })
+
+  it('เพิ่ม route ใหม่และเปลี่ยน default ได้ — prefix ที่ยาวที่สุดชนะ', () => {
+    vi.stubEnv('RATE_LIMITS', JSON.stringify({
+      '/api/requests/views': { limit: 10, windowMs: 1000 },
+      default: { limit: 200 },
+    }))
+    expect(getRouteRateLimit('/api/requests/views')).toEqual({ limit: 10, windowMs: 1000 })
+    expect(getRouteRateLimit('/api/requests')).toEqual({ limit: 200, windowMs: DEFAULT_RATE_LIMIT.windowMs })
+  })
+
+  it.each([
+    ['JSON เสีย', '{"/api/ai":'],
+    ['limit ไม่ใช่จำนวนเต็มบวก', JSON.stringify({ '/api/ai': { limit: 0 } })],
+    ['key ไม่ใช่ path ของ API', JSON.stringify({ 'api/ai': { limit: 60 } })],
+  ])('เตือนแล้วใช้ค่าเริ่มต้นทั้งหมดเมื่อ %s', (_, raw) => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {})
+    vi.stubEnv('RATE_LIMITS', raw)
+    expect(getRouteRateLimit('/api/ai')).toEqual(ROUTE_RATE_LIMITS['/api/ai'])
+    expect(warn).toHaveBeenCalled()
+    warn.mockRestore()
+  })
+})
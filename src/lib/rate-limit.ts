@@ -0,0 +1,239 @@
+import Redis from 'ioredis'
+import { z } from 'zod'
+import { db } from '@/lib/db'
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Rate limit แบบ fixed window — ตัวนับเก็บใน store ที่เลือกได้ด้วย RATE_LIMIT_STORE
+//   memory  = Map ในโปรเซส (ค่าเริ่มต้น, reset ทุกครั้งที่ restart / แยกกันต่อ instance)
+//   sqlite  = ตาราง RateLimitBucket ใน DB เดียวกับข้อมูลงาน (อยู่รอด restart)
+//   redis   = Redis หรือของที่พูด Redis protocol ได้ (REDIS_URL) — แชร์ข้าม instance
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+export interface RateLimitRule {
+  limit: number
+  windowMs: number
+}
+
+export interface RateLimitResult {
+  allowed: boolean
+  limit: number
+  remaining: number
+  resetAt: number // unix ms
+}
+
+export interface RateLimitStore {
+  // นับเพิ่ม 1 แล้วคืนจำนวนครั้งใน window ปัจจุบัน
+  increment(key: string, windowMs: number): Promise<{ count: number; resetAt: number }>
+}
+
+export const DEFAULT_RATE_LIMIT: RateLimitRule = { limit: 60, windowMs: 60 * 1000 }
+
+/**
+ * 🚦 Route Rate Limits
+ * limit ต่อ route (จับคู่ด้วย prefix ของ path — อันที่ยาวที่สุดชนะ)
+ * route ที่ไม่อยู่ในนี้ใช้ DEFAULT_RATE_LIMIT — ทั้งสองอย่างปรับได้ด้วย RATE_LIMITS (ดู getRateLimitConfig)
+ */
+export const ROUTE_RATE_LIMITS: Record<string, RateLimitRule> = {
+  '/api/auth/verify-pin': { limit: 20, windowMs: 15 * 60 * 1000 },
+  '/api/ai': { limit: 20, windowMs: 60 * 1000 }, // Gemini มีโควต้า
+  '/api/upload': { limit: 30, windowMs: 60 * 1000 },
+  '/api/customers/match': { limit: 120, windowMs: 60 * 1000 }, // ค้นตามที่พิมพ์ในฟอร์ม
+  '/api/requests/search': { limit: 120, windowMs: 60 * 1000 }, // ค้นตามที่พิมพ์ในช่องค้นหา
+  '/api/quotes/pdf': { limit: 20, windowMs: 60 * 1000 }, // สร้าง PDF กิน CPU
+  '/api/reconcile': { limit: 5, windowMs: 60 * 1000 }, // อ่าน Sheet ทั้งแผ่น
+  '/api/test-sheets': { limit: 5, windowMs: 60 * 1000 },
+  '/api/telegram/webhook': { limit: 300, windowMs: 60 * 1000 }, // ทุก update มาจาก IP ของ Telegram ไม่กี่ตัว
+  '/api/line/webhook': { limit: 300, windowMs: 60 * 1000 }, // เช่นเดียวกัน — LINE ยิงมาจาก IP ชุดเดียว
+}
+
+export interface RateLimitConfig {
+  routes: Record<string, RateLimitRule>
+  fallback: RateLimitRule
+}
+
+// key = prefix ของ path ("/api/...") หรือ "default" — ไม่ใส่ windowMs = ใช้ window เดิมของ route นั้น
+const RateLimitOverridesSchema = z.record(
+  z.string().regex(/^(default|\/api(\/[^/\s]+)*)$/, 'ต้องเป็น "default" หรือ path ที่ขึ้นต้นด้วย /api'),
+  z.object({
+    limit: z.number().int().positive(),
+    windowMs: z.number().int().positive().optional(),
+  }).strict()
+)
+
+let cachedConfig: { raw: string; config: RateLimitConfig } | undefined
+
+function parseRateLimitOverrides(raw: string): z.infer<typeof RateLimitOverridesSchema> {
+  let json: unknown
+  try {
+    json = JSON.parse(raw)
+  } catch {
+    console.warn('RATE_LIMITS is not valid JSON, using default rate limits')
+    return {}
+  }
+  const validated = RateLimitOverridesSchema.safeParse(json)
+  if (!validated.success) {
+    console.warn('Invalid RATE_LIMITS, using default rate limits:', z.prettifyError(validated.error))
+    return {}
+  }
+  return validated.data
+}
+
+/**
+ * ⚙️ Rate Limit Config
+ * ROUTE_RATE_LIMITS + DEFAULT_RATE_LIMIT ทับด้วย RATE_LIMITS (JSON) — ทับทีละ route และเพิ่ม route ใหม่ได้
+ * เช่น RATE_LIMITS={"/api/ai":{"limit":60},"default":{"limit":120,"windowMs":60000}}
+ * ค่าผิดรูปแบบ = เตือนแล้วใช้ค่าเริ่มต้นทั้งชุด (ตั้งพลาดแล้วไม่ทำให้ทุก route ล่ม)
+ */
+export function getRateLimitConfig(): RateLimitConfig {
+  const raw = process.env['RATE_LIMITS']?.trim() ?? ''
+  if (cachedConfig?.raw === raw) return cachedConfig.config
+
+  const routes = { ...ROUTE_RATE_LIMITS }
+  let fallback = DEFAULT_RATE_LIMIT
+  for (const [key, override] of Object.entries(raw ? parseRateLimitOverrides(raw) : {})) {
+    const base = key === 'default' ? fallback : routes[key] ?? DEFAULT_RATE_LIMIT
+    const rule = { limit: override.limit, windowMs: override.windowMs ?? base.windowMs }
+    if (key === 'default') fallback = rule
+    else routes[key] = rule
+  }
+
+  cachedConfig = { raw, config: { routes, fallback } }
+  return cachedConfig.config
+}
+
+export function getRouteRateLimit(pathname: string): RateLimitRule {
+  const { routes, fallback } = getRateLimitConfig()
+  const match = Object.keys(routes)
+    .filter(prefix => pathname === prefix || pathname.startsWith(`${prefix}/`))
+    .sort((a, b) => b.length - a.length)[0]
+  return match ? routes[match] ?? fallback : fallback
+}
+
+// ── Stores ──
+
+class MemoryRateLimitStore implements RateLimitStore {
+  private buckets = new Map<string, { count: number; resetAt: number }>()
+
+  async increment(key: string, windowMs: number) {
+    const now = Date.now()
+    const bucket = this.buckets.get(key)
+
+    if (!bucket || now >= bucket.resetAt) {
+      const fresh = { count: 1, resetAt: now + windowMs }
+      this.buckets.set(key, fresh)
+      this.sweep(now)
+      return fresh
+    }
+
+    bucket.count++
+    return bucket
+  }
+
+  // ล้าง bucket ที่หมดอายุเป็นครั้งคราว กัน Map โตไม่หยุด
+  private sweep(now: number) {
+    if (this.buckets.size < 10000) return
+    for (const [key, bucket] of this.buckets) {
+      if (now >= bucket.resetAt) this.buckets.delete(key)
+    }
+  }
+}
+
+class SqliteRateLimitStore implements RateLimitStore {
+  async increment(key: string, windowMs: number) {
+    const now = Date.now()
+    const resetAt = now + windowMs
+
+    // upsert คำสั่งเดียว = atomic (SQLite เขียนทีละ transaction)
+    const rows = await db.$queryRaw<{ count: number | bigint; resetAt: number | bigint }[]>`
+      INSERT INTO "RateLimitBucket" ("key", "count", "resetAt") VALUES (${key}, 1, ${resetAt})
+      ON CONFLICT ("key") DO UPDATE SET
+        "count" = CASE WHEN "resetAt" <= ${now} THEN 1 ELSE "count" + 1 END,
+        "resetAt" = CASE WHEN "resetAt" <= ${now} THEN excluded."resetAt" ELSE "resetAt" END
+      RETURNING "count", "resetAt"
+    `
+    const row = rows[0]
+    if (!row) throw new Error('Rate limit upsert returned no row')
+
+    // ล้างแถวที่หมดอายุเป็นครั้งคราว (~1% ของ request)
+    if (Math.random() < 0.01) {
+      await db.$executeRaw`DELETE FROM "RateLimitBucket" WHERE "resetAt" <= ${now}`
+    }
+
+    return { count: Number(row.count), resetAt: Number(row.resetAt) }
+  }
+}
+
+// INCR + ตั้ง expiry ครั้งแรก + อ่าน TTL ในรอบเดียว (Lua = atomic ฝั่ง Redis)
+const REDIS_INCREMENT_SCRIPT = `
+local count = redis.call('INCR', KEYS[1])
+if count == 1 then redis.call('PEXPIRE', KEYS[1], ARGV[1]) end
+local ttl = redis.call('PTTL', KEYS[1])
+if ttl < 0 then redis.call('PEXPIRE', KEYS[1], ARGV[1]); ttl = tonumber(ARGV[1]) end
+return { count, ttl }
+`
+
+class RedisRateLimitStore implements RateLimitStore {
+  constructor(private client: Redis) {}
+
+  async increment(key: string, windowMs: number) {
+    const [count, ttl] = (await this.client.eval(
+      REDIS_INCREMENT_SCRIPT,
+      1,
+      `ratelimit:${key}`,
+      windowMs
+    )) as [number, number]
+    return { count, resetAt: Date.now() + ttl }
+  }
+}
+
+const globalForRateLimit = globalThis as unknown as {
+  rateLimitStore: RateLimitStore | undefined
+  memoryRateLimitStore: MemoryRateLimitStore | undefined
+}
+
+function getMemoryStore(): MemoryRateLimitStore {
+  globalForRateLimit.memoryRateLimitStore ??= new MemoryRateLimitStore()
+  return globalForRateLimit.memoryRateLimitStore
+}
+
+function createStore(): RateLimitStore {
+  const kind = process.env['RATE_LIMIT_STORE'] || 'memory'
+
+  if (kind === 'sqlite') return new SqliteRateLimitStore()
+
+  if (kind === 'redis') {
+    const url = process.env['REDIS_URL']
+    if (!url) throw new Error('RATE_LIMIT_STORE=redis but REDIS_URL not configured')
+    return new RedisRateLimitStore(new Redis(url, { maxRetriesPerRequest: 1, enableOfflineQueue: false }))
+  }
+
+  if (kind !== 'memory') console.warn(`Unknown RATE_LIMIT_STORE "${kind}", using memory`)
+  return getMemoryStore()
+}
+
+export function getRateLimitStore(): RateLimitStore {
+  globalForRateLimit.rateLimitStore ??= createStore()
+  return globalForRateLimit.rateLimitStore
+}
+
+/**
+ * 🚦 Consume Rate Limit
+ * นับ 1 ครั้งสำหรับ key นี้ แล้วบอกว่ายังอยู่ในโควต้าหรือไม่
+ * ถ้า store ภายนอกล่ม → นับใน memory แทน (ยังกัน brute-force ได้ในระดับ instance)
+ */
+export async function consumeRateLimit(key: string, rule: RateLimitRule): Promise<RateLimitResult> {
+  let bucket: { count: number; resetAt: number }
+  try {
+    bucket = await getRateLimitStore().increment(key, rule.windowMs)
+  } catch (error) {
+    console.error('Rate limit store error, falling back to memory:', error)
+    bucket = await getMemoryStore().increment(key, rule.windowMs)
+  }
+
+  return {
+    allowed: bucket.count <= rule.limit,
+    limit: rule.limit,
+    remaining: Math.max(0, rule.limit - bucket.count),
+    resetAt: bucket.resetAt,
+  }
+}
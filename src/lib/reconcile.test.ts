@@ -0,0 +1,76 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+import { get } from 'firebase/database'
+import { makeServiceRequest } from '@/test/fixtures'
+import { readSheetRows, type SheetServiceRequest } from '@/lib/integrations/sheets'
+import {
+  changeServiceRequestStatus,
+  getServiceRequest,
+  listServiceRequests,
+  updateServiceRequest,
+} from '@/lib/repositories/service-requests'
+import { applyReconcile, buildReconcileReport } from '@/lib/reconcile'
+import type { ServiceRequest } from '@/lib/types'
+
+vi.mock('@/lib/firebase', () => ({ db: {} }))
+vi.mock('firebase/database', () => ({ ref: vi.fn(), get: vi.fn() }))
+vi.mock('@/lib/outbox', () => ({ enqueueOutboxJob: vi.fn(), kickOutboxWorker: vi.fn() }))
+vi.mock('@/lib/integrations/sheets', async importOriginal => ({
+  ...await importOriginal<typeof import('@/lib/integrations/sheets')>(),
+  readSheetRows: vi.fn(),
+}))
+vi.mock('@/lib/repositories/service-requests', async importOriginal => ({
+  ...await importOriginal<typeof import('@/lib/repositories/service-requests')>(),
+  listServiceRequests: vi.fn(),
+  getServiceRequest: vi.fn(),
+  createServiceRequest: vi.fn(),
+  updateServiceRequest: vi.fn(),
+  changeServiceRequestStatus: vi.fn(),
+}))
+
+const dbRequest = makeServiceRequest({ status: 'queue', updatedAt: '2026-10-19T03:00:00.000Z' })
+
+function sheetRow(overrides: Partial<SheetServiceRequest>): SheetServiceRequest {
+  return { ...dbRequest, ...overrides }
+}
+
+beforeEach(() => {
+  vi.mocked(get).mockResolvedValue({ val: () => null } as Awaited<ReturnType<typeof get>>)
+  vi.mocked(listServiceRequests).mockResolvedValue([dbRequest])
+  vi.mocked(getServiceRequest).mockResolvedValue(dbRequest)
+  vi.mocked(updateServiceRequest).mockResolvedValue(dbRequest as ServiceRequest)
+})
+
+describe('reconcile', () => {
+  it('ระบบแก้ล่าสุด → เขียนทับ Sheet ให้เอง', async () => {
+    vi.mocked(readSheetRows).mockResolvedValue([sheetRow({ notes: 'แก้ใน Sheet', updatedAt: '2026-10-19T01:00:00.000Z' })])
+    const report = await buildReconcileReport()
+    expect(report.items[0]?.action).toBe('push_to_sheet')
+  })
+
+  it('updatedAt ใน Sheet ใหม่กว่าไม่ทำให้ Sheet ชนะเอง — เป็น conflict ให้ admin เลือก', async () => {
+    vi.mocked(readSheetRows).mockResolvedValue([sheetRow({ notes: 'แก้ใน Sheet', updatedAt: '2099-01-01T00:00:00.000Z' })])
+
+    const result = await applyReconcile()
+    expect(result.report.items[0]?.action).toBe('conflict')
+    expect(result.skipped).toBe(1)
+    expect(updateServiceRequest).not.toHaveBeenCalled()
+  })
+
+  it('สถานะใน Sheet ไม่ถูกดึงเข้าระบบถ้า admin ไม่ได้เลือก Sheet', async () => {
+    vi.mocked(readSheetRows).mockResolvedValue([sheetRow({ status: 'completed', updatedAt: '2099-01-01T00:00:00.000Z' })])
+
+    const result = await applyReconcile()
+    expect(result.report.items[0]).toMatchObject({ action: 'conflict', resolvable: true })
+    expect(changeServiceRequestStatus).not.toHaveBeenCalled()
+  })
+
+  it('admin เลือก Sheet → เปลี่ยนสถานะตาม Sheet (บันทึกว่ามาจาก Sheet)', async () => {
+    vi.mocked(readSheetRows).mockResolvedValue([sheetRow({ status: 'completed', updatedAt: '2099-01-01T00:00:00.000Z' })])
+
+    const result = await applyReconcile({ 'req-1': 'sheet' })
+    expect(result.applied).toBe(1)
+    expect(changeServiceRequestStatus).toHaveBeenCalledWith(
+      expect.objectContaining({ id: 'req-1' }), 'completed', { by: 'Google Sheets', source: 'sheet' }, expect.any(Object), 'sheet_refresh'
+    )
+  })
+})
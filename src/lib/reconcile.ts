@@ -0,0 +1,365 @@
+import { ref, get } from 'firebase/database'
+import { db as firebaseDb } from '@/lib/firebase'
+import { readSheetRows, encodeSheetValue, type SheetServiceRequest } from '@/lib/integrations/sheets'
+import { enqueueOutboxJob, kickOutboxWorker } from '@/lib/outbox'
+import {
+  listServiceRequests,
+  getServiceRequest,
+  createServiceRequest,
+  updateServiceRequest,
+  changeServiceRequestStatus,
+  normalizeServiceRequest,
+  type ServiceRequestPatch,
+} from '@/lib/repositories/service-requests'
+import { canTransitionTo, getMissingRequiredFields, getStatusConfig, isStatusValue } from '@/lib/STATUS_WORKFLOW'
+import type { AuditContext, Channel, Priority, ServiceRequest, StatusHistoryEntry } from '@/lib/types'
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Reconcile — เทียบข้อมูลงานในระบบ (SQLite + Firebase) กับ Google Sheet ทีละ id
+// ระบบแก้ล่าสุด → เขียนทับ Sheet ให้เอง ส่วนข้อมูลจาก Sheet เข้าระบบได้เมื่อ admin เลือก "ใช้ข้อมูล Sheet" เท่านั้น
+// (เวลาใน Sheet — คอลัมน์ updatedAt / ประวัติ — ใครที่แก้ชีตได้ก็พิมพ์ได้ จึงไม่ใช้ตัดสินให้ Sheet ชนะ)
+// สร้างรายงานแบบ dry-run ก่อนเสมอ → admin ดูแล้วค่อยสั่ง apply
+// แทน /api/import เดิมที่เขียนทับทุกแถวจาก Sheet ลงระบบโดยไม่ดูว่าฝั่งไหนใหม่กว่า
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+export type ReconcileAction =
+  | 'in_sync'
+  | 'create_in_db'     // มีแค่ใน Sheet → เพิ่มเข้าระบบ
+  | 'push_to_sheet'    // ระบบใหม่กว่า / มีแค่ในระบบ → เขียนทับแถวใน Sheet (ผ่าน outbox)
+  | 'pull_from_sheet'  // admin เลือก Sheet → เอาค่าที่ต่างจาก Sheet มาใส่ในระบบ (ไม่มีในรายงาน มีเฉพาะตอน apply)
+  | 'conflict'         // Sheet ต่างจากระบบและระบบไม่ได้แก้ทีหลัง — ต้องให้ admin เลือก
+
+export type ReconcileResolution = 'db' | 'sheet'
+
+export interface FieldDiff {
+  field: string
+  db: string
+  sheet: string
+}
+
+export interface ReconcileItem {
+  id: string
+  requestNo: string
+  customerName: string
+  action: ReconcileAction
+  reason: string
+  // conflict ที่เลือกฝั่งชนะได้ (id ซ้ำใน Sheet ต้องไปแก้ใน Sheet เอง)
+  resolvable: boolean
+  diffs: FieldDiff[]
+  dbUpdatedAt: string | null
+  sheetUpdatedAt: string | null
+}
+
+export interface ReconcileReport {
+  generatedAt: string
+  summary: Record<ReconcileAction, number>
+  // ไม่รวม in_sync
+  items: ReconcileItem[]
+}
+
+export interface ReconcileResult {
+  applied: number
+  skipped: number
+  failed: { id: string; error: string }[]
+  report: ReconcileReport
+}
+
+// ชื่อที่บันทึกในประวัติเมื่อสถานะเปลี่ยนเพราะแก้ใน Sheet
+const SHEET_ACTOR = 'Google Sheets'
+const SHEET_AUDIT: AuditContext = { by: SHEET_ACTOR, source: 'sheet' }
+
+// ฟิลด์ที่ดึงจาก Sheet กลับเข้าระบบได้
+const PULL_FIELDS = [
+  'channel', 'customerName', 'contactName', 'phone', 'address',
+  'serviceType', 'description', 'priority', 'appointmentDate', 'appointmentEndDate', 'notes',
+] as const satisfies readonly (keyof ServiceRequestPatch & keyof SheetServiceRequest)[]
+
+// ฟิลด์ที่ระบบเป็นเจ้าของ — ต่างกันก็แค่เขียนทับ Sheet
+// (รูป/ไฟล์แนบอัปโหลดผ่านระบบเท่านั้น แถวเก่าที่ยังไม่มีคอลัมน์ imageUrls ถ้าดึงกลับรูปจะหาย)
+const PUSH_ONLY_FIELDS = ['requestNo', 'imageUrl', 'imageUrls', 'attachments', 'calendarEventId', 'calendarEventUrl'] as const
+
+const CHANNELS: Channel[] = ['LINE', 'โทร', 'Walk-in', 'Facebook', 'อื่นๆ']
+const PRIORITIES: Priority[] = ['normal', 'urgent', 'emergency']
+
+function normalizeValue(field: string, value: unknown): string {
+  // อาร์เรย์ว่าง = ไม่มีค่า (แถวเก่าใน Sheet ยังไม่มีคอลัมน์นี้)
+  if (Array.isArray(value) && value.length === 0) return ''
+  const text = encodeSheetValue(field, value).trim()
+  // แถวเก่าที่เขียนแบบ USER_ENTERED เบอร์โทรถูกแปลงเป็นตัวเลข (0 นำหน้าหาย)
+  if (field === 'phone') return text.replace(/\D/g, '').replace(/^0+/, '')
+  return text
+}
+
+function diffFields(dbRequest: ServiceRequest, sheetRow: SheetServiceRequest, fields: readonly string[]): FieldDiff[] {
+  const dbRecord = dbRequest as unknown as Record<string, unknown>
+  const sheetRecord = sheetRow as unknown as Record<string, unknown>
+  return fields
+    .filter(field => normalizeValue(field, dbRecord[field]) !== normalizeValue(field, sheetRecord[field]))
+    .map(field => ({ field, db: encodeSheetValue(field, dbRecord[field]), sheet: encodeSheetValue(field, sheetRecord[field]) }))
+}
+
+function toTime(value: string | undefined): number {
+  const time = value ? Date.parse(value) : NaN
+  return Number.isNaN(time) ? 0 : time
+}
+
+function latestHistoryTime(history: { date: string }[]): number {
+  return history.reduce((latest, h) => Math.max(latest, toTime(h.date)), 0)
+}
+
+// เวลาแก้ไขล่าสุดของแต่ละฝั่ง — updatedAt ถ้ามี ไม่งั้นใช้เวลาในประวัติสถานะ / createdAt
+function dbModifiedTime(request: ServiceRequest): number {
+  return Math.max(toTime(request.updatedAt), latestHistoryTime(request.history), toTime(request.createdAt))
+}
+
+function sheetModifiedTime(row: SheetServiceRequest): number {
+  return Math.max(toTime(row.updatedAt), latestHistoryTime(row.history), toTime(row.createdAt))
+}
+
+function toIso(time: number): string | null {
+  return time ? new Date(time).toISOString() : null
+}
+
+// แถวใน Sheet → ServiceRequest (ใช้ตอนเพิ่มงานที่มีแค่ใน Sheet)
+function sheetRowToRequest(row: SheetServiceRequest): ServiceRequest {
+  const history: StatusHistoryEntry[] = row.history
+    .filter(h => isStatusValue(h.status))
+    .map(h => ({ status: h.status as StatusHistoryEntry['status'], date: h.date, by: h.by }))
+
+  return normalizeServiceRequest({
+    id: row.id,
+    requestNo: row.requestNo,
+    createdAt: toTime(row.createdAt) ? row.createdAt : '',
+    channel: CHANNELS.includes(row.channel) ? row.channel : 'อื่นๆ',
+    customerName: row.customerName,
+    ...(row.contactName ? { contactName: row.contactName } : {}),
+    phone: row.phone,
+    address: row.address,
+    serviceType: row.serviceType,
+    description: row.description,
+    priority: PRIORITIES.includes(row.priority) ? row.priority : 'normal',
+    status: isStatusValue(row.status) ? row.status : 'new',
+    appointmentDate: row.appointmentDate,
+    ...(row.appointmentEndDate ? { appointmentEndDate: row.appointmentEndDate } : {}),
+    notes: row.notes,
+    imageUrl: row.imageUrls?.[0] || row.imageUrl,
+    imageUrls: row.imageUrls?.length ? row.imageUrls : row.imageUrl ? [row.imageUrl] : [],
+    ...(row.attachments?.length ? { attachments: row.attachments } : {}),
+    history,
+    ...(row.calendarEventId ? { calendarEventId: row.calendarEventId } : {}),
+    ...(row.calendarEventUrl ? { calendarEventUrl: row.calendarEventUrl } : {}),
+  })
+}
+
+// งานทั้งหมดในระบบ: SQLite (รวมถังขยะ — Sheet ยังเก็บแถวไว้) + งานเก่าที่ยังอยู่แค่ใน Firebase (ยังไม่เคยถูกเปิดหลังย้ายมา SQLite)
+async function loadSystemRequests(): Promise<Map<string, ServiceRequest>> {
+  const requests = new Map((await listServiceRequests({ includeTrashed: true })).map(r => [r.id, r]))
+
+  const snapshot = await get(ref(firebaseDb, 'serviceRequests'))
+  const firebaseData = (snapshot.val() || {}) as Record<string, Partial<ServiceRequest>>
+  for (const [id, raw] of Object.entries(firebaseData)) {
+    if (!requests.has(id) && raw) requests.set(id, normalizeServiceRequest({ ...raw, id }))
+  }
+  return requests
+}
+
+function toPullPatch(sheetRow: SheetServiceRequest): ServiceRequestPatch {
+  const patch: ServiceRequestPatch = {
+    customerName: sheetRow.customerName,
+    contactName: sheetRow.contactName || '',
+    phone: sheetRow.phone,
+    address: sheetRow.address,
+    serviceType: sheetRow.serviceType,
+    description: sheetRow.description,
+    appointmentDate: sheetRow.appointmentDate,
+    appointmentEndDate: sheetRow.appointmentEndDate || '',
+    notes: sheetRow.notes,
+  }
+  if (CHANNELS.includes(sheetRow.channel)) patch.channel = sheetRow.channel
+  if (PRIORITIES.includes(sheetRow.priority)) patch.priority = sheetRow.priority
+  return patch
+}
+
+function compareRequest(dbRequest: ServiceRequest, sheetRow: SheetServiceRequest): Omit<ReconcileItem, 'id' | 'requestNo' | 'customerName'> {
+  const dbTime = dbModifiedTime(dbRequest)
+  const sheetTime = sheetModifiedTime(sheetRow)
+  const base = { resolvable: true, dbUpdatedAt: toIso(dbTime), sheetUpdatedAt: toIso(sheetTime) }
+
+  const pullDiffs = diffFields(dbRequest, sheetRow, [...PULL_FIELDS, 'status'])
+  const pushOnlyDiffs = diffFields(dbRequest, sheetRow, PUSH_ONLY_FIELDS)
+  const diffs = [...pullDiffs, ...pushOnlyDiffs]
+
+  if (diffs.length === 0) {
+    return { ...base, action: 'in_sync', reason: '', diffs }
+  }
+
+  // ต่างแค่ฟิลด์ที่ระบบเป็นเจ้าของ
+  if (pullDiffs.length === 0) {
+    return { ...base, action: 'push_to_sheet', reason: 'ข้อมูลระบบ (เลขที่งาน/รูป/นัดหมาย) ไม่ตรงกับ Sheet', diffs }
+  }
+
+  if (dbTime > sheetTime) {
+    return { ...base, action: 'push_to_sheet', reason: 'ระบบแก้ล่าสุด', diffs }
+  }
+
+  // Sheet ใหม่กว่า (หรือเวลาเท่ากัน) — บอกเหตุผลให้ admin ตัดสิน ไม่ดึงเข้าระบบเอง
+  const sheetStatus = sheetRow.status
+  if (sheetStatus !== dbRequest.status) {
+    if (!isStatusValue(sheetStatus)) {
+      return { ...base, action: 'conflict', reason: `สถานะใน Sheet "${sheetStatus}" ไม่มีในระบบ (เลือก Sheet = ดึงเฉพาะข้อมูลอื่น)`, diffs }
+    }
+    const label = getStatusConfig(sheetStatus).label
+    if (!isStatusValue(dbRequest.status) || !canTransitionTo(dbRequest.status, sheetStatus)) {
+      return { ...base, action: 'conflict', reason: `Sheet เปลี่ยนสถานะเป็น "${label}" ข้ามขั้นตอน workflow`, diffs }
+    }
+    const merged = { ...dbRequest, ...toPullPatch(sheetRow) }
+    if (getMissingRequiredFields(sheetStatus, merged).length > 0) {
+      return { ...base, action: 'conflict', reason: `Sheet เปลี่ยนสถานะเป็น "${label}" แต่ขาดข้อมูลที่สถานะนี้บังคับ`, diffs }
+    }
+    return { ...base, action: 'conflict', reason: `Sheet เปลี่ยนสถานะเป็น "${label}"`, diffs }
+  }
+
+  // เวลาเท่ากันแต่ข้อมูลไม่ตรง = มีคนแก้ใน Sheet โดยไม่มีการบันทึกเวลา (ไม่ได้ติดตั้ง onEdit)
+  const reason = sheetTime > dbTime ? 'แก้ใน Sheet ล่าสุด' : 'ข้อมูลต่างกันแต่บอกไม่ได้ว่าฝั่งไหนใหม่กว่า'
+  return { ...base, action: 'conflict', reason, diffs }
+}
+
+async function analyze(): Promise<{ report: ReconcileReport; sheetById: Map<string, SheetServiceRequest> }> {
+  const [systemRequests, sheetRows] = await Promise.all([loadSystemRequests(), readSheetRows()])
+
+  const summary: Record<ReconcileAction, number> = {
+    in_sync: 0, create_in_db: 0, push_to_sheet: 0, pull_from_sheet: 0, conflict: 0,
+  }
+  const items: ReconcileItem[] = []
+  const add = (item: ReconcileItem) => {
+    summary[item.action]++
+    if (item.action !== 'in_sync') items.push(item)
+  }
+
+  const sheetById = new Map<string, SheetServiceRequest>()
+  const duplicateIds = new Set<string>()
+  for (const row of sheetRows) {
+    if (sheetById.has(row.id)) duplicateIds.add(row.id)
+    else sheetById.set(row.id, row)
+  }
+
+  for (const [id, sheetRow] of sheetById) {
+    const dbRequest = systemRequests.get(id)
+    const label = { id, requestNo: dbRequest?.requestNo || sheetRow.requestNo, customerName: dbRequest?.customerName || sheetRow.customerName }
+
+    if (duplicateIds.has(id)) {
+      add({
+        ...label,
+        action: 'conflict',
+        reason: 'id นี้ซ้ำกันหลายแถวใน Sheet — ลบแถวที่ซ้ำใน Sheet ก่อน',
+        resolvable: false,
+        diffs: [],
+        dbUpdatedAt: dbRequest ? toIso(dbModifiedTime(dbRequest)) : null,
+        sheetUpdatedAt: toIso(sheetModifiedTime(sheetRow)),
+      })
+      continue
+    }
+
+    if (!dbRequest) {
+      add({
+        ...label,
+        action: 'create_in_db',
+        reason: 'มีใน Sheet แต่ไม่มีในระบบ',
+        resolvable: true,
+        diffs: [],
+        dbUpdatedAt: null,
+        sheetUpdatedAt: toIso(sheetModifiedTime(sheetRow)),
+      })
+      continue
+    }
+
+    add({ ...label, ...compareRequest(dbRequest, sheetRow) })
+  }
+
+  for (const [id, dbRequest] of systemRequests) {
+    if (sheetById.has(id)) continue
+    add({
+      id,
+      requestNo: dbRequest.requestNo,
+      customerName: dbRequest.customerName,
+      action: 'push_to_sheet',
+      reason: 'มีในระบบแต่ไม่มีใน Sheet',
+      resolvable: true,
+      diffs: [],
+      dbUpdatedAt: toIso(dbModifiedTime(dbRequest)),
+      sheetUpdatedAt: null,
+    })
+  }
+
+  return { report: { generatedAt: new Date().toISOString(), summary, items }, sheetById }
+}
+
+/**
+ * 🔍 Build Report (dry-run)
+ * ไม่เขียนอะไรทั้งสองฝั่ง — แค่บอกว่าถ้า apply จะทำอะไรกับงานไหน
+ */
+export async function buildReconcileReport(): Promise<ReconcileReport> {
+  return (await analyze()).report
+}
+
+// เรียกเฉพาะเมื่อ admin เลือก "ใช้ข้อมูล Sheet" — สถานะใน Sheet ใช้ได้แม้ข้ามขั้นตอน workflow (admin ตัดสินแล้ว)
+// เข้าคิวเขียนแถวกลับไป Sheet พร้อมบันทึก (updatedAt ตรงกัน) — ไม่แจ้งเตือน/ไม่แตะปฏิทิน
+async function pullFromSheet(sheetRow: SheetServiceRequest): Promise<void> {
+  // งานที่อยู่แค่ใน Firebase จะถูกย้ายเข้า SQLite ตรงนี้ (read-through)
+  const current = await getServiceRequest(sheetRow.id, { includeTrashed: true })
+  if (!current) throw new Error('Record not found')
+
+  const patch = toPullPatch(sheetRow)
+  const sheetStatus = sheetRow.status
+  const statusChanged = isStatusValue(sheetStatus) && sheetStatus !== current.status
+  if (statusChanged) {
+    await changeServiceRequestStatus(current, sheetStatus, SHEET_AUDIT, patch, 'sheet_refresh')
+  } else {
+    await updateServiceRequest(sheetRow.id, patch, SHEET_AUDIT, 'sheet_refresh')
+  }
+}
+
+/**
+ * ✅ Apply
+ * สร้างรายงานใหม่ (ไม่เชื่อรายงานเก่าจากฝั่ง client) แล้วทำตาม action ของแต่ละงาน
+ * conflict ข้ามไป เว้นแต่ส่ง resolutions มาบอกว่าให้ฝั่งไหนชนะ — ข้อมูลจาก Sheet เข้าระบบทางนี้ทางเดียว
+ * การเขียนลง Sheet ทำผ่าน outbox (มี retry) — ทุกงานที่แตะจะถูกเขียนกลับให้ updatedAt ตรงกัน
+ */
+export async function applyReconcile(resolutions: Record<string, ReconcileResolution> = {}): Promise<ReconcileResult> {
+  const { report, sheetById } = await analyze()
+
+  let applied = 0
+  let skipped = 0
+  const failed: ReconcileResult['failed'] = []
+
+  for (const item of report.items) {
+    const resolution = resolutions[item.id]
+    const action: ReconcileAction = item.action === 'conflict' && item.resolvable
+      ? resolution === 'db' ? 'push_to_sheet' : resolution === 'sheet' ? 'pull_from_sheet' : 'conflict'
+      : item.action
+
+    try {
+      const sheetRow = sheetById.get(item.id)
+      if (action === 'conflict' || (action === 'pull_from_sheet' && !sheetRow)) {
+        skipped++
+        continue
+      }
+
+      if (action === 'create_in_db' && sheetRow) {
+        await createServiceRequest(sheetRowToRequest(sheetRow), SHEET_AUDIT, 'sheet_refresh')
+      } else if (action === 'pull_from_sheet' && sheetRow) {
+        await pullFromSheet(sheetRow)
+      } else if (action === 'push_to_sheet') {
+        // งานที่อยู่แค่ใน Firebase ต้องย้ายเข้า SQLite ก่อน outbox ถึงจะอ่านเจอ
+        await getServiceRequest(item.id, { includeTrashed: true })
+        await enqueueOutboxJob('sheets.upsert', item.id)
+      }
+      applied++
+    } catch (error) {
+      failed.push({ id: item.id, error: error instanceof Error ? error.message : 'Unknown error' })
+    }
+  }
+
+  kickOutboxWorker()
+  return { applied, skipped, failed, report }
+}
@@ -0,0 +1,38 @@
+import type { FieldChange as FieldChangeRecord } from '@prisma/client'
+import { db } from '@/lib/db'
+import type { AuditSource, FieldChangeEntry } from '@/lib/types'
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Repository ประวัติการแก้ไขรายฟิลด์ (อ่านอย่างเดียว)
+// การเขียนอยู่ใน service-requests.ts — ลงใน transaction เดียวกับการแก้งานเสมอ
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+function toFieldChangeEntry(row: FieldChangeRecord): FieldChangeEntry {
+  return {
+    id: row.id,
+    requestId: row.requestId,
+    requestNo: row.requestNo,
+    field: row.field,
+    before: row.before,
+    after: row.after,
+    by: row.by,
+    source: row.source as AuditSource,
+    revertOfId: row.revertOfId,
+    createdAt: row.createdAt.toISOString(),
+  }
+}
+
+// ล่าสุดก่อน (timeline ใน modal งาน)
+export async function listFieldChanges(requestId: string, limit = 200): Promise<FieldChangeEntry[]> {
+  const rows = await db.fieldChange.findMany({
+    where: { requestId },
+    orderBy: { id: 'desc' },
+    take: limit,
+  })
+  return rows.map(toFieldChangeEntry)
+}
+
+export async function getFieldChange(id: number): Promise<FieldChangeEntry | null> {
+  const row = await db.fieldChange.findUnique({ where: { id } })
+  return row ? toFieldChangeEntry(row) : null
+}
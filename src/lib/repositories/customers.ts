@@ -0,0 +1,319 @@
+import type { Customer as CustomerRecord, Site as SiteRecord } from '@prisma/client'
+import { db } from '@/lib/db'
+import {
+  type CustomerMatch,
+  type MatchInput,
+  extractPhones,
+  isConfidentMatch,
+  normalizeName,
+  normalizePhone,
+  rankCustomerMatches,
+  splitBranch,
+} from '@/lib/customer-match'
+import { listServiceRequests, updateServiceRequest } from '@/lib/repositories/service-requests'
+import type { AuditContext, Customer, CustomerSite, ServiceRequest } from '@/lib/types'
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Repository ลูกค้า + สาขา
+// งานเก็บชื่อ/เบอร์/ที่อยู่ของตัวเองไว้ด้วยเสมอ — customerId/siteId เป็นแค่ลิงก์มาที่นี่
+// (ลูกค้าหลักพันราย โหลดมาให้คะแนนในหน่วยความจำได้ ไม่ต้องมี search index)
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+export interface CustomerInput {
+  name: string
+  contactName?: string
+  phone?: string
+  notes?: string
+}
+
+export interface SiteInput {
+  id?: string
+  name?: string
+  address: string
+  contactName?: string
+  phone?: string
+}
+
+// ข้อมูลที่ใช้ผูกงานกับลูกค้า (ฟิลด์เดียวกับฟอร์มเปิดงาน)
+export interface CustomerLinkInput {
+  customerId?: string
+  siteId?: string
+  customerName: string
+  contactName?: string
+  phone: string
+  address: string
+}
+
+type CustomerRow = CustomerRecord & { sites: SiteRecord[]; _count: { requests: number } }
+
+const withSites = {
+  sites: { orderBy: { createdAt: 'asc' } },
+  // ไม่นับงานในถังขยะ (ประวัติงานของลูกค้าก็ไม่แสดง)
+  _count: { select: { requests: { where: { deletedAt: null } } } },
+} as const
+
+function toSite(row: SiteRecord): CustomerSite {
+  return {
+    id: row.id,
+    customerId: row.customerId,
+    name: row.name,
+    address: row.address,
+    contactName: row.contactName,
+    phone: row.phone,
+  }
+}
+
+function toCustomer(row: CustomerRow): Customer {
+  return {
+    id: row.id,
+    name: row.name,
+    contactName: row.contactName,
+    phone: row.phone,
+    notes: row.notes,
+    createdAt: row.createdAt.toISOString(),
+    updatedAt: row.updatedAt.toISOString(),
+    sites: row.sites.map(toSite),
+    requestCount: row._count.requests,
+  }
+}
+
+// เก็บเบอร์แรกแบบตัวเลขล้วนไว้ค้นหา
+function phoneDigits(phone: string | undefined): string {
+  return extractPhones(phone ?? '')[0] ?? ''
+}
+
+function siteData(site: SiteInput) {
+  return {
+    name: site.name?.trim() ?? '',
+    address: site.address.trim(),
+    contactName: site.contactName?.trim() ?? '',
+    phone: site.phone?.trim() ?? '',
+    phoneDigits: phoneDigits(site.phone),
+  }
+}
+
+/**
+ * 📋 List
+ * ค้นด้วยชื่อร้าน/ชื่อสาขา/ผู้ติดต่อ/ที่อยู่/เบอร์ (เบอร์เทียบแบบตัวเลขล้วน)
+ */
+export async function listCustomers(options: { q?: string; limit?: number } = {}): Promise<Customer[]> {
+  const rows = await db.customer.findMany({ include: withSites, orderBy: { name: 'asc' } })
+  const customers = rows.map(toCustomer)
+
+  const q = options.q?.trim()
+  if (!q) return customers.slice(0, options.limit ?? 200)
+
+  const needle = normalizeName(q)
+  const digits = normalizePhone(q)
+  return customers
+    .filter(c => {
+      const texts = [c.name, c.contactName, ...c.sites.flatMap(s => [s.name, s.address, s.contactName])]
+      const phones = [c.phone, ...c.sites.map(s => s.phone)].flatMap(extractPhones)
+      return (needle.length > 0 && texts.some(t => normalizeName(t).includes(needle)))
+        || (digits.length >= 4 && phones.some(p => p.includes(digits)))
+    })
+    .slice(0, options.limit ?? 200)
+}
+
+export async function getCustomer(id: string): Promise<Customer | null> {
+  const row = await db.customer.findUnique({ where: { id }, include: withSites })
+  return row ? toCustomer(row) : null
+}
+
+// ประวัติงานทั้งหมดของลูกค้า (ใบเสนอราคา/นัดหมายดูจากงานแต่ละใบ)
+export async function getCustomerRequests(id: string): Promise<ServiceRequest[]> {
+  return listServiceRequests({ customerId: id })
+}
+
+export async function createCustomer(data: CustomerInput, sites: SiteInput[] = []): Promise<Customer> {
+  const row = await db.customer.create({
+    data: {
+      name: data.name.trim(),
+      contactName: data.contactName?.trim() ?? '',
+      phone: data.phone?.trim() ?? '',
+      phoneDigits: phoneDigits(data.phone),
+      notes: data.notes ?? '',
+      sites: { create: sites.map(siteData) },
+    },
+    include: withSites,
+  })
+  return toCustomer(row)
+}
+
+/**
+ * ✏️ Update
+ * แก้ข้อมูลลูกค้า + เพิ่ม/แก้สาขา (สาขาที่ไม่ได้ส่งมาไม่ถูกลบ เพราะงานเก่ายังชี้อยู่)
+ */
+export async function updateCustomer(
+  id: string,
+  data: Partial<CustomerInput>,
+  sites: SiteInput[] = []
+): Promise<Customer | null> {
+  const existing = await db.customer.findUnique({ where: { id }, select: { id: true } })
+  if (!existing) return null
+
+  await db.$transaction(async tx => {
+    await tx.customer.update({
+      where: { id },
+      data: {
+        ...(data.name !== undefined ? { name: data.name.trim() } : {}),
+        ...(data.contactName !== undefined ? { contactName: data.contactName.trim() } : {}),
+        ...(data.phone !== undefined ? { phone: data.phone.trim(), phoneDigits: phoneDigits(data.phone) } : {}),
+        ...(data.notes !== undefined ? { notes: data.notes } : {}),
+      },
+    })
+    for (const site of sites) {
+      if (site.id) {
+        await tx.site.updateMany({ where: { id: site.id, customerId: id }, data: siteData(site) })
+      } else {
+        await tx.site.create({ data: { ...siteData(site), customerId: id } })
+      }
+    }
+  })
+  return getCustomer(id)
+}
+
+/**
+ * 🔗 Merge
+ * รวมลูกค้าที่ซ้ำ — ย้ายสาขาและงานทั้งหมดของ source ไปที่ target แล้วลบ source
+ */
+export async function mergeCustomers(targetId: string, sourceId: string): Promise<Customer | null> {
+  if (targetId === sourceId) return getCustomer(targetId)
+  const [target, source] = await Promise.all([getCustomer(targetId), getCustomer(sourceId)])
+  if (!target || !source) return null
+
+  await db.$transaction([
+    db.site.updateMany({ where: { customerId: sourceId }, data: { customerId: targetId } }),
+    db.serviceRequest.updateMany({ where: { customerId: sourceId }, data: { customerId: targetId } }),
+    db.customer.update({
+      where: { id: targetId },
+      data: {
+        // ช่องที่ target ยังว่างเอาของ source มาเติม
+        ...(!target.contactName && source.contactName ? { contactName: source.contactName } : {}),
+        ...(!target.phone && source.phone ? { phone: source.phone, phoneDigits: phoneDigits(source.phone) } : {}),
+        ...(source.notes ? { notes: [target.notes, source.notes].filter(Boolean).join('\n') } : {}),
+      },
+    }),
+    db.customer.delete({ where: { id: sourceId } }),
+  ])
+  return getCustomer(targetId)
+}
+
+async function loadMatchCandidates() {
+  return db.customer.findMany({
+    select: {
+      id: true,
+      name: true,
+      contactName: true,
+      phone: true,
+      sites: { select: { id: true, name: true, address: true, contactName: true, phone: true } },
+    },
+  })
+}
+
+/**
+ * 🔍 Find Matches
+ * ลูกค้าที่น่าจะเป็นรายเดียวกับข้อมูลที่กรอก/ที่ AI อ่านได้ (ดู rankCustomerMatches)
+ */
+export async function findCustomerMatches(input: MatchInput, options: { limit?: number } = {}): Promise<CustomerMatch[]> {
+  return rankCustomerMatches(input, await loadMatchCandidates(), options)
+}
+
+// ใช้ใน route AI — DB มีปัญหาก็ยังตอบผลวิเคราะห์ได้ แค่ไม่มีรายการแนะนำ
+export async function suggestCustomers(input: MatchInput): Promise<CustomerMatch[]> {
+  try {
+    return await findCustomerMatches(input)
+  } catch (error) {
+    console.error('Customer suggestion failed:', error)
+    return []
+  }
+}
+
+/**
+ * 🧷 Resolve Link
+ * หา customerId/siteId ให้งานที่กำลังเปิด:
+ *   เลือกลูกค้ามาจากฟอร์ม → ใช้ตามนั้น (สาขาไม่ตรงกับลูกค้า → หา/สร้างสาขาจากที่อยู่)
+ *   ไม่ได้เลือก → ผูกกับรายที่มั่นใจว่าตรง (isConfidentMatch) หรือสร้างลูกค้าใหม่
+ */
+export async function resolveCustomerLink(input: CustomerLinkInput): Promise<{ customerId: string; siteId: string }> {
+  const { base, branch } = splitBranch(input.customerName)
+  const newSite: SiteInput = { name: branch, address: input.address, contactName: input.contactName ?? '' }
+
+  let customerId = input.customerId
+  let siteId = input.siteId
+  if (customerId && !(await db.customer.findUnique({ where: { id: customerId }, select: { id: true } }))) {
+    customerId = undefined
+    siteId = undefined
+  }
+
+  if (!customerId) {
+    const [best] = await findCustomerMatches(
+      { name: input.customerName, phone: input.phone, address: input.address },
+      { limit: 1 }
+    )
+    if (!best || !isConfidentMatch(best)) {
+      const created = await createCustomer(
+        { name: base || input.customerName, contactName: input.contactName ?? '', phone: input.phone },
+        [newSite]
+      )
+      return { customerId: created.id, siteId: created.sites[0]?.id ?? '' }
+    }
+    customerId = best.customerId
+    siteId = best.siteId ?? undefined
+  }
+
+  if (siteId) {
+    const site = await db.site.findFirst({ where: { id: siteId, customerId }, select: { id: true } })
+    if (site) return { customerId, siteId: site.id }
+  }
+
+  // ลูกค้าเดิมแต่ไม่รู้สาขา → ลองจับจากที่อยู่/ชื่อสาขาก่อน ไม่เจอค่อยเพิ่มสาขาใหม่
+  const [sameCustomer] = rankCustomerMatches(
+    { name: input.customerName, phone: input.phone, address: input.address },
+    (await loadMatchCandidates()).filter(c => c.id === customerId),
+    { minScore: 0 }
+  )
+  if (sameCustomer?.siteId) return { customerId, siteId: sameCustomer.siteId }
+
+  const customer = await getCustomer(customerId)
+  const knownPhones = [customer?.phone ?? '', ...(customer?.sites.map(s => s.phone) ?? [])].flatMap(extractPhones)
+  const site = await db.site.create({
+    data: {
+      ...siteData({
+        ...newSite,
+        // เบอร์ซ้ำกับของลูกค้าไม่ต้องเก็บซ้ำที่สาขา
+        phone: extractPhones(input.phone).some(p => knownPhones.includes(p)) ? '' : input.phone,
+      }),
+      customerId,
+    },
+  })
+  return { customerId, siteId: site.id }
+}
+
+/**
+ * 🗂️ Backfill
+ * ผูกงานเก่าที่ยังไม่มี customerId ทีละงาน (เก่า → ใหม่ ให้ลูกค้าที่สร้างใหม่ถูกใช้ซ้ำกับงานถัดไป)
+ */
+export async function backfillCustomerLinks(audit: AuditContext): Promise<{ linked: number; failed: { id: string; error: string }[] }> {
+  const rows = await db.serviceRequest.findMany({
+    where: { customerId: null },
+    select: { id: true, customerName: true, contactName: true, phone: true, address: true },
+    orderBy: { createdAt: 'asc' },
+  })
+
+  let linked = 0
+  const failed: { id: string; error: string }[] = []
+  for (const row of rows) {
+    // งานเก่าที่ไม่มีชื่อร้าน ผูกไม่ได้ (เว้นไว้ให้แก้มือ)
+    if (!row.customerName.trim()) continue
+    try {
+      const link = await resolveCustomerLink({ ...row, contactName: row.contactName ?? '' })
+      // ลูกค้าไม่ได้อยู่ใน Sheet / ปฏิทิน — ไม่ต้อง sync
+      await updateServiceRequest(row.id, link, audit, null)
+      linked++
+    } catch (error) {
+      failed.push({ id: row.id, error: error instanceof Error ? error.message : String(error) })
+    }
+  }
+  return { linked, failed }
+}
@@ -0,0 +1,86 @@
+import type { Prisma } from '@prisma/client'
+import { db } from '@/lib/db'
+import { type Role, isRole } from '@/lib/roles'
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Repository พนักงาน
+// pinHash ไม่ออกไปนอก repository ยกเว้นผ่าน getEmployeePinHash (ใช้ตอน login)
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+export interface Employee {
+  id: string
+  name: string
+  role: Role
+  active: boolean
+  hasPin: boolean
+  telegramChatId: string | null
+}
+
+const employeeSelect = { id: true, name: true, role: true, active: true, pinHash: true, telegramChatId: true } as const
+
+function toEmployee(row: {
+  id: string
+  name: string
+  role: string
+  active: boolean
+  pinHash: string | null
+  telegramChatId: string | null
+}): Employee {
+  return {
+    id: row.id,
+    name: row.name,
+    // role ที่ไม่รู้จัก (เช่นแก้ DB ตรงๆ) → ลดเป็น reception ไว้ก่อน ไม่ให้สิทธิ์เกิน
+    role: isRole(row.role) ? row.role : 'reception',
+    active: row.active,
+    hasPin: row.pinHash !== null,
+    telegramChatId: row.telegramChatId,
+  }
+}
+
+export async function listEmployees(
+  options: { includeInactive?: boolean } = {},
+  client: Prisma.TransactionClient = db
+): Promise<Employee[]> {
+  const rows = await client.employee.findMany({
+    where: options.includeInactive ? {} : { active: true },
+    select: employeeSelect,
+    orderBy: { createdAt: 'asc' },
+  })
+  return rows.map(toEmployee)
+}
+
+export async function getEmployee(id: string): Promise<Employee | null> {
+  const row = await db.employee.findUnique({ where: { id }, select: employeeSelect })
+  return row ? toEmployee(row) : null
+}
+
+// พนักงานที่ผูกกับ Telegram user id นี้ (บัญชีที่ปิดแล้วถือว่าไม่มี)
+export async function findEmployeeByTelegramChatId(chatId: string): Promise<Employee | null> {
+  const row = await db.employee.findUnique({ where: { telegramChatId: chatId }, select: employeeSelect })
+  return row?.active ? toEmployee(row) : null
+}
+
+export async function getEmployeePinHash(id: string): Promise<string | null> {
+  const row = await db.employee.findUnique({ where: { id }, select: { pinHash: true, active: true } })
+  return row?.active ? row.pinHash : null
+}
+
+export async function createEmployee(data: { name: string; pinHash: string; role: Role }): Promise<Employee> {
+  const row = await db.employee.create({
+    data: { name: data.name, pinHash: data.pinHash, role: data.role },
+    select: employeeSelect,
+  })
+  return toEmployee(row)
+}
+
+export async function updateEmployee(
+  id: string,
+  data: { name?: string; pinHash?: string; role?: Role; active?: boolean; telegramChatId?: string | null }
+): Promise<Employee | null> {
+  const { count } = await db.employee.updateMany({ where: { id }, data })
+  return count > 0 ? getEmployee(id) : null
+}
+
+export async function countActiveAdmins(): Promise<number> {
+  return db.employee.count({ where: { role: 'admin', active: true } })
+}
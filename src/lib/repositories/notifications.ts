@@ -0,0 +1,223 @@
+import type { NotificationLog as NotificationLogRecord, NotificationRule as NotificationRuleRecord, Prisma } from '@prisma/client'
+import { db } from '@/lib/db'
+import { isRole } from '@/lib/roles'
+import { isStatusValue } from '@/lib/STATUS_WORKFLOW'
+import type {
+  NotificationLogEntry,
+  NotificationLogStatus,
+  NotificationRule,
+  NotificationTarget,
+  NotificationTrigger,
+  Priority,
+} from '@/lib/types'
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Repository กฎแจ้งเตือน + ประวัติการแจ้งเตือน
+// เงื่อนไข/ผู้รับเก็บเป็น JSON ในคอลัมน์ — อ่านแล้วกรองค่าที่ไม่รู้จักทิ้ง (เช่นสถานะที่เลิกใช้)
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+export interface NotificationRuleInput {
+  name: string
+  enabled?: boolean
+  trigger: NotificationTrigger
+  statuses?: NotificationRule['statuses']
+  priorities?: Priority[]
+  serviceTypes?: string[]
+  minAgeHours?: number | null
+  repeatHours?: number | null
+  targets: NotificationTarget[]
+  template?: string
+}
+
+export interface NotificationLogInput {
+  ruleId: string
+  ruleName: string
+  trigger: NotificationTrigger
+  requestId: string
+  requestNo: string
+  target: string
+  reason: string
+  message: string
+  outboxJobId?: number
+  skipReason?: string
+}
+
+function parseArray(json: string): unknown[] {
+  try {
+    const value: unknown = JSON.parse(json)
+    return Array.isArray(value) ? value : []
+  } catch {
+    return []
+  }
+}
+
+function isPriority(value: unknown): value is Priority {
+  return value === 'normal' || value === 'urgent' || value === 'emergency'
+}
+
+function isTarget(value: unknown): value is NotificationTarget {
+  const target = value as { type?: unknown; role?: unknown } | null
+  if (!target || typeof target !== 'object') return false
+  if (target.type === 'telegram_role') return isRole(target.role)
+  return target.type === 'telegram' || target.type === 'line_customer'
+}
+
+function toNotificationRule(row: NotificationRuleRecord): NotificationRule {
+  return {
+    id: row.id,
+    name: row.name,
+    enabled: row.enabled,
+    trigger: row.trigger as NotificationTrigger,
+    statuses: parseArray(row.statuses).filter(isStatusValue),
+    priorities: parseArray(row.priorities).filter(isPriority),
+    serviceTypes: parseArray(row.serviceTypes).filter((t): t is string => typeof t === 'string'),
+    minAgeHours: row.minAgeHours,
+    repeatHours: row.repeatHours,
+    targets: parseArray(row.targets).filter(isTarget),
+    template: row.template,
+    createdAt: row.createdAt.toISOString(),
+    updatedAt: row.updatedAt.toISOString(),
+  }
+}
+
+function ruleData(data: Partial<NotificationRuleInput>) {
+  return {
+    ...(data.name !== undefined ? { name: data.name.trim() } : {}),
+    ...(data.enabled !== undefined ? { enabled: data.enabled } : {}),
+    ...(data.trigger !== undefined ? { trigger: data.trigger } : {}),
+    ...(data.statuses !== undefined ? { statuses: JSON.stringify(data.statuses) } : {}),
+    ...(data.priorities !== undefined ? { priorities: JSON.stringify(data.priorities) } : {}),
+    ...(data.serviceTypes !== undefined ? { serviceTypes: JSON.stringify(data.serviceTypes) } : {}),
+    ...(data.minAgeHours !== undefined ? { minAgeHours: data.minAgeHours } : {}),
+    ...(data.repeatHours !== undefined ? { repeatHours: data.repeatHours } : {}),
+    ...(data.targets !== undefined ? { targets: JSON.stringify(data.targets) } : {}),
+    ...(data.template !== undefined ? { template: data.template } : {}),
+  }
+}
+
+export async function listNotificationRules(
+  options: { trigger?: NotificationTrigger; enabledOnly?: boolean } = {},
+  client: Prisma.TransactionClient = db
+): Promise<NotificationRule[]> {
+  const rows = await client.notificationRule.findMany({
+    where: {
+      ...(options.trigger ? { trigger: options.trigger } : {}),
+      ...(options.enabledOnly ? { enabled: true } : {}),
+    },
+    orderBy: { createdAt: 'asc' },
+  })
+  return rows.map(toNotificationRule)
+}
+
+export async function getNotificationRule(id: string): Promise<NotificationRule | null> {
+  const row = await db.notificationRule.findUnique({ where: { id } })
+  return row ? toNotificationRule(row) : null
+}
+
+export async function createNotificationRule(input: NotificationRuleInput): Promise<NotificationRule> {
+  const row = await db.notificationRule.create({
+    data: { ...ruleData(input), name: input.name.trim(), trigger: input.trigger },
+  })
+  return toNotificationRule(row)
+}
+
+export async function updateNotificationRule(id: string, input: Partial<NotificationRuleInput>): Promise<NotificationRule | null> {
+  if (!(await db.notificationRule.findUnique({ where: { id } }))) return null
+  const row = await db.notificationRule.update({ where: { id }, data: ruleData(input) })
+  return toNotificationRule(row)
+}
+
+// ประวัติที่เคยส่งยังอยู่ (ruleId เป็น null แต่ชื่อกฎยังอ่านได้)
+export async function deleteNotificationRule(id: string): Promise<boolean> {
+  const { count } = await db.notificationRule.deleteMany({ where: { id } })
+  return count > 0
+}
+
+// ── ประวัติการแจ้งเตือน ──
+
+// ส่ง tx มา = ลงประวัติใน transaction เดียวกับที่เข้าคิวข้อความ (ดู enqueueRequestSync)
+export async function createNotificationLog(input: NotificationLogInput, client: Prisma.TransactionClient = db): Promise<void> {
+  await client.notificationLog.create({
+    data: {
+      ruleId: input.ruleId,
+      ruleName: input.ruleName,
+      trigger: input.trigger,
+      requestId: input.requestId,
+      requestNo: input.requestNo,
+      target: input.target,
+      reason: input.reason,
+      message: input.message,
+      outboxJobId: input.outboxJobId ?? null,
+      skipReason: input.skipReason ?? null,
+    },
+  })
+}
+
+/**
+ * 🕑 Last Notified
+ * แจ้งเตือนครั้งล่าสุดของกฎนี้ต่องาน (requestId → เวลา) — ใช้กันเตือนงานค้างซ้ำทุกรอบ
+ */
+export async function getLastNotifiedAt(ruleId: string): Promise<Map<string, Date>> {
+  const groups = await db.notificationLog.groupBy({
+    by: ['requestId'],
+    where: { ruleId, requestId: { not: null } },
+    _max: { createdAt: true },
+  })
+  const result = new Map<string, Date>()
+  for (const group of groups) {
+    if (group.requestId && group._max.createdAt) result.set(group.requestId, group._max.createdAt)
+  }
+  return result
+}
+
+/**
+ * 📜 List Logs
+ * สถานะการส่งอ่านจาก OutboxJob ที่ผูกไว้ — job ที่ไม่อยู่แล้ว = ส่งสำเร็จและถูกล้างทิ้งตามรอบ (ล้างเฉพาะ done)
+ */
+export async function listNotificationLogs(
+  options: { ruleId?: string; requestId?: string; limit?: number } = {}
+): Promise<NotificationLogEntry[]> {
+  const rows = await db.notificationLog.findMany({
+    where: {
+      ...(options.ruleId ? { ruleId: options.ruleId } : {}),
+      ...(options.requestId ? { requestId: options.requestId } : {}),
+    },
+    orderBy: { id: 'desc' },
+    take: options.limit ?? 200,
+  })
+
+  const jobIds = rows.map(r => r.outboxJobId).filter((id): id is number => id !== null)
+  const jobs = await db.outboxJob.findMany({
+    where: { id: { in: jobIds } },
+    select: { id: true, status: true, lastError: true },
+  })
+  const jobById = new Map(jobs.map(job => [job.id, job]))
+
+  return rows.map(row => toLogEntry(row, row.outboxJobId === null ? null : jobById.get(row.outboxJobId)))
+}
+
+function toLogEntry(
+  row: NotificationLogRecord,
+  job: { status: string; lastError: string | null } | null | undefined
+): NotificationLogEntry {
+  let status: NotificationLogStatus
+  if (job === null) status = 'skipped'
+  else if (!job || job.status === 'done') status = 'sent'
+  else if (job.status === 'dead') status = 'failed'
+  else status = 'queued'
+
+  return {
+    id: row.id,
+    ruleId: row.ruleId,
+    ruleName: row.ruleName,
+    trigger: row.trigger as NotificationTrigger,
+    requestId: row.requestId,
+    requestNo: row.requestNo,
+    target: row.target,
+    reason: row.reason,
+    message: row.message,
+    status,
+    error: row.skipReason ?? job?.lastError ?? null,
+    createdAt: row.createdAt.toISOString(),
+  }
+}
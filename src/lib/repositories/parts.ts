@@ -0,0 +1,285 @@
+import type { Part as PartRecord, PartRequest as PartRequestRecord } from '@prisma/client'
+import { db } from '@/lib/db'
+import { canChangePartRequestStatus, PART_REQUEST_STATUS_CONFIG } from '@/lib/parts'
+import type { Part, PartRequest, PartRequestStatus } from '@/lib/types'
+import type { StatusValue } from '@/lib/STATUS_WORKFLOW'
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Repository อะไหล่
+// แคตตาล็อก (Part) + อะไหล่ที่แต่ละงานขอ (PartRequest: requested → ordered → received → installed)
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+// สถานะรายการอะไหล่ไม่อนุญาตให้ทำสิ่งที่ขอ — route ตอบ 409
+export class PartStateError extends Error {
+  constructor(message: string) {
+    super(message)
+    this.name = 'PartStateError'
+  }
+}
+
+export interface PartInput {
+  sku?: string
+  name: string
+  unit?: string
+  supplier?: string
+  unitCost?: number
+  unitPrice?: number
+  notes?: string
+  active?: boolean
+}
+
+export interface PartRequestInput {
+  partId?: string
+  name?: string
+  quantity?: number
+  unit?: string
+  supplier?: string
+  unitCost?: number
+  notes?: string
+}
+
+// ข้อมูลที่บันทึกพร้อมการเปลี่ยนสถานะ (ตอนสั่งซื้อ)
+export interface PartOrderDetails {
+  poNumber?: string
+  expectedDate?: string
+  supplier?: string
+  unitCost?: number
+}
+
+// รายการค้างในหน้าจัดซื้อ — แนบเลขงาน/ลูกค้ามาด้วย
+export interface OutstandingPartRequest extends PartRequest {
+  requestNo: string
+  customerName: string
+  requestStatus: StatusValue
+}
+
+function toPart(row: PartRecord): Part {
+  return {
+    id: row.id,
+    sku: row.sku,
+    name: row.name,
+    unit: row.unit,
+    supplier: row.supplier,
+    unitCost: row.unitCost,
+    unitPrice: row.unitPrice,
+    notes: row.notes,
+    active: row.active,
+    createdAt: row.createdAt.toISOString(),
+    updatedAt: row.updatedAt.toISOString(),
+  }
+}
+
+function toPartRequest(row: PartRequestRecord): PartRequest {
+  return {
+    id: row.id,
+    requestId: row.requestId,
+    ...(row.partId ? { partId: row.partId } : {}),
+    name: row.name,
+    quantity: row.quantity,
+    unit: row.unit,
+    supplier: row.supplier,
+    unitCost: row.unitCost,
+    status: row.status as PartRequestStatus,
+    poNumber: row.poNumber,
+    expectedDate: row.expectedDate,
+    notes: row.notes,
+    createdBy: row.createdBy,
+    createdAt: row.createdAt.toISOString(),
+    updatedAt: row.updatedAt.toISOString(),
+    ...(row.orderedAt ? { orderedAt: row.orderedAt.toISOString() } : {}),
+    ...(row.orderedBy ? { orderedBy: row.orderedBy } : {}),
+    ...(row.receivedAt ? { receivedAt: row.receivedAt.toISOString() } : {}),
+    ...(row.receivedBy ? { receivedBy: row.receivedBy } : {}),
+    ...(row.installedAt ? { installedAt: row.installedAt.toISOString() } : {}),
+    ...(row.installedBy ? { installedBy: row.installedBy } : {}),
+  }
+}
+
+function partData(data: Partial<PartInput>) {
+  return {
+    ...(data.sku !== undefined ? { sku: data.sku.trim() } : {}),
+    ...(data.name !== undefined ? { name: data.name.trim() } : {}),
+    ...(data.unit !== undefined ? { unit: data.unit.trim() } : {}),
+    ...(data.supplier !== undefined ? { supplier: data.supplier.trim() } : {}),
+    ...(data.unitCost !== undefined ? { unitCost: data.unitCost } : {}),
+    ...(data.unitPrice !== undefined ? { unitPrice: data.unitPrice } : {}),
+    ...(data.notes !== undefined ? { notes: data.notes } : {}),
+    ...(data.active !== undefined ? { active: data.active } : {}),
+  }
+}
+
+// ── แคตตาล็อก ──
+
+/**
+ * 📋 List Parts
+ * ค้นด้วยชื่อ/รหัส/ร้าน (ไม่ส่ง includeInactive = เฉพาะที่ยังใช้อยู่)
+ */
+export async function listParts(options: { q?: string; includeInactive?: boolean } = {}): Promise<Part[]> {
+  const q = options.q?.trim()
+  const rows = await db.part.findMany({
+    where: {
+      ...(options.includeInactive ? {} : { active: true }),
+      ...(q ? { OR: [{ name: { contains: q } }, { sku: { contains: q } }, { supplier: { contains: q } }] } : {}),
+    },
+    orderBy: { name: 'asc' },
+  })
+  return rows.map(toPart)
+}
+
+export async function createPart(data: PartInput): Promise<Part> {
+  const row = await db.part.create({ data: { ...partData(data), name: data.name.trim() } })
+  return toPart(row)
+}
+
+export async function updatePart(id: string, data: Partial<PartInput>): Promise<Part | null> {
+  const existing = await db.part.findUnique({ where: { id }, select: { id: true } })
+  if (!existing) return null
+  const row = await db.part.update({ where: { id }, data: partData(data) })
+  return toPart(row)
+}
+
+// ── อะไหล่ของงาน ──
+
+export async function listPartRequests(requestId: string): Promise<PartRequest[]> {
+  const rows = await db.partRequest.findMany({ where: { requestId }, orderBy: { createdAt: 'asc' } })
+  return rows.map(toPartRequest)
+}
+
+export async function getPartRequest(id: string): Promise<PartRequest | null> {
+  const row = await db.partRequest.findUnique({ where: { id } })
+  return row ? toPartRequest(row) : null
+}
+
+/**
+ * 🛒 Outstanding
+ * ทุกรายการที่ยังไม่สั่ง / สั่งแล้วยังไม่เข้า ของทุกงาน (หน้าจัดซื้อ) — เรียงตามวันนัดส่ง แล้วตามวันที่ขอ
+ */
+export async function listOutstandingPartRequests(): Promise<OutstandingPartRequest[]> {
+  const rows = await db.partRequest.findMany({
+    where: { status: { in: ['requested', 'ordered'] } },
+    include: { request: { select: { requestNo: true, customerName: true, status: true } } },
+    orderBy: { createdAt: 'asc' },
+  })
+  return rows
+    .map(row => ({
+      ...toPartRequest(row),
+      requestNo: row.request.requestNo,
+      customerName: row.request.customerName,
+      requestStatus: row.request.status as StatusValue,
+    }))
+    // ที่ยังไม่มีวันนัดส่งไว้ท้าย
+    .sort((a, b) => (a.expectedDate || '9999').localeCompare(b.expectedDate || '9999'))
+}
+
+/**
+ * ➕ Create Request
+ * ขออะไหล่ให้งาน — เลือกจากแคตตาล็อก (เติมชื่อ/หน่วย/ร้าน/ราคาทุนให้) หรือพิมพ์ชื่อเอง
+ */
+export async function createPartRequest(
+  requestId: string,
+  input: PartRequestInput,
+  by: string
+): Promise<PartRequest | null> {
+  const request = await db.serviceRequest.findUnique({ where: { id: requestId }, select: { id: true } })
+  if (!request) return null
+
+  const part = input.partId ? await db.part.findUnique({ where: { id: input.partId } }) : null
+  const name = input.name?.trim() || part?.name
+  if (!name) {
+    throw new PartStateError('กรุณาระบุชื่ออะไหล่ หรือเลือกจากแคตตาล็อก')
+  }
+
+  const row = await db.partRequest.create({
+    data: {
+      requestId,
+      partId: part?.id ?? null,
+      name,
+      quantity: input.quantity ?? 1,
+      unit: input.unit?.trim() || part?.unit || '',
+      supplier: input.supplier?.trim() || part?.supplier || '',
+      unitCost: input.unitCost ?? part?.unitCost ?? 0,
+      notes: input.notes ?? '',
+      createdBy: by,
+    },
+  })
+  return toPartRequest(row)
+}
+
+/**
+ * ✏️ Update Request
+ * แก้จำนวน/ร้าน/ราคา/หมายเหตุ — รับของแล้วแก้ได้แค่หมายเหตุ
+ */
+export async function updatePartRequest(
+  id: string,
+  input: PartRequestInput & Pick<PartOrderDetails, 'poNumber' | 'expectedDate'>
+): Promise<PartRequest | null> {
+  const existing = await getPartRequest(id)
+  if (!existing) return null
+
+  const locked = existing.status === 'received' || existing.status === 'installed' || existing.status === 'cancelled'
+  const { notes, ...details } = input
+  if (locked && Object.values(details).some(v => v !== undefined)) {
+    throw new PartStateError(`"${existing.name}" ${PART_REQUEST_STATUS_CONFIG[existing.status].label} แก้ได้เฉพาะหมายเหตุ`)
+  }
+
+  const row = await db.partRequest.update({
+    where: { id },
+    data: {
+      ...(input.name !== undefined ? { name: input.name.trim() } : {}),
+      ...(input.quantity !== undefined ? { quantity: input.quantity } : {}),
+      ...(input.unit !== undefined ? { unit: input.unit.trim() } : {}),
+      ...(input.supplier !== undefined ? { supplier: input.supplier.trim() } : {}),
+      ...(input.unitCost !== undefined ? { unitCost: input.unitCost } : {}),
+      ...(input.poNumber !== undefined ? { poNumber: input.poNumber.trim() } : {}),
+      ...(input.expectedDate !== undefined ? { expectedDate: input.expectedDate } : {}),
+      ...(notes !== undefined ? { notes } : {}),
+    },
+  })
+  return toPartRequest(row)
+}
+
+/**
+ * 🔄 Change Status
+ * เปลี่ยนสถานะตาม canChangePartRequestStatus + ลงเวลา/ชื่อคนทำ
+ * สั่งซื้อ: บันทึกเลขที่ใบสั่งซื้อ/วันนัดส่งไปด้วย และอัปเดตราคาทุน/ร้านในแคตตาล็อกเป็นค่าล่าสุด
+ */
+export async function changePartRequestStatus(
+  id: string,
+  status: PartRequestStatus,
+  by: string,
+  details: PartOrderDetails = {}
+): Promise<PartRequest | null> {
+  const existing = await getPartRequest(id)
+  if (!existing) return null
+  if (!canChangePartRequestStatus(existing.status, status)) {
+    throw new PartStateError(
+      `"${existing.name}" เปลี่ยนจาก "${PART_REQUEST_STATUS_CONFIG[existing.status].label}" เป็น "${PART_REQUEST_STATUS_CONFIG[status].label}" ไม่ได้`
+    )
+  }
+
+  const now = new Date()
+  const row = await db.partRequest.update({
+    where: { id },
+    data: {
+      status,
+      ...(status === 'ordered' ? { orderedAt: now, orderedBy: by } : {}),
+      ...(status === 'received' ? { receivedAt: now, receivedBy: by } : {}),
+      ...(status === 'installed' ? { installedAt: now, installedBy: by } : {}),
+      ...(details.poNumber !== undefined ? { poNumber: details.poNumber.trim() } : {}),
+      ...(details.expectedDate !== undefined ? { expectedDate: details.expectedDate } : {}),
+      ...(details.supplier !== undefined ? { supplier: details.supplier.trim() } : {}),
+      ...(details.unitCost !== undefined ? { unitCost: details.unitCost } : {}),
+    },
+  })
+
+  if (status === 'ordered' && row.partId && (details.unitCost !== undefined || details.supplier)) {
+    await db.part.update({
+      where: { id: row.partId },
+      data: {
+        ...(details.unitCost !== undefined ? { unitCost: details.unitCost } : {}),
+        ...(details.supplier ? { supplier: details.supplier.trim() } : {}),
+      },
+    })
+  }
+  return toPartRequest(row)
+}
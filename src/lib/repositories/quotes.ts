@@ -0,0 +1,215 @@
+import type { Quote as QuoteRecord, QuoteItem as QuoteItemRecord } from '@prisma/client'
+import { db } from '@/lib/db'
+import { DEFAULT_VALID_DAYS, VAT_RATE, calculateQuoteTotals } from '@/lib/quotes'
+import type { Quote, QuoteDiscountType, QuoteItem, QuoteItemKind, QuoteStatus } from '@/lib/types'
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Repository ใบเสนอราคา
+// งานหนึ่งมีได้หลายฉบับ (revision) — แก้ได้เฉพาะฉบับร่าง ส่งแล้วต้อง "ออกฉบับใหม่"
+// ยอดรวมคำนวณฝั่ง server ทุกครั้งที่บันทึก (ไม่เชื่อยอดที่หน้าเว็บส่งมา)
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+// สถานะใบเสนอราคาไม่อนุญาตให้ทำสิ่งที่ขอ — route ตอบ 409
+export class QuoteStateError extends Error {
+  constructor(message: string) {
+    super(message)
+    this.name = 'QuoteStateError'
+  }
+}
+
+export interface QuoteInput {
+  items: QuoteItem[]
+  discountType?: QuoteDiscountType
+  discountValue?: number
+  vatRate?: number
+  validDays?: number
+  notes?: string
+}
+
+type QuoteRow = QuoteRecord & { items: QuoteItemRecord[] }
+
+const withItems = { items: { orderBy: { position: 'asc' } } } as const
+
+function toQuote(row: QuoteRow): Quote {
+  return {
+    id: row.id,
+    requestId: row.requestId,
+    quoteNo: row.quoteNo,
+    revision: row.revision,
+    status: row.status as QuoteStatus,
+    items: row.items.map(item => ({
+      kind: item.kind as QuoteItemKind,
+      description: item.description,
+      quantity: item.quantity,
+      unit: item.unit,
+      unitPrice: item.unitPrice,
+      discount: item.discount,
+    })),
+    discountType: row.discountType as QuoteDiscountType,
+    discountValue: row.discountValue,
+    vatRate: row.vatRate,
+    subtotal: row.subtotal,
+    discountAmount: row.discountAmount,
+    vatAmount: row.vatAmount,
+    total: row.total,
+    validDays: row.validDays,
+    notes: row.notes,
+    createdBy: row.createdBy,
+    createdAt: row.createdAt.toISOString(),
+    updatedAt: row.updatedAt.toISOString(),
+    ...(row.sentAt ? { sentAt: row.sentAt.toISOString() } : {}),
+    ...(row.sentBy ? { sentBy: row.sentBy } : {}),
+    ...(row.respondedAt ? { respondedAt: row.respondedAt.toISOString() } : {}),
+    ...(row.respondedBy ? { respondedBy: row.respondedBy } : {}),
+  }
+}
+
+// Convert input → คอลัมน์ (รวมยอดที่คำนวณแล้ว) + รายการเรียงตามลำดับที่ส่งมา
+function toQuoteData(input: QuoteInput) {
+  const discountType = input.discountType ?? 'amount'
+  const discountValue = input.discountValue ?? 0
+  const vatRate = input.vatRate ?? VAT_RATE
+  const items = input.items.map((item, position) => ({
+    kind: item.kind,
+    description: item.description.trim(),
+    quantity: item.quantity,
+    unit: item.unit.trim(),
+    unitPrice: item.unitPrice,
+    discount: item.discount,
+    position,
+  }))
+  return {
+    data: {
+      discountType,
+      discountValue,
+      vatRate,
+      validDays: input.validDays ?? DEFAULT_VALID_DAYS,
+      notes: input.notes ?? '',
+      ...calculateQuoteTotals({ items, discountType, discountValue, vatRate }),
+    },
+    items,
+  }
+}
+
+export async function listQuotes(requestId: string): Promise<Quote[]> {
+  const rows = await db.quote.findMany({ where: { requestId }, include: withItems, orderBy: { revision: 'desc' } })
+  return rows.map(toQuote)
+}
+
+// ใบเสนอราคาทุกงานของลูกค้า (หน้าประวัติลูกค้า)
+export async function listQuotesByCustomer(customerId: string): Promise<Quote[]> {
+  const rows = await db.quote.findMany({
+    where: { request: { customerId } },
+    include: withItems,
+    orderBy: { createdAt: 'desc' },
+  })
+  return rows.map(toQuote)
+}
+
+export async function getQuote(id: string): Promise<Quote | null> {
+  const row = await db.quote.findUnique({ where: { id }, include: withItems })
+  return row ? toQuote(row) : null
+}
+
+/**
+ * ➕ Create
+ * ออกฉบับใหม่ของงาน (revision ถัดไป) — มีฉบับร่างค้างอยู่แล้วให้แก้ฉบับนั้นแทน
+ */
+export async function createQuote(requestId: string, input: QuoteInput, by: string): Promise<Quote | null> {
+  const request = await db.serviceRequest.findUnique({ where: { id: requestId }, select: { requestNo: true } })
+  if (!request) return null
+
+  const latest = await db.quote.findFirst({ where: { requestId }, orderBy: { revision: 'desc' } })
+  if (latest?.status === 'draft') {
+    throw new QuoteStateError(`มีฉบับร่าง ${latest.quoteNo} อยู่แล้ว กรุณาแก้ไขฉบับนั้นแทน`)
+  }
+
+  const revision = (latest?.revision ?? 0) + 1
+  const { data, items } = toQuoteData(input)
+  const row = await db.quote.create({
+    data: {
+      ...data,
+      requestId,
+      revision,
+      quoteNo: `QT-${request.requestNo}-R${revision}`,
+      createdBy: by,
+      items: { create: items },
+    },
+    include: withItems,
+  })
+  return toQuote(row)
+}
+
+/**
+ * ✏️ Update
+ * แก้รายการ/ส่วนลด/VAT ของฉบับร่าง (แทนที่รายการทั้งหมด)
+ */
+export async function updateQuote(id: string, input: QuoteInput): Promise<Quote | null> {
+  const existing = await db.quote.findUnique({ where: { id }, select: { status: true, quoteNo: true } })
+  if (!existing) return null
+  if (existing.status !== 'draft') {
+    throw new QuoteStateError(`${existing.quoteNo} ส่งลูกค้าไปแล้ว แก้ไขไม่ได้ — กรุณาออกฉบับใหม่`)
+  }
+
+  const { data, items } = toQuoteData(input)
+  const row = await db.quote.update({
+    where: { id },
+    data: { ...data, items: { deleteMany: {}, create: items } },
+    include: withItems,
+  })
+  return toQuote(row)
+}
+
+/**
+ * 🔁 Revise
+ * คัดลอกฉบับที่ส่งแล้วเป็นฉบับร่างใหม่ (revision + 1) ไว้แก้ราคา
+ */
+export async function reviseQuote(id: string, by: string): Promise<Quote | null> {
+  const source = await getQuote(id)
+  if (!source) return null
+  return createQuote(source.requestId, source, by)
+}
+
+/**
+ * 📤 Mark Sent
+ * ฉบับร่าง → ส่งแล้ว; ฉบับที่เคยส่ง/ตอบกลับไว้ก่อนหน้าของงานเดียวกันถูกแทนที่ (superseded)
+ */
+export async function markQuoteSent(id: string, by: string): Promise<Quote | null> {
+  const existing = await db.quote.findUnique({ where: { id }, select: { status: true, quoteNo: true, requestId: true } })
+  if (!existing) return null
+  if (existing.status !== 'draft') {
+    throw new QuoteStateError(`${existing.quoteNo} ส่งไปแล้ว`)
+  }
+
+  await db.$transaction([
+    db.quote.updateMany({
+      where: { requestId: existing.requestId, id: { not: id }, status: { in: ['sent', 'approved', 'rejected'] } },
+      data: { status: 'superseded' },
+    }),
+    db.quote.update({ where: { id }, data: { status: 'sent', sentAt: new Date(), sentBy: by } }),
+  ])
+  return getQuote(id)
+}
+
+/**
+ * ✅ Respond
+ * บันทึกผลตอบกลับของลูกค้า (เฉพาะฉบับที่ส่งแล้วและยังไม่ถูกแทนที่)
+ */
+export async function respondToQuote(
+  id: string,
+  response: 'approved' | 'rejected',
+  by: string
+): Promise<Quote | null> {
+  const existing = await db.quote.findUnique({ where: { id }, select: { status: true, quoteNo: true } })
+  if (!existing) return null
+  if (existing.status !== 'sent') {
+    throw new QuoteStateError(`${existing.quoteNo} ยังไม่ได้ส่ง หรือมีผลตอบกลับ/ฉบับใหม่แทนแล้ว`)
+  }
+
+  const row = await db.quote.update({
+    where: { id },
+    data: { status: response, respondedAt: new Date(), respondedBy: by },
+    include: withItems,
+  })
+  return toQuote(row)
+}
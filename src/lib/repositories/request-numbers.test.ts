@@ -0,0 +1,90 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+import { findDuplicateRequestNos, issueRequestNo, previewRequestNo } from '@/lib/repositories/request-numbers'
+
+const { db } = vi.hoisted(() => {
+  const db = {
+    serviceRequest: { findMany: vi.fn() },
+    $queryRaw: vi.fn(),
+  }
+  return { db }
+})
+
+vi.mock('@/lib/db', () => ({ db }))
+
+// 19 ต.ค. 23:30 เวลาไทย (ยังเป็นวันที่ 19 แม้ UTC จะเป็น 16:30)
+const date = new Date('2026-10-19T16:30:00.000Z')
+
+beforeEach(() => {
+  db.serviceRequest.findMany.mockResolvedValue([])
+  // SQLite คืนตัวเลขจาก RETURNING เป็น bigint
+  db.$queryRaw.mockResolvedValue([{ lastValue: BigInt(1) }])
+  return () => vi.unstubAllEnvs()
+})
+
+describe('issueRequestNo', () => {
+  it('รูปแบบเริ่มต้น: REQ-วันที่ไทย-ลำดับ 3 หลัก', async () => {
+    expect(await issueRequestNo({ date })).toBe('REQ-20261019-001')
+  })
+
+  it('ตัวนับไม่ต่ำกว่าเลขที่มีอยู่ในงาน (ข้อมูลเก่า) — ข้ามเลขที่ไม่ใช่ตัวเลขล้วน', async () => {
+    db.serviceRequest.findMany.mockResolvedValue([
+      { requestNo: 'REQ-20261019-004' },
+      { requestNo: 'REQ-20261019-002' },
+      { requestNo: 'REQ-20261019-001-DUP1' },
+    ])
+    db.$queryRaw.mockResolvedValue([{ lastValue: 5 }])
+
+    expect(await issueRequestNo({ date })).toBe('REQ-20261019-005')
+    expect(db.serviceRequest.findMany).toHaveBeenCalledWith({
+      where: { requestNo: { startsWith: 'REQ-20261019-', endsWith: '' } },
+      select: { requestNo: true },
+    })
+    // scope, ค่าแรก (ไม่มีตัวนับ), floor (มีตัวนับแล้ว)
+    expect(db.$queryRaw.mock.calls[0]?.slice(1)).toEqual(['REQ-20261019-{SEQ}', 5, 4])
+  })
+
+  it('REQUEST_NO_FORMAT + สาขา → นับแยก scope ตามสาขา', async () => {
+    vi.stubEnv('REQUEST_NO_FORMAT', '{BRANCH}{YY}{MM}-{SEQ:4}')
+    db.$queryRaw.mockResolvedValue([{ lastValue: 12 }])
+
+    expect(await issueRequestNo({ date, branch: 'bkk-1' })).toBe('BKK12610-0012')
+    expect(db.$queryRaw.mock.calls[0]?.[1]).toBe('BKK12610-{SEQ}')
+  })
+
+  it('รูปแบบไม่มี {SEQ} หรือมีสองตัว → error ไม่แตะตัวนับ', async () => {
+    vi.stubEnv('REQUEST_NO_FORMAT', 'REQ-{YYYY}{MM}{DD}')
+    await expect(issueRequestNo({ date })).rejects.toThrow('ต้องมี {SEQ} หนึ่งตัว')
+    vi.stubEnv('REQUEST_NO_FORMAT', '{SEQ}-{SEQ:2}')
+    await expect(issueRequestNo({ date })).rejects.toThrow('ต้องมี {SEQ} หนึ่งตัว')
+    expect(db.$queryRaw).not.toHaveBeenCalled()
+  })
+})
+
+describe('previewRequestNo', () => {
+  it('ตัวอย่างเลขแรกของวัน', () => {
+    expect(previewRequestNo(date)).toEqual({ format: 'REQ-{YYYY}{MM}{DD}-{SEQ:3}', example: 'REQ-20261019-001' })
+  })
+})
+
+describe('findDuplicateRequestNos', () => {
+  it('ไม่มีเลขต่อท้าย -DUP → ไม่ค้นต่อ', async () => {
+    expect(await findDuplicateRequestNos()).toEqual([])
+    expect(db.serviceRequest.findMany).toHaveBeenCalledTimes(1)
+  })
+
+  it('รวมกลุ่มตามเลขเดิม เจ้าของเลขขึ้นก่อน', async () => {
+    const row = (id: string, requestNo: string, createdAt: string) =>
+      ({ id, requestNo, customerName: `ลูกค้า ${id}`, status: 'new', createdAt: new Date(createdAt) })
+    db.serviceRequest.findMany
+      .mockResolvedValueOnce([{ requestNo: 'REQ-20261019-001-DUP1' }, { requestNo: 'REQ-20261019-001-DUPLICATE' }])
+      .mockResolvedValueOnce([
+        row('req-2', 'REQ-20261019-001-DUP1', '2026-10-19T01:00:00.000Z'),
+        row('req-1', 'REQ-20261019-001', '2026-10-19T02:00:00.000Z'),
+      ])
+
+    const [group, ...rest] = await findDuplicateRequestNos()
+    expect(rest).toEqual([])
+    expect(group?.requestNo).toBe('REQ-20261019-001')
+    expect(group?.requests.map(request => request.id)).toEqual(['req-1', 'req-2'])
+  })
+})
@@ -0,0 +1,143 @@
+import { db } from '@/lib/db'
+import { toDateKey } from '@/lib/scheduling'
+import type { StatusValue } from '@/lib/STATUS_WORKFLOW'
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// เลขที่งาน — server ออกให้ทุกงาน (หน้าเว็บ / LINE) จากตัวนับใน DB (RequestSequence)
+// รูปแบบตั้งที่ REQUEST_NO_FORMAT: {YYYY} {YY} {MM} {DD} (วันที่เวลาไทย), {BRANCH}, {SEQ} หรือ {SEQ:n} (เติม 0 ให้ครบ n หลัก)
+// ตัวนับแยกตาม "ทุกอย่างยกเว้นลำดับ" — มีวันที่ = เริ่มนับใหม่ทุกวัน, มี {BRANCH} = นับแยกสาขา
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+export const DEFAULT_REQUEST_NO_FORMAT = 'REQ-{YYYY}{MM}{DD}-{SEQ:3}'
+
+const SEQ_TOKEN = /\{SEQ(?::(\d+))?\}/
+
+// ส่วนที่ migration ต่อท้ายเลขที่งานที่ซ้ำกัน (20261019190000_request_no_unique)
+const DUPLICATE_SUFFIX = /-DUP\d+$/
+
+export interface DuplicateRequestNo {
+  requestNo: string
+  // งานแรกคือเจ้าของเลข (ยังใช้เลขเดิม) ที่เหลือเลขต่อท้าย -DUPn ควรออกเลขใหม่
+  requests: { id: string; requestNo: string; customerName: string; status: StatusValue; createdAt: string }[]
+}
+
+interface ResolvedFormat {
+  scope: string
+  prefix: string
+  suffix: string
+  width: number
+}
+
+function getFormat(): string {
+  return process.env['REQUEST_NO_FORMAT']?.trim() || DEFAULT_REQUEST_NO_FORMAT
+}
+
+// รหัสสาขาไปอยู่ในเลขที่งาน — เหลือเฉพาะตัวอักษร/ตัวเลข
+function normalizeBranch(branch: string): string {
+  return branch.toUpperCase().replace(/[^A-Z0-9]/g, '')
+}
+
+function resolveFormat(format: string, date: Date, branch: string): ResolvedFormat {
+  const [yyyy = '', mm = '', dd = ''] = toDateKey(date).split('-')
+  const filled = format
+    .replace(/\{YYYY\}/g, yyyy)
+    .replace(/\{YY\}/g, yyyy.slice(2))
+    .replace(/\{MM\}/g, mm)
+    .replace(/\{DD\}/g, dd)
+    .replace(/\{BRANCH\}/g, branch)
+
+  const match = SEQ_TOKEN.exec(filled)
+  const suffix = match ? filled.slice(match.index + match[0].length) : ''
+  if (!match || SEQ_TOKEN.test(suffix)) {
+    throw new Error(`REQUEST_NO_FORMAT ต้องมี {SEQ} หนึ่งตัว: "${format}"`)
+  }
+  const prefix = filled.slice(0, match.index)
+  return { scope: `${prefix}{SEQ}${suffix}`, prefix, suffix, width: Number(match[1] ?? 0) }
+}
+
+// ลำดับสูงสุดที่มีอยู่แล้วในงาน (ข้อมูลเก่า / แถวที่ดึงมาจาก Sheet) — ตัวนับต้องไม่ออกเลขซ้ำกับที่มี
+// นับเฉพาะใน SQLite: งานเก่าที่ยังอยู่แค่ใน Firebase ไม่ถูกนับ (อ่าน Firebase ทั้งก้อนทุกครั้งที่ออกเลขไม่ไหว)
+// งานพวกนั้นถ้าเลขชนกับงานที่มีแล้ว จะได้เลขใหม่ตอนย้ายเข้า SQLite แทน (ดู insertServiceRequest)
+async function findMaxExistingSeq({ prefix, suffix }: ResolvedFormat): Promise<number> {
+  const rows = await db.serviceRequest.findMany({
+    where: { requestNo: { startsWith: prefix, endsWith: suffix } },
+    select: { requestNo: true },
+  })
+  let max = 0
+  for (const { requestNo } of rows) {
+    const seq = requestNo.slice(prefix.length, requestNo.length - suffix.length)
+    if (/^\d+$/.test(seq)) max = Math.max(max, Number(seq))
+  }
+  return max
+}
+
+/**
+ * 🔢 Issue Request No
+ * ออกเลขถัดไปของ scope ด้วย upsert คำสั่งเดียว (atomic — สองคนกดบันทึกพร้อมกันได้คนละเลข)
+ * ตัวนับไม่ต่ำกว่าเลขที่มีอยู่ในงานเสมอ — ตัวนับหาย/เพิ่งเปลี่ยนรูปแบบก็ไม่ชนเลขเดิม
+ */
+export async function issueRequestNo(options: { date?: Date; branch?: string } = {}): Promise<string> {
+  const branch = normalizeBranch(options.branch ?? process.env['REQUEST_NO_BRANCH'] ?? '')
+  const format = resolveFormat(getFormat(), options.date ?? new Date(), branch)
+  const floor = await findMaxExistingSeq(format)
+
+  const rows = await db.$queryRaw<{ lastValue: number | bigint }[]>`
+    INSERT INTO "RequestSequence" ("scope", "lastValue") VALUES (${format.scope}, ${floor + 1})
+    ON CONFLICT ("scope") DO UPDATE SET "lastValue" = MAX("lastValue", ${floor}) + 1
+    RETURNING "lastValue"
+  `
+  const row = rows[0]
+  if (!row) throw new Error('Request sequence upsert returned no row')
+
+  const seq = Number(row.lastValue).toString().padStart(format.width, '0')
+  return `${format.prefix}${seq}${format.suffix}`
+}
+
+// ตรวจรูปแบบตอนตั้งค่า (หน้าเทียบข้อมูลแสดงตัวอย่างเลขถัดไป) — ไม่แตะตัวนับ
+export function previewRequestNo(date = new Date()): { format: string; example: string } {
+  const format = getFormat()
+  const resolved = resolveFormat(format, date, normalizeBranch(process.env['REQUEST_NO_BRANCH'] ?? ''))
+  return { format, example: `${resolved.prefix}${'1'.padStart(resolved.width, '0')}${resolved.suffix}` }
+}
+
+/**
+ * 👯 Duplicate Request Nos
+ * เลขที่งานที่เคยซ้ำกัน (ก่อนย้ายมาออกเลขที่ server หน้าเว็บนับจากรายการในเครื่อง — บันทึกพร้อมกันได้เลขเดียวกัน)
+ * ตอนตั้ง unique migration ให้งานที่เปิดก่อนเก็บเลขเดิม งานถัดไปต่อท้าย -DUPn — รวมกลับเป็นกลุ่มตามเลขเดิมให้ admin ออกเลขใหม่
+ */
+export async function findDuplicateRequestNos(): Promise<DuplicateRequestNo[]> {
+  const suffixed = await db.serviceRequest.findMany({
+    where: { requestNo: { contains: '-DUP' } },
+    select: { requestNo: true },
+  })
+  const originals = new Set(suffixed
+    .filter(row => DUPLICATE_SUFFIX.test(row.requestNo))
+    .map(row => row.requestNo.replace(DUPLICATE_SUFFIX, '')))
+  if (originals.size === 0) return []
+
+  const rows = await db.serviceRequest.findMany({
+    where: { OR: [...originals].flatMap(requestNo => [{ requestNo }, { requestNo: { startsWith: `${requestNo}-DUP` } }]) },
+    select: { id: true, requestNo: true, customerName: true, status: true, createdAt: true },
+    orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+  })
+
+  const byNo = new Map<string, DuplicateRequestNo>()
+  for (const row of rows) {
+    const original = row.requestNo.replace(DUPLICATE_SUFFIX, '')
+    if (!originals.has(original)) continue
+    const group = byNo.get(original) ?? { requestNo: original, requests: [] }
+    group.requests.push({
+      id: row.id,
+      requestNo: row.requestNo,
+      customerName: row.customerName,
+      status: row.status as StatusValue,
+      createdAt: row.createdAt.toISOString(),
+    })
+    byNo.set(original, group)
+  }
+  // เจ้าของเลข (เลขเดิมไม่มี -DUP) ขึ้นก่อน
+  for (const group of byNo.values()) {
+    group.requests.sort((a, b) => Number(a.requestNo !== group.requestNo) - Number(b.requestNo !== group.requestNo))
+  }
+  return [...byNo.values()].sort((a, b) => a.requestNo.localeCompare(b.requestNo))
+}
@@ -0,0 +1,59 @@
+import type { SavedView as SavedViewRecord } from '@prisma/client'
+import { db } from '@/lib/db'
+import type { SavedView } from '@/lib/types'
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Repository มุมมองที่บันทึกไว้ (เช่น "ฉุกเฉินที่ยังไม่ได้นัด") — ใช้ร่วมกันทั้งทีม ชื่อห้ามซ้ำ
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+export interface SavedViewInput {
+  name: string
+  query: string
+}
+
+function toSavedView(row: SavedViewRecord): SavedView {
+  return {
+    id: row.id,
+    name: row.name,
+    query: row.query,
+    createdBy: row.createdBy,
+    ...(row.createdById ? { createdById: row.createdById } : {}),
+    createdAt: row.createdAt.toISOString(),
+    updatedAt: row.updatedAt.toISOString(),
+  }
+}
+
+export async function listSavedViews(): Promise<SavedView[]> {
+  const rows = await db.savedView.findMany({ orderBy: { name: 'asc' } })
+  return rows.map(toSavedView)
+}
+
+export async function getSavedView(id: string): Promise<SavedView | null> {
+  const row = await db.savedView.findUnique({ where: { id } })
+  return row ? toSavedView(row) : null
+}
+
+// createdById = Employee.id ของคนที่สร้าง (null = สร้างด้วย API secret)
+export async function createSavedView(input: SavedViewInput, createdBy: string, createdById: string | null): Promise<SavedView> {
+  const row = await db.savedView.create({
+    data: { name: input.name.trim(), query: input.query, createdBy, createdById },
+  })
+  return toSavedView(row)
+}
+
+export async function updateSavedView(id: string, input: Partial<SavedViewInput>): Promise<SavedView | null> {
+  if (!(await db.savedView.findUnique({ where: { id } }))) return null
+  const row = await db.savedView.update({
+    where: { id },
+    data: {
+      ...(input.name !== undefined ? { name: input.name.trim() } : {}),
+      ...(input.query !== undefined ? { query: input.query } : {}),
+    },
+  })
+  return toSavedView(row)
+}
+
+export async function deleteSavedView(id: string): Promise<boolean> {
+  const { count } = await db.savedView.deleteMany({ where: { id } })
+  return count > 0
+}
@@ -0,0 +1,104 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+import { listTechnicians } from '@/lib/repositories/technicians'
+import { checkSchedule, getAvailability } from '@/lib/repositories/schedule'
+
+const { db } = vi.hoisted(() => {
+  const db = {
+    serviceRequest: { findMany: vi.fn() },
+    technician: { findUnique: vi.fn() },
+  }
+  return { db }
+})
+
+vi.mock('@/lib/db', () => ({ db }))
+vi.mock('@/lib/repositories/technicians')
+
+const technician = {
+  id: 'tech-1',
+  name: 'ช่างเอ',
+  phone: '',
+  email: '',
+  color: '7',
+  dailyCapacityMinutes: 240,
+  active: true,
+  createdAt: '2026-10-01T00:00:00.000Z',
+  updatedAt: '2026-10-01T00:00:00.000Z',
+}
+
+// แถวที่ listBookings select มา
+function booking(id: string, appointmentDate: string, serviceType: string, technicianId: string | null = 'tech-1') {
+  return {
+    id,
+    requestNo: `REQ-20261019-${id.slice(-3)}`,
+    customerName: `ลูกค้า ${id}`,
+    serviceType,
+    status: 'queue',
+    technicianId,
+    appointmentDate,
+    appointmentEndDate: null,
+    isAllDay: false,
+  }
+}
+
+beforeEach(() => {
+  db.technician.findUnique.mockResolvedValue(technician)
+  db.serviceRequest.findMany.mockResolvedValue([booking('req-002', '2026-10-20T09:00', 'ซ่อม')])
+})
+
+describe('checkSchedule', () => {
+  it('ชนกับงานของช่างคนเดียวกัน + รวมแล้วเกินความจุของวัน', async () => {
+    const check = await checkSchedule({ technicianId: 'tech-1', appointmentDate: '2026-10-20T10:00', serviceType: 'ติดตั้ง' })
+
+    expect(check.overlaps.map(b => b.requestId)).toEqual(['req-002'])
+    expect(check.capacity).toEqual([{
+      technicianId: 'tech-1',
+      technicianName: 'ช่างเอ',
+      date: '2026-10-20',
+      bookedMinutes: 360,
+      capacityMinutes: 240,
+    }])
+    expect(db.serviceRequest.findMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: expect.objectContaining({ status: { not: 'cancelled' }, deletedAt: null, technicianId: 'tech-1' }),
+    }))
+  })
+
+  it('ไม่นับตัวงานเอง (แก้เวลานัดของงานที่บันทึกไว้แล้ว)', async () => {
+    const check = await checkSchedule({ requestId: 'req-002', technicianId: 'tech-1', appointmentDate: '2026-10-20T10:00', serviceType: 'ซ่อม' })
+    expect(check).toMatchObject({ overlaps: [], capacity: [] })
+  })
+
+  it('ยังไม่จัดช่าง → ไม่มีอะไรให้ชน ไม่ต้องอ่านตาราง', async () => {
+    const check = await checkSchedule({ appointmentDate: '2026-10-20T10:00', serviceType: 'ซ่อม' })
+    expect(check).toEqual({
+      start: new Date('2026-10-20T10:00+07:00').toISOString(),
+      end: new Date('2026-10-20T12:00+07:00').toISOString(),
+      overlaps: [],
+      capacity: [],
+    })
+    expect(db.serviceRequest.findMany).not.toHaveBeenCalled()
+  })
+})
+
+describe('getAvailability', () => {
+  it('แยกงาน/เวลาที่จอง/ช่วงว่างของช่างแต่ละคน และงานที่ยังไม่จัดช่าง', async () => {
+    vi.mocked(listTechnicians).mockResolvedValue([technician])
+    db.serviceRequest.findMany.mockResolvedValue([
+      booking('req-002', '2026-10-20T09:00', 'ซ่อม'),
+      booking('req-003', '2026-10-20T13:00', 'ล้างแอร์', null),
+    ])
+
+    const availability = await getAvailability('2026-10-20', 2)
+    expect(availability.dates).toEqual(['2026-10-20', '2026-10-21'])
+
+    const days = availability.technicians[0]!.days
+    expect(days['2026-10-20']).toMatchObject({
+      bookedMinutes: 120,
+      freeSlots: [
+        { start: new Date('2026-10-20T08:00+07:00').toISOString(), end: new Date('2026-10-20T09:00+07:00').toISOString() },
+        { start: new Date('2026-10-20T11:00+07:00').toISOString(), end: new Date('2026-10-20T18:00+07:00').toISOString() },
+      ],
+    })
+    expect(days['2026-10-21']).toMatchObject({ bookings: [], bookedMinutes: 0 })
+    expect(availability.unassigned['2026-10-20']?.map(b => b.requestId)).toEqual(['req-003'])
+  })
+})
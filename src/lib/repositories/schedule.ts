@@ -0,0 +1,160 @@
+import { db } from '@/lib/db'
+import {
+  type AppointmentFields,
+  type TimeRange,
+  addDays,
+  atMinutes,
+  getAppointmentRange,
+  getBookedMinutesOnDay,
+  getDateKeys,
+  getFreeSlots,
+  rangesOverlap,
+} from '@/lib/scheduling'
+import type { StatusValue } from '@/lib/STATUS_WORKFLOW'
+import type { ScheduleAvailability, ScheduleBooking, ScheduleCheck } from '@/lib/types'
+import { listTechnicians } from '@/lib/repositories/technicians'
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// ตารางงานช่าง
+// อ่านงานที่มีวันนัด → ช่วงเวลาที่จองช่าง (ดู getAppointmentRange) แล้วเช็คชนกัน/ความจุต่อวัน
+// และสรุปเวลาว่างของช่างแต่ละคนให้หน้าเว็บ — เตือนอย่างเดียว ไม่บล็อกการบันทึก
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+// งานหลายวันที่เริ่มก่อนช่วงที่ดู — ย้อนไปหาไม่เกินเท่านี้
+const LOOKBACK_DAYS = 14
+
+export interface ScheduleCheckInput extends AppointmentFields {
+  requestId?: string
+  technicianId?: string
+}
+
+function toRange(booking: ScheduleBooking): TimeRange {
+  return { start: new Date(booking.start), end: new Date(booking.end) }
+}
+
+/**
+ * 📋 List Bookings
+ * งานที่ยังไม่ยกเลิก (ไม่นับถังขยะ) และคร่อมช่วงวันที่ [fromDate, toDate) (YYYY-MM-DD เวลาไทย)
+ */
+export async function listBookings(fromDate: string, toDate: string, technicianId?: string): Promise<ScheduleBooking[]> {
+  const rows = await db.serviceRequest.findMany({
+    where: {
+      status: { not: 'cancelled' },
+      deletedAt: null,
+      // appointmentDate เก็บเป็น "YYYY-MM-DD..." → เทียบแบบ string ได้
+      appointmentDate: { gte: addDays(fromDate, -LOOKBACK_DAYS), lt: toDate },
+      ...(technicianId ? { technicianId } : {}),
+    },
+    select: {
+      id: true,
+      requestNo: true,
+      customerName: true,
+      serviceType: true,
+      status: true,
+      technicianId: true,
+      appointmentDate: true,
+      appointmentEndDate: true,
+      isAllDay: true,
+    },
+  })
+
+  // ทั้งวัน ไม่ใช่แค่เวลาทำงาน — งานด่วนตอนค่ำก็ต้องนับ
+  const window = { start: atMinutes(fromDate, 0), end: atMinutes(toDate, 0) }
+
+  const bookings: ScheduleBooking[] = []
+  for (const row of rows) {
+    const range = getAppointmentRange({
+      appointmentDate: row.appointmentDate ?? '',
+      appointmentEndDate: row.appointmentEndDate ?? '',
+      isAllDay: row.isAllDay,
+      serviceType: row.serviceType,
+    })
+    if (!range || !rangesOverlap(range, window)) continue
+    bookings.push({
+      requestId: row.id,
+      requestNo: row.requestNo,
+      customerName: row.customerName,
+      serviceType: row.serviceType,
+      status: row.status as StatusValue,
+      technicianId: row.technicianId,
+      start: range.start.toISOString(),
+      end: range.end.toISOString(),
+    })
+  }
+  return bookings.sort((a, b) => a.start.localeCompare(b.start))
+}
+
+/**
+ * ⚠️ Check Schedule
+ * งานนี้ (ยังไม่บันทึก) ชนกับงานอื่นของช่างคนเดียวกันไหม และทำให้วันไหนเกินความจุของช่าง
+ * ไม่มีช่าง = ไม่มีอะไรให้ชน (ยังไม่รู้ว่าใครไป)
+ */
+export async function checkSchedule(input: ScheduleCheckInput): Promise<ScheduleCheck> {
+  const range = getAppointmentRange(input)
+  const result: ScheduleCheck = {
+    start: range?.start.toISOString() ?? null,
+    end: range?.end.toISOString() ?? null,
+    overlaps: [],
+    capacity: [],
+  }
+  if (!range || !input.technicianId) return result
+
+  const technician = await db.technician.findUnique({ where: { id: input.technicianId } })
+  if (!technician) return result
+
+  const dates = getDateKeys(range)
+  const firstDate = dates[0]!
+  const bookings = (await listBookings(firstDate, addDays(dates[dates.length - 1]!, 1), technician.id))
+    .filter(b => b.requestId !== input.requestId)
+
+  result.overlaps = bookings.filter(b => rangesOverlap(range, toRange(b)))
+
+  for (const date of dates) {
+    const bookedMinutes = bookings.reduce((sum, b) => sum + getBookedMinutesOnDay(toRange(b), date), 0)
+      + getBookedMinutesOnDay(range, date)
+    if (bookedMinutes > technician.dailyCapacityMinutes) {
+      result.capacity.push({
+        technicianId: technician.id,
+        technicianName: technician.name,
+        date,
+        bookedMinutes,
+        capacityMinutes: technician.dailyCapacityMinutes,
+      })
+    }
+  }
+  return result
+}
+
+/**
+ * 🟢 ScheduleAvailability
+ * งาน/เวลาที่จองแล้ว/ช่วงว่าง ของช่างที่ใช้งานอยู่ทุกคน ตั้งแต่ fromDate จำนวน days วัน
+ */
+export async function getAvailability(fromDate: string, days: number): Promise<ScheduleAvailability> {
+  const dates = Array.from({ length: days }, (_, i) => addDays(fromDate, i))
+  const [technicians, bookings] = await Promise.all([
+    listTechnicians(),
+    listBookings(fromDate, addDays(fromDate, days)),
+  ])
+
+  const onDate = (items: ScheduleBooking[], date: string) => items.filter(b => getBookedMinutesOnDay(toRange(b), date) > 0)
+
+  return {
+    dates,
+    technicians: technicians.map(technician => {
+      const own = bookings.filter(b => b.technicianId === technician.id)
+      return {
+        technician,
+        days: Object.fromEntries(dates.map(date => {
+          const dayBookings = onDate(own, date)
+          return [date, {
+            bookings: dayBookings,
+            bookedMinutes: dayBookings.reduce((sum, b) => sum + getBookedMinutesOnDay(toRange(b), date), 0),
+            freeSlots: getFreeSlots(date, dayBookings.map(toRange))
+              .map(slot => ({ start: slot.start.toISOString(), end: slot.end.toISOString() })),
+          }]
+        })),
+      }
+    }),
+    unassigned: Object.fromEntries(dates.map(date => [date, onDate(bookings.filter(b => !b.technicianId), date)])),
+  }
+}
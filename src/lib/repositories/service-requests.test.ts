@@ -0,0 +1,280 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+import { get, remove, set } from 'firebase/database'
+import { enqueueRequestSync } from '@/lib/outbox'
+import { SEARCH_INDEX_VERSION } from '@/lib/search'
+import {
+  StaleStatusError,
+  changeServiceRequestStatus,
+  createServiceRequest,
+  findServiceRequestByRequestNo,
+  getServiceRequest,
+  refreshSearchIndex,
+  removeTrashedFromFirebase,
+  restoreServiceRequest,
+  trashServiceRequest,
+  updateServiceRequest,
+} from '@/lib/repositories/service-requests'
+import { makeServiceRequest } from '@/test/fixtures'
+
+// Prisma จำลอง — $transaction ส่ง client ตัวเดียวกันให้เป็น tx
+const { db } = vi.hoisted(() => {
+  const db = {
+    serviceRequest: { findUnique: vi.fn(), findUniqueOrThrow: vi.fn(), findMany: vi.fn(), create: vi.fn(), updateMany: vi.fn(), update: vi.fn() },
+    fieldChange: { create: vi.fn(), createMany: vi.fn() },
+    searchIndex: { upsert: vi.fn() },
+    $transaction: vi.fn(),
+  }
+  return { db }
+})
+
+vi.mock('@/lib/db', () => ({ db }))
+vi.mock('@/lib/firebase', () => ({ db: {} }))
+vi.mock('firebase/database', () => ({ ref: vi.fn(), get: vi.fn(), set: vi.fn(), remove: vi.fn() }))
+vi.mock('@/lib/outbox')
+
+const audit = { by: 'ทดสอบ reception', source: 'web' } as const
+
+// แถวในตาราง ServiceRequest พร้อม relation ตาม withRelations
+function row(status: string) {
+  return {
+    id: 'req-1',
+    requestNo: 'REQ-20261019-001',
+    createdAt: new Date('2026-10-19T01:00:00.000Z'),
+    updatedAt: new Date('2026-10-19T01:00:00.000Z'),
+    channel: 'LINE',
+    customerName: 'ลูกค้า ทดสอบ',
+    contactName: null,
+    phone: '0812345678',
+    address: '',
+    serviceType: 'ซ่อมแอร์',
+    description: '',
+    priority: 'normal',
+    status,
+    appointmentDate: '2026-10-21T10:00',
+    appointmentEndDate: null,
+    isAllDay: false,
+    quoteAmount: null,
+    cancelReason: null,
+    notes: '',
+    calendarEventId: null,
+    calendarEventUrl: null,
+    customerId: null,
+    siteId: null,
+    technicianId: null,
+    lineUserId: null,
+    deletedAt: null,
+    deletedBy: null,
+    history: [],
+    attachments: [],
+    technician: null,
+  }
+}
+
+beforeEach(() => {
+  db.$transaction.mockImplementation(async (fn: (tx: typeof db) => unknown) => fn(db))
+  db.serviceRequest.findUniqueOrThrow.mockResolvedValue(row('new'))
+  db.serviceRequest.update.mockResolvedValue(row('queue'))
+})
+
+describe('getServiceRequest', () => {
+  it('แปลงแถว → ServiceRequest: แยกรูป/ไฟล์แนบ และไม่ใส่ฟิลด์ optional ที่เป็น null', async () => {
+    db.serviceRequest.findUnique.mockResolvedValue({
+      ...row('new'),
+      attachments: [
+        { kind: 'image', url: 'https://img/1.jpg', name: '', position: 0 },
+        { kind: 'file', url: 'https://files/spec.pdf', name: 'spec.pdf', position: 0 },
+        { kind: 'image', url: 'https://img/2.jpg', name: '', position: 1 },
+      ],
+    })
+
+    const request = await getServiceRequest('req-1')
+    expect(request).toMatchObject({
+      imageUrl: 'https://img/1.jpg',
+      imageUrls: ['https://img/1.jpg', 'https://img/2.jpg'],
+      pdfUrl: 'https://files/spec.pdf',
+      attachments: [{ url: 'https://files/spec.pdf', name: 'spec.pdf' }],
+      appointmentEndDate: '',
+    })
+    expect(request).not.toHaveProperty('contactName')
+    expect(request).not.toHaveProperty('quoteAmount')
+    expect(get).not.toHaveBeenCalled()
+  })
+
+  it('งานในถังขยะ = ไม่พบ เว้นแต่ขอ includeTrashed', async () => {
+    db.serviceRequest.findUnique.mockResolvedValue({ ...row('new'), deletedAt: new Date(), deletedBy: 'ทดสอบ admin' })
+
+    expect(await getServiceRequest('req-1')).toBeNull()
+    expect(await getServiceRequest('req-1', { includeTrashed: true })).toMatchObject({ deletedBy: 'ทดสอบ admin' })
+  })
+
+  it('ยังไม่มีใน SQLite → ดึงจาก Firebase มาเก็บพร้อมค่า default (บันทึกว่า import)', async () => {
+    db.serviceRequest.findUnique.mockResolvedValue(null)
+    vi.mocked(get).mockResolvedValue({
+      exists: () => true,
+      val: () => ({ requestNo: 'REQ-20240101-001', customerName: 'ลูกค้าเก่า', createdAt: '2024-01-01T03:00:00.000Z' }),
+    } as never)
+    db.serviceRequest.create.mockResolvedValue({ ...row('new'), requestNo: 'REQ-20240101-001' })
+
+    const request = await getServiceRequest('req-1')
+    expect(request?.requestNo).toBe('REQ-20240101-001')
+    expect(db.serviceRequest.create).toHaveBeenCalledWith(expect.objectContaining({
+      data: expect.objectContaining({ id: 'req-1', channel: 'LINE', status: 'new', priority: 'normal', phone: '' }),
+    }))
+    expect(db.fieldChange.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ requestId: 'req-1', by: 'System', source: 'import' }),
+    })
+  })
+
+  it('ไม่มีทั้งใน SQLite และ Firebase → null', async () => {
+    db.serviceRequest.findUnique.mockResolvedValue(null)
+    vi.mocked(get).mockResolvedValue({ exists: () => false } as never)
+
+    expect(await getServiceRequest('req-404')).toBeNull()
+    expect(db.serviceRequest.create).not.toHaveBeenCalled()
+  })
+})
+
+describe('findServiceRequestByRequestNo', () => {
+  it('ค้นด้วยเลขที่งาน (unique) — งานในถังขยะ = ไม่พบ', async () => {
+    db.serviceRequest.findUnique.mockResolvedValueOnce(row('queue'))
+    expect(await findServiceRequestByRequestNo('REQ-20261019-001')).toMatchObject({ id: 'req-1', status: 'queue' })
+    expect(db.serviceRequest.findUnique).toHaveBeenCalledWith(expect.objectContaining({ where: { requestNo: 'REQ-20261019-001' } }))
+
+    db.serviceRequest.findUnique.mockResolvedValueOnce({ ...row('queue'), deletedAt: new Date() })
+    expect(await findServiceRequestByRequestNo('REQ-20261019-001')).toBeNull()
+  })
+})
+
+describe('changeServiceRequestStatus', () => {
+  it('อัปเดตเฉพาะเมื่องานยังอยู่สถานะที่ตรวจไว้ แล้วค่อยลงประวัติ', async () => {
+    db.serviceRequest.updateMany.mockResolvedValue({ count: 1 })
+
+    const updated = await changeServiceRequestStatus({ id: 'req-1', status: 'new' }, 'queue', audit)
+    expect(updated.status).toBe('queue')
+    expect(db.serviceRequest.updateMany).toHaveBeenCalledWith({
+      where: { id: 'req-1', status: 'new' },
+      data: { status: 'queue' },
+    })
+    expect(db.serviceRequest.update).toHaveBeenCalledWith(expect.objectContaining({
+      data: { history: { create: { status: 'queue', by: 'ทดสอบ reception' } } },
+    }))
+    expect(enqueueRequestSync).toHaveBeenCalledWith(expect.objectContaining({ status: 'queue' }), 'status_changed', 'ทดสอบ reception', db)
+    expect(set).toHaveBeenCalled()
+  })
+
+  it('งานถูกเปลี่ยนไปก่อน (ไม่มีแถวถูกอัปเดต) → StaleStatusError พร้อมสถานะล่าสุด ไม่ลงประวัติ / ไม่ mirror', async () => {
+    db.serviceRequest.updateMany.mockResolvedValue({ count: 0 })
+    db.serviceRequest.findUniqueOrThrow
+      .mockResolvedValueOnce(row('new'))
+      .mockResolvedValueOnce({ status: 'cancelled' })
+
+    const error = await changeServiceRequestStatus({ id: 'req-1', status: 'new' }, 'queue', audit).catch(e => e)
+    expect(error).toBeInstanceOf(StaleStatusError)
+    expect(error.currentStatus).toBe('cancelled')
+    expect(db.serviceRequest.update).not.toHaveBeenCalled()
+    expect(db.fieldChange.createMany).not.toHaveBeenCalled()
+    expect(enqueueRequestSync).not.toHaveBeenCalled()
+    expect(set).not.toHaveBeenCalled()
+  })
+})
+
+describe('ประวัติการแก้ไขรายฟิลด์', () => {
+  it('แก้งาน → ลงเฉพาะฟิลด์ที่เปลี่ยนพร้อมผู้แก้ / ที่มา / รายการที่ย้อน ใน tx เดียวกัน', async () => {
+    db.serviceRequest.findUnique.mockResolvedValue(row('new'))
+    db.serviceRequest.update.mockResolvedValue({ ...row('new'), notes: 'โทรก่อนเข้า' })
+
+    await updateServiceRequest('req-1', { notes: 'โทรก่อนเข้า' }, { ...audit, revertOf: 5 })
+    expect(db.fieldChange.createMany).toHaveBeenCalledWith({
+      data: [{
+        field: 'notes',
+        before: '""',
+        after: '"โทรก่อนเข้า"',
+        requestId: 'req-1',
+        requestNo: 'REQ-20261019-001',
+        by: 'ทดสอบ reception',
+        source: 'web',
+        revertOfId: 5,
+      }],
+    })
+  })
+
+  it('บันทึกค่าเดิมซ้ำ → ไม่ลงประวัติ', async () => {
+    db.serviceRequest.findUnique.mockResolvedValue(row('new'))
+    db.serviceRequest.update.mockResolvedValue(row('new'))
+
+    await updateServiceRequest('req-1', { notes: '' }, audit)
+    expect(db.fieldChange.createMany).not.toHaveBeenCalled()
+  })
+})
+
+describe('outbox ใน transaction เดียวกับการเขียนงาน', () => {
+  it('สร้างงาน → เข้าคิว created ผ่าน tx', async () => {
+    db.serviceRequest.findUnique.mockResolvedValue(null)
+    db.serviceRequest.create.mockResolvedValue(row('new'))
+
+    await createServiceRequest(makeServiceRequest(), audit)
+    expect(enqueueRequestSync).toHaveBeenCalledWith(expect.objectContaining({ id: 'req-1' }), 'created', 'ทดสอบ reception', db)
+  })
+
+  it('เข้าคิวไม่ได้ → transaction ล้ม งานไม่ถูก mirror ไป Firebase', async () => {
+    db.serviceRequest.findUnique.mockResolvedValue(row('new'))
+    db.serviceRequest.update.mockResolvedValue(row('new'))
+    vi.mocked(enqueueRequestSync).mockRejectedValueOnce(new Error('database is locked'))
+
+    await expect(updateServiceRequest('req-1', { notes: 'โทรก่อนเข้า' }, audit)).rejects.toThrow('database is locked')
+    expect(set).not.toHaveBeenCalled()
+  })
+
+  it('sync = null → ไม่เข้าคิว (เช่นผูกลูกค้าย้อนหลัง)', async () => {
+    db.serviceRequest.findUnique.mockResolvedValue(row('new'))
+    db.serviceRequest.update.mockResolvedValue(row('new'))
+
+    await updateServiceRequest('req-1', { customerId: 'cus-1' }, audit, null)
+    expect(enqueueRequestSync).not.toHaveBeenCalled()
+    expect(set).toHaveBeenCalled()
+  })
+})
+
+describe('refreshSearchIndex', () => {
+  it('สร้างดัชนีให้งานที่ยังไม่มี / รุ่นเก่า ทีละชุดจนหมด', async () => {
+    db.serviceRequest.findMany
+      .mockResolvedValueOnce(Array.from({ length: 200 }, () => row('new')))
+      .mockResolvedValueOnce([row('queue')])
+
+    expect(await refreshSearchIndex()).toBe(201)
+    expect(db.serviceRequest.findMany).toHaveBeenCalledTimes(2)
+    expect(db.searchIndex.upsert).toHaveBeenCalledTimes(201)
+    expect(db.searchIndex.upsert).toHaveBeenCalledWith(expect.objectContaining({
+      where: { requestId: 'req-1' },
+      update: expect.objectContaining({ phones: '0812345678', version: SEARCH_INDEX_VERSION }),
+    }))
+  })
+})
+
+describe('ถังขยะกับ Firebase mirror', () => {
+  it('ย้ายลงถัง → ลบ node ใน Firebase ไม่ mirror ข้อมูลงานในถัง', async () => {
+    db.serviceRequest.findUnique.mockResolvedValue(row('new'))
+    db.serviceRequest.update.mockResolvedValue({ ...row('new'), deletedAt: new Date(), deletedBy: 'ทดสอบ reception' })
+
+    expect(await trashServiceRequest('req-1', audit)).toMatchObject({ deletedBy: 'ทดสอบ reception' })
+    expect(remove).toHaveBeenCalled()
+    expect(set).not.toHaveBeenCalled()
+  })
+
+  it('กู้คืน → mirror งานกลับไป Firebase', async () => {
+    db.serviceRequest.findUnique.mockResolvedValue({ status: 'new', deletedAt: new Date() })
+    db.serviceRequest.update.mockResolvedValue(row('new'))
+
+    await restoreServiceRequest('req-1', audit)
+    expect(set).toHaveBeenCalled()
+    expect(remove).not.toHaveBeenCalled()
+  })
+
+  it('ตอน start → ลบ node ของงานในถังที่ยังค้างใน Firebase', async () => {
+    db.serviceRequest.findMany.mockResolvedValue([{ id: 'req-1' }, { id: 'req-2' }])
+
+    await removeTrashedFromFirebase()
+    expect(db.serviceRequest.findMany).toHaveBeenCalledWith({ where: { deletedAt: { not: null } }, select: { id: true } })
+    expect(remove).toHaveBeenCalledTimes(2)
+  })
+})
@@ -0,0 +1,645 @@
+import type {
+  Prisma,
+  ServiceRequest as ServiceRequestRecord,
+  StatusHistory as StatusHistoryRecord,
+  Attachment as AttachmentRecord,
+} from '@prisma/client'
+import { ref, get, set, remove } from 'firebase/database'
+import { db } from '@/lib/db'
+import { db as firebaseDb } from '@/lib/firebase'
+import { AUDIT_CREATED, AUDIT_DELETED, diffServiceRequests } from '@/lib/audit'
+import { normalizePhone } from '@/lib/customer-match'
+import type { RequestSyncEvent } from '@/lib/outbox'
+import { issueRequestNo } from '@/lib/repositories/request-numbers'
+import { SEARCH_INDEX_VERSION, type SearchQuery, buildSearchDocument } from '@/lib/search'
+import type { StatusValue } from '@/lib/STATUS_WORKFLOW'
+import type { Attachment, AuditContext, Channel, Priority, ServiceRequest, StatusHistoryEntry } from '@/lib/types'
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Repository งานบริการ
+// SQLite (Prisma) เป็น source of truth — ทุกครั้งที่เขียนจะ mirror ไป Firebase
+// `serviceRequests/{id}` ด้วย เพื่อให้หน้าเว็บที่ฟัง onValue อยู่เห็นข้อมูลแบบ realtime
+// ทุกฟังก์ชันที่เขียนรับ AuditContext — ฟิลด์ที่เปลี่ยนลง FieldChange ใน transaction เดียวกัน (ดู src/lib/audit.ts)
+// งานในถังขยะ (deletedAt) ไม่ออกในรายการ/การค้นหา และ getServiceRequest คืน null เว้นแต่ขอ includeTrashed
+// ดัชนีค้นหา (SearchIndex) เขียนใหม่ใน transaction เดียวกับการเขียนงานเสมอ
+// งานที่ต้อง sync ออกไป Sheets / Calendar / แจ้งเตือน เข้าคิว OutboxJob ใน transaction เดียวกันด้วย
+// (ผู้เรียกปลุก worker ด้วย kickOutboxWorker หลังได้ผลกลับไป) — ส่ง sync = null ถ้าการแก้นั้นไม่ต้อง sync
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+type ServiceRequestRow = ServiceRequestRecord & {
+  history: StatusHistoryRecord[]
+  attachments: AttachmentRecord[]
+  technician: { name: string } | null
+}
+
+type Tx = Prisma.TransactionClient
+
+// สถานะงานถูกเปลี่ยนไปก่อนแล้ว (อีกแท็บ / ปุ่ม Telegram) หลังผู้เรียกตรวจ workflow — route ตอบ 409 ให้โหลดใหม่
+export class StaleStatusError extends Error {
+  constructor(public readonly currentStatus: StatusValue) {
+    super('สถานะงานถูกเปลี่ยนไปแล้ว กรุณาโหลดหน้าใหม่แล้วลองอีกครั้ง')
+    this.name = 'StaleStatusError'
+  }
+}
+
+// ฟิลด์ที่แก้ไขผ่านฟอร์มได้ — status/history ต้องเปลี่ยนผ่าน changeStatus, ถังขยะผ่าน trash/restore เท่านั้น
+export type ServiceRequestPatch = Partial<
+  Omit<
+    ServiceRequest,
+    'id' | 'requestNo' | 'createdAt' | 'updatedAt' | 'status' | 'history' | 'technicianName' | 'deletedAt' | 'deletedBy'
+  >
+>
+
+const withRelations = {
+  history: { orderBy: { createdAt: 'asc' } },
+  attachments: { orderBy: { position: 'asc' } },
+  technician: { select: { name: true } },
+} satisfies Prisma.ServiceRequestInclude
+
+// Convert DB row → ServiceRequest (รูปแบบเดียวกับที่หน้าเว็บ/Firebase ใช้)
+function toServiceRequest(row: ServiceRequestRow): ServiceRequest {
+  const images = row.attachments.filter(a => a.kind === 'image')
+  const files = row.attachments.filter(a => a.kind === 'file')
+
+  return {
+    id: row.id,
+    requestNo: row.requestNo,
+    createdAt: row.createdAt.toISOString(),
+    updatedAt: row.updatedAt.toISOString(),
+    channel: row.channel as Channel,
+    customerName: row.customerName,
+    ...(row.contactName ? { contactName: row.contactName } : {}),
+    phone: row.phone,
+    address: row.address,
+    serviceType: row.serviceType,
+    description: row.description,
+    priority: row.priority as Priority,
+    status: row.status as StatusValue,
+    appointmentDate: row.appointmentDate ?? '',
+    appointmentEndDate: row.appointmentEndDate ?? '',
+    isAllDay: row.isAllDay,
+    ...(row.quoteAmount !== null ? { quoteAmount: row.quoteAmount } : {}),
+    ...(row.cancelReason ? { cancelReason: row.cancelReason } : {}),
+    notes: row.notes,
+    imageUrl: images[0]?.url ?? '',
+    imageUrls: images.map(a => a.url),
+    pdfUrl: files[0]?.url ?? '',
+    pdfFileName: files[0]?.name ?? '',
+    attachments: files.map(a => ({ url: a.url, name: a.name })),
+    history: row.history.map(h => ({
+      status: h.status as StatusValue,
+      date: h.createdAt.toISOString(),
+      by: h.by,
+      ...(h.note ? { note: h.note } : {}),
+    })),
+    ...(row.calendarEventId ? { calendarEventId: row.calendarEventId } : {}),
+    ...(row.calendarEventUrl ? { calendarEventUrl: row.calendarEventUrl } : {}),
+    ...(row.customerId ? { customerId: row.customerId } : {}),
+    ...(row.siteId ? { siteId: row.siteId } : {}),
+    ...(row.technicianId ? { technicianId: row.technicianId } : {}),
+    ...(row.technician ? { technicianName: row.technician.name } : {}),
+    ...(row.lineUserId ? { lineUserId: row.lineUserId } : {}),
+    ...(row.deletedAt ? { deletedAt: row.deletedAt.toISOString() } : {}),
+    ...(row.deletedBy ? { deletedBy: row.deletedBy } : {}),
+  }
+}
+
+// Convert patch → คอลัมน์ของตาราง (เฉพาะฟิลด์ที่ส่งมา)
+function toScalarData(patch: ServiceRequestPatch): Prisma.ServiceRequestUncheckedUpdateInput {
+  const data: Prisma.ServiceRequestUncheckedUpdateInput = {}
+  if (patch.channel !== undefined) data.channel = patch.channel
+  if (patch.customerName !== undefined) data.customerName = patch.customerName
+  if (patch.contactName !== undefined) data.contactName = patch.contactName || null
+  if (patch.phone !== undefined) data.phone = patch.phone
+  if (patch.address !== undefined) data.address = patch.address
+  if (patch.serviceType !== undefined) data.serviceType = patch.serviceType
+  if (patch.description !== undefined) data.description = patch.description
+  if (patch.priority !== undefined) data.priority = patch.priority
+  if (patch.appointmentDate !== undefined) data.appointmentDate = patch.appointmentDate || null
+  if (patch.appointmentEndDate !== undefined) data.appointmentEndDate = patch.appointmentEndDate || null
+  if (patch.isAllDay !== undefined) data.isAllDay = patch.isAllDay
+  if (patch.quoteAmount !== undefined) data.quoteAmount = patch.quoteAmount
+  if (patch.cancelReason !== undefined) data.cancelReason = patch.cancelReason || null
+  if (patch.notes !== undefined) data.notes = patch.notes
+  if (patch.calendarEventId !== undefined) data.calendarEventId = patch.calendarEventId || null
+  if (patch.calendarEventUrl !== undefined) data.calendarEventUrl = patch.calendarEventUrl || null
+  if (patch.customerId !== undefined) data.customerId = patch.customerId || null
+  if (patch.siteId !== undefined) data.siteId = patch.siteId || null
+  if (patch.technicianId !== undefined) data.technicianId = patch.technicianId || null
+  if (patch.lineUserId !== undefined) data.lineUserId = patch.lineUserId || null
+  return data
+}
+
+// รูป/ไฟล์แนบ รองรับทั้งแบบ array และ field เดี่ยวของข้อมูลเก่า (imageUrl, pdfUrl)
+function toAttachmentRows(patch: ServiceRequestPatch): { images?: string[]; files?: Attachment[] } {
+  const images = patch.imageUrls ?? (patch.imageUrl !== undefined ? [patch.imageUrl].filter(Boolean) : undefined)
+  const files = patch.attachments ?? (patch.pdfUrl !== undefined
+    ? (patch.pdfUrl ? [{ url: patch.pdfUrl, name: patch.pdfFileName || 'ไฟล์' }] : [])
+    : undefined)
+  return {
+    ...(images !== undefined ? { images } : {}),
+    ...(files !== undefined ? { files } : {}),
+  }
+}
+
+function attachmentCreateData(images: string[], files: Attachment[]) {
+  return [
+    ...images.map((url, position) => ({ kind: 'image', url, name: '', position })),
+    ...files.map((f, position) => ({ kind: 'file', url: f.url, name: f.name, position })),
+  ]
+}
+
+function historyCreateData(history: StatusHistoryEntry[]) {
+  return history.map(h => ({
+    status: h.status,
+    by: h.by || 'System',
+    ...(h.note ? { note: h.note } : {}),
+    ...(h.date && !isNaN(Date.parse(h.date)) ? { createdAt: new Date(h.date) } : {}),
+  }))
+}
+
+// ── Firebase mirror (best-effort — SQLite บันทึกสำเร็จแล้วถือว่าสำเร็จ) ──
+
+// งานในถังขยะไม่อยู่ใน Firebase — หน้าเว็บอ่าน serviceRequests ทั้งก้อน ย้ายลงถัง = ลบ node, กู้คืน = mirror กลับ
+async function mirrorToFirebase(request: ServiceRequest): Promise<void> {
+  if (request.deletedAt) return removeFromFirebase(request.id)
+  try {
+    // Firebase ไม่รับค่า undefined → ตัดทิ้งด้วย JSON round-trip
+    await set(ref(firebaseDb, `serviceRequests/${request.id}`), JSON.parse(JSON.stringify(request)))
+  } catch (error) {
+    console.error('Firebase mirror failed:', error)
+  }
+}
+
+async function removeFromFirebase(id: string): Promise<void> {
+  try {
+    await remove(ref(firebaseDb, `serviceRequests/${id}`))
+  } catch (error) {
+    console.error('Firebase mirror delete failed:', error)
+  }
+}
+
+// ── ประวัติการแก้ไขรายฟิลด์ ──
+
+async function recordFieldChanges(tx: Tx, before: ServiceRequest, after: ServiceRequest, audit: AuditContext): Promise<void> {
+  const diffs = diffServiceRequests(before, after)
+  if (diffs.length === 0) return
+  await tx.fieldChange.createMany({
+    data: diffs.map(diff => ({
+      ...diff,
+      requestId: after.id,
+      requestNo: after.requestNo,
+      by: audit.by,
+      source: audit.source,
+      revertOfId: audit.revertOf ?? null,
+    })),
+  })
+}
+
+// ── เข้าคิว outbox (ดู src/lib/outbox.ts) ──
+
+async function enqueueSync(tx: Tx, request: ServiceRequest, sync: RequestSyncEvent | null, audit: AuditContext): Promise<void> {
+  if (!sync) return
+  // import ตอนใช้ — outbox อ่าน/เขียนงานผ่าน repository นี้
+  const { enqueueRequestSync } = await import('@/lib/outbox')
+  await enqueueRequestSync(request, sync, audit.by, tx)
+}
+
+// ── ดัชนีค้นหา (ดู src/lib/search.ts) ──
+
+async function writeSearchIndex(tx: Tx, request: ServiceRequest): Promise<void> {
+  const data = { ...buildSearchDocument(request), version: SEARCH_INDEX_VERSION }
+  await tx.searchIndex.upsert({
+    where: { requestId: request.id },
+    create: { requestId: request.id, ...data },
+    update: data,
+  })
+}
+
+const REINDEX_BATCH = 200
+
+/**
+ * 🗂️ Refresh Search Index
+ * งานที่ยังไม่มีในดัชนี (ก่อนมีดัชนี / เขียนตรงเข้า DB) หรือดัชนีรุ่นเก่า → สร้างใหม่ทีละชุด คืนจำนวนงานที่สร้างใหม่
+ * เรียกครั้งเดียวตอน server start (src/instrumentation.ts) — ไม่อยู่ในเส้นทางค้นหา งานที่บันทึกผ่าน repository อัปเดตดัชนีเองอยู่แล้ว
+ */
+export async function refreshSearchIndex(): Promise<number> {
+  let total = 0
+  let count: number
+  do {
+    const rows = await db.serviceRequest.findMany({
+      where: { OR: [{ searchIndex: { is: null } }, { searchIndex: { version: { lt: SEARCH_INDEX_VERSION } } }] },
+      include: withRelations,
+      take: REINDEX_BATCH,
+    })
+    for (const row of rows) await writeSearchIndex(db, toServiceRequest(row))
+    count = rows.length
+    total += count
+  } while (count === REINDEX_BATCH)
+  return total
+}
+
+/**
+ * ✍️ Write With Audit
+ * อ่านค่าเดิม → เขียน → ลงฟิลด์ที่เปลี่ยน + ดัชนีค้นหา + คิว outbox ใน transaction เดียวกัน แล้วค่อย mirror ไป Firebase
+ */
+async function writeWithAudit(
+  id: string,
+  audit: AuditContext,
+  sync: RequestSyncEvent | null,
+  write: (tx: Tx) => Promise<ServiceRequestRow>
+): Promise<ServiceRequest> {
+  const updated = await db.$transaction(async tx => {
+    const before = toServiceRequest(await tx.serviceRequest.findUniqueOrThrow({ where: { id }, include: withRelations }))
+    const after = toServiceRequest(await write(tx))
+    await recordFieldChanges(tx, before, after, audit)
+    await writeSearchIndex(tx, after)
+    await enqueueSync(tx, after, sync, audit)
+    return after
+  })
+  await mirrorToFirebase(updated)
+  return updated
+}
+
+/**
+ * 🧹 Normalize
+ * เติมค่า default ให้ข้อมูลที่มาจากแหล่งอื่น (Firebase เก่า, Google Sheets)
+ */
+export function normalizeServiceRequest(raw: Partial<ServiceRequest> & { id: string }): ServiceRequest {
+  return {
+    ...raw,
+    id: raw.id,
+    requestNo: raw.requestNo || '',
+    createdAt: raw.createdAt || new Date().toISOString(),
+    channel: raw.channel || 'LINE',
+    customerName: raw.customerName || '',
+    phone: raw.phone || '',
+    address: raw.address || '',
+    serviceType: raw.serviceType || '',
+    description: raw.description || '',
+    priority: raw.priority || 'normal',
+    status: raw.status || 'new',
+    appointmentDate: raw.appointmentDate || '',
+    notes: raw.notes || '',
+    imageUrl: raw.imageUrl || '',
+    history: Array.isArray(raw.history) ? raw.history : [],
+  }
+}
+
+// เลขที่งานเป็น unique — งานที่ย้ายมาจาก Firebase/Sheet ที่ไม่มีเลข หรือเลขชนกับงานอื่นแล้ว ได้เลขใหม่ (เลขเดิมลงไว้ในประวัติงาน)
+async function withAvailableRequestNo(request: ServiceRequest, audit: AuditContext): Promise<ServiceRequest> {
+  if (request.requestNo) {
+    const owner = await db.serviceRequest.findUnique({ where: { requestNo: request.requestNo }, select: { id: true } })
+    if (!owner || owner.id === request.id) return request
+  }
+  const note = request.requestNo ? `เปลี่ยนเลขที่งานจาก ${request.requestNo} (เลขซ้ำ)` : 'ออกเลขที่งานให้ (ข้อมูลเดิมไม่มีเลข)'
+  return {
+    ...request,
+    requestNo: await issueRequestNo(),
+    history: [...request.history, { status: request.status, date: new Date().toISOString(), by: audit.by, note }],
+  }
+}
+
+async function insertServiceRequest(
+  input: ServiceRequest,
+  audit: AuditContext,
+  sync: RequestSyncEvent | null
+): Promise<ServiceRequest> {
+  const request = await withAvailableRequestNo(input, audit)
+  const { images = [], files = [] } = toAttachmentRows(request)
+  return db.$transaction(async tx => {
+    const row = await tx.serviceRequest.create({
+      data: {
+        ...(toScalarData(request) as Prisma.ServiceRequestUncheckedCreateInput),
+        id: request.id,
+        requestNo: request.requestNo,
+        createdAt: new Date(request.createdAt),
+        channel: request.channel,
+        customerName: request.customerName,
+        phone: request.phone,
+        address: request.address,
+        serviceType: request.serviceType,
+        status: request.status,
+        history: { create: historyCreateData(request.history) },
+        attachments: { create: attachmentCreateData(images, files) },
+      },
+      include: withRelations,
+    })
+    const created = toServiceRequest(row)
+    await writeSearchIndex(tx, created)
+    await tx.fieldChange.create({
+      data: {
+        requestId: created.id,
+        requestNo: created.requestNo,
+        field: AUDIT_CREATED,
+        after: JSON.stringify(created),
+        by: audit.by,
+        source: audit.source,
+      },
+    })
+    await enqueueSync(tx, created, sync, audit)
+    return created
+  })
+}
+
+/**
+ * 📋 List
+ * งานที่สร้างหลัง `since` + งานที่ยังไม่ปิดทั้งหมด (เหมือนที่หน้าเว็บโหลด)
+ * ระบุ `customerId` = ประวัติงานทั้งหมดของลูกค้ารายนั้น
+ * ระบุ `appointmentDate` (YYYY-MM-DD) = งานที่นัดวันนั้น (หน้าจัดช่าง)
+ * `openOnly` = เฉพาะงานที่ยังไม่เสร็จ/ไม่ยกเลิก
+ * `includeTrashed` = รวมงานในถังขยะด้วย (เทียบกับ Sheet ที่ยังเก็บแถวไว้)
+ */
+export async function listServiceRequests(
+  options: { since?: Date; customerId?: string; appointmentDate?: string; openOnly?: boolean; includeTrashed?: boolean } = {}
+): Promise<ServiceRequest[]> {
+  const rows = await db.serviceRequest.findMany({
+    where: {
+      ...(options.includeTrashed ? {} : { deletedAt: null }),
+      ...(options.openOnly ? { status: { notIn: ['completed', 'cancelled'] } } : {}),
+      ...(options.since
+        ? { OR: [{ createdAt: { gte: options.since } }, { status: { notIn: ['completed', 'cancelled'] } }] }
+        : {}),
+      ...(options.customerId ? { customerId: options.customerId } : {}),
+      // appointmentDate เก็บเป็น "YYYY-MM-DD" หรือ "YYYY-MM-DDTHH:mm" (เวลาไทย) → เทียบ prefix ได้
+      ...(options.appointmentDate ? { appointmentDate: { startsWith: options.appointmentDate } } : {}),
+    },
+    include: withRelations,
+    orderBy: { createdAt: 'desc' },
+  })
+  return rows.map(toServiceRequest)
+}
+
+/**
+ * 🔎 Get
+ * ถ้ายังไม่มีใน SQLite จะดึงจาก Firebase มาเก็บ (read-through)
+ * งานเก่าที่สร้างก่อนมี database จะย้ายมาเองตอนถูกใช้งานครั้งแรก
+ * งานในถังขยะ = ไม่พบ (แก้/เปลี่ยนสถานะไม่ได้จนกว่าจะกู้คืน) เว้นแต่ระบุ includeTrashed
+ */
+export async function getServiceRequest(
+  id: string,
+  options: { includeTrashed?: boolean } = {}
+): Promise<ServiceRequest | null> {
+  const row = await db.serviceRequest.findUnique({ where: { id }, include: withRelations })
+  if (row) return row.deletedAt && !options.includeTrashed ? null : toServiceRequest(row)
+
+  const snapshot = await get(ref(firebaseDb, `serviceRequests/${id}`))
+  if (!snapshot.exists()) return null
+  return insertServiceRequest(normalizeServiceRequest({ ...snapshot.val(), id }), { by: 'System', source: 'import' }, null)
+}
+
+export async function createServiceRequest(
+  request: ServiceRequest,
+  audit: AuditContext,
+  sync: RequestSyncEvent | null = 'created'
+): Promise<ServiceRequest> {
+  const created = await insertServiceRequest(request, audit, sync)
+  await mirrorToFirebase(created)
+  return created
+}
+
+/**
+ * 💾 Replace
+ * เขียนทับทั้ง record รวมประวัติและไฟล์แนบ (ใช้ตอน import)
+ */
+export async function replaceServiceRequest(request: ServiceRequest, audit: AuditContext): Promise<ServiceRequest> {
+  await db.serviceRequest.deleteMany({ where: { id: request.id } })
+  return createServiceRequest(request, audit, null)
+}
+
+export async function updateServiceRequest(
+  id: string,
+  patch: ServiceRequestPatch,
+  audit: AuditContext,
+  sync: RequestSyncEvent | null = 'updated'
+): Promise<ServiceRequest | null> {
+  // ผู้เรียกเช็คงานมาก่อนแล้ว — worker ยังต้องเขียน eventId กลับให้งานในถังขยะได้
+  if (!(await getServiceRequest(id, { includeTrashed: true }))) return null
+
+  const { images, files } = toAttachmentRows(patch)
+  return writeWithAudit(id, audit, sync, async tx => {
+    if (images !== undefined) {
+      await tx.attachment.deleteMany({ where: { requestId: id, kind: 'image' } })
+      await tx.attachment.createMany({ data: attachmentCreateData(images, []).map(a => ({ ...a, requestId: id })) })
+    }
+    if (files !== undefined) {
+      await tx.attachment.deleteMany({ where: { requestId: id, kind: 'file' } })
+      await tx.attachment.createMany({ data: attachmentCreateData([], files).map(a => ({ ...a, requestId: id })) })
+    }
+    return tx.serviceRequest.update({ where: { id }, data: toScalarData(patch), include: withRelations })
+  })
+}
+
+/**
+ * 🔄 Change Status
+ * บันทึกสถานะใหม่ + ประวัติ (ผู้เรียกต้องเช็ค workflow จาก `current` มาก่อนแล้ว)
+ * เขียนเฉพาะเมื่องานยังอยู่สถานะ current.status — ถ้ามีใครเปลี่ยนไปก่อนโยน StaleStatusError (ไม่มีอะไรถูกเขียน)
+ */
+export async function changeServiceRequestStatus(
+  current: Pick<ServiceRequest, 'id' | 'status'>,
+  status: StatusValue,
+  audit: AuditContext,
+  fields: ServiceRequestPatch = {},
+  sync: RequestSyncEvent | null = 'status_changed'
+): Promise<ServiceRequest> {
+  const { id } = current
+  return writeWithAudit(id, audit, sync, async tx => {
+    const { count } = await tx.serviceRequest.updateMany({
+      where: { id, status: current.status },
+      data: { ...toScalarData(fields), status },
+    })
+    if (count === 0) {
+      const latest = await tx.serviceRequest.findUniqueOrThrow({ where: { id }, select: { status: true } })
+      throw new StaleStatusError(latest.status as StatusValue)
+    }
+    return tx.serviceRequest.update({
+      where: { id },
+      data: { history: { create: { status, by: audit.by } } },
+      include: withRelations,
+    })
+  })
+}
+
+// งานร่างจาก LINE ของลูกค้าคนนี้ที่ยังไม่มีใครรับ (ข้อความที่ทักต่อมาจะรวมเข้างานเดิม)
+export async function findLineDraft(lineUserId: string, since: Date): Promise<ServiceRequest | null> {
+  const row = await db.serviceRequest.findFirst({
+    where: { lineUserId, status: 'new', createdAt: { gte: since }, deletedAt: null },
+    include: withRelations,
+    orderBy: { createdAt: 'desc' },
+  })
+  return row ? toServiceRequest(row) : null
+}
+
+// งานในถังขยะ = ไม่พบ
+export async function findServiceRequestByRequestNo(requestNo: string): Promise<ServiceRequest | null> {
+  const row = await db.serviceRequest.findUnique({ where: { requestNo }, include: withRelations })
+  return row && !row.deletedAt ? toServiceRequest(row) : null
+}
+
+/**
+ * 📞 Search By Phone
+ * digits = เบอร์ที่ normalize แล้ว (ดู normalizePhone) — เบอร์ในงานเก็บตามที่พิมพ์ (มีขีด/ช่องว่าง)
+ * จึงกรองหยาบด้วย 4 ตัวท้าย (ไม่เคยถูกขีดคั่น) แล้วค่อยเทียบตัวเลขล้วนอีกรอบ
+ */
+export async function searchServiceRequestsByPhone(digits: string, limit = 10): Promise<ServiceRequest[]> {
+  const rows = await db.serviceRequest.findMany({
+    where: { phone: { contains: digits.slice(-4) }, deletedAt: null },
+    include: withRelations,
+    orderBy: { createdAt: 'desc' },
+  })
+  return rows
+    .filter(row => normalizePhone(row.phone).includes(digits))
+    .slice(0, limit)
+    .map(toServiceRequest)
+}
+
+/**
+ * 🔎 Search
+ * ค้นจากดัชนี — ต้องเจอครบทุกคำ, ตัวเลขแบบเบอร์เจอในเบอร์โทรหรือในข้อความก็ได้
+ * ค้นทุกงานที่ไม่อยู่ในถังขยะ (ไม่จำกัด 90 วันเหมือนรายการหน้าหลัก) ใหม่สุดก่อน
+ */
+export async function searchServiceRequests(query: SearchQuery, limit = 50): Promise<ServiceRequest[]> {
+  const rows = await db.serviceRequest.findMany({
+    where: {
+      deletedAt: null,
+      searchIndex: {
+        is: {
+          AND: [
+            ...query.terms.map(term => ({ text: { contains: term } })),
+            ...query.digits.map(({ raw, digits }) => ({
+              OR: [{ phones: { contains: digits } }, { text: { contains: raw } }],
+            })),
+          ],
+        },
+      },
+    },
+    include: withRelations,
+    orderBy: { createdAt: 'desc' },
+    take: limit,
+  })
+  return rows.map(toServiceRequest)
+}
+
+// งานที่ผูกกับ event นี้ในปฏิทิน (ไม่มี = event ไม่มีงานแล้ว / งานอยู่ในถังขยะ หรือไม่ใช่ของระบบ)
+export async function findServiceRequestByCalendarEventId(eventId: string): Promise<ServiceRequest | null> {
+  const row = await db.serviceRequest.findFirst({ where: { calendarEventId: eventId, deletedAt: null }, include: withRelations })
+  return row ? toServiceRequest(row) : null
+}
+
+/**
+ * 📝 Record Change
+ * แก้ฟิลด์ + ลงประวัติว่าใครแก้อะไร โดยสถานะคงเดิม (เช่นนัดที่ถูกเลื่อนจาก Google Calendar)
+ */
+export async function recordServiceRequestChange(
+  id: string,
+  patch: ServiceRequestPatch,
+  audit: AuditContext,
+  note: string
+): Promise<ServiceRequest> {
+  const current = await db.serviceRequest.findUniqueOrThrow({ where: { id }, select: { status: true } })
+  return writeWithAudit(id, audit, 'updated', tx => tx.serviceRequest.update({
+    where: { id },
+    data: {
+      ...toScalarData(patch),
+      history: { create: { status: current.status, by: audit.by, note } },
+    },
+    include: withRelations,
+  }))
+}
+
+/**
+ * 🔢 Renumber
+ * เปลี่ยนเลขที่งาน (แก้เลขซ้ำ) + ลงเลขเดิมไว้ในประวัติ — สถานะคงเดิม
+ */
+export async function renumberServiceRequest(
+  id: string,
+  requestNo: string,
+  audit: AuditContext
+): Promise<ServiceRequest | null> {
+  const current = await db.serviceRequest.findUnique({ where: { id }, select: { status: true, requestNo: true } })
+  if (!current) return null
+  return writeWithAudit(id, audit, 'updated', tx => tx.serviceRequest.update({
+    where: { id },
+    data: {
+      requestNo,
+      history: { create: { status: current.status, by: audit.by, note: `เปลี่ยนเลขที่งานจาก ${current.requestNo} (เลขซ้ำ)` } },
+    },
+    include: withRelations,
+  }))
+}
+
+/**
+ * 🗑️ Trash
+ * ย้ายงานไปถังขยะ — ข้อมูลใน SQLite ยังอยู่ครบ (Sheet ได้ deletedAt ไปด้วย, node ใน Firebase ถูกลบ) + ลงไว้ในประวัติสถานะ
+ * คืน null ถ้าไม่พบงานหรืออยู่ในถังขยะอยู่แล้ว
+ */
+export async function trashServiceRequest(id: string, audit: AuditContext): Promise<ServiceRequest | null> {
+  const current = await getServiceRequest(id)
+  if (!current) return null
+  return writeWithAudit(id, audit, 'updated', tx => tx.serviceRequest.update({
+    where: { id },
+    data: {
+      deletedAt: new Date(),
+      deletedBy: audit.by,
+      history: { create: { status: current.status, by: audit.by, note: 'ย้ายไปถังขยะ' } },
+    },
+    include: withRelations,
+  }))
+}
+
+// กู้คืนจากถังขยะ — คืน null ถ้าไม่พบงานหรือไม่ได้อยู่ในถังขยะ
+export async function restoreServiceRequest(id: string, audit: AuditContext): Promise<ServiceRequest | null> {
+  const current = await db.serviceRequest.findUnique({ where: { id }, select: { status: true, deletedAt: true } })
+  if (!current?.deletedAt) return null
+  return writeWithAudit(id, audit, 'updated', tx => tx.serviceRequest.update({
+    where: { id },
+    data: {
+      deletedAt: null,
+      deletedBy: null,
+      history: { create: { status: current.status, by: audit.by, note: 'กู้คืนจากถังขยะ' } },
+    },
+    include: withRelations,
+  }))
+}
+
+// งานในถังขยะ ลบล่าสุดก่อน — ระบุ deletedBefore = เฉพาะที่อยู่ในถังนานกว่านั้น (ครบกำหนดลบถาวร)
+export async function listTrashedServiceRequests(options: { deletedBefore?: Date } = {}): Promise<ServiceRequest[]> {
+  const rows = await db.serviceRequest.findMany({
+    where: { deletedAt: options.deletedBefore ? { lt: options.deletedBefore } : { not: null } },
+    include: withRelations,
+    orderBy: { deletedAt: 'desc' },
+  })
+  return rows.map(toServiceRequest)
+}
+
+// node ของงานในถังขยะที่ยังค้างใน Firebase (ย้ายลงถังก่อนเลิก mirror งานในถัง / ลบ node ไม่สำเร็จ) → ลบทิ้ง
+// เรียกครั้งเดียวตอน server start (src/instrumentation.ts)
+export async function removeTrashedFromFirebase(): Promise<void> {
+  const rows = await db.serviceRequest.findMany({ where: { deletedAt: { not: null } }, select: { id: true } })
+  for (const { id } of rows) await removeFromFirebase(id)
+}
+
+// ลบถาวร (ล้างถังขยะ) — ยังเหลือข้อมูลงานทั้งก้อนในแถว "deleted" ของ FieldChange
+// เข้าคิวลบแถวใน Sheet / event / ไฟล์ใน Drive จากข้อมูลก่อนลบ ใน transaction เดียวกัน
+export async function deleteServiceRequest(id: string, audit: AuditContext): Promise<boolean> {
+  const deleted = await db.$transaction(async tx => {
+    const row = await tx.serviceRequest.findUnique({ where: { id }, include: withRelations })
+    if (!row) return false
+    const snapshot = toServiceRequest(row)
+    await tx.serviceRequest.delete({ where: { id } })
+    await tx.fieldChange.create({
+      data: {
+        requestId: id,
+        requestNo: snapshot.requestNo,
+        field: AUDIT_DELETED,
+        before: JSON.stringify(snapshot),
+        by: audit.by,
+        source: audit.source,
+      },
+    })
+    await enqueueSync(tx, snapshot, 'deleted', audit)
+    return true
+  })
+  await removeFromFirebase(id)
+  return deleted
+}
@@ -0,0 +1,112 @@
+import type { Technician as TechnicianRecord } from '@prisma/client'
+import { db } from '@/lib/db'
+import type { CalendarTechnician } from '@/lib/integrations/calendar'
+import type { Technician } from '@/lib/types'
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Repository ช่าง
+// รายชื่อช่างที่จัดให้งานได้ (แทนชีต "ช่าง" ของ Apps Script เดิม)
+// ช่างไม่ถูกลบ — เลิกจ้างแล้วให้ปิด active เพราะงานเก่ายังอ้างถึง
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+// จัดช่างคนนี้ให้งานไม่ได้ (ไม่พบ / ปิดใช้งานแล้ว) — route ตอบ 400
+export class TechnicianStateError extends Error {
+  constructor(message: string) {
+    super(message)
+    this.name = 'TechnicianStateError'
+  }
+}
+
+export interface TechnicianInput {
+  name: string
+  phone?: string
+  email?: string
+  color?: string
+  dailyCapacityMinutes?: number
+  active?: boolean
+}
+
+function toTechnician(row: TechnicianRecord): Technician {
+  return {
+    id: row.id,
+    name: row.name,
+    phone: row.phone,
+    email: row.email,
+    color: row.color,
+    dailyCapacityMinutes: row.dailyCapacityMinutes,
+    active: row.active,
+    createdAt: row.createdAt.toISOString(),
+    updatedAt: row.updatedAt.toISOString(),
+  }
+}
+
+function technicianData(data: Partial<TechnicianInput>) {
+  return {
+    ...(data.name !== undefined ? { name: data.name.trim() } : {}),
+    ...(data.phone !== undefined ? { phone: data.phone.trim() } : {}),
+    ...(data.email !== undefined ? { email: data.email.trim().toLowerCase() } : {}),
+    ...(data.color !== undefined ? { color: data.color } : {}),
+    ...(data.dailyCapacityMinutes !== undefined ? { dailyCapacityMinutes: data.dailyCapacityMinutes } : {}),
+    ...(data.active !== undefined ? { active: data.active } : {}),
+  }
+}
+
+export async function listTechnicians(options: { includeInactive?: boolean } = {}): Promise<Technician[]> {
+  const rows = await db.technician.findMany({
+    where: options.includeInactive ? {} : { active: true },
+    orderBy: [{ active: 'desc' }, { name: 'asc' }],
+  })
+  return rows.map(toTechnician)
+}
+
+export async function getTechnician(id: string): Promise<Technician | null> {
+  const row = await db.technician.findUnique({ where: { id } })
+  return row ? toTechnician(row) : null
+}
+
+export async function createTechnician(input: TechnicianInput): Promise<Technician> {
+  const row = await db.technician.create({ data: { ...technicianData(input), name: input.name.trim() } })
+  return toTechnician(row)
+}
+
+export async function updateTechnician(id: string, input: Partial<TechnicianInput>): Promise<Technician | null> {
+  if (!(await db.technician.findUnique({ where: { id } }))) return null
+  const row = await db.technician.update({ where: { id }, data: technicianData(input) })
+  return toTechnician(row)
+}
+
+// งานในคิวที่มีวันนัดของช่างคนนี้ = มี event ในปฏิทินที่ต้องอัปเดตเมื่อแก้ชื่อ/สี/อีเมลช่าง
+export async function listCalendarRequestIds(technicianId: string): Promise<string[]> {
+  const rows = await db.serviceRequest.findMany({
+    where: { technicianId, status: 'queue', appointmentDate: { not: null } },
+    select: { id: true },
+  })
+  return rows.map(r => r.id)
+}
+
+/**
+ * ✅ Assert Assignable
+ * เช็คก่อนจัดช่างให้งาน — ต้องมีอยู่จริงและยังใช้งานอยู่ ('' = ถอดช่างออก ผ่านเสมอ)
+ */
+export async function assertAssignableTechnician(technicianId: string): Promise<void> {
+  if (!technicianId) return
+  const technician = await getTechnician(technicianId)
+  if (!technician) throw new TechnicianStateError('ไม่พบช่างที่เลือก')
+  if (!technician.active) throw new TechnicianStateError(`ช่าง "${technician.name}" ปิดใช้งานแล้ว`)
+}
+
+/**
+ * 📅 Calendar Technician
+ * ข้อมูลช่างที่ใช้ตั้งหัวข้อ/สี/attendee ของ event (ไม่มีช่าง = undefined → [รอจัดช่าง])
+ */
+export async function getCalendarTechnician(technicianId: string | undefined): Promise<CalendarTechnician | undefined> {
+  if (!technicianId) return undefined
+  const technician = await getTechnician(technicianId)
+  if (!technician) return undefined
+  return {
+    name: technician.name,
+    ...(technician.phone ? { phone: technician.phone } : {}),
+    ...(technician.email ? { email: technician.email } : {}),
+    color: technician.color,
+  }
+}
@@ -0,0 +1,45 @@
+import { describe, expect, it } from 'vitest'
+import {
+  ROLE_CONFIG,
+  ROLE_VALUES,
+  canDeleteRequests,
+  canManageQuotes,
+  canPerformTransition,
+  getAllowedNextStatuses,
+} from '@/lib/roles'
+import { STATUS_VALUES, canTransitionTo, getPreviousStatuses } from '@/lib/STATUS_WORKFLOW'
+
+describe('roles', () => {
+  // สิทธิ์ของ role ให้เกิน workflow ไม่ได้ — เส้นที่ workflow ไม่มีอยู่ในตารางของ role = พิมพ์ผิด/ค้างจาก workflow เก่า
+  it.each(ROLE_VALUES)('%s ได้สิทธิ์เฉพาะเส้นที่ workflow มีจริง', role => {
+    const transitions = ROLE_CONFIG[role].transitions
+    if (transitions === 'all') return
+    for (const [from, targets] of Object.entries(transitions)) {
+      for (const to of targets) expect(canTransitionTo(from as never, to), `${from} → ${to}`).toBe(true)
+    }
+  })
+
+  it('ปุ่มที่แสดง = workflow ∩ สิทธิ์ของ role — admin ก็ยังเปิดงานที่ปิดแล้วไม่ได้', () => {
+    expect(getAllowedNextStatuses('admin', 'completed')).toEqual([])
+    expect(getAllowedNextStatuses('technician', 'queue')).toEqual(['completed'])
+    expect(getAllowedNextStatuses('quotation', 'new')).toEqual([])
+    expect(getAllowedNextStatuses('reception', 'checking_parts')).toEqual(['cancelled'])
+  })
+
+  it('ทุกสถานะที่ยังไม่ปิดมี role ที่ไม่ใช่ admin ยกเลิกได้', () => {
+    for (const from of STATUS_VALUES.filter(status => canTransitionTo(status, 'cancelled'))) {
+      expect(ROLE_VALUES.some(role => role !== 'admin' && canPerformTransition(role, from, 'cancelled')), from).toBe(true)
+    }
+  })
+
+  it('ลบงานได้เฉพาะ admin', () => {
+    expect(ROLE_VALUES.filter(canDeleteRequests)).toEqual(['admin'])
+  })
+
+  // ส่งใบเสนอราคา = เปลี่ยนงานเป็น send_quote — role ที่ทำใบเสนอราคาได้ต้องส่งได้จากทุกสถานะขั้นเสนอราคา
+  it.each(ROLE_VALUES.filter(canManageQuotes))('%s เปลี่ยนเป็น send_quote ได้จากทุกสถานะขั้นเสนอราคา', role => {
+    for (const from of getPreviousStatuses('send_quote')) {
+      expect(canPerformTransition(role, from, 'send_quote'), `${from} → send_quote`).toBe(true)
+    }
+  })
+})
@@ -0,0 +1,167 @@
+/**
+ * 👥 Role Configuration
+ * บทบาทของพนักงาน — แต่ละบทบาทประกาศว่าเปลี่ยนสถานะเส้นไหนได้ และลบงานได้หรือไม่
+ * ใช้ทั้งฝั่ง API (บังคับสิทธิ์) และฝั่ง UI (ซ่อนปุ่มที่กดไม่ได้)
+ */
+
+import { type StatusValue, getNextStatuses } from './STATUS_WORKFLOW';
+
+export type Role = 'admin' | 'reception' | 'purchasing' | 'quotation' | 'technician';
+
+export const ROLE_VALUES = [
+  'admin',
+  'reception',
+  'purchasing',
+  'quotation',
+  'technician',
+] as const satisfies readonly Role[];
+
+// เส้นทางที่ทำได้: สถานะปัจจุบัน → สถานะที่เปลี่ยนไปได้ ('all' = ทุกเส้นทางตาม workflow)
+type RoleTransitions = 'all' | Partial<Record<StatusValue, StatusValue[]>>;
+
+export interface RoleConfig {
+  value: Role;
+  label: string;
+  icon: string;
+  description: string;
+  transitions: RoleTransitions;
+  // ลบงานได้หรือไม่
+  canDelete: boolean;
+  // เพิ่ม/แก้ไข/ปิดบัญชีพนักงานได้หรือไม่ (หน้า /admin)
+  canManageEmployees: boolean;
+  // สร้าง/แก้ไขใบเสนอราคา และทำฉบับแก้ไขได้หรือไม่ — true ต้องมีเส้น → send_quote จากทุกสถานะขั้นเสนอราคาด้วย (ส่งใบเสนอราคา = เปลี่ยนสถานะ)
+  canManageQuotes: boolean;
+  // แก้แคตตาล็อกอะไหล่ + บันทึกสั่งซื้อ/รับของได้หรือไม่ (หน้า /parts)
+  canManageParts: boolean;
+  // จัดช่าง/เปลี่ยนช่างให้งานได้หรือไม่ (หน้า /dispatch)
+  canAssignTechnicians: boolean;
+}
+
+export const ROLE_CONFIG: Record<Role, RoleConfig> = {
+  admin: {
+    value: 'admin',
+    label: 'ผู้ดูแลระบบ',
+    icon: '🛡️',
+    description: 'ทำได้ทุกอย่าง รวมถึงจัดการพนักงาน',
+    transitions: 'all',
+    canDelete: true,
+    canManageEmployees: true,
+    canManageQuotes: true,
+    canManageParts: true,
+    canAssignTechnicians: true,
+  },
+
+  // ฝ่ายแอดมินหน้าร้าน: รับเรื่อง, จองคิว, ส่งใบเสนอราคา, ปิดงาน, ยกเลิก
+  reception: {
+    value: 'reception',
+    label: 'ฝ่ายแอดมิน (รับเรื่อง)',
+    icon: '📞',
+    description: 'รับเรื่องใหม่ จองคิว ส่งใบเสนอราคาให้ลูกค้า ปิดงาน',
+    transitions: {
+      new: ['queue', 'waiting_quote', 'checking_parts', 'cancelled'],
+      queue: ['completed', 'cancelled'],
+      waiting_quote: ['cancelled'],
+      checking_parts: ['cancelled'],
+      order_parts: ['completed', 'cancelled'],
+      send_quote: ['waiting_response', 'cancelled'],
+      waiting_response: ['new', 'cancelled'],
+    },
+    canDelete: false,
+    canManageEmployees: false,
+    canManageQuotes: false,
+    canManageParts: false,
+    canAssignTechnicians: true,
+  },
+
+  purchasing: {
+    value: 'purchasing',
+    label: 'ฝ่ายจัดซื้อ',
+    icon: '🛒',
+    description: 'เช็คราคาอะไหล่ สั่งซื้ออะไหล่',
+    transitions: {
+      waiting_quote: ['send_quote'],
+      checking_parts: ['order_parts', 'send_quote'],
+      order_parts: ['send_quote'],
+    },
+    canDelete: false,
+    canManageEmployees: false,
+    canManageQuotes: true,
+    canManageParts: true,
+    canAssignTechnicians: false,
+  },
+
+  quotation: {
+    value: 'quotation',
+    label: 'ฝ่ายทำใบเสนอราคา',
+    icon: '💰',
+    description: 'ทำใบเสนอราคาให้ลูกค้า',
+    transitions: {
+      waiting_quote: ['send_quote'],
+      checking_parts: ['send_quote'],
+      order_parts: ['send_quote'],
+    },
+    canDelete: false,
+    canManageEmployees: false,
+    canManageQuotes: true,
+    canManageParts: false,
+    canAssignTechnicians: false,
+  },
+
+  technician: {
+    value: 'technician',
+    label: 'ช่าง',
+    icon: '🔧',
+    description: 'ปิดงานหลังเข้าหน้างานเสร็จ',
+    transitions: {
+      queue: ['completed'],
+      order_parts: ['completed'],
+    },
+    canDelete: false,
+    canManageEmployees: false,
+    canManageQuotes: false,
+    canManageParts: false,
+    canAssignTechnicians: false,
+  },
+};
+
+/**
+ * ✅ Can Perform Transition
+ * บทบาทนี้เปลี่ยนจาก from → to ได้หรือไม่ (ไม่ได้เช็คว่า workflow อนุญาต — ใช้ canTransitionTo คู่กัน)
+ */
+export function canPerformTransition(role: Role, from: StatusValue, to: StatusValue): boolean {
+  const transitions = ROLE_CONFIG[role].transitions;
+  if (transitions === 'all') return true;
+  return transitions[from]?.includes(to) ?? false;
+}
+
+/**
+ * ➡️ Get Allowed Next Statuses
+ * สถานะถัดไปตาม workflow ที่บทบาทนี้กดได้
+ */
+export function getAllowedNextStatuses(role: Role, currentStatus: StatusValue): StatusValue[] {
+  return getNextStatuses(currentStatus).filter(next => canPerformTransition(role, currentStatus, next));
+}
+
+export function canDeleteRequests(role: Role): boolean {
+  return ROLE_CONFIG[role].canDelete;
+}
+
+export function canManageEmployees(role: Role): boolean {
+  return ROLE_CONFIG[role].canManageEmployees;
+}
+
+export function canManageQuotes(role: Role): boolean {
+  return ROLE_CONFIG[role].canManageQuotes;
+}
+
+export function isRole(value: unknown): value is Role {
+  return typeof value === 'string' && (ROLE_VALUES as readonly string[]).includes(value);
+}
+
+export function canManageParts(role: Role): boolean {
+  return ROLE_CONFIG[role].canManageParts;
+}
+
+export function canAssignTechnicians(role: Role): boolean {
+  return ROLE_CONFIG[role].canAssignTechnicians;
+}
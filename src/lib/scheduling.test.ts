@@ -0,0 +1,120 @@
+import { describe, expect, it } from 'vitest'
+import {
+  describeScheduleCheck,
+  getAppointmentRange,
+  getBookedMinutesOnDay,
+  getDateKeys,
+  getFreeSlots,
+  getServiceDuration,
+  moveAppointment,
+  rangesOverlap,
+} from '@/lib/scheduling'
+
+// เวลาไทย → ช่วงเวลา (ISO) เพื่อเทียบผลง่ายๆ
+const at = (value: string) => new Date(`${value}+07:00`)
+const iso = (range: { start: Date; end: Date } | null) => range && { start: range.start.toISOString(), end: range.end.toISOString() }
+
+describe('getAppointmentRange', () => {
+  it('ไม่มีเวลาสิ้นสุด → ใช้เวลาตามประเภทงาน (ประเภทที่ไม่รู้จัก = 2 ชม.)', () => {
+    expect(getServiceDuration('ล้างแอร์')).toBe(90)
+    expect(iso(getAppointmentRange({ appointmentDate: '2026-10-20T09:00', serviceType: 'ล้างแอร์' })))
+      .toEqual(iso({ start: at('2026-10-20T09:00'), end: at('2026-10-20T10:30') }))
+    expect(iso(getAppointmentRange({ appointmentDate: '2026-10-20T09:00', serviceType: 'ซ่อมแอร์' })))
+      .toEqual(iso({ start: at('2026-10-20T09:00'), end: at('2026-10-20T11:00') }))
+  })
+
+  it('กรอกเวลาสิ้นสุดเอง → ใช้ตามนั้น แต่ถ้าก่อนเวลาเริ่มกลับไปใช้เวลาตามประเภทงาน', () => {
+    expect(iso(getAppointmentRange({ appointmentDate: '2026-10-20T09:00', appointmentEndDate: '2026-10-20T09:45', serviceType: 'ติดตั้ง' })))
+      .toEqual(iso({ start: at('2026-10-20T09:00'), end: at('2026-10-20T09:45') }))
+    expect(iso(getAppointmentRange({ appointmentDate: '2026-10-20T09:00', appointmentEndDate: '2026-10-20T08:00', serviceType: 'ตรวจสอบ' })))
+      .toEqual(iso({ start: at('2026-10-20T09:00'), end: at('2026-10-20T10:00') }))
+  })
+
+  it('งานทั้งวัน → เต็มเวลาทำงานตั้งแต่วันเริ่มถึงวันสิ้นสุด', () => {
+    expect(iso(getAppointmentRange({ appointmentDate: '2026-10-20', appointmentEndDate: '2026-10-21', isAllDay: true, serviceType: 'ติดตั้ง' })))
+      .toEqual(iso({ start: at('2026-10-20T08:00'), end: at('2026-10-21T18:00') }))
+  })
+
+  it('ไม่มีวันนัด / อ่านไม่ได้ → null', () => {
+    expect(getAppointmentRange({ appointmentDate: '', serviceType: 'ซ่อม' })).toBeNull()
+    expect(getAppointmentRange({ appointmentDate: 'พรุ่งนี้', serviceType: 'ซ่อม' })).toBeNull()
+  })
+})
+
+describe('moveAppointment', () => {
+  const job = { appointmentDate: '2026-10-20T09:00', appointmentEndDate: '2026-10-20T11:30', serviceType: 'ซ่อม' }
+
+  it('ย้ายแค่วัน → คงเวลาและระยะเวลาเดิม', () => {
+    expect(moveAppointment(job, '2026-10-22')).toEqual({
+      appointmentDate: '2026-10-22T09:00',
+      appointmentEndDate: '2026-10-22T11:30',
+      isAllDay: false,
+    })
+  })
+
+  it('ตั้งเวลาเริ่มใหม่ → เลื่อนเวลาสิ้นสุดตาม / งานทั้งวันกลายเป็นงานมีเวลา', () => {
+    expect(moveAppointment(job, '2026-10-22', 13 * 60)).toEqual({
+      appointmentDate: '2026-10-22T13:00',
+      appointmentEndDate: '2026-10-22T15:30',
+      isAllDay: false,
+    })
+    expect(moveAppointment({ appointmentDate: '2026-10-20', isAllDay: true, serviceType: 'ติดตั้ง' }, '2026-10-21', 10 * 60)).toEqual({
+      appointmentDate: '2026-10-21T10:00',
+      appointmentEndDate: '',
+      isAllDay: false,
+    })
+  })
+
+  it('ค่าที่มีแต่วันที่คงรูปแบบเดิม', () => {
+    expect(moveAppointment({ appointmentDate: '2026-10-20', appointmentEndDate: '2026-10-21', isAllDay: true, serviceType: 'ติดตั้ง' }, '2026-10-25'))
+      .toEqual({ appointmentDate: '2026-10-25', appointmentEndDate: '2026-10-26', isAllDay: true })
+  })
+})
+
+describe('เวลาว่าง / เวลาที่จอง', () => {
+  it('ช่วงเวลาที่แค่ต่อกันไม่นับว่าชน', () => {
+    const morning = { start: at('2026-10-20T09:00'), end: at('2026-10-20T10:30') }
+    expect(rangesOverlap(morning, { start: at('2026-10-20T10:30'), end: at('2026-10-20T12:00') })).toBe(false)
+    expect(rangesOverlap(morning, { start: at('2026-10-20T10:00'), end: at('2026-10-20T12:00') })).toBe(true)
+  })
+
+  it('ช่วงว่างในเวลาทำงาน ไม่นับช่องที่สั้นกว่า 30 นาที', () => {
+    const slots = getFreeSlots('2026-10-20', [
+      { start: at('2026-10-20T10:45'), end: at('2026-10-20T12:00') },
+      { start: at('2026-10-20T09:00'), end: at('2026-10-20T10:30') },
+    ])
+    expect(slots.map(iso)).toEqual([
+      iso({ start: at('2026-10-20T08:00'), end: at('2026-10-20T09:00') }),
+      iso({ start: at('2026-10-20T12:00'), end: at('2026-10-20T18:00') }),
+    ])
+  })
+
+  it('งานวันเดียวนอกเวลาทำงานนับเต็ม / งานหลายวันนับเฉพาะเวลาทำงานของแต่ละวัน', () => {
+    expect(getBookedMinutesOnDay({ start: at('2026-10-20T19:00'), end: at('2026-10-20T21:00') }, '2026-10-20')).toBe(120)
+
+    const twoDays = { start: at('2026-10-20T08:00'), end: at('2026-10-21T18:00') }
+    expect(getDateKeys(twoDays)).toEqual(['2026-10-20', '2026-10-21'])
+    expect(getBookedMinutesOnDay(twoDays, '2026-10-21')).toBe(600)
+  })
+
+  it('ข้อความเตือนก่อนบันทึก', () => {
+    expect(describeScheduleCheck({
+      start: null,
+      end: null,
+      overlaps: [{
+        requestId: 'req-2',
+        requestNo: 'REQ-20261019-002',
+        customerName: 'ลูกค้า สอง',
+        serviceType: 'ซ่อม',
+        status: 'queue',
+        technicianId: 'tech-1',
+        start: at('2026-10-20T09:00').toISOString(),
+        end: at('2026-10-20T11:00').toISOString(),
+      }],
+      capacity: [{ technicianId: 'tech-1', technicianName: 'ช่างเอ', date: '2026-10-20', bookedMinutes: 330, capacityMinutes: 240 }],
+    })).toEqual([
+      'ชนกับงาน REQ-20261019-002 ลูกค้า สอง (09:00-11:00)',
+      'ช่างเอ วันที่ 2026-10-20 งานรวม 5 ชม. 30 นาที เกินที่รับได้ 4 ชม.',
+    ])
+  })
+})
@@ -0,0 +1,230 @@
+/**
+ * 🗓️ Scheduling
+ * ระยะเวลางานตามประเภท + ช่วงเวลานัด (เวลาไทย) + คำนวณเวลาว่างของช่าง ใช้ทั้งหน้าเว็บและ API
+ */
+
+import type { ScheduleCheck } from './types';
+
+// ประเภทงาน + เวลาที่ใช้โดยประมาณ (ใช้เมื่อไม่ได้กรอกเวลาสิ้นสุดเอง)
+export const SERVICE_TYPES = [
+  { value: 'ล้างแอร์', durationMinutes: 90 },
+  { value: 'ซ่อม', durationMinutes: 120 },
+  { value: 'ติดตั้ง', durationMinutes: 240 },
+  { value: 'ตรวจสอบ', durationMinutes: 60 },
+  { value: 'บำรุงรักษา', durationMinutes: 120 },
+  { value: 'อื่นๆ', durationMinutes: 120 },
+] as const;
+
+// ประเภทงานที่ไม่อยู่ในรายการ (ข้อมูลเก่า/จาก Sheet) — เท่ากับที่ปฏิทินเคยจองตายตัวไว้
+export const DEFAULT_DURATION_MINUTES = 120;
+
+// เวลาทำงานของช่าง (นาทีนับจากเที่ยงคืน เวลาไทย) — งานทั้งวันจองเต็มช่วงนี้
+export const WORK_DAY_START_MINUTES = 8 * 60;
+export const WORK_DAY_END_MINUTES = 18 * 60;
+
+// ความจุต่อวันเริ่มต้นของช่าง (ตั้งแยกรายคนได้ที่หน้าจัดช่าง)
+export const DEFAULT_DAILY_CAPACITY_MINUTES = 8 * 60;
+
+// ช่องว่างที่สั้นกว่านี้ไม่นับเป็นเวลาว่าง
+export const MIN_FREE_SLOT_MINUTES = 30;
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const TIME_ZONE = 'Asia/Bangkok';
+
+export interface AppointmentFields {
+  appointmentDate: string;
+  appointmentEndDate?: string;
+  isAllDay?: boolean;
+  serviceType: string;
+}
+
+export interface TimeRange {
+  start: Date;
+  end: Date;
+}
+
+export function getServiceDuration(serviceType: string): number {
+  return SERVICE_TYPES.find(t => t.value === serviceType)?.durationMinutes ?? DEFAULT_DURATION_MINUTES;
+}
+
+// Parse appointmentDate with Bangkok timezone (UTC+7)
+export function parseAppointmentDate(appointmentDate: string): Date {
+  const hasTimezone = appointmentDate.includes('+') || appointmentDate.endsWith('Z');
+  if (hasTimezone) {
+    // Already has timezone info → parse directly
+    return new Date(appointmentDate);
+  }
+  if (appointmentDate.length <= 10) {
+    // Date only (YYYY-MM-DD) → default 09:00 Bangkok time
+    return new Date(`${appointmentDate}T09:00:00+07:00`);
+  }
+  // datetime-local format "2026-03-18T18:00" → treat as Bangkok time
+  return new Date(`${appointmentDate}+07:00`);
+}
+
+// วันที่ตามเวลาไทย (YYYY-MM-DD)
+export function toDateKey(date: Date): string {
+  return date.toLocaleDateString('sv-SE', { timeZone: TIME_ZONE });
+}
+
+// เวลาไทย HH:mm
+export function formatTime(date: Date): string {
+  return date.toLocaleTimeString('en-GB', { timeZone: TIME_ZONE, hour: '2-digit', minute: '2-digit', hour12: false });
+}
+
+// ค่าแบบ datetime-local ที่ฟอร์มใช้เก็บ ("YYYY-MM-DDTHH:mm" เวลาไทย)
+export function toAppointmentValue(date: Date): string {
+  return `${toDateKey(date)}T${formatTime(date)}`;
+}
+
+export function addDays(dateKey: string, days: number): string {
+  return toDateKey(new Date(new Date(`${dateKey}T12:00:00+07:00`).getTime() + days * DAY_MS));
+}
+
+// เวลา (นาทีนับจากเที่ยงคืน) ของวันที่ dateKey ตามเวลาไทย → Date
+export function atMinutes(dateKey: string, minutes: number): Date {
+  return new Date(new Date(`${dateKey}T00:00:00+07:00`).getTime() + minutes * MINUTE_MS);
+}
+
+/**
+ * ⏱️ Appointment Range
+ * ช่วงเวลาที่งานจองช่างไว้ — มีเวลาสิ้นสุดใช้ตามนั้น ไม่มีใช้เวลาตามประเภทงาน
+ * งานทั้งวัน = เต็มเวลาทำงานของทุกวันตั้งแต่วันเริ่มถึงวันสิ้นสุด
+ */
+export function getAppointmentRange(fields: AppointmentFields): TimeRange | null {
+  if (!fields.appointmentDate) return null;
+  const start = parseAppointmentDate(fields.appointmentDate);
+  if (isNaN(start.getTime())) return null;
+
+  if (fields.isAllDay) {
+    const startKey = toDateKey(start);
+    const endKey = fields.appointmentEndDate ? toDateKey(parseAppointmentDate(fields.appointmentEndDate)) : startKey;
+    return {
+      start: atMinutes(startKey, WORK_DAY_START_MINUTES),
+      end: atMinutes(endKey >= startKey ? endKey : startKey, WORK_DAY_END_MINUTES),
+    };
+  }
+
+  const end = fields.appointmentEndDate ? parseAppointmentDate(fields.appointmentEndDate) : null;
+  if (end && !isNaN(end.getTime()) && end > start) return { start, end };
+  return { start, end: new Date(start.getTime() + getServiceDuration(fields.serviceType) * MINUTE_MS) };
+}
+
+/**
+ * 🔀 Move Appointment
+ * ย้ายนัดไปวันที่ dateKey — ไม่ระบุ minutes = คงเวลาเดิม (ย้ายแค่วัน), ระบุ = ตั้งเวลาเริ่มใหม่ (ไม่ใช่งานทั้งวันแล้ว)
+ * ระยะเวลางานเท่าเดิม: มีเวลาสิ้นสุดก็เลื่อนตามไปด้วย ไม่มีก็ยังคิดตามประเภทงานเหมือนเดิม
+ */
+export function moveAppointment(
+  fields: AppointmentFields,
+  dateKey: string,
+  minutes?: number
+): Required<Pick<AppointmentFields, 'appointmentDate' | 'appointmentEndDate' | 'isAllDay'>> {
+  const start = parseAppointmentDate(fields.appointmentDate);
+  const end = fields.appointmentEndDate ? parseAppointmentDate(fields.appointmentEndDate) : null;
+  const hasEnd = end !== null && !isNaN(end.getTime()) && end >= start;
+
+  if (minutes === undefined) {
+    const shiftMs = atMinutes(dateKey, 0).getTime() - atMinutes(toDateKey(start), 0).getTime();
+    // ค่าที่มีแต่วันที่ (ไม่มีเวลา) คงรูปแบบเดิมไว้
+    const shift = (value: string, date: Date) => {
+      const moved = new Date(date.getTime() + shiftMs);
+      return value.length <= 10 ? toDateKey(moved) : toAppointmentValue(moved);
+    };
+    return {
+      appointmentDate: shift(fields.appointmentDate, start),
+      appointmentEndDate: hasEnd ? shift(fields.appointmentEndDate!, end) : '',
+      isAllDay: fields.isAllDay ?? false,
+    };
+  }
+
+  const newStart = atMinutes(dateKey, minutes);
+  const keepEnd = hasEnd && !fields.isAllDay && end > start;
+  return {
+    appointmentDate: toAppointmentValue(newStart),
+    appointmentEndDate: keepEnd ? toAppointmentValue(new Date(newStart.getTime() + end.getTime() - start.getTime())) : '',
+    isAllDay: false,
+  };
+}
+
+export function rangesOverlap(a: TimeRange, b: TimeRange): boolean {
+  return a.start < b.end && b.start < a.end;
+}
+
+export function getRangeMinutes(range: TimeRange): number {
+  return Math.round((range.end.getTime() - range.start.getTime()) / MINUTE_MS);
+}
+
+function overlapMinutes(a: TimeRange, b: TimeRange): number {
+  const ms = Math.min(a.end.getTime(), b.end.getTime()) - Math.max(a.start.getTime(), b.start.getTime());
+  return Math.max(0, Math.round(ms / MINUTE_MS));
+}
+
+// ช่วงเวลาทำงานของวันนั้น
+export function getWorkDay(dateKey: string): TimeRange {
+  return { start: atMinutes(dateKey, WORK_DAY_START_MINUTES), end: atMinutes(dateKey, WORK_DAY_END_MINUTES) };
+}
+
+/**
+ * 📊 Booked Minutes
+ * เวลาที่งานกินในวันนั้น — งานวันเดียวนับเต็ม (รวมนอกเวลาทำงาน เช่นงานด่วนตอนค่ำ)
+ * งานหลายวันนับเฉพาะช่วงเวลาทำงานของแต่ละวัน
+ */
+export function getBookedMinutesOnDay(range: TimeRange, dateKey: string): number {
+  const isSingleDay = toDateKey(range.start) === toDateKey(new Date(range.end.getTime() - 1));
+  const window = isSingleDay
+    ? { start: atMinutes(dateKey, 0), end: atMinutes(dateKey, 24 * 60) }
+    : getWorkDay(dateKey);
+  return overlapMinutes(range, window);
+}
+
+/**
+ * 🟢 Free Slots
+ * ช่วงว่างในเวลาทำงานของวันนั้น หลังหักงานที่จองไว้ (สั้นกว่า MIN_FREE_SLOT_MINUTES ไม่นับ)
+ */
+export function getFreeSlots(dateKey: string, busy: TimeRange[], minMinutes = MIN_FREE_SLOT_MINUTES): TimeRange[] {
+  const workDay = getWorkDay(dateKey);
+  const sorted = busy.filter(r => rangesOverlap(r, workDay)).sort((a, b) => a.start.getTime() - b.start.getTime());
+
+  const slots: TimeRange[] = [];
+  let cursor = workDay.start;
+  for (const range of sorted) {
+    if (range.start > cursor) slots.push({ start: cursor, end: range.start < workDay.end ? range.start : workDay.end });
+    if (range.end > cursor) cursor = range.end;
+    if (cursor >= workDay.end) break;
+  }
+  if (cursor < workDay.end) slots.push({ start: cursor, end: workDay.end });
+
+  return slots.filter(slot => getRangeMinutes(slot) >= minMinutes);
+}
+
+// วันที่ (YYYY-MM-DD) ทุกวันที่ช่วงเวลานี้คร่อม
+export function getDateKeys(range: TimeRange): string[] {
+  const keys: string[] = [];
+  const lastKey = toDateKey(new Date(range.end.getTime() - 1));
+  for (let key = toDateKey(range.start); key <= lastKey; key = addDays(key, 1)) keys.push(key);
+  return keys;
+}
+
+export function formatMinutes(minutes: number): string {
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  if (!hours) return `${rest} นาที`;
+  return rest ? `${hours} ชม. ${rest} นาที` : `${hours} ชม.`;
+}
+
+/**
+ * ⚠️ Describe Schedule Check
+ * ข้อความเตือนสำหรับ confirm() ก่อนบันทึก — ไม่มีอะไรชน/เกิน = []
+ */
+export function describeScheduleCheck(check: ScheduleCheck): string[] {
+  return [
+    ...check.overlaps.map(b =>
+      `ชนกับงาน ${b.requestNo} ${b.customerName} (${formatTime(new Date(b.start))}-${formatTime(new Date(b.end))})`
+    ),
+    ...check.capacity.map(c =>
+      `${c.technicianName} วันที่ ${c.date} งานรวม ${formatMinutes(c.bookedMinutes)} เกินที่รับได้ ${formatMinutes(c.capacityMinutes)}`
+    ),
+  ];
+}
@@ -0,0 +1,90 @@
+import { describe, expect, it } from 'vitest'
+import {
+  buildSearchDocument,
+  findSearchHits,
+  highlightText,
+  isEmptySearchQuery,
+  matchesSearchQuery,
+  parseSearchQuery,
+} from '@/lib/search'
+import { makeServiceRequest } from '@/test/fixtures'
+
+const job = makeServiceRequest({
+  contactName: 'คุณบี',
+  phone: '085-123-4567 / 02-111-2222',
+  notes: 'โทร 089 999 0000 ก่อนเข้า',
+  attachments: [{ url: 'https://files/quote.pdf', name: 'ใบเสนอราคา.pdf' }],
+  history: [{ status: 'new', date: '2026-10-19T02:00:00.000Z', by: 'ทดสอบ reception', note: 'ลูกค้าขอเลื่อนเป็นช่วงบ่าย' }],
+})
+
+describe('parseSearchQuery', () => {
+  it('ตัดคำไทยที่ไม่เว้นวรรค + แยกก้อนเบอร์โทร', () => {
+    expect(parseSearchQuery('ล้างแอร์สีลม 085-123-4567')).toEqual({
+      terms: ['ล้าง', 'แอร์', 'สีลม'],
+      digits: [{ raw: '085-123-4567', digits: '0851234567' }],
+    })
+  })
+
+  it('เบอร์ที่เว้นวรรค / +66 รวมเป็นก้อนเดียว, ตัวอักษรเป็นตัวเล็ก', () => {
+    expect(parseSearchQuery('+66 81 234 5678 KFC')).toEqual({
+      terms: ['kfc'],
+      digits: [{ raw: '+66812345678', digits: '0812345678' }],
+    })
+  })
+
+  it('คำที่อยู่ในคำอื่นทั้งก้อนไม่ค้นซ้ำ / คำค้นว่าง', () => {
+    expect(parseSearchQuery('สาขา สาขาสีลม').terms).not.toContain('สา')
+    expect(isEmptySearchQuery(parseSearchQuery('   '))).toBe(true)
+  })
+})
+
+describe('buildSearchDocument', () => {
+  it('ทุกฟิลด์ข้อความ + ชื่อไฟล์แนบ + บันทึกในประวัติ, เบอร์ตัวเลขล้วนรวมเบอร์ในหมายเหตุ', () => {
+    const { text, phones } = buildSearchDocument(job)
+    expect(text).toContain('คุณบี')
+    expect(text).toContain('ใบเสนอราคา.pdf')
+    expect(text).toContain('ลูกค้าขอเลื่อนเป็นช่วงบ่าย')
+    expect(phones.split(' ')).toEqual(['0851234567', '021112222', '0899990000'])
+  })
+})
+
+describe('matchesSearchQuery', () => {
+  it('ต้องเจอครบทุกคำ ฟิลด์ไหนก็ได้', () => {
+    expect(matchesSearchQuery(job, parseSearchQuery('ล้างแอร์ สีลม คุณบี'))).toBe(true)
+    expect(matchesSearchQuery(job, parseSearchQuery('ล้างแอร์ บางนา'))).toBe(false)
+  })
+
+  it('เบอร์เทียบแบบตัวเลขล้วน — ขีด/ช่องว่าง/+66 และช่องที่มีหลายเบอร์ไม่มีผล', () => {
+    expect(matchesSearchQuery(job, parseSearchQuery('0211 12222'))).toBe(true)
+    expect(matchesSearchQuery(job, parseSearchQuery('+66 89-999-0000'))).toBe(true)
+    expect(matchesSearchQuery(job, parseSearchQuery('081-000-0000'))).toBe(false)
+  })
+})
+
+describe('ไฮไลต์', () => {
+  it('พิมพ์เบอร์ไม่มีขีด → ไฮไลต์เบอร์ที่มีขีดในข้อความได้', () => {
+    expect(highlightText('โทร 085-123-4567 นะ', parseSearchQuery('0851234567'))).toEqual([
+      { text: 'โทร ', match: false },
+      { text: '085-123-4567', match: true },
+      { text: ' นะ', match: false },
+    ])
+  })
+
+  it('ไม่เจอ = ช่วงเดียวทั้งข้อความ', () => {
+    expect(highlightText('สีลม', parseSearchQuery('บางนา'))).toEqual([{ text: 'สีลม', match: false }])
+  })
+
+  it('findSearchHits บอกฟิลด์ที่เจอพร้อมข้อความช่วงนั้น', () => {
+    const hits = findSearchHits(job, parseSearchQuery('ช่วงบ่าย ใบเสนอราคา'))
+    expect(hits).toEqual([
+      { field: 'attachments', label: 'ไฟล์แนบ', snippet: 'ใบเสนอราคา.pdf' },
+      { field: 'history', label: 'บันทึกในประวัติงาน', snippet: 'ลูกค้าขอเลื่อนเป็นช่วงบ่าย' },
+    ])
+  })
+
+  it('ข้อความยาว → ตัดเหลือช่วงรอบคำที่เจอ', () => {
+    const long = makeServiceRequest({ description: `${'ก'.repeat(50)} คอมเพรสเซอร์ ${'ข'.repeat(50)}` })
+    const [hit] = findSearchHits(long, parseSearchQuery('คอมเพรสเซอร์'))
+    expect(hit?.snippet).toBe(`…${'ก'.repeat(29)} คอมเพรสเซอร์ ${'ข'.repeat(29)}…`)
+  })
+})
@@ -0,0 +1,228 @@
+/**
+ * 🔎 Job Search
+ * ค้นงานจากทุกฟิลด์ข้อความ + ชื่อไฟล์แนบ — ใช้ทั้ง server (สร้างดัชนี SearchIndex / หาฟิลด์ที่เจอ) และหน้าเว็บ (ไฮไลต์)
+ * คำค้นภาษาไทยไม่เว้นวรรค → ตัดคำด้วย Intl.Segmenter แล้วต้องเจอครบทุกคำ (ลำดับ/ฟิลด์ไหนก็ได้)
+ * เบอร์โทรเทียบแบบตัวเลขล้วน — ขีด ช่องว่าง +66 และช่องที่มีหลายเบอร์ ("085-xxx / 02-xxx") ไม่มีผล
+ */
+
+import { extractPhones, normalizePhone } from './customer-match';
+import type { SearchHit, ServiceRequest } from './types';
+
+// ฟิลด์ที่ค้นได้ เรียงตามลำดับที่แสดงว่า "พบใน"
+export const SEARCH_FIELDS = {
+  requestNo: 'เลขที่งาน',
+  customerName: 'ลูกค้า',
+  contactName: 'ผู้ติดต่อ',
+  phone: 'เบอร์โทร',
+  address: 'ที่อยู่',
+  serviceType: 'ประเภทงาน',
+  description: 'รายละเอียด',
+  notes: 'หมายเหตุ',
+  cancelReason: 'เหตุผลที่ยกเลิก',
+  technicianName: 'ช่าง',
+  attachments: 'ไฟล์แนบ',
+  history: 'บันทึกในประวัติงาน',
+} as const;
+
+export type SearchField = keyof typeof SEARCH_FIELDS;
+
+// เปลี่ยนสิ่งที่เก็บในดัชนีเมื่อไหร่ให้เพิ่มเลขนี้ — แถวเก่าถูกสร้างใหม่ตอน server start ครั้งถัดไป (refreshSearchIndex)
+export const SEARCH_INDEX_VERSION = 1;
+
+export interface SearchDocument {
+  text: string;
+  phones: string;
+}
+
+// ตัวเลขที่พิมพ์แบบเบอร์โทร — เจอในเบอร์ (ตัวเลขล้วน) หรือเจอตามที่พิมพ์ในข้อความก็ได้
+export interface SearchDigits {
+  raw: string;
+  digits: string;
+}
+
+export interface SearchQuery {
+  terms: string[];
+  digits: SearchDigits[];
+}
+
+// เบอร์ที่เขียนแทรกในรายละเอียด/หมายเหตุ เช่น "โทร 081-234-5678 ก่อนเข้า"
+const PHONE_IN_TEXT = /(?:\+66|0)\d(?:[\s-]?\d){7,9}/g;
+// กลุ่มตัวเลขที่คั่นด้วยเว้นวรรค ("081 234 5678", "+66 81-234-5678") — รวมเป็นก้อนเดียวถ้ายาวเท่าเบอร์โทร
+const SPACED_DIGITS = /\+?\d[\d-]*(?:\s+\d[\d-]*)+/g;
+const PHONE_TOKEN = /^\+?[\d\-().]+$/;
+const SNIPPET_CONTEXT = 30;
+
+export function normalizeSearchText(text: string): string {
+  return text.normalize('NFKC').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+// คำในข้อความ (ไทยตัดด้วย Intl.Segmenter ภาษาอื่นตามเว้นวรรค/เครื่องหมาย) — ไม่มี Segmenter ใช้เว้นวรรคอย่างเดียว
+function segmentWords(text: string): string[] {
+  if (typeof Intl.Segmenter !== 'function') return text.split(/\s+/).filter(Boolean);
+  const segmenter = new Intl.Segmenter('th', { granularity: 'word' });
+  return [...segmenter.segment(text)].filter(s => s.isWordLike).map(s => s.segment);
+}
+
+export function getSearchFieldText(request: ServiceRequest, field: SearchField): string {
+  switch (field) {
+    case 'attachments':
+      return request.attachments?.length
+        ? request.attachments.map(file => file.name).join('\n')
+        : request.pdfFileName ?? '';
+    case 'history':
+      return request.history.map(entry => entry.note ?? '').filter(Boolean).join('\n');
+    default:
+      return request[field] ?? '';
+  }
+}
+
+function getPhoneNumbers(request: ServiceRequest): string[] {
+  const phones = extractPhones(request.phone);
+  // เบอร์สั้น (ภายใน / เบอร์ย่อ) ที่ extractPhones ไม่นับ ยังค้นได้ทั้งก้อน
+  if (phones.length === 0 && normalizePhone(request.phone).length >= 3) phones.push(normalizePhone(request.phone));
+  for (const field of ['contactName', 'address', 'description', 'notes'] as const) {
+    for (const match of getSearchFieldText(request, field).match(PHONE_IN_TEXT) ?? []) phones.push(normalizePhone(match));
+  }
+  return [...new Set(phones)];
+}
+
+/**
+ * 🗂️ Build Document
+ * แถวในดัชนีของงานหนึ่งงาน — ข้อความทุกฟิลด์ (normalize แล้ว) + เบอร์โทรตัวเลขล้วน
+ */
+export function buildSearchDocument(request: ServiceRequest): SearchDocument {
+  const text = (Object.keys(SEARCH_FIELDS) as SearchField[])
+    .map(field => normalizeSearchText(getSearchFieldText(request, field)))
+    .filter(Boolean)
+    .join('\n');
+  return { text, phones: getPhoneNumbers(request).join(' ') };
+}
+
+/**
+ * 🧩 Parse Query
+ * คำค้น → คำที่ต้องเจอทุกคำ (ตัดคำไทยแล้ว) + ก้อนตัวเลขแบบเบอร์โทร
+ * "ล้างแอร์สีลม 085-123-4567" → terms ["ล้าง", "แอร์", "สีลม"], digits ["0851234567"]
+ */
+export function parseSearchQuery(input: string): SearchQuery {
+  const joined = normalizeSearchText(input).replace(SPACED_DIGITS, match => {
+    const digits = normalizePhone(match);
+    return digits.length >= 9 && digits.length <= 11 ? match.replace(/\s+/g, '') : match;
+  });
+
+  const terms = new Set<string>();
+  const digits = new Map<string, SearchDigits>();
+  for (const token of joined.split(' ').filter(Boolean)) {
+    const tokenDigits = normalizePhone(token);
+    if (PHONE_TOKEN.test(token) && tokenDigits.length >= 3) {
+      digits.set(tokenDigits, { raw: token, digits: tokenDigits });
+      continue;
+    }
+    for (const word of segmentWords(token)) terms.add(word);
+  }
+
+  // คำที่อยู่ในคำอื่นทั้งก้อนไม่ต้องค้นซ้ำ
+  const words = [...terms];
+  return {
+    terms: words.filter(word => !words.some(other => other !== word && other.includes(word))),
+    digits: [...digits.values()],
+  };
+}
+
+export function isEmptySearchQuery(query: SearchQuery): boolean {
+  return query.terms.length === 0 && query.digits.length === 0;
+}
+
+// เงื่อนไขเดียวกับที่ server ค้นในตาราง SearchIndex — ใช้กรองงานที่โหลดอยู่แล้วระหว่างรอผลจาก server
+export function matchesSearchQuery(request: ServiceRequest, query: SearchQuery): boolean {
+  const { text, phones } = buildSearchDocument(request);
+  return query.terms.every(term => text.includes(term))
+    && query.digits.every(({ raw, digits }) => phones.includes(digits) || text.includes(raw));
+}
+
+// ── ไฮไลต์ ──
+
+type Range = [start: number, end: number];
+
+// ตำแหน่งที่เจอคำค้นในข้อความต้นฉบับ (ไม่ normalize — ตำแหน่งต้องตรงกับที่แสดง)
+function findMatchRanges(value: string, query: SearchQuery): Range[] {
+  const lower = value.toLowerCase();
+  const ranges: Range[] = [];
+  const addAll = (needle: string) => {
+    if (!needle) return;
+    for (let index = lower.indexOf(needle); index !== -1; index = lower.indexOf(needle, index + needle.length)) {
+      ranges.push([index, index + needle.length]);
+    }
+  };
+
+  query.terms.forEach(addAll);
+
+  // ตัวเลข: เทียบบนตัวเลขล้วนแล้วแปลงตำแหน่งกลับ ("085-123-4567" ไฮไลต์ได้แม้พิมพ์ "0851234567")
+  const positions: number[] = [];
+  let digitsOnly = '';
+  for (let i = 0; i < value.length; i++) {
+    if (/\d/.test(value[i] ?? '')) {
+      positions.push(i);
+      digitsOnly += value[i];
+    }
+  }
+  for (const { raw, digits } of query.digits) {
+    addAll(raw);
+    for (let index = digitsOnly.indexOf(digits); index !== -1; index = digitsOnly.indexOf(digits, index + digits.length)) {
+      const start = positions[index];
+      const end = positions[index + digits.length - 1];
+      if (start !== undefined && end !== undefined) ranges.push([start, end + 1]);
+    }
+  }
+
+  ranges.sort((a, b) => a[0] - b[0]);
+  const merged: Range[] = [];
+  for (const range of ranges) {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) last[1] = Math.max(last[1], range[1]);
+    else merged.push([range[0], range[1]]);
+  }
+  return merged;
+}
+
+export interface HighlightPart {
+  text: string;
+  match: boolean;
+}
+
+/**
+ * 🖍️ Highlight
+ * แบ่งข้อความเป็นช่วงที่เจอ/ไม่เจอคำค้น สำหรับ render (ไม่เจอเลย = ช่วงเดียวทั้งข้อความ)
+ */
+export function highlightText(value: string, query: SearchQuery): HighlightPart[] {
+  const parts: HighlightPart[] = [];
+  let cursor = 0;
+  for (const [start, end] of findMatchRanges(value, query)) {
+    if (start > cursor) parts.push({ text: value.slice(cursor, start), match: false });
+    parts.push({ text: value.slice(start, end), match: true });
+    cursor = end;
+  }
+  if (cursor < value.length || parts.length === 0) parts.push({ text: value.slice(cursor), match: false });
+  return parts;
+}
+
+/**
+ * 📍 Find Hits
+ * ฟิลด์ที่เจอคำค้น + ข้อความช่วงนั้น (ให้รู้ว่างานนี้ขึ้นมาเพราะอะไร เช่นเจอในหมายเหตุ)
+ */
+export function findSearchHits(request: ServiceRequest, query: SearchQuery): SearchHit[] {
+  const hits: SearchHit[] = [];
+  for (const field of Object.keys(SEARCH_FIELDS) as SearchField[]) {
+    const value = getSearchFieldText(request, field).replace(/\s+/g, ' ');
+    const first = findMatchRanges(value, query)[0];
+    if (!first) continue;
+
+    const start = Math.max(0, first[0] - SNIPPET_CONTEXT);
+    const end = Math.min(value.length, first[1] + SNIPPET_CONTEXT);
+    hits.push({
+      field,
+      label: SEARCH_FIELDS[field],
+      snippet: `${start > 0 ? '…' : ''}${value.slice(start, end)}${end < value.length ? '…' : ''}`,
+    });
+  }
+  return hits;
+}
@@ -0,0 +1,59 @@
+import { describe, expect, it, vi } from 'vitest'
+import type { Actor } from '@/lib/api-middleware'
+import { listPartRequests } from '@/lib/repositories/parts'
+import { checkStatusChange } from '@/lib/status-change'
+import { makePartRequest, makeServiceRequest } from '@/test/fixtures'
+
+vi.mock('@/lib/repositories/parts')
+
+const reception: Actor = { type: 'employee', session: { employeeId: 'emp-reception', name: 'ทดสอบ reception', role: 'reception' } }
+const service: Actor = { type: 'service' }
+
+describe('checkStatusChange', () => {
+  it('409 เมื่อเปิดงานที่ปิดแล้วกลับมาใหม่ (แท็บเก่าที่ค้างไว้)', async () => {
+    const rejection = await checkStatusChange(makeServiceRequest({ status: 'completed' }), 'new', reception)
+    expect(rejection).toMatchObject({ status: 409, body: { currentStatus: 'completed' } })
+  })
+
+  it('409 เมื่อข้ามขั้น — new ไป completed ตรงๆ ไม่ได้ แม้เป็นระบบอื่นที่ส่ง x-api-secret', async () => {
+    const rejection = await checkStatusChange(makeServiceRequest({ status: 'new' }), 'completed', service)
+    expect(rejection?.status).toBe(409)
+  })
+
+  it('409 เมื่อสถานะเดิมเป็นค่าที่ระบบไม่รู้จัก (ข้อมูลเก่าจาก Sheet)', async () => {
+    const legacy = makeServiceRequest({ status: 'รอดำเนินการ' as never })
+    expect((await checkStatusChange(legacy, 'queue', service))?.status).toBe(409)
+  })
+
+  it('400 พร้อมรายชื่อฟิลด์ที่ขาด — จองคิวต้องมีวันนัด', async () => {
+    const rejection = await checkStatusChange(makeServiceRequest({ appointmentDate: '' }), 'queue', reception)
+    expect(rejection).toMatchObject({ status: 400, body: { missingFields: ['appointmentDate'] } })
+  })
+
+  it('ใช้ค่าที่ส่งมาพร้อมคำขอทับค่าเดิมก่อนเช็คฟิลด์บังคับ', async () => {
+    const job = makeServiceRequest({ appointmentDate: '' })
+    expect(await checkStatusChange(job, 'queue', reception, { appointmentDate: '2026-10-20T09:00' })).toBeNull()
+  })
+
+  it('ยกเลิกงานต้องมีเหตุผล — ช่องว่างล้วนไม่นับ', async () => {
+    const rejection = await checkStatusChange(makeServiceRequest(), 'cancelled', reception, { cancelReason: '   ' })
+    expect(rejection?.body['missingFields']).toEqual(['cancelReason'])
+  })
+
+  it('409 blockedBy parts — ปิดงาน order_parts ทั้งที่อะไหล่ยังไม่เข้า', async () => {
+    vi.mocked(listPartRequests).mockResolvedValue([makePartRequest({ status: 'ordered' })])
+    const rejection = await checkStatusChange(makeServiceRequest({ status: 'order_parts', quoteAmount: 1070 }), 'completed', reception)
+    expect(rejection).toMatchObject({ status: 409, body: { blockedBy: 'parts', error: 'อะไหล่ยังไม่เข้า 1 รายการ: คาปาซิเตอร์ 35uF' } })
+    expect(listPartRequests).toHaveBeenCalledWith('req-1')
+  })
+
+  it('order_parts ที่อะไหล่เข้าครบแล้วไปต่อได้ / ยกเลิกงานได้เสมอโดยไม่ต้องดูอะไหล่', async () => {
+    vi.mocked(listPartRequests).mockResolvedValue([makePartRequest({ status: 'received' })])
+    const job = makeServiceRequest({ status: 'order_parts', quoteAmount: 1070 })
+    expect(await checkStatusChange(job, 'send_quote', service)).toBeNull()
+
+    vi.mocked(listPartRequests).mockClear()
+    expect(await checkStatusChange(job, 'cancelled', service, { cancelReason: 'ลูกค้าไม่รอของ' })).toBeNull()
+    expect(listPartRequests).not.toHaveBeenCalled()
+  })
+})
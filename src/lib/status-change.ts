@@ -0,0 +1,72 @@
+import type { Actor } from '@/lib/api-middleware'
+import {
+  type StatusValue,
+  REQUIRED_FIELD_LABELS,
+  canTransitionTo,
+  getMissingRequiredFields,
+  getStatusConfig,
+  isStatusValue,
+} from '@/lib/STATUS_WORKFLOW'
+import { ROLE_CONFIG, canPerformTransition } from '@/lib/roles'
+import { getPartsBlockReason } from '@/lib/parts'
+import { listPartRequests } from '@/lib/repositories/parts'
+import type { ServiceRequest } from '@/lib/types'
+
+// เหตุผลที่เปลี่ยนสถานะไม่ได้ — route ตอบกลับเป็น NextResponse.json(body, { status })
+export interface StatusChangeRejection {
+  status: 400 | 403 | 409
+  body: { error: string } & Record<string, unknown>
+}
+
+/**
+ * 🚧 Check Status Change
+ * เช็คเส้นทาง workflow + สิทธิ์ของ role + ฟิลด์บังคับ + อะไหล่ ก่อนเปลี่ยนสถานะ (null = เปลี่ยนได้)
+ * ใช้ร่วมกันทุกที่ที่เปลี่ยนสถานะงาน (/api/status, ส่งใบเสนอราคา ฯลฯ)
+ */
+export async function checkStatusChange(
+  current: ServiceRequest,
+  nextStatus: StatusValue,
+  actor: Actor,
+  fields: Partial<ServiceRequest> = {}
+): Promise<StatusChangeRejection | null> {
+  if (!isStatusValue(current.status) || !canTransitionTo(current.status, nextStatus)) {
+    return {
+      status: 409,
+      body: {
+        error: `ไม่สามารถเปลี่ยนสถานะจาก "${current.status}" เป็น "${getStatusConfig(nextStatus).label}" ได้`,
+        currentStatus: current.status,
+      },
+    }
+  }
+
+  if (actor.type === 'employee' && !canPerformTransition(actor.session.role, current.status, nextStatus)) {
+    return {
+      status: 403,
+      body: {
+        error: `${ROLE_CONFIG[actor.session.role].label} ไม่มีสิทธิ์เปลี่ยนสถานะเป็น "${getStatusConfig(nextStatus).label}"`,
+      },
+    }
+  }
+
+  // ค่าที่ส่งมาใหม่ทับค่าเดิมของงาน แล้วค่อยเช็คฟิลด์บังคับ
+  const missingFields = getMissingRequiredFields(nextStatus, { ...current, ...fields })
+  if (missingFields.length > 0) {
+    return {
+      status: 400,
+      body: {
+        error: `กรุณากรอก: ${missingFields.map(f => REQUIRED_FIELD_LABELS[f]).join(', ')}`,
+        missingFields,
+      },
+    }
+  }
+
+  // ออกจาก order_parts (ยกเว้นยกเลิกงาน) ได้เมื่ออะไหล่ที่ขอไว้เข้าครบแล้วเท่านั้น
+  if (current.status === 'order_parts' && nextStatus !== 'cancelled') {
+    const reason = getPartsBlockReason(await listPartRequests(current.id))
+    if (reason) {
+      return { status: 409, body: { error: reason, blockedBy: 'parts' } }
+    }
+  }
+
+  return null
+}
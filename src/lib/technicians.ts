@@ -0,0 +1,45 @@
+/**
+ * 👷 Technician Configuration
+ * สีของ event ใน Google Calendar ต่อช่าง + หัวข้อ event ตามการจัดช่าง ใช้ทั้งหน้าเว็บและ API
+ */
+
+// สี event ของ Google Calendar (colorId "1"-"11") — hex ใช้แสดงบนหน้าเว็บให้ตรงกับในปฏิทิน
+export const CALENDAR_COLORS: Record<string, { label: string; hex: string }> = {
+  '1': { label: 'ม่วงอ่อน', hex: '#7986cb' },
+  '2': { label: 'เขียวอ่อน', hex: '#33b679' },
+  '3': { label: 'ม่วง', hex: '#8e24aa' },
+  '4': { label: 'ชมพู', hex: '#e67c73' },
+  '5': { label: 'เหลือง', hex: '#f6bf26' },
+  '6': { label: 'ส้ม', hex: '#f4511e' },
+  '7': { label: 'ฟ้า', hex: '#039be5' },
+  '8': { label: 'เทา', hex: '#616161' },
+  '9': { label: 'น้ำเงิน', hex: '#3f51b5' },
+  '10': { label: 'เขียว', hex: '#0b8043' },
+  '11': { label: 'แดง', hex: '#d50000' },
+};
+
+export const CALENDAR_COLOR_IDS = Object.keys(CALENDAR_COLORS) as [string, ...string[]];
+
+// งานที่ยังไม่จัดช่าง = สีเหลือง (เหมือนที่ใช้มาตั้งแต่ก่อนมีระบบจัดช่าง)
+export const UNASSIGNED_COLOR_ID = '5';
+
+export const UNASSIGNED_LABEL = 'รอจัดช่าง';
+
+// งานเสร็จแล้ว = event สีเทา หัวข้อขึ้นต้นด้วย ✅ (ยังเก็บไว้เป็นประวัติในปฏิทิน)
+export const COMPLETED_COLOR_ID = '8';
+export const COMPLETED_TITLE_PREFIX = '✅ ';
+
+// งานในถังขยะ = สีเทาเหมือนงานเสร็จ แต่ขึ้นต้นด้วย 🗑️ (event ถูกลบจริงตอนล้างถังขยะ)
+export const TRASHED_TITLE_PREFIX = '🗑️ ';
+
+export function getCalendarColorHex(colorId: string | undefined): string {
+  return CALENDAR_COLORS[colorId || UNASSIGNED_COLOR_ID]?.hex ?? CALENDAR_COLORS[UNASSIGNED_COLOR_ID]!.hex;
+}
+
+/**
+ * 🏷️ Event Title
+ * `[ชื่อช่าง] ลูกค้า - ประเภทงาน` — ยังไม่จัดช่างเป็น `[รอจัดช่าง] ...`
+ */
+export function getEventTitle(customerName: string, serviceType: string, technicianName?: string): string {
+  return `[${technicianName || UNASSIGNED_LABEL}] ${customerName} - ${serviceType}`;
+}
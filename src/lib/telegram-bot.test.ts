@@ -0,0 +1,134 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+import { answerTelegramCallback, editTelegramReplyMarkup, sendTelegramMessage } from '@/lib/integrations/telegram'
+import { kickOutboxWorker } from '@/lib/outbox'
+import { findEmployeeByTelegramChatId } from '@/lib/repositories/employees'
+import {
+  StaleStatusError,
+  changeServiceRequestStatus,
+  findServiceRequestByRequestNo,
+  getServiceRequest,
+  listServiceRequests,
+  searchServiceRequestsByPhone,
+} from '@/lib/repositories/service-requests'
+import { handleTelegramUpdate, type TelegramUpdate } from '@/lib/telegram-bot'
+import { TEST_EMPLOYEES } from '@/test/api'
+import { makeServiceRequest } from '@/test/fixtures'
+
+vi.mock('@/lib/integrations/telegram', async importOriginal => ({
+  ...(await importOriginal<typeof import('@/lib/integrations/telegram')>()),
+  sendTelegramMessage: vi.fn(),
+  answerTelegramCallback: vi.fn(),
+  editTelegramReplyMarkup: vi.fn(),
+}))
+vi.mock('@/lib/repositories/service-requests', async importOriginal => ({
+  ...(await importOriginal<typeof import('@/lib/repositories/service-requests')>()),
+  changeServiceRequestStatus: vi.fn(),
+  findServiceRequestByRequestNo: vi.fn(),
+  getServiceRequest: vi.fn(),
+  listServiceRequests: vi.fn(),
+  searchServiceRequestsByPhone: vi.fn(),
+}))
+vi.mock('@/lib/outbox')
+
+const technician = { ...TEST_EMPLOYEES.technician, telegramChatId: '1001' }
+const job = makeServiceRequest({ status: 'queue', appointmentDate: '2026-10-19T10:00' })
+
+function command(text: string): TelegramUpdate {
+  return { update_id: 1, message: { message_id: 10, chat: { id: -500, type: 'group' }, from: { id: 1001 }, text } }
+}
+
+function pressed(data: string): TelegramUpdate {
+  return {
+    update_id: 2,
+    callback_query: { id: 'cb-1', from: { id: 1001 }, data, message: { message_id: 20, chat: { id: -500, type: 'group' } } },
+  }
+}
+
+// ข้อความล่าสุดที่บอทส่งเข้าแชท
+const lastReply = () => vi.mocked(sendTelegramMessage).mock.calls.at(-1)
+
+beforeEach(() => {
+  vi.mocked(findEmployeeByTelegramChatId).mockResolvedValue(technician)
+  vi.mocked(getServiceRequest).mockResolvedValue(job)
+  vi.mocked(findServiceRequestByRequestNo).mockResolvedValue(job)
+  vi.mocked(changeServiceRequestStatus).mockResolvedValue({ ...job, status: 'completed' })
+})
+
+describe('คำสั่ง', () => {
+  it('/id ตอบ Telegram ID ได้แม้ยังไม่ผูกพนักงาน', async () => {
+    vi.mocked(findEmployeeByTelegramChatId).mockResolvedValue(null)
+    await handleTelegramUpdate(command('/id'))
+    expect(lastReply()?.[0]).toContain('<code>1001</code>')
+  })
+
+  it('ยังไม่ผูก Telegram กับพนักงาน → ไม่ตอบข้อมูลงาน', async () => {
+    vi.mocked(findEmployeeByTelegramChatId).mockResolvedValue(null)
+    await handleTelegramUpdate(command('/pending'))
+    expect(lastReply()?.[0]).toContain('ยังไม่ได้ผูก Telegram')
+    expect(listServiceRequests).not.toHaveBeenCalled()
+  })
+
+  it('/job@ชื่อบอท ในกลุ่ม → รายละเอียดงาน + ปุ่มสถานะถัดไป (ยกเลิกต้องกรอกเหตุผล ไม่มีปุ่ม)', async () => {
+    await handleTelegramUpdate(command('/job@shop_bot REQ-20261019-001'))
+
+    expect(findServiceRequestByRequestNo).toHaveBeenCalledWith('REQ-20261019-001')
+    const [text, chatId, options] = lastReply()!
+    expect(text).toContain('REQ-20261019-001')
+    expect(chatId).toBe('-500')
+    expect(options?.replyMarkup?.inline_keyboard.flat().map(b => b.callback_data)).toEqual(['st:req-1:completed'])
+  })
+
+  it('/pending เรียงงานฉุกเฉินขึ้นก่อน', async () => {
+    vi.mocked(listServiceRequests).mockResolvedValue([
+      makeServiceRequest({ id: 'req-1', requestNo: 'REQ-20261019-001' }),
+      makeServiceRequest({ id: 'req-2', requestNo: 'REQ-20261019-002', priority: 'emergency' }),
+    ])
+    await handleTelegramUpdate(command('/pending'))
+
+    const text = lastReply()![0]
+    expect(listServiceRequests).toHaveBeenCalledWith({ openOnly: true })
+    expect(text.indexOf('REQ-20261019-002')).toBeLessThan(text.indexOf('REQ-20261019-001'))
+  })
+
+  it('/search ค้นด้วยเบอร์ที่ normalize แล้ว / สั้นเกินไม่ค้น', async () => {
+    vi.mocked(searchServiceRequestsByPhone).mockResolvedValue([job])
+    await handleTelegramUpdate(command('/search +66 81-234-5678'))
+    expect(searchServiceRequestsByPhone).toHaveBeenCalledWith('0812345678', 15)
+
+    vi.mocked(searchServiceRequestsByPhone).mockClear()
+    await handleTelegramUpdate(command('/search 08'))
+    expect(searchServiceRequestsByPhone).not.toHaveBeenCalled()
+  })
+})
+
+describe('ปุ่มเปลี่ยนสถานะ', () => {
+  it('ช่างกดปิดงาน → เปลี่ยนในนามพนักงานที่ผูกไว้ แล้วเปลี่ยนปุ่มใต้ข้อความเดิม', async () => {
+    await handleTelegramUpdate(pressed('st:req-1:completed'))
+
+    expect(changeServiceRequestStatus).toHaveBeenCalledWith(job, 'completed', { by: 'ทดสอบ technician', source: 'telegram' })
+    expect(kickOutboxWorker).toHaveBeenCalled()
+    expect(answerTelegramCallback).toHaveBeenCalledWith('cb-1', expect.stringContaining('REQ-20261019-001'))
+    expect(editTelegramReplyMarkup).toHaveBeenCalledWith('-500', 20, { inline_keyboard: [] })
+  })
+
+  it('role ไม่มีสิทธิ์เส้นนั้น → แจ้งเหตุผล ไม่เปลี่ยนสถานะ', async () => {
+    await handleTelegramUpdate(pressed('st:req-1:cancelled'))
+
+    expect(answerTelegramCallback).toHaveBeenCalledWith('cb-1', expect.any(String), true)
+    expect(changeServiceRequestStatus).not.toHaveBeenCalled()
+  })
+
+  it('มีคนเปลี่ยนไปก่อน → บอกสถานะล่าสุด ไม่ทับ', async () => {
+    vi.mocked(changeServiceRequestStatus).mockRejectedValue(new StaleStatusError('cancelled'))
+    await handleTelegramUpdate(pressed('st:req-1:completed'))
+
+    expect(answerTelegramCallback).toHaveBeenCalledWith('cb-1', expect.stringContaining('ถูกเปลี่ยนเป็น "ยกเลิก" ไปแล้ว'), true)
+    expect(kickOutboxWorker).not.toHaveBeenCalled()
+  })
+
+  it('ปุ่มเก่า/ข้อมูลเพี้ยน → ปุ่มนี้ใช้ไม่ได้แล้ว', async () => {
+    await handleTelegramUpdate(pressed('st:req-1:unknown'))
+    expect(answerTelegramCallback).toHaveBeenCalledWith('cb-1', 'ปุ่มนี้ใช้ไม่ได้แล้ว', true)
+    expect(getServiceRequest).not.toHaveBeenCalled()
+  })
+})
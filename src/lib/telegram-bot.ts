@@ -0,0 +1,277 @@
+import { timingSafeEqual } from 'crypto'
+import { z } from 'zod'
+import type { Actor } from '@/lib/api-middleware'
+import { normalizePhone } from '@/lib/customer-match'
+import {
+  answerTelegramCallback,
+  buildStatusKeyboard,
+  editTelegramReplyMarkup,
+  escapeHtml,
+  formatPriority,
+  parseStatusCallback,
+  sendTelegramMessage,
+} from '@/lib/integrations/telegram'
+import { kickOutboxWorker } from '@/lib/outbox'
+import { findEmployeeByTelegramChatId, type Employee } from '@/lib/repositories/employees'
+import {
+  StaleStatusError,
+  changeServiceRequestStatus,
+  findServiceRequestByRequestNo,
+  getServiceRequest,
+  listServiceRequests,
+  searchServiceRequestsByPhone,
+} from '@/lib/repositories/service-requests'
+import { formatTime, getAppointmentRange, toDateKey } from '@/lib/scheduling'
+import { getStatusConfig, STATUS_VALUES } from '@/lib/STATUS_WORKFLOW'
+import { checkStatusChange } from '@/lib/status-change'
+import type { ServiceRequest } from '@/lib/types'
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Telegram Bot — รับ update จาก webhook (/api/telegram/webhook)
+// คำสั่ง /today /job /pending /search + ปุ่มเปลี่ยนสถานะใต้ข้อความแจ้งเตือน
+// คนที่สั่ง/กดปุ่มต้องผูก Telegram user id กับพนักงานไว้ที่หน้า /admin — สิทธิ์และชื่อในประวัติเป็นของพนักงานคนนั้น
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+// แสดงไม่เกินเท่านี้ต่อข้อความ (Telegram จำกัด 4096 ตัวอักษร)
+const MAX_LIST_ITEMS = 15
+
+const TelegramUserSchema = z.object({ id: z.number(), first_name: z.string().optional() })
+
+const TelegramMessageSchema = z.object({
+  message_id: z.number(),
+  chat: z.object({ id: z.number(), type: z.string() }),
+  from: TelegramUserSchema.optional(),
+  text: z.string().optional(),
+})
+
+// เฉพาะส่วนที่บอทใช้ — update ชนิดอื่น (แก้ข้อความ, เข้ากลุ่ม ฯลฯ) ผ่าน schema ได้แต่ไม่ทำอะไร
+export const TelegramUpdateSchema = z.object({
+  update_id: z.number(),
+  message: TelegramMessageSchema.optional(),
+  callback_query: z.object({
+    id: z.string(),
+    from: TelegramUserSchema,
+    message: TelegramMessageSchema.optional(),
+    data: z.string().optional(),
+  }).optional(),
+})
+
+export type TelegramUpdate = z.infer<typeof TelegramUpdateSchema>
+
+// Telegram ส่ง secret_token ที่ตั้งตอน setWebhook มาใน header — ไม่ได้ตั้ง TELEGRAM_WEBHOOK_SECRET = ปิด webhook
+export function verifyTelegramWebhook(token: string | null): boolean {
+  const secret = process.env['TELEGRAM_WEBHOOK_SECRET']
+  if (!secret || !token) return false
+  const expected = Buffer.from(secret)
+  const actual = Buffer.from(token)
+  return expected.length === actual.length && timingSafeEqual(expected, actual)
+}
+
+function toActor(employee: Employee): Actor {
+  return { type: 'employee', session: { employeeId: employee.id, name: employee.name, role: employee.role } }
+}
+
+// ── ข้อความ ──
+
+function formatStatus(request: ServiceRequest): string {
+  const config = getStatusConfig(request.status)
+  return `${config.icon} ${config.label}`
+}
+
+function formatAppointment(request: ServiceRequest, timeOnly = false): string {
+  const range = getAppointmentRange({
+    appointmentDate: request.appointmentDate,
+    appointmentEndDate: request.appointmentEndDate || '',
+    isAllDay: request.isAllDay || false,
+    serviceType: request.serviceType,
+  })
+  if (!range) return '-'
+  const time = request.isAllDay ? 'ทั้งวัน' : `${formatTime(range.start)}-${formatTime(range.end)}`
+  return timeOnly ? time : `${toDateKey(range.start)} ${time}`
+}
+
+function formatJobLine(request: ServiceRequest): string {
+  return `<b>${escapeHtml(request.requestNo)}</b> ${escapeHtml(request.customerName)} · ${escapeHtml(request.serviceType)} · ${formatStatus(request)}`
+}
+
+function formatJobDetails(request: ServiceRequest): string {
+  const lines = [
+    `<b>📄 ${escapeHtml(request.requestNo)}</b>`,
+    `<b>ลูกค้า:</b> ${escapeHtml(request.customerName)}${request.contactName ? ` (${escapeHtml(request.contactName)})` : ''}`,
+    `<b>โทร:</b> ${escapeHtml(request.phone || '-')}`,
+    `<b>ที่อยู่:</b> ${escapeHtml(request.address || '-')}`,
+    `<b>ประเภทงาน:</b> ${escapeHtml(request.serviceType)}`,
+    `<b>สถานะ:</b> ${formatStatus(request)}`,
+    `<b>ความเร่งด่วน:</b> ${formatPriority(request.priority)}`,
+  ]
+  if (request.appointmentDate) lines.push(`<b>นัด:</b> ${formatAppointment(request)}`)
+  if (request.technicianName) lines.push(`<b>ช่าง:</b> ${escapeHtml(request.technicianName)}`)
+  if (request.description) {
+    const description = request.description.length > 1000 ? `${request.description.slice(0, 1000)}…` : request.description
+    lines.push('', `<b>รายละเอียด:</b> ${escapeHtml(description)}`)
+  }
+  return lines.join('\n')
+}
+
+function formatMore(total: number): string {
+  return total > MAX_LIST_ITEMS ? `\n… และอีก ${total - MAX_LIST_ITEMS} งาน (ดูทั้งหมดในระบบ)` : ''
+}
+
+const HELP_TEXT = [
+  '<b>คำสั่งที่ใช้ได้</b>',
+  '/today — งานที่นัดวันนี้',
+  '/pending — งานที่ยังไม่ปิด',
+  '/job เลขที่งาน — รายละเอียดงาน + ปุ่มเปลี่ยนสถานะ',
+  '/search เบอร์โทร — ค้นงานจากเบอร์ลูกค้า',
+  '/id — ดู Telegram ID ของตัวเอง',
+].join('\n')
+
+// ── คำสั่ง ──
+
+async function replyToday(): Promise<string> {
+  const today = toDateKey(new Date())
+  const requests = (await listServiceRequests({ appointmentDate: today }))
+    .filter(r => r.status !== 'cancelled')
+    .sort((a, b) => a.appointmentDate.localeCompare(b.appointmentDate))
+  if (requests.length === 0) return `📅 วันนี้ (${today}) ไม่มีงานนัด`
+
+  const lines = requests.slice(0, MAX_LIST_ITEMS).map(r =>
+    `${formatAppointment(r, true)} [${escapeHtml(r.technicianName || 'รอจัดช่าง')}] ${formatJobLine(r)}`
+  )
+  return `<b>📅 งานวันนี้ (${today}) ${requests.length} งาน</b>\n\n${lines.join('\n')}${formatMore(requests.length)}`
+}
+
+// งานค้าง เรียงฉุกเฉิน → เร่งด่วน → ปกติ แล้วงานเก่าก่อน
+async function replyPending(): Promise<string> {
+  const requests = await listServiceRequests({ openOnly: true })
+  if (requests.length === 0) return '🎉 ไม่มีงานค้าง'
+
+  const priorityRank = { emergency: 0, urgent: 1, normal: 2 }
+  const sorted = [...requests].sort((a, b) =>
+    priorityRank[a.priority] - priorityRank[b.priority] || a.createdAt.localeCompare(b.createdAt)
+  )
+  const counts = STATUS_VALUES
+    .map(status => ({ status, count: requests.filter(r => r.status === status).length }))
+    .filter(c => c.count > 0)
+    .map(c => `${getStatusConfig(c.status).icon} ${getStatusConfig(c.status).label} ${c.count}`)
+
+  const lines = sorted.slice(0, MAX_LIST_ITEMS).map(r =>
+    `${r.priority === 'normal' ? '' : `${formatPriority(r.priority)} `}${formatJobLine(r)}`
+  )
+  return `<b>⏳ งานค้าง ${requests.length} งาน</b>\n${counts.join(' · ')}\n\n${lines.join('\n')}${formatMore(requests.length)}`
+}
+
+async function replySearch(query: string): Promise<string> {
+  const digits = normalizePhone(query)
+  if (digits.length < 4) return 'พิมพ์เบอร์โทรอย่างน้อย 4 หลัก เช่น /search 0812345678'
+
+  const requests = await searchServiceRequestsByPhone(digits, MAX_LIST_ITEMS)
+  if (requests.length === 0) return `ไม่พบงานของเบอร์ ${escapeHtml(query)}`
+  const lines = requests.map(r => `${formatJobLine(r)}\n   📞 ${escapeHtml(r.phone)} · เปิดงาน ${toDateKey(new Date(r.createdAt))}`)
+  return `<b>🔎 งานของเบอร์ ${escapeHtml(query)}</b>\n\n${lines.join('\n')}`
+}
+
+async function handleCommand(chatId: string, userId: string, text: string): Promise<void> {
+  // "/job@ชื่อบอท 123" ในกลุ่ม → command = "/job"
+  const [rawCommand = '', ...args] = text.trim().split(/\s+/)
+  const command = rawCommand.split('@')[0]?.toLowerCase()
+  const argument = args.join(' ').trim()
+
+  if (command === '/start' || command === '/id' || command === '/help') {
+    await sendTelegramMessage(`Telegram ID ของคุณ: <code>${userId}</code>\n(ให้ admin ผูกกับชื่อพนักงานที่หน้า /admin)\n\n${HELP_TEXT}`, chatId)
+    return
+  }
+
+  const employee = await findEmployeeByTelegramChatId(userId)
+  if (!employee) {
+    await sendTelegramMessage(`ยังไม่ได้ผูก Telegram กับพนักงาน — ส่ง ID <code>${userId}</code> ให้ admin ผูกที่หน้า /admin`, chatId)
+    return
+  }
+
+  switch (command) {
+    case '/today':
+      await sendTelegramMessage(await replyToday(), chatId)
+      return
+    case '/pending':
+      await sendTelegramMessage(await replyPending(), chatId)
+      return
+    case '/search':
+      await sendTelegramMessage(argument ? await replySearch(argument) : 'ใช้แบบนี้: /search 0812345678', chatId)
+      return
+    case '/job': {
+      if (!argument) {
+        await sendTelegramMessage('ใช้แบบนี้: /job เลขที่งาน', chatId)
+        return
+      }
+      const request = await findServiceRequestByRequestNo(argument)
+      if (!request) {
+        await sendTelegramMessage(`ไม่พบงานเลขที่ ${escapeHtml(argument)}`, chatId)
+        return
+      }
+      await sendTelegramMessage(formatJobDetails(request), chatId, { replyMarkup: buildStatusKeyboard(request) })
+      return
+    }
+    default:
+      await sendTelegramMessage(HELP_TEXT, chatId)
+  }
+}
+
+/**
+ * 🔘 Status Button
+ * กดปุ่มสถานะใต้ข้อความ → เช็ค workflow/สิทธิ์/ฟิลด์บังคับแบบเดียวกับ /api/status แล้วเปลี่ยนในนามพนักงานที่กด
+ * สำเร็จแล้วเปลี่ยนปุ่มใต้ข้อความเดิมเป็นชุดของสถานะใหม่ (ข้อความแจ้งเตือนใหม่ outbox ส่งตามไปเอง)
+ */
+async function handleCallback(callback: NonNullable<TelegramUpdate['callback_query']>): Promise<void> {
+  const action = callback.data ? parseStatusCallback(callback.data) : null
+  if (!action) {
+    await answerTelegramCallback(callback.id, 'ปุ่มนี้ใช้ไม่ได้แล้ว', true)
+    return
+  }
+
+  const employee = await findEmployeeByTelegramChatId(String(callback.from.id))
+  if (!employee) {
+    await answerTelegramCallback(callback.id, `ยังไม่ได้ผูก Telegram กับพนักงาน (ID: ${callback.from.id}) — แจ้ง admin`, true)
+    return
+  }
+
+  const current = await getServiceRequest(action.requestId)
+  if (!current) {
+    await answerTelegramCallback(callback.id, 'ไม่พบงานนี้แล้ว', true)
+    return
+  }
+
+  const rejection = await checkStatusChange(current, action.status, toActor(employee))
+  if (rejection) {
+    await answerTelegramCallback(callback.id, rejection.body.error, true)
+    return
+  }
+
+  let updated: ServiceRequest
+  try {
+    updated = await changeServiceRequestStatus(current, action.status, { by: employee.name, source: 'telegram' })
+  } catch (error) {
+    if (!(error instanceof StaleStatusError)) throw error
+    // มีคนเปลี่ยนไปก่อน (หน้าเว็บ / ปุ่มในข้อความอื่น) — บอกสถานะล่าสุดแทน ไม่ทับ
+    const label = getStatusConfig(error.currentStatus).label
+    await answerTelegramCallback(callback.id, `${current.requestNo} ถูกเปลี่ยนเป็น "${label}" ไปแล้ว — กด /job ${current.requestNo} เพื่อดูล่าสุด`, true)
+    return
+  }
+  kickOutboxWorker()
+  await answerTelegramCallback(callback.id, `${updated.requestNo} → ${formatStatus(updated)} แล้ว`)
+
+  if (callback.message) {
+    await editTelegramReplyMarkup(String(callback.message.chat.id), callback.message.message_id, buildStatusKeyboard(updated))
+  }
+}
+
+export async function handleTelegramUpdate(update: TelegramUpdate): Promise<void> {
+  if (update.callback_query) {
+    await handleCallback(update.callback_query)
+    return
+  }
+
+  const message = update.message
+  if (message?.text?.startsWith('/') && message.from) {
+    await handleCommand(String(message.chat.id), String(message.from.id), message.text)
+  }
+}
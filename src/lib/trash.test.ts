@@ -0,0 +1,68 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+import { kickOutboxWorker } from '@/lib/outbox'
+import { deleteServiceRequest, getServiceRequest, listTrashedServiceRequests } from '@/lib/repositories/service-requests'
+import { DEFAULT_TRASH_RETENTION_DAYS, getTrashRetentionDays, purgeExpiredTrash, purgeTrashedRequest } from '@/lib/trash'
+import { makeServiceRequest } from '@/test/fixtures'
+
+vi.mock('@/lib/outbox')
+vi.mock('@/lib/repositories/service-requests')
+
+const audit = { by: 'ทดสอบ admin', source: 'web' } as const
+const trashed = makeServiceRequest({ deletedAt: '2026-09-01T00:00:00.000Z', deletedBy: 'ทดสอบ reception' })
+
+beforeEach(() => {
+  vi.mocked(getServiceRequest).mockResolvedValue(trashed)
+  vi.mocked(deleteServiceRequest).mockResolvedValue(true)
+  vi.mocked(listTrashedServiceRequests).mockResolvedValue([trashed])
+  return () => vi.unstubAllEnvs()
+})
+
+describe('getTrashRetentionDays', () => {
+  it('ไม่ตั้ง / อ่านไม่ได้ → ค่าเริ่มต้น, 0 = ไม่ลบอัตโนมัติ', () => {
+    expect(getTrashRetentionDays()).toBe(DEFAULT_TRASH_RETENTION_DAYS)
+    vi.stubEnv('TRASH_RETENTION_DAYS', ' 7 ')
+    expect(getTrashRetentionDays()).toBe(7)
+    vi.stubEnv('TRASH_RETENTION_DAYS', '0')
+    expect(getTrashRetentionDays()).toBe(0)
+    vi.stubEnv('TRASH_RETENTION_DAYS', '-1')
+    expect(getTrashRetentionDays()).toBe(DEFAULT_TRASH_RETENTION_DAYS)
+    vi.stubEnv('TRASH_RETENTION_DAYS', '1.5')
+    expect(getTrashRetentionDays()).toBe(DEFAULT_TRASH_RETENTION_DAYS)
+  })
+})
+
+describe('purgeTrashedRequest', () => {
+  it('งานในถัง → ลบถาวรแล้วปลุก worker (ลบแถว / event / ไฟล์)', async () => {
+    expect(await purgeTrashedRequest(trashed.id, audit)).toBe(true)
+    expect(getServiceRequest).toHaveBeenCalledWith(trashed.id, { includeTrashed: true })
+    expect(deleteServiceRequest).toHaveBeenCalledWith(trashed.id, audit)
+    expect(kickOutboxWorker).toHaveBeenCalled()
+  })
+
+  it('งานปกติ (ไม่อยู่ในถัง) / ไม่พบ → ไม่ลบ', async () => {
+    vi.mocked(getServiceRequest).mockResolvedValueOnce(makeServiceRequest())
+    expect(await purgeTrashedRequest(trashed.id, audit)).toBe(false)
+    vi.mocked(getServiceRequest).mockResolvedValueOnce(null)
+    expect(await purgeTrashedRequest(trashed.id, audit)).toBe(false)
+
+    expect(deleteServiceRequest).not.toHaveBeenCalled()
+    expect(kickOutboxWorker).not.toHaveBeenCalled()
+  })
+})
+
+describe('purgeExpiredTrash', () => {
+  it('ลบเฉพาะงานที่อยู่ในถังครบกำหนด ในนามระบบ', async () => {
+    vi.stubEnv('TRASH_RETENTION_DAYS', '30')
+
+    expect(await purgeExpiredTrash(new Date('2026-10-19T00:00:00.000Z'))).toEqual({ purged: ['REQ-20261019-001'] })
+    expect(listTrashedServiceRequests).toHaveBeenCalledWith({ deletedBefore: new Date('2026-09-19T00:00:00.000Z') })
+    expect(deleteServiceRequest).toHaveBeenCalledWith(trashed.id, { by: 'System', source: 'system' })
+  })
+
+  it('TRASH_RETENTION_DAYS=0 → ไม่ลบอะไร', async () => {
+    vi.stubEnv('TRASH_RETENTION_DAYS', '0')
+
+    expect(await purgeExpiredTrash()).toEqual({ purged: [] })
+    expect(listTrashedServiceRequests).not.toHaveBeenCalled()
+  })
+})
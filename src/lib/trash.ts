@@ -0,0 +1,72 @@
+import { kickOutboxWorker } from '@/lib/outbox'
+import {
+  deleteServiceRequest,
+  getServiceRequest,
+  listTrashedServiceRequests,
+} from '@/lib/repositories/service-requests'
+import type { AuditContext } from '@/lib/types'
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// ถังขยะงาน — ลบจากหน้าเว็บแค่ย้ายงานมาที่นี่ (deletedAt) ข้อมูลใน SQLite / Sheet / ประวัติแก้ไขยังอยู่ครบ (Firebase ลบ node ออก กู้คืนแล้ว mirror กลับ)
+// admin กู้คืนได้ที่หน้า /trash — อยู่ครบ TRASH_RETENTION_DAYS วันแล้วถูกลบถาวร
+// พร้อมแถวใน Sheet, event ใน Google Calendar และรูป/ไฟล์แนบใน Google Drive (ผ่าน outbox)
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+export const DEFAULT_TRASH_RETENTION_DAYS = 30
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const PURGE_INTERVAL_MS = DAY_MS
+// ล้างตามกำหนดเวลา — ลงประวัติในนามระบบ
+const PURGE_AUDIT: AuditContext = { by: 'System', source: 'system' }
+
+// 0 = ไม่ลบถาวรอัตโนมัติ (ล้างเองที่หน้าถังขยะ) · ค่าที่อ่านไม่ได้ใช้ค่าเริ่มต้น
+export function getTrashRetentionDays(): number {
+  const raw = process.env['TRASH_RETENTION_DAYS']?.trim()
+  if (!raw) return DEFAULT_TRASH_RETENTION_DAYS
+  const days = Number(raw)
+  return Number.isInteger(days) && days >= 0 ? days : DEFAULT_TRASH_RETENTION_DAYS
+}
+
+/**
+ * 🔥 Purge
+ * ลบงานในถังขยะถาวร แล้วเข้าคิวลบแถวใน Sheet / event ในปฏิทิน / ไฟล์ใน Drive
+ * คืน false ถ้าไม่พบงานหรืองานไม่ได้อยู่ในถังขยะ (งานปกติต้องย้ายลงถังก่อนเสมอ)
+ */
+export async function purgeTrashedRequest(id: string, audit: AuditContext): Promise<boolean> {
+  const request = await getServiceRequest(id, { includeTrashed: true })
+  if (!request?.deletedAt) return false
+  if (!(await deleteServiceRequest(id, audit))) return false
+  kickOutboxWorker()
+  return true
+}
+
+// งานที่อยู่ในถังขยะนานเกินกำหนด → ลบถาวร (คืนเลขที่งานที่ลบ)
+export async function purgeExpiredTrash(now = new Date()): Promise<{ purged: string[] }> {
+  const retentionDays = getTrashRetentionDays()
+  if (retentionDays === 0) return { purged: [] }
+
+  const expired = await listTrashedServiceRequests({ deletedBefore: new Date(now.getTime() - retentionDays * DAY_MS) })
+  const purged: string[] = []
+  for (const request of expired) {
+    if (await purgeTrashedRequest(request.id, PURGE_AUDIT)) purged.push(request.requestNo)
+  }
+  return { purged }
+}
+
+const globalForTrash = globalThis as unknown as { trashPurgeTimer: ReturnType<typeof setInterval> | undefined }
+
+// เรียกครั้งเดียวตอน server start (src/instrumentation.ts) — ล้างทันทีหนึ่งรอบแล้ววันละครั้ง
+// (server ที่ restart ทุกวันจะไม่มีวันครบรอบ interval)
+export function startTrashPurge(): void {
+  if (globalForTrash.trashPurgeTimer) return
+  const run = async () => {
+    try {
+      const { purged } = await purgeExpiredTrash()
+      if (purged.length > 0) console.log(`Trash purge: deleted ${purged.length} jobs (${purged.join(', ')})`)
+    } catch (error) {
+      console.error('Trash purge failed:', error)
+    }
+  }
+  globalForTrash.trashPurgeTimer = setInterval(run, PURGE_INTERVAL_MS)
+  run()
+}
@@ -0,0 +1,311 @@
+import type { Role } from './roles'
+import type { StatusValue } from './STATUS_WORKFLOW'
+
+// Shared types ระหว่างหน้าเว็บและ API routes
+
+export type Channel = 'LINE' | 'โทร' | 'Walk-in' | 'Facebook' | 'อื่นๆ'
+
+export type Priority = 'normal' | 'urgent' | 'emergency'
+
+export interface StatusHistoryEntry {
+  status: StatusValue
+  date: string
+  by: string
+  note?: string          // รายละเอียดเพิ่ม (เช่น เลื่อนนัดจาก Google Calendar — สถานะไม่เปลี่ยน)
+}
+
+export interface Attachment {
+  url: string
+  name: string
+}
+
+export interface ServiceRequest {
+  id: string
+  requestNo: string
+  createdAt: string
+  updatedAt?: string
+  channel: Channel
+  customerName: string   // ชื่อร้าน/สาขา
+  contactName?: string   // ผู้ติดต่อ (optional)
+  phone: string
+  address: string
+  serviceType: string
+  description: string
+  priority: Priority
+  status: StatusValue
+  appointmentDate: string
+  appointmentEndDate?: string
+  isAllDay?: boolean
+  quoteAmount?: number   // ยอดเสนอราคา (บังคับตอนเข้า checking_parts)
+  cancelReason?: string  // เหตุผลที่ยกเลิก (บังคับตอนเข้า cancelled)
+  notes: string
+  imageUrl: string
+  imageUrls?: string[]
+  pdfUrl?: string
+  pdfFileName?: string
+  attachments?: Attachment[]
+  history: StatusHistoryEntry[]
+  calendarEventId?: string
+  calendarEventUrl?: string
+  customerId?: string    // ลูกค้าในสมุดรายชื่อ (ดู Customer)
+  siteId?: string        // สาขา/หน้างานของลูกค้า
+  technicianId?: string  // ช่างที่รับงาน (ไม่มี = รอจัดช่าง)
+  technicianName?: string // อ่านอย่างเดียว — ชื่อช่างสำหรับแสดงผล
+  lineUserId?: string    // ลูกค้าที่ทักมาทาง LINE (ตั้งตอนเปิดงานจาก webhook เท่านั้น)
+  deletedAt?: string     // อยู่ในถังขยะตั้งแต่ (ไม่มี = งานปกติ) — งานที่มีค่านี้ไม่ถูก mirror ไป Firebase
+  deletedBy?: string
+}
+
+// สาขา/หน้างานของลูกค้า — ร้านเดียวมีได้หลายสาขา (เช่น KFC แต่ละสาขา)
+export interface CustomerSite {
+  id: string
+  customerId: string
+  name: string           // ชื่อสาขา ("" = ที่อยู่หลัก)
+  address: string
+  contactName: string
+  phone: string
+}
+
+export interface Customer {
+  id: string
+  name: string           // ชื่อร้าน/บริษัท/แบรนด์ (ไม่รวมชื่อสาขา)
+  contactName: string
+  phone: string
+  notes: string
+  createdAt: string
+  updatedAt: string
+  sites: CustomerSite[]
+  requestCount: number
+}
+
+// ── ใบเสนอราคา (ดู src/lib/quotes.ts) ──
+
+export type QuoteItemKind = 'part' | 'labor' | 'travel' | 'other'
+
+export type QuoteStatus = 'draft' | 'sent' | 'approved' | 'rejected' | 'superseded'
+
+export type QuoteDiscountType = 'amount' | 'percent'
+
+export interface QuoteItem {
+  kind: QuoteItemKind
+  description: string
+  quantity: number
+  unit: string
+  unitPrice: number
+  discount: number       // ส่วนลดของรายการนี้ (บาท)
+}
+
+export interface Quote {
+  id: string
+  requestId: string
+  quoteNo: string
+  revision: number       // ฉบับที่ 1, 2, 3 ... ของงานนี้
+  status: QuoteStatus
+  items: QuoteItem[]
+  discountType: QuoteDiscountType
+  discountValue: number  // ส่วนลดท้ายบิล (บาท หรือ %)
+  vatRate: number        // 0.07 = VAT 7%, 0 = ไม่คิด VAT
+  subtotal: number
+  discountAmount: number
+  vatAmount: number
+  total: number
+  validDays: number
+  notes: string
+  createdBy: string
+  createdAt: string
+  updatedAt: string
+  sentAt?: string
+  sentBy?: string
+  respondedAt?: string   // ลูกค้าอนุมัติ/ไม่อนุมัติเมื่อไหร่
+  respondedBy?: string
+}
+
+// ── อะไหล่ (ดู src/lib/parts.ts) ──
+
+export interface Part {
+  id: string
+  sku: string            // รหัสสินค้า/รุ่น ("" = ไม่มี)
+  name: string
+  unit: string
+  supplier: string       // ร้านที่ซื้อประจำ
+  unitCost: number       // ราคาทุนล่าสุด
+  unitPrice: number      // ราคาขายที่ใช้เสนอลูกค้า
+  notes: string
+  active: boolean
+  createdAt: string
+  updatedAt: string
+}
+
+// requested = ช่าง/จัดซื้อแจ้งว่าต้องใช้ → ordered = สั่งร้านแล้ว → received = ของเข้า → installed = ติดตั้งแล้ว
+export type PartRequestStatus = 'requested' | 'ordered' | 'received' | 'installed' | 'cancelled'
+
+export interface PartRequest {
+  id: string
+  requestId: string
+  partId?: string        // ไม่มี = รายการนอกแคตตาล็อก
+  name: string           // ชื่อ ณ ตอนขอ (แก้แคตตาล็อกทีหลังไม่กระทบ)
+  quantity: number
+  unit: string
+  supplier: string
+  unitCost: number
+  status: PartRequestStatus
+  poNumber: string       // เลขที่ใบสั่งซื้อ/บิลร้าน
+  expectedDate: string   // วันที่ร้านนัดส่ง (YYYY-MM-DD, "" = ไม่ระบุ)
+  notes: string
+  createdBy: string
+  createdAt: string
+  updatedAt: string
+  orderedAt?: string
+  orderedBy?: string
+  receivedAt?: string
+  receivedBy?: string
+  installedAt?: string
+  installedBy?: string
+}
+
+// ── ช่าง (ดู src/lib/technicians.ts) ──
+
+export interface Technician {
+  id: string
+  name: string
+  phone: string
+  email: string          // ใส่ = เชิญเข้า event ใน Google Calendar
+  color: string          // colorId ของ Google Calendar ("1"-"11")
+  dailyCapacityMinutes: number // จองเกินนี้ต่อวันระบบเตือน
+  active: boolean
+  createdAt: string
+  updatedAt: string
+}
+
+// ── ตารางงานช่าง (ดู src/lib/scheduling.ts) ──
+
+// งานที่จองเวลาช่างไว้ — start/end เป็น ISO ตามที่คำนวณจากวันนัด + ระยะเวลาตามประเภทงาน
+export interface ScheduleBooking {
+  requestId: string
+  requestNo: string
+  customerName: string
+  serviceType: string
+  status: StatusValue
+  technicianId: string | null
+  start: string
+  end: string
+}
+
+export interface CapacityWarning {
+  technicianId: string
+  technicianName: string
+  date: string
+  bookedMinutes: number  // รวมงานที่กำลังจะบันทึกแล้ว
+  capacityMinutes: number
+}
+
+// ผลเช็คก่อนบันทึก — มีรายการ = ควรเตือน (ไม่บล็อก)
+export interface ScheduleCheck {
+  start: string | null
+  end: string | null
+  overlaps: ScheduleBooking[]
+  capacity: CapacityWarning[]
+}
+
+export interface DayAvailability {
+  bookings: ScheduleBooking[]
+  bookedMinutes: number
+  freeSlots: { start: string; end: string }[]
+}
+
+export interface ScheduleAvailability {
+  dates: string[]
+  technicians: { technician: Technician; days: Record<string, DayAvailability> }[]
+  unassigned: Record<string, ScheduleBooking[]>  // นัดแล้วแต่ยังไม่จัดช่าง
+}
+
+// ── กฎแจ้งเตือน (ดู src/lib/notification-rules.ts) ──
+
+export type NotificationTrigger = 'created' | 'status_changed' | 'overdue'
+
+export type NotificationTarget =
+  | { type: 'telegram'; chatId?: string }   // ไม่ระบุ chatId = กลุ่มหลัก (TELEGRAM_CHAT_ID)
+  | { type: 'telegram_role'; role: Role }   // ส่วนตัวถึงพนักงาน role นี้ทุกคนที่ผูก Telegram ไว้
+  | { type: 'line_customer' }               // ลูกค้าที่ทักมาทาง LINE (งานอื่นข้าม)
+
+export interface NotificationRule {
+  id: string
+  name: string
+  enabled: boolean
+  trigger: NotificationTrigger
+  statuses: StatusValue[]   // ว่าง = ทุกสถานะ
+  priorities: Priority[]
+  serviceTypes: string[]
+  minAgeHours: number | null // overdue: ค้างในสถานะปัจจุบันอย่างน้อยกี่ชั่วโมง
+  repeatHours: number | null // overdue: เตือนซ้ำทุกกี่ชั่วโมง (null = ครั้งเดียว)
+  targets: NotificationTarget[]
+  template: string          // ว่าง = ข้อความมาตรฐาน
+  createdAt: string
+  updatedAt: string
+}
+
+export type NotificationLogStatus = 'queued' | 'sent' | 'failed' | 'skipped'
+
+export interface NotificationLogEntry {
+  id: number
+  ruleId: string | null
+  ruleName: string
+  trigger: NotificationTrigger
+  requestId: string | null
+  requestNo: string
+  target: string
+  reason: string
+  message: string
+  status: NotificationLogStatus
+  error: string | null      // skipReason หรือ error ล่าสุดจาก outbox
+  createdAt: string
+}
+
+// ── ประวัติการแก้ไขรายฟิลด์ (ดู src/lib/audit.ts) ──
+
+export type AuditSource = 'web' | 'api' | 'telegram' | 'line' | 'calendar' | 'sheet' | 'import' | 'system'
+
+// ใครแก้ + แก้จากช่องทางไหน — ส่งให้ทุกฟังก์ชันที่เขียนงานใน repository (ลง FieldChange ให้เอง)
+export interface AuditContext {
+  by: string
+  source: AuditSource
+  revertOf?: number         // การแก้นี้คือการย้อนรายการ FieldChange id นี้
+}
+
+export interface FieldChangeEntry {
+  id: number
+  requestId: string
+  requestNo: string
+  field: string             // ชื่อฟิลด์ หรือ "created" / "deleted"
+  before: string | null     // JSON ของค่าก่อนแก้
+  after: string | null      // JSON ของค่าหลังแก้
+  by: string
+  source: AuditSource
+  revertOfId: number | null
+  createdAt: string
+}
+
+// ── ค้นหางาน (ดู src/lib/search.ts) ──
+
+export interface SearchHit {
+  field: string             // ฟิลด์ที่เจอคำค้น (ดู SEARCH_FIELDS)
+  label: string
+  snippet: string           // ข้อความช่วงที่เจอ (ตัดหัว/ท้ายด้วย …) สำหรับไฮไลต์
+}
+
+export interface SearchResult {
+  request: ServiceRequest
+  hits: SearchHit[]
+}
+
+// ── มุมมองที่บันทึกไว้ของรายการงาน (ดู src/lib/list-view.ts) ──
+
+export interface SavedView {
+  id: string
+  name: string
+  query: string             // query string ของตัวกรอง/การเรียง (ไม่มี "?") — เปิดเป็น /?<query> ได้เลย
+  createdBy: string
+  createdById?: string      // Employee.id ของคนที่สร้าง (ไม่มี = สร้างด้วย API secret / หาเจ้าของไม่เจอ)
+  createdAt: string
+  updatedAt: string
+}
@@ -0,0 +1,83 @@
+import { NextRequest } from 'next/server'
+import { expect } from 'vitest'
+import { createSessionToken, SESSION_COOKIE } from '@/lib/auth'
+import type { Employee } from '@/lib/repositories/employees'
+import { ROLE_VALUES, type Role } from '@/lib/roles'
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// ตัวช่วยเรียก route handler ในเทสต์ — สร้าง NextRequest พร้อม session cookie ของพนักงานทดสอบแต่ละ role
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+export const TEST_SESSION_SECRET = 'test-session-secret'
+export const TEST_API_SECRET = 'test-api-secret'
+
+// พนักงานหนึ่งคนต่อ role (id = emp-<role>)
+export const TEST_EMPLOYEES = Object.fromEntries(
+  ROLE_VALUES.map(role => [role, {
+    id: `emp-${role}`,
+    name: `ทดสอบ ${role}`,
+    role,
+    active: true,
+    hasPin: true,
+    telegramChatId: null,
+  }])
+) as Record<Role, Employee>
+
+export type RouteResponse = Response
+
+export interface ApiRequestOptions {
+  method?: string
+  // login เป็นพนักงาน role นี้ (ไม่ใส่ = ไม่มี session)
+  role?: Role
+  // ส่ง x-api-secret แทน session
+  apiSecret?: boolean
+  body?: unknown
+  headers?: Record<string, string>
+}
+
+// IP ไม่ซ้ำกันทุก request — route ที่ limit ต่ำ (เช่น reconcile 5 ครั้ง/นาที) ไม่ชน 429 ระหว่างเทสต์
+// (เทสต์ rate limit ส่ง x-forwarded-for เองใน headers)
+let requestCounter = 0
+
+export function apiRequest(path: string, options: ApiRequestOptions = {}): NextRequest {
+  requestCounter++
+  const headers = new Headers(options.headers)
+  if (!headers.has('x-forwarded-for')) {
+    headers.set('x-forwarded-for', `10.${(requestCounter >> 16) & 255}.${(requestCounter >> 8) & 255}.${requestCounter & 255}`)
+  }
+  if (options.role) {
+    const employee = TEST_EMPLOYEES[options.role]
+    const token = createSessionToken({ employeeId: employee.id, name: employee.name, role: employee.role })
+    headers.set('cookie', `${SESSION_COOKIE}=${token}`)
+  }
+  if (options.apiSecret) headers.set('x-api-secret', TEST_API_SECRET)
+
+  // FormData ให้ fetch ใส่ content-type (boundary) เอง — นอกนั้นส่งเป็น JSON
+  let body: string | FormData | undefined
+  if (options.body instanceof FormData) {
+    body = options.body
+  } else if (options.body !== undefined) {
+    body = typeof options.body === 'string' ? options.body : JSON.stringify(options.body)
+    headers.set('content-type', 'application/json')
+  }
+  return new NextRequest(new URL(path, 'http://localhost'), { method: options.method ?? 'GET', headers, body })
+}
+
+/**
+ * 🧪 Expect Status
+ * เช็ค status + คืน body (JSON) ให้เทสต์เช็คต่อ — status ไม่ตรงจะแสดง body ใน error ให้เห็นสาเหตุ
+ */
+export async function expectStatus(response: Response, status: number): Promise<any> {
+  const text = await response.text()
+  let body: unknown = text
+  try {
+    body = text ? JSON.parse(text) : null
+  } catch {}
+  expect({ status: response.status, body }).toMatchObject({ status })
+  return body
+}
+
+// role ทั้งหมดที่ผ่าน/ไม่ผ่านเงื่อนไข — ใช้เลือก role ตัวอย่างสำหรับ 200 / 403
+export function rolesWhere(predicate: (role: Role) => boolean): Role[] {
+  return ROLE_VALUES.filter(predicate)
+}
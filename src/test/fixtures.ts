@@ -0,0 +1,69 @@
+import type { PartRequest, Quote, ServiceRequest } from '@/lib/types'
+
+// งานตัวอย่างสำหรับเทสต์ — ใส่เฉพาะช่องที่เทสต์สนใจใน overrides
+export function makeServiceRequest(overrides: Partial<ServiceRequest> = {}): ServiceRequest {
+  return {
+    id: 'req-1',
+    requestNo: 'REQ-20261019-001',
+    createdAt: '2026-10-19T02:00:00.000Z',
+    channel: 'LINE',
+    customerName: 'ร้านทดสอบ สาขาสีลม',
+    phone: '081-234-5678',
+    address: 'สีลม กรุงเทพ',
+    serviceType: 'ล้างแอร์',
+    description: 'ล้างแอร์ 2 เครื่อง',
+    priority: 'normal',
+    status: 'new',
+    appointmentDate: '',
+    notes: '',
+    imageUrl: '',
+    history: [{ status: 'new', date: '2026-10-19T02:00:00.000Z', by: 'ทดสอบ reception' }],
+    ...overrides,
+  }
+}
+
+// ใบเสนอราคาฉบับร่างของ makeServiceRequest()
+export function makeQuote(overrides: Partial<Quote> = {}): Quote {
+  return {
+    id: 'quote-1',
+    requestId: 'req-1',
+    quoteNo: 'QT-20261019-001',
+    revision: 1,
+    status: 'draft',
+    items: [{ kind: 'labor', description: 'ค่าแรงล้างแอร์', quantity: 2, unit: 'เครื่อง', unitPrice: 500, discount: 0 }],
+    discountType: 'amount',
+    discountValue: 0,
+    vatRate: 0.07,
+    subtotal: 1000,
+    discountAmount: 0,
+    vatAmount: 70,
+    total: 1070,
+    validDays: 30,
+    notes: '',
+    createdBy: 'ทดสอบ quotation',
+    createdAt: '2026-10-19T03:00:00.000Z',
+    updatedAt: '2026-10-19T03:00:00.000Z',
+    ...overrides,
+  }
+}
+
+// อะไหล่ที่ขอไว้ให้ makeServiceRequest() (ยังไม่สั่ง)
+export function makePartRequest(overrides: Partial<PartRequest> = {}): PartRequest {
+  return {
+    id: 'pr-1',
+    requestId: 'req-1',
+    name: 'คาปาซิเตอร์ 35uF',
+    quantity: 1,
+    unit: 'ชิ้น',
+    supplier: '',
+    unitCost: 0,
+    status: 'requested',
+    poNumber: '',
+    expectedDate: '',
+    notes: '',
+    createdBy: 'ทดสอบ technician',
+    createdAt: '2026-10-19T04:00:00.000Z',
+    updatedAt: '2026-10-19T04:00:00.000Z',
+    ...overrides,
+  }
+}
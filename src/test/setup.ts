@@ -0,0 +1,30 @@
+import { vi } from 'vitest'
+import { TEST_API_SECRET, TEST_EMPLOYEES, TEST_SESSION_SECRET } from './api'
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// ตั้งค่าก่อนทุกไฟล์เทสต์
+// - session / x-api-secret ใช้ค่าทดสอบ
+// - พนักงานที่ login อ่านจาก TEST_EMPLOYEES (ไม่แตะ DB) — ฟังก์ชันเขียนของ repository พนักงานเป็น vi.fn() ให้เทสต์ตั้งค่าเอง
+// - db ทุกตารางโยน error — route ที่เทสต์ต้อง mock repository ที่ใช้เอง ไม่งั้นรู้ทันทีว่าหลุดไปถึง DB
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+process.env['SESSION_SECRET'] = TEST_SESSION_SECRET
+process.env['API_SECRET_KEY'] = TEST_API_SECRET
+
+vi.mock('@/lib/db', () => {
+  const unmocked = (path: string) => () => {
+    throw new Error(`db.${path} ไม่ได้ mock ในเทสต์`)
+  }
+  const model = (name: string) => new Proxy({}, { get: (_target, method) => unmocked(`${name}.${String(method)}`) })
+  return { db: new Proxy({}, { get: (_target, name) => model(String(name)) }) }
+})
+
+vi.mock('@/lib/repositories/employees', () => ({
+  getEmployee: vi.fn(async (id: string) => Object.values(TEST_EMPLOYEES).find(employee => employee.id === id) ?? null),
+  listEmployees: vi.fn(async () => Object.values(TEST_EMPLOYEES)),
+  findEmployeeByTelegramChatId: vi.fn(),
+  getEmployeePinHash: vi.fn(),
+  createEmployee: vi.fn(),
+  updateEmployee: vi.fn(),
+  countActiveAdmins: vi.fn(),
+}))
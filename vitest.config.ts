@@ -0,0 +1,18 @@
+import { fileURLToPath } from 'url'
+import { defineConfig } from 'vitest/config'
+
+// เทสต์ API routes — รันใน Node ตรงๆ (ไม่ต้องเปิด next dev) ดู src/test/setup.ts
+export default defineConfig({
+  resolve: {
+    alias: { '@': fileURLToPath(new URL('./src', import.meta.url)) },
+  },
+  test: {
+    environment: 'node',
+    include: ['src/**/*.test.ts'],
+    setupFiles: ['src/test/setup.ts'],
+    // ล้างประวัติการเรียก mock ทุกเทสต์ (ค่าที่ mock คืนตั้งใหม่ใน beforeEach ของแต่ละไฟล์)
+    clearMocks: true,
+    // route หนึ่งไฟล์โหลด googleapis/Prisma client ทั้งก้อน — ให้เวลาโหลดครั้งแรก
+    testTimeout: 20000,
+  },
+})